@@ -0,0 +1,111 @@
+/**
+ * Order status normalisation (idempotent).
+ *
+ * What it does:
+ * - Picks a lifecycle status (currentStatus) for every order, falling back to the legacy
+ *   orderStatus / FulfillmentStatus / status fields where currentStatus is missing, still
+ *   'pending_payment' after payment, or the 'delievered' typo.
+ * - Rewrites orderStatus, FulfillmentStatus and status from currentStatus
+ *   (see src/services/order/orderLifecycleService.js).
+ * - Safe to re-run. Pass --dry-run to print the changes without writing.
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+const Order = require('../src/models/order/orderModel');
+const {
+  deriveLegacyStatuses,
+  inferCurrentStatus,
+} = require('../src/services/order/orderLifecycleService');
+
+dotenv.config({ path: './.env' });
+
+const DB = process.env.DATABASE?.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD,
+);
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const STATUS_FIELDS = ['currentStatus', 'orderStatus', 'FulfillmentStatus', 'status'];
+
+function planOrderUpdate(order) {
+  const currentStatus = inferCurrentStatus(order);
+  const target = { currentStatus, ...deriveLegacyStatuses(currentStatus, order.fulfilment || {}) };
+  const changes = {};
+  for (const field of STATUS_FIELDS) {
+    if (order[field] !== target[field]) {
+      changes[field] = target[field];
+    }
+  }
+  return changes;
+}
+
+async function normalizeOrders() {
+  const summary = { scanned: 0, updated: 0, byTransition: {} };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    if (!DRY_RUN) {
+      // bulkWrite skips query middleware; the derived fields are set explicitly above
+      await Order.bulkWrite(ops, { ordered: false });
+    }
+    ops = [];
+  };
+
+  const cursor = Order.find({})
+    .select(STATUS_FIELDS.concat('paymentStatus', 'fulfilment').join(' '))
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  for await (const order of cursor) {
+    summary.scanned += 1;
+    const changes = planOrderUpdate(order);
+    if (Object.keys(changes).length === 0) continue;
+
+    summary.updated += 1;
+    const key = `${order.currentStatus || '(none)'} → ${changes.currentStatus || order.currentStatus}`;
+    summary.byTransition[key] = (summary.byTransition[key] || 0) + 1;
+
+    ops.push({ updateOne: { filter: { _id: order._id }, update: { $set: changes } } });
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return summary;
+}
+
+async function runMigration() {
+  if (!DB) {
+    throw new Error('DATABASE env variable is required');
+  }
+
+  console.log('Connecting to database...');
+  await mongoose.connect(DB);
+  console.log('Database connected');
+  if (DRY_RUN) console.log('Dry run: no orders will be written');
+
+  const summary = await normalizeOrders();
+
+  console.log('\nOrder status normalisation summary:');
+  console.log(`Scanned: ${summary.scanned}`);
+  console.log(`${DRY_RUN ? 'Would update' : 'Updated'}: ${summary.updated}`);
+  console.log('currentStatus changes:', summary.byTransition);
+}
+
+runMigration()
+  .then(async () => {
+    await mongoose.connection.close();
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('Migration failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
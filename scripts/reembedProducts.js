@@ -0,0 +1,61 @@
+/**
+ * Product embedding backfill (idempotent).
+ *
+ * What it does:
+ * - Embeds every non-deleted product whose embedding is missing, came from another
+ *   provider model or was computed from different text (see src/services/search/embeddingService.js).
+ * - Uses the configured provider: local hashed n-gram vectors unless EMBEDDING_PROVIDER /
+ *   OPENAI_API_KEY select another, so it runs offline.
+ * - Safe to re-run. --force re-embeds everything; --dry-run only counts.
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config({ path: './.env' });
+
+const mongoose = require('mongoose');
+const { reembedCatalogue } = require('../src/services/search/embeddingService');
+
+const DB = process.env.DATABASE?.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD,
+);
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+
+async function runBackfill() {
+  if (!DB) {
+    throw new Error('DATABASE env variable is required');
+  }
+
+  console.log('Connecting to database...');
+  await mongoose.connect(DB);
+  console.log('Database connected');
+  if (DRY_RUN) console.log('Dry run: no embeddings will be written');
+
+  const summary = await reembedCatalogue({
+    force: FORCE,
+    dryRun: DRY_RUN,
+    onProgress: ({ scanned, embedded }) => console.log(`Scanned ${scanned}, embedded ${embedded}`),
+  });
+
+  console.log('\nProduct embedding summary:');
+  console.log(`Model: ${summary.model}`);
+  console.log(`Scanned: ${summary.scanned}`);
+  console.log(`${DRY_RUN ? 'Would embed' : 'Embedded'}: ${summary.embedded}`);
+  console.log(`Up to date: ${summary.skipped}`);
+  console.log(`Failed: ${summary.failed}`);
+}
+
+runBackfill()
+  .then(async () => {
+    await mongoose.connection.close();
+    console.log('Backfill completed successfully');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('Backfill failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -61,9 +61,11 @@ const statusRoutes = require('./routes/buyer/statusRoutes');
 const buyerFlashDealRoutes = require('./routes/buyer/flashDealRoutes');
 const buyerPromoRoutes = require('./routes/buyer/promoRoutes');
 const buyerOfferRoutes = require('./routes/buyer/offerRoutes');
+const subscriptionRoutes = require('./routes/buyer/subscriptionRoutes');
 
 const sellerRoutes = require('./routes/seller/sellerRoutes');
 const sellerReviewRoutes = require('./routes/seller/reviewRoutes');
+const sellerQuestionRoutes = require('./routes/seller/questionRoutes');
 const paymentRequestRoutes = require('./routes/seller/paymentRequestRoutes');
 const sellerPayoutRoutes = require('./routes/seller/payoutRoutes');
 const discountRoutes = require('./routes/seller/discountRoute');
@@ -72,6 +74,7 @@ const buyerCouponRoutes = require('./routes/buyer/couponRoutes');
 const sellerCouponRoutes = require('./routes/seller/couponRoutes');
 const shippingSettingsRoutes = require('./routes/seller/shippingSettingsRoutes');
 const sellerImageRoutes = require('./routes/seller/imageRoutes');
+const sellerLicenseKeyRoutes = require('./routes/seller/licenseKeyRoutes');
 const sellerTestimonialRoutes = require('./routes/seller/testimonialRoutes');
 const sellerPromoRoutes = require('./routes/seller/promoRoutes');
 
@@ -86,6 +89,7 @@ const shippingZoneRoutes = require('./routes/admin/shippingZoneRoutes');
 const distanceAnalyzerRoutes = require('./routes/admin/distanceAnalyzerRoutes');
 const adminNeighborhoodRoutes = require('./routes/admin/neighborhoodRoutes');
 const adminReviewRoutes = require('./routes/admin/reviewRoutes');
+const adminQuestionRoutes = require('./routes/admin/questionRoutes');
 const adminPayoutRoutes = require('./routes/admin/payoutRoutes');
 const adminRefundRoutes = require('./routes/admin/refundRoutes');
 const adRoutes = require('./routes/admin/adRoutes');
@@ -93,17 +97,23 @@ const adminFlashDealRoutes = require('./routes/admin/flashDealRoutes');
 const adminShippingRoutes = require('./routes/admin/shippingRoutes');
 const adminTestimonialRoutes = require('./routes/admin/testimonialRoutes');
 const adminPromoRoutes = require('./routes/admin/promoRoutes');
+const adminJobRoutes = require('./routes/admin/jobRoutes');
+const adminDispatchRoutes = require('./routes/admin/dispatchRoutes');
+const adminSearchRoutes = require('./routes/admin/searchRoutes');
+const adminSmsRoutes = require('./routes/admin/smsRoutes');
 
 const productRoutes = require('./routes/shared/productRoutes');
 const categoryRoutes = require('./routes/shared/categoryRoutes');
 const orderRoutes = require('./routes/shared/orderRoutes');
 const orderItemRoutes = require('./routes/shared/orderItemRoute');
+const deliveryRoutes = require('./routes/shared/deliveryRoutes');
 const reviewRoutes = require('./routes/shared/reviewRoutes');
 const paymentMethodRoutes = require('./routes/shared/paymentMethodRoutes');
 const paymentRoutes = require('./routes/shared/paymentRoutes');
 const searchRoutes = require('./routes/shared/searchRoutes');
 const notificationRoutes = require('./routes/shared/notificationRoutes');
 const notificationsApiRoutes = require('./routes/notification/notificationRoutes');
+const smsRoutes = require('./routes/shared/smsRoutes');
 const shippingRoutes = require('./routes/shared/shippingRoutes');
 const locationRoutes = require('./routes/shared/locationRoutes');
 const neighborhoodRoutes = require('./routes/shared/neighborhoodRoutes');
@@ -355,6 +365,7 @@ const corsOptions = {
     'x-device-id',         // Device ID
     'x-platform',          // Platform identifier
     'x-mobile',            // Mobile app flag
+    'x-guest-cart-token',  // Signed guest cart session
   ],
   exposedHeaders: ['Content-Range', 'X-Total-Count'],
   optionsSuccessStatus: 200, // Some legacy browsers (IE11) choke on 204
@@ -554,6 +565,7 @@ app.use('/api/v1/statuses', statusRoutes);
 app.use('/api/v1/flash-deals', buyerFlashDealRoutes);
 app.use('/api/v1/promos', buyerPromoRoutes);
 app.use('/api/v1/offers', buyerOfferRoutes);
+app.use('/api/v1/subscriptions', subscriptionRoutes);
 
 // Seller routes
 // IMPORTANT: More specific routes must come BEFORE general routes to avoid route conflicts
@@ -563,9 +575,11 @@ app.use('/api/v1/seller/discount', discountRoutes); // Seller routes (manage dis
 app.use('/api/v1/seller/flash-deals', sellerFlashDealRoutes);
 app.use('/api/v1/seller/promos', sellerPromoRoutes);
 app.use('/api/v1/seller/reviews', sellerReviewRoutes);
+app.use('/api/v1/seller/questions', sellerQuestionRoutes);
 app.use('/api/v1/seller/testimonials', sellerTestimonialRoutes);
 app.use('/api/v1/seller/payout', sellerPayoutRoutes);
 app.use('/api/v1/seller/products', sellerImageRoutes);
+app.use('/api/v1/seller/license-keys', sellerLicenseKeyRoutes);
 app.use('/api/v1/seller', sellerRoutes);
 app.use('/api/v1/paymentrequest', paymentRequestRoutes);
 app.use('/api/v1/coupon', buyerCouponRoutes); // Buyer routes (apply coupons)
@@ -578,6 +592,7 @@ app.use('/api/v1/shipping/settings', shippingSettingsRoutes);
 app.use('/api/v1/promotional-discounts', adRoutes);
 app.use('/api/v1/admin/neighborhoods', adminNeighborhoodRoutes);
 app.use('/api/v1/admin/reviews', adminReviewRoutes);
+app.use('/api/v1/admin/questions', adminQuestionRoutes);
 app.use('/api/v1/admin/testimonials', adminTestimonialRoutes);
 app.use('/api/v1/admin/payout', adminPayoutRoutes);
 app.use('/api/v1/admin/refunds', adminRefundRoutes);
@@ -585,6 +600,10 @@ app.use('/api/v1/admin/coupons', adminCouponRoutes);
 app.use('/api/v1/admin/flash-deals', adminFlashDealRoutes);
 app.use('/api/v1/admin/promos', adminPromoRoutes);
 app.use('/api/v1/admin/shipping', adminShippingRoutes);
+app.use('/api/v1/admin/jobs', adminJobRoutes);
+app.use('/api/v1/admin/dispatch', adminDispatchRoutes);
+app.use('/api/v1/admin/search', adminSearchRoutes);
+app.use('/api/v1/admin/sms', adminSmsRoutes);
 app.use('/api/v1/logs', require('./modules/activityLog/activityLog.routes'));
 app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
@@ -600,6 +619,7 @@ app.use('/api/v1/product', productRoutes);
 app.use('/api/v1/categories', categoryRoutes);
 app.use('/api/v1/order', orderRoutes);
 app.use('/api/v1/orderItem', orderItemRoutes);
+app.use('/api/v1/delivery', deliveryRoutes);
 app.use('/api/v1/review', reviewRoutes);
 app.use('/api/v1/paymentmethod', paymentMethodRoutes);
 app.use('/api/v1/payment', paymentRoutes);
@@ -607,6 +627,7 @@ app.use('/api/v1/search', searchRoutes);
 app.use('/api/v1/notification-settings', notificationRoutes);
 app.use('/api/v1/notification-setting', notificationRoutes); // alias for typo
 app.use('/api/v1/notifications', notificationsApiRoutes);
+app.use('/api/v1/sms', smsRoutes);
 app.use('/api/v1/shipping', shippingRoutes);
 app.use('/api/v1/location', locationRoutes);
 app.use('/api/v1/neighborhoods', neighborhoodRoutes);
@@ -41,6 +41,12 @@ const PAYSTACK_ENDPOINTS = {
   LIST_TRANSFERS: '/transfer',
   LIST_BANKS: '/bank',
   RESOLVE_BANK: '/bank/resolve',
+  // Charge a saved card (reusable authorization from a previous successful payment)
+  CHARGE_AUTHORIZATION: '/transaction/charge_authorization',
+  // Refund a transaction (fully or partially) to the card / MoMo wallet that paid it
+  CREATE_REFUND: '/refund',
+  FETCH_REFUND: '/refund',
+  LIST_REFUNDS: '/refund',
 };
 
 module.exports = {
@@ -5,7 +5,7 @@
  * This file is kept as a placeholder to prevent import errors.
  * All Redis-related functionality has been disabled.
  * 
- * Background jobs are no longer available.
+ * Background jobs now run on the MongoDB-backed queue in services/jobs/jobQueueService.js.
  */
 
 /**
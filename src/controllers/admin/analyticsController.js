@@ -13,6 +13,10 @@ const TaxCollection = require('../../models/tax/taxCollectionModel');
 const PlatformStats = require('../../models/platform/platformStatsModel');
 const ProductViewEvent = require('../../models/analytics/productViewEventModel');
 const ScreenViewEvent = require('../../models/analytics/screenViewEventModel');
+const SearchAnalytics = require('../../models/analytics/searchAnalyticsModel');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
+const { normalizeQuery } = require('../../utils/helpers/searchUtils');
+const logger = require('../../utils/logger');
 const mongoose = require('mongoose');
 
 const resolveAnalyticsPlatform = (req) => {
@@ -972,6 +976,40 @@ exports.getCartAnalytics = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Get Abandoned Cart Recovery Analytics
+ * GET /admin/analytics/cart-recovery
+ * Reminders sent, carts recovered (order placed after a reminder) and conversion rate
+ */
+exports.getCartRecoveryAnalytics = catchAsync(async (req, res, next) => {
+  const range = Math.min(Math.max(parseInt(req.query.range) || 30, 1), 365);
+  const cartRecoveryService = require('../../services/cart/cartRecoveryService');
+
+  const report = await cartRecoveryService.getRecoveryReport(range);
+
+  res.status(200).json({
+    status: 'success',
+    data: report,
+  });
+});
+
+/**
+ * Get Review Request Analytics
+ * GET /admin/analytics/review-requests
+ * Post-delivery review requests sent, links opened and items reviewed
+ */
+exports.getReviewRequestAnalytics = catchAsync(async (req, res, next) => {
+  const range = Math.min(Math.max(parseInt(req.query.range) || 30, 1), 365);
+  const reviewRequestService = require('../../services/review/reviewRequestService');
+
+  const report = await reviewRequestService.getRequestReport(range);
+
+  res.status(200).json({
+    status: 'success',
+    data: report,
+  });
+});
+
 /**
  * Get Fraud & Suspicious Activity Analytics
  * GET /admin/analytics/fraud
@@ -1339,16 +1377,36 @@ exports.recordScreenView = catchAsync(async (req, res, next) => {
 /**
  * Record Search Query (mobile app)
  * POST /api/v1/analytics/search
+ * Body: { query, sessionId?, resultsCount?, searchId? } — searchId is the id returned by the
+ * search API (`_meta.searchId`); that search is already recorded, so only new searches are
+ * added to the search analytics.
  */
 exports.recordSearchQuery = catchAsync(async (req, res, next) => {
-  const { query, sessionId } = req.body;
+  const { query, sessionId, resultsCount, searchId } = req.body;
   if (!query || typeof query !== 'string') {
     return next(new AppError('Query is required', 400));
   }
   const userId = req.user?.id || req.user?._id;
+  const role = resolveAnalyticsRole(req.user, resolveAnalyticsPlatform(req));
+
+  let recordedSearchId = searchId || null;
+  const normalized = normalizeQuery(query);
+  if (!searchId && normalized.length >= 2) {
+    const count = Number.isInteger(resultsCount) && resultsCount >= 0 ? resultsCount : null;
+    recordedSearchId = searchAnalyticsService.recordSearchEvent(
+      { query: normalized, resultsCount: count ?? 0, source: 'app' },
+      searchAnalyticsService.searchContextFromRequest(req),
+    );
+    if (count !== null) {
+      const userModel = role === 'seller' ? 'Seller' : role === 'admin' ? 'Admin' : 'User';
+      SearchAnalytics.recordSearch(normalized, userId || null, userModel, count).catch((err) => {
+        logger.error('Failed to record search analytics:', err);
+      });
+    }
+  }
+
   if (userId) {
     const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
-    const role = resolveAnalyticsRole(req.user, resolveAnalyticsPlatform(req));
     logActivityAsync({
       userId,
       role,
@@ -1360,7 +1418,21 @@ exports.recordSearchQuery = catchAsync(async (req, res, next) => {
       riskLevel: 'low',
     });
   }
-  res.status(200).json({ status: 'success', message: 'Search recorded' });
+  res.status(200).json({ status: 'success', message: 'Search recorded', data: { searchId: recordedSearchId } });
+});
+
+/**
+ * Record a click on a search result
+ * POST /api/v1/analytics/search/clicks
+ * Body: { searchId, productId, position } — position is 1-based across pages
+ */
+exports.recordSearchClick = catchAsync(async (req, res, next) => {
+  const { searchId, productId, position } = req.body || {};
+  const found = await searchAnalyticsService.recordSearchClick(searchId, productId, position);
+  if (!found) {
+    return next(new AppError('Search not found', 404));
+  }
+  res.status(200).json({ status: 'success', message: 'Search click recorded' });
 });
 
 /**
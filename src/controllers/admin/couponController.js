@@ -4,11 +4,13 @@
  */
 
 const CouponBatch = require('../../models/coupon/couponBatchModel');
+const Order = require('../../models/order/orderModel');
 const catchAsync = require('../../utils/helpers/catchAsync');
 const { nanoid } = require('nanoid');
 const AppError = require('../../utils/errors/appError');
 const mongoose = require('mongoose');
 const couponService = require('../../services/coupon/couponService');
+const promoOfferService = require('../../services/promo/promoOfferService');
 
 /**
  * Get all coupons (global + seller-specific)
@@ -93,12 +95,14 @@ exports.createGlobalCoupon = catchAsync(async (req, res, next) => {
     platformFunded = true,
     maxUsagePerUser = 1,
     stackingAllowed = false,
+    offer,
   } = req.body;
 
   // Validate required fields
+  const isAdvancedOffer = promoOfferService.isAdvancedOfferType(discountType);
   if (
     !name ||
-    !discountValue ||
+    (!discountValue && !isAdvancedOffer) ||
     !discountType ||
     !validFrom ||
     !expiresAt ||
@@ -129,6 +133,16 @@ exports.createGlobalCoupon = catchAsync(async (req, res, next) => {
     return next(new AppError('Fixed discount cannot exceed GH₵1000', 400));
   }
 
+  // bogo / tiered / bundle / free_shipping coupons keep their settings in `offer`
+  let offerConfig;
+  if (isAdvancedOffer) {
+    try {
+      offerConfig = promoOfferService.normalizeOfferConfig(discountType, offer);
+    } catch (offerError) {
+      return next(offerError);
+    }
+  }
+
   // Generate unique coupon codes
   const coupons = Array.from({ length: quantity }, () => ({
     code: nanoid(10).toUpperCase(),
@@ -138,8 +152,9 @@ exports.createGlobalCoupon = catchAsync(async (req, res, next) => {
   const couponBatch = await CouponBatch.create({
     name,
     seller: null, // Global coupons have no seller
-    discountValue,
+    discountValue: isAdvancedOffer ? undefined : discountValue,
     discountType,
+    offer: offerConfig,
     validFrom: new Date(validFrom),
     expiresAt: new Date(expiresAt),
     maxUsage,
@@ -209,6 +224,7 @@ exports.getCouponAnalytics = catchAsync(async (req, res, next) => {
         global: 1,
         discountValue: 1,
         discountType: 1,
+        offer: 1,
         isActive: 1,
         totalCoupons: { $size: '$coupons' },
         usedCoupons: {
@@ -236,9 +252,83 @@ exports.getCouponAnalytics = catchAsync(async (req, res, next) => {
     },
   ]);
 
+  const byType = await CouponBatch.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: '$discountType',
+        batches: { $sum: 1 },
+        coupons: { $sum: { $size: '$coupons' } },
+        usage: { $sum: { $sum: '$coupons.usageCount' } },
+      },
+    },
+    { $project: { _id: 0, discountType: '$_id', batches: 1, coupons: 1, usage: 1 } },
+    { $sort: { discountType: 1 } },
+  ]);
+
+  // Redemptions from placed orders: coupon discount (excluding promo offers) and shipping waived
+  const orderMatch = { appliedCouponBatchId: { $ne: null } };
+  if (matchQuery.createdAt) orderMatch.createdAt = matchQuery.createdAt;
+  const redemptions = await Order.aggregate([
+    { $match: orderMatch },
+    {
+      $lookup: {
+        from: CouponBatch.collection.name,
+        localField: 'appliedCouponBatchId',
+        foreignField: '_id',
+        as: 'batch',
+      },
+    },
+    { $unwind: '$batch' },
+    ...(seller ? [{ $match: { 'batch.seller': new mongoose.Types.ObjectId(seller) } }] : []),
+    {
+      $group: {
+        _id: '$batch.discountType',
+        orders: { $sum: 1 },
+        discountGiven: {
+          $sum: {
+            $subtract: [
+              { $ifNull: ['$discountAmount', 0] },
+              { $sum: { $ifNull: ['$promoOffers.discountAmount', []] } },
+            ],
+          },
+        },
+        shippingWaived: { $sum: { $ifNull: ['$couponOffer.shippingDiscount', 0] } },
+        orderValue: { $sum: { $ifNull: ['$totalPrice', 0] } },
+      },
+    },
+    { $project: { _id: 0, discountType: '$_id', orders: 1, discountGiven: 1, shippingWaived: 1, orderValue: 1 } },
+    { $sort: { discountType: 1 } },
+  ]);
+
+  // Cart-level promo offers (bogo / tiered / bundle / free_shipping on promos)
+  const promoOfferMatch = { 'promoOffers.0': { $exists: true } };
+  if (matchQuery.createdAt) promoOfferMatch.createdAt = matchQuery.createdAt;
+  const promoOffers = seller
+    ? []
+    : await Order.aggregate([
+      { $match: promoOfferMatch },
+      { $unwind: '$promoOffers' },
+      {
+        $group: {
+          _id: '$promoOffers.type',
+          orders: { $sum: 1 },
+          discountGiven: { $sum: { $ifNull: ['$promoOffers.discountAmount', 0] } },
+          freeShippingOrders: { $sum: { $cond: ['$promoOffers.freeShipping', 1, 0] } },
+        },
+      },
+      { $project: { _id: 0, type: '$_id', orders: 1, discountGiven: 1, freeShippingOrders: 1 } },
+      { $sort: { type: 1 } },
+    ]);
+
   res.status(200).json({
     status: 'success',
-    data: { analytics: analytics[0] || {} },
+    data: {
+      analytics: analytics[0] || {},
+      byType,
+      redemptions,
+      promoOffers,
+    },
   });
 });
 
@@ -0,0 +1,183 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const DeliveryJob = require('../../models/order/deliveryJobModel');
+const dispatchService = require('../../services/order/dispatchService');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+const ZONES = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * GET /api/v1/admin/dispatch/board?zone=A
+ * Orders waiting for a rider, grouped by delivery zone, with drivers and their load
+ */
+exports.getDispatchBoard = catchAsync(async (req, res, next) => {
+  const zone = req.query.zone ? String(req.query.zone).toUpperCase() : undefined;
+  if (zone && !ZONES.includes(zone)) {
+    return next(new AppError(`Zone must be one of ${ZONES.join(', ')}`, 400));
+  }
+
+  const board = await dispatchService.getDispatchBoard({ zone });
+
+  res.status(200).json({
+    status: 'success',
+    data: board,
+  });
+});
+
+/**
+ * POST /api/v1/admin/dispatch/orders/:orderId/assign
+ * Body: { driverId? } — without a driver the least busy available driver in the zone is picked
+ */
+exports.assignOrder = catchAsync(async (req, res, next) => {
+  const { orderId } = req.params;
+  const job = await dispatchService.assignOrder(
+    orderId,
+    { driverId: req.body?.driverId },
+    { id: req.user.id, role: req.user.role },
+  );
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'admin',
+    action: 'ASSIGN_DELIVERY',
+    description: `Admin assigned order ${orderId} to driver ${job.driver}`,
+    req,
+    metadata: { orderId, jobId: job._id, driverId: job.driver, zone: job.zone },
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { job },
+  });
+});
+
+/**
+ * GET /api/v1/admin/dispatch/jobs?status=open&driver=&zone=
+ */
+exports.getJobs = catchAsync(async (req, res, next) => {
+  const { status, driver, zone, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status === 'open') query.status = { $in: dispatchService.OPEN_JOB_STATUSES };
+  else if (status && status !== 'all') query.status = status;
+  if (driver) query.driver = driver;
+  if (zone) query.zone = String(zone).toUpperCase();
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [jobs, total] = await Promise.all([
+    DeliveryJob.find(query)
+      .populate('order', 'orderNumber currentStatus deliveryZone paymentMethod totalPrice')
+      .populate('driver', 'name phone email')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    DeliveryJob.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: jobs.length,
+    total,
+    page: pageNum,
+    totalPages: Math.ceil(total / limitNum),
+    data: { jobs },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/dispatch/jobs/:jobId/cancel
+ * Unassign a job; the order returns to the board. Body: { reason? }
+ */
+exports.cancelJob = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  const job = await dispatchService.updateJobStatus(
+    jobId,
+    'cancelled',
+    { notes: reason },
+    { id: req.user.id, role: req.user.role },
+  );
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'admin',
+    action: 'CANCEL_DELIVERY',
+    description: `Admin unassigned delivery job ${jobId}`,
+    req,
+    metadata: { jobId, orderId: job.order, driverId: job.driver, reason },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { job },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/dispatch/drivers/:driverId
+ * Body: { zones?, isAvailable?, vehicleType? }
+ */
+exports.updateDriver = catchAsync(async (req, res, next) => {
+  const { zones, isAvailable, vehicleType } = req.body || {};
+  const driver = await dispatchService.updateDriverProfile(req.params.driverId, {
+    zones,
+    isAvailable,
+    vehicleType,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { driver },
+  });
+});
+
+/**
+ * GET /api/v1/admin/dispatch/drivers/:driverId/cod?from=&to=
+ * Cash collected by the driver on payment_on_delivery orders and what is still outstanding
+ */
+exports.getDriverCod = catchAsync(async (req, res, next) => {
+  const { from, to } = req.query;
+  for (const value of [from, to]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return next(new AppError('from and to must be valid dates', 400));
+    }
+  }
+
+  const summary = await dispatchService.getDriverCodSummary(req.params.driverId, { from, to });
+
+  res.status(200).json({
+    status: 'success',
+    data: summary,
+  });
+});
+
+/**
+ * POST /api/v1/admin/dispatch/drivers/:driverId/cod/reconcile
+ * Body: { jobIds, amountReceived, reference? }
+ */
+exports.reconcileDriverCod = catchAsync(async (req, res, next) => {
+  const { driverId } = req.params;
+  const { jobIds, amountReceived, reference } = req.body || {};
+  const result = await dispatchService.reconcileDriverCod(
+    driverId,
+    { jobIds, amountReceived, reference },
+    { id: req.user.id, role: req.user.role },
+  );
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'admin',
+    action: 'RECONCILE_DRIVER_COD',
+    description: `Admin reconciled GH₵${result.amount.toFixed(2)} cash from driver ${driverId}`,
+    req,
+    metadata: { driverId, ...result },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
@@ -0,0 +1,121 @@
+const Job = require('../../models/job/jobModel');
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const jobQueueService = require('../../services/jobs/jobQueueService');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+/**
+ * GET /api/v1/admin/jobs
+ * List background jobs with filters and pagination
+ */
+exports.getJobs = catchAsync(async (req, res, next) => {
+  const { queue, status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (queue) query.queue = queue;
+  if (status && status !== 'all') query.status = status;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [jobs, total] = await Promise.all([
+    Job.find(query)
+      .select('-failures.stack')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Job.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: jobs.length,
+    total,
+    page: pageNum,
+    totalPages: Math.ceil(total / limitNum),
+    data: { jobs },
+  });
+});
+
+/**
+ * GET /api/v1/admin/jobs/stats
+ * Job counts grouped by queue and status
+ */
+exports.getJobStats = catchAsync(async (req, res, next) => {
+  const stats = await jobQueueService.getQueueStats();
+
+  res.status(200).json({
+    status: 'success',
+    data: { stats },
+  });
+});
+
+/**
+ * GET /api/v1/admin/jobs/:jobId
+ */
+exports.getJob = catchAsync(async (req, res, next) => {
+  const job = await Job.findById(req.params.jobId).lean();
+  if (!job) {
+    return next(new AppError('Job not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { job },
+  });
+});
+
+/**
+ * POST /api/v1/admin/jobs/:jobId/retry
+ * Re-queue a dead-lettered, cancelled or completed job
+ */
+exports.retryJob = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+  const job = await jobQueueService.retryJob(jobId, {
+    resetAttempts: req.body?.resetAttempts !== false,
+  });
+  if (!job) {
+    return next(new AppError('Job not found or is still queued/active', 400));
+  }
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'admin',
+    action: 'RETRY_JOB',
+    description: `Admin retried background job ${job._id} on queue ${job.queue}`,
+    req,
+    metadata: { jobId: job._id, queue: job.queue },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { job },
+  });
+});
+
+/**
+ * POST /api/v1/admin/jobs/:jobId/cancel
+ * Cancel a job that has not started yet
+ */
+exports.cancelJob = catchAsync(async (req, res, next) => {
+  const { jobId } = req.params;
+  const job = await jobQueueService.cancelJob(jobId);
+  if (!job) {
+    return next(new AppError('Only queued jobs can be cancelled', 400));
+  }
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'admin',
+    action: 'CANCEL_JOB',
+    description: `Admin cancelled background job ${job._id} on queue ${job.queue}`,
+    req,
+    metadata: { jobId: job._id, queue: job.queue },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { job },
+  });
+});
@@ -159,7 +159,8 @@ exports.confirmPayment = catchAsync(async (req, res, next) => {
           }
 
           // Calculate seller earnings
-          const totalBasePrice = sellerOrder.totalBasePrice || 0;
+          // Platform-funded item discounts are credited back to the seller
+          const totalBasePrice = (sellerOrder.totalBasePrice || 0) + (sellerOrder.platformFundedBasePrice || 0);
           const shippingCost = sellerOrder.shippingCost || 0;
           const commissionRate = sellerOrder.commissionRate !== undefined 
             ? sellerOrder.commissionRate 
@@ -14,6 +14,7 @@ const {
   findOverlappingSubmission,
   isObjectId,
 } = require('../../services/promo/promoService');
+const { normalizeOfferConfig } = require('../../services/promo/promoOfferService');
 
 const ALLOWED_UPDATE_STATUSES = ['draft', 'scheduled'];
 const ALLOWED_REVIEW_ACTIONS = ['approve', 'reject'];
@@ -40,6 +41,12 @@ const derivePromoStatusFromDates = (startDate, endDate) => {
   return 'scheduled';
 };
 
+/** `offer: { type: 'bogo' | 'tiered' | 'bundle' | 'free_shipping', ... }`; 'standard' or empty clears it */
+const parsePromoOffer = (offer) => {
+  if (!offer || !offer.type || offer.type === 'standard') return undefined;
+  return normalizeOfferConfig(offer.type, offer);
+};
+
 const parseEligibleCategories = (value) => {
   if (!Array.isArray(value)) return [];
   return value
@@ -136,6 +143,7 @@ exports.createPromo = catchAsync(async (req, res, next) => {
   payload.createdBy = req.user.id;
   payload.slug = normalizeSlug(payload.slug, payload.name);
   payload.eligibleCategories = parseEligibleCategories(payload.eligibleCategories);
+  payload.offer = parsePromoOffer(payload.offer);
   if (!payload.status) {
     payload.status = derivePromoStatusFromDates(payload.startDate, payload.endDate);
   }
@@ -209,6 +217,9 @@ exports.updatePromo = catchAsync(async (req, res, next) => {
   if (Object.prototype.hasOwnProperty.call(updates, 'eligibleCategories')) {
     updates.eligibleCategories = parseEligibleCategories(updates.eligibleCategories);
   }
+  if (Object.prototype.hasOwnProperty.call(updates, 'offer')) {
+    updates.offer = parsePromoOffer(updates.offer);
+  }
 
   if (updates.slug && updates.slug !== promo.slug) {
     const existing = await Promo.findOne({ slug: updates.slug, _id: { $ne: promo._id } });
@@ -6,6 +6,7 @@ const catchAsync = require('../../utils/helpers/catchAsync');
 const AppError = require('../../utils/errors/appError');
 const walletService = require('../../services/walletService');
 const orderService = require('../../services/order/orderService');
+const paystackRefundService = require('../../services/refund/paystackRefundService');
 const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
 const mongoose = require('mongoose');
 const logger = require('../../utils/logger');
@@ -349,8 +350,15 @@ exports.approveRefund = catchAsync(async (req, res, next) => {
         // Don't fail refund approval if notification fails
       }
 
-      // Credit buyer wallet
-      if (order.paymentStatus === 'paid' || order.paymentStatus === 'completed') {
+      // Refund to the card / MoMo wallet that paid when the buyer asked for it, else wallet credit
+      const refundToOriginalPayment =
+        refundRequest.refundMethod === 'original_payment' &&
+        paystackRefundService.canRefundToOriginalPayment(order);
+      if (refundToOriginalPayment) {
+        // Paystack is called by the paystack-refunds job once this transaction commits
+        paystackRefundService.startGatewayRefund(refundRequest, order, approvedAmount);
+        await refundRequest.save({ session });
+      } else if (order.paymentStatus === 'paid' || order.paymentStatus === 'completed') {
         const reference = `REFUND-APPROVED-${order.orderNumber}-${refundRequest._id}-${Date.now()}`;
         await walletService.creditWallet(
           refundRequest.buyer,
@@ -408,12 +416,21 @@ exports.approveRefund = catchAsync(async (req, res, next) => {
 
       await session.commitTransaction();
 
+      if (refundToOriginalPayment) {
+        try {
+          await paystackRefundService.enqueueGatewayRefund(refundRequest);
+        } catch (enqueueError) {
+          // The stale-refund sweep queues it again
+          logger.error('[Approve Refund] Error queueing Paystack refund:', enqueueError);
+        }
+      }
+
       // Log activity
       logActivityAsync({
         userId: adminId,
         role: 'admin',
         action: 'REFUND_APPROVED',
-        description: `Approved refund of GH₵${approvedAmount.toFixed(2)} for order #${order.orderNumber}${refundRequest.items.length > 0 ? ` (${refundRequest.items.length} items)` : ''}`,
+        description: `Approved refund of GH₵${approvedAmount.toFixed(2)} for order #${order.orderNumber}${refundRequest.items.length > 0 ? ` (${refundRequest.items.length} items)` : ''}${refundToOriginalPayment ? ' to the original payment method' : ''}`,
         req,
         metadata: {
           orderId: order._id,
@@ -422,6 +439,7 @@ exports.approveRefund = catchAsync(async (req, res, next) => {
           refundAmount: approvedAmount,
           itemCount: refundRequest.items.length,
           requireReturn,
+          refundMethod: refundToOriginalPayment ? 'original_payment' : 'wallet',
         },
       });
 
@@ -837,3 +855,77 @@ exports.updateRefund = catchAsync(async (req, res, next) => {
   });
 });
 
+
+/**
+ * GET /api/v1/admin/refunds/gateway
+ * Reconciliation view of refunds paid back through Paystack that are not settled yet
+ * Query: status (queued|pending|processing|failed|needs_review), page, limit
+ */
+exports.getGatewayRefunds = catchAsync(async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const { summary, total, refunds } = await paystackRefundService.getGatewayRefundReconciliation({
+    status: req.query.status || undefined,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: refunds.length,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      limit,
+    },
+    data: {
+      summary,
+      refunds,
+    },
+  });
+});
+
+/**
+ * POST /api/v1/admin/refunds/:refundId/gateway/resolve
+ * Resolve a failed or unconfirmed Paystack refund (retry also accepts refunds stuck in queued)
+ * Request body: { action: 'retry' | 'wallet' | 'mark_processed' }
+ */
+exports.resolveGatewayRefund = catchAsync(async (req, res, next) => {
+  const { refundId } = req.params;
+  const { action } = req.body;
+  const adminId = req.user.id;
+
+  let refundRequest;
+  if (action === 'retry') {
+    refundRequest = await paystackRefundService.retryGatewayRefund(refundId);
+  } else if (action === 'wallet') {
+    refundRequest = await paystackRefundService.refundGatewayToWallet(refundId, adminId);
+  } else if (action === 'mark_processed') {
+    refundRequest = await paystackRefundService.markGatewayRefundProcessed(refundId);
+  } else {
+    return next(new AppError('Action must be retry, wallet or mark_processed', 400));
+  }
+
+  logActivityAsync({
+    userId: adminId,
+    role: 'admin',
+    action: 'REFUND_GATEWAY_RESOLVED',
+    description: `Resolved Paystack refund ${refundId} (${action})`,
+    req,
+    metadata: {
+      refundRequestId: refundId,
+      action,
+      gatewayStatus: refundRequest.gatewayRefund?.status,
+    },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Gateway refund updated',
+    data: {
+      refund: refundRequest,
+    },
+  });
+});
@@ -0,0 +1,88 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
+
+/**
+ * Search analytics reports. All accept ?from=&to= (ISO dates, default the last 7 days)
+ * and ?device=mobile|tablet|desktop|unknown.
+ */
+
+const reportLimit = (query, fallback = 20) => Math.min(100, Math.max(1, parseInt(query.limit, 10) || fallback));
+
+const respond = (res, filters, data) =>
+  res.status(200).json({
+    status: 'success',
+    filters,
+    data,
+  });
+
+/**
+ * GET /api/v1/admin/search/analytics/overview
+ * Searches, unique queries, zero-result, click-through and exit rates
+ */
+exports.getOverview = catchAsync(async (req, res, next) => {
+  const filters = searchAnalyticsService.parseReportFilters(req.query);
+  const overview = await searchAnalyticsService.getSearchOverview(filters);
+  respond(res, filters, { overview });
+});
+
+/**
+ * GET /api/v1/admin/search/analytics/top-queries?limit=
+ */
+exports.getTopQueries = catchAsync(async (req, res, next) => {
+  const filters = searchAnalyticsService.parseReportFilters(req.query);
+  const queries = await searchAnalyticsService.getTopQueries(filters, { limit: reportLimit(req.query) });
+  respond(res, filters, { queries });
+});
+
+/**
+ * GET /api/v1/admin/search/analytics/zero-results?limit=
+ */
+exports.getZeroResultQueries = catchAsync(async (req, res, next) => {
+  const filters = searchAnalyticsService.parseReportFilters(req.query);
+  const queries = await searchAnalyticsService.getZeroResultQueries(filters, { limit: reportLimit(req.query) });
+  respond(res, filters, { queries });
+});
+
+/**
+ * GET /api/v1/admin/search/analytics/click-through?positions=20
+ */
+exports.getClickThroughByPosition = catchAsync(async (req, res, next) => {
+  const filters = searchAnalyticsService.parseReportFilters(req.query);
+  const maxPosition = Math.min(100, Math.max(1, parseInt(req.query.positions, 10) || 20));
+  const report = await searchAnalyticsService.getClickThroughByPosition(filters, { maxPosition });
+  respond(res, filters, report);
+});
+
+/**
+ * GET /api/v1/admin/search/analytics/conversions?limit=
+ */
+exports.getConversions = catchAsync(async (req, res, next) => {
+  const filters = searchAnalyticsService.parseReportFilters(req.query);
+  const report = await searchAnalyticsService.getSearchConversions(filters, { limit: reportLimit(req.query) });
+  respond(res, filters, report);
+});
+
+/**
+ * GET /api/v1/admin/search/analytics/exits?limit=&minSearches=
+ */
+exports.getHighExitQueries = catchAsync(async (req, res, next) => {
+  const filters = searchAnalyticsService.parseReportFilters(req.query);
+  const minSearches = Math.max(1, parseInt(req.query.minSearches, 10) || 5);
+  const queries = await searchAnalyticsService.getHighExitQueries(filters, {
+    limit: reportLimit(req.query),
+    minSearches,
+  });
+  respond(res, filters, { queries });
+});
+
+/**
+ * GET /api/v1/admin/search/analytics/digest
+ * The weekly digest content, without sending it
+ */
+exports.getWeeklyDigest = catchAsync(async (req, res, next) => {
+  const digest = await searchAnalyticsService.buildWeeklyDigest();
+  res.status(200).json({
+    status: 'success',
+    data: { digest },
+  });
+});
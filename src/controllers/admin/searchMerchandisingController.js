@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const SearchSynonym = require('../../models/search/searchSynonymModel');
+const SearchCorrection = require('../../models/search/searchCorrectionModel');
+const SearchRule = require('../../models/search/searchRuleModel');
+const searchRulesService = require('../../services/search/searchRulesService');
+const spellingCorrectionService = require('../../services/search/spellingCorrectionService');
+const { normalizeQuery } = require('../../utils/helpers/searchUtils');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+const BOOST_FIELDS = ['brand', 'seller', 'category', 'product'];
+
+const normalizeTerms = (terms) =>
+  [...new Set((Array.isArray(terms) ? terms : [terms]).map((t) => normalizeQuery(String(t || ''))).filter(Boolean))];
+
+const isId = (value) => mongoose.Types.ObjectId.isValid(String(value || ''));
+
+function parseSynonym(body, existing = {}) {
+  const type = body.type ?? existing.type ?? 'equivalent';
+  if (!['equivalent', 'one_way'].includes(type)) {
+    throw new AppError('Synonym type must be equivalent or one_way', 400);
+  }
+  const terms = body.terms !== undefined ? normalizeTerms(body.terms) : existing.terms || [];
+  const input = body.input !== undefined ? normalizeQuery(String(body.input || '')) || null : existing.input || null;
+
+  if (type === 'one_way' && !input) {
+    throw new AppError('One-way synonyms need an input term', 400);
+  }
+  if (type === 'one_way' && terms.length < 1) {
+    throw new AppError('At least one synonym term is required', 400);
+  }
+  if (type === 'equivalent' && terms.length < 2) {
+    throw new AppError('Equivalent synonyms need at least two terms', 400);
+  }
+
+  const data = { type, terms, input: type === 'one_way' ? input : null };
+  if (body.note !== undefined) data.note = body.note;
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+  return data;
+}
+
+function parseRule(body, existing = {}) {
+  const data = {};
+  if (body.name !== undefined) data.name = body.name;
+  if (body.queries !== undefined) data.queries = normalizeTerms(body.queries);
+  if (body.queryMatch !== undefined) {
+    if (!['exact', 'contains'].includes(body.queryMatch)) {
+      throw new AppError('queryMatch must be exact or contains', 400);
+    }
+    data.queryMatch = body.queryMatch;
+  }
+  if (body.category !== undefined) {
+    if (body.category && !isId(body.category)) throw new AppError('Invalid category id', 400);
+    data.category = body.category || null;
+  }
+  if (body.pins !== undefined) {
+    const pins = Array.isArray(body.pins) ? body.pins : [];
+    pins.forEach((pin) => {
+      const position = Number(pin?.position);
+      if (!isId(pin?.product) || !Number.isInteger(position) || position < 1 || position > 100) {
+        throw new AppError('Each pin needs a product id and a position from 1 to 100', 400);
+      }
+    });
+    data.pins = pins.map((pin) => ({ product: pin.product, position: Number(pin.position) }));
+  }
+  if (body.bury !== undefined) {
+    const bury = Array.isArray(body.bury) ? body.bury : [];
+    if (!bury.every(isId)) throw new AppError('bury must be a list of product ids', 400);
+    data.bury = bury;
+  }
+  if (body.boosts !== undefined) {
+    const boosts = Array.isArray(body.boosts) ? body.boosts : [];
+    data.boosts = boosts.map((boost) => {
+      const weight = boost?.weight === undefined ? 0.3 : Number(boost.weight);
+      if (!BOOST_FIELDS.includes(boost?.field) || !boost.value || !(weight >= -1 && weight <= 1)) {
+        throw new AppError(`Each boost needs a field (${BOOST_FIELDS.join(', ')}), a value and a weight from -1 to 1`, 400);
+      }
+      if (boost.field !== 'brand' && !isId(boost.value)) {
+        throw new AppError(`Boost value for ${boost.field} must be an id`, 400);
+      }
+      return { field: boost.field, value: String(boost.value).trim(), weight };
+    });
+  }
+  if (body.priority !== undefined) data.priority = Number(body.priority) || 0;
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+  ['startsAt', 'endsAt'].forEach((key) => {
+    if (body[key] !== undefined) data[key] = body[key] ? new Date(body[key]) : null;
+  });
+
+  const merged = { ...existing, ...data };
+  if (!merged.name) throw new AppError('Rule name is required', 400);
+  if (!(merged.queries || []).length && !merged.category) {
+    throw new AppError('A search rule needs at least one query or a category', 400);
+  }
+  if (!(merged.pins || []).length && !(merged.bury || []).length && !(merged.boosts || []).length) {
+    throw new AppError('A search rule needs at least one pin, bury or boost', 400);
+  }
+  if (merged.startsAt && merged.endsAt && new Date(merged.endsAt) <= new Date(merged.startsAt)) {
+    throw new AppError('endsAt must be after startsAt', 400);
+  }
+  return data;
+}
+
+const pageParams = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const logChange = (req, action, description, metadata) =>
+  logActivityAsync({ userId: req.user.id, role: 'admin', action, description, req, metadata });
+
+// ─── Synonyms ────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/admin/search/synonyms?q=&isActive=
+ */
+exports.getSynonyms = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = pageParams(req.query);
+  const filter = {};
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+  const term = normalizeQuery(req.query.q || '');
+  if (term) filter.$or = [{ terms: term }, { input: term }];
+
+  const [synonyms, total] = await Promise.all([
+    SearchSynonym.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+    SearchSynonym.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: synonyms.length,
+    total,
+    data: { synonyms },
+  });
+});
+
+/**
+ * POST /api/v1/admin/search/synonyms
+ * Body: { type: 'equivalent'|'one_way', terms: string[], input? (one_way), note? }
+ */
+exports.createSynonym = catchAsync(async (req, res, next) => {
+  const synonym = await SearchSynonym.create({
+    ...parseSynonym(req.body || {}),
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
+  });
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'CREATE_SEARCH_SYNONYM', `Admin added search synonyms: ${synonym.terms.join(', ')}`, {
+    synonymId: synonym._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { synonym },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/search/synonyms/:id
+ */
+exports.updateSynonym = catchAsync(async (req, res, next) => {
+  const synonym = await SearchSynonym.findById(req.params.id);
+  if (!synonym) return next(new AppError('Synonym not found', 404));
+
+  synonym.set({ ...parseSynonym(req.body || {}, synonym.toObject()), updatedBy: req.user.id });
+  await synonym.save();
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'UPDATE_SEARCH_SYNONYM', `Admin updated search synonym ${synonym._id}`, {
+    synonymId: synonym._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { synonym },
+  });
+});
+
+/**
+ * DELETE /api/v1/admin/search/synonyms/:id
+ */
+exports.deleteSynonym = catchAsync(async (req, res, next) => {
+  const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+  if (!synonym) return next(new AppError('Synonym not found', 404));
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'DELETE_SEARCH_SYNONYM', `Admin deleted search synonyms: ${synonym.terms.join(', ')}`, {
+    synonymId: synonym._id,
+  });
+
+  res.status(204).json({ status: 'success', data: null });
+});
+
+// ─── Spelling corrections ────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/admin/search/corrections?status=suggested&source=learned
+ * Suggested corrections come first by how often the misspelling returned nothing.
+ */
+exports.getCorrections = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = pageParams(req.query);
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.source) filter.source = req.query.source;
+
+  const [corrections, total] = await Promise.all([
+    SearchCorrection.find(filter)
+      .sort({ zeroResultSearches: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SearchCorrection.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: corrections.length,
+    total,
+    data: { corrections },
+  });
+});
+
+/**
+ * POST /api/v1/admin/search/corrections
+ * Body: { misspelling, correction } — admin corrections are approved immediately
+ */
+exports.createCorrection = catchAsync(async (req, res, next) => {
+  const misspelling = normalizeQuery(String(req.body?.misspelling || ''));
+  const correction = normalizeQuery(String(req.body?.correction || ''));
+  if (!misspelling || !correction) {
+    return next(new AppError('misspelling and correction are required', 400));
+  }
+  if (misspelling === correction) {
+    return next(new AppError('The correction must differ from the misspelling', 400));
+  }
+  if (await SearchCorrection.exists({ misspelling })) {
+    return next(new AppError(`A correction for "${misspelling}" already exists`, 409));
+  }
+
+  const doc = await SearchCorrection.create({
+    misspelling,
+    correction,
+    source: 'admin',
+    status: 'approved',
+    reviewedBy: req.user.id,
+    reviewedAt: new Date(),
+  });
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'CREATE_SEARCH_CORRECTION', `Admin added search correction "${misspelling}" → "${correction}"`, {
+    correctionId: doc._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { correction: doc },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/search/corrections/:id
+ * Body: { correction?, status?: 'approved'|'rejected'|'suggested' }
+ */
+exports.updateCorrection = catchAsync(async (req, res, next) => {
+  const doc = await SearchCorrection.findById(req.params.id);
+  if (!doc) return next(new AppError('Correction not found', 404));
+
+  const { status } = req.body || {};
+  if (req.body?.correction !== undefined) {
+    const correction = normalizeQuery(String(req.body.correction || ''));
+    if (!correction || correction === doc.misspelling) {
+      return next(new AppError('The correction must be a different, non-empty term', 400));
+    }
+    doc.correction = correction;
+  }
+  if (status !== undefined) {
+    if (!['approved', 'rejected', 'suggested'].includes(status)) {
+      return next(new AppError('Status must be approved, rejected or suggested', 400));
+    }
+    doc.status = status;
+    doc.reviewedBy = req.user.id;
+    doc.reviewedAt = new Date();
+  }
+  await doc.save();
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'UPDATE_SEARCH_CORRECTION', `Admin set search correction "${doc.misspelling}" → "${doc.correction}" (${doc.status})`, {
+    correctionId: doc._id,
+    status: doc.status,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { correction: doc },
+  });
+});
+
+/**
+ * DELETE /api/v1/admin/search/corrections/:id
+ */
+exports.deleteCorrection = catchAsync(async (req, res, next) => {
+  const doc = await SearchCorrection.findByIdAndDelete(req.params.id);
+  if (!doc) return next(new AppError('Correction not found', 404));
+  searchRulesService.invalidateSearchConfig();
+
+  res.status(204).json({ status: 'success', data: null });
+});
+
+/**
+ * POST /api/v1/admin/search/corrections/learn
+ * Runs the zero-result learner now instead of waiting for the daily job
+ */
+exports.learnCorrections = catchAsync(async (req, res, next) => {
+  const summary = await spellingCorrectionService.learnCorrections();
+
+  res.status(200).json({
+    status: 'success',
+    data: summary,
+  });
+});
+
+// ─── Merchandising rules ─────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/admin/search/rules?q=&category=&isActive=
+ */
+exports.getRules = catchAsync(async (req, res, next) => {
+  const { page, limit, skip } = pageParams(req.query);
+  const filter = {};
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+  if (req.query.category && isId(req.query.category)) filter.category = req.query.category;
+  const term = normalizeQuery(req.query.q || '');
+  if (term) filter.queries = term;
+
+  const [rules, total] = await Promise.all([
+    SearchRule.find(filter)
+      .populate('category', 'name slug')
+      .populate('pins.product', 'name slug imageCover')
+      .sort({ priority: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SearchRule.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: rules.length,
+    total,
+    data: { rules },
+  });
+});
+
+/**
+ * GET /api/v1/admin/search/rules/:id
+ */
+exports.getRule = catchAsync(async (req, res, next) => {
+  const rule = await SearchRule.findById(req.params.id)
+    .populate('category', 'name slug')
+    .populate('pins.product', 'name slug imageCover')
+    .populate('bury', 'name slug imageCover')
+    .lean();
+  if (!rule) return next(new AppError('Search rule not found', 404));
+
+  res.status(200).json({
+    status: 'success',
+    data: { rule },
+  });
+});
+
+/**
+ * POST /api/v1/admin/search/rules
+ * Body: { name, queries?, queryMatch?, category?, pins?: [{ product, position }], bury?: [productId],
+ *         boosts?: [{ field, value, weight }], priority?, startsAt?, endsAt? }
+ */
+exports.createRule = catchAsync(async (req, res, next) => {
+  const rule = await SearchRule.create({
+    ...parseRule(req.body || {}),
+    createdBy: req.user.id,
+    updatedBy: req.user.id,
+  });
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'CREATE_SEARCH_RULE', `Admin created search rule "${rule.name}"`, { ruleId: rule._id });
+
+  res.status(201).json({
+    status: 'success',
+    data: { rule },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/search/rules/:id
+ */
+exports.updateRule = catchAsync(async (req, res, next) => {
+  const rule = await SearchRule.findById(req.params.id);
+  if (!rule) return next(new AppError('Search rule not found', 404));
+
+  rule.set({ ...parseRule(req.body || {}, rule.toObject()), updatedBy: req.user.id });
+  await rule.save();
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'UPDATE_SEARCH_RULE', `Admin updated search rule "${rule.name}"`, { ruleId: rule._id });
+
+  res.status(200).json({
+    status: 'success',
+    data: { rule },
+  });
+});
+
+/**
+ * DELETE /api/v1/admin/search/rules/:id
+ */
+exports.deleteRule = catchAsync(async (req, res, next) => {
+  const rule = await SearchRule.findByIdAndDelete(req.params.id);
+  if (!rule) return next(new AppError('Search rule not found', 404));
+  searchRulesService.invalidateSearchConfig();
+
+  logChange(req, 'DELETE_SEARCH_RULE', `Admin deleted search rule "${rule.name}"`, { ruleId: rule._id });
+
+  res.status(204).json({ status: 'success', data: null });
+});
+
+// ─── Preview ─────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/admin/search/preview?q=&category=&limit=
+ * How a buyer search would be rewritten (corrections, synonyms), which rules apply and
+ * the resulting first page with each product's base and final position.
+ */
+exports.previewSearch = catchAsync(async (req, res, next) => {
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+  const categoryId = req.query.category || null;
+  if (categoryId && !isId(categoryId)) return next(new AppError('Invalid category id', 400));
+  if (!normalizeQuery(q) && !categoryId) {
+    return next(new AppError('Provide a query (q) or a category to preview', 400));
+  }
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const preview = await searchRulesService.previewSearch(q, { categoryId, limit });
+
+  res.status(200).json({
+    status: 'success',
+    data: preview,
+  });
+});
@@ -0,0 +1,105 @@
+const SmsMessage = require('../../models/notification/smsMessageModel');
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const smsService = require('../../services/sms/smsService');
+const { getSmsProvider } = require('../../services/sms/smsProvider');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new AppError('from and to must be valid dates', 400);
+  }
+  if (from > to) throw new AppError('from must be before to', 400);
+  return { from, to };
+};
+
+/**
+ * GET /api/v1/admin/sms/messages?status=&template=&to=&page=&limit=
+ * Outbound SMS log, newest first
+ */
+exports.getMessages = catchAsync(async (req, res, next) => {
+  const { status, template, to, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status && status !== 'all') query.status = status;
+  if (template) query.template = template;
+  if (to) {
+    const phone = smsService.normalizePhone(to);
+    if (!phone) return next(new AppError('Invalid phone number', 400));
+    query.to = phone;
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [messages, total] = await Promise.all([
+    SmsMessage.find(query)
+      .select('-receipt.raw')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    SmsMessage.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: messages.length,
+    total,
+    page: pageNum,
+    totalPages: Math.ceil(total / limitNum),
+    data: { messages },
+  });
+});
+
+/**
+ * GET /api/v1/admin/sms/ledger?from=&to=
+ * Message, segment and cost totals (default: last 30 days)
+ */
+exports.getLedger = catchAsync(async (req, res, next) => {
+  const range = parseRange(req.query);
+  const ledger = await smsService.getLedgerSummary(range);
+
+  res.status(200).json({
+    status: 'success',
+    filters: range,
+    data: {
+      provider: getSmsProvider().name,
+      senderId: smsService.getSenderId(),
+      ledger,
+    },
+  });
+});
+
+/**
+ * POST /api/v1/admin/sms/test
+ * Body: { to, message? } - send a test message through the configured provider
+ */
+exports.sendTestSms = catchAsync(async (req, res, next) => {
+  const { to, message } = req.body;
+  if (!to) return next(new AppError('to is required', 400));
+
+  const sms = await smsService.sendSms({
+    to,
+    message: message || `Test message from ${smsService.getSenderId()}`,
+    category: 'security',
+  });
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'admin',
+    action: 'SEND_TEST_SMS',
+    description: `Sent a test SMS to ${sms.to} (${sms.status})`,
+    req,
+    metadata: { smsId: sms._id, provider: sms.provider },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { message: sms },
+  });
+});
@@ -28,10 +28,12 @@ const { getIpAddress } = require('../../utils/helpers/deviceUtils');
 const securityMonitor = require('../../services/securityMonitor');
 const ActivityLog = require('../../models/activityLog/activityLogModel');
 const logger = require('../../utils/logger');
+const smsService = require('../../services/sms/smsService');
 const axios = require('axios');
 // Shared helpers for standardized auth
 const { normalizeEmail, normalizePhone } = require('../../utils/helpers/authHelpers');
 const { generateOtp, OTP_TYPES } = require('../../utils/helpers/otpHelpers');
+const { mergeGuestCart, getGuestCartToken } = require('../../services/cart/guestCartService');
 
 // Google OAuth client (backend) - used for buyer/seller Google sign-in
 // Supports multiple client IDs via GOOGLE_CLIENT_IDS (comma-separated) or single GOOGLE_CLIENT_ID
@@ -218,10 +220,11 @@ exports.signup = catchAsync(async (req, res, next) => {
     // If phone is provided, also send SMS OTP
     if (newUser.phone) {
       try {
-        const { sendSMS } = require('../../utils/email/emailService');
-        await sendSMS({
+        await smsService.sendSms({
           to: newUser.phone,
-          message: `Your Saiisai verification code is: ${otp}. Valid for 10 minutes.`,
+          template: 'otp',
+          data: { otp },
+          recipient: { id: newUser._id, role: 'buyer' },
         });
         logger.info(`[Buyer Signup] OTP sent to phone ${newUser.phone}`);
       } catch (smsError) {
@@ -753,6 +756,12 @@ exports.verify2FALogin = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Fold a cart filled before signing in into the buyer's cart
+  const cartMerge = await mergeGuestCart(user._id, getGuestCartToken(req));
+  if (cartMerge) {
+    response.cartMerge = cartMerge;
+  }
+
   res.status(200).json(response);
 });
 
@@ -1252,6 +1261,12 @@ exports.verifyOtp = catchAsync(async (req, res, next) => {
       }
     }
 
+    // Fold a cart filled before signing in into the buyer's cart
+    const cartMerge = await mergeGuestCart(user._id, getGuestCartToken(req));
+    if (cartMerge) {
+      response.cartMerge = cartMerge;
+    }
+
     res.status(200).json(response);
   } catch (error) {
     logger.error('Verify OTP error:', error);
@@ -2041,9 +2056,11 @@ exports.sendPasswordResetOtp = catchAsync(async (req, res, next) => {
           await sendLoginOtpEmail(user.email, otp, user.name);
           console.log(`[Auth] Password reset OTP email sent to ${user.email}`);
         } else {
-          await sendSMS({
+          await smsService.sendSms({
             to: user.phone,
-            message: `Your password reset code is: ${otp}. It will expire in 10 minutes.`,
+            template: 'passwordResetOtp',
+            data: { otp },
+            recipient: { id: user._id, role: 'buyer' },
           });
         }
       } catch (emailError) {
@@ -2233,23 +2250,27 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
       ...(isProduction && process.env.COOKIE_DOMAIN && { domain: process.env.COOKIE_DOMAIN }),
     });
 
-    // Send confirmation email/SMS
-    if (isEmail) {
-      await sendCustomEmail({
-        to: user.email,
-        subject: 'Password Reset Successful',
-        html: `
-          <h2>Password Reset Successful</h2>
-          <p>Your password has been successfully reset.</p>
-          <p>If you did not perform this action, please contact support immediately.</p>
-        `,
-      });
-    } else {
-      await sendSMS({
-        to: user.phone,
-        message:
-          'Your password has been successfully reset. If you did not perform this action, please contact support immediately.',
-      });
+    // Send confirmation email/SMS; the password is already changed, so a failed send must not turn into an error
+    try {
+      if (isEmail) {
+        await sendCustomEmail({
+          to: user.email,
+          subject: 'Password Reset Successful',
+          html: `
+            <h2>Password Reset Successful</h2>
+            <p>Your password has been successfully reset.</p>
+            <p>If you did not perform this action, please contact support immediately.</p>
+          `,
+        });
+      } else {
+        await smsService.sendSms({
+          to: user.phone,
+          template: 'passwordResetConfirmation',
+          recipient: { id: user._id, role: 'buyer' },
+        });
+      }
+    } catch (notifyError) {
+      logger.error('[Password Reset] Failed to send confirmation:', notifyError.message);
     }
 
     res.status(200).json({ message: 'Password reset successfully' });
@@ -2585,10 +2606,11 @@ exports.resendOtp = catchAsync(async (req, res, next) => {
   // Send OTP via SMS if phone provided
   if (user.phone) {
     try {
-      const { sendSMS } = require('../../utils/email/emailService');
-      await sendSMS({
+      await smsService.sendSms({
         to: user.phone,
-        message: `Your Saiisai verification code is: ${otp}. Valid for 10 minutes.`,
+        template: 'otp',
+        data: { otp },
+        recipient: { id: user._id, role: 'buyer' },
       });
       logger.info(`[Resend OTP] OTP sent to phone ${user.phone}`);
     } catch (error) {
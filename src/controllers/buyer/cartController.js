@@ -2,15 +2,18 @@ const Cart = require('../../models/product/cartModel');
 const handleFactory = require('../shared/handleFactory');
 const AppError = require('../../utils/errors/appError');
 const catchAsync = require('../../utils/helpers/catchAsync');
-const mongoose = require('mongoose');
 const Product = require('../../models/product/productModel');
 const logger = require('../../utils/logger');
 const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+const pricingEngine = require('../../services/pricing/pricingEngine');
 const {
-  getPromosFromAds,
-  getApplicablePromos,
-  applyPromosToPrice,
-} = require('../seller/productController');
+  MAX_QUANTITY_PER_ITEM,
+  getVariantIdForLookup,
+  validateCartAddition,
+  findCartItemIndex,
+  getAvailableStock,
+} = require('../../services/cart/cartService');
+const guestCartService = require('../../services/cart/guestCartService');
 
 // Set user ID from authenticated user
 exports.setUserId = (req, res, next) => {
@@ -18,60 +21,6 @@ exports.setUserId = (req, res, next) => {
   next();
 };
 
-/**
- * Normalize variant to a valid ObjectId string or null.
- * Prevents storing stringified variant objects (from old clients/bugs).
- * If value looks like JSON (starts with { or [), try to extract _id; otherwise reject.
- */
-function normalizeVariantId(value) {
-  if (value == null || value === '') return null;
-  const str =
-    typeof value === 'object' && value !== null && value._id != null
-      ? (value._id.toString ? value._id.toString() : String(value._id))
-      : String(value);
-  const trimmed = str.trim();
-  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-    try {
-      const parsed = JSON.parse(trimmed);
-      const id = parsed?._id ?? parsed?.id;
-      return id != null && mongoose.Types.ObjectId.isValid(String(id)) ? String(id) : null;
-    } catch {
-      return null;
-    }
-  }
-  return mongoose.Types.ObjectId.isValid(trimmed) ? trimmed : null;
-}
-
-/**
- * Get variant ID from a cart item for lookup. If item.variant is a stringified
- * object (invalid), return null so we don't match and we return variant: null.
- */
-function getVariantIdForLookup(item) {
-  const raw = item.variant;
-  if (raw == null || raw === '') return null;
-  const str = String(raw).trim();
-  if (str.startsWith('{') || str.startsWith('[')) {
-    // Attempt to parse existing stringified Object to rescue the cart
-    try {
-      // Sometimes it's not valid JSON, but rather `"{ _id: new ObjectId('...') }"`
-      // We'll use a regex to snatch the hex id
-      const match = str.match(/(?:_id|id)\s*["': ]+([0-9a-fA-F]{24})/);
-      if (match && match[1]) {
-        return mongoose.Types.ObjectId.isValid(match[1]) ? match[1] : null;
-      }
-
-      const parsed = JSON.parse(str);
-      const id = parsed?._id ?? parsed?.id;
-      return id != null && mongoose.Types.ObjectId.isValid(String(id)) ? String(id) : null;
-    } catch {
-      // Fallback regex if it's strictly a mongoose string representation
-      const match = str.match(/([0-9a-fA-F]{24})/);
-      return match && match[1] && mongoose.Types.ObjectId.isValid(match[1]) ? match[1] : null;
-    }
-  }
-  return mongoose.Types.ObjectId.isValid(str) ? str : null;
-}
-
 // Helper function to populate cart with product details
 const populateCart = (cart) => {
   return cart.populate({
@@ -79,7 +28,7 @@ const populateCart = (cart) => {
     // Include isPreOrder + pre-order metadata so frontend (cart, checkout)
     // can clearly label pre-order items and show international shipping info.
     select:
-      'name price priceInclVat imageCover variants seller isEazShopProduct isPreOrder preOrderAvailableDate preOrderNote preOrderOriginCountry',
+      'name price defaultPrice priceInclVat imageCover variants seller parentCategory subCategory promotionKey isEazShopProduct isPreOrder preOrderAvailableDate preOrderNote preOrderOriginCountry',
     populate: {
       path: 'seller',
       select: '_id name shopName role shopAddress location',
@@ -129,55 +78,37 @@ const mapCartProducts = (populatedProducts) => {
     });
 };
 
-// Apply promo pricing to cart products; mutates items in place, adds unitPrice and originalUnitPrice when discounted
+// Apply promo pricing to cart products (pricingEngine, same rules as checkout); mutates items in place,
+// adds unitPrice, priceExplanation and originalUnitPrice when discounted
 const applyCartPromoPricing = async (items) => {
-  if (!items?.length) return;
+  const lines = (items || []).filter((item) => item.product);
+  if (!lines.length) return;
 
-  const pricingService = require('../../services/pricing/pricingService');
-  let promos;
+  let priced;
   try {
-    promos = await getPromosFromAds();
+    priced = await pricingEngine.priceLines(
+      lines.map((item) => ({ product: item.product, unit: item.variant || undefined, quantity: item.quantity })),
+    );
   } catch (e) {
-    logger.warn('[cart] Could not load promos for cart:', e?.message);
+    logger.warn('[cart] Could not price cart items:', e?.message);
     return;
   }
 
-  for (const item of items) {
-    const product = item.product;
-    if (!product) continue;
-    const variant = item.variant;
-
-    // 1. Get base price (VAT exclusive)
-    const basePrice = (variant && variant.price != null)
-      ? Number(variant.price)
-      : Number(product.price ?? product.defaultPrice ?? 0);
-
-    if (!basePrice) {
+  lines.forEach((item, index) => {
+    const line = priced[index];
+    if (!line.basePrice) {
       item.unitPrice = 0;
-      continue;
+      return;
     }
-
-    // 2. Add VAT to get standard inclusive price for promo calculation
-    const taxService = require('../../services/tax/taxService');
-    const vatComputed = await taxService.addVatToBase(basePrice);
-    const standardPriceInclVat = vatComputed.priceInclVat;
-
-    // 3. Apply promotions to the standard inclusive price
-    const applicable = getApplicablePromos(product, promos);
-    const { unitPrice: finalInclVat } = applyPromosToPrice(standardPriceInclVat, applicable);
-    const promoDiscount = Math.max(0, standardPriceInclVat - finalInclVat);
-
-    // 4. Get final pricing breakdown using the unified service (P2-FIX 2)
-    const pricing = await pricingService.calculateItemPricing(basePrice, promoDiscount);
-
-    item.unitPrice = pricing.unitPrice;
-    if (pricing.promoDiscount > 0) {
-      item.originalUnitPrice = standardPriceInclVat;
+    item.unitPrice = line.unitPrice;
+    if (line.discount > 0) {
+      item.originalUnitPrice = line.listPrice;
     }
 
     // Attach breakdown for frontend display if needed
-    item.pricingBreakdown = pricing;
-  }
+    item.pricingBreakdown = line.pricing;
+    item.priceExplanation = pricingEngine.toPublicExplanation(line);
+  });
 };
 
 // Get current user's cart
@@ -240,9 +171,6 @@ exports.getMyCart = catchAsync(async (req, res, next) => {
   });
 });
 
-// Max quantity per line item (cart abuse prevention)
-const MAX_QUANTITY_PER_ITEM = 999;
-
 // Update specific cart item (user operation)
 // Backend: cartController.js
 exports.updateCartItem = catchAsync(async (req, res, next) => {
@@ -392,57 +320,15 @@ exports.clearCart = catchAsync(async (req, res) => {
 
 // --- Admin operations below ---
 exports.addToCart = catchAsync(async (req, res, next) => {
-  const rawProductId = req.body.productId;
-  const rawQuantity = req.body.quantity;
-  const variantId = req.body.variantId;
-
   const userId = req.user.id;
 
-  // Normalize productId (client may send string or object with _id)
-  const productId = rawProductId != null
-    ? (typeof rawProductId === 'object' && rawProductId._id != null ? rawProductId._id : rawProductId)
-    : null;
-  const productIdStr = productId != null ? String(productId) : '';
-
-  // Normalize quantity (client may send string "1")
-  const quantity = rawQuantity != null ? Math.floor(Number(rawQuantity)) : NaN;
-
-  // Validate input
-  if (!productIdStr || !mongoose.Types.ObjectId.isValid(productIdStr)) {
-    return next(new AppError('Invalid product ID', 400));
-  }
-
-  if (!Number.isInteger(quantity) || quantity < 1) {
-    return next(new AppError('Quantity must be a positive integer', 400));
-  }
-
-  // Enforce buyer visibility rules before allowing cart additions.
-  // If a product is not approved/active/visible, buyers must not add it.
-  const productDoc = await Product.findById(productIdStr)
-    .select(
-      'name moderationStatus status isVisible isDeleted isDeletedByAdmin isDeletedBySeller'
-    )
-    .lean();
-  if (!productDoc) {
-    return next(new AppError('Product not found', 404));
-  }
-  const notApproved = productDoc.moderationStatus !== 'approved';
-  const notSellableStatus = !['active', 'out_of_stock', 'outOfStock'].includes(
-    productDoc.status
-  );
-  const hiddenOrDeleted =
-    productDoc.isVisible === false ||
-    productDoc.isDeleted === true ||
-    productDoc.isDeletedByAdmin === true ||
-    productDoc.isDeletedBySeller === true;
-  if (notApproved || notSellableStatus || hiddenOrDeleted) {
-    return next(
-      new AppError(
-        `Product "${productDoc.name}" is not approved for sale.`,
-        400
-      )
-    );
-  }
+  // Validates input and enforces buyer visibility rules (shared with the guest cart)
+  const {
+    productId: productIdStr,
+    quantity,
+    variantId: normalizedVariantId,
+  } = await validateCartAddition(req.body);
+  const variantId = req.body.variantId;
 
   // Find or create cart
   let cart = await Cart.findOne({ user: userId });
@@ -455,16 +341,8 @@ exports.addToCart = catchAsync(async (req, res, next) => {
     });
   }
 
-  const normalizedVariantId = normalizeVariantId(variantId);
-
   // Check if item already exists in cart (same product + variant combination)
-  const existingItemIndex = cart.products.findIndex((item) => {
-    const itemProductId = item.product?.toString() || String(item.product);
-    const itemVariantId = getVariantIdForLookup(item);
-    const productMatches = itemProductId === productIdStr;
-    const variantMatches = itemVariantId === normalizedVariantId;
-    return productMatches && variantMatches;
-  });
+  const existingItemIndex = findCartItemIndex(cart.products, productIdStr, normalizedVariantId);
 
   if (existingItemIndex !== -1) {
     // Item exists, update quantity
@@ -482,7 +360,7 @@ exports.addToCart = catchAsync(async (req, res, next) => {
     }
 
     cart.products.push(newItem);
-    logger.info(`[addToCart] Added new item to cart: product=${productId}, variant=${normalizedVariantId || 'none'}, quantity=${quantity}`);
+    logger.info(`[addToCart] Added new item to cart: product=${productIdStr}, variant=${normalizedVariantId || 'none'}, quantity=${quantity}`);
   }
 
   // Save the cart
@@ -545,3 +423,149 @@ exports.getCart = catchAsync(async (req, res, next) => {
     data: { cart: returnCart },
   });
 });
+
+// --- Guest cart operations (no login; identified by the signed guest cart token) ---
+
+// Resolve the guest cart session from X-Guest-Cart-Token. Missing, forged or expired tokens
+// start a new session; the new token is returned to the client as data.guestCartToken.
+exports.resolveGuestCart = (req, res, next) => {
+  const guestId = guestCartService.verifyGuestCartToken(
+    guestCartService.getGuestCartToken(req),
+  );
+  if (guestId) {
+    req.guestCart = { guestId, token: null };
+  } else {
+    const { guestId: newGuestId, token } = guestCartService.issueGuestCartToken();
+    req.guestCart = { guestId: newGuestId, token };
+  }
+  next();
+};
+
+// Send the populated guest cart (plus the token when a new session was started)
+const sendGuestCart = async (req, res, cart) => {
+  let returnCart = { products: [], totalPrice: 0 };
+  if (cart) {
+    const populatedCart = await populateCart(Cart.findById(cart._id));
+    const mappedProducts = mapCartProducts(populatedCart?.products);
+    await applyCartPromoPricing(mappedProducts);
+    returnCart = {
+      ...(populatedCart ? populatedCart.toObject() : {}),
+      products: mappedProducts,
+    };
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      cart: returnCart,
+      ...(req.guestCart.token && { guestCartToken: req.guestCart.token }),
+    },
+  });
+};
+
+exports.getGuestCart = catchAsync(async (req, res, next) => {
+  // Don't create carts for sessions that have not added anything yet
+  const cart = req.guestCart.token
+    ? null
+    : await Cart.findOne({ guestId: req.guestCart.guestId });
+  await sendGuestCart(req, res, cart);
+});
+
+exports.addToGuestCart = catchAsync(async (req, res, next) => {
+  // Same validation and visibility rules as addToCart
+  const { productId, quantity, variantId } = await validateCartAddition(req.body);
+
+  const cart = await guestCartService.getOrCreateGuestCart(req.guestCart.guestId);
+
+  const existingItemIndex = findCartItemIndex(cart.products, productId, variantId);
+  if (existingItemIndex !== -1) {
+    cart.products[existingItemIndex].quantity += quantity;
+  } else {
+    cart.products.push({
+      product: productId,
+      quantity,
+      ...(variantId && { variant: variantId }),
+    });
+  }
+
+  await cart.save();
+  await sendGuestCart(req, res, cart);
+});
+
+exports.updateGuestCartItem = catchAsync(async (req, res, next) => {
+  const rawQty = req.body.quantity != null ? Number(req.body.quantity) : NaN;
+  if (!Number.isInteger(rawQty) || rawQty < 1) {
+    return next(new AppError('Quantity must be a positive integer', 400));
+  }
+  if (rawQty > MAX_QUANTITY_PER_ITEM) {
+    return next(new AppError(`Quantity cannot exceed ${MAX_QUANTITY_PER_ITEM} per item`, 400));
+  }
+
+  const cart = await Cart.findOne({ guestId: req.guestCart.guestId });
+  const item = cart?.products.id(req.params.itemId);
+  if (!item) {
+    return next(new AppError('Item not found in cart', 404));
+  }
+
+  const product = await Product.findById(item.product).select('variants').lean();
+  if (!product) {
+    item.deleteOne();
+    await cart.save();
+    return next(new AppError('Product no longer available. Item removed from cart.', 404));
+  }
+
+  // Clamp to available stock like updateCartItem
+  const availableStock = getAvailableStock(product, getVariantIdForLookup(item));
+  if (availableStock === 0) {
+    return next(new AppError('This item is currently out of stock.', 400));
+  }
+  item.quantity = Math.min(rawQty, availableStock);
+
+  await cart.save();
+  await sendGuestCart(req, res, cart);
+});
+
+exports.deleteGuestCartItem = catchAsync(async (req, res, next) => {
+  const cart = await Cart.findOneAndUpdate(
+    { guestId: req.guestCart.guestId },
+    { $pull: { products: { _id: req.params.itemId } } },
+    { new: true },
+  );
+  if (!cart) {
+    return next(new AppError('No cart found for this session', 404));
+  }
+
+  await sendGuestCart(req, res, cart);
+});
+
+exports.clearGuestCart = catchAsync(async (req, res) => {
+  await Cart.deleteOne({ guestId: req.guestCart.guestId });
+  res.status(204).json({ data: null, status: 'success' });
+});
+
+// Merge a guest cart into the signed-in user's cart (login merges automatically; this covers
+// clients that were already signed in on another tab when the guest cart was filled)
+exports.mergeGuestCart = catchAsync(async (req, res, next) => {
+  const token = guestCartService.getGuestCartToken(req);
+  if (!guestCartService.verifyGuestCartToken(token)) {
+    return next(new AppError('Guest cart token is missing or has expired', 400));
+  }
+
+  const cartMerge = await guestCartService.mergeGuestCart(req.user.id, token);
+
+  const cart = await populateCart(Cart.findOne({ user: req.user.id }));
+  let returnCart = null;
+  if (cart) {
+    const mappedProducts = mapCartProducts(cart.products);
+    await applyCartPromoPricing(mappedProducts);
+    returnCart = { ...cart.toObject(), products: mappedProducts };
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      cart: returnCart,
+      cartMerge: cartMerge || { merged: 0, changes: [] },
+    },
+  });
+});
@@ -8,6 +8,8 @@ const TokenBlacklist = require('../../models/user/tokenBlackListModal');
 const { isMobileApp } = require('../../middleware/mobileAppGuard');
 const { checkFeature, FEATURES } = require('../../utils/featureFlags');
 const logger = require('../../utils/logger');
+const { enqueue } = require('../../services/jobs/jobQueueService');
+const { DATA_EXPORT_QUEUE } = require('../../services/user/dataExportService');
 // Get permissions - creates default permissions if not found
 exports.getPermissions = catchAsync(async (req, res, next) => {
   try {
@@ -287,9 +289,20 @@ exports.requestDataDownload = catchAsync(async (req, res, next) => {
     });
   }
 
+  const userId = req.user.id;
+  let exportId = null;
+
   try {
-    const userId = req.user.id;
-    const exportId = new mongoose.Types.ObjectId();
+    // One bundle at a time per user
+    const inProgress = await User.exists({
+      _id: userId,
+      dataExports: { $elemMatch: { status: { $in: ['pending', 'processing'] } } },
+    });
+    if (inProgress) {
+      return next(new AppError('A data export is already being prepared. We will email you when it is ready.', 409));
+    }
+
+    exportId = new mongoose.Types.ObjectId();
 
     // Update user document without triggering full validation
     const user = await User.findByIdAndUpdate(
@@ -310,27 +323,67 @@ exports.requestDataDownload = catchAsync(async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    // TODO: Background jobs are disabled (Bull/Redis removed)
-    // Data export functionality is temporarily unavailable
-    // Mark export as failed since background processing is not available
-    await User.updateOne(
-      { _id: userId, 'dataExports.exportId': exportId },
-      { $set: { 'dataExports.$.status': 'failed' } },
+    // Bundle is built by the data-export queue worker (jobs/dataExportJob.js)
+    await enqueue(
+      DATA_EXPORT_QUEUE,
+      { userId: String(userId), exportId: String(exportId) },
+      {
+        name: 'Buyer personal data export',
+        uniqueKey: `${DATA_EXPORT_QUEUE}:${exportId}`,
+        maxAttempts: 3,
+        backoff: { type: 'exponential', delayMs: 60 * 1000 },
+        createdBy: { id: userId, model: 'User' },
+      },
     );
-    console.warn('[PermissionController] Data export requested but background jobs are disabled (Bull/Redis removed)');
 
-    res.status(200).json({
-      status: 'failed',
+    res.status(202).json({
+      status: 'pending',
       message:
-        'Data export is currently unavailable. Please try again later.',
+        'Your data export is being prepared. We will email you a download link when it is ready.',
       exportId,
     });
   } catch (error) {
     logger.error('Data export error:', error);
+    if (exportId) {
+      // Do not leave a pending entry that blocks future requests
+      await User.updateOne(
+        { _id: userId, 'dataExports.exportId': exportId },
+        { $set: { 'dataExports.$.status': 'failed' } },
+      ).catch(() => {});
+    }
     next(new AppError('Could not process data export request', 500));
   }
 });
 
+// List the user's data exports (newest first); links are only returned while valid
+exports.getDataExports = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('dataExports');
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const now = new Date();
+  const dataExports = (user.dataExports || [])
+    .map((entry) => {
+      const isDownloadable = entry.status === 'completed' && entry.expiresAt > now;
+      return {
+        exportId: entry.exportId,
+        status: entry.status === 'completed' && !isDownloadable ? 'expired' : entry.status,
+        requestedAt: entry.requestedAt,
+        completedAt: entry.completedAt,
+        expiresAt: entry.expiresAt,
+        fileSize: entry.fileSize,
+        downloadUrl: isDownloadable ? entry.downloadUrl : null,
+      };
+    })
+    .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+
+  res.status(200).json({
+    status: 'success',
+    data: { dataExports },
+  });
+});
+
 exports.requestAccountDeletion = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user.id).select('+password');
 
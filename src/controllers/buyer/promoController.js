@@ -7,12 +7,15 @@ const {
   syncPromoStatuses,
   findPromoByIdentifier,
 } = require('../../services/promo/promoService');
+const { describeOffer } = require('../../services/promo/promoOfferService');
 
 const toRegex = (value) => new RegExp(String(value || '').trim(), 'i');
 
 const isPromoPubliclyVisible = (promo) =>
   promo && ['active', 'scheduled'].includes(String(promo.status || ''));
 
+const offerLabel = (promo) => (promo.offer?.type ? describeOffer(promo.offer.type, promo.offer) : null);
+
 const addSubmissionCounts = async (promos) => {
   if (!promos.length) return {};
   const promoIds = promos.map((promo) => promo._id);
@@ -73,6 +76,7 @@ exports.getPublicPromos = catchAsync(async (req, res) => {
     return {
       ...plain,
       approvedProductCount: approvedCount,
+      offerLabel: offerLabel(plain),
       analytics: {
         ...(plain.analytics || {}),
         approvedCount:
@@ -114,6 +118,7 @@ exports.getPublicPromoById = catchAsync(async (req, res, next) => {
       promo: {
         ...promo.toObject(),
         approvedProductCount: approvedCount,
+        offerLabel: offerLabel(promo),
       },
     },
   });
@@ -11,6 +11,11 @@ const { logActivityAsync } = require('../../modules/activityLog/activityLog.serv
 const mongoose = require('mongoose');
 const logger = require('../../utils/logger');
 const { sendCustomEmail, brandConfig } = require('../../utils/email/emailService');
+const { canRefundToOriginalPayment } = require('../../services/refund/paystackRefundService');
+
+const REFUND_METHODS = ['wallet', 'original_payment'];
+const ORIGINAL_PAYMENT_UNAVAILABLE_MESSAGE =
+  'This order was not paid by card or mobile money, so it can only be refunded to your wallet';
 
 /**
  * POST /api/v1/orders/:orderId/request-refund
@@ -29,7 +34,8 @@ const { sendCustomEmail, brandConfig } = require('../../utils/email/emailService
  *   ],
  *   reason: "defective_product", // Main reason (for backward compatibility)
  *   reasonText: "Main reason text",
- *   images: ["url1"] // Main images (for backward compatibility)
+ *   images: ["url1"], // Main images (for backward compatibility)
+ *   refundMethod: "wallet" // or "original_payment" (card / MoMo paid via Paystack)
  * }
  * 
  * Request body for whole-order refund (backward compatible):
@@ -43,8 +49,13 @@ const { sendCustomEmail, brandConfig } = require('../../utils/email/emailService
 exports.requestRefund = catchAsync(async (req, res, next) => {
   const { orderId } = req.params;
   const { items, reason, reasonText, amount, images } = req.body;
+  const refundMethod = req.body.refundMethod || 'wallet';
   const userId = req.user.id;
 
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    return next(new AppError('Refund method must be wallet or original_payment', 400));
+  }
+
   // Validate input
   if (!reason && (!items || items.length === 0)) {
     return next(new AppError('Refund reason is required', 400));
@@ -79,6 +90,10 @@ exports.requestRefund = catchAsync(async (req, res, next) => {
     return next(new AppError(isEligible.message, 400));
   }
 
+  if (refundMethod === 'original_payment' && !canRefundToOriginalPayment(order)) {
+    return next(new AppError(ORIGINAL_PAYMENT_UNAVAILABLE_MESSAGE, 400));
+  }
+
   // Start transaction for item-level refunds
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -187,6 +202,7 @@ exports.requestRefund = catchAsync(async (req, res, next) => {
         reasonText: reasonText || '',
         images: images || [],
         status: 'pending',
+        refundMethod,
       }], { session });
 
       refundRequest = refundRequest[0];
@@ -228,6 +244,7 @@ exports.requestRefund = catchAsync(async (req, res, next) => {
         reasonText: reasonText || '',
         images: images || [],
         status: 'pending',
+        refundMethod,
       }], { session });
 
       refundRequest = refundRequest[0];
@@ -441,7 +458,7 @@ exports.getRefundStatus = catchAsync(async (req, res, next) => {
   const userId = req.user.id;
 
   const order = await Order.findById(orderId)
-    .select('refundRequested refundStatus refundReason refundReasonText refundAmount refundRequestDate refundProcessedAt refundRejectionReason orderNumber totalPrice user orderItems')
+    .select('refundRequested refundStatus refundReason refundReasonText refundAmount refundRequestDate refundProcessedAt refundRejectionReason orderNumber totalPrice user orderItems paymentMethod paymentReference paymentStatus')
     .populate('orderItems');
 
   if (!order) {
@@ -502,6 +519,8 @@ exports.getRefundStatus = catchAsync(async (req, res, next) => {
         requestDate: order.refundRequestDate || null,
         processedAt: order.refundProcessedAt || null,
         rejectionReason: order.refundRejectionReason || null,
+        // Where the refund can be paid: wallet credit, or back to the card / MoMo wallet that paid
+        refundMethods: canRefundToOriginalPayment(order) ? REFUND_METHODS : ['wallet'],
         // Item-level refunds (new)
         itemRefunds: itemRefunds.length > 0 ? itemRefunds : null,
         // Expose full latest RefundRequest metadata (used by buyer refund detail page)
@@ -525,6 +544,12 @@ exports.getRefundStatus = catchAsync(async (req, res, next) => {
           finalRefundAmount: rr.finalRefundAmount,
           resolutionType: rr.resolutionType || 'refund',
           resolutionNote: rr.resolutionNote || null,
+          refundMethod: rr.refundMethod || 'wallet',
+          gatewayRefund: rr.gatewayRefund?.status ? {
+            status: rr.gatewayRefund.status,
+            amount: rr.gatewayRefund.amount,
+            processedAt: rr.gatewayRefund.processedAt,
+          } : null,
         })) : null,
       },
     },
@@ -668,4 +693,51 @@ exports.selectReturnShippingMethod = catchAsync(async (req, res, next) => {
   } finally {
     session.endSession();
   }
-});
\ No newline at end of file
+});
+/**
+ * PATCH /api/v1/orders/:orderId/refunds/:refundId/refund-method
+ * Buyer chooses where the refund is paid (wallet credit or the original payment method)
+ * until the refund is approved
+ */
+exports.selectRefundMethod = catchAsync(async (req, res, next) => {
+  const { orderId, refundId } = req.params;
+  const { refundMethod } = req.body;
+  const userId = req.user.id;
+
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    return next(new AppError('Refund method must be wallet or original_payment', 400));
+  }
+
+  const refundRequest = await RefundRequest.findOne({ _id: refundId, order: orderId });
+  if (!refundRequest) {
+    return next(new AppError('Refund request not found', 404));
+  }
+
+  if (refundRequest.buyer.toString() !== userId.toString()) {
+    return next(new AppError('You are not authorized to modify this refund request', 403));
+  }
+
+  if (['approved', 'processing', 'completed', 'rejected'].includes(refundRequest.status)) {
+    return next(new AppError('The refund method cannot be changed after the refund has been decided', 400));
+  }
+
+  if (refundMethod === 'original_payment') {
+    const order = await Order.findById(orderId)
+      .select('paymentMethod paymentReference paymentStatus')
+      .lean();
+    if (!canRefundToOriginalPayment(order)) {
+      return next(new AppError(ORIGINAL_PAYMENT_UNAVAILABLE_MESSAGE, 400));
+    }
+  }
+
+  refundRequest.refundMethod = refundMethod;
+  await refundRequest.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Refund method updated',
+    data: {
+      refund: refundRequest,
+    },
+  });
+});
@@ -0,0 +1,152 @@
+const Subscription = require('../../models/order/subscriptionModel');
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const subscriptionService = require('../../services/order/subscriptionService');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+/**
+ * Load a subscription owned by the authenticated buyer.
+ */
+const findOwnSubscription = async (id, userId) => {
+  const subscription = await Subscription.findOne({ _id: id, user: userId });
+  if (!subscription) {
+    throw new AppError('Subscription not found', 404);
+  }
+  return subscription;
+};
+
+const logSubscriptionActivity = (req, action, subscription, description) => {
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'buyer',
+    action,
+    description,
+    req,
+    metadata: { subscriptionId: subscription._id, productId: subscription.product },
+  });
+};
+
+/**
+ * POST /api/v1/subscriptions
+ * Body: { product, sku, quantity, interval, intervalCount, address, paymentMethod,
+ *         deliveryMethod?, pickupCenterId?, deliverySpeed? }
+ * Places the first order immediately. Paystack subscriptions stay pending_payment until
+ * that order is paid; the card used is then reused for renewals.
+ */
+exports.createSubscription = catchAsync(async (req, res, next) => {
+  const { subscription, order } = await subscriptionService.createSubscription(req.user, req.body);
+
+  logSubscriptionActivity(
+    req,
+    'CREATE_SUBSCRIPTION',
+    subscription,
+    `Buyer subscribed to "${subscription.productName}" (${subscription.interval})`,
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: { subscription, order },
+  });
+});
+
+/**
+ * GET /api/v1/subscriptions
+ */
+exports.getMySubscriptions = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user.id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const subscriptions = await Subscription.find(filter)
+    .populate('product', 'name imageCover price')
+    .populate('lastOrder', 'orderNumber totalPrice paymentStatus currentStatus createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: subscriptions.length,
+    data: { subscriptions },
+  });
+});
+
+/**
+ * GET /api/v1/subscriptions/:id
+ */
+exports.getSubscription = catchAsync(async (req, res, next) => {
+  const subscription = await Subscription.findOne({ _id: req.params.id, user: req.user.id })
+    .populate('product', 'name imageCover price')
+    .populate('address')
+    .populate('orders', 'orderNumber totalPrice paymentStatus currentStatus createdAt')
+    .lean();
+  if (!subscription) {
+    return next(new AppError('Subscription not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { subscription },
+  });
+});
+
+/**
+ * PATCH /api/v1/subscriptions/:id/pause
+ * Body: { resumeAt? } - optional date on which renewals resume automatically
+ */
+exports.pauseSubscription = catchAsync(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req.params.id, req.user.id);
+  const updated = await subscriptionService.pauseSubscription(subscription, { resumeAt: req.body.resumeAt });
+
+  logSubscriptionActivity(req, 'PAUSE_SUBSCRIPTION', updated, `Buyer paused subscription to "${updated.productName}"`);
+
+  res.status(200).json({
+    status: 'success',
+    data: { subscription: updated },
+  });
+});
+
+/**
+ * PATCH /api/v1/subscriptions/:id/resume
+ */
+exports.resumeSubscription = catchAsync(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req.params.id, req.user.id);
+  const updated = await subscriptionService.resumeSubscription(subscription);
+
+  logSubscriptionActivity(req, 'RESUME_SUBSCRIPTION', updated, `Buyer resumed subscription to "${updated.productName}"`);
+
+  res.status(200).json({
+    status: 'success',
+    data: { subscription: updated },
+  });
+});
+
+/**
+ * PATCH /api/v1/subscriptions/:id/skip
+ * Skips the next delivery; the renewal date moves forward one cycle
+ */
+exports.skipNextRenewal = catchAsync(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req.params.id, req.user.id);
+  const updated = await subscriptionService.skipNextRenewal(subscription);
+
+  logSubscriptionActivity(req, 'SKIP_SUBSCRIPTION_RENEWAL', updated, `Buyer skipped a delivery of "${updated.productName}"`);
+
+  res.status(200).json({
+    status: 'success',
+    data: { subscription: updated },
+  });
+});
+
+/**
+ * PATCH /api/v1/subscriptions/:id/cancel
+ * Body: { reason? }
+ */
+exports.cancelSubscription = catchAsync(async (req, res, next) => {
+  const subscription = await findOwnSubscription(req.params.id, req.user.id);
+  const updated = await subscriptionService.cancelSubscription(subscription, req.body.reason);
+
+  logSubscriptionActivity(req, 'CANCEL_SUBSCRIPTION', updated, `Buyer cancelled subscription to "${updated.productName}"`);
+
+  res.status(200).json({
+    status: 'success',
+    data: { subscription: updated },
+  });
+});
@@ -5,10 +5,13 @@ const AppError = require('../../utils/errors/appError');
 const CreditBalance = require('../../models/user/creditbalanceModel');
 const mongoose = require('mongoose');
 const couponService = require('../../services/coupon/couponService');
+const promoOfferService = require('../../services/promo/promoOfferService');
+const pricingEngine = require('../../services/pricing/pricingEngine');
 const notificationService = require('../../services/notification/notificationService');
 const Seller = require('../../models/user/sellerModel');
 const User = require('../../models/user/userModel');
 const Order = require('../../models/order/orderModel');
+const Product = require('../../models/product/productModel');
 const SellerOrder = require('../../models/order/sellerOrderModel');
 const Follow = require('../../models/user/followModel');
 const {
@@ -33,13 +36,15 @@ exports.createCouponBatch = catchAsync(async (req, res, next) => {
     platformFunded = false,
     maxUsagePerUser = 1,
     stackingAllowed = false,
+    offer,
     code, // optional custom coupon code provided by seller
   } = req.body;
 
   // Validate required fields
+  const isAdvancedOffer = promoOfferService.isAdvancedOfferType(discountType);
   if (
     !name ||
-    !discountValue ||
+    (!discountValue && !isAdvancedOffer) ||
     !discountType ||
     !validFrom ||
     !expiresAt ||
@@ -92,6 +97,16 @@ exports.createCouponBatch = catchAsync(async (req, res, next) => {
     return next(new AppError('Fixed discount cannot exceed GH₵1000', 400));
   }
 
+  // bogo / tiered / bundle / free_shipping coupons keep their settings in `offer`
+  let offerConfig;
+  if (isAdvancedOffer) {
+    try {
+      offerConfig = promoOfferService.normalizeOfferConfig(discountType, offer);
+    } catch (offerError) {
+      return next(offerError);
+    }
+  }
+
   // Get isPublic flag (defaults to false for private coupons)
   const { isPublic = false } = req.body;
 
@@ -104,8 +119,9 @@ exports.createCouponBatch = catchAsync(async (req, res, next) => {
   const couponBatch = await CouponBatch.create({
     name,
     seller: req.user.id,
-    discountValue,
+    discountValue: isAdvancedOffer ? undefined : discountValue,
     discountType,
+    offer: offerConfig,
     validFrom: new Date(validFrom),
     expiresAt: new Date(expiresAt),
     maxUsage,
@@ -765,7 +781,7 @@ exports.deleteCouponBatch = catchAsync(async (req, res, next) => {
 });
 
 exports.applyCoupon = catchAsync(async (req, res, next) => {
-  const { couponCode, orderAmount, productIds = [], categoryIds = [], sellerIds = [] } = req.body;
+  const { couponCode, orderAmount, productIds = [], categoryIds = [], sellerIds = [], items = [] } = req.body;
 
   const userId = req.user.id;
 
@@ -777,6 +793,27 @@ exports.applyCoupon = catchAsync(async (req, res, next) => {
     return next(new AppError('Coupon code and order amount are required', 400));
   }
 
+  // Cart lines (`items: [{ product, variant?, quantity }]`) are priced server-side; they are
+  // needed by bogo / tiered / bundle / free_shipping coupons
+  let cartLines = [];
+  if (Array.isArray(items) && items.length > 0) {
+    const validItems = items.filter((item) => mongoose.Types.ObjectId.isValid(item?.product)).slice(0, 100);
+    const products = await Product.find({ _id: { $in: validItems.map((item) => item.product) } })
+      .select('price defaultPrice variants seller parentCategory subCategory promotionKey');
+    const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+    const lineInputs = validItems
+      .filter((item) => productMap.has(String(item.product)))
+      .map((item) => {
+        const product = productMap.get(String(item.product));
+        const unit = item.variant ? product.variants?.id(item.variant) : null;
+        return { product, unit: unit || undefined, quantity: Math.max(1, parseInt(item.quantity, 10) || 1) };
+      });
+    const priced = await pricingEngine.priceLines(lineInputs);
+    cartLines = priced.map((line, index) =>
+      promoOfferService.toCartLine(lineInputs[index].product, line),
+    );
+  }
+
   // Use new coupon service for validation (includes all checks + discount calculation)
   const couponData = await couponService.validateCoupon(
     couponCode,
@@ -784,7 +821,9 @@ exports.applyCoupon = catchAsync(async (req, res, next) => {
     orderAmount,
     productIds,
     categoryIds,
-    sellerIds
+    sellerIds,
+    null,
+    cartLines
   );
 
   res.status(200).json({
@@ -800,6 +839,7 @@ exports.applyCoupon = catchAsync(async (req, res, next) => {
       platformFunded: couponData.platformFunded,
       remainingUses: couponData.remainingUses,
       userRemainingUses: couponData.userRemainingUses,
+      offer: couponData.offer,
     },
   });
 });
@@ -873,13 +913,15 @@ exports.getUserCoupons = catchAsync(async (req, res, next) => {
       // Calculate days until expiry
       const expiryDate = new Date(batch.expiresAt);
       const daysUntilExpiry = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
+      const offerLabel = promoOfferService.describeOffer(batch.discountType, batch.offer || {});
 
       userCoupons.push({
         id: coupon._id.toString(),
         code: coupon.code,
         title: batch.name,
-        description: `${batch.discountType === 'percentage' ? `${batch.discountValue}%` : `GH₵${batch.discountValue}`} off${batch.minOrderAmount > 0 ? ` on orders over GH₵${batch.minOrderAmount}` : ''}`,
-        discount: batch.discountType === 'percentage' ? `${batch.discountValue}%` : `GH₵${batch.discountValue}`,
+        description: offerLabel || `${batch.discountType === 'percentage' ? `${batch.discountValue}%` : `GH₵${batch.discountValue}`} off${batch.minOrderAmount > 0 ? ` on orders over GH₵${batch.minOrderAmount}` : ''}`,
+        discount: offerLabel || (batch.discountType === 'percentage' ? `${batch.discountValue}%` : `GH₵${batch.discountValue}`),
+        offer: batch.offer || null,
         discountValue: batch.discountValue,
         discountType: batch.discountType,
         expiration: batch.expiresAt,
@@ -0,0 +1,139 @@
+const Product = require('../../models/product/productModel');
+const LicenseKey = require('../../models/product/licenseKeyModel');
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { fulfillAwaitingLicenseKeys } = require('../../services/order/digitalDeliveryService');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+const MAX_KEYS_PER_UPLOAD = 1000;
+
+/**
+ * Load a license-key product owned by the authenticated seller.
+ */
+const findSellerLicenseProduct = async (productId, sellerId) => {
+  const product = await Product.findOne({ _id: productId, seller: sellerId })
+    .select('name seller isDigital digitalDeliveryType');
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  if (!product.isDigital || product.digitalDeliveryType !== 'license_key') {
+    throw new AppError('This product is not delivered with license keys', 400);
+  }
+  return product;
+};
+
+/**
+ * Accepts an array of keys or one string with one key per line.
+ */
+const parseKeys = (keys) => {
+  const list = Array.isArray(keys) ? keys : String(keys || '').split(/\r?\n/);
+  return [...new Set(list.map((k) => String(k || '').trim()).filter(Boolean))];
+};
+
+/**
+ * GET /api/v1/seller/license-keys/:productId
+ * Pool summary (counts per status) and the most recent keys, without their values
+ */
+exports.getLicenseKeys = catchAsync(async (req, res, next) => {
+  const product = await findSellerLicenseProduct(req.params.productId, req.user.id);
+
+  const [counts, keys] = await Promise.all([
+    LicenseKey.aggregate([
+      { $match: { product: product._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    LicenseKey.find({ product: product._id })
+      .select('sku status orderItem assignedAt revokedAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean(),
+  ]);
+
+  const summary = { available: 0, assigned: 0, revoked: 0 };
+  counts.forEach(({ _id, count }) => {
+    summary[_id] = count;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { product: { _id: product._id, name: product.name }, summary, keys },
+  });
+});
+
+/**
+ * POST /api/v1/seller/license-keys/:productId
+ * Add keys to the pool. Body: { keys: string[] | "one\nper\nline", sku? }
+ */
+exports.uploadLicenseKeys = catchAsync(async (req, res, next) => {
+  const product = await findSellerLicenseProduct(req.params.productId, req.user.id);
+
+  const keys = parseKeys(req.body.keys);
+  if (keys.length === 0) {
+    return next(new AppError('Please provide at least one license key', 400));
+  }
+  if (keys.length > MAX_KEYS_PER_UPLOAD) {
+    return next(new AppError(`You can upload at most ${MAX_KEYS_PER_UPLOAD} keys at a time`, 400));
+  }
+
+  const sku = req.body.sku ? String(req.body.sku).trim().toUpperCase() : null;
+  const docs = keys.map((key) => ({ product: product._id, seller: req.user.id, sku, key }));
+
+  let added = 0;
+  try {
+    const inserted = await LicenseKey.insertMany(docs, { ordered: false });
+    added = inserted.length;
+  } catch (error) {
+    // Duplicate keys are skipped; everything else is a real failure
+    if (error.code !== 11000 && !error.writeErrors) throw error;
+    added = error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+  }
+
+  // Orders that ran out of keys are served first from the new stock
+  let ordersFulfilled = 0;
+  try {
+    ordersFulfilled = await fulfillAwaitingLicenseKeys(product._id);
+  } catch (error) {
+    logger.error('[LicenseKeys] Error fulfilling orders awaiting keys:', error);
+  }
+
+  logActivityAsync({
+    userId: req.user.id,
+    role: 'seller',
+    action: 'UPLOAD_LICENSE_KEYS',
+    description: `Seller uploaded ${added} license key(s) for "${product.name}"`,
+    req,
+    metadata: { productId: product._id, added, duplicates: keys.length - added },
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      added,
+      duplicates: keys.length - added,
+      ordersFulfilled,
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/seller/license-keys/:productId/:keyId/revoke
+ * Remove an unused key from the pool
+ */
+exports.revokeLicenseKey = catchAsync(async (req, res, next) => {
+  const product = await findSellerLicenseProduct(req.params.productId, req.user.id);
+
+  const licenseKey = await LicenseKey.findOneAndUpdate(
+    { _id: req.params.keyId, product: product._id, status: 'available' },
+    { $set: { status: 'revoked', revokedAt: new Date() } },
+    { new: true },
+  );
+  if (!licenseKey) {
+    return next(new AppError('Only available license keys can be revoked', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { licenseKey },
+  });
+});
@@ -19,6 +19,14 @@ const BrowserHistory = require('../../models/user/browserHistoryModel');
 const handleFactory = require('../shared/handleFactory');
 const APIFeature = require('../../utils/helpers/apiFeatures');
 const { buildBuyerSafeQuery } = require('../../utils/helpers/productVisibility');
+const backInStockService = require('../../services/stock/backInStockService');
+const sellerAwayService = require('../../services/seller/sellerAwayService');
+const pricingEngine = require('../../services/pricing/pricingEngine');
+const reviewEngagementService = require('../../services/review/reviewEngagementService');
+const { normalizePromoKey, getPromotionKeyFromLink } = require('../../utils/helpers/promotionKey');
+
+/** Ad campaign discounts as `{ promotionKey, type, value }` (see pricingEngine.loadAdCampaigns) */
+const getPromosFromAds = () => pricingEngine.loadAdCampaigns();
 
 /** VAT-inclusive: never trust seller-submitted VAT values; server computes from price only */
 function stripSellerSubmittedVatFields(body) {
@@ -121,34 +129,6 @@ function applyDiscountsAtReadTime(product, applicableDiscounts) {
   }
 }
 
-/**
- * Decode a path or query segment that may be URI-encoded (e.g. easter%20promo).
- * @param {unknown} raw
- * @returns {string}
- */
-function decodePromoKeyInput(raw) {
-  if (raw == null || raw === '') return '';
-  const s = String(raw).trim();
-  try {
-    return decodeURIComponent(s.replace(/\+/g, ' '));
-  } catch {
-    return s;
-  }
-}
-
-/**
- * Normalize promotion key for comparison (e.g. "Ramdan-Special" -> "ramdan-special";
- * "easter%20promo" / "Easter Promo" -> "easter-promo").
- * @param {unknown} key
- * @returns {string}
- */
-function normalizePromoKey(key) {
-  if (key == null || key === '') return '';
-  const decoded = decodePromoKeyInput(key);
-  if (!decoded) return '';
-  return decoded.toLowerCase().replace(/\s+/g, '-');
-}
-
 /**
  * Discount model (`discountModel`) stores campaign `startDate` / `endDate` with optional
  * `promotionKey`. Merge those windows onto buyer product JSON so promos/countdowns match
@@ -282,55 +262,6 @@ function normalizePromotionKeyField(bodyOrFields) {
   }
 }
 
-/**
- * Extract promotion key from ad link (e.g. https://site.com/offers/ramdan-special -> "ramdan-special";
- * encoded segments like /offers/easter%20promo -> "easter-promo").
- * Matches frontend useAds extractPromotionKeyFromLink.
- */
-function getPromotionKeyFromLink(link) {
-  if (!link || typeof link !== 'string') return '';
-  const raw = String(link).trim();
-  try {
-    if (/^https?:\/\//i.test(raw)) {
-      const url = new URL(raw);
-      const match = url.pathname.match(/\/offers\/([^/?#]+)/i);
-      return match ? normalizePromoKey(match[1]) : '';
-    }
-    const match = raw.match(/\/offers\/([^/?#]+)/i);
-    return match ? normalizePromoKey(match[1]) : '';
-  } catch {
-    return '';
-  }
-}
-
-/**
- * Build promotional discount list from active ads (Ads = promotional discount).
- * Each ad with link containing /offers/:key and discountPercent > 0 becomes a promo.
- */
-async function getPromosFromAds() {
-  const now = new Date();
-  const ads = await Advertisement.find({
-    active: true,
-    startDate: { $lte: now },
-    $or: [{ endDate: null }, { endDate: { $gte: now } }, { endDate: { $exists: false } }],
-  })
-    .select('link discountType discountPercent discountFixed')
-    .lean();
-  const promos = [];
-  for (const ad of ads) {
-    const promotionKey = getPromotionKeyFromLink(ad.link);
-    if (!promotionKey) continue;
-    const discountType = ad.discountType === 'fixed' ? 'fixed' : 'percentage';
-    const value = discountType === 'fixed'
-      ? (typeof ad.discountFixed === 'number' && ad.discountFixed > 0 ? ad.discountFixed : 0)
-      : (typeof ad.discountPercent === 'number' && ad.discountPercent > 0 ? ad.discountPercent : 0);
-    if (value > 0) {
-      promos.push({ promotionKey, type: discountType, value });
-    }
-  }
-  return promos;
-}
-
 /**
  * Returns promotional discounts (from ads) that apply to this product (match by promotionKey only).
  */
@@ -1248,11 +1179,22 @@ exports.getProductReviews = catchAsync(async (req, res, next) => {
         select: 'shopName',
         strictPopulate: false,
       })
-      .sort({ createdAt: -1 })
+      .sort(reviewEngagementService.getReviewSort(req.query.sort))
       .lean();
 
     const reviews = await query;
 
+    // Hide photos awaiting moderation and attach the viewer's helpfulness vote
+    const viewerId = req.user ? req.user._id || req.user.id : null;
+    const userVotes = await reviewEngagementService.getUserVotes(
+      viewerId,
+      reviews.map((r) => r._id),
+    );
+    reviews.forEach((review) => {
+      review.images = reviewEngagementService.visibleReviewImages(review, viewerId);
+      review.userVote = userVotes.get(review._id.toString()) || null;
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -1432,7 +1374,7 @@ exports.getProductById = catchAsync(async (req, res, next) => {
     })
     .populate({
       path: 'seller',
-      select: '_id name shopName avatar role ratings shopLocation',
+      select: '_id name shopName avatar role ratings shopLocation awayMode',
     })
     .populate({
       path: 'moderatedBy',
@@ -1453,6 +1395,12 @@ exports.getProductById = catchAsync(async (req, res, next) => {
 
   productResponse.promoPrice = 0;
 
+  // Buyer-facing away notice; the raw schedule stays private to the seller
+  if (productResponse.seller && typeof productResponse.seller === 'object') {
+    productResponse.sellerAway = sellerAwayService.publicAwayInfo(productResponse.seller);
+    delete productResponse.seller.awayMode;
+  }
+
   // Include approved reviews in product response; also pending for the current user (matches getProductReviews)
   let reviewStatusFilter = { status: 'approved' };
   if (req.user && req.user.role === 'admin') {
@@ -1482,11 +1430,22 @@ exports.getProductById = catchAsync(async (req, res, next) => {
     ? Math.round((productReviews.reduce((s, r) => s + (r.rating || 0), 0) / productReviews.length) * 10) / 10
     : productResponse.ratingsAverage ?? 0;
 
-  // Promotional discounts = Ads (link + discountPercent). Seller discounts are separate.
+  // Price every variant through the pricing engine (same rules as cart and checkout).
+  // promoPrice stays in the variant price space (VAT exclusive) for existing clients.
   if (productResponse?.variants?.length > 0) {
-    const promosFromAds = await getPromosFromAds();
-    const applicable = getApplicablePromos(productResponse, promosFromAds, null);
-    if (applicable.length > 0) applyDiscountsAtReadTime(productResponse, applicable);
+    const priced = await pricingEngine.priceLines(
+      productResponse.variants.map((variant) => ({ product: productResponse, unit: variant })),
+    );
+    productResponse.variants.forEach((variant, index) => {
+      variant.priceExplanation = pricingEngine.toPublicExplanation(priced[index]);
+    });
+    const [first] = priced;
+    productResponse.priceExplanation = productResponse.variants[0].priceExplanation;
+    if (first.discount > 0 && first.listPrice > 0) {
+      productResponse.promoPrice = Math.round(((first.basePrice * first.unitPrice) / first.listPrice) * 100) / 100;
+      productResponse.originalPrice = first.basePrice;
+      productResponse.isOnSale = true;
+    }
   }
 
   // Enrich with originalPrice + isOnSale from variants (e.g. Ramadan/campaign discount) when using .lean()
@@ -2009,6 +1968,7 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
     if (!product) {
       return next(new AppError('Product not found', 404));
     }
+    const previousVariantStock = backInStockService.snapshotVariantStock(product);
 
     // Update all fields except variants (we'll handle variants separately)
     const updateFields = { ...req.body };
@@ -2162,6 +2122,9 @@ exports.updateProduct = catchAsync(async (req, res, next) => {
       throw saveError;
     }
 
+    // Notify buyers waiting on variants that are back in stock (queued, non-blocking)
+    backInStockService.handleProductRestock(previousVariantStock, updatedProduct);
+
     // Log activity
     if (req.user && isSellerRole(req.user.role)) {
       const changes = [];
@@ -2682,6 +2645,7 @@ exports.updateProductVariant = catchAsync(async (req, res, next) => {
   if (!variant) {
     return next(new AppError('Variant not found', 404));
   }
+  const previousVariantStock = backInStockService.snapshotVariantStock(product);
 
   // Update variant fields
   if (req.body.name !== undefined) variant.name = req.body.name;
@@ -2738,6 +2702,9 @@ exports.updateProductVariant = catchAsync(async (req, res, next) => {
 
   await product.save();
 
+  // Notify buyers waiting on this variant if it is back in stock (queued, non-blocking)
+  backInStockService.handleProductRestock(previousVariantStock, product);
+
   res.status(200).json({
     status: 'success',
     data: variant,
@@ -1736,3 +1736,23 @@ exports.getSellerPerformanceScore = catchAsync(async (req, res, next) => {
   });
 });
 
+
+/**
+ * GET /api/v1/seller/analytics/back-in-stock
+ * Buyers waiting for out-of-stock SKUs to be restocked, most requested first
+ */
+exports.getSellerBackInStockDemand = catchAsync(async (req, res, next) => {
+  const { getSellerWaitingDemand } = require('../../services/stock/backInStockService');
+  const demand = await getSellerWaitingDemand(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      demand,
+      summary: {
+        skus: demand.length,
+        totalWaiting: demand.reduce((sum, row) => sum + row.waiting, 0),
+      },
+    },
+  });
+});
@@ -6,6 +6,7 @@ const Product = require('../../models/product/productModel');
 const APIFeature = require('../../utils/helpers/apiFeatures');
 const AppError = require('../../utils/errors/appError');
 const logger = require('../../utils/logger');
+const sellerAwayService = require('../../services/seller/sellerAwayService');
 const multer = require('multer');
 const mongoose = require('mongoose');
 const { uploadMultipleFields } = require('../../middleware/upload/cloudinaryUpload');
@@ -334,7 +335,7 @@ exports.updateSellerImage = catchAsync(async (req, res, next) => {
 
 exports.updateMe = catchAsync(async (req, res, next) => {
   const sellerId = req.user.id;
-  let { name, email, phone, shopAddress, shopName, shopDescription, location, shopLocation, digitalAddress, socialMediaLinks, paymentMethods } = req.body;
+  let { name, email, phone, shopAddress, shopName, shopDescription, location, shopLocation, digitalAddress, socialMediaLinks, paymentMethods, tin } = req.body;
 
   // Parse JSON strings if they exist (from FormData)
   // Support shopAddress, location (legacy), and shopLocation (new) for backward compatibility
@@ -380,6 +381,8 @@ exports.updateMe = catchAsync(async (req, res, next) => {
   if (shopName !== undefined) updateData.shopName = shopName;
   if (shopDescription !== undefined) updateData.shopDescription = shopDescription;
   if (digitalAddress !== undefined) updateData.digitalAddress = digitalAddress;
+  // TIN printed on tax invoices; empty value clears it
+  if (tin !== undefined) updateData.tin = tin ? String(tin).trim().toUpperCase() : null;
 
   // Update shopLocation (shop address) if provided
   if (addressData && typeof addressData === 'object') {
@@ -740,10 +743,55 @@ exports.updateMyStatus = catchAsync(async (req, res, next) => {
   res.status(200).json({ status: 'success', data: { seller } });
 });
 
+/** Seller only: current away schedule and its state. GET /seller/me/away */
+exports.getMyAwayMode = catchAsync(async (req, res, next) => {
+  const seller = await Seller.findById(req.user.id).select('awayMode');
+  if (!seller) return next(new AppError('Seller not found', 404));
+  res.status(200).json({
+    status: 'success',
+    data: {
+      awayMode: seller.awayMode,
+      state: sellerAwayService.getAwayState(seller).status,
+    },
+  });
+});
+
+/**
+ * Seller only: schedule (or reschedule) an away period. PATCH /seller/me/away
+ * Body: { startsAt?, endsAt, message?, orderPolicy?: 'closed'|'backorder' }
+ */
+exports.updateMyAwayMode = catchAsync(async (req, res, next) => {
+  const seller = await sellerAwayService.scheduleAway(req.user.id, req.body);
+  logger.info('[updateMyAwayMode] Seller scheduled away period', {
+    sellerId: seller._id,
+    startsAt: seller.awayMode.startsAt,
+    endsAt: seller.awayMode.endsAt,
+    orderPolicy: seller.awayMode.orderPolicy,
+  });
+  res.status(200).json({
+    status: 'success',
+    data: {
+      awayMode: seller.awayMode,
+      state: sellerAwayService.getAwayState(seller).status,
+    },
+  });
+});
+
+/** Seller only: end or cancel the away period now and reopen the store. DELETE /seller/me/away */
+exports.endMyAwayMode = catchAsync(async (req, res, next) => {
+  await sellerAwayService.reopenSeller(req.user.id);
+  const seller = await Seller.findById(req.user.id).select('awayMode');
+  if (!seller) return next(new AppError('Seller not found', 404));
+  res.status(200).json({ status: 'success', data: { awayMode: seller.awayMode, state: 'open' } });
+});
+
 exports.getPublicSeller = catchAsync(async (req, res, next) => {
   const seller = await Seller.findById(req.params.id);
   if (!seller) return next(new AppError('No seller found with that ID', 404));
-  res.status(200).json({ status: 'success', data: { seller } });
+  res.status(200).json({
+    status: 'success',
+    data: { seller, away: sellerAwayService.publicAwayInfo(seller) },
+  });
 });
 exports.getFeaturedSellers = catchAsync(async (req, res, next) => {
   // Get query parameters with defaults
@@ -0,0 +1,60 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const stockAlertService = require('../../services/stock/stockAlertService');
+
+/**
+ * GET /api/v1/seller/me/low-stock
+ * All of the seller's SKUs at or below their lowStockThreshold.
+ * Query: outOfStockOnly=true to list sold-out SKUs only
+ */
+exports.getLowStockVariants = catchAsync(async (req, res, next) => {
+  const variants = await stockAlertService.getLowStockVariants(req.user.id, {
+    outOfStockOnly: req.query.outOfStockOnly === 'true',
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: variants.length,
+    data: {
+      variants,
+      summary: {
+        lowStock: variants.filter((v) => v.level === 'low_stock').length,
+        outOfStock: variants.filter((v) => v.level === 'out_of_stock').length,
+      },
+    },
+  });
+});
+
+/**
+ * GET /api/v1/seller/me/stock-alert-settings
+ */
+exports.getStockAlertSettings = catchAsync(async (req, res, next) => {
+  const settings = await stockAlertService.getAlertSettings(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { settings },
+  });
+});
+
+/**
+ * PATCH /api/v1/seller/me/stock-alert-settings
+ * Body: { inApp?, push?, dailyDigest? } (booleans)
+ */
+exports.updateStockAlertSettings = catchAsync(async (req, res, next) => {
+  const updates = req.body || {};
+  const keys = ['inApp', 'push', 'dailyDigest'].filter((key) => updates[key] !== undefined);
+  if (keys.length === 0) {
+    return next(new AppError('Provide at least one of: inApp, push, dailyDigest', 400));
+  }
+  if (keys.some((key) => typeof updates[key] !== 'boolean')) {
+    return next(new AppError('Stock alert settings must be true or false', 400));
+  }
+
+  const settings = await stockAlertService.updateAlertSettings(req.user.id, updates);
+
+  res.status(200).json({
+    status: 'success',
+    data: { settings },
+  });
+});
@@ -0,0 +1,69 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const backInStockService = require('../../services/stock/backInStockService');
+
+/**
+ * POST /api/v1/product/:id/notify-me
+ * Body: { variantId | sku, email? } - email is required for guests, optional for signed-in buyers
+ */
+exports.subscribe = catchAsync(async (req, res, next) => {
+  const isBuyer = req.user && req.user.role === 'user';
+  const subscription = await backInStockService.subscribe({
+    productId: req.params.id,
+    variantId: req.body.variantId,
+    sku: req.body.sku,
+    email: req.body.email,
+    user: isBuyer ? req.user : null,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: "We'll let you know as soon as it's back in stock",
+    data: {
+      subscription: {
+        _id: subscription._id,
+        product: subscription.product,
+        variant: subscription.variant,
+        sku: subscription.sku,
+        email: subscription.email,
+        status: subscription.status,
+        createdAt: subscription.createdAt,
+      },
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/product/:id/notify-me
+ * Signed-in buyer cancels their request(s). Query: variantId (optional)
+ */
+exports.unsubscribe = catchAsync(async (req, res, next) => {
+  const cancelled = await backInStockService.unsubscribeUser(
+    req.user.id,
+    req.params.id,
+    req.query.variantId || null,
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { cancelled },
+  });
+});
+
+/**
+ * POST /api/v1/product/notify-me/unsubscribe
+ * Body: { token } - one-click link from the back-in-stock email (guests included)
+ */
+exports.unsubscribeByToken = catchAsync(async (req, res, next) => {
+  const token = String(req.body.token || req.query.token || '');
+  if (!token) {
+    return next(new AppError('Unsubscribe token is required', 400));
+  }
+
+  const cancelled = await backInStockService.unsubscribeByToken(token);
+
+  res.status(200).json({
+    status: 'success',
+    data: { cancelled },
+  });
+});
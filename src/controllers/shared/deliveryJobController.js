@@ -0,0 +1,120 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const DeliveryJob = require('../../models/order/deliveryJobModel');
+const dispatchService = require('../../services/order/dispatchService');
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : undefined);
+
+// Driver app actions → delivery job status
+const ACTION_STATUS = {
+  accept: 'accepted',
+  decline: 'declined',
+  start: 'out_for_delivery',
+  attempt: 'delivery_attempted',
+  complete: 'delivered',
+};
+
+/**
+ * GET /api/v1/delivery/jobs?status=open
+ * Driver: own delivery jobs
+ */
+exports.getMyJobs = catchAsync(async (req, res, next) => {
+  const { status, page, limit } = req.query;
+  const { jobs, total, page: pageNum, limit: limitNum } = await dispatchService.getDriverJobs(req.user.id, {
+    status,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: jobs.length,
+    total,
+    page: pageNum,
+    totalPages: Math.ceil(total / limitNum),
+    data: { jobs },
+  });
+});
+
+/**
+ * GET /api/v1/delivery/jobs/:jobId
+ * Driver: one of own jobs with the delivery address
+ */
+exports.getMyJob = catchAsync(async (req, res, next) => {
+  const job = await DeliveryJob.findOne({ _id: req.params.jobId, driver: req.user.id })
+    .populate('order', 'orderNumber trackingNumber currentStatus shippingAddress deliveryZone paymentMethod totalPrice')
+    .lean();
+  if (!job) {
+    return next(new AppError('Delivery job not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { job },
+  });
+});
+
+/**
+ * PATCH /api/v1/delivery/jobs/:jobId/:action
+ * Driver: accept | decline | start | attempt | complete
+ * - decline: { reason? }
+ * - attempt: { reason (buyer_unavailable, wrong_address, ...), notes?, location? }
+ * - complete: { pin, photoUrl | signatureUrl, recipientName?, notes?, location?, codAmount? }
+ */
+exports.updateMyJob = catchAsync(async (req, res, next) => {
+  const nextStatus = ACTION_STATUS[req.params.action];
+  if (!nextStatus) {
+    return next(new AppError(`Unknown action. Use one of: ${Object.keys(ACTION_STATUS).join(', ')}`, 400));
+  }
+
+  const body = req.body || {};
+  const job = await dispatchService.updateJobStatus(
+    req.params.jobId,
+    nextStatus,
+    {
+      reason: trimmed(body.reason),
+      notes: trimmed(body.notes),
+      location: trimmed(body.location),
+      pin: trimmed(body.pin),
+      recipientName: trimmed(body.recipientName),
+      photoUrl: trimmed(body.photoUrl),
+      signatureUrl: trimmed(body.signatureUrl),
+      codAmount: body.codAmount,
+    },
+    { id: req.user.id, role: req.user.role },
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { job },
+  });
+});
+
+/**
+ * PATCH /api/v1/delivery/availability
+ * Driver: go on or off duty. Body: { isAvailable }
+ */
+exports.updateMyAvailability = catchAsync(async (req, res, next) => {
+  if (typeof req.body?.isAvailable !== 'boolean') {
+    return next(new AppError('isAvailable must be true or false', 400));
+  }
+  const driver = await dispatchService.updateDriverProfile(req.user.id, { isAvailable: req.body.isAvailable });
+
+  res.status(200).json({
+    status: 'success',
+    data: { driverProfile: driver.driverProfile },
+  });
+});
+
+/**
+ * POST /api/v1/delivery/orders/:orderId/pin
+ * Buyer: get a new one-time PIN to hand to the rider (earlier PINs stop working)
+ */
+exports.requestDeliveryPin = catchAsync(async (req, res, next) => {
+  const { pin, expiresAt } = await dispatchService.reissueDeliveryPinForBuyer(req.params.orderId, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { pin, expiresAt },
+  });
+});
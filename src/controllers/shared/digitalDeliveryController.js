@@ -0,0 +1,48 @@
+const Order = require('../../models/order/orderModel');
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const digitalDeliveryService = require('../../services/order/digitalDeliveryService');
+
+/**
+ * GET /api/v1/order/:orderId/digital-items
+ * Buyer: download links and license keys for the digital lines of an order
+ */
+exports.getOrderDigitalItems = catchAsync(async (req, res, next) => {
+  const order = await Order.findById(req.params.orderId)
+    .select('user orderNumber paymentStatus currentStatus orderItems')
+    .populate({ path: 'orderItems', populate: { path: 'product', select: 'name imageCover' } })
+    .lean();
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+  if (order.user.toString() !== req.user.id.toString()) {
+    return next(new AppError('You are not authorized to view this order', 403));
+  }
+
+  const items = digitalDeliveryService.buildDigitalItemsView(
+    order.orderItems,
+    digitalDeliveryService.getDownloadBaseUrl(req),
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    data: {
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      items,
+    },
+  });
+});
+
+/**
+ * GET /api/v1/order/digital-downloads/:token
+ * Public: the signed token is the credential. Counts the download and redirects
+ * to a short-lived storage URL.
+ */
+exports.downloadDigitalFile = catchAsync(async (req, res, next) => {
+  const { url } = await digitalDeliveryService.redeemDownloadToken(req.params.token);
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, url);
+});
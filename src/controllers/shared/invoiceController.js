@@ -0,0 +1,30 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const invoiceService = require('../../services/order/invoiceService');
+
+const sendPdf = (res, { filename, content }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': content.length,
+    'Cache-Control': 'private, no-store',
+  });
+  res.status(200).send(content);
+};
+
+/**
+ * GET /api/v1/order/:orderId/invoice
+ * Buyer: tax invoice / receipt PDF of an order (one page per seller)
+ */
+exports.downloadOrderInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await invoiceService.generateOrderInvoicePdf(req.params.orderId, req.user.id);
+  sendPdf(res, invoice);
+});
+
+/**
+ * GET /api/v1/order/seller-order/:id/invoice
+ * Seller: tax invoice PDF of one of their seller orders
+ */
+exports.downloadSellerOrderInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await invoiceService.generateSellerOrderInvoicePdf(req.params.id, req.user.id);
+  sendPdf(res, invoice);
+});
@@ -68,6 +68,7 @@ const defaultSettings = {
     promotions: true,
     priceDrops: false,
     restockAlerts: true,
+    reviewRequests: true,
     accountSecurity: true,
     newsletters: false,
   },
@@ -76,6 +77,7 @@ const defaultSettings = {
     promotions: false,
     priceDrops: true,
     restockAlerts: true,
+    reviewRequests: true,
     accountActivity: true,
   },
   sms: {
@@ -20,14 +20,18 @@ const notificationService = require('../../services/notification/notificationSer
 const Creditbalance = require('../../models/user/creditbalanceModel');
 const WalletTransaction = require('../../models/user/walletTransactionModel');
 const { logBuyerWallet } = require('../../services/historyLogger');
-const taxService = require('../../services/tax/taxService');
 const logger = require('../../utils/logger');
 const stockService = require('../../services/stock/stockService');
+const stockAlertService = require('../../services/stock/stockAlertService');
+const cartRecoveryService = require('../../services/cart/cartRecoveryService');
+const stockReservationService = require('../../services/stock/stockReservationService');
+const digitalDeliveryService = require('../../services/order/digitalDeliveryService');
+const orderLifecycleService = require('../../services/order/orderLifecycleService');
+const sellerAwayService = require('../../services/seller/sellerAwayService');
 const Cart = require('../../models/product/cartModel');
 const sanitizeOrderForModerator = require('../../utils/sanitizeOrderForModerator');
-const {
-  resolveOrderItemPromoDiscount,
-} = require('../../services/promo/promoService');
+const pricingEngine = require('../../services/pricing/pricingEngine');
+const promoOfferService = require('../../services/promo/promoOfferService');
 
 const isPaymentConfirmedStatus = (paymentStatus) => {
   const normalized = String(paymentStatus || '').toLowerCase();
@@ -154,14 +158,15 @@ exports.validateCart = catchAsync(async (req, res, next) => {
   // Fetch all products (include priceInclVat, isPreOrder, preOrderOriginCountry for international detection)
   const productIds = [...new Set(orderItems.map(item => item.product))];
   const products = await Product.find({ _id: { $in: productIds } })
-    .populate('seller', '_id')
+    .populate('seller', '_id name shopName awayMode')
     .populate('subCategory', 'name')
-    .select('defaultPrice variants stock name price priceInclVat priceExVat isPreOrder preOrderOriginCountry specifications shipping');
+    .select('defaultPrice variants stock name price priceInclVat priceExVat isPreOrder preOrderOriginCountry specifications shipping parentCategory promotionKey');
 
   const productMap = new Map();
   products.forEach(p => productMap.set(p._id.toString(), p));
 
   const platformSettings = await require('../../models/platform/platformSettingsModel').getSettings();
+  const pricingContext = await pricingEngine.loadPricingContext(products);
 
   // Validate prices and quantities; dual VAT: base -> add VAT -> inclusive -> apply promo (single final price to customer)
   const validatedItems = [];
@@ -171,13 +176,14 @@ exports.validateCart = catchAsync(async (req, res, next) => {
       return next(new AppError(`Product ${item.product} not found`, 404));
     }
 
-    let basePrice = product.price ?? product.defaultPrice;
+    // Sellers on a scheduled away period: closed shops reject, back-order shops ship from endsAt
+    const awayBackorder = sellerAwayService.assertPurchasable(product, product.seller);
+
     let sellableUnit = product;
 
     if (item.variant) {
       const variant = product.variants?.id(item.variant);
       if (variant) {
-        basePrice = variant.price ?? product.price ?? product.defaultPrice;
         sellableUnit = variant;
       }
     } else if (item.sku) {
@@ -187,34 +193,21 @@ exports.validateCart = catchAsync(async (req, res, next) => {
           v => v.sku && v.sku.toUpperCase() === sku
         );
         if (variant) {
-          basePrice = variant.price ?? product.price ?? product.defaultPrice;
           sellableUnit = variant;
         }
       }
     }
 
-    // Unified Pricing and Tax Logic (P2-FIX 2)
-    const pricingService = require('../../services/pricing/pricingService');
-
-    // 1. Get base price (VAT exclusive) - already resolved above
-
-    // 2. Add VAT to get standard inclusive price for promo calculation
-    const vatComputed = await taxService.addVatToBase(basePrice, platformSettings);
-    const standardPriceInclVat = vatComputed.priceInclVat;
-
-    // 3. Apply approved active promo submission (if any) from PromoProduct
-    const { promoDiscount, promoProductId } = await resolveOrderItemPromoDiscount({
-      productId: product._id,
-      sellerId: product?.seller?._id || product?.seller,
-      basePriceInclVat: standardPriceInclVat,
-      taxService,
-      platformSettings,
-    });
-
-    // 4. Get final pricing breakdown using the unified service
-    const pricing = await pricingService.calculateItemPricing(basePrice, promoDiscount);
+    // Base price (VAT exclusive) -> add VAT -> flash deal / promo / seller discount / campaign
+    // rules from the pricing engine (same rules as the product page and cart)
+    const [priced] = await pricingEngine.priceLines(
+      [{ product, unit: sellableUnit, quantity: item.quantity || 1 }],
+      { platformSettings, context: pricingContext },
+    );
+    const { pricing } = priced;
 
-    // Validate quantity against stock
+    // Validate quantity against stock (already net of units held by unpaid checkouts,
+    // see stockReservationService)
     const availableStock = sellableUnit.stock - (sellableUnit.sold || 0);
     const requestedQuantity = item.quantity || 1;
     const validatedQuantity = Math.max(1, Math.min(requestedQuantity, Math.max(availableStock, 0)));
@@ -235,9 +228,14 @@ exports.validateCart = catchAsync(async (req, res, next) => {
       validated: true,
       productName: product.name,
       availableStock,
-      pricingBreakdown: pricing // Useful for debugging or detailed checkout view
+      pricingBreakdown: pricing, // Useful for debugging or detailed checkout view
+      priceExplanation: pricingEngine.toPublicExplanation(priced),
     };
-    pricedItem.promoProductRef = promoProductId || null;
+    pricedItem.promoProductRef = priced.promoProductRef || null;
+    if (awayBackorder) {
+      pricedItem.backorder = true;
+      pricedItem.shipsFrom = awayBackorder.shipsFrom;
+    }
     validatedItems.push(pricedItem);
   }
 
@@ -254,6 +252,14 @@ exports.validateCart = catchAsync(async (req, res, next) => {
   if (subtotal >= 1199 && subtotal < 1200) subtotal = 1200;
   else subtotal = Math.round(subtotal);
 
+  // Priced lines for cart-level offers (bogo / tiered / bundle / free shipping)
+  const cartLines = validatedItems.map((item) =>
+    promoOfferService.toCartLine(productMap.get(item.product.toString()), {
+      unitPrice: item.price,
+      quantity: item.quantity,
+    }),
+  );
+
   // Calculate discount (if coupon provided)
   let discount = 0;
   let couponData = null;
@@ -274,18 +280,32 @@ exports.validateCart = catchAsync(async (req, res, next) => {
         subtotal,
         productIds.map(id => id.toString()),
         categoryIds,
-        sellerIds
+        sellerIds,
+        null,
+        cartLines
       );
 
       discount = round2(couponData.discountAmount || 0);
     } catch (couponError) {
+      // Offer coupons explain what is missing ("Add 1 more eligible item(s) to qualify")
       return next(new AppError(
-        'Invalid or expired coupon code',
+        couponError.isOperational && couponError.statusCode === 400
+          ? couponError.message
+          : 'Invalid or expired coupon code',
         400
       ));
     }
   }
 
+  // Promo campaigns with cart-level offers apply automatically (seller-funded)
+  const promoOffers = await promoOfferService.evaluatePromoOffers(cartLines);
+  const promoOfferDiscount = round2(promoOffers.reduce((sum, offer) => sum + offer.discountAmount, 0));
+  discount = round2(Math.min(subtotal, discount + promoOfferDiscount));
+  const freeShippingSellerIds = [
+    ...(couponData?.offer?.freeShipping ? couponData.offer.freeShippingSellerIds : []),
+    ...promoOffers.filter((offer) => offer.freeShipping).flatMap((offer) => offer.freeShippingSellerIds),
+  ];
+
   // Pre-orders are ALWAYS international (from China/USA)
   // If origin not specified, default to "China"
   const hasPreOrderItem = products.some((p) => p.isPreOrder === true);
@@ -377,6 +397,17 @@ exports.validateCart = catchAsync(async (req, res, next) => {
         );
 
         shippingFee = round2(shippingQuote.totalShippingFee || 0);
+
+        if (freeShippingSellerIds.length > 0) {
+          const isDispatch = deliveryMethod === 'dispatch';
+          const { shippingDiscount } = promoOfferService.applyFreeShipping({
+            shippingBreakdown: isDispatch ? [] : shippingQuote.perSeller || [],
+            orderLevelShipping: isDispatch ? shippingFee : 0,
+            sellerIds: freeShippingSellerIds,
+            orderSellerIds: [...new Set(cartLines.map((line) => line.seller))],
+          });
+          shippingFee = round2(Math.max(0, shippingFee - shippingDiscount));
+        }
       }
     } catch (shippingError) {
       logger.warn('[validateCart] Shipping calculation error:', shippingError.message);
@@ -407,9 +438,13 @@ exports.validateCart = catchAsync(async (req, res, next) => {
       paymentAmount: Math.round(total * 100),
       coupon: couponData ? {
         code: couponCode,
-        discountAmount: discount,
+        discountAmount: round2(couponData.discountAmount || 0),
         batchId: couponData.batchId,
+        offer: couponData.offer,
       } : null,
+      promoOffers: promoOffers.map(({ promo, name, type, discountAmount, freeShipping, summary }) => ({
+        promo, name, type, discountAmount, freeShipping, summary,
+      })),
     },
   });
 });
@@ -608,6 +643,8 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     // 1. Approved by admin (moderationStatus === 'approved')
     // 2. From sellers that exist in the system (but we no longer block on seller verification status)
     const Seller = require('../../models/user/sellerModel');
+    // sellerId -> end of the seller's away period, for back-order sub-orders
+    const awayBackorderSellers = new Map();
 
     for (const product of products) {
       // Check product approval status
@@ -623,9 +660,14 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       const sellerRef = product.seller;
       if (sellerRef) {
         const seller = await Seller.findById(sellerRef)
-          .select('verificationStatus')
+          .select('verificationStatus name shopName awayMode')
           .session(session);
 
+        const awayBackorder = seller ? sellerAwayService.assertPurchasable(product, seller) : null;
+        if (awayBackorder) {
+          awayBackorderSellers.set(seller._id.toString(), awayBackorder.shipsFrom);
+        }
+
         if (!seller) {
           logger.warn(
             `[Order] Seller not found for product ${product._id} (${product.name}). Proceeding with order as per current business rules.`
@@ -649,6 +691,7 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       sellerVatCollectedBy.set(s._id.toString(), s.isVatRegistered === true ? 'seller' : 'platform');
     });
 
+    const pricingContext = await pricingEngine.loadPricingContext(products, { session });
     const normalizedItems = [];
 
     for (const item of orderItems) {
@@ -678,27 +721,12 @@ exports.createOrder = catchAsync(async (req, res, next) => {
         sellableUnit = product;
       }
 
-      // Unified Pricing and Tax Logic (P2-FIX 2)
-      const pricingService = require('../../services/pricing/pricingService');
-
-      // 1. Get base price (VAT exclusive)
-      const basePrice = sellableUnit.price ?? product.price;
-
-      // 2. Add VAT to get standard inclusive price for promo calculation
-      const vatComputed = await taxService.addVatToBase(basePrice, platformSettings);
-      const standardPriceInclVat = vatComputed.priceInclVat;
-
-      // 3. Apply approved active promo submission (if any) from PromoProduct
-      const { promoDiscount, promoProductId } = await resolveOrderItemPromoDiscount({
-        productId: product._id,
-        sellerId: product?.seller,
-        basePriceInclVat: standardPriceInclVat,
-        taxService,
-        platformSettings,
-      });
-
-      // 4. Get final pricing breakdown using the unified service
-      const pricing = await pricingService.calculateItemPricing(basePrice, promoDiscount);
+      // Same pricing engine as validateCart / cart / product page, so the order never disagrees
+      const [priced] = await pricingEngine.priceLines(
+        [{ product, unit: sellableUnit, quantity: item.quantity || 1 }],
+        { platformSettings, context: pricingContext },
+      );
+      const { pricing } = priced;
 
       const quantity = Math.max(1, Math.min(item.quantity || 1, 999));
       if (quantity !== item.quantity) {
@@ -718,9 +746,15 @@ exports.createOrder = catchAsync(async (req, res, next) => {
         quantity,
         sku,
         vatCollectedBy,
+        isDigital: product.isDigital === true,
         pricing, // Store the full breakdown for OrderItem creation
+        priceAdjustments: priced.adjustments.map(({ type, id, name, amount, fundedBy }) => ({
+          type, ruleId: id, name, amount, fundedBy,
+        })),
+        sellerFundedDiscount: priced.sellerFunded,
+        platformFundedDiscount: priced.platformFunded,
       };
-      pricedItem.promoProductRef = promoProductId || null;
+      pricedItem.promoProductRef = priced.promoProductRef || null;
       normalizedItems.push(pricedItem);
     }
 
@@ -731,6 +765,9 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       quantity: item.quantity,
       sku: item.sku,
       promoProductRef: item.promoProductRef || null,
+      priceAdjustments: item.priceAdjustments,
+      sellerFundedDiscount: item.sellerFundedDiscount,
+      platformFundedDiscount: item.platformFundedDiscount,
       price: item.pricing.unitPrice,
       priceInclVat: item.pricing.priceInclVat,
       priceExVat: item.pricing.netBasePrice,
@@ -743,6 +780,7 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       vatRate: 0.15,
       vatCollectedBy: item.vatCollectedBy,
       isVATInclusive: true,
+      isDigital: item.isDigital,
     }));
 
     const orderItemDocs = await OrderItems.insertMany(orderItemsWithTax, { session });
@@ -800,6 +838,14 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       overallSubtotal += itemTotal;
     });
 
+    // Priced lines for cart-level offers (bogo / tiered / bundle / free shipping)
+    const cartLines = orderItemDocs.map((item) =>
+      promoOfferService.toCartLine(productMap.get(item.product.toString()), {
+        unitPrice: item.price,
+        quantity: item.quantity,
+      }),
+    );
+
     // COUPON VALIDATION AND PROCESSING - V2 (Using new coupon service)
     let couponUsed = null;
     let totalDiscount = 0;
@@ -825,25 +871,46 @@ exports.createOrder = catchAsync(async (req, res, next) => {
         productIds,
         categoryIds,
         sellerIds,
-        session
+        session,
+        cartLines
       );
 
       // Get calculated discount from service (backend-only calculation)
       totalDiscount = couponData.discountAmount;
 
-      // Calculate seller-level discounts
-      sellerDiscounts = couponService.calculateSellerDiscounts(
-        totalDiscount,
-        sellerGroups,
-        couponData.sellerId?.toString(),
-        couponData.sellerFunded,
-        couponData.platformFunded
-      );
+      // Calculate seller-level discounts; item offers (bogo, bundle, tiers) land on the sellers
+      // whose items they discounted
+      sellerDiscounts = couponData.offer?.appliedLines?.length
+        ? promoOfferService.discountsBySeller(couponData.offer.appliedLines)
+        : couponService.calculateSellerDiscounts(
+          totalDiscount,
+          sellerGroups,
+          couponData.sellerId?.toString(),
+          couponData.sellerFunded,
+          couponData.platformFunded
+        );
 
       // Fetch batch for reference (will be marked as used after order creation)
       couponUsed = await CouponBatch.findById(couponData.batchId).session(session);
     }
 
+    // Promo campaigns with cart-level offers apply automatically; funded by the promo's sellers
+    const promoOffers = await promoOfferService.evaluatePromoOffers(cartLines, { session });
+    for (const offer of promoOffers) {
+      promoOfferService.discountsBySeller(offer.appliedLines).forEach((amount, sellerId) => {
+        sellerDiscounts.set(sellerId, Math.round(((sellerDiscounts.get(sellerId) || 0) + amount) * 100) / 100);
+      });
+      totalDiscount += offer.discountAmount;
+    }
+    sellerGroups.forEach((group, sellerId) => {
+      if ((sellerDiscounts.get(sellerId) || 0) > group.subtotal) sellerDiscounts.set(sellerId, group.subtotal);
+    });
+    totalDiscount = Math.round(Math.min(totalDiscount, overallSubtotal) * 100) / 100;
+    const freeShippingSellerIds = [
+      ...(couponData?.offer?.freeShipping ? couponData.offer.freeShippingSellerIds : []),
+      ...promoOffers.filter((offer) => offer.freeShipping).flatMap((offer) => offer.freeShippingSellerIds),
+    ];
+
     // Get delivery method and optional checkout-selected shipping from request body
     const deliveryMethod = req.body.deliveryMethod || 'seller_delivery';
     const pickupCenterId = req.body.pickupCenterId || null;
@@ -916,10 +983,21 @@ exports.createOrder = catchAsync(async (req, res, next) => {
 
     // For dispatch method, shipping is calculated at order level, not per seller
     const isDispatchMethod = deliveryMethod === 'dispatch';
-    const orderLevelShipping = isDispatchMethod
+    let orderLevelShipping = isDispatchMethod
       ? (checkoutShipping != null ? checkoutShipping : shippingQuote.totalShippingFee)
       : 0;
 
+    // Free-shipping offers zero the qualifying sellers' share of shipping
+    let shippingDiscount = 0;
+    if (freeShippingSellerIds.length > 0) {
+      ({ shippingBreakdown, orderLevelShipping, shippingDiscount } = promoOfferService.applyFreeShipping({
+        shippingBreakdown,
+        orderLevelShipping,
+        sellerIds: freeShippingSellerIds,
+        orderSellerIds: Array.from(sellerGroups.keys()),
+      }));
+    }
+
     for (const [sellerId, group] of sellerGroups) {
       // Get seller-specific discount from the map (calculated by coupon service)
       const sellerDiscount = sellerDiscounts.get(sellerId.toString()) || 0;
@@ -939,8 +1017,10 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       let sellerTotalGETFund = 0;
 
       let sellerTotalVatAmount = 0;
+      let sellerPlatformFunded = 0;
       sellerItems.forEach(item => {
         const quantity = item.quantity || 1;
+        sellerPlatformFunded += (item.platformFundedDiscount || 0) * quantity;
         sellerTotalBasePrice += (item.basePrice || 0) * quantity;
         sellerTotalVAT += (item.vat || 0) * quantity;
         sellerTotalNHIL += (item.nhil || 0) * quantity;
@@ -954,6 +1034,11 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       sellerTotalNHIL = Math.round(sellerTotalNHIL * 100) / 100;
       sellerTotalGETFund = Math.round(sellerTotalGETFund * 100) / 100;
       sellerTotalVatAmount = Math.round(sellerTotalVatAmount * 100) / 100;
+      // Platform-funded item discounts (ad campaigns) are paid to the seller on top of the subtotal
+      sellerPlatformFunded = Math.round(sellerPlatformFunded * 100) / 100;
+      const sellerPlatformFundedBase = group.subtotal > 0
+        ? Math.round(sellerPlatformFunded * (sellerTotalBasePrice / group.subtotal) * 100) / 100
+        : 0;
       const sellerTotalTax = Math.round(
         (sellerTotalVAT + sellerTotalNHIL + sellerTotalGETFund) * 100,
       ) / 100;
@@ -992,6 +1077,8 @@ exports.createOrder = catchAsync(async (req, res, next) => {
         subtotal: sellerSubtotal,
         originalSubtotal: group.subtotal,
         discountAmount: sellerDiscount,
+        platformFundedDiscount: sellerPlatformFunded,
+        platformFundedBasePrice: sellerPlatformFundedBase,
         tax: 0,
         shippingCost: shipping,
         total: total,
@@ -1014,6 +1101,13 @@ exports.createOrder = catchAsync(async (req, res, next) => {
         dispatchType: deliveryMethod === 'dispatch' ? 'EAZSHOP' :
           (deliveryMethod === 'seller_delivery' && !isEazShopProduct) ? 'SELLER' : null,
       });
+      if (awayBackorderSellers.has(String(sellerId))) {
+        sellerOrder.sellerAway = {
+          flaggedAt: new Date(),
+          until: awayBackorderSellers.get(String(sellerId)),
+          backorder: true,
+        };
+      }
 
       await sellerOrder.save({ session });
       sellerOrders.push(sellerOrder._id);
@@ -1021,7 +1115,7 @@ exports.createOrder = catchAsync(async (req, res, next) => {
 
     // Total shipping: use checkout-selected amount when provided, else sum from breakdown
     const totalShippingFee = checkoutShipping != null
-      ? checkoutShipping
+      ? Math.max(0, Math.round((checkoutShipping - shippingDiscount) * 100) / 100)
       : (isDispatchMethod ? orderLevelShipping : shippingBreakdown.reduce((sum, item) => sum + (item.shippingFee || 0), 0));
 
     // Add order-level shipping to total if dispatch method
@@ -1108,11 +1202,20 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     const { getActiveShippingConfig } = require('../../utils/helpers/shippingHelpers');
     const shippingConfig = await getActiveShippingConfig();
     const orderDate = new Date();
-    const deliveryBaseDate = preOrderBaseDate || orderDate;
+    // Back-orders from sellers who are away cannot ship before the seller is back
+    const awayShipsFrom = awayBackorderSellers.size > 0
+      ? new Date(Math.max(...[...awayBackorderSellers.values()].map((d) => new Date(d).getTime())))
+      : null;
+    const deliveryBaseDate = [preOrderBaseDate, awayShipsFrom, orderDate]
+      .filter(Boolean)
+      .reduce((latest, d) => (d > latest ? d : latest));
 
     if (shippingConfig) {
       deliveryEstimate = calculateDeliveryEstimate(shippingType, deliveryBaseDate, shippingConfig);
     }
+    if (awayShipsFrom && awayShipsFrom >= deliveryBaseDate) {
+      deliveryEstimate = sellerAwayService.backorderDeliveryEstimate(deliveryEstimate, awayShipsFrom);
+    }
 
     if (deliveryMethod === 'dispatch' && address) {
       try {
@@ -1243,6 +1346,25 @@ exports.createOrder = catchAsync(async (req, res, next) => {
       discountAmount: totalDiscount,
       appliedCouponBatchId: couponData?.batchId || null,
       appliedCouponId: couponData?.couponId || null,
+      couponOffer: couponData?.offer
+        ? {
+          type: couponData.offer.type,
+          discountAmount: couponData.offer.discountAmount,
+          shippingDiscount: couponData.offer.freeShipping ? shippingDiscount : 0,
+          summary: couponData.offer.summary,
+        }
+        : undefined,
+      promoOffers: promoOffers.map((offer) => ({
+        promo: offer.promo,
+        name: offer.name,
+        type: offer.type,
+        discountAmount: offer.discountAmount,
+        freeShipping: offer.freeShipping,
+        summary: offer.summary,
+      })),
+      shippingDiscount,
+      // Set when the order is placed by subscriptionService (first order or renewal)
+      subscription: req.subscription ? req.subscription._id : null,
       orderType: isInternationalPreorder
         ? 'preorder_international'
         : hasPreOrderProduct
@@ -1456,14 +1578,29 @@ exports.createOrder = catchAsync(async (req, res, next) => {
 
     // 🔐 3. Deduct stock for ALL payment methods (COD, Wallet, Paystack, etc.)
     const stockService = require('../../services/stock/stockService');
-    await stockService.reduceOrderStock(normalizedItems, session);
+    const stockAlerts = await stockService.reduceOrderStock(normalizedItems, session);
+
+    // Count flash deal / promo units and seller discount uses against their caps (rolls back when sold out);
+    // they are given back together with the stock if the order is cancelled or never paid
+    await pricingEngine.recordRuleUsage(normalizedItems, { session });
+
+    // Online (Paystack) payments: the deducted units become a time-limited hold that is
+    // released if the buyer never pays (see stockReservationService)
+    const awaitsOnlinePayment = !['paid', 'completed'].includes(newOrder.paymentStatus)
+      && newOrder.paymentMethod !== 'payment_on_delivery';
+    if (awaitsOnlinePayment) {
+      await stockReservationService.createReservation(newOrder, normalizedItems, session);
+    }
 
     // 🛒 4. Clear cart after successful order creation and stock deduction
-    await Cart.findOneAndUpdate(
-      { user: req.user.id },
-      { $set: { items: [], totalQty: 0, totalPrice: 0 } },
-      { session }
-    );
+    // (subscription orders are not placed from the cart, so leave it alone)
+    if (!req.subscription) {
+      await Cart.findOneAndUpdate(
+        { user: req.user.id },
+        { $set: { items: [], totalQty: 0, totalPrice: 0 } },
+        { session }
+      );
+    }
 
     // Link SellerOrders back to this Order (required for getSellerOrders and syncSellerOrderStatus)
     await SellerOrder.updateMany(
@@ -1501,11 +1638,32 @@ exports.createOrder = catchAsync(async (req, res, next) => {
     /* ---------------------------------- */
     await session.commitTransaction();
 
+    // Credit any recent abandoned-cart reminders with this order (never throws)
+    if (!req.subscription) {
+      cartRecoveryService.recordOrderPlaced(newOrder);
+    }
+
+    // Tell sellers about variants this order pushed to low / out of stock (non-blocking)
+    if (stockAlerts.length > 0) {
+      stockAlertService.notifyStockAlerts(stockAlerts).catch((alertError) => {
+        logger.error('[createOrder] Stock alert notification failed:', alertError.message);
+      });
+    }
+
     /* ---------------------------------- */
     /* 9. UPDATE SOLD (POST-PAYMENT ONLY)  */
     /* ---------------------------------- */
     if (newOrder.paymentStatus === 'paid') {
       await exports.updateProductTotalSold(newOrder);
+
+      // Wallet-paid digital items are fulfilled right away
+      if (orderItemDocs.some((doc) => doc.isDigital)) {
+        try {
+          await digitalDeliveryService.fulfillDigitalItems(newOrder._id);
+        } catch (digitalError) {
+          logger.error('[createOrder] Error fulfilling digital items:', digitalError);
+        }
+      }
     }
 
     /* ---------------------------------- */
@@ -2228,6 +2386,12 @@ exports.getUserOrder = catchAsync(async (req, res, next) => {
   orderData.currentStatus = normalizedBuyerOrder.currentStatus;
   orderData.orderStatus = normalizedBuyerOrder.orderStatus;
 
+  // Digital lines: delivery state, assigned license keys and fresh signed download links
+  orderData.digitalItems = digitalDeliveryService.buildDigitalItemsView(
+    orderData.orderItems,
+    digitalDeliveryService.getDownloadBaseUrl(req),
+  );
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -2298,7 +2462,7 @@ exports.getOrder = catchAsync(async (req, res, next) => {
 
   res.status(200).json({ status: 'success', data: { data: doc } });
 });
-// Override updateOrder to handle status sync and seller balance updates
+// Override updateOrder: admin notes, and status changes through the order lifecycle
 exports.updateOrder = catchAsync(async (req, res, next) => {
   const orderId = req.params.id;
   const updateData = req.body;
@@ -2322,6 +2486,20 @@ exports.updateOrder = catchAsync(async (req, res, next) => {
     );
   }
 
+  if (updateData.currentStatus !== undefined) {
+    if (!isAdminLike) {
+      return next(new AppError('You are not allowed to update order status', 403));
+    }
+    if (typeof updateData.currentStatus !== 'string') {
+      return next(new AppError('Invalid currentStatus value', 400));
+    }
+  }
+
+  if (updateData.adminNotes !== undefined && typeof updateData.adminNotes !== 'string') {
+    return next(new AppError('Invalid adminNotes', 400));
+  }
+
+  const actor = { id: req.user.id, role: userRole };
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -2330,230 +2508,40 @@ exports.updateOrder = catchAsync(async (req, res, next) => {
     const order = await Order.findById(orderId).session(session);
     if (!order) {
       await session.abortTransaction();
-      session.endSession();
       return next(new AppError('Order not found', 404));
     }
 
-    // Store previous status (treat legacy typo 'delievered' as completed)
-    const previousStatus = order.currentStatus;
-    const wasCompleted =
-      order.currentStatus === 'delivered' ||
-      order.currentStatus === 'delievered' ||
-      order.status === 'completed';
-
-    let normalizedNextStatus = null;
-    let requestedCurrentStatus = null;
-
-    // If status is being updated, sync all status fields
+    let transition = null;
     if (updateData.currentStatus !== undefined) {
-      if (!isAdminLike) {
-        await session.abortTransaction();
-        session.endSession();
-        return next(new AppError('You are not allowed to update order status', 403));
-      }
-
-      requestedCurrentStatus = updateData.currentStatus;
-      if (typeof requestedCurrentStatus !== 'string') {
-        await session.abortTransaction();
-        session.endSession();
-        return next(new AppError('Invalid currentStatus value', 400));
-      }
-
-      normalizedNextStatus =
-        requestedCurrentStatus === 'delievered'
-          ? 'delivered'
-          : requestedCurrentStatus;
-
-      // Enforce safe status transitions + payment gating
-      const transitionCheck = validateStatusTransition(
-        order,
-        normalizedNextStatus,
-        userRole
-      );
-      if (!transitionCheck.allowed) {
-        await session.abortTransaction();
-        session.endSession();
-        return next(
-          new AppError(transitionCheck.reason || 'Invalid status transition', 400)
-        );
-      }
-
-      const rawPaymentStatus = (order.paymentStatus || '').toString().toLowerCase();
-      const isPaid =
-        rawPaymentStatus === 'paid' || rawPaymentStatus === 'completed';
-      if (
-        !isPaid &&
-        !['cancelled', 'refunded'].includes(normalizedNextStatus) &&
-        normalizedNextStatus !== order.currentStatus
-      ) {
-        await session.abortTransaction();
-        session.endSession();
-        return next(
-          new AppError(
-            'Cannot update order status while payment is pending. You may only cancel unpaid orders.',
-            400
-          )
-        );
-      }
+      // Older admin clients still send the legacy 'delievered' spelling
+      const nextStatus =
+        updateData.currentStatus === 'delievered' ? 'delivered' : updateData.currentStatus;
 
-      order.currentStatus = normalizedNextStatus;
-
-      // Sync legacy status fields for backward compatibility
-      if (normalizedNextStatus === 'delivered') {
-        order.orderStatus = 'delievered';
-        order.FulfillmentStatus = 'delievered';
-        order.status = 'completed';
-      } else if (normalizedNextStatus === 'cancelled') {
-        order.orderStatus = 'cancelled';
-        order.FulfillmentStatus = 'cancelled';
-        order.status = 'cancelled';
-      } else if (normalizedNextStatus === 'refunded') {
-        order.status = 'cancelled';
-        order.orderStatus = 'cancelled';
-        order.FulfillmentStatus = 'cancelled';
-      } else if (
-        normalizedNextStatus === 'out_for_delivery' ||
-        normalizedNextStatus === 'delivery_attempted'
-      ) {
-        order.orderStatus = 'shipped';
-        order.FulfillmentStatus = 'shipped';
-        order.status = 'processing';
-      } else if (
-        normalizedNextStatus === 'confirmed' ||
-        normalizedNextStatus === 'payment_completed'
-      ) {
-        // Confirmed status means payment is complete - set status to confirmed
-        order.status = 'confirmed';
-        order.paymentStatus = 'completed';
-      } else if (
-        ['processing', 'preparing', 'ready_for_dispatch'].includes(
-          normalizedNextStatus
-        )
-      ) {
-        order.status = 'processing';
-      }
-
-      // Add tracking history entry
-      order.trackingHistory.push({
-        status: normalizedNextStatus,
+      transition = await orderLifecycleService.transitionOrder(order, nextStatus, {
+        actor,
         message:
           typeof updateData.message === 'string' && updateData.message.trim()
             ? updateData.message
             : 'Order status updated',
-        location:
-          typeof updateData.location === 'string' && updateData.location.trim()
-            ? updateData.location
-            : '',
-        updatedBy: req.user.id,
-        updatedByModel: req.user.role === 'admin' ? 'Admin' : req.user.role === 'seller' ? 'Seller' : 'User',
-        timestamp: new Date(),
+        location: typeof updateData.location === 'string' ? updateData.location.trim() : '',
+        session,
       });
     }
 
     // Update admin notes only (prevents mass-assignment of order fields)
     if (updateData.adminNotes !== undefined) {
-      if (typeof updateData.adminNotes !== 'string') {
-        await session.abortTransaction();
-        session.endSession();
-        return next(new AppError('Invalid adminNotes', 400));
-      }
       order.adminNotes = updateData.adminNotes;
     }
 
-    // If client sent only legacy "delivered" fields (orderStatus/FulfillmentStatus 'delievered' or status 'completed')
-    // without currentStatus, treat as delivered so seller crediting runs.
-    let effectiveStatusBecameDelivered = false;
-    const isDeliveredViaLegacy =
-      (order.orderStatus === 'delievered' ||
-        order.FulfillmentStatus === 'delievered' ||
-        order.status === 'completed') &&
-      order.currentStatus !== 'delivered' &&
-      order.currentStatus !== 'delievered';
-
-    // Prevent financial side effects on unrelated updates (e.g. adminNotes edit)
-    if (
-      isDeliveredViaLegacy &&
-      updateData.currentStatus !== undefined &&
-      normalizedNextStatus === 'delivered'
-    ) {
-      order.currentStatus = 'delivered';
-      order.orderStatus = 'delievered';
-      order.FulfillmentStatus = 'delievered';
-      order.status = 'completed';
-      order.trackingHistory.push({
-        status: 'delivered',
-        message: updateData.message || 'Order marked delivered (legacy status sync)',
-        location: updateData.location || '',
-        updatedBy: req.user.id,
-        updatedByModel: req.user.role === 'admin' ? 'Admin' : req.user.role === 'seller' ? 'Seller' : 'User',
-        timestamp: new Date(),
-      });
-      effectiveStatusBecameDelivered = true;
-      logger.info(`[updateOrder] Order ${orderId} had legacy delivered status; set currentStatus to 'delivered' for crediting`);
-    }
-    // Handle stock restoration on cancellation/refund
-    if (
-      normalizedNextStatus &&
-      ['cancelled', 'refunded'].includes(normalizedNextStatus) &&
-      !['cancelled', 'refunded'].includes(previousStatus)
-    ) {
-      try {
-        await order.populate('orderItems');
-        await stockService.restoreOrderStock(order.orderItems, session);
-        logger.info(
-          `[updateOrder] Stock restored for order ${orderId} (Status: ${normalizedNextStatus})`
-        );
-      } catch (stockError) {
-        await session.abortTransaction();
-        session.endSession();
-        logger.error(`[updateOrder] Stock restoration failed:`, stockError);
-        return next(new AppError('Failed to restore stock. Please try again.', 500));
-      }
-    }
-
     await order.save({ session });
     await session.commitTransaction();
 
-    // POST-COMMIT ACTIONS
-    // Sync SellerOrder status with Order status if currentStatus was updated
-    if (normalizedNextStatus || effectiveStatusBecameDelivered) {
-      try {
-        const { syncSellerOrderStatus } = require('../../utils/helpers/syncSellerOrderStatus');
-        const statusToSync = effectiveStatusBecameDelivered
-          ? 'delivered'
-          : normalizedNextStatus;
-        const syncResult = await syncSellerOrderStatus(orderId, statusToSync);
-        logger.info('[updateOrder] SellerOrder sync result:', syncResult);
-      } catch (error) {
-        logger.error('[updateOrder] Error syncing SellerOrder status:', error);
-      }
-    }
-
-    // Attempt seller credit on every delivered update.
-    // orderService.creditSellerForOrder is idempotent and prevents double-crediting.
-    if (normalizedNextStatus === 'delivered' || effectiveStatusBecameDelivered) {
-      try {
-        const balanceUpdateResult = await orderService.creditSellerForOrder(
-          orderId,
-          req.user.id
-        );
-        logger.info('[updateOrder] Seller balance credit result:', balanceUpdateResult);
-      } catch (error) {
-        logger.error('[updateOrder] Error crediting seller balances:', error);
-      }
-    }
-
-    // Revert seller balances on refund
-    if (updateData.currentStatus === 'refunded' && wasCompleted) {
-      try {
-        const reversalResult = await orderService.revertSellerBalancesOnRefund(
-          orderId,
-          'Order Refunded'
-        );
-        logger.info('[updateOrder] Seller balance reversal result:', reversalResult);
-      } catch (error) {
-        logger.error('[updateOrder] Error reverting seller balances:', error);
-      }
+    // POST-COMMIT ACTIONS (SellerOrder sync, seller credit / reversal, notifications)
+    if (transition) {
+      await orderLifecycleService.runTransitionEffects(order, transition, {
+        actor,
+        reason: typeof updateData.message === 'string' ? updateData.message : null,
+      });
     }
 
     res.status(200).json({
@@ -2682,7 +2670,7 @@ exports.deleteOrder = catchAsync(async (req, res, next) => {
     // RESTORE STOCK
     try {
       await order.populate('orderItems');
-      await stockService.restoreOrderStock(order.orderItems, session);
+      await stockReservationService.restoreStockForOrder(order, session);
       logger.info(`[deleteOrder] Stock restored for user-cancelled order ${orderId}`);
     } catch (stockError) {
       await session.abortTransaction();
@@ -2781,7 +2769,7 @@ exports.deleteOrder = catchAsync(async (req, res, next) => {
   // RESTORE STOCK before hard delete
   try {
     await order.populate('orderItems');
-    await stockService.restoreOrderStock(order.orderItems, session);
+    await stockReservationService.restoreStockForOrder(order, session);
     logger.info(`[deleteOrder] Stock restored for admin-deleted order ${orderId}`);
   } catch (stockError) {
     await session.abortTransaction();
@@ -1,16 +1,26 @@
 const catchAsync = require('../../utils/helpers/catchAsync');
 const AppError = require('../../utils/errors/appError');
 const Order = require('../../models/order/orderModel');
-const orderService = require('../../services/order/orderService');
-const { syncSellerOrderStatus } = require('../../utils/helpers/syncSellerOrderStatus');
+const orderLifecycleService = require('../../services/order/orderLifecycleService');
+const dispatchService = require('../../services/order/dispatchService');
 const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
 const mongoose = require('mongoose');
 const logger = require('../../utils/logger');
-const {
-  validateStatusTransition,
-  mapRoleToUpdatedByRole,
-} = require('../../utils/helpers/orderStatusTransitions');
-const stockService = require('../../services/stock/stockService');
+
+/**
+ * Whether the seller has a SellerOrder in the order
+ */
+const sellerHasItemsInOrder = async (orderId, sellerId, session) => {
+  const order = await Order.findById(orderId)
+    .populate({
+      path: 'sellerOrder',
+      populate: { path: 'seller' },
+    })
+    .session(session)
+    .lean();
+
+  return Boolean(order?.sellerOrder?.some((so) => so.seller?._id?.toString() === sellerId));
+};
 
 /**
  * Update order status
@@ -31,7 +41,6 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
 
     if (!order) {
       await session.abortTransaction();
-      session.endSession();
       return next(new AppError('Order not found', 404));
     }
 
@@ -41,409 +50,36 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
 
     if (!isAdmin && !isSeller) {
       await session.abortTransaction();
-      session.endSession();
       return next(new AppError('You are not authorized to update order status', 403));
     }
 
     // If seller, verify they have items in this order
-    if (isSeller && !isAdmin) {
-      const sellerOrders = await Order.findById(orderId)
-        .populate({
-          path: 'sellerOrder',
-          populate: { path: 'seller' },
-        })
-        .session(session)
-        .lean();
-
-      const hasItems = sellerOrders.sellerOrder?.some(
-        (so) => so.seller?._id?.toString() === user.id
-      );
-
-      if (!hasItems) {
-        await session.abortTransaction();
-        session.endSession();
-        return next(
-          new AppError('You can only update status for orders containing your products', 403)
-        );
-      }
-    }
-
-    // Determine updatedByModel
-    let updatedByModel = 'Admin';
-    if (['seller', 'official_store'].includes(user.role)) {
-      updatedByModel = 'Seller';
-    } else if (user.role === 'user') {
-      updatedByModel = 'User';
-    }
-
-    // Enforce safe status flow & order-type specific rules
-    const transitionCheck = validateStatusTransition(order, status, user.role);
-    if (!transitionCheck.allowed) {
+    if (isSeller && !(await sellerHasItemsInOrder(orderId, user.id, session))) {
       await session.abortTransaction();
-      session.endSession();
-      return next(new AppError(transitionCheck.reason || 'Invalid status transition', 400));
-    }
-
-    // Do not allow progressing unpaid orders beyond cancellation.
-    // Exception: payment_on_delivery orders are paid at the door — tracking updates
-    // must proceed before payment is confirmed.
-    const rawPaymentStatus = (order.paymentStatus || '').toString().toLowerCase();
-    const rawPaymentMethod = (order.paymentMethod || '').toString().toLowerCase();
-    const isPaid =
-      rawPaymentStatus === 'paid' || rawPaymentStatus === 'completed';
-    const isPayOnDelivery = rawPaymentMethod === 'payment_on_delivery';
-    if (!isPaid && !isPayOnDelivery && status !== order.currentStatus && status !== 'cancelled') {
-      await session.abortTransaction();
-      session.endSession();
-      return next(
-        new AppError(
-          'Cannot update order status while payment is pending. You may only cancel unpaid orders.',
-          400,
-        ),
-      );
-    }
-
-    // For international pre-orders, certain steps are admin-only
-    const isInternational = order.orderType === 'preorder_international';
-    const isAdminLike = ['admin', 'superadmin'].includes(user.role);
-
-    if (
-      isInternational &&
-      isSeller &&
-      !isAdminLike &&
-      ['customs_clearance', 'arrived_destination', 'delivered'].includes(status)
-    ) {
-      await session.abortTransaction();
-      session.endSession();
       return next(
-        new AppError('Only admin can update customs, arrival, or delivered status for international pre-orders', 403),
+        new AppError('You can only update status for orders containing your products', 403)
       );
     }
 
-    // P4-FIX 2: Optimistic concurrency check for order status updates.
-    // If client provides a statusVersion, validate it matches the DB version.
-    // This prevents two concurrent updates from silently overwriting each other.
-    if (clientStatusVersion !== undefined && clientStatusVersion !== null) {
-      const dbVersion = order.statusVersion ?? 0;
-      if (Number(clientStatusVersion) !== dbVersion) {
-        await session.abortTransaction();
-        session.endSession();
-        return next(new AppError(
-          `Order status conflict: it was updated by another user. ` +
-          `Your version (${clientStatusVersion}) is out of date (current: ${dbVersion}). ` +
-          `Please refresh and try again.`,
-          409
-        ));
-      }
-    }
-
-    // Add to tracking history
-    const trackingEntry = {
-      status,
-      message: message || '',
-      location: location || '',
-      updatedBy: user.id,
-      updatedByModel,
-      updatedByRole: mapRoleToUpdatedByRole(user.role),
-      timestamp: new Date(),
-    };
-
-    // Store previous status to check if we're transitioning to completed
-    const previousStatus = order.currentStatus;
-    const wasCompleted = order.currentStatus === 'delivered' || order.status === 'completed';
-
-    // Update order - currentStatus is the single source of truth
-    order.currentStatus = status;
-    // P4-FIX 2: Increment version so concurrent callers with a stale version get a 409
-    order.statusVersion = (order.statusVersion ?? 0) + 1;
-    order.trackingHistory.push(trackingEntry);
-
-    // Attach international pre-order metadata when relevant
-    if (isInternational) {
-      if (status === 'supplier_confirmed') {
-        if (req.body.supplierCountry) order.supplierCountry = req.body.supplierCountry;
-        if (req.body.supplierName) order.supplierName = req.body.supplierName;
-        if (req.body.estimatedArrivalDate) {
-          order.estimatedArrivalDate = new Date(req.body.estimatedArrivalDate);
-        }
-      }
-
-      if (status === 'awaiting_dispatch' || status === 'international_shipped') {
-        if (req.body.internationalTrackingNumber) {
-          order.internationalTrackingNumber = req.body.internationalTrackingNumber;
-        }
-      }
-
-      if (status === 'customs_clearance' && !order.customsClearedAt) {
-        order.customsClearedAt = new Date();
-      }
-    }
-
-    // Sync legacy status fields for backward compatibility (but currentStatus is primary)
-    if (status === 'delivered') {
-      order.orderStatus = 'delievered';
-      order.FulfillmentStatus = 'delievered';
-      order.status = 'completed';
-    } else if (status === 'cancelled') {
-      order.orderStatus = 'cancelled';
-      order.FulfillmentStatus = 'cancelled';
-      order.status = 'cancelled';
-    } else if (status === 'refunded') {
-      order.status = 'cancelled';
-      order.orderStatus = 'cancelled';
-      order.FulfillmentStatus = 'cancelled';
-    } else if (status === 'out_for_delivery' || status === 'delivery_attempted') {
-      order.orderStatus = 'shipped';
-      order.FulfillmentStatus = 'shipped';
-      order.status = 'processing';
-    } else if (status === 'confirmed' || status === 'payment_completed') {
-      // Confirmed status means payment is complete - set status to confirmed
-      order.status = 'confirmed';
-      order.paymentStatus = 'completed';
-      order.orderStatus = 'confirmed';
-      order.FulfillmentStatus = 'confirmed';
-    } else if (status === 'processing' || status === 'preparing' || status === 'ready_for_dispatch') {
-      order.status = 'processing';
-    }
-
-    // Handle stock restoration on cancellation/refund
-    if (['cancelled', 'refunded'].includes(status) && !['cancelled', 'refunded'].includes(previousStatus)) {
-      // Ensure orderItems are populated for restoration
-      await order.populate('orderItems');
-      await stockService.restoreOrderStock(order.orderItems, session);
-      logger.info(`[updateOrderStatus] Stock restored for order ${orderId} (Status: ${status})`);
-    }
+    // Transition rules, payment guard and statusVersion check live in the lifecycle
+    const transition = await orderLifecycleService.transitionOrder(order, status, {
+      actor: { id: user.id, role: user.role },
+      message,
+      location,
+      statusVersion: clientStatusVersion,
+      details: req.body,
+      session,
+    });
 
     await order.save({ session });
     await session.commitTransaction();
 
-    // POST-TRANSACTION ACTIONS (Notifications, Emails, Syncs)
-    // We do these after commit to avoid blocking the transaction on external services
-
-    // (Existing notification/email logic remains same but without session)
-    // ... (rest of the code will be in the next chunk if needed)
-
-    // Send push notification to buyer for important status changes
-    try {
-      const pushNotificationService = require('../../services/pushNotificationService');
-      const orderPopulated = await Order.findById(orderId).populate('user', 'id').lean();
-
-      if (
-        orderPopulated?.user?.id &&
-        ['out_for_delivery', 'delivery_attempted', 'delivered'].includes(status)
-      ) {
-        let title, body;
-
-        if (status === 'out_for_delivery') {
-          title = 'Order Out for Delivery';
-          body = `Your order #${order.orderNumber} is out for delivery and will arrive soon!`;
-        } else if (status === 'delivery_attempted') {
-          title = 'Delivery Attempted';
-          body = `We attempted to deliver order #${order.orderNumber}, but could not reach you.`;
-        } else if (status === 'delivered') {
-          title = 'Order Delivered';
-          body = `Your order #${order.orderNumber} has been delivered. Thank you for shopping with us!`;
-        }
-
-        await pushNotificationService.sendOrderNotification(
-          orderPopulated.user.id,
-          orderId,
-          title,
-          body,
-          status
-        );
-        if (process.env.NODE_ENV === 'development') {
-          logger.info(
-            `[updateOrderStatus] Push notification sent for order ${orderId} status: ${status}`,
-          );
-        }
-      }
-    } catch (pushError) {
-      if (process.env.NODE_ENV === 'development') {
-        logger.error('[updateOrderStatus] Error sending push notification:', {
-          message: pushError?.message,
-        });
-      }
-      // Don't fail the order update if push notification fails
-    }
-
-    // Create notifications for order status change
-    try {
-      const notificationService = require('../../services/notification/notificationService');
-
-      // Notify buyer
-      await notificationService.createOrderNotification(
-        order.user,
-        order._id,
-        order.orderNumber,
-        status
-      );
-
-      // Notify sellers if order is confirmed or delivered
-      if (status === 'confirmed' || status === 'delivered') {
-        const SellerOrder = require('../../models/order/sellerOrderModel');
-        const sellerOrders = await SellerOrder.find({ order: order._id }).populate('seller');
-
-        for (const sellerOrder of sellerOrders) {
-          if (sellerOrder.seller && sellerOrder.seller._id) {
-            await notificationService.createSellerOrderNotification(
-              sellerOrder.seller._id,
-              order._id,
-              order.orderNumber,
-              status
-            );
-          }
-        }
-      }
-
-      // Create delivery notification for delivery lifecycle statuses
-      if (
-        status === 'out_for_delivery' ||
-        status === 'delivery_attempted' ||
-        status === 'delivered'
-      ) {
-        await notificationService.createDeliveryNotification(
-          order.user,
-          order._id,
-          order.trackingNumber || order.orderNumber,
-          status
-        );
-      }
-    } catch (notificationError) {
-      // Don't fail the order update if notification creation fails
-      logger.error('[updateOrderStatus] Error creating notifications:', notificationError);
-    }
-
-    // Send email notifications for order status changes (buyer + seller)
-    setImmediate(async () => {
-      try {
-        const emailDispatcher = require('../../emails/emailDispatcher');
-        const User = require('../../models/user/userModel');
-        const SellerOrder = require('../../models/order/sellerOrderModel');
-
-        // Populate buyer for email
-        const buyer = await User.findById(order.user).select('name email').lean();
-        const cancelReason = req.body.message || req.body.reason || null;
-
-        if (buyer && buyer.email) {
-          if (status === 'out_for_delivery') {
-            await emailDispatcher.sendOrderShipped(order, buyer);
-            logger.info('[updateOrderStatus] ✅ Order shipped email sent to buyer %s', buyer.email);
-          }
-          if (status === 'delivered') {
-            await emailDispatcher.sendOrderDelivered(order, buyer);
-            logger.info('[updateOrderStatus] ✅ Order delivered email sent to buyer %s', buyer.email);
-          }
-          // Dedicated cancellation email to buyer
-          if (status === 'cancelled') {
-            await emailDispatcher.sendOrderCancelledBuyer(order, buyer, user.role, cancelReason);
-            logger.info('[updateOrderStatus] ✅ Order cancelled email sent to buyer %s', buyer.email);
-          }
-        }
-
-        // Sellers: status update email (for key milestones excl. cancelled — handled separately)
-        const sellerStatusStatuses = [
-          'out_for_delivery',
-          'delivery_attempted',
-          'delivered',
-          'refunded',
-          'confirmed',
-        ];
-        const sellerOrders = await SellerOrder.find({ order: order._id })
-          .populate('seller', 'email name shopName')
-          .lean();
-
-        for (const so of sellerOrders) {
-          const seller = so.seller;
-          if (!seller || !seller.email) continue;
-
-          if (status === 'cancelled') {
-            // Dedicated cancellation email to seller
-            await emailDispatcher.sendOrderCancelledSeller(order, seller, cancelReason);
-            logger.info('[updateOrderStatus] ✅ Order cancelled email sent to seller %s', seller.email);
-          } else if (sellerStatusStatuses.includes(status)) {
-            await emailDispatcher.sendSellerOrderStatusUpdate(seller, order, status);
-            logger.info('[updateOrderStatus] ✅ Seller order status email sent to %s (status=%s)', seller.email, status);
-          }
-        }
-      } catch (emailError) {
-        logger.error('[updateOrderStatus] Error sending order status emails:', emailError.message || emailError);
-      }
+    // POST-TRANSACTION ACTIONS (SellerOrder sync, seller credit, notifications)
+    await orderLifecycleService.runTransitionEffects(order, transition, {
+      actor: { id: user.id, role: user.role },
+      reason: req.body.message || req.body.reason || null,
     });
 
-    // Sync SellerOrder status with Order status
-    try {
-      const syncResult = await syncSellerOrderStatus(orderId, status);
-      logger.info('[updateOrderStatus] SellerOrder sync result:', syncResult);
-    } catch (error) {
-      logger.error('[updateOrderStatus] Error syncing SellerOrder status:', error);
-      // Don't fail the order update if SellerOrder sync fails
-    }
-
-    // Attempt seller credit on every delivered update.
-    // orderService.creditSellerForOrder is idempotent and prevents double-crediting.
-    if (status === 'delivered') {
-      try {
-        const balanceUpdateResult = await orderService.creditSellerForOrder(
-          orderId,
-          user.id
-        );
-        logger.info('[updateOrderStatus] Seller balance credit result:', balanceUpdateResult);
-        if (!balanceUpdateResult.success) {
-          logger.warn('[updateOrderStatus] Seller credit failed:', balanceUpdateResult.message);
-        }
-      } catch (error) {
-        // Log error but don't fail the status update
-        logger.error('[updateOrderStatus] Error crediting seller balances:', error);
-      }
-    }
-
-    // If order is being refunded, revert seller balances and refund buyer wallet
-    if (status === 'refunded' && wasCompleted) {
-      try {
-        // Revert seller balances
-        const reversalResult = await orderService.revertSellerBalancesOnRefund(
-          orderId,
-          'Order Refunded'
-        );
-        logger.info('[updateOrderStatus] Seller balance reversal result:', reversalResult);
-
-        // Refund buyer wallet if order was paid with wallet
-        if (order.paymentMethod === 'credit_balance' && order.paymentStatus === 'paid') {
-          try {
-            const walletService = require('../../services/walletService');
-            const refundAmount = order.totalPrice || 0;
-            const reference = `REFUND-${order.orderNumber}-${Date.now()}`;
-
-            if (refundAmount > 0) {
-              const refundResult = await walletService.creditWallet(
-                order.user,
-                refundAmount,
-                'CREDIT_REFUND',
-                `Refund for Order #${order.orderNumber}`,
-                reference,
-                {
-                  orderId: order._id.toString(),
-                  orderNumber: order.orderNumber,
-                  refundedBy: user.id,
-                  refundedByRole: user.role,
-                },
-                order._id
-              );
-
-              logger.info(`[updateOrderStatus] Wallet refund successful: GH₵${refundAmount} credited to user ${order.user}`);
-            }
-          } catch (walletError) {
-            logger.error('[updateOrderStatus] Error refunding wallet:', walletError);
-            // Don't fail the order update if wallet refund fails
-          }
-        }
-      } catch (error) {
-        // Log error but don't fail the status update
-        logger.error('[updateOrderStatus] Error reverting seller balances:', error);
-      }
-    }
-
     // Log activity
     const role = user.role === 'admin' ? 'admin' : 'seller';
     logActivityAsync({
@@ -455,7 +91,7 @@ exports.updateOrderStatus = catchAsync(async (req, res, next) => {
       metadata: {
         orderId: order._id,
         orderNumber: order.orderNumber,
-        oldStatus: wasCompleted ? 'delivered' : order.currentStatus,
+        oldStatus: transition.previousStatus,
         newStatus: status,
       },
     });
@@ -548,21 +184,11 @@ exports.updateDriverLocation = catchAsync(async (req, res, next) => {
     }
   }
 
-  // Drivers can only update for active deliveries (basic guard against misuse)
+  // Drivers can only update orders they are currently delivering
   if (isDriver && !isAdminLike) {
-    const allowedStatuses = [
-      'processing',
-      'confirmed',
-      'ready_for_dispatch',
-      'out_for_delivery',
-      'shipped',
-      'delivered',
-      'international_shipped',
-      'delievered',
-    ];
-    if (!allowedStatuses.includes(order.currentStatus)) {
+    if (!(await dispatchService.driverHasOpenJob(order._id, user.id))) {
       return next(
-        new AppError('Driver location can only be updated for active deliveries', 403),
+        new AppError('Driver location can only be updated for your active deliveries', 403),
       );
     }
   }
@@ -628,6 +254,8 @@ exports.getOrderTracking = catchAsync(async (req, res, next) => {
         orderType: order.orderType || 'normal',
         currentStatus: order.currentStatus || 'pending_payment',
         trackingHistory: sortedHistory,
+        // Split shipments summary; per-seller detail at GET /order/:orderId/shipments
+        fulfilment: order.fulfilment || null,
         driverLocation: order.driverLocation || null,
         supplierCountry: order.supplierCountry || null,
         supplierName: order.supplierName || null,
@@ -810,300 +438,57 @@ exports.addTrackingUpdate = catchAsync(async (req, res, next) => {
   const { status, message } = req.body;
   const user = req.user;
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  // Validate input
+  if (!status || !message) {
+    return next(new AppError('Status and message are required', 400));
+  }
 
-  try {
-    // Validate input
-    if (!status || !message) {
-      await session.abortTransaction();
-      session.endSession();
-      return next(new AppError('Status and message are required', 400));
-    }
+  if (!orderLifecycleService.ORDER_STATUSES.includes(status)) {
+    return next(new AppError('Invalid status', 400));
+  }
 
-    // Validate status
-    const validStatuses = [
-      'pending_payment',
-      'payment_completed',
-      'processing',
-      'confirmed',
-      'preparing',
-      'ready_for_dispatch',
-      // International pre-order specific statuses
-      'supplier_confirmed',
-      'awaiting_dispatch',
-      'international_shipped',
-      'customs_clearance',
-      'arrived_destination',
-      'local_dispatch',
-      'out_for_delivery',
-      'delivery_attempted',
-      'delivered',
-      'cancelled',
-      'refunded',
-    ];
-
-    if (!validStatuses.includes(status)) {
-      await session.abortTransaction();
-      session.endSession();
-      return next(new AppError('Invalid status', 400));
-    }
+  // Check authorization: admin, seller, or official_store
+  const isAdmin = ['admin', 'superadmin'].includes(user.role);
+  const isSeller = ['seller', 'official_store'].includes(user.role);
 
-    // Check authorization: admin, seller, or official_store
-    const isAdmin = ['admin', 'superadmin'].includes(user.role);
-    const isSeller = ['seller', 'official_store'].includes(user.role);
+  if (!isAdmin && !isSeller) {
+    return next(new AppError('You are not authorized to add tracking updates', 403));
+  }
 
-    if (!isAdmin && !isSeller) {
-      await session.abortTransaction();
-      session.endSession();
-      return next(new AppError('You are not authorized to add tracking updates', 403));
-    }
+  const session = await mongoose.startSession();
+  session.startTransaction();
 
+  try {
     // Find order
     const order = await Order.findById(id).session(session);
 
     if (!order) {
       await session.abortTransaction();
-      session.endSession();
       return next(new AppError('Order not found', 404));
     }
 
     // If seller, verify they have items in this order
-    if (isSeller && !isAdmin) {
-      const sellerOrders = await Order.findById(id)
-        .populate({
-          path: 'sellerOrder',
-          populate: { path: 'seller' },
-        })
-        .session(session)
-        .lean();
-
-      const hasItems = sellerOrders.sellerOrder?.some(
-        (so) => so.seller?._id?.toString() === user.id
-      );
-
-      if (!hasItems) {
-        await session.abortTransaction();
-        session.endSession();
-        return next(
-          new AppError('You can only add tracking updates for orders containing your products', 403)
-        );
-      }
-    }
-
-    // Determine updatedByModel
-    let updatedByModel = 'Admin';
-    if (['seller', 'official_store'].includes(user.role)) {
-      updatedByModel = 'Seller';
-    }
-
-    // Ensure updatedBy is ObjectId (schema expects ObjectId; user may be Admin/Seller doc)
-    const updatedById = user._id || (mongoose.Types.ObjectId.isValid(user.id) ? new mongoose.Types.ObjectId(user.id) : user.id);
-
-    // Enforce safe status flow & order-type specific rules
-    const transitionCheck = validateStatusTransition(order, status, user.role);
-    if (!transitionCheck.allowed) {
-      await session.abortTransaction();
-      session.endSession();
-      return next(new AppError(transitionCheck.reason || 'Invalid status transition', 400));
-    }
-
-    // SECURITY: Prevent unpaid orders from being advanced to delivery states
-    // (seller crediting happens when status becomes delivered)
-    // Exception: payment_on_delivery orders are paid at the door — tracking must be
-    // updated before payment is confirmed, so they bypass this check.
-    const rawPaymentStatus = (order.paymentStatus || '').toString().toLowerCase();
-    const rawPaymentMethod = (order.paymentMethod || '').toString().toLowerCase();
-    const isPaid = rawPaymentStatus === 'paid' || rawPaymentStatus === 'completed';
-    const isPayOnDelivery = rawPaymentMethod === 'payment_on_delivery';
-    if (
-      !isPaid &&
-      !isPayOnDelivery &&
-      status !== order.currentStatus &&
-      !['cancelled', 'refunded'].includes(status)
-    ) {
+    if (isSeller && !(await sellerHasItemsInOrder(id, user.id, session))) {
       await session.abortTransaction();
-      session.endSession();
       return next(
-        new AppError(
-          'Cannot update order status while payment is pending. You may only cancel unpaid orders.',
-          400,
-        ),
-      );
-    }
-
-    const isInternational = order.orderType === 'preorder_international';
-    const isAdminLike = isAdmin;
-
-    if (
-      isInternational &&
-      isSeller &&
-      !isAdminLike &&
-      ['customs_clearance', 'arrived_destination', 'delivered'].includes(status)
-    ) {
-      await session.abortTransaction();
-      session.endSession();
-      return next(
-        new AppError('Only admin can update customs, arrival, or delivered status for international pre-orders', 403),
+        new AppError('You can only add tracking updates for orders containing your products', 403)
       );
     }
 
-    // Add to tracking history
-    const trackingEntry = {
-      status,
+    const transition = await orderLifecycleService.transitionOrder(order, status, {
+      actor: { id: user.id, role: user.role },
       message: message.trim(),
-      location: '',
-      updatedBy: updatedById,
-      updatedByModel,
-      updatedByRole: mapRoleToUpdatedByRole(user.role),
-      timestamp: new Date(),
-    };
-
-    // Store previous status to check if we're transitioning to completed
-    const previousStatus = order.currentStatus;
-    const wasCompleted = order.currentStatus === 'delivered' || order.status === 'completed';
-
-    // Update order - currentStatus is the single source of truth
-    order.currentStatus = status;
-    if (!Array.isArray(order.trackingHistory)) {
-      order.trackingHistory = [];
-    }
-    order.trackingHistory.push(trackingEntry);
-
-    // Attach international pre-order metadata when relevant
-    if (isInternational) {
-      if (status === 'supplier_confirmed') {
-        if (req.body.supplierCountry) order.supplierCountry = req.body.supplierCountry;
-        if (req.body.supplierName) order.supplierName = req.body.supplierName;
-        if (req.body.estimatedArrivalDate) {
-          order.estimatedArrivalDate = new Date(req.body.estimatedArrivalDate);
-        }
-      }
-
-      if (status === 'awaiting_dispatch' || status === 'international_shipped') {
-        if (req.body.internationalTrackingNumber) {
-          order.internationalTrackingNumber = req.body.internationalTrackingNumber;
-        }
-      }
-
-      if (status === 'customs_clearance' && !order.customsClearedAt) {
-        order.customsClearedAt = new Date();
-      }
-    }
-
-    // Sync legacy status fields for backward compatibility (but currentStatus is primary)
-    if (status === 'delivered') {
-      order.orderStatus = 'delievered';
-      order.FulfillmentStatus = 'delievered';
-      order.status = 'completed';
-    } else if (status === 'cancelled') {
-      order.orderStatus = 'cancelled';
-      order.FulfillmentStatus = 'cancelled';
-      order.status = 'cancelled';
-    } else if (status === 'refunded') {
-      order.status = 'cancelled';
-      order.orderStatus = 'cancelled';
-      order.FulfillmentStatus = 'cancelled';
-    } else if (status === 'out_for_delivery' || status === 'delivery_attempted') {
-      order.orderStatus = 'shipped';
-      order.FulfillmentStatus = 'shipped';
-      order.status = 'processing';
-    } else if (status === 'confirmed' || status === 'payment_completed') {
-      // Confirmed status means payment is complete - set status to confirmed
-      order.status = 'confirmed';
-      order.paymentStatus = 'completed';
-      order.orderStatus = 'confirmed';
-      order.FulfillmentStatus = 'confirmed';
-    } else if (status === 'processing' || status === 'preparing' || status === 'ready_for_dispatch') {
-      order.status = 'processing';
-    }
-
-    // Handle stock restoration on cancellation/refund
-    if (['cancelled', 'refunded'].includes(status) && !['cancelled', 'refunded'].includes(previousStatus)) {
-      // Ensure orderItems are populated for restoration
-      await order.populate('orderItems');
-      await stockService.restoreOrderStock(order.orderItems, session);
-      logger.info(`[addTrackingUpdate] Stock restored for order ${id} (Status: ${status})`);
-    }
+      details: req.body,
+      session,
+    });
 
     await order.save({ session });
     await session.commitTransaction();
 
-    // POST-TRANSACTION ACTIONS
-    // ... rest of the code for notifications, emails, etc.
-
-    // Sync SellerOrder status with Order status
-    try {
-      const syncResult = await syncSellerOrderStatus(id, status);
-      logger.info('[addTrackingUpdate] SellerOrder sync result:', syncResult);
-    } catch (error) {
-      logger.error('[addTrackingUpdate] Error syncing SellerOrder status:', error);
-      // Don't fail the order update if SellerOrder sync fails
-    }
-
-    // Attempt seller credit on every delivered update.
-    // orderService.creditSellerForOrder is idempotent and prevents double-crediting.
-    if (status === 'delivered') {
-      try {
-        const balanceUpdateResult = await orderService.creditSellerForOrder(
-          id,
-          user.id
-        );
-        logger.info('[addTrackingUpdate] Seller balance credit result:', balanceUpdateResult);
-        if (!balanceUpdateResult.success) {
-          logger.warn('[addTrackingUpdate] Seller credit failed:', balanceUpdateResult.message);
-        }
-      } catch (error) {
-        // Log error but don't fail the status update
-        logger.error('[addTrackingUpdate] Error crediting seller balances:', error);
-      }
-    }
-
-    // If order is being refunded, revert seller balances and refund buyer wallet
-    if (status === 'refunded' && wasCompleted) {
-      try {
-        // Revert seller balances
-        const reversalResult = await orderService.revertSellerBalancesOnRefund(
-          id,
-          'Order Refunded'
-        );
-        logger.info('[addTrackingUpdate] Seller balance reversal result:', reversalResult);
-
-        // Refund buyer wallet if order was paid with wallet
-        if (order.paymentMethod === 'credit_balance' && (order.paymentStatus === 'paid' || order.paymentStatus === 'completed')) {
-          try {
-            const walletService = require('../../services/walletService');
-            const refundAmount = order.totalPrice || 0;
-            const reference = `REFUND-${order.orderNumber}-${Date.now()}`;
-
-            if (refundAmount > 0) {
-              const refundResult = await walletService.creditWallet(
-                order.user,
-                refundAmount,
-                'CREDIT_REFUND',
-                `Refund for Order #${order.orderNumber}`,
-                reference,
-                {
-                  orderId: order._id.toString(),
-                  orderNumber: order.orderNumber,
-                  refundedBy: user.id,
-                  refundedByRole: user.role,
-                },
-                order._id
-              );
-
-              logger.info(`[addTrackingUpdate] Wallet refund successful: GH₵${refundAmount} credited to user ${order.user}`);
-            }
-          } catch (walletError) {
-            logger.error('[addTrackingUpdate] Error refunding wallet:', walletError);
-            // Don't fail the order update if wallet refund fails
-          }
-        }
-      } catch (error) {
-        // Log error but don't fail the status update
-        logger.error('[addTrackingUpdate] Error reverting seller balances:', error);
-      }
-    }
+    await orderLifecycleService.runTransitionEffects(order, transition, {
+      actor: { id: user.id, role: user.role },
+      reason: message.trim(),
+    });
 
     res.status(200).json({
       status: 'success',
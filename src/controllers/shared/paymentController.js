@@ -325,6 +325,10 @@ exports.initializePaystack = catchAsync(async (req, res, next) => {
     return next(new AppError('You do not have permission to perform this action', 403));
   }
 
+  // Hold the order's stock for the duration of the checkout (re-held if an earlier hold lapsed)
+  const stockReservationService = require('../../services/stock/stockReservationService');
+  await stockReservationService.holdForPayment(order);
+
   // Get Paystack secret key from environment
   const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
   if (!PAYSTACK_SECRET_KEY) {
@@ -880,6 +884,33 @@ exports.verifyPaystackPayment = catchAsync(async (req, res, next) => {
         // Don't fail the payment verification if SellerOrder sync fails, but log it
       }
 
+      // Digital products: issue download windows / license keys and mark digital-only orders delivered
+      try {
+        const digitalDeliveryService = require('../../services/order/digitalDeliveryService');
+        await digitalDeliveryService.fulfillDigitalItems(order._id);
+      } catch (digitalError) {
+        logger.error('[Payment Verification] Error fulfilling digital items:', digitalError);
+        // Don't fail the payment verification; the webhook retries fulfilment for paid orders
+      }
+
+      // The checkout stock hold is now a sale
+      try {
+        const stockReservationService = require('../../services/stock/stockReservationService');
+        await stockReservationService.confirmReservation(order._id);
+      } catch (reservationError) {
+        logger.error('[Payment Verification] Error confirming stock reservation:', reservationError);
+      }
+
+      // Subscription orders: keep the card authorization for renewals and activate the subscription
+      if (order.subscription) {
+        try {
+          const subscriptionService = require('../../services/order/subscriptionService');
+          await subscriptionService.handleSubscriptionOrderPaid(order, transaction);
+        } catch (subscriptionError) {
+          logger.error('[Payment Verification] Error updating subscription:', subscriptionError);
+        }
+      }
+
       // Fetch full order with populated fields for response
       const fullOrder = await Order.findById(order._id)
         .populate('user', 'name email')
@@ -949,6 +980,13 @@ exports.verifyPaystackPayment = catchAsync(async (req, res, next) => {
       order.paymentStatus = transaction.status === 'failed' ? 'failed' : 'pending';
       await order.save();
       if (transaction.status === 'failed') {
+        // Give the held stock back; retrying payment re-holds it if still available
+        try {
+          const stockReservationService = require('../../services/stock/stockReservationService');
+          await stockReservationService.releaseReservation(order._id, 'payment_failed');
+        } catch (reservationError) {
+          logger.error('[Payment Verification] Error releasing stock reservation:', reservationError);
+        }
         await sendBuyerPaymentFailedPush(order, transaction, 'verify');
         await sendBuyerPaymentFailedEmail(
           order,
@@ -1085,6 +1123,24 @@ exports.paystackWebhook = catchAsync(async (req, res, next) => {
             await order.save({ validateBeforeSave: false });
           }
 
+          // Verification may have confirmed the payment first; finish any digital
+          // fulfilment it could not complete (idempotent)
+          try {
+            const digitalDeliveryService = require('../../services/order/digitalDeliveryService');
+            await digitalDeliveryService.fulfillDigitalItems(order._id);
+          } catch (digitalError) {
+            logger.error('[Paystack Webhook] Error fulfilling digital items:', digitalError);
+          }
+
+          if (order.subscription) {
+            try {
+              const subscriptionService = require('../../services/order/subscriptionService');
+              await subscriptionService.handleSubscriptionOrderPaid(order, transaction);
+            } catch (subscriptionError) {
+              logger.error('[Paystack Webhook] Error updating subscription:', subscriptionError);
+            }
+          }
+
           if (process.env.NODE_ENV === 'development') {
             logger.info('[Paystack Webhook] Payment already paid/completed (dev)');
           }
@@ -1227,6 +1283,33 @@ exports.paystackWebhook = catchAsync(async (req, res, next) => {
           logger.error('[Paystack Webhook] Error syncing SellerOrder:', error);
           // Don't fail the webhook if SellerOrder sync fails, but log it
         }
+
+        // Digital products: issue download windows / license keys and mark digital-only orders delivered
+        try {
+          const digitalDeliveryService = require('../../services/order/digitalDeliveryService');
+          await digitalDeliveryService.fulfillDigitalItems(order._id);
+        } catch (digitalError) {
+          logger.error('[Paystack Webhook] Error fulfilling digital items:', digitalError);
+          // Don't fail the webhook if fulfilment fails, but log it
+        }
+
+        // The checkout stock hold is now a sale
+        try {
+          const stockReservationService = require('../../services/stock/stockReservationService');
+          await stockReservationService.confirmReservation(order._id);
+        } catch (reservationError) {
+          logger.error('[Paystack Webhook] Error confirming stock reservation:', reservationError);
+        }
+
+        // Subscription orders: keep the card authorization for renewals and activate the subscription
+        if (order.subscription) {
+          try {
+            const subscriptionService = require('../../services/order/subscriptionService');
+            await subscriptionService.handleSubscriptionOrderPaid(order, transaction);
+          } catch (subscriptionError) {
+            logger.error('[Paystack Webhook] Error updating subscription:', subscriptionError);
+          }
+        }
       }
     }
   }
@@ -1248,6 +1331,14 @@ exports.paystackWebhook = catchAsync(async (req, res, next) => {
       order.paymentStatus = 'failed';
       await order.save({ validateBeforeSave: false });
 
+      // Give the held stock back; retrying payment re-holds it if still available
+      try {
+        const stockReservationService = require('../../services/stock/stockReservationService');
+        await stockReservationService.releaseReservation(order._id, 'payment_failed');
+      } catch (reservationError) {
+        logger.error('[Paystack Webhook] Error releasing stock reservation:', reservationError);
+      }
+
       await sendBuyerPaymentFailedPush(order, transaction, 'webhook');
       await sendBuyerPaymentFailedEmail(
         order,
@@ -1257,6 +1348,46 @@ exports.paystackWebhook = catchAsync(async (req, res, next) => {
       logger.info(
         `[Paystack Webhook] Marked order ${order._id} payment as failed`
       );
+
+      // Renewal charges that were still processing: cancel the order and start dunning
+      if (order.subscription) {
+        try {
+          const subscriptionService = require('../../services/order/subscriptionService');
+          await subscriptionService.handleSubscriptionOrderFailed(
+            order,
+            transaction?.gateway_response || transaction?.message
+          );
+        } catch (subscriptionError) {
+          logger.error('[Paystack Webhook] Error handling failed subscription payment:', subscriptionError);
+        }
+      }
+    }
+
+    return res.status(200).json({ received: true });
+  }
+
+  // Handle refund events (refunds to the original payment method) on the job queue
+  if (event && typeof event.event === 'string' && event.event.startsWith('refund.')) {
+    const refund = event.data || {};
+    try {
+      const { enqueue } = require('../../services/jobs/jobQueueService');
+      const { PAYSTACK_REFUND_QUEUE } = require('../../services/refund/paystackRefundService');
+      const refundKey = refund.refund_reference || refund.id
+        || (refund.transaction_reference && `${refund.transaction_reference}:${refund.amount}`);
+      await enqueue(PAYSTACK_REFUND_QUEUE, {
+        type: 'webhook',
+        event: event.event,
+        data: refund,
+      }, {
+        name: `Paystack ${event.event}`,
+        // Paystack redelivers webhooks until acknowledged; handle each event once
+        uniqueKey: refundKey ? `${PAYSTACK_REFUND_QUEUE}:webhook:${event.event}:${refundKey}` : undefined,
+        backoff: { type: 'exponential', delayMs: 30 * 1000 },
+      });
+    } catch (error) {
+      logger.error('[Paystack Webhook] Error queueing refund event:', error);
+      // Not acknowledged, so Paystack retries the webhook
+      return res.status(500).json({ received: false });
     }
 
     return res.status(200).json({ received: true });
@@ -0,0 +1,161 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const productQuestionService = require('../../services/review/productQuestionService');
+
+const parsePaging = (query, defaultLimit) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit };
+};
+
+/**
+ * GET /api/v1/product/:id/questions
+ * Public Q&A thread; signed-in askers also see their own questions awaiting moderation
+ */
+exports.getProductQuestions = catchAsync(async (req, res, next) => {
+  const { page, limit } = parsePaging(req.query, 10);
+  const viewerId = req.user ? req.user.id : null;
+  const { questions, total } = await productQuestionService.listProductQuestions(req.params.id, {
+    viewerId,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: questions.length,
+    data: {
+      questions,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) },
+    },
+  });
+});
+
+/**
+ * POST /api/v1/product/:id/questions
+ * Body: { question }
+ */
+exports.askQuestion = catchAsync(async (req, res, next) => {
+  const question = await productQuestionService.askQuestion({
+    productId: req.params.id,
+    userId: req.user.id,
+    question: req.body.question,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Your question has been submitted and will appear once it has been reviewed',
+    data: { question },
+  });
+});
+
+const sendAnswer = (res, answer) =>
+  res.status(201).json({
+    status: 'success',
+    message: answer.status === 'approved'
+      ? 'Your answer has been posted'
+      : 'Your answer has been submitted and will appear once it has been reviewed',
+    data: { answer },
+  });
+
+/**
+ * POST /api/v1/product/:id/questions/:questionId/answers
+ * Body: { answer } - buyers with a delivered order for the product
+ */
+exports.answerQuestion = catchAsync(async (req, res, next) => {
+  const { answer } = await productQuestionService.answerQuestion({
+    productId: req.params.id,
+    questionId: req.params.questionId,
+    user: req.user,
+    answer: req.body.answer,
+  });
+  sendAnswer(res, answer);
+});
+
+/**
+ * POST /api/v1/seller/questions/:id/answers
+ * Body: { answer } - the product's seller
+ */
+exports.answerSellerQuestion = catchAsync(async (req, res, next) => {
+  const { answer } = await productQuestionService.answerQuestion({
+    questionId: req.params.id,
+    user: req.user,
+    answer: req.body.answer,
+  });
+  sendAnswer(res, answer);
+});
+
+/**
+ * GET /api/v1/seller/questions?status=unanswered|answered|all
+ */
+exports.getSellerQuestions = catchAsync(async (req, res, next) => {
+  const { page, limit } = parsePaging(req.query, 20);
+  const status = ['unanswered', 'answered', 'all'].includes(req.query.status) ? req.query.status : 'unanswered';
+  const { questions, total } = await productQuestionService.listSellerQuestions(req.user.id, {
+    status,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: questions,
+    meta: { total, page, limit, totalPages: Math.ceil(total / limit) },
+  });
+});
+
+// ========== ADMIN MODERATION CONTROLLERS ==========
+
+/**
+ * GET /api/v1/admin/questions?type=questions|answers
+ */
+exports.getModerationQueue = catchAsync(async (req, res, next) => {
+  const { page, limit } = parsePaging(req.query, 20);
+  const type = req.query.type === 'answers' ? 'answers' : 'questions';
+  const { questions, total } = await productQuestionService.listModerationQueue({ type, page, limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: questions.length,
+    data: {
+      questions,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) },
+    },
+  });
+});
+
+const moderateQuestion = (status) =>
+  catchAsync(async (req, res, next) => {
+    const question = await productQuestionService.moderateQuestion(
+      req.params.id,
+      status,
+      req.body.moderationNotes,
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: { question },
+    });
+  });
+
+const moderateAnswer = (status) =>
+  catchAsync(async (req, res, next) => {
+    const question = await productQuestionService.moderateAnswer(
+      req.params.id,
+      req.params.answerId,
+      status,
+      req.body.moderationNotes,
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: { question },
+    });
+  });
+
+// PATCH /api/v1/admin/questions/:id/approve | /reject  Body: { moderationNotes? }
+exports.approveQuestion = moderateQuestion('approved');
+exports.rejectQuestion = moderateQuestion('rejected');
+
+// PATCH /api/v1/admin/questions/:id/answers/:answerId/approve | /reject  Body: { moderationNotes? }
+exports.approveAnswer = moderateAnswer('approved');
+exports.rejectAnswer = moderateAnswer('rejected');
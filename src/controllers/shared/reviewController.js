@@ -4,6 +4,8 @@ const handleFactory = require('../shared/handleFactory');
 const catchAsync = require('../../utils/helpers/catchAsync');
 const Product = require('../../models/product/productModel');
 const AppError = require('../../utils/errors/appError');
+const reviewEngagementService = require('../../services/review/reviewEngagementService');
+const { OPS_ROLES } = require('../../config/rolePermissions');
 
 exports.setProductUserIds = (req, res, next) => {
   if (!req.body.product) req.body.product = req.params.productId;
@@ -15,10 +17,24 @@ exports.getAllReview = handleFactory.getAll(Review, [
   { path: 'user', select: 'name photo' },
   { path: 'order', select: 'orderNumber' },
 ]);
-exports.getReview = handleFactory.getOne(Review, [
-  { path: 'product', select: 'name' },
-  { path: 'user', select: 'name photo' },
-]);
+/**
+ * GET /api/v1/review/:id (public) and /api/v1/admin/reviews/:id
+ * Photos awaiting moderation or rejected are only shown to their author and admins
+ */
+exports.getReview = catchAsync(async (req, res, next) => {
+  const review = await Review.findById(req.params.id)
+    .populate({ path: 'product', select: 'name' })
+    .populate({ path: 'user', select: 'name photo' });
+
+  if (!review) {
+    return next(new AppError('doc with this ID is not found', 404));
+  }
+
+  if (!req.user || !OPS_ROLES.includes(req.user.role)) {
+    review.images = reviewEngagementService.visibleReviewImages(review, req.user ? req.user.id : null);
+  }
+  res.status(200).json({ status: 'success', data: { data: review } });
+});
 
 /**
  * Get current user's reviews (for "My Reviews" page)
@@ -38,6 +54,10 @@ exports.getMyReviews = catchAsync(async (req, res, next) => {
     .skip(skip)
     .limit(limit)
     .lean();
+  // Authors keep seeing their own photos while they await moderation
+  reviews.forEach((review) => {
+    review.images = reviewEngagementService.visibleReviewImages(review, userId);
+  });
 
   const total = await Review.countDocuments({ user: userId });
 
@@ -215,10 +235,15 @@ exports.createUserReview = catchAsync(async (req, res, next) => {
       orderItem: selectedOrderItem ? selectedOrderItem._id : undefined,
       variantSKU: selectedOrderItem ? selectedOrderItem.sku : variantSKU || undefined,
       images: images || [],
+      mediaStatus: reviewEngagementService.initialMediaStatus(images),
       verifiedPurchase,
       status: 'pending', // New reviews start as pending
     });
 
+    // Stop any post-delivery review request for this item
+    const reviewRequestService = require('../../services/review/reviewRequestService');
+    await reviewRequestService.markItemReviewed(newReview.orderItem, newReview._id);
+
     // Trigger seller rating recalculation (system-derived)
     try {
       const sellerRatingService = require('../../services/sellerRatingService');
@@ -247,6 +272,34 @@ exports.createUserReview = catchAsync(async (req, res, next) => {
   }
 });
 
+/**
+ * Pre-authenticated review form from a post-delivery review request link (no login)
+ * GET /api/v1/review/request/:token
+ */
+exports.getReviewRequestForm = catchAsync(async (req, res, next) => {
+  const reviewRequestService = require('../../services/review/reviewRequestService');
+  const form = await reviewRequestService.getReviewForm(req.params.token);
+
+  res.status(200).json({
+    status: 'success',
+    data: form,
+  });
+});
+
+/**
+ * Submit a review from a review request link
+ * POST /api/v1/review/request/:token  Body: { orderItem, rating, title, review, images? }
+ */
+exports.submitReviewRequest = catchAsync(async (req, res, next) => {
+  const reviewRequestService = require('../../services/review/reviewRequestService');
+  const review = await reviewRequestService.submitReviewFromToken(req.params.token, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: { review },
+  });
+});
+
 // Update review with security checks
 exports.updateReview = catchAsync(async (req, res, next) => {
   const review = await Review.findById(req.params.id);
@@ -270,8 +323,23 @@ exports.updateReview = catchAsync(async (req, res, next) => {
     return next(new AppError('You cannot edit a review after the seller has replied to it', 403));
   }
 
-  // Don't allow changing product, user, or order
-  const { product, user, order, ...updateData } = req.body;
+  // Don't allow changing product, user, order, vote counters or photo moderation
+  const {
+    product,
+    user,
+    order,
+    helpfulVotes,
+    nothelpfulVotes,
+    mediaStatus,
+    mediaModerationNotes,
+    mediaModeratedAt,
+    ...updateData
+  } = req.body;
+
+  // Changed photos go back into the moderation queue
+  if (updateData.images !== undefined) {
+    updateData.mediaStatus = reviewEngagementService.initialMediaStatus(updateData.images);
+  }
 
   // SECURITY FIX #10: Sanitize user-generated content if being updated
   const { sanitizeReview, sanitizeTitle } = require('../../utils/helpers/sanitizeUserContent');
@@ -486,6 +554,52 @@ const logger = require('../../utils/logger');
   });
 });
 
+// Review photo moderation queue
+exports.getReviewMediaQueue = catchAsync(async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+
+  const { reviews, total } = await reviewEngagementService.listMediaQueue({ status, page, limit });
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    data: {
+      reviews,
+      meta: { total, page, limit, totalPages: Math.ceil(total / limit) },
+    },
+  });
+});
+
+// Approve review photos
+exports.approveReviewMedia = catchAsync(async (req, res, next) => {
+  const review = await reviewEngagementService.moderateMedia(
+    req.params.id,
+    'approved',
+    req.body.moderationNotes,
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { review },
+  });
+});
+
+// Reject review photos (the review text stays published)
+exports.rejectReviewMedia = catchAsync(async (req, res, next) => {
+  const review = await reviewEngagementService.moderateMedia(
+    req.params.id,
+    'rejected',
+    req.body.moderationNotes,
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { review },
+  });
+});
+
 // Hide review (soft delete by setting status to rejected)
 exports.hideReview = catchAsync(async (req, res, next) => {
   const review = await Review.findById(req.params.id);
@@ -507,6 +621,25 @@ exports.hideReview = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Helpfulness vote - one per buyer; repeating the same vote withdraws it
+ * POST /api/v1/review/:id/vote  Body: { vote: 'helpful' | 'not_helpful' }
+ * DELETE /api/v1/review/:id/vote
+ */
+exports.voteReview = catchAsync(async (req, res, next) => {
+  const vote = req.method === 'DELETE' ? null : req.body.vote;
+  if (req.method !== 'DELETE' && !vote) {
+    return next(new AppError('Vote is required', 400));
+  }
+
+  const result = await reviewEngagementService.castVote(req.params.id, req.user.id, vote);
+
+  res.status(200).json({
+    status: 'success',
+    data: result,
+  });
+});
+
 // Seller reply to review
 exports.replyToReview = catchAsync(async (req, res, next) => {
   const { reply } = req.body;
@@ -544,6 +677,12 @@ exports.replyToReview = catchAsync(async (req, res, next) => {
   };
   await review.save();
 
+  // Review response rate is part of the system-derived seller rating
+  const sellerRatingService = require('../../services/sellerRatingService');
+  sellerRatingService.updateSellerRating(product.seller._id).catch(err => {
+    console.error('[Review Reply] Error updating seller rating:', err);
+  });
+
   res.status(200).json({
     status: 'success',
     data: { review },
@@ -599,7 +738,13 @@ exports.getSellerReviews = catchAsync(async (req, res, next) => {
   const skip = (page - 1) * limit;
 
   const reviews = await query.skip(skip).limit(limit);
+  // Sellers see buyer photos once they pass moderation, like everyone else
+  reviews.forEach((review) => {
+    review.images = reviewEngagementService.visibleReviewImages(review, sellerId);
+  });
   const total = await Review.countDocuments(filter);
+  const sellerRatingService = require('../../services/sellerRatingService');
+  const responseMetrics = await sellerRatingService.getReviewResponseMetrics(sellerId);
 
   res.status(200).json({
     status: 'success',
@@ -609,6 +754,7 @@ exports.getSellerReviews = catchAsync(async (req, res, next) => {
       page,
       limit,
       totalPages: Math.ceil(total / limit),
+      responseMetrics,
     },
   });
 });
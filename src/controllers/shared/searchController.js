@@ -5,6 +5,10 @@ const Category = require('../../models/category/categoryModel');
 const Seller = require('../../models/user/sellerModel');
 const SearchAnalytics = require('../../models/analytics/searchAnalyticsModel');
 const aiSearchService = require('../../services/aiSearchService');
+const facetedSearchService = require('../../services/search/facetedSearchService');
+const embeddingService = require('../../services/search/embeddingService');
+const searchRulesService = require('../../services/search/searchRulesService');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
 const logger = require('../../utils/logger');
 const {
   normalizeQuery,
@@ -456,6 +460,7 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
   let queryIntent = null;
   let finalCategoryId = categoryId;
   let finalBrand = brand;
+  let resolvedCategoryId = categoryId || null;
 
   if (normalized && aiSearchService.isAIEnabled()) {
     try {
@@ -469,6 +474,7 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
           });
           if (categoryDoc) {
             finalCategoryId = categoryDoc._id;
+            resolvedCategoryId = categoryDoc._id;
           }
         }
         if (queryIntent.brand && !finalBrand) {
@@ -501,6 +507,7 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
       name: { $regex: `^${category.trim()}$`, $options: 'i' },
     });
     if (categoryDoc) {
+      resolvedCategoryId = categoryDoc._id;
       baseQuery.$or = [
         { parentCategory: categoryDoc._id },
         { subCategory: categoryDoc._id },
@@ -547,16 +554,35 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
     isSeller: isSeller,
   });
 
+  // Admin-managed corrections and synonyms; pin/bury/boost rules for relevance ordering
+  const searchConfig = await searchRulesService.getSearchConfig();
+  const rewrite = normalized ? searchRulesService.rewriteQuery(normalized, searchConfig) : null;
+  const merchandisingRules =
+    sortBy === 'relevance'
+      ? searchRulesService.matchRules(searchConfig.rules, rewrite ? rewrite.corrected : '', resolvedCategoryId)
+      : [];
+  const findMerchandised = (query) =>
+    merchandisingRules.length
+      ? searchRulesService.findMerchandisedPage(query, merchandisingRules, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        visibleMatch: buyerSafeQuery,
+      })
+      : null;
+
   let products = [];
   let totalProducts = 0;
 
   // Handle different search types
   if (type === 'product' && normalized) {
     // Substring-inclusive search (matches tokens inside words, e.g. "phone" → "iPhone")
-    const inclusiveFragment = buildInclusiveKeywordQuery(normalized);
+    const inclusiveFragment = buildInclusiveKeywordQuery(rewrite.corrected, rewrite.segments);
     const query = mergeBuyerSafeWithInclusiveSearch(buyerSafeQuery, inclusiveFragment);
+    const merchandised = query && (await findMerchandised(query));
 
-    if (query) {
+    if (merchandised) {
+      ({ products, totalProducts } = merchandised);
+    } else if (query) {
       logger.info('[SEARCH] Inclusive product query executing');
       const countQuery = Product.countDocuments(query);
       const findQuery = Product.find(query)
@@ -756,10 +782,13 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
     [totalProducts, products] = await Promise.all([countQuery, findQuery]);
   } else if (normalized) {
     // General free-text search — substring-inclusive on name, brand, description, tags, etc.
-    const inclusiveFragment = buildInclusiveKeywordQuery(normalized);
+    const inclusiveFragment = buildInclusiveKeywordQuery(rewrite.corrected, rewrite.segments);
     const query = mergeBuyerSafeWithInclusiveSearch(buyerSafeQuery, inclusiveFragment);
+    const merchandised = query && (await findMerchandised(query));
 
-    if (query) {
+    if (merchandised) {
+      ({ products, totalProducts } = merchandised);
+    } else if (query) {
       const countQuery = Product.countDocuments(query);
       const findQuery = Product.find(query)
         .select('-__v')
@@ -794,36 +823,43 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
   } else {
     // No search query, return empty or all products with filters
     const query = buyerSafeQuery;
-    const countQuery = Product.countDocuments(query);
-    const findQuery = Product.find(query)
-      .select('-__v')
-      .populate('parentCategory', 'name slug')
-      .populate('subCategory', 'name slug');
+    const merchandised = await findMerchandised(query);
 
-    switch (sortBy) {
-      case 'price-low':
-        findQuery.sort({ minPrice: 1 });
-        break;
-      case 'price-high':
-        findQuery.sort({ minPrice: -1 });
-        break;
-      case 'rating':
-        findQuery.sort({ ratingsAverage: -1, ratingsQuantity: -1 });
-        break;
-      case 'newest':
-        findQuery.sort({ createdAt: -1 });
-        break;
-      default:
-        findQuery.sort({ totalSold: -1, ratingsAverage: -1 });
-    }
+    if (merchandised) {
+      ({ products, totalProducts } = merchandised);
+    } else {
+      const countQuery = Product.countDocuments(query);
+      const findQuery = Product.find(query)
+        .select('-__v')
+        .populate('parentCategory', 'name slug')
+        .populate('subCategory', 'name slug');
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    findQuery.skip(skip).limit(parseInt(limit));
+      switch (sortBy) {
+        case 'price-low':
+          findQuery.sort({ minPrice: 1 });
+          break;
+        case 'price-high':
+          findQuery.sort({ minPrice: -1 });
+          break;
+        case 'rating':
+          findQuery.sort({ ratingsAverage: -1, ratingsQuantity: -1 });
+          break;
+        case 'newest':
+          findQuery.sort({ createdAt: -1 });
+          break;
+        default:
+          findQuery.sort({ totalSold: -1, ratingsAverage: -1 });
+      }
 
-    [totalProducts, products] = await Promise.all([countQuery, findQuery]);
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      findQuery.skip(skip).limit(parseInt(limit));
+
+      [totalProducts, products] = await Promise.all([countQuery, findQuery]);
+    }
   }
 
   // Record search analytics (async, don't wait)
+  let searchId;
   if (normalized && normalized.length >= 2) {
     SearchAnalytics.recordSearch(
       normalized,
@@ -833,6 +869,18 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
     ).catch((err) => {
       logger.error('Failed to record search analytics:', err);
     });
+
+    // One search event per search (first page); clients report result clicks against its id
+    if (parseInt(page) === 1) {
+      searchId = searchAnalyticsService.recordSearchEvent(
+        {
+          query: normalized,
+          resultsCount: totalProducts,
+          correctedQuery: rewrite?.corrections.length ? rewrite.corrected : null,
+        },
+        searchAnalyticsService.searchContextFromRequest(req),
+      );
+    }
   }
 
   // Calculate pagination with backend logic
@@ -874,6 +922,8 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
     _meta: {
       originalQuery: q || '',
       enhancedQuery: searchQuery !== (q ? decodeURIComponent(q) : '') ? searchQuery : undefined,
+      correctedQuery: rewrite?.corrections.length ? rewrite.corrected : undefined,
+      searchId,
       intent: queryIntent ? {
         type: queryIntent.intent,
         confidence: queryIntent.confidence,
@@ -883,3 +933,79 @@ exports.searchProductsResults = catchAsync(async (req, res, next) => {
     },
   });
 });
+
+/**
+ * @desc    Faceted product search: results plus live counts for the filter sidebar
+ * @route   GET /api/v1/search/faceted
+ * @query   q, sortBy, page, limit, category, brand, price (e.g. 50-100,5000-), minPrice, maxPrice,
+ *          rating, condition, seller, shippingType, attr[<name>], inStock, onSale.
+ *          Multi-select values are comma-separated: brand=Apple,Samsung&attr[color]=red,blue
+ * @access  Public
+ */
+exports.searchProductsFaceted = catchAsync(async (req, res, next) => {
+  const { products, total, page, limit, facets } = await facetedSearchService.searchWithFacets(
+    req.query,
+    req.user ? { id: req.user.id, role: req.user.role } : null,
+  );
+
+  const normalized = normalizeQuery(req.query.q || '');
+  let searchId;
+  if (normalized && normalized.length >= 2) {
+    const userModel = req.user?.role === 'seller' ? 'Seller' : req.user?.role === 'admin' ? 'Admin' : 'User';
+    SearchAnalytics.recordSearch(normalized, req.user?.id || null, userModel, total).catch((err) => {
+      logger.error('Failed to record search analytics:', err);
+    });
+    if (page === 1) {
+      searchId = searchAnalyticsService.recordSearchEvent(
+        { query: normalized, resultsCount: total, source: 'faceted' },
+        searchAnalyticsService.searchContextFromRequest(req),
+      );
+    }
+  }
+
+  const { buildPaginationResponse } = require('../../utils/helpers/paginationUtils');
+  const pagination = buildPaginationResponse(page, limit, total, {
+    delta: 2,
+    maxVisible: 5,
+  });
+
+  res.status(200).json({
+    success: true,
+    results: products.length,
+    totalProducts: total,
+    currentPage: pagination.page,
+    totalPages: pagination.totalPages,
+    pagination,
+    data: products,
+    facets,
+    _meta: { searchId },
+  });
+});
+
+/**
+ * @desc    Semantic (embedding) search: products closest in meaning to the query, best first.
+ *          Works without an AI key through the local embedding provider.
+ * @route   GET /api/v1/search/semantic?q=&limit=
+ * @access  Public
+ */
+exports.searchProductsSemantic = catchAsync(async (req, res, next) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (q.length < 2) {
+    return next(new AppError('Search query must be at least 2 characters', 400));
+  }
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+  const products = await embeddingService.semanticSearch(q, { limit });
+
+  const searchId = searchAnalyticsService.recordSearchEvent(
+    { query: normalizeQuery(q) || q.toLowerCase(), resultsCount: products.length, source: 'semantic' },
+    searchAnalyticsService.searchContextFromRequest(req),
+  );
+
+  res.status(200).json({
+    success: true,
+    results: products.length,
+    data: products,
+    _meta: { searchId },
+  });
+});
@@ -0,0 +1,126 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const Shipment = require('../../models/order/shipmentModel');
+const Order = require('../../models/order/orderModel');
+const shipmentService = require('../../services/order/shipmentService');
+const { logActivityAsync } = require('../../modules/activityLog/activityLog.service');
+
+/**
+ * GET /api/v1/order/:orderId/shipments
+ * Buyer (own order), seller (own shipments) or admin: per-seller shipments of an order
+ */
+exports.getOrderShipments = catchAsync(async (req, res, next) => {
+  const shipments = await shipmentService.getShipmentsForOrder(req.params.orderId, req.user);
+  const order = await Order.findById(req.params.orderId).select('currentStatus fulfilment').lean();
+
+  res.status(200).json({
+    status: 'success',
+    results: shipments.length,
+    data: {
+      currentStatus: order?.currentStatus,
+      fulfilment: order?.fulfilment || null,
+      shipments,
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/order/:orderId/shipments/:shipmentId
+ * Seller (own shipment) or admin: move a shipment along, set carrier details and,
+ * on delivery, record the proof. Body: { status, message?, location?, carrier?,
+ * carrierTrackingNumber?, trackingUrl?, deliveryProof? }
+ */
+exports.updateShipment = catchAsync(async (req, res, next) => {
+  const { orderId, shipmentId } = req.params;
+  const { status } = req.body;
+
+  if (!status || typeof status !== 'string') {
+    return next(new AppError('Shipment status is required', 400));
+  }
+
+  const shipment = await Shipment.findOne({ _id: shipmentId, order: orderId }).select('_id').lean();
+  if (!shipment) {
+    return next(new AppError('Shipment not found', 404));
+  }
+
+  const deliveryProof =
+    req.body.deliveryProof && typeof req.body.deliveryProof === 'object' ? req.body.deliveryProof : undefined;
+  const result = await shipmentService.updateShipmentStatus(
+    shipmentId,
+    {
+      status,
+      message: typeof req.body.message === 'string' ? req.body.message.trim() : '',
+      location: typeof req.body.location === 'string' ? req.body.location.trim() : '',
+      carrier: req.body.carrier,
+      carrierTrackingNumber: req.body.carrierTrackingNumber,
+      trackingUrl: req.body.trackingUrl,
+      deliveryProof,
+    },
+    { id: req.user.id, role: req.user.role },
+  );
+
+  const role = ['admin', 'superadmin'].includes(req.user.role) ? 'admin' : 'seller';
+  logActivityAsync({
+    userId: req.user.id,
+    role,
+    action: 'UPDATE_SHIPMENT_STATUS',
+    description: `${role === 'admin' ? 'Admin' : 'Seller'} updated shipment ${result.shipment.trackingNumber} to ${status}`,
+    req,
+    metadata: {
+      orderId,
+      shipmentId,
+      newStatus: status,
+    },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      shipment: result.shipment,
+      order: result.order && {
+        currentStatus: result.order.currentStatus,
+        fulfilment: result.order.fulfilment,
+      },
+    },
+  });
+});
+
+/**
+ * GET /api/v1/order/track-shipment/:trackingNumber
+ * Public: timeline of one shipment (no buyer, seller or address details)
+ */
+exports.trackShipment = catchAsync(async (req, res, next) => {
+  const shipment = await Shipment.findOne({ trackingNumber: req.params.trackingNumber })
+    .populate('order', 'orderNumber trackingNumber currentStatus')
+    .lean();
+
+  if (!shipment) {
+    return next(new AppError('Shipment not found with this tracking number', 404));
+  }
+
+  const timeline = [...(shipment.timeline || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(({ status, message, location, timestamp }) => ({ status, message, location, timestamp }));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      shipment: {
+        trackingNumber: shipment.trackingNumber,
+        status: shipment.status,
+        carrier: shipment.carrier || null,
+        carrierTrackingNumber: shipment.carrierTrackingNumber || null,
+        trackingUrl: shipment.trackingUrl || null,
+        itemCount: shipment.items?.length || 0,
+        dispatchedAt: shipment.dispatchedAt || null,
+        deliveredAt: shipment.deliveredAt || null,
+        timeline,
+        order: shipment.order && {
+          orderNumber: shipment.order.orderNumber,
+          trackingNumber: shipment.order.trackingNumber,
+          currentStatus: shipment.order.currentStatus,
+        },
+      },
+    },
+  });
+});
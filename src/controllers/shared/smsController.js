@@ -0,0 +1,25 @@
+const catchAsync = require('../../utils/helpers/catchAsync');
+const AppError = require('../../utils/errors/appError');
+const smsService = require('../../services/sms/smsService');
+const logger = require('../../utils/logger');
+
+/**
+ * GET|POST /api/v1/sms/webhook/:provider?token=
+ * Delivery receipt callback from the SMS gateway. The token must match SMS_WEBHOOK_TOKEN.
+ * Always answers 200 for readable receipts so the gateway does not retry unknown ids.
+ */
+exports.receiveDeliveryReceipt = catchAsync(async (req, res, next) => {
+  if (!smsService.isValidReceiptToken(req.query.token)) {
+    return next(new AppError('Invalid receipt token', 401));
+  }
+
+  const payload = { ...req.query, ...(req.body || {}) };
+  delete payload.token;
+
+  const message = await smsService.recordDeliveryReceipt(req.params.provider, payload);
+  if (!message) {
+    logger.warn(`[SMS] Unmatched ${req.params.provider} delivery receipt`, payload);
+  }
+
+  res.status(200).json({ status: 'success', matched: Boolean(message) });
+});
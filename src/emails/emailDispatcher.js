@@ -5,6 +5,7 @@ const {
   sendOrderConfirmationEmail,
   sendLoginEmail,
   sendLoginOtpEmail,
+  sendDataReadyEmail,
 } = require('../utils/email/emailService');
 
 // Buyer-facing marketing emails (e.g. sendCouponToBuyer) must be gated by the caller
@@ -33,11 +34,15 @@ const sendPasswordReset = async (user, resetToken) => {
 const sendOrderConfirmation = async (order, user, paymentMethod = null) => {
   // Resolve payment method: explicit arg > order field
   const method = paymentMethod || order.paymentMethod || null;
+  // Attach the tax invoice / receipt PDF once the order can be invoiced (paid, or delivered for pay-on-delivery)
+  const { getOrderInvoiceAttachment } = require('../services/order/invoiceService');
+  const invoice = await getOrderInvoiceAttachment(order._id || order.id);
   return await sendOrderConfirmationEmail(
     user.email,
     order,
     user.name || 'Customer',
-    method
+    method,
+    { attachments: invoice ? [invoice] : [] }
   );
 };
 
@@ -1123,6 +1128,93 @@ const sendPaymentFailed = async (user, order, reason = null) => {
   });
 };
 
+// ============================================================================
+// BUYER — SUBSCRIPTION RENEWAL PAYMENT FAILED (DUNNING)
+// ============================================================================
+/**
+ * @param {Object} user - { email, name }
+ * @param {Object} subscription - includes failedAttempts and nextRetryAt
+ * @param {string} reason - Why the renewal could not be paid
+ */
+const sendSubscriptionPaymentFailed = async (user, subscription, reason = null) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const FRONTEND_URL = process.env.FRONTEND_URL || 'https://saiisai.com';
+  const subscriptionUrl = `${FRONTEND_URL}/subscriptions/${subscription._id}`;
+  const productName = subscription.productName || 'your subscription';
+  const retryDate = subscription.nextRetryAt
+    ? new Date(subscription.nextRetryAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+    : null;
+  const fundingHint = subscription.paymentMethod === 'credit_balance'
+    ? 'Please top up your wallet before then.'
+    : 'Please make sure your card has enough funds before then.';
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#F59E0B,#B45309);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;}
+    .warn{background:#FFFBEB;border-left:4px solid #F59E0B;padding:16px;border-radius:6px;margin:18px 0;}
+    .btn{display:inline-block;padding:12px 28px;background:#4361EE;color:#fff!important;text-decoration:none;border-radius:6px;font-size:14px;font-weight:600;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">Subscription Renewal Failed</h1></div>
+    <div class="bd">
+      <p>Hi ${user.name || 'Customer'},</p>
+      <p>We could not process the renewal of <strong>${productName}</strong>.</p>
+      <div class="warn">
+        <p style="margin:0;"><strong>Reason:</strong> ${reason || 'The payment was not successful.'}</p>
+        ${retryDate ? `<p style="margin:8px 0 0;">We will try again on <strong>${retryDate}</strong>. ${fundingHint}</p>` : ''}
+      </div>
+      <p style="text-align:center;"><a href="${subscriptionUrl}" class="btn">Manage Subscription</a></p>
+    </div>
+    <div class="ft">© ${new Date().getFullYear()} ${BRAND_NAME}</div>
+  </div></body></html>`;
+
+  return await sendEmail({
+    to: user.email,
+    subject: `Action needed: renewal of ${productName} failed — ${BRAND_NAME}`,
+    text: `Hi ${user.name || 'Customer'}, we could not process the renewal of ${productName}. ${reason || ''}${retryDate ? ` We will try again on ${retryDate}. ${fundingHint}` : ''} Manage your subscription: ${subscriptionUrl}`,
+    html,
+  });
+};
+
+// ============================================================================
+// BUYER — SUBSCRIPTION CANCELLED AFTER FAILED RENEWALS
+// ============================================================================
+const sendSubscriptionCancelled = async (user, subscription, reason = null) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const FRONTEND_URL = process.env.FRONTEND_URL || 'https://saiisai.com';
+  const productUrl = `${FRONTEND_URL}/product/${subscription.product}`;
+  const productName = subscription.productName || 'your subscription';
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#DC3545,#B91C1C);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;}
+    .warn{background:#F8D7DA;border-left:4px solid #DC3545;padding:16px;border-radius:6px;margin:18px 0;}
+    .btn{display:inline-block;padding:12px 28px;background:#4361EE;color:#fff!important;text-decoration:none;border-radius:6px;font-size:14px;font-weight:600;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">Subscription Cancelled</h1></div>
+    <div class="bd">
+      <p>Hi ${user.name || 'Customer'},</p>
+      <p>Your subscription to <strong>${productName}</strong> has been cancelled because we could not collect payment after several attempts.</p>
+      <div class="warn"><p style="margin:0;"><strong>Last error:</strong> ${reason || 'The payment was not successful.'}</p></div>
+      <p>You can subscribe again at any time.</p>
+      <p style="text-align:center;"><a href="${productUrl}" class="btn">Subscribe Again</a></p>
+    </div>
+    <div class="ft">© ${new Date().getFullYear()} ${BRAND_NAME}</div>
+  </div></body></html>`;
+
+  return await sendEmail({
+    to: user.email,
+    subject: `Your ${productName} subscription was cancelled — ${BRAND_NAME}`,
+    text: `Hi ${user.name || 'Customer'}, your subscription to ${productName} has been cancelled because we could not collect payment after several attempts. Last error: ${reason || 'payment not successful'}. Subscribe again: ${productUrl}`,
+    html,
+  });
+};
+
 
 // ============================================================================
 // BUYER — ORDER CANCELLED
@@ -1401,6 +1493,239 @@ const sendLowStockAlert = async (seller, alerts = []) => {
   });
 };
 
+// ============================================================================
+// BUYER / GUEST — BACK IN STOCK
+// ============================================================================
+/**
+ * @param {string} email - Subscriber email (buyers and guests)
+ * @param {Object} data - { productName, variantName, imageUrl, productUrl, unsubscribeUrl }
+ */
+const sendBackInStock = async (email, { productName, variantName, imageUrl, productUrl, unsubscribeUrl }) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const itemName = `${productName || 'Your item'}${variantName ? ` (${variantName})` : ''}`;
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#22C55E,#15803D);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;text-align:center;}
+    .btn{display:inline-block;padding:12px 28px;background:#4361EE;color:#fff!important;text-decoration:none;border-radius:6px;font-size:14px;font-weight:600;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">🎉 It's Back in Stock!</h1></div>
+    <div class="bd">
+      ${imageUrl ? `<img src="${imageUrl}" alt="${productName || ''}" style="max-width:200px;border-radius:8px;margin-bottom:12px;">` : ''}
+      <p><strong>${itemName}</strong> is available again.</p>
+      <p>You asked us to let you know. Stock is limited, so grab it before it sells out.</p>
+      <p><a href="${productUrl}" class="btn">Shop Now</a></p>
+    </div>
+    <div class="ft">
+      You received this because you asked to be notified when this item is back in stock.
+      ${unsubscribeUrl ? `<br><a href="${unsubscribeUrl}" style="color:#888;">Stop these alerts</a>` : ''}
+      <br>© ${new Date().getFullYear()} ${BRAND_NAME}
+    </div>
+  </div></body></html>`;
+
+  return await sendEmail({
+    to: email,
+    subject: `🎉 ${itemName} is back in stock — ${BRAND_NAME}`,
+    text: `${itemName} is back in stock at ${BRAND_NAME}. Shop now: ${productUrl}${unsubscribeUrl ? ` — Stop these alerts: ${unsubscribeUrl}` : ''}`,
+    html,
+  });
+};
+
+// ============================================================================
+// BUYER — DELIVERY PIN (TRANSACTIONAL)
+// ============================================================================
+/**
+ * One-time PIN the buyer gives the rider at handover.
+ * @param {Object} user - { email, name }
+ * @param {Object} order - { orderNumber }
+ * @param {string} pin
+ * @param {Date} expiresAt
+ */
+const sendDeliveryPin = async (user, order, pin, expiresAt) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const firstName = (user.name || 'there').split(' ')[0];
+  const expiry = new Date(expiresAt).toLocaleString('en-GB', { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#4361EE,#3A0CA3);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;text-align:center;}
+    .pin{font-size:32px;font-weight:800;letter-spacing:8px;background:#F3F4F6;padding:14px;border-radius:8px;margin:20px 0;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">🛵 Your rider is on the way</h1></div>
+    <div class="bd">
+      <p>Hi ${firstName}, order <strong>#${order.orderNumber}</strong> is out for delivery.</p>
+      <p>Give this PIN to the rider only when you have received your package:</p>
+      <div class="pin">${pin}</div>
+      <p style="color:#666;font-size:13px;">Valid until ${expiry}. Never share it over the phone.</p>
+    </div>
+    <div class="ft">© ${new Date().getFullYear()} ${BRAND_NAME}</div>
+  </div></body></html>`;
+
+  return await sendEmail({
+    to: user.email,
+    subject: `Your delivery PIN for order #${order.orderNumber} — ${BRAND_NAME}`,
+    text: `Hi ${firstName}, order #${order.orderNumber} is out for delivery. Give PIN ${pin} to the rider only when you have received your package. Valid until ${expiry}.`,
+    html,
+  });
+};
+
+// ============================================================================
+// BUYER — ABANDONED CART REMINDER (PROMOTION — caller checks email permission)
+// ============================================================================
+/**
+ * @param {Object} user - { email, name }
+ * @param {Object} details
+ * @param {Array} details.items - { name, variantName, image, quantity, unitPrice, lineTotal } at current prices
+ * @param {number} details.total
+ * @param {string} details.cartUrl
+ * @param {Object|null} details.coupon - { code, percent, maxAmount, expiresAt }
+ */
+const sendAbandonedCartReminder = async (user, { items = [], total = 0, cartUrl, coupon = null }) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const firstName = (user.name || 'there').split(' ')[0];
+  const shown = items.slice(0, 5);
+
+  const rows = shown.map((item) => `
+      <tr>
+        <td style="padding:8px 0;border-bottom:1px solid #EEE;width:64px;">
+          ${item.image ? `<img src="${item.image}" alt="" width="56" style="border-radius:6px;display:block;">` : ''}
+        </td>
+        <td style="padding:8px;border-bottom:1px solid #EEE;">
+          <strong>${item.name}</strong>${item.variantName ? `<br><span style="color:#666;font-size:13px;">${item.variantName}</span>` : ''}
+          <br><span style="color:#666;font-size:13px;">Qty ${item.quantity}</span>
+        </td>
+        <td style="padding:8px 0;border-bottom:1px solid #EEE;text-align:right;white-space:nowrap;">GH₵${Number(item.lineTotal).toFixed(2)}</td>
+      </tr>`).join('');
+  const more = items.length > shown.length
+    ? `<p style="color:#666;font-size:13px;">+ ${items.length - shown.length} more item(s)</p>`
+    : '';
+  const couponText = coupon
+    ? `${coupon.percent}% off${coupon.maxAmount ? ` (up to GH₵${Number(coupon.maxAmount).toFixed(2)})` : ''}`
+    : '';
+  const couponExpiry = coupon && coupon.expiresAt
+    ? new Date(coupon.expiresAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+    : '';
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#4361EE,#3A0CA3);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;}
+    .cp{background:#FFFBEB;border:2px dashed #F59E0B;padding:14px;border-radius:8px;text-align:center;margin:20px 0;}
+    .btn{display:inline-block;padding:12px 28px;background:#4361EE;color:#fff!important;text-decoration:none;border-radius:6px;font-size:14px;font-weight:600;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">🛒 Your cart is waiting</h1></div>
+    <div class="bd">
+      <p>Hi ${firstName},</p>
+      <p>You left these items in your cart. Here they are at today's prices:</p>
+      <table width="100%" cellpadding="0" cellspacing="0">${rows}</table>
+      ${more}
+      <p style="text-align:right;font-size:16px;"><strong>Total: GH₵${Number(total).toFixed(2)}</strong></p>
+      ${coupon ? `<div class="cp">
+        <p style="margin:0;font-size:14px;">Complete your order and get <strong>${couponText}</strong></p>
+        <p style="margin:6px 0;font-size:22px;font-weight:800;letter-spacing:2px;">${coupon.code}</p>
+        <p style="margin:0;font-size:12px;color:#92400E;">Single use, valid until ${couponExpiry}</p>
+      </div>` : ''}
+      <p style="text-align:center;"><a href="${cartUrl}" class="btn">Return to my cart</a></p>
+      <p style="color:#666;font-size:13px;">Prices and availability can change until you check out.</p>
+    </div>
+    <div class="ft">
+      You received this because promotional emails are enabled in your account settings.
+      <br>© ${new Date().getFullYear()} ${BRAND_NAME}
+    </div>
+  </div></body></html>`;
+
+  return await sendEmail({
+    to: user.email,
+    subject: coupon
+      ? `${couponText} the items in your cart — ${BRAND_NAME}`
+      : `You left something in your cart — ${BRAND_NAME}`,
+    text: `Hi ${firstName}, you left ${items.length} item(s) in your cart (total GH₵${Number(total).toFixed(2)}).${coupon ? ` Use code ${coupon.code} for ${couponText}, valid until ${couponExpiry}.` : ''} Return to your cart: ${cartUrl}`,
+    html,
+  });
+};
+
+// ============================================================================
+// BUYER — REVIEW REQUEST AFTER DELIVERY (ACCOUNT UPDATE — caller checks preferences)
+// ============================================================================
+/**
+ * @param {Object} user - { email, name }
+ * @param {Object} details
+ * @param {string} details.orderNumber
+ * @param {Array} details.items - { productName, image, ratingLinks: [{ rating, url }] } not yet reviewed
+ * @param {string} details.formUrl - pre-authenticated review form
+ * @param {boolean} details.isReminder
+ */
+const sendReviewRequest = async (user, { orderNumber, items = [], formUrl, isReminder = false }) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const firstName = (user.name || 'there').split(' ')[0];
+  const shown = items.slice(0, 5);
+
+  const rows = shown.map((item) => `
+      <tr>
+        <td style="padding:10px 0;border-bottom:1px solid #EEE;width:64px;">
+          ${item.image ? `<img src="${item.image}" alt="" width="56" style="border-radius:6px;display:block;">` : ''}
+        </td>
+        <td style="padding:10px 8px;border-bottom:1px solid #EEE;">
+          <strong>${item.productName}</strong><br>
+          ${item.ratingLinks.map((link) => `<a href="${link.url}" title="${link.rating} star${link.rating > 1 ? 's' : ''}" style="font-size:24px;color:#F59E0B;text-decoration:none;">☆</a>`).join('')}
+        </td>
+      </tr>`).join('');
+  const more = items.length > shown.length
+    ? `<p style="color:#666;font-size:13px;">+ ${items.length - shown.length} more item(s) on the review page</p>`
+    : '';
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#F59E0B,#D97706);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;}
+    .btn{display:inline-block;padding:12px 28px;background:#4361EE;color:#fff!important;text-decoration:none;border-radius:6px;font-size:14px;font-weight:600;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">⭐ ${isReminder ? 'Got a minute to rate your order?' : 'How was your order?'}</h1></div>
+    <div class="bd">
+      <p>Hi ${firstName},</p>
+      <p>Your order #${orderNumber} was delivered recently. Tap a star to rate each item — it only takes a moment and helps other shoppers.</p>
+      <table width="100%" cellpadding="0" cellspacing="0">${rows}</table>
+      ${more}
+      <p style="text-align:center;"><a href="${formUrl}" class="btn">Write my reviews</a></p>
+    </div>
+    <div class="ft">
+      You received this because review requests are enabled in your notification settings.
+      <br>© ${new Date().getFullYear()} ${BRAND_NAME}
+    </div>
+  </div></body></html>`;
+
+  return await sendEmail({
+    to: user.email,
+    subject: isReminder
+      ? `Reminder: rate your order #${orderNumber} — ${BRAND_NAME}`
+      : `How was your order #${orderNumber}? — ${BRAND_NAME}`,
+    text: `Hi ${firstName}, your order #${orderNumber} was delivered. Rate your items here: ${formUrl}`,
+    html,
+  });
+};
+
+// ============================================================================
+// BUYER — PERSONAL DATA EXPORT READY
+// ============================================================================
+/**
+ * @param {Object} user - { email, name }
+ * @param {string} downloadUrl - Signed, expiring bundle URL
+ * @param {Date} expiresAt
+ */
+const sendDataExportReady = async (user, downloadUrl, expiresAt) => {
+  return await sendDataReadyEmail(user.email, downloadUrl, expiresAt, user.name || 'User');
+};
+
 // ============================================================================
 // BUYER — WALLET TOPPED UP
 // ============================================================================
@@ -1610,6 +1935,80 @@ const sendAdminOrderPaidAlert = async (order) => {
   });
 };
 
+// ============================================================================
+// ADMIN — WEEKLY SEARCH DIGEST
+// ============================================================================
+const sendAdminSearchDigest = async (digest) => {
+  const BRAND_NAME = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+  const adminEmail = process.env.ADMIN_EMAIL || process.env.SUPPORT_EMAIL || 'admin@saiisai.com';
+  const ADMIN_URL = process.env.ADMIN_DASHBOARD_URL || process.env.FRONTEND_URL || 'https://saiisai.com';
+  const searchUrl = `${ADMIN_URL}/admin/search`;
+  const pct = (value) => `${(Number(value || 0) * 100).toFixed(1)}%`;
+  const period = `${new Date(digest.from).toDateString()} – ${new Date(digest.to).toDateString()}`;
+
+  const section = (title, headers, rows) => (rows.length === 0 ? '' : `
+      <h3 style="margin:24px 0 4px;font-size:16px;">${title}</h3>
+      <table>
+        <thead><tr>${headers.map((h, i) => `<th${i ? ' style="text-align:right;"' : ''}>${h}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map((cells) => `<tr>${cells.map((c, i) => `<td style="padding:8px 12px;font-size:13px;border-bottom:1px solid #EEE;${i ? 'text-align:right;' : ''}">${c}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`);
+
+  const html = `<!DOCTYPE html><html><head><style>
+    body{font-family:'Inter',sans-serif;line-height:1.6;color:#333;margin:0;}
+    .wrap{max-width:600px;margin:0 auto;padding:24px;}
+    .hd{background:linear-gradient(135deg,#4361EE,#3A0CA3);color:#fff;padding:28px;text-align:center;border-radius:10px 10px 0 0;}
+    .bd{background:#fff;padding:28px;border-radius:0 0 10px 10px;}
+    .info{background:#EFF6FF;border-left:4px solid #3B82F6;padding:14px 18px;border-radius:6px;margin:18px 0;}
+    .info p{margin:4px 0;font-size:14px;}
+    table{width:100%;border-collapse:collapse;margin:8px 0;}
+    th{background:#F3F4F6;text-align:left;padding:8px 12px;font-size:13px;}
+    .btn{display:inline-block;padding:12px 28px;background:#4361EE;color:#fff!important;text-decoration:none;border-radius:6px;font-size:14px;font-weight:600;}
+    .ft{margin-top:24px;padding-top:16px;border-top:1px solid #EEE;font-size:12px;color:#888;text-align:center;}
+  </style></head><body><div class="wrap">
+    <div class="hd"><h1 style="margin:0;font-size:22px;">🔎 Weekly Search Digest</h1></div>
+    <div class="bd">
+      <p>Search queries from ${period} that need merchandising attention.</p>
+      <div class="info">
+        <p><strong>Searches:</strong> ${digest.overview.searches} (${digest.overview.uniqueQueries} unique queries)</p>
+        <p><strong>Zero-result rate:</strong> ${pct(digest.overview.zeroResultRate)}</p>
+        <p><strong>Click-through rate:</strong> ${pct(digest.overview.clickThroughRate)}</p>
+        <p><strong>Exit rate:</strong> ${pct(digest.overview.exitRate)}</p>
+        <p><strong>Spelling corrections awaiting review:</strong> ${digest.pendingCorrections}</p>
+      </div>
+      ${section('No results', ['Query', 'Searches', 'Correction'], digest.zeroResults.map((q) => [
+    escapeHtmlAttr(q.query),
+    q.searches,
+    q.correction ? `${escapeHtmlAttr(q.correction.to)} (${q.correction.status})` : '—',
+  ]))}
+      ${section('High exits', ['Query', 'Searches', 'Exit rate'], digest.highExits.map((q) => [
+    escapeHtmlAttr(q.query),
+    q.searches,
+    pct(q.exitRate),
+  ]))}
+      ${section('Low click-through', ['Query', 'Searches', 'CTR'], digest.lowClickThrough.map((q) => [
+    escapeHtmlAttr(q.query),
+    q.searches,
+    pct(q.clickThroughRate),
+  ]))}
+      <p style="text-align:center;margin-top:24px;"><a href="${searchUrl}" class="btn">Manage Search</a></p>
+    </div>
+    <div class="ft">© ${new Date().getFullYear()} ${BRAND_NAME}</div>
+  </div></body></html>`;
+
+  const lines = [
+    ...digest.zeroResults.map((q) => `No results: "${q.query}" (${q.searches} searches)`),
+    ...digest.highExits.map((q) => `High exits: "${q.query}" (${pct(q.exitRate)} of ${q.searches})`),
+    ...digest.lowClickThrough.map((q) => `Low CTR: "${q.query}" (${pct(q.clickThroughRate)} of ${q.searches})`),
+  ];
+
+  return await sendEmail({
+    to: adminEmail,
+    subject: `🔎 Weekly Search Digest — ${digest.zeroResults.length} zero-result, ${digest.highExits.length} high-exit queries — ${BRAND_NAME}`,
+    text: `Search digest for ${period}.\n${lines.join('\n')}\nCorrections awaiting review: ${digest.pendingCorrections}. Manage search: ${searchUrl}`,
+    html,
+  });
+};
+
 // ============================================================================
 // BUYER — PASSWORD CHANGED CONFIRMATION
 // ============================================================================
@@ -1656,6 +2055,7 @@ module.exports = {
   sendOrderShipped,
   sendOrderDelivered,
   sendOrderCancelledBuyer,
+  sendDeliveryPin,
   // Orders — seller
   sendSellerNewOrder,
   sendSellerOrderStatusUpdate,
@@ -1664,14 +2064,22 @@ module.exports = {
   // Payments
   sendPaymentSuccess,
   sendPaymentFailed,
+  // Subscriptions
+  sendSubscriptionPaymentFailed,
+  sendSubscriptionCancelled,
   // Wallet
   sendWalletCredit,
   sendWalletDebit,
   sendWalletTopup,
+  sendDataExportReady,
   // Refunds
   sendRefundProcessed,
   // Coupons
   sendCouponToBuyer,
+  // Cart recovery
+  sendAbandonedCartReminder,
+  // Reviews
+  sendReviewRequest,
   // Withdrawals (seller payouts)
   sendWithdrawalRequest,
   sendWithdrawalApproved,
@@ -1680,6 +2088,7 @@ module.exports = {
   sendProductApprovedEmail,
   sendProductRejectedEmail,
   sendProductPendingReviewAfterUpdateEmail,
+  sendBackInStock,
   // Seller account
   sendSellerVerifiedEmail,
   sendSellerSuspendedEmail,
@@ -1689,4 +2098,5 @@ module.exports = {
   sendAdminNewSellerAlert,
   sendAdminNewProductAlert,
   sendAdminOrderPaidAlert,
+  sendAdminSearchDigest,
 };
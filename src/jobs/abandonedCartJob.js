@@ -0,0 +1,36 @@
+/**
+ * Abandoned Cart Job
+ * - abandoned-cart-reminders: every hour at :20; reminds buyers about carts left untouched for
+ *   ABANDONED_CART_REMINDER_HOURS (see cartRecoveryService)
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { CART_RECOVERY_QUEUE, processAbandonedCarts } = require('../services/cart/cartRecoveryService');
+const logger = require('../utils/logger');
+
+function startAbandonedCartJob() {
+  registerHandler(CART_RECOVERY_QUEUE, () => processAbandonedCarts(), {
+    leaseMs: 30 * 60 * 1000,
+  });
+
+  // Every hour at :20
+  cron.schedule('20 * * * *', async () => {
+    const hourSlot = new Date().toISOString().slice(0, 13);
+    try {
+      await enqueue(CART_RECOVERY_QUEUE, {}, {
+        name: 'Abandoned cart reminders',
+        uniqueKey: `${CART_RECOVERY_QUEUE}:${hourSlot}`,
+        maxAttempts: 2,
+      });
+    } catch (error) {
+      logger.error('[AbandonedCartJob] Failed to enqueue reminder sweep:', error);
+    }
+  });
+
+  logger.info('[AbandonedCartJob] ✅ Abandoned cart reminder handler registered (runs hourly at :20)');
+}
+
+module.exports = {
+  startAbandonedCartJob,
+};
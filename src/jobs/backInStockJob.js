@@ -0,0 +1,22 @@
+/**
+ * Back-in-Stock Job
+ * - back-in-stock: notifies buyers waiting on a restocked variant, one round at a time
+ *   (enqueued by productController when a seller raises stock above zero)
+ */
+
+const { registerHandler } = require('../services/jobs/jobQueueService');
+const { BACK_IN_STOCK_QUEUE, processBackInStockJob } = require('../services/stock/backInStockService');
+const logger = require('../utils/logger');
+
+function startBackInStockJob() {
+  registerHandler(BACK_IN_STOCK_QUEUE, processBackInStockJob, {
+    concurrency: 2,
+    leaseMs: 10 * 60 * 1000,
+  });
+
+  logger.info('[BackInStockJob] ✅ Back-in-stock notification handler registered');
+}
+
+module.exports = {
+  startBackInStockJob,
+};
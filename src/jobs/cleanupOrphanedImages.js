@@ -1,40 +1,62 @@
 const cron = require('node-cron');
 const { cloudinary } = require('../config/cloudinary');
 const Product = require('../models/product/productModel');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+
+const ORPHANED_IMAGE_CLEANUP_QUEUE = 'orphaned-image-cleanup';
+
+const cleanupOrphanedImages = async () => {
+  console.log('[CleanupJob] Starting orphaned image cleanup...');
+  const folderPrefix = process.env.CLOUDINARY_FOLDER
+    ? `${process.env.CLOUDINARY_FOLDER}/products`
+    : 'saiisai/products';
+
+  const { resources = [] } = await cloudinary.api.resources({
+    type: 'upload',
+    prefix: folderPrefix,
+    max_results: 500,
+  });
+
+  let deleted = 0;
+  for (const resource of resources) {
+    const publicId = resource.public_id;
+    const exists = await Product.exists({ 'images.publicId': publicId });
+    if (exists) continue;
+
+    const createdAt = new Date(resource.created_at);
+    const ageHours = (Date.now() - createdAt.getTime()) / 3600000;
+    if (ageHours > 24) {
+      await cloudinary.uploader.destroy(publicId);
+      deleted += 1;
+      console.log(`[CleanupJob] Deleted orphan: ${publicId}`);
+    }
+  }
+  console.log('[CleanupJob] Cleanup complete.');
+  return { scanned: resources.length, deleted };
+};
 
 const startOrphanedImageCleanup = () => {
+  registerHandler(ORPHANED_IMAGE_CLEANUP_QUEUE, cleanupOrphanedImages, {
+    leaseMs: 15 * 60 * 1000,
+  });
+
   cron.schedule('0 2 * * *', async () => {
-    console.log('[CleanupJob] Starting orphaned image cleanup...');
+    const daySlot = new Date().toISOString().slice(0, 10);
     try {
-      const folderPrefix = process.env.CLOUDINARY_FOLDER
-        ? `${process.env.CLOUDINARY_FOLDER}/products`
-        : 'saiisai/products';
-
-      const { resources = [] } = await cloudinary.api.resources({
-        type: 'upload',
-        prefix: folderPrefix,
-        max_results: 500,
+      await enqueue(ORPHANED_IMAGE_CLEANUP_QUEUE, {}, {
+        name: 'Daily orphaned Cloudinary image cleanup',
+        uniqueKey: `${ORPHANED_IMAGE_CLEANUP_QUEUE}:${daySlot}`,
+        maxAttempts: 3,
+        backoff: { type: 'exponential', delayMs: 5 * 60 * 1000 },
       });
-
-      for (const resource of resources) {
-        const publicId = resource.public_id;
-        const exists = await Product.exists({ 'images.publicId': publicId });
-        if (exists) continue;
-
-        const createdAt = new Date(resource.created_at);
-        const ageHours = (Date.now() - createdAt.getTime()) / 3600000;
-        if (ageHours > 24) {
-          await cloudinary.uploader.destroy(publicId);
-          console.log(`[CleanupJob] Deleted orphan: ${publicId}`);
-        }
-      }
-      console.log('[CleanupJob] Cleanup complete.');
     } catch (error) {
-      console.error('[CleanupJob] Error:', error?.message);
+      console.error('[CleanupJob] Failed to enqueue cleanup:', error?.message);
     }
   });
 };
 
 module.exports = {
+  cleanupOrphanedImages,
   startOrphanedImageCleanup,
+  ORPHANED_IMAGE_CLEANUP_QUEUE,
 };
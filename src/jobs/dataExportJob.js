@@ -0,0 +1,43 @@
+/**
+ * Data Export Jobs
+ * - data-export: builds a buyer's data bundle (enqueued by permissionController.requestDataDownload)
+ * - data-export-expiry: daily sweep that expires old bundles and deletes them from storage
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const {
+  DATA_EXPORT_QUEUE,
+  DATA_EXPORT_EXPIRY_QUEUE,
+  processDataExport,
+  expireDataExports,
+} = require('../services/user/dataExportService');
+const logger = require('../utils/logger');
+
+function startDataExportJobs() {
+  registerHandler(DATA_EXPORT_QUEUE, processDataExport, {
+    concurrency: 2,
+    leaseMs: 10 * 60 * 1000,
+  });
+  registerHandler(DATA_EXPORT_EXPIRY_QUEUE, () => expireDataExports());
+
+  // Daily at 03:00
+  cron.schedule('0 3 * * *', async () => {
+    const daySlot = new Date().toISOString().slice(0, 10);
+    try {
+      await enqueue(DATA_EXPORT_EXPIRY_QUEUE, {}, {
+        name: 'Daily data export expiry',
+        uniqueKey: `${DATA_EXPORT_EXPIRY_QUEUE}:${daySlot}`,
+        maxAttempts: 3,
+      });
+    } catch (error) {
+      logger.error('[DataExportJob] Failed to enqueue expiry sweep:', error);
+    }
+  });
+
+  logger.info('[DataExportJob] ✅ Data export handlers registered (expiry runs daily at 03:00)');
+}
+
+module.exports = {
+  startDataExportJobs,
+};
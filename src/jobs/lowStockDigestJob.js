@@ -0,0 +1,36 @@
+/**
+ * Low Stock Digest Job
+ * - low-stock-digest: daily email listing low / out-of-stock SKUs to sellers who opted in
+ *   (NotificationSettings.stockAlerts.dailyDigest)
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { LOW_STOCK_DIGEST_QUEUE, sendLowStockDigests } = require('../services/stock/stockAlertService');
+const logger = require('../utils/logger');
+
+function startLowStockDigestJob() {
+  registerHandler(LOW_STOCK_DIGEST_QUEUE, () => sendLowStockDigests(), {
+    leaseMs: 15 * 60 * 1000,
+  });
+
+  // Daily at 07:00
+  cron.schedule('0 7 * * *', async () => {
+    const daySlot = new Date().toISOString().slice(0, 10);
+    try {
+      await enqueue(LOW_STOCK_DIGEST_QUEUE, {}, {
+        name: 'Daily low-stock digest',
+        uniqueKey: `${LOW_STOCK_DIGEST_QUEUE}:${daySlot}`,
+        maxAttempts: 3,
+      });
+    } catch (error) {
+      logger.error('[LowStockDigestJob] Failed to enqueue digest:', error);
+    }
+  });
+
+  logger.info('[LowStockDigestJob] ✅ Low-stock digest handler registered (runs daily at 07:00)');
+}
+
+module.exports = {
+  startLowStockDigestJob,
+};
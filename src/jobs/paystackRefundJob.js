@@ -0,0 +1,41 @@
+/**
+ * Paystack Refund Job
+ * - paystack-refunds: starts refunds to the original payment method after approval and applies
+ *   refund.* webhooks (both enqueued on demand)
+ * - every 30 minutes: polls refunds Paystack has not reported on in time (missed webhooks)
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const {
+  PAYSTACK_REFUND_QUEUE,
+  processPaystackRefundJob,
+} = require('../services/refund/paystackRefundService');
+const logger = require('../utils/logger');
+
+function startPaystackRefundJob() {
+  registerHandler(PAYSTACK_REFUND_QUEUE, processPaystackRefundJob, {
+    concurrency: 2,
+    leaseMs: 5 * 60 * 1000,
+  });
+
+  // Every 30 minutes
+  cron.schedule('*/30 * * * *', async () => {
+    const slot = new Date().toISOString().slice(0, 16);
+    try {
+      await enqueue(PAYSTACK_REFUND_QUEUE, { type: 'sync_stale' }, {
+        name: 'Paystack refund sync',
+        uniqueKey: `${PAYSTACK_REFUND_QUEUE}:sync:${slot}`,
+        maxAttempts: 1,
+      });
+    } catch (error) {
+      logger.error('[PaystackRefundJob] Failed to enqueue refund sync:', error);
+    }
+  });
+
+  logger.info('[PaystackRefundJob] ✅ Paystack refund handler registered (sync every 30 minutes)');
+}
+
+module.exports = {
+  startPaystackRefundJob,
+};
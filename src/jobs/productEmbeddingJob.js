@@ -0,0 +1,37 @@
+/**
+ * Product Embedding Job
+ * - product-embedding: re-embeds products whose text changed (queued by the Product post-save
+ *   hook) and, nightly, sweeps the catalogue for missing or stale embeddings
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { EMBEDDING_QUEUE, processEmbeddingJob } = require('../services/search/embeddingService');
+const logger = require('../utils/logger');
+
+function startProductEmbeddingJob() {
+  registerHandler(EMBEDDING_QUEUE, processEmbeddingJob, {
+    concurrency: 2,
+    leaseMs: 30 * 60 * 1000,
+  });
+
+  // Nightly at 03:30
+  cron.schedule('30 3 * * *', async () => {
+    const daySlot = new Date().toISOString().slice(0, 10);
+    try {
+      await enqueue(EMBEDDING_QUEUE, { sweep: true }, {
+        name: 'Nightly product embedding sweep',
+        uniqueKey: `${EMBEDDING_QUEUE}:sweep:${daySlot}`,
+        maxAttempts: 2,
+      });
+    } catch (error) {
+      logger.error('[ProductEmbeddingJob] Failed to enqueue sweep:', error);
+    }
+  });
+
+  logger.info('[ProductEmbeddingJob] ✅ Product embedding handler registered (sweep runs daily at 03:30)');
+}
+
+module.exports = {
+  startProductEmbeddingJob,
+};
@@ -0,0 +1,36 @@
+/**
+ * Review Request Job
+ * - review-requests: every hour at :40; sends post-delivery review requests and reminders that
+ *   are due (see reviewRequestService)
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { REVIEW_REQUEST_QUEUE, processDueRequests } = require('../services/review/reviewRequestService');
+const logger = require('../utils/logger');
+
+function startReviewRequestJob() {
+  registerHandler(REVIEW_REQUEST_QUEUE, () => processDueRequests(), {
+    leaseMs: 30 * 60 * 1000,
+  });
+
+  // Every hour at :40
+  cron.schedule('40 * * * *', async () => {
+    const hourSlot = new Date().toISOString().slice(0, 13);
+    try {
+      await enqueue(REVIEW_REQUEST_QUEUE, {}, {
+        name: 'Review request emails',
+        uniqueKey: `${REVIEW_REQUEST_QUEUE}:${hourSlot}`,
+        maxAttempts: 2,
+      });
+    } catch (error) {
+      logger.error('[ReviewRequestJob] Failed to enqueue request sweep:', error);
+    }
+  });
+
+  logger.info('[ReviewRequestJob] ✅ Review request handler registered (runs hourly at :40)');
+}
+
+module.exports = {
+  startReviewRequestJob,
+};
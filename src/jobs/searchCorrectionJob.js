@@ -0,0 +1,37 @@
+/**
+ * Search Correction Job
+ * - search-corrections: daily, suggests spelling corrections from repeated zero-result
+ *   searches for admins to review
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { CORRECTION_QUEUE, processCorrectionJob } = require('../services/search/spellingCorrectionService');
+const logger = require('../utils/logger');
+
+function startSearchCorrectionJob() {
+  registerHandler(CORRECTION_QUEUE, processCorrectionJob, {
+    concurrency: 1,
+    leaseMs: 10 * 60 * 1000,
+  });
+
+  // Daily at 04:00
+  cron.schedule('0 4 * * *', async () => {
+    const daySlot = new Date().toISOString().slice(0, 10);
+    try {
+      await enqueue(CORRECTION_QUEUE, {}, {
+        name: 'Learn search spelling corrections',
+        uniqueKey: `${CORRECTION_QUEUE}:${daySlot}`,
+        maxAttempts: 2,
+      });
+    } catch (error) {
+      logger.error('[SearchCorrectionJob] Failed to enqueue learning run:', error);
+    }
+  });
+
+  logger.info('[SearchCorrectionJob] ✅ Search correction handler registered (runs daily at 04:00)');
+}
+
+module.exports = {
+  startSearchCorrectionJob,
+};
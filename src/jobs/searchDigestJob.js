@@ -0,0 +1,36 @@
+/**
+ * Search Digest Job
+ * - search-digest: weekly email to the admin inbox listing zero-result, high-exit and
+ *   low click-through queries from the past week
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { SEARCH_DIGEST_QUEUE, sendWeeklySearchDigest } = require('../services/search/searchAnalyticsService');
+const logger = require('../utils/logger');
+
+function startSearchDigestJob() {
+  registerHandler(SEARCH_DIGEST_QUEUE, () => sendWeeklySearchDigest(), {
+    leaseMs: 15 * 60 * 1000,
+  });
+
+  // Mondays at 07:30
+  cron.schedule('30 7 * * 1', async () => {
+    const weekSlot = new Date().toISOString().slice(0, 10);
+    try {
+      await enqueue(SEARCH_DIGEST_QUEUE, {}, {
+        name: 'Weekly search digest',
+        uniqueKey: `${SEARCH_DIGEST_QUEUE}:${weekSlot}`,
+        maxAttempts: 3,
+      });
+    } catch (error) {
+      logger.error('[SearchDigestJob] Failed to enqueue digest:', error);
+    }
+  });
+
+  logger.info('[SearchDigestJob] ✅ Search digest handler registered (runs Mondays at 07:30)');
+}
+
+module.exports = {
+  startSearchDigestJob,
+};
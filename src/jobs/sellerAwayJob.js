@@ -0,0 +1,34 @@
+/**
+ * Seller Away Job
+ * - seller-away: every 15 minutes; flags open orders of sellers whose away period has started
+ *   and reopens stores whose away period has ended
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const { SELLER_AWAY_QUEUE, syncAwayPeriods } = require('../services/seller/sellerAwayService');
+const logger = require('../utils/logger');
+
+function startSellerAwayJob() {
+  registerHandler(SELLER_AWAY_QUEUE, () => syncAwayPeriods());
+
+  // Every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    const quarterSlot = new Date().toISOString().slice(0, 16);
+    try {
+      await enqueue(SELLER_AWAY_QUEUE, {}, {
+        name: 'Seller away periods',
+        uniqueKey: `${SELLER_AWAY_QUEUE}:${quarterSlot}`,
+        maxAttempts: 1,
+      });
+    } catch (error) {
+      logger.error('[SellerAwayJob] Failed to enqueue away sweep:', error);
+    }
+  });
+
+  logger.info('[SellerAwayJob] ✅ Seller away handler registered (runs every 15 minutes)');
+}
+
+module.exports = {
+  startSellerAwayJob,
+};
@@ -0,0 +1,37 @@
+/**
+ * Stock Reservation Expiry Job
+ * - stock-reservation-expiry: every minute; returns the stock of unpaid checkouts whose
+ *   hold (STOCK_RESERVATION_TTL_MINUTES) has passed
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const {
+  STOCK_RESERVATION_EXPIRY_QUEUE,
+  expireReservations,
+} = require('../services/stock/stockReservationService');
+const logger = require('../utils/logger');
+
+function startStockReservationJob() {
+  registerHandler(STOCK_RESERVATION_EXPIRY_QUEUE, () => expireReservations());
+
+  // Every minute
+  cron.schedule('* * * * *', async () => {
+    const minuteSlot = new Date().toISOString().slice(0, 16);
+    try {
+      await enqueue(STOCK_RESERVATION_EXPIRY_QUEUE, {}, {
+        name: 'Stock reservation expiry',
+        uniqueKey: `${STOCK_RESERVATION_EXPIRY_QUEUE}:${minuteSlot}`,
+        maxAttempts: 1,
+      });
+    } catch (error) {
+      logger.error('[StockReservationJob] Failed to enqueue expiry sweep:', error);
+    }
+  });
+
+  logger.info('[StockReservationJob] ✅ Stock reservation expiry handler registered (runs every minute)');
+}
+
+module.exports = {
+  startStockReservationJob,
+};
@@ -0,0 +1,44 @@
+/**
+ * Subscription Renewal Jobs
+ * - subscription-renewal-sweep: hourly; resumes paused subscriptions that are due and
+ *   enqueues one renewal job per subscription whose renewal (or dunning retry) is due
+ * - subscription-renewal: creates and charges a single renewal order
+ */
+
+const cron = require('node-cron');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+const {
+  SUBSCRIPTION_RENEWAL_QUEUE,
+  SUBSCRIPTION_SWEEP_QUEUE,
+  processRenewal,
+  enqueueDueRenewals,
+} = require('../services/order/subscriptionService');
+const logger = require('../utils/logger');
+
+function startSubscriptionJobs() {
+  registerHandler(SUBSCRIPTION_RENEWAL_QUEUE, processRenewal, {
+    concurrency: 2,
+    leaseMs: 5 * 60 * 1000,
+  });
+  registerHandler(SUBSCRIPTION_SWEEP_QUEUE, () => enqueueDueRenewals());
+
+  // Every hour at :05
+  cron.schedule('5 * * * *', async () => {
+    const hourSlot = new Date().toISOString().slice(0, 13);
+    try {
+      await enqueue(SUBSCRIPTION_SWEEP_QUEUE, {}, {
+        name: 'Hourly subscription renewal sweep',
+        uniqueKey: `${SUBSCRIPTION_SWEEP_QUEUE}:${hourSlot}`,
+        maxAttempts: 3,
+      });
+    } catch (error) {
+      logger.error('[SubscriptionJob] Failed to enqueue renewal sweep:', error);
+    }
+  });
+
+  logger.info('[SubscriptionJob] ✅ Subscription renewal handlers registered (sweep runs hourly)');
+}
+
+module.exports = {
+  startSubscriptionJobs,
+};
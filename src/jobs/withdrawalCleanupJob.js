@@ -10,6 +10,9 @@ const PaymentRequest = require('../models/payment/paymentRequestModel');
 const Seller = require('../models/user/sellerModel');
 const financeAudit = require('../services/financeAuditService');
 const logger = require('../utils/logger');
+const { enqueue, registerHandler } = require('../services/jobs/jobQueueService');
+
+const WITHDRAWAL_CLEANUP_QUEUE = 'withdrawal-cleanup';
 
 // Stuck withdrawal timeout: 24 hours
 const STUCK_WITHDRAWAL_TIMEOUT_MS = 24 * 60 * 60 * 1000; // 24 hours
@@ -139,16 +142,26 @@ async function cleanupStuckWithdrawals() {
 
 /**
  * Start the cron job
- * Runs every hour at minute 0
+ * Runs every hour at minute 0. The cron tick only enqueues a job; the work runs on the
+ * job queue worker, so a failed run is retried and every cluster instance enqueuing the
+ * same hour collapses into one job via uniqueKey.
  */
 function startCleanupJob() {
+  registerHandler(WITHDRAWAL_CLEANUP_QUEUE, () => cleanupStuckWithdrawals());
+
   // Run every hour at minute 0
   cron.schedule('0 * * * *', async () => {
-    logger.info('[WithdrawalCleanupJob] 🕐 Running scheduled cleanup...');
+    const hourSlot = new Date().toISOString().slice(0, 13);
     try {
-      await cleanupStuckWithdrawals();
+      await enqueue(WITHDRAWAL_CLEANUP_QUEUE, {}, {
+        name: 'Hourly stuck withdrawal cleanup',
+        uniqueKey: `${WITHDRAWAL_CLEANUP_QUEUE}:${hourSlot}`,
+        maxAttempts: 3,
+        backoff: { type: 'exponential', delayMs: 60 * 1000 },
+      });
+      logger.info('[WithdrawalCleanupJob] 🕐 Scheduled cleanup enqueued');
     } catch (error) {
-      logger.error('[WithdrawalCleanupJob] ❌ Scheduled cleanup failed:', error);
+      logger.error('[WithdrawalCleanupJob] ❌ Failed to enqueue scheduled cleanup:', error);
     }
   });
   
@@ -161,5 +174,6 @@ function startCleanupJob() {
 module.exports = {
   cleanupStuckWithdrawals,
   startCleanupJob,
+  WITHDRAWAL_CLEANUP_QUEUE,
 };
 
@@ -0,0 +1,15 @@
+const rateLimit = require('express-rate-limit');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// "Notify me" accepts guest emails, so cap sign-ups per client to prevent email bombing.
+exports.backInStockLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: isProduction ? 20 : 500,
+  message: {
+    status: 'fail',
+    message: 'Too many notification requests. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -24,5 +24,18 @@ exports.reviewSubmissionLimiter = rateLimit({
   keyGenerator: rateLimitKey,
 });
 
+// Rate limiter for product questions and answers
+exports.questionSubmissionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: isProduction ? 10 : 30,
+  message: {
+    status: 'error',
+    message: 'Too many questions or answers submitted. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: rateLimitKey,
+});
+
 module.exports = exports;
 
@@ -31,6 +31,15 @@ const searchAnalyticsSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // Searches that returned nothing; feeds the spelling-correction learner
+    zeroResultCount: {
+      type: Number,
+      default: 0,
+    },
+    lastResultsCount: {
+      type: Number,
+      default: null,
+    },
     // Store user search history (optional, can be disabled for privacy)
     searchHistory: [
       {
@@ -77,8 +86,8 @@ searchAnalyticsSchema.statics.recordSearch = async function (
   const searchAnalytics = await this.findOneAndUpdate(
     { normalizedKeyword: normalized },
     {
-      $inc: { count: 1 },
-      $set: { lastSearched: Date.now() },
+      $inc: { count: 1, zeroResultCount: resultsCount === 0 ? 1 : 0 },
+      $set: { lastSearched: Date.now(), lastResultsCount: resultsCount },
       $setOnInsert: {
         keyword: keyword.toLowerCase(),
         firstSearched: Date.now(),
@@ -150,6 +159,8 @@ searchAnalyticsSchema.statics.getSimilarKeywords = async function (keyword, limi
     .lean();
 };
 
+searchAnalyticsSchema.index({ lastResultsCount: 1, zeroResultCount: -1 });
+
 const SearchAnalytics = mongoose.model('SearchAnalytics', searchAnalyticsSchema);
 
 module.exports = SearchAnalytics;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const SEARCH_EVENT_TTL_DAYS = 180;
+
+/**
+ * One search as a buyer saw it: the query, how many results it returned and which results
+ * were clicked (with their position). SearchAnalytics keeps per-keyword totals; these events
+ * back the date / device reports (CTR by position, conversion, exits).
+ * `refined` is set when the same session searched again shortly after, so a search with
+ * results, no clicks and no refinement counts as an exit.
+ */
+const searchEventSchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    correctedQuery: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ['results', 'faceted', 'semantic', 'app'],
+      default: 'results',
+    },
+    resultsCount: {
+      type: Number,
+      default: 0,
+    },
+    page: {
+      type: Number,
+      default: 1,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'seller', 'admin', 'guest'],
+      default: 'guest',
+    },
+    platform: {
+      type: String,
+      enum: ['eazmain', 'eazseller', 'eazadmin'],
+      default: 'eazmain',
+    },
+    device: {
+      type: String,
+      enum: ['mobile', 'tablet', 'desktop', 'unknown'],
+      default: 'unknown',
+    },
+    sessionId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    clicks: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        // 1-based position of the product in the results
+        position: { type: Number, min: 1, required: true },
+        clickedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    clickCount: {
+      type: Number,
+      default: 0,
+    },
+    refined: {
+      type: Boolean,
+      default: false,
+    },
+    searchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  },
+);
+
+searchEventSchema.index({ searchedAt: -1, device: 1 });
+searchEventSchema.index({ query: 1, searchedAt: -1 });
+searchEventSchema.index({ sessionId: 1, searchedAt: -1 }, { sparse: true });
+searchEventSchema.index({ searchedAt: 1 }, { expireAfterSeconds: SEARCH_EVENT_TTL_DAYS * 24 * 60 * 60 });
+
+const SearchEvent = mongoose.model('SearchEvent', searchEventSchema);
+
+module.exports = SearchEvent;
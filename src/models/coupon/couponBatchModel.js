@@ -1,5 +1,8 @@
 const { ca } = require('date-fns/locale');
 const mongoose = require('mongoose');
+const offerRuleSchema = require('../promo/offerRuleSchema');
+
+const { ADVANCED_OFFER_TYPES } = offerRuleSchema;
 
 const couponSchema = new mongoose.Schema({
   name: {
@@ -28,15 +31,25 @@ const couponSchema = new mongoose.Schema({
   },
   discountValue: {
     type: Number,
-    required: [true, 'Discount value is required'],
+    required: [
+      function() {
+        return ['percentage', 'fixed'].includes(this.discountType);
+      },
+      'Discount value is required',
+    ],
     min: [0.01, 'Discount value must be at least 0.01'],
   },
   discountType: {
     type: String,
-    enum: ['percentage', 'fixed'],
+    enum: ['percentage', 'fixed', ...ADVANCED_OFFER_TYPES],
     required: [true, 'Discount type is required'],
     default: 'fixed',
   },
+  offer: {
+    type: offerRuleSchema,
+    default: undefined,
+    comment: 'Settings for bogo / tiered / bundle / free_shipping coupons (see offerRuleSchema)',
+  },
   validFrom: {
     type: Date,
     required: [true, 'Valid from date is required'],
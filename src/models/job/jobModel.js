@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Model
+ * Durable background job persisted in MongoDB (replaces the removed Bull/Redis queues).
+ *
+ * Lifecycle: queued -> active -> completed
+ *                        \-> queued (retry with backoff) -> ... -> dead (dead-letter)
+ * A job whose lease (lockedUntil) expires while active is reclaimed by the next worker poll.
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    queue: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      comment: 'Optional human-readable label (e.g. "hourly withdrawal cleanup")',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'active', 'completed', 'dead', 'cancelled'],
+      default: 'queued',
+    },
+    priority: {
+      type: Number,
+      default: 0,
+      comment: 'Higher runs first within a queue',
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+      comment: 'Earliest time the job may be picked up (used for delays and retry backoff)',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1,
+    },
+    backoff: {
+      type: {
+        type: String,
+        enum: ['fixed', 'exponential'],
+        default: 'exponential',
+      },
+      delayMs: {
+        type: Number,
+        default: 30 * 1000,
+      },
+    },
+    // Lease / visibility timeout
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    uniqueKey: {
+      type: String,
+      comment: 'De-duplication key; a second enqueue with the same key returns the existing job',
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      type: String,
+    },
+    failures: [
+      {
+        attempt: Number,
+        message: String,
+        stack: String,
+        failedAt: { type: Date, default: Date.now },
+      },
+    ],
+    startedAt: Date,
+    completedAt: Date,
+    deadLetteredAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Seller', 'Admin'],
+    },
+    expiresAt: {
+      type: Date,
+      comment: 'Set on completion/cancellation; TTL index removes the document afterwards',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Worker claim query: next runnable job per queue
+jobSchema.index({ queue: 1, status: 1, priority: -1, runAt: 1 });
+// Reclaiming expired leases
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+jobSchema.index({ createdAt: -1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -17,6 +17,7 @@ const notificationSettingsSchema = new mongoose.Schema(
       promotions: { type: Boolean, default: true },
       priceDrops: { type: Boolean, default: false },
       restockAlerts: { type: Boolean, default: true },
+      reviewRequests: { type: Boolean, default: true },
       accountSecurity: { type: Boolean, default: true },
       newsletters: { type: Boolean, default: false },
     },
@@ -25,6 +26,7 @@ const notificationSettingsSchema = new mongoose.Schema(
       promotions: { type: Boolean, default: false },
       priceDrops: { type: Boolean, default: true },
       restockAlerts: { type: Boolean, default: true },
+      reviewRequests: { type: Boolean, default: true },
       accountActivity: { type: Boolean, default: true },
     },
     sms: {
@@ -41,6 +43,12 @@ const notificationSettingsSchema = new mongoose.Schema(
       promotions: { type: String, default: 'weekly', enum: ['daily', 'weekly', 'monthly'] },
       newsletters: { type: String, default: 'monthly', enum: ['weekly', 'monthly', 'never'] },
     },
+    // Seller inventory alerts (user = seller id)
+    stockAlerts: {
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      dailyDigest: { type: Boolean, default: false },
+    },
     quietHours: {
       enabled: { type: Boolean, default: false },
       startTime: { type: String, default: '22:00' },
@@ -51,6 +59,7 @@ const notificationSettingsSchema = new mongoose.Schema(
 );
 
 notificationSettingsSchema.index({ user: 1 });
+notificationSettingsSchema.index({ 'stockAlerts.dailyDigest': 1 });
 
 const NotificationSettings = mongoose.model(
   'NotificationSettings',
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * One outbound SMS and what it cost. Doubles as the SMS ledger: every send attempt is recorded,
+ * including ones skipped for opt-out or rate limiting, so admins can reconcile provider bills
+ * (segments × rate) and see why a message never went out.
+ * The provider's delivery receipt updates `status` to delivered / failed.
+ */
+const smsMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    recipient: {
+      id: { type: mongoose.Schema.Types.ObjectId },
+      role: { type: String, enum: ['buyer', 'seller', 'admin', null], default: null },
+    },
+    template: {
+      type: String,
+      default: 'custom',
+    },
+    category: {
+      type: String,
+      enum: ['security', 'orderUpdates', 'payouts', 'promotions'],
+      default: 'security',
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    senderId: String,
+    provider: String,
+    providerMessageId: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'delivered', 'failed', 'opted_out', 'rate_limited'],
+      default: 'queued',
+    },
+    encoding: {
+      type: String,
+      enum: ['GSM-7', 'UCS-2'],
+      default: 'GSM-7',
+    },
+    segments: {
+      type: Number,
+      default: 1,
+    },
+    cost: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: 'GHS',
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    sentAt: Date,
+    deliveredAt: Date,
+    receipt: {
+      status: String,
+      receivedAt: Date,
+      raw: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true },
+);
+
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+smsMessageSchema.index({ createdAt: -1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+smsMessageSchema.index({ template: 1, createdAt: -1 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+module.exports = SmsMessage;
@@ -64,6 +64,30 @@ const OrderItemSchema = new mongoose.Schema({
     default: null,
     comment: 'Reference to approved PromoProduct used for final promo pricing, if any.',
   },
+  priceAdjustments: {
+    type: [
+      {
+        _id: false,
+        type: { type: String, enum: ['flash_deal', 'promo', 'seller_discount', 'campaign'] },
+        ruleId: String,
+        name: String,
+        amount: Number,
+        fundedBy: { type: String, enum: ['seller', 'platform'] },
+      },
+    ],
+    default: undefined,
+    comment: 'Per-unit price rules applied by pricingEngine (VAT-inclusive amounts), in order.',
+  },
+  sellerFundedDiscount: {
+    type: Number,
+    default: 0,
+    comment: 'Per-unit discount carried by the seller (flash deal, promo, seller discount).',
+  },
+  platformFundedDiscount: {
+    type: Number,
+    default: 0,
+    comment: 'Per-unit discount carried by the platform (ad campaigns).',
+  },
   /**
    * SNAPSHOT FIELDS - Store product/variant details at order time
    * These fields ensure order history remains accurate even if products change
@@ -239,6 +263,47 @@ const OrderItemSchema = new mongoose.Schema({
     ref: 'Seller',
     comment: 'Seller who sold this item (for item-level refund tracking)',
   },
+  /**
+   * DIGITAL DELIVERY
+   * Set for e-books, software codes and other digital products. These lines are
+   * fulfilled automatically once payment is confirmed (digitalDeliveryService).
+   */
+  isDigital: {
+    type: Boolean,
+    default: false,
+    comment: 'Snapshot of product.isDigital at order time',
+  },
+  digitalDelivery: {
+    type: {
+      type: String,
+      enum: ['file', 'license_key'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'awaiting_keys', 'delivered'],
+      default: 'pending',
+      comment: 'awaiting_keys = seller pool ran out; filled when the seller uploads more keys',
+    },
+    deliveredAt: Date,
+    expiresAt: {
+      type: Date,
+      comment: 'Download links stop working after this date (file delivery only)',
+    },
+    downloadLimit: {
+      type: Number,
+      comment: 'Maximum number of downloads for this line (file delivery only)',
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastDownloadedAt: Date,
+    licenseKeys: [{
+      type: String,
+      comment: 'License keys assigned to the buyer from the seller pool',
+    }],
+  },
 }, {
   timestamps: true, // Adds createdAt and updatedAt
   // Ensure strict mode - don't allow fields not in schema
@@ -348,6 +413,11 @@ OrderItemSchema.index(
   { promoProductRef: 1 },
   { sparse: true },
 );
+// Digital lines waiting for the seller to restock their license key pool
+OrderItemSchema.index(
+  { product: 1, 'digitalDelivery.status': 1 },
+  { partialFilterExpression: { isDigital: true } },
+);
 
 const OrderItems = mongoose.model('OrderItems', OrderItemSchema);
 
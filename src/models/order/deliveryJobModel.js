@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+/**
+ * A rider's delivery of one order: assigned from the admin dispatch board, accepted by the
+ * driver, closed with the buyer's one-time PIN plus photo or signature proof. Failed doorstep
+ * attempts are kept with their reason; cash collected on payment_on_delivery orders is
+ * reconciled per driver (see services/order/dispatchService.js).
+ */
+const deliveryJobSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    zone: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E', 'F', null],
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: [
+        'assigned',
+        'accepted',
+        'out_for_delivery',
+        'delivery_attempted',
+        'delivered',
+        'declined',
+        'cancelled',
+      ],
+      default: 'assigned',
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    assignedAt: { type: Date, default: Date.now },
+    acceptedAt: Date,
+    startedAt: Date,
+    deliveredAt: Date,
+    closedAt: Date,
+    declineReason: String,
+    attempts: [
+      {
+        reason: {
+          type: String,
+          enum: [
+            'buyer_unavailable',
+            'buyer_unreachable',
+            'wrong_address',
+            'buyer_refused',
+            'payment_not_ready',
+            'access_restricted',
+            'other',
+          ],
+          required: true,
+        },
+        notes: { type: String, default: '' },
+        location: { type: String, default: '' },
+        attemptedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // One-time handover PIN: only the hash is stored, the buyer receives the digits
+    deliveryPin: {
+      hash: { type: String, select: false },
+      expiresAt: { type: Date, select: false },
+      failedAttempts: { type: Number, default: 0 },
+      verifiedAt: Date,
+    },
+    proof: {
+      recipientName: String,
+      photoUrl: String,
+      signatureUrl: String,
+      notes: String,
+      recordedAt: Date,
+    },
+    // Cash on delivery (payment_on_delivery orders only)
+    cod: {
+      amountDue: { type: Number, default: 0, min: 0 },
+      amountCollected: { type: Number, default: 0, min: 0 },
+      collectedAt: Date,
+      reconciled: { type: Boolean, default: false },
+      reconciledAt: Date,
+      reconciledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+      },
+      remittanceReference: String,
+    },
+    timeline: [
+      {
+        status: String,
+        message: { type: String, default: '' },
+        updatedBy: { type: mongoose.Schema.Types.ObjectId },
+        updatedByModel: {
+          type: String,
+          enum: ['Admin', 'User', 'System'],
+        },
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// At most one open job per order; declined and cancelled jobs stay as history
+deliveryJobSchema.index(
+  { order: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: ['assigned', 'accepted', 'out_for_delivery', 'delivery_attempted'] },
+    },
+  },
+);
+deliveryJobSchema.index({ driver: 1, status: 1, createdAt: -1 });
+deliveryJobSchema.index({ driver: 1, 'cod.reconciled': 1, 'cod.collectedAt': -1 });
+
+const DeliveryJob = mongoose.model('DeliveryJob', deliveryJobSchema);
+
+module.exports = DeliveryJob;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { deriveLegacyStatuses, applyLegacyStatuses } = require('../../services/order/orderLifecycleService');
+const orderTrackingRealtimeService = require('../../services/order/orderTrackingRealtimeService');
 
 const orderSchema = new mongoose.Schema(
   {
@@ -80,6 +82,31 @@ const orderSchema = new mongoose.Schema(
       default: null,
       comment: 'Specific coupon ID within the batch that was used',
     },
+    couponOffer: {
+      type: {
+        type: String,
+        enum: ['bogo', 'tiered', 'bundle', 'free_shipping'],
+      },
+      discountAmount: Number,
+      shippingDiscount: Number,
+      summary: String,
+    },
+    promoOffers: [
+      {
+        _id: false,
+        promo: { type: mongoose.Schema.Types.ObjectId, ref: 'Promo' },
+        name: String,
+        type: { type: String, enum: ['bogo', 'tiered', 'bundle', 'free_shipping'] },
+        discountAmount: Number,
+        freeShipping: Boolean,
+        summary: String,
+      },
+    ],
+    shippingDiscount: {
+      type: Number,
+      default: 0,
+      comment: 'Shipping waived by free-shipping coupons / promo offers',
+    },
     // Tax breakdown fields (Ghana GRA)
     totalBasePrice: {
       type: Number,
@@ -250,6 +277,12 @@ const orderSchema = new mongoose.Schema(
       type: Date,
       // Timestamp when payment was completed
     },
+    // Set on orders created for a recurring subscription (first order and renewals)
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      default: null,
+    },
     // High-level order type for business logic (normal vs pre-order)
     orderType: {
       type: String,
@@ -347,7 +380,7 @@ const orderSchema = new mongoose.Schema(
         // Lightweight role indicator for analytics & APIs
         updatedByRole: {
           type: String,
-          enum: ['system', 'seller', 'admin'],
+          enum: ['system', 'seller', 'admin', 'driver'],
         },
         timestamp: {
           type: Date,
@@ -507,6 +540,14 @@ const orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Rollup of the per-SellerOrder shipments (see shipmentService.rollupShipments)
+    fulfilment: {
+      shipments: { type: Number, default: 0 },
+      shipped: { type: Number, default: 0 },
+      delivered: { type: Number, default: 0 },
+      cancelled: { type: Number, default: 0 },
+      partiallyShipped: { type: Boolean, default: false },
+    },
   },
   {
     timestamps: true,
@@ -554,6 +595,44 @@ orderSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * PRE-SAVE HOOK: Derive legacy status fields
+ * currentStatus is the source of truth; orderStatus, FulfillmentStatus and status are
+ * projections of it (see orderLifecycleService.ORDER_STATES)
+ */
+orderSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('currentStatus') || this.isModified('fulfilment')) {
+    applyLegacyStatuses(this);
+  }
+  next();
+});
+
+// Live tracking: remember what changed so the post-save hook can push it to subscribers
+orderSchema.pre('save', function (next) {
+  this.$locals.trackingChanges = {
+    tracking: !this.isNew && this.isModified('trackingHistory'),
+    driverLocation: !this.isNew && this.isModified('driverLocation'),
+  };
+  next();
+});
+orderSchema.post('save', function (doc) {
+  if (doc.$locals.trackingChanges) {
+    orderTrackingRealtimeService.publishAfterCommit(doc, doc.$locals.trackingChanges);
+  }
+});
+
+/**
+ * PRE-UPDATE HOOK: Derive legacy status fields for query updates that set currentStatus
+ */
+orderSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+  const update = this.getUpdate() || {};
+  const legacy = deriveLegacyStatuses(update.$set?.currentStatus ?? update.currentStatus);
+  if (legacy) {
+    this.set(legacy);
+  }
+  next();
+});
+
 /**
  * INSTANCE METHOD: Get total quantity
  * Sums up all quantities from order items
@@ -589,6 +668,10 @@ orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ currentStatus: 1 });
 orderSchema.index({ orderType: 1, currentStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index(
+  { subscription: 1, createdAt: -1 },
+  { partialFilterExpression: { subscription: { $type: 'objectId' } } },
+);
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ revenueAdded: 1, currentStatus: 1, updatedAt: 1 });
 
@@ -65,6 +65,16 @@ const sellerOrderSchema = new mongoose.Schema({
     default: true,
     comment: 'Prices include 15% VAT',
   },
+  platformFundedDiscount: {
+    type: Number,
+    default: 0,
+    comment: 'Item discounts carried by the platform (VAT-inclusive); credited back to the seller',
+  },
+  platformFundedBasePrice: {
+    type: Number,
+    default: 0,
+    comment: 'Ex-VAT share of platformFundedDiscount, credited back to sellers the platform collects VAT for',
+  },
   commissionRate: {
     type: Number,
     default: 0, // Default to 0% platform commission
@@ -155,6 +165,21 @@ const sellerOrderSchema = new mongoose.Schema({
     default: '',
     comment: 'Seller internal notes for this order',
   },
+  /** Tax invoice: numbered per seller (Sequence `invoice-<sellerId>`) the first time it is generated */
+  invoiceNumber: {
+    type: String,
+    default: null,
+  },
+  invoiceIssuedAt: {
+    type: Date,
+    default: null,
+  },
+  /** Set while the seller is away (see Seller.awayMode) and this order is still open; cleared on reopen */
+  sellerAway: {
+    flaggedAt: { type: Date },
+    until: { type: Date },
+    backorder: { type: Boolean, default: false },
+  },
 }, {
   timestamps: true,
 });
@@ -180,6 +205,10 @@ sellerOrderSchema.index({ order: 1 });
 sellerOrderSchema.index({ payoutStatus: 1 });
 sellerOrderSchema.index({ seller: 1, payoutStatus: 1 });
 sellerOrderSchema.index({ seller: 1, status: 1, createdAt: 1 });
+sellerOrderSchema.index(
+  { seller: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } },
+);
 
 const SellerOrder = mongoose.model('SellerOrder', sellerOrderSchema);
 
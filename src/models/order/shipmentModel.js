@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+/**
+ * One shipment per SellerOrder: each seller's part of a multi-seller order travels,
+ * is tracked and is delivered on its own. The parent Order status rolls up from these
+ * (see services/order/shipmentService.js).
+ */
+const shipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    sellerOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SellerOrder',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true,
+    },
+    items: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'OrderItems',
+      },
+    ],
+    trackingNumber: {
+      type: String,
+      required: true,
+    },
+    carrier: {
+      type: String,
+      default: '',
+    },
+    carrierTrackingNumber: {
+      type: String,
+      default: '',
+      comment: 'Courier reference when the seller ships through a third party',
+    },
+    trackingUrl: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: [
+        'pending',
+        'preparing',
+        'ready_for_dispatch',
+        'out_for_delivery',
+        'delivery_attempted',
+        'delivered',
+        'cancelled',
+      ],
+      default: 'pending',
+    },
+    timeline: [
+      {
+        status: String,
+        message: { type: String, default: '' },
+        location: { type: String, default: '' },
+        updatedBy: { type: mongoose.Schema.Types.ObjectId },
+        updatedByModel: {
+          type: String,
+          enum: ['Admin', 'Seller', 'User', 'System'],
+        },
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
+    deliveryProof: {
+      recipientName: String,
+      photoUrl: String,
+      signatureUrl: String,
+      notes: String,
+      recordedBy: { type: mongoose.Schema.Types.ObjectId },
+      recordedByModel: {
+        type: String,
+        enum: ['Admin', 'Seller', 'System'],
+      },
+      recordedAt: Date,
+    },
+    dispatchedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date,
+    // Seller credit for this shipment (orderService.creditSellerForOrder scoped to the SellerOrder)
+    sellerCredited: {
+      type: Boolean,
+      default: false,
+    },
+    sellerCreditedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+shipmentSchema.index({ sellerOrder: 1 }, { unique: true });
+shipmentSchema.index({ order: 1 });
+shipmentSchema.index({ trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ seller: 1, status: 1, createdAt: -1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+module.exports = Shipment;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stock Reservation Model
+ * Time-limited hold on the stock of an unpaid Paystack order.
+ * The held units are already deducted from the variants (stock is always "available to sell"),
+ * so the reservation only records what has to be given back when the hold ends unpaid.
+ *
+ * Lifecycle: active -> confirmed (payment succeeded)
+ *            active -> released (payment failed / order cancelled) | expired (TTL passed)
+ *            released | expired -> active (buyer retries payment and the stock is still there)
+ */
+const stockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true,
+        },
+        sku: String,
+        variant: mongoose.Schema.Types.ObjectId,
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        priceAdjustments: {
+          type: [{ _id: false, type: { type: String }, ruleId: String }],
+          default: undefined,
+          comment: 'Capped price rules (flash deal, promo, seller discount) counted with these units',
+        },
+        _id: false,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['active', 'confirmed', 'released', 'expired'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      comment: 'Held stock is returned to the shelf after this time if the order is still unpaid',
+    },
+    holdCount: {
+      type: Number,
+      default: 1,
+      comment: 'How many times stock was (re)held for this order',
+    },
+    confirmedAt: Date,
+    releasedAt: Date,
+    releaseReason: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Expiry sweep
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = StockReservation;
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+/**
+ * Subscription Model
+ * A buyer's recurring order for a subscription product (e.g. monthly diapers, water).
+ * Every cycle a renewal order is created through the normal createOrder pipeline and
+ * charged from the wallet or by reusing the buyer's Paystack card authorization.
+ *
+ * Lifecycle: active <-> paused
+ *            active -> past_due (renewal payment failed, retried per dunning schedule)
+ *            past_due -> active (retry succeeded) | cancelled (retries exhausted)
+ *            any -> cancelled (by the buyer)
+ */
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+    },
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    productName: {
+      type: String,
+      comment: 'Snapshot for emails and listings',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 999,
+      default: 1,
+    },
+    interval: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'],
+      required: true,
+    },
+    intervalCount: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: 1,
+      comment: 'Renew every intervalCount intervals (e.g. 2 + weekly = fortnightly)',
+    },
+    // Delivery details reused for every renewal order
+    address: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Address',
+      required: true,
+    },
+    deliveryMethod: {
+      type: String,
+      enum: ['pickup_center', 'dispatch', 'seller_delivery'],
+      default: 'dispatch',
+    },
+    pickupCenterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PickupCenter',
+      default: null,
+    },
+    deliverySpeed: {
+      type: String,
+      enum: ['standard', 'express', 'same_day'],
+      default: 'standard',
+    },
+    // Payment
+    paymentMethod: {
+      type: String,
+      enum: ['credit_balance', 'paystack'],
+      required: true,
+    },
+    paystackAuthorization: {
+      authorizationCode: { type: String, select: false },
+      email: String,
+      cardType: String,
+      last4: String,
+      expMonth: String,
+      expYear: String,
+      bank: String,
+      reusable: Boolean,
+      capturedAt: Date,
+    },
+    status: {
+      type: String,
+      enum: ['pending_payment', 'active', 'paused', 'past_due', 'cancelled'],
+      default: 'pending_payment',
+      comment: 'pending_payment = waiting for the first order to be paid (Paystack)',
+    },
+    nextRenewalAt: {
+      type: Date,
+      comment: 'When the next renewal order is due',
+    },
+    renewalCount: {
+      type: Number,
+      default: 0,
+    },
+    lastOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+      },
+    ],
+    skippedCycles: [
+      {
+        renewalDate: Date,
+        skippedAt: { type: Date, default: Date.now },
+      },
+    ],
+    pausedAt: Date,
+    resumeAt: {
+      type: Date,
+      comment: 'Optional automatic resume date for a paused subscription',
+    },
+    cancelledAt: Date,
+    cancelReason: {
+      type: String,
+      maxlength: 500,
+    },
+    // Dunning
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureReason: String,
+    lastFailedAt: Date,
+    nextRetryAt: Date,
+    // Renewal in progress: set before the order is placed so a retried job reuses that
+    // order (and does not charge again) instead of placing a second one for the cycle
+    renewingCycle: {
+      dueAt: Date,
+      claimedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Renewal sweep: due active subscriptions and due dunning retries
+subscriptionSchema.index({ status: 1, nextRenewalAt: 1 });
+subscriptionSchema.index({ status: 1, nextRetryAt: 1 });
+subscriptionSchema.index({ status: 1, resumeAt: 1 });
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Back-in-Stock Subscription Model
+ * "Notify me" request for an out-of-stock variant, from a signed-in buyer or a guest email.
+ * Subscribers are notified in signup order when the seller restocks the variant.
+ */
+const backInStockSubscriptionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      comment: 'Null for guest subscriptions',
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'notified', 'cancelled'],
+      default: 'waiting',
+    },
+    notifiedAt: Date,
+    cancelledAt: Date,
+    unsubscribeToken: {
+      type: String,
+      select: false,
+      comment: 'Random token for the one-click unsubscribe link in guest emails',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One open request per email and variant
+backInStockSubscriptionSchema.index(
+  { product: 1, variant: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } },
+);
+// Restock notifications: waiting subscribers of a variant in signup order
+backInStockSubscriptionSchema.index({ product: 1, variant: 1, status: 1, createdAt: 1 });
+// Seller demand card
+backInStockSubscriptionSchema.index({ seller: 1, status: 1 });
+backInStockSubscriptionSchema.index({ unsubscribeToken: 1 }, { sparse: true });
+
+const BackInStockSubscription = mongoose.model('BackInStockSubscription', backInStockSubscriptionSchema);
+
+module.exports = BackInStockSubscription;
@@ -10,6 +10,11 @@ const cartSchema = new mongoose.Schema(
       },
     ],
     totalPrice: { type: Number, default: 0 },
+    // Guest carts (no user): keyed by the guestId inside the signed guest cart token
+    guestId: String,
+    guestExpiresAt: Date,
+    // Set while a login merges this guest cart; the cart is deleted only after the merge is saved
+    guestMergeClaimedAt: Date,
   },
   { timestamps: true },
 );
@@ -54,6 +59,12 @@ cartSchema.pre('save', async function (next) {
 
 // Index for lookup by user (one cart per user)
 cartSchema.index({ user: 1 });
+// One cart per guest session; abandoned guest carts are removed once they expire
+cartSchema.index(
+  { guestId: 1 },
+  { unique: true, partialFilterExpression: { guestId: { $type: 'string' } } },
+);
+cartSchema.index({ guestExpiresAt: 1 }, { expireAfterSeconds: 0 });
 
 const Cart = mongoose.model('Cart', cartSchema);
 
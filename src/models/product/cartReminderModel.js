@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cart Reminder Model
+ * One abandoned-cart reminder sent to a buyer. A cart's abandonment episode is identified by
+ * the cart's updatedAt when it went stale; each episode gets at most one reminder per step.
+ * Marked recovered when the buyer places an order within the attribution window.
+ */
+const cartReminderSchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cartUpdatedAt: {
+      type: Date,
+      required: true,
+      comment: 'Cart updatedAt the reminder was sent for (identifies the abandonment episode)',
+    },
+    step: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'skipped', 'recovered'],
+      default: 'sent',
+    },
+    skipReason: String,
+    channels: {
+      email: { type: Boolean, default: false },
+      push: { type: Boolean, default: false },
+    },
+    itemCount: {
+      type: Number,
+      default: 0,
+    },
+    cartValue: {
+      type: Number,
+      default: 0,
+      comment: 'Cart value at current prices when the reminder was sent',
+    },
+    coupon: {
+      batch: { type: mongoose.Schema.Types.ObjectId, ref: 'CouponBatch' },
+      code: String,
+      expiresAt: Date,
+    },
+    sentAt: Date,
+    recoveredOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    recoveredAt: Date,
+    recoveredValue: Number,
+    recoveredWithCoupon: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One reminder per step and episode (also the claim that keeps concurrent sweeps from double-sending)
+cartReminderSchema.index({ cart: 1, cartUpdatedAt: 1, step: 1 }, { unique: true });
+// Recovery attribution and reporting
+cartReminderSchema.index({ user: 1, status: 1, sentAt: -1 });
+cartReminderSchema.index({ sentAt: -1 });
+
+const CartReminder = mongoose.model('CartReminder', cartReminderSchema);
+
+module.exports = CartReminder;
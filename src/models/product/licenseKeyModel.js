@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * LicenseKey Model
+ * Seller-uploaded pool of software/activation codes for digital products with
+ * digitalDeliveryType "license_key". Keys are claimed one by one when an order is paid.
+ *
+ * Lifecycle: available -> assigned (to an order item)
+ *            available -> revoked (removed by the seller before use)
+ */
+const licenseKeySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true,
+    },
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      comment: 'Restrict the key to one variant SKU; null = any SKU of the product',
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      select: false,
+      comment: 'The code itself; only read when assigning to a buyer',
+    },
+    status: {
+      type: String,
+      enum: ['available', 'assigned', 'revoked'],
+      default: 'available',
+    },
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItems',
+      default: null,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Claim query: oldest available key of a product first
+licenseKeySchema.index({ product: 1, status: 1, createdAt: 1 });
+// The same code cannot be uploaded twice for one product
+licenseKeySchema.index({ product: 1, key: 1 }, { unique: true });
+licenseKeySchema.index({ orderItem: 1 }, { sparse: true });
+
+const LicenseKey = mongoose.model('LicenseKey', licenseKeySchema);
+
+module.exports = LicenseKey;
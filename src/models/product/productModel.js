@@ -592,8 +592,18 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // How a digital product is fulfilled after payment: a downloadable file or a
+    // key taken from the seller's license key pool (see LicenseKey model)
+    digitalDeliveryType: {
+      type: String,
+      enum: ['file', 'license_key'],
+      default: 'file',
+    },
     digitalFile: {
       url: String,
+      // Cloudinary public_id of an authenticated raw upload; when set, downloads
+      // are served through short-lived signed URLs instead of `url`
+      publicId: String,
       name: String,
       size: Number,
       downloadLimit: Number,
@@ -633,6 +643,17 @@ const productSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Provider model the embedding came from (vectors of different models are not comparable)
+    embeddingModel: {
+      type: String,
+      default: null,
+    },
+    // Hash of the text last embedded; a changed hash means the embedding is stale
+    embeddingTextHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
   },
   {
     toJSON: { virtuals: true },
@@ -911,6 +932,23 @@ productSchema.pre('save', async function (next) {
   next();
 });
 
+// Product text that feeds the search embedding (see services/search/embeddingService.js)
+const EMBEDDING_TEXT_PATHS = ['name', 'description', 'brand', 'tags', 'keywords', 'variants', 'specifications'];
+
+productSchema.pre('save', function (next) {
+  this.$locals.embeddingTextChanged = this.isNew || EMBEDDING_TEXT_PATHS.some((path) => this.isModified(path));
+  next();
+});
+
+// Queue a re-embed when the product text changed; the job skips products whose text hash is unchanged
+productSchema.post('save', function (doc) {
+  if (!doc.$locals.embeddingTextChanged) return;
+  const { queueProductEmbedding } = require('../../services/search/embeddingService');
+  queueProductEmbedding(doc).catch((error) => {
+    logger.error(`[Product Post-Save] Failed to queue embedding for ${doc._id}: ${error.message}`);
+  });
+});
+
 // Post-save middleware: Update isVisible based on seller verification + product state.
 // This runs after saves/updates (including findByIdAndUpdate) to ensure products
 // automatically move in/out of buyer visibility when either the seller or the
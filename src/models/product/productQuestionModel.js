@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+/**
+ * Product Question Model
+ * Pre-purchase Q&A thread on a product. Buyers ask; the product's seller and buyers with a
+ * delivered order for the product answer. Questions and buyer answers are moderated by admins
+ * before they are public; seller answers are published straight away.
+ */
+const answerSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'answers.authorModel',
+      required: true,
+    },
+    authorModel: {
+      type: String,
+      enum: ['User', 'Seller'],
+      required: true,
+    },
+    authorRole: {
+      type: String,
+      enum: ['seller', 'buyer'],
+      required: true,
+    },
+    verifiedBuyer: { type: Boolean, default: false },
+    answer: {
+      type: String,
+      required: [true, 'Answer can not be empty!'],
+      trim: true,
+      maxlength: [1000, 'Answer must be at most 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    moderationNotes: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const productQuestionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      immutable: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    question: {
+      type: String,
+      required: [true, 'Question can not be empty!'],
+      trim: true,
+      maxlength: [500, 'Question must be at most 500 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    moderationNotes: String,
+    answers: [answerSchema],
+    // Set when the seller first answers; drives the seller's "unanswered" inbox
+    sellerAnsweredAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Public thread for a product, newest first
+productQuestionSchema.index({ product: 1, status: 1, createdAt: -1 });
+// Seller inbox
+productQuestionSchema.index({ seller: 1, sellerAnsweredAt: 1, createdAt: -1 });
+// Admin moderation queues
+productQuestionSchema.index({ status: 1, createdAt: 1 });
+productQuestionSchema.index({ 'answers.status': 1 });
+
+const ProductQuestion = mongoose.model('ProductQuestion', productQuestionSchema);
+
+module.exports = ProductQuestion;
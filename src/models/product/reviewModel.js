@@ -37,6 +37,13 @@ const reviewSchema = new mongoose.Schema(
     review: { type: String, required: [true, 'Review can not be empty!'] },
     comment: String,
     images: [{ type: String }], // Array of image URLs
+    // Photos are moderated separately from the review text; only approved (or legacy, unset) media is public
+    mediaStatus: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+    },
+    mediaModerationNotes: String,
+    mediaModeratedAt: Date,
     status: {
       type: String,
       enum: ['pending', 'approved', 'rejected', 'flagged'],
@@ -108,6 +115,10 @@ reviewSchema.index({ product: 1, user: 1, order: 1 }, { unique: true, partialFil
 reviewSchema.index({ status: 1 });
 // Index for product reviews query
 reviewSchema.index({ product: 1, status: 1 });
+// Sort-by-helpful on product pages
+reviewSchema.index({ product: 1, status: 1, helpfulVotes: -1 });
+// Admin photo moderation queue
+reviewSchema.index({ mediaStatus: 1, createdAt: 1 });
 
 // Enhanced static method to calculate ratings with distribution (only approved reviews)
 reviewSchema.statics.calcAverageRatings = async function (productId) {
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Review Request Model
+ * Post-delivery "rate your purchase" sequence for one order. Created when the order is delivered;
+ * the review-request sweep sends one message per step in REVIEW_REQUEST_DAYS and stops as soon
+ * as every item has been reviewed. Links in the messages carry a signed token that opens a
+ * pre-authenticated review form for the order's items.
+ */
+const reviewRequestItemSchema = new mongoose.Schema(
+  {
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItems',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+    },
+    productName: String,
+    productImage: String,
+    sku: String,
+    reviewedAt: Date,
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review',
+    },
+  },
+  { _id: false },
+);
+
+const reviewRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    deliveredAt: {
+      type: Date,
+      required: true,
+    },
+    items: [reviewRequestItemSchema],
+    status: {
+      type: String,
+      enum: ['scheduled', 'completed', 'finished', 'cancelled'],
+      default: 'scheduled',
+      comment: 'completed = every item reviewed; finished = all steps sent; cancelled = opted out, refunded, etc.',
+    },
+    cancelReason: String,
+    stepsSent: {
+      type: Number,
+      default: 0,
+    },
+    nextSendAt: Date,
+    sends: [
+      {
+        _id: false,
+        step: Number,
+        sentAt: Date,
+        channels: {
+          email: { type: Boolean, default: false },
+          push: { type: Boolean, default: false },
+        },
+        skipReason: String,
+      },
+    ],
+    lastOpenedAt: {
+      type: Date,
+      comment: 'Last time the review form was opened from a request link',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One sequence per order (also makes scheduling on repeated "delivered" updates idempotent)
+reviewRequestSchema.index({ order: 1 }, { unique: true });
+// Due sweep
+reviewRequestSchema.index({ status: 1, nextSendAt: 1 });
+// Stop the sequence when a review is written from anywhere
+reviewRequestSchema.index({ 'items.orderItem': 1 });
+// Reporting
+reviewRequestSchema.index({ deliveredAt: -1 });
+
+const ReviewRequest = mongoose.model('ReviewRequest', reviewRequestSchema);
+
+module.exports = ReviewRequest;
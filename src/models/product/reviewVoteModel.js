@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Review Vote Model
+ * One helpfulness vote per buyer and review. The review's helpfulVotes / nothelpfulVotes
+ * counters are kept in step by services/review/reviewEngagementService.js.
+ */
+const reviewVoteSchema = new mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    vote: {
+      type: String,
+      enum: ['helpful', 'not_helpful'],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+// "Your vote" lookups for a page of reviews
+reviewVoteSchema.index({ user: 1, review: 1 });
+
+const ReviewVote = mongoose.model('ReviewVote', reviewVoteSchema);
+
+module.exports = ReviewVote;
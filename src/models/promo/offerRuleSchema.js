@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Advanced offer settings shared by coupon batches (`CouponBatch.offer`) and promos (`Promo.offer`).
+ * Evaluated against the cart by services/promo/promoOfferService.js:
+ * - bogo: buy `buyQuantity`, get `getQuantity` of the cheaper eligible units `getDiscountPercent`% off
+ * - tiered: highest `tiers[].threshold` reached by cart subtotal or quantity (`tierBasis`) wins
+ * - bundle: one of each `bundleProducts` for `bundlePrice` (VAT inclusive)
+ * - free_shipping: eligible sellers' shipping is waived once their items reach `minSubtotal`
+ */
+const ADVANCED_OFFER_TYPES = ['bogo', 'tiered', 'bundle', 'free_shipping'];
+
+const offerTierSchema = new mongoose.Schema(
+  {
+    threshold: { type: Number, required: true, min: 0 },
+    discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+    discountValue: { type: Number, required: true, min: 0.01 },
+  },
+  { _id: false },
+);
+
+const offerRuleSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['standard', ...ADVANCED_OFFER_TYPES],
+      default: 'standard',
+    },
+    buyQuantity: { type: Number, min: 1, default: undefined },
+    getQuantity: { type: Number, min: 1, default: undefined },
+    getDiscountPercent: { type: Number, min: 1, max: 100, default: undefined },
+    tierBasis: { type: String, enum: ['subtotal', 'quantity'], default: undefined },
+    tiers: { type: [offerTierSchema], default: undefined },
+    bundleProducts: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      default: undefined,
+    },
+    bundlePrice: { type: Number, min: 0, default: undefined },
+    minSubtotal: { type: Number, min: 0, default: undefined },
+  },
+  { _id: false },
+);
+
+module.exports = offerRuleSchema;
+module.exports.ADVANCED_OFFER_TYPES = ADVANCED_OFFER_TYPES;
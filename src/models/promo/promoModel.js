@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const offerRuleSchema = require('./offerRuleSchema');
 
 const PROMO_TYPES = ['flash', 'campaign', 'seasonal'];
 const PROMO_STATUSES = ['draft', 'scheduled', 'active', 'ended', 'cancelled'];
@@ -68,6 +69,11 @@ const promoSchema = new mongoose.Schema(
       default: 5,
       min: 1,
     },
+    // Cart-level offer on top of each product's promo price (bogo, tiered, bundle, free_shipping)
+    offer: {
+      type: offerRuleSchema,
+      default: undefined,
+    },
     eligibleCategories: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -183,6 +183,41 @@ const refundRequestSchema = new mongoose.Schema({
     type: Date,
     comment: 'When buyer selected the return shipping method',
   },
+  // Where the buyer wants the money: store credit, or back to the card / MoMo wallet that paid
+  refundMethod: {
+    type: String,
+    enum: ['wallet', 'original_payment'],
+    default: 'wallet',
+  },
+  // Paystack refund for refundMethod 'original_payment' (set when the refund is approved)
+  gatewayRefund: {
+    status: {
+      type: String,
+      enum: ['queued', 'pending', 'processing', 'processed', 'failed', 'needs_review', 'cancelled'],
+    },
+    amount: Number,
+    transactionReference: {
+      type: String,
+      comment: 'Order paymentReference the refund is made against',
+    },
+    paystackRefundId: String,
+    paystackStatus: String,
+    attempts: {
+      type: Number,
+      default: 0,
+      comment: 'Calls made to the Paystack refund endpoint',
+    },
+    retries: {
+      type: Number,
+      default: 0,
+      comment: 'Times the refund was started again after failing',
+    },
+    lastError: String,
+    queuedAt: Date,
+    initiatedAt: Date,
+    processedAt: Date,
+    failedAt: Date,
+  },
   // Processing
   processedAt: {
     type: Date,
@@ -230,6 +265,9 @@ refundRequestSchema.methods.allItemsRejected = function() {
 refundRequestSchema.index({ order: 1 });
 refundRequestSchema.index({ buyer: 1, createdAt: -1 });
 refundRequestSchema.index({ status: 1 });
+// Gateway refund reconciliation and webhook matching
+refundRequestSchema.index({ 'gatewayRefund.status': 1, 'gatewayRefund.queuedAt': 1 });
+refundRequestSchema.index({ 'gatewayRefund.transactionReference': 1 });
 
 const RefundRequest = mongoose.model('RefundRequest', refundRequestSchema);
 
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Spelling correction for a search term or whole query ("samsumg" → "samsung").
+ * Admins add corrections directly (approved); the nightly learner suggests them from
+ * zero-result searches in SearchAnalytics and an admin approves or rejects each one.
+ * Only approved corrections rewrite queries.
+ */
+const searchCorrectionSchema = new mongoose.Schema(
+  {
+    misspelling: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    correction: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    source: {
+      type: String,
+      enum: ['admin', 'learned'],
+      default: 'admin',
+    },
+    status: {
+      type: String,
+      enum: ['suggested', 'approved', 'rejected'],
+      default: 'approved',
+    },
+    // Learned corrections: how often the misspelling returned nothing, and the edit distance
+    zeroResultSearches: {
+      type: Number,
+      default: 0,
+    },
+    distance: {
+      type: Number,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    reviewedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+searchCorrectionSchema.index({ misspelling: 1 }, { unique: true });
+searchCorrectionSchema.index({ status: 1, zeroResultSearches: -1 });
+
+const SearchCorrection = mongoose.model('SearchCorrection', searchCorrectionSchema);
+
+module.exports = SearchCorrection;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Merchandising rule for search results: pin products to fixed positions, bury products
+ * to the end, or boost products by brand / seller / category / product id. A rule applies
+ * to the listed queries (exact or contained match), to a category, or to both; see
+ * services/search/searchRulesService.js for ordering.
+ */
+const searchRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: 120,
+    },
+    queries: [{ type: String, trim: true, lowercase: true }],
+    queryMatch: {
+      type: String,
+      enum: ['exact', 'contains'],
+      default: 'exact',
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    pins: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        // 1-based position in the results
+        position: { type: Number, min: 1, max: 100, required: true },
+        _id: false,
+      },
+    ],
+    bury: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    boosts: [
+      {
+        field: { type: String, enum: ['brand', 'seller', 'category', 'product'], required: true },
+        value: { type: String, required: true, trim: true },
+        // Added to a 0–1 relevance score; 1 lifts a match above everything unboosted
+        weight: { type: Number, min: -1, max: 1, default: 0.3 },
+        _id: false,
+      },
+    ],
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    startsAt: Date,
+    endsAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+searchRuleSchema.pre('validate', function (next) {
+  if ((this.queries || []).length === 0 && !this.category) {
+    return next(new Error('A search rule needs at least one query or a category'));
+  }
+  if (!this.pins.length && !this.bury.length && !this.boosts.length) {
+    return next(new Error('A search rule needs at least one pin, bury or boost'));
+  }
+  next();
+});
+
+searchRuleSchema.index({ isActive: 1, queries: 1 });
+searchRuleSchema.index({ isActive: 1, category: 1 });
+
+const SearchRule = mongoose.model('SearchRule', searchRuleSchema);
+
+module.exports = SearchRule;
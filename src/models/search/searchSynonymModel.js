@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin-managed search synonyms (see services/search/searchRulesService.js).
+ * - equivalent: every term expands to all the others ("phone" ⇄ "mobile" ⇄ "cell phone")
+ * - one_way: `input` expands to `terms` but not back (e.g. the Twi "ntoma" → "fabric")
+ * Terms are stored normalised (lower-case, single spaces).
+ */
+const searchSynonymSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['equivalent', 'one_way'],
+      default: 'equivalent',
+    },
+    input: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    terms: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: {
+        validator: (terms) => Array.isArray(terms) && terms.length >= 1,
+        message: 'At least one synonym term is required',
+      },
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+searchSynonymSchema.pre('validate', function (next) {
+  if (this.type === 'one_way' && !this.input) {
+    return next(new Error('One-way synonyms need an input term'));
+  }
+  if (this.type === 'equivalent' && (this.terms || []).length < 2) {
+    return next(new Error('Equivalent synonyms need at least two terms'));
+  }
+  next();
+});
+
+searchSynonymSchema.index({ terms: 1 });
+searchSynonymSchema.index({ input: 1 });
+
+const SearchSynonym = mongoose.model('SearchSynonym', searchSynonymSchema);
+
+module.exports = SearchSynonym;
@@ -145,6 +145,9 @@ const sellerSchema = new mongoose.Schema(
     ratings: {
       average: { type: Number, default: 0 },
       count: { type: Number, default: 0 },
+      // Weighted components from sellerRatingService (incl. review response rate)
+      breakdown: { type: mongoose.Schema.Types.Mixed },
+      lastUpdated: Date,
     },
 
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
@@ -275,6 +278,17 @@ const sellerSchema = new mongoose.Schema(
       select: false,
       comment: 'Same as vatNumber. Required if isVatRegistered. Use vatNumber in code.',
     },
+    // GRA Taxpayer Identification Number (Ghana Card PIN or TIN), printed on the seller's tax invoices
+    tin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      validate: {
+        validator: (value) => !value || /^[A-Z0-9-]{8,20}$/.test(value),
+        message: 'Please provide a valid Taxpayer Identification Number',
+      },
+    },
     paystackRecipientCode: {
       type: String,
       default: null,
@@ -483,6 +497,21 @@ const sellerSchema = new mongoose.Schema(
         securityNotifications: { type: Boolean, default: true },
       },
     },
+    // Scheduled "away" period (holidays, restocking). Products stay visible; the
+    // orderPolicy decides whether they can still be bought as back-orders.
+    awayMode: {
+      enabled: { type: Boolean, default: false },
+      startsAt: { type: Date },
+      endsAt: { type: Date },
+      message: { type: String, trim: true, maxlength: 300, default: '' },
+      orderPolicy: {
+        type: String,
+        enum: ['closed', 'backorder'],
+        default: 'closed',
+      },
+      flaggedAt: { type: Date }, // open orders flagged for this period
+      reopenedAt: { type: Date },
+    },
     createdAt: {
       type: Date,
       default: Date.now(),
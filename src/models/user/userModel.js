@@ -84,6 +84,16 @@ const userSchema = new mongoose.Schema(
     },
     role: { type: String, enum: ['user', 'seller', 'admin', 'driver', 'official_store'], default: 'user' },
     address: String,
+    // Riders (role 'driver'): delivery zones they cover and whether they take new jobs
+    driverProfile: {
+      zones: [{ type: String, enum: ['A', 'B', 'C', 'D', 'E', 'F'] }],
+      isAvailable: { type: Boolean, default: false },
+      vehicleType: {
+        type: String,
+        enum: ['motorbike', 'bicycle', 'car', 'van', null],
+        default: null,
+      },
+    },
 
     passwordChangedAt: { type: Date, default: Date.now() },
     passwordResetToken: String,
@@ -136,6 +146,8 @@ const userSchema = new mongoose.Schema(
         completedAt: Date,
         downloadUrl: String,
         expiresAt: Date,
+        storageKey: String, // Cloudinary public_id of the ZIP bundle
+        fileSize: Number, // bytes
         exportId: { type: mongoose.Schema.Types.ObjectId, auto: true },
       },
     ],
@@ -249,6 +261,7 @@ userSchema.index({
   'accountDeletion.scheduledAt': 1,
   'accountDeletion.requestedAt': 1,
 });
+userSchema.index({ role: 1, 'driverProfile.zones': 1 });
 userSchema.virtual('isDeletionScheduled').get(function () {
   return (
     this.accountDeletion &&
@@ -447,6 +447,20 @@ router
     analyticsController.getCartAnalytics
   );
 
+router
+  .route('/analytics/cart-recovery')
+  .get(
+    authController.restrictTo(...OPS_ROLES),
+    analyticsController.getCartRecoveryAnalytics
+  );
+
+router
+  .route('/analytics/review-requests')
+  .get(
+    authController.restrictTo(...OPS_ROLES),
+    analyticsController.getReviewRequestAnalytics
+  );
+
 router
   .route('/analytics/fraud')
   .get(
@@ -28,6 +28,12 @@ router.post(
   analyticsIngestionLimiter,
   analyticsController.recordSearchQuery
 );
+router.post(
+  '/search/clicks',
+  optionalAuth,
+  analyticsIngestionLimiter,
+  analyticsController.recordSearchClick
+);
 router.post(
   '/category-views',
   optionalAuth,
@@ -0,0 +1,36 @@
+const express = require('express');
+const dispatchController = require('../../controllers/admin/dispatchController');
+const authController = require('../../controllers/buyer/authController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+const { OPS_ROLES } = require('../../config/rolePermissions');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authController.protect);
+router.use(authController.restrictTo(...OPS_ROLES));
+
+// Orders waiting for a rider, grouped by zone, with drivers and their load
+router.get('/board', dispatchController.getDispatchBoard);
+
+// Assign an order to a driver (or the least busy driver in its zone)
+router.post('/orders/:orderId/assign', validateObjectId('orderId'), dispatchController.assignOrder);
+
+// Delivery jobs (filter by status / driver / zone)
+router.get('/jobs', dispatchController.getJobs);
+
+// Unassign a job; the order goes back on the board
+router.patch('/jobs/:jobId/cancel', validateObjectId('jobId'), dispatchController.cancelJob);
+
+// Driver zones, availability and vehicle
+router.patch('/drivers/:driverId', validateObjectId('driverId'), dispatchController.updateDriver);
+
+// Cash-on-delivery collections and reconciliation per driver
+router.get('/drivers/:driverId/cod', validateObjectId('driverId'), dispatchController.getDriverCod);
+router.post(
+  '/drivers/:driverId/cod/reconcile',
+  validateObjectId('driverId'),
+  dispatchController.reconcileDriverCod,
+);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const jobQueueController = require('../../controllers/admin/jobQueueController');
+const authController = require('../../controllers/buyer/authController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+const { OPS_ROLES } = require('../../config/rolePermissions');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authController.protect);
+router.use(authController.restrictTo(...OPS_ROLES));
+
+// List jobs (filter by queue / status)
+router.get('/', jobQueueController.getJobs);
+
+// Counts per queue and status - MUST come before /:jobId
+router.get('/stats', jobQueueController.getJobStats);
+
+// Single job with failure history
+router.get('/:jobId', validateObjectId('jobId'), jobQueueController.getJob);
+
+// Re-queue a dead-lettered / cancelled / completed job
+router.post('/:jobId/retry', validateObjectId('jobId'), jobQueueController.retryJob);
+
+// Cancel a queued job
+router.post('/:jobId/cancel', validateObjectId('jobId'), jobQueueController.cancelJob);
+
+module.exports = router;
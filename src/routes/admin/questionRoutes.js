@@ -0,0 +1,35 @@
+const express = require('express');
+const authController = require('../../controllers/buyer/authController');
+const productQuestionController = require('../../controllers/shared/productQuestionController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authController.protect);
+router.use(authController.restrictTo('admin', 'superadmin'));
+
+// Moderation queue (?type=questions|answers)
+router
+  .route('/')
+  .get(productQuestionController.getModerationQueue);
+
+// Question moderation actions
+router
+  .route('/:id/approve')
+  .patch(validateObjectId('id'), productQuestionController.approveQuestion);
+
+router
+  .route('/:id/reject')
+  .patch(validateObjectId('id'), productQuestionController.rejectQuestion);
+
+// Answer moderation actions
+router
+  .route('/:id/answers/:answerId/approve')
+  .patch(validateObjectId('id'), validateObjectId('answerId'), productQuestionController.approveAnswer);
+
+router
+  .route('/:id/answers/:answerId/reject')
+  .patch(validateObjectId('id'), validateObjectId('answerId'), productQuestionController.rejectAnswer);
+
+module.exports = router;
@@ -12,6 +12,9 @@ router.use(authController.restrictTo(...OPS_ROLES));
 // Get all refunds with filters
 router.get('/', refundController.getAllRefunds);
 
+// Paystack refunds awaiting settlement (reconciliation)
+router.get('/gateway', refundController.getGatewayRefunds);
+
 // Get single refund
 router.get('/:refundId', refundController.getRefundById);
 
@@ -24,6 +27,9 @@ router.post('/:refundId/approve-partial', refundController.approvePartialRefund)
 // Reject refund
 router.post('/:refundId/reject', refundController.rejectRefund);
 
+// Retry / pay as wallet credit / mark processed a failed Paystack refund
+router.post('/:refundId/gateway/resolve', refundController.resolveGatewayRefund);
+
 // Update refund
 router.patch('/:refundId', refundController.updateRefund);
 
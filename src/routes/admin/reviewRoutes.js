@@ -13,6 +13,19 @@ router
   .route('/')
   .get(reviewController.getAllReview);
 
+// Review photo moderation queue (must be before /:id)
+router
+  .route('/media-queue')
+  .get(reviewController.getReviewMediaQueue);
+
+router
+  .route('/:id/media/approve')
+  .patch(reviewController.approveReviewMedia);
+
+router
+  .route('/:id/media/reject')
+  .patch(reviewController.rejectReviewMedia);
+
 // Review moderation actions
 router
   .route('/:id/approve')
@@ -0,0 +1,58 @@
+const express = require('express');
+const searchMerchandisingController = require('../../controllers/admin/searchMerchandisingController');
+const searchAnalyticsController = require('../../controllers/admin/searchAnalyticsController');
+const authController = require('../../controllers/buyer/authController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+const { OPS_ROLES } = require('../../config/rolePermissions');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authController.protect);
+router.use(authController.restrictTo(...OPS_ROLES));
+
+// How a query would be rewritten and ranked
+router.get('/preview', searchMerchandisingController.previewSearch);
+
+// Synonyms
+router
+  .route('/synonyms')
+  .get(searchMerchandisingController.getSynonyms)
+  .post(searchMerchandisingController.createSynonym);
+router
+  .route('/synonyms/:id')
+  .patch(validateObjectId('id'), searchMerchandisingController.updateSynonym)
+  .delete(validateObjectId('id'), searchMerchandisingController.deleteSynonym);
+
+// Spelling corrections (learned suggestions are approved or rejected here)
+router.post('/corrections/learn', searchMerchandisingController.learnCorrections);
+router
+  .route('/corrections')
+  .get(searchMerchandisingController.getCorrections)
+  .post(searchMerchandisingController.createCorrection);
+router
+  .route('/corrections/:id')
+  .patch(validateObjectId('id'), searchMerchandisingController.updateCorrection)
+  .delete(validateObjectId('id'), searchMerchandisingController.deleteCorrection);
+
+// Pin / bury / boost rules
+router
+  .route('/rules')
+  .get(searchMerchandisingController.getRules)
+  .post(searchMerchandisingController.createRule);
+router
+  .route('/rules/:id')
+  .get(validateObjectId('id'), searchMerchandisingController.getRule)
+  .patch(validateObjectId('id'), searchMerchandisingController.updateRule)
+  .delete(validateObjectId('id'), searchMerchandisingController.deleteRule);
+
+// Reports (?from=&to=&device=)
+router.get('/analytics/overview', searchAnalyticsController.getOverview);
+router.get('/analytics/top-queries', searchAnalyticsController.getTopQueries);
+router.get('/analytics/zero-results', searchAnalyticsController.getZeroResultQueries);
+router.get('/analytics/click-through', searchAnalyticsController.getClickThroughByPosition);
+router.get('/analytics/conversions', searchAnalyticsController.getConversions);
+router.get('/analytics/exits', searchAnalyticsController.getHighExitQueries);
+router.get('/analytics/digest', searchAnalyticsController.getWeeklyDigest);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const smsController = require('../../controllers/admin/smsController');
+const authController = require('../../controllers/buyer/authController');
+const { OPS_ROLES } = require('../../config/rolePermissions');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authController.protect);
+router.use(authController.restrictTo(...OPS_ROLES));
+
+// Outbound message log
+router.get('/messages', smsController.getMessages);
+
+// Cost / volume ledger
+router.get('/ledger', smsController.getLedger);
+
+// Send a test message through the configured provider
+router.post('/test', smsController.sendTestSms);
+
+module.exports = router;
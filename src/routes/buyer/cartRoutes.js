@@ -5,9 +5,28 @@ const cartController = require('../../controllers/buyer/cartController');
 
 const router = express.Router();
 
-// Protect ALL cart routes
+// Guest cart: no login, identified by the signed X-Guest-Cart-Token header
+router
+  .route('/guest')
+  .get(cartController.resolveGuestCart, cartController.getGuestCart)
+  .post(cartController.resolveGuestCart, cartController.addToGuestCart)
+  .delete(cartController.resolveGuestCart, cartController.clearGuestCart);
+
+router
+  .route('/guest/items/:itemId')
+  .patch(cartController.resolveGuestCart, cartController.updateGuestCartItem)
+  .delete(cartController.resolveGuestCart, cartController.deleteGuestCartItem);
+
+// Protect ALL other cart routes
 router.use(authController.protect);
 
+// Merge a guest cart into the signed-in user's cart
+router.post(
+  '/merge',
+  authController.restrictTo('user'),
+  cartController.mergeGuestCart,
+);
+
 // User-specific cart routes
 router
   .route('/')
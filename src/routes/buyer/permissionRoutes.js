@@ -7,6 +7,7 @@ const { getPermissions,
   updateSocialSharing,
   updateAccountVisibility,
   requestDataDownload,
+  getDataExports,
   requestAccountDeletion,
   cancelAccountDeletion, } = require('../../controllers/buyer/permissionController');
 const authController = require('../../controllers/buyer/authController');
@@ -22,6 +23,7 @@ router.patch('/data-sharing', updateDataSharing);
 router.patch('/location', updateLocationAccess);
 router.patch('/social', updateSocialSharing);
 router.patch('/visibility', updateAccountVisibility);
+router.get('/download-data', getDataExports);
 router.post('/download-data', requestDataDownload);
 router.post('/request-deletion', requestAccountDeletion);
 router.post('/cancel-deletion', cancelAccountDeletion);
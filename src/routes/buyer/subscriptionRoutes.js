@@ -0,0 +1,22 @@
+const express = require('express');
+const authController = require('../../controllers/buyer/authController');
+const subscriptionController = require('../../controllers/buyer/subscriptionController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+
+const router = express.Router();
+
+// Subscriptions belong to buyers only
+router.use(authController.protect, authController.restrictTo('user'));
+
+router
+  .route('/')
+  .get(subscriptionController.getMySubscriptions)
+  .post(subscriptionController.createSubscription);
+
+router.get('/:id', validateObjectId('id'), subscriptionController.getSubscription);
+router.patch('/:id/pause', validateObjectId('id'), subscriptionController.pauseSubscription);
+router.patch('/:id/resume', validateObjectId('id'), subscriptionController.resumeSubscription);
+router.patch('/:id/skip', validateObjectId('id'), subscriptionController.skipNextRenewal);
+router.patch('/:id/cancel', validateObjectId('id'), subscriptionController.cancelSubscription);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const authSellerController = require('../../controllers/seller/authSellerController');
+const authController = require('../../controllers/buyer/authController');
+const licenseKeyController = require('../../controllers/seller/licenseKeyController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+
+const router = express.Router();
+
+router.use(authSellerController.protectSeller);
+router.use(authController.restrictTo('seller', 'official_store'));
+
+router
+  .route('/:productId')
+  .get(validateObjectId('productId'), licenseKeyController.getLicenseKeys)
+  .post(validateObjectId('productId'), licenseKeyController.uploadLicenseKeys);
+
+router.patch(
+  '/:productId/:keyId/revoke',
+  validateObjectId('productId'),
+  validateObjectId('keyId'),
+  licenseKeyController.revokeLicenseKey,
+);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const authController = require('../../controllers/buyer/authController');
+const authSellerController = require('../../controllers/seller/authSellerController');
+const productQuestionController = require('../../controllers/shared/productQuestionController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+
+const router = express.Router();
+
+// All routes require seller authentication
+// CRITICAL: Use protectSeller to ensure seller_jwt cookie is used, not main_jwt
+router.use(authSellerController.protectSeller);
+router.use(authController.restrictTo('seller'));
+
+// Questions on the seller's products (?status=unanswered|answered|all)
+router
+  .route('/')
+  .get(productQuestionController.getSellerQuestions);
+
+// Seller answer (published immediately)
+router
+  .route('/:id/answers')
+  .post(validateObjectId('id'), productQuestionController.answerSellerQuestion);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const balanceController = require('../../controllers/seller/balanceController');
 const sellerAnalyticsController = require('../../controllers/seller/sellerAnalyticsController');
 const sellerRefundController = require('../../controllers/seller/refundController');
 const pickupLocationController = require('../../controllers/seller/pickupLocationController');
+const stockAlertController = require('../../controllers/seller/stockAlertController');
 const { requireVerifiedSeller } = require('../../middleware/seller/requireVerifiedSeller');
 
 const authController = require('../../controllers/buyer/authController');
@@ -146,6 +147,13 @@ router.patch(
   sellerControllor.updateMyStatus
 );
 
+// Scheduled away mode (holidays): products stay listed, orders closed or taken as back-orders
+router
+  .route('/me/away')
+  .get(authController.restrictTo('seller', 'official_store'), sellerControllor.getMyAwayMode)
+  .patch(authController.restrictTo('seller', 'official_store'), sellerControllor.updateMyAwayMode)
+  .delete(authController.restrictTo('seller', 'official_store'), sellerControllor.endMyAwayMode);
+
 // Onboarding routes (protected, but don't require verification)
 router.get(
   '/status',
@@ -276,6 +284,23 @@ router.patch(
   authSellerController.updateNotificationSettings
 );
 
+// Inventory alerts: low-stock SKUs and alert channel preferences
+router.get(
+  '/me/low-stock',
+  authController.restrictTo('seller', 'official_store'),
+  stockAlertController.getLowStockVariants
+);
+router
+  .route('/me/stock-alert-settings')
+  .get(
+    authController.restrictTo('seller', 'official_store'),
+    stockAlertController.getStockAlertSettings
+  )
+  .patch(
+    authController.restrictTo('seller', 'official_store'),
+    stockAlertController.updateStockAlertSettings
+  );
+
 // Activity logs - sellers can view their own activity
 router.get(
   '/me/activity-logs',
@@ -383,6 +408,12 @@ router.get(
   sellerAnalyticsController.getSellerInventoryAnalytics
 );
 
+router.get(
+  '/analytics/back-in-stock',
+  authController.restrictTo('seller', 'official_store'),
+  sellerAnalyticsController.getSellerBackInStockDemand
+);
+
 router.get(
   '/analytics/refunds',
   authController.restrictTo('seller', 'official_store'),
@@ -0,0 +1,26 @@
+const express = require('express');
+const deliveryJobController = require('../../controllers/shared/deliveryJobController');
+const authController = require('../../controllers/buyer/authController');
+const { validateObjectId } = require('../../middleware/validateObjectId');
+
+const router = express.Router();
+
+router.use(authController.protect);
+
+// Buyer: new one-time PIN to hand to the rider
+router.post(
+  '/orders/:orderId/pin',
+  authController.restrictTo('user'),
+  validateObjectId('orderId'),
+  deliveryJobController.requestDeliveryPin,
+);
+
+// Driver app
+router.use(authController.restrictTo('driver'));
+
+router.patch('/availability', deliveryJobController.updateMyAvailability);
+router.get('/jobs', deliveryJobController.getMyJobs);
+router.get('/jobs/:jobId', validateObjectId('jobId'), deliveryJobController.getMyJob);
+router.patch('/jobs/:jobId/:action', validateObjectId('jobId'), deliveryJobController.updateMyJob);
+
+module.exports = router;
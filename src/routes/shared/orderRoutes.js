@@ -25,7 +25,10 @@ const {
   getOrderByTrackingNumber,
   addTrackingUpdate,
 } = require('../../controllers/shared/orderTrackingController');
-const { requestRefund, getRefundStatus, selectReturnShippingMethod } = require('../../controllers/buyer/refundController');
+const { requestRefund, getRefundStatus, selectReturnShippingMethod, selectRefundMethod } = require('../../controllers/buyer/refundController');
+const { getOrderDigitalItems, downloadDigitalFile } = require('../../controllers/shared/digitalDeliveryController');
+const { downloadOrderInvoice, downloadSellerOrderInvoice } = require('../../controllers/shared/invoiceController');
+const { getOrderShipments, updateShipment, trackShipment } = require('../../controllers/shared/shipmentController');
 
 const authController = require('../../controllers/buyer/authController');
 const { ALL_ADMIN_ROLES, OPS_ROLES, SUPERADMIN_ONLY } = require('../../config/rolePermissions');
@@ -91,6 +94,13 @@ router.get(
   validateObjectId('id'), // SECURITY FIX #6
   getOrderBySeller,
 );
+router.get(
+  '/seller-order/:id/invoice',
+  authController.protect,
+  authController.restrictTo('seller', 'official_store'),
+  validateObjectId('id'),
+  downloadSellerOrderInvoice,
+);
 router.patch(
   '/seller-order/:id/notes',
   authController.protect,
@@ -178,6 +188,15 @@ router.post(
   sendOrderDetailEmail
 );
 
+// Tax invoice / receipt PDF
+router.get(
+  '/:orderId/invoice',
+  authController.protect,
+  authController.restrictTo('user'),
+  validateObjectId('orderId'),
+  downloadOrderInvoice
+);
+
 // Admin payment confirmation route (must be before /:id route)
 router.patch(
   '/:orderId/confirm-payment',
@@ -222,6 +241,40 @@ router.post(
   addTrackingUpdate
 );
 
+// Split shipments: one per seller in the order, each tracked and delivered on its own
+router.get(
+  '/track-shipment/:trackingNumber',
+  trackingNumberLimiter,
+  trackShipment
+);
+router.get(
+  '/:orderId/shipments',
+  authController.protect,
+  validateObjectId('orderId'),
+  getOrderShipments
+);
+router.patch(
+  '/:orderId/shipments/:shipmentId',
+  authController.protect,
+  authController.restrictTo('admin', 'superadmin', 'seller', 'official_store'),
+  validateObjectId('orderId'),
+  validateObjectId('shipmentId'),
+  updateShipment
+);
+
+// Digital products: buyer download links / license keys, and the signed download link itself (no auth)
+router.get(
+  '/digital-downloads/:token',
+  downloadDigitalFile
+);
+router.get(
+  '/:orderId/digital-items',
+  authController.protect,
+  authController.restrictTo('user'),
+  validateObjectId('orderId'),
+  getOrderDigitalItems
+);
+
 // Refund Request Routes (buyer only)
 router.post(
   '/:orderId/request-refund',
@@ -245,6 +298,13 @@ router.patch(
   selectReturnShippingMethod
 );
 
+router.patch(
+  '/:orderId/refunds/:refundId/refund-method',
+  authController.protect,
+  authController.restrictTo('user'),
+  selectRefundMethod
+);
+
 router
   .route('/:id')
   .get(authController.protect, authController.restrictTo(...ALL_ADMIN_ROLES), getOrder)
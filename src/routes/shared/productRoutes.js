@@ -22,6 +22,11 @@ const { getAllProduct,
   deleteProductVariant, } = require('../../controllers/seller/productController');
 const { getPublicOfficialStoreProducts } = require('../../controllers/admin/saiisaiStoreController');
 const promoPriceLock = require('../../middleware/promoPriceLock');
+const backInStockController = require('../../controllers/shared/backInStockController');
+const { backInStockLimiter } = require('../../middleware/rateLimiting/backInStockLimiter');
+const productQuestionController = require('../../controllers/shared/productQuestionController');
+const { questionSubmissionLimiter } = require('../../middleware/rateLimiting/reviewLimiter');
+const { validateObjectId } = require('../../middleware/validateObjectId');
 
 const router = express.Router();
 
@@ -47,6 +52,40 @@ router
 // optionalAuth: logged-in users see their own pending reviews; anonymous users see only approved
 router.route('/:id/reviews').get(optionalAuth, getProductReviews);
 
+// Product Q&A - approved questions are public; askers also see their own pending questions
+router
+  .route('/:id/questions')
+  .get(validateObjectId('id'), optionalAuth, productQuestionController.getProductQuestions)
+  .post(
+    validateObjectId('id'),
+    authController.protect,
+    authController.restrictTo('user'),
+    questionSubmissionLimiter,
+    productQuestionController.askQuestion,
+  );
+// Verified buyers answer here; sellers answer from /api/v1/seller/questions
+router.post(
+  '/:id/questions/:questionId/answers',
+  validateObjectId('id'),
+  validateObjectId('questionId'),
+  authController.protect,
+  authController.restrictTo('user'),
+  questionSubmissionLimiter,
+  productQuestionController.answerQuestion,
+);
+
+// Back-in-stock "notify me" (guests included) - must be before /:id route
+router.post('/notify-me/unsubscribe', backInStockLimiter, backInStockController.unsubscribeByToken);
+router
+  .route('/:id/notify-me')
+  .post(validateObjectId('id'), backInStockLimiter, optionalAuth, backInStockController.subscribe)
+  .delete(
+    validateObjectId('id'),
+    authController.protect,
+    authController.restrictTo('user'),
+    backInStockController.unsubscribe
+  );
+
 // Variant routes - must be before /:id route
 router
   .route('/:id/variants')
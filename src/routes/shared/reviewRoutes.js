@@ -25,6 +25,12 @@ router.get(
   getMyReviews
 );
 
+// Post-delivery review request links (pre-authenticated by the signed token, no login)
+router
+  .route('/request/:token')
+  .get(reviewController.getReviewRequestForm)
+  .post(reviewSubmissionLimiter, reviewController.submitReviewRequest);
+
 router
   .route('/')
   .get(authController.protect, authController.restrictTo(...OPS_ROLES), getAllReview)
@@ -52,6 +58,22 @@ router
     reviewController.deleteReview,
   );
 
+// Helpfulness vote - one per buyer; repeating the same vote or DELETE withdraws it
+router
+  .route('/:id/vote')
+  .post(
+    authController.protect,
+    authController.restrictTo('user', 'buyer'),
+    validateObjectId('id'),
+    reviewController.voteReview,
+  )
+  .delete(
+    authController.protect,
+    authController.restrictTo('user', 'buyer'),
+    validateObjectId('id'),
+    reviewController.voteReview,
+  );
+
 // Seller reply to review
 router
   .route('/:id/reply')
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { searchProducts,
   getSearchSuggestions,
-  searchProductsResults, } = require('../../controllers/shared/searchController');
+  searchProductsResults,
+  searchProductsFaceted,
+  searchProductsSemantic, } = require('../../controllers/shared/searchController');
 const {
   sanitizeSearchQuery,
   sanitizeSearchParam,
@@ -11,6 +13,12 @@ const {
 // For filtered/product/category/brand/tag results (using query params)
 router.get('/results', sanitizeSearchQuery, searchProductsResults);
 
+// Multi-select filters with facet counts for the storefront filter sidebar
+router.get('/faceted', sanitizeSearchQuery, searchProductsFaceted);
+
+// Embedding similarity search (local provider when no AI key is configured)
+router.get('/semantic', sanitizeSearchQuery, searchProductsSemantic);
+
 // For free-text search (e.g. /search/query/iphone)
 router.get('/query/:query', sanitizeSearchParam('query'), searchProducts);
 
@@ -0,0 +1,13 @@
+const express = require('express');
+const smsController = require('../../controllers/shared/smsController');
+
+const router = express.Router();
+
+// Delivery receipts (no auth - the gateway calls this with ?token=SMS_WEBHOOK_TOKEN;
+// the /webhook path keeps it outside CSRF protection)
+router
+  .route('/webhook/:provider')
+  .get(smsController.receiveDeliveryReceipt)
+  .post(smsController.receiveDeliveryReceipt);
+
+module.exports = router;
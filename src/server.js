@@ -108,6 +108,10 @@ class Server {
       const chatSocketHandler = require('./sockets/chatSocketHandler');
       chatSocketHandler(io);
 
+      // Live order tracking namespace (/order-tracking)
+      const orderTrackingSocketHandler = require('./sockets/orderTrackingSocketHandler');
+      orderTrackingSocketHandler(io);
+
       // Make io available to controllers if needed
       app.set('io', io);
 
@@ -123,7 +127,7 @@ class Server {
         console.log(
           `Access locally at: http://localhost:${port} or http://127.0.0.1:${port}`,
         );
-        console.log('⚠️  Background jobs are disabled (Bull/Redis removed)');
+        console.log('🧵 Background jobs run on the MongoDB job queue');
         console.log('='.repeat(60) + '\n');
         if (process.env.NODE_ENV === 'production') {
           logger.info('Production server is ready');
@@ -187,6 +191,10 @@ class Server {
         });
       }
 
+      // Let in-flight background jobs finish (unfinished ones are reclaimed after their lease expires)
+      const { stopJobWorker } = require('./services/jobs/jobQueueService');
+      await stopJobWorker();
+
       // Close MongoDB connection
       if (mongoose.connection && mongoose.connection.readyState !== 0) {
         await mongoose.connection.close(false);
@@ -254,6 +262,46 @@ class Server {
 
       const { startPromoStatusJob } = require('./jobs/promoStatusJob');
       startPromoStatusJob();
+
+      const { startDataExportJobs } = require('./jobs/dataExportJob');
+      startDataExportJobs();
+
+      const { startSubscriptionJobs } = require('./jobs/subscriptionRenewalJob');
+      startSubscriptionJobs();
+
+      const { startLowStockDigestJob } = require('./jobs/lowStockDigestJob');
+      startLowStockDigestJob();
+
+      const { startStockReservationJob } = require('./jobs/stockReservationJob');
+      startStockReservationJob();
+
+      const { startBackInStockJob } = require('./jobs/backInStockJob');
+      startBackInStockJob();
+
+      const { startAbandonedCartJob } = require('./jobs/abandonedCartJob');
+      startAbandonedCartJob();
+
+      const { startPaystackRefundJob } = require('./jobs/paystackRefundJob');
+      startPaystackRefundJob();
+
+      const { startProductEmbeddingJob } = require('./jobs/productEmbeddingJob');
+      startProductEmbeddingJob();
+
+      const { startSearchCorrectionJob } = require('./jobs/searchCorrectionJob');
+      startSearchCorrectionJob();
+
+      const { startSearchDigestJob } = require('./jobs/searchDigestJob');
+      startSearchDigestJob();
+
+      const { startSellerAwayJob } = require('./jobs/sellerAwayJob');
+      startSellerAwayJob();
+
+      const { startReviewRequestJob } = require('./jobs/reviewRequestJob');
+      startReviewRequestJob();
+
+      // Start the MongoDB job queue worker once all queue handlers are registered
+      const { startJobWorker } = require('./services/jobs/jobQueueService');
+      startJobWorker();
       
       if (process.env.NODE_ENV === 'production') {
         logger.info('Cron jobs initialized');
@@ -0,0 +1,66 @@
+const logger = require('../../utils/logger');
+const localProvider = require('./localProvider');
+const openaiProvider = require('./openaiProvider');
+
+/**
+ * aiProvider.js
+ * Picks the embedding and chat (LLM) providers used by search and recommendations.
+ *
+ * A provider is { name, model, dimensions, embed(texts) → Promise<number[][]>,
+ * chat?(messages, { maxTokens, temperature, timeoutMs }) → Promise<string|null> }.
+ * `model` is stored on each product next to its embedding; vectors from different
+ * models are never compared.
+ *
+ * - EMBEDDING_PROVIDER: local | openai. Defaults to openai when AI search is enabled and
+ *   OPENAI_API_KEY is set, otherwise local, so product embeddings always exist.
+ * - LLM_PROVIDER: openai | none. Defaults to openai when OPENAI_API_KEY is set.
+ *
+ * registerProvider() plugs in another backend (e.g. a self-hosted model) by name.
+ */
+
+const providers = new Map([
+  [localProvider.name, localProvider],
+  [openaiProvider.name, openaiProvider],
+]);
+
+const warnedUnavailable = new Set();
+
+const isUsable = (provider) => provider && (!provider.isConfigured || provider.isConfigured());
+
+/**
+ * @param {string} name
+ * @param {{ model: string, embed?: Function, chat?: Function, isConfigured?: Function }} provider
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.model !== 'string') {
+    throw new Error(`AI provider "${name}" must have a model name`);
+  }
+  providers.set(name, { ...provider, name });
+}
+
+function getEmbeddingProvider() {
+  const aiSearchEnabled = process.env.AI_SEARCH_ENABLED === 'true';
+  const requested = process.env.EMBEDDING_PROVIDER || (aiSearchEnabled && openaiProvider.isConfigured() ? 'openai' : 'local');
+  const provider = providers.get(requested);
+  if (isUsable(provider) && typeof provider.embed === 'function') return provider;
+
+  if (!warnedUnavailable.has(requested)) {
+    warnedUnavailable.add(requested);
+    logger.warn(`[AI] Embedding provider "${requested}" is not available, using local embeddings`);
+  }
+  return localProvider;
+}
+
+/** @returns {Object|null} null when no chat model is configured */
+function getChatProvider() {
+  const requested = process.env.LLM_PROVIDER || (openaiProvider.isConfigured() ? 'openai' : 'none');
+  if (requested === 'none') return null;
+  const provider = providers.get(requested);
+  return isUsable(provider) && typeof provider.chat === 'function' ? provider : null;
+}
+
+module.exports = {
+  registerProvider,
+  getEmbeddingProvider,
+  getChatProvider,
+};
@@ -0,0 +1,100 @@
+/**
+ * localProvider.js
+ * In-process embedding provider: hashed n-gram vectors (feature hashing), no network and
+ * no model files, so embeddings and similarity work in dev and CI.
+ *
+ * Each text becomes word unigrams, word bigrams and character trigrams; every feature is
+ * hashed into one of DIMENSIONS buckets with a hashed sign, weighted by sublinear term
+ * frequency and the vector is L2-normalised. Trigrams make near spellings ("iphone" /
+ * "iphones") land close together. Deterministic: the same text always gives the same vector.
+ *
+ * The local provider has no chat model; chat features fall back to rule-based behaviour.
+ */
+
+const DIMENSIONS = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS || '256', 10);
+const MAX_TEXT_LENGTH = 4000;
+
+const FEATURE_WEIGHTS = {
+  word: 1,
+  bigram: 0.5,
+  trigram: 0.3,
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on',
+  'or', 'the', 'this', 'to', 'with', 'your', 'you', 'our', 'we', 'its', 'that', 'very',
+]);
+
+/** FNV-1a, 32-bit. */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .slice(0, MAX_TEXT_LENGTH)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/** Weighted features of a text. Pure. */
+function extractFeatures(text) {
+  const words = tokenize(text);
+  const features = [];
+  words.forEach((word, i) => {
+    features.push([`w:${word}`, FEATURE_WEIGHTS.word]);
+    if (i > 0) features.push([`b:${words[i - 1]}_${word}`, FEATURE_WEIGHTS.bigram]);
+    const padded = `#${word}#`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      features.push([`t:${padded.slice(j, j + 3)}`, FEATURE_WEIGHTS.trigram]);
+    }
+  });
+  return features;
+}
+
+/**
+ * Embed one text. Pure.
+ * @returns {number[]} unit-length vector (all zeros for text without usable words)
+ */
+function embedText(text, dimensions = DIMENSIONS) {
+  const counts = new Map();
+  for (const [feature, weight] of extractFeatures(text)) {
+    const entry = counts.get(feature);
+    if (entry) entry.count += 1;
+    else counts.set(feature, { weight, count: 1 });
+  }
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, { weight, count }] of counts) {
+    const hash = hashFeature(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * weight * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) return vector;
+  return vector.map((v) => Math.round((v / norm) * 1e6) / 1e6);
+}
+
+module.exports = {
+  name: 'local',
+  model: `local-hash-v1-${DIMENSIONS}`,
+  dimensions: DIMENSIONS,
+  /** @param {string[]} texts */
+  async embed(texts) {
+    return texts.map((text) => embedText(text));
+  },
+  chat: null,
+  // Exposed for tests
+  tokenize,
+  embedText,
+};
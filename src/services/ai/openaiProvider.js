@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+/**
+ * openaiProvider.js
+ * OpenAI embeddings (/v1/embeddings) and chat completions (/v1/chat/completions).
+ * Only selected when OPENAI_API_KEY is set (see aiProvider.js).
+ */
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+const CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || 'gpt-3.5-turbo';
+const EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+
+const headers = () => ({
+  Authorization: `Bearer ${OPENAI_API_KEY}`,
+  'Content-Type': 'application/json',
+});
+
+module.exports = {
+  name: 'openai',
+  model: `openai:${EMBEDDING_MODEL}`,
+  dimensions: null,
+  isConfigured: () => Boolean(OPENAI_API_KEY),
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} one vector per text, in order
+   */
+  async embed(texts) {
+    const response = await axios.post(
+      EMBEDDINGS_URL,
+      { model: EMBEDDING_MODEL, input: texts },
+      { headers: headers(), timeout: 30000 },
+    );
+    return [...response.data.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+  },
+
+  /**
+   * @param {{ role: string, content: string }[]} messages
+   * @param {{ maxTokens?: number, temperature?: number, timeoutMs?: number }} [options]
+   * @returns {Promise<string|null>} the reply text
+   */
+  async chat(messages, { maxTokens = 150, temperature = 0.7, timeoutMs = 5000 } = {}) {
+    const response = await axios.post(
+      CHAT_URL,
+      { model: CHAT_MODEL, messages, max_tokens: maxTokens, temperature },
+      { headers: headers(), timeout: timeoutMs },
+    );
+    return response.data.choices[0]?.message?.content?.trim() || null;
+  },
+};
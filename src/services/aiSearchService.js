@@ -1,33 +1,49 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
+const { getChatProvider } = require('./ai/aiProvider');
 
 /**
  * AI-Powered Search Service
- * Uses OpenAI API to enhance search with:
+ * Uses the configured chat (LLM) provider (see ai/aiProvider.js) to enhance search with:
  * - Intelligent keyword expansion
  * - Query intent classification
  * - Natural language understanding
  * - Semantic search suggestions
+ *
+ * Without a chat provider every function returns its rule-based default. Embedding-based
+ * semantic search does not depend on this and always runs (search/embeddingService.js).
  */
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
-const AI_ENABLED = process.env.AI_SEARCH_ENABLED === 'true' && !!OPENAI_API_KEY;
+const chatProvider = getChatProvider();
+const AI_ENABLED = process.env.AI_SEARCH_ENABLED === 'true' && !!chatProvider;
 
 // Log AI status on module load
 if (AI_ENABLED) {
   logger.info('✅ [AI Search] AI-Powered Search is ENABLED');
-  logger.info(`   OpenAI API Key: ${OPENAI_API_KEY ? OPENAI_API_KEY.substring(0, 7) + '...' : 'NOT SET'}`);
+  logger.info(`   Chat provider: ${chatProvider.name}`);
 } else {
   logger.info('⚠️  [AI Search] AI-Powered Search is DISABLED');
-  if (!process.env.OPENAI_API_KEY) {
-    logger.info('   Reason: OPENAI_API_KEY not set');
+  if (!chatProvider) {
+    logger.info('   Reason: no chat provider configured (OPENAI_API_KEY not set or LLM_PROVIDER=none)');
   } else if (process.env.AI_SEARCH_ENABLED !== 'true') {
     logger.info('   Reason: AI_SEARCH_ENABLED is not "true"');
   }
   logger.info('   System will use rule-based search fallback');
 }
 
+/**
+ * One system + user exchange with the chat provider.
+ * @returns {Promise<string|null>} reply text
+ */
+function chatCompletion(system, prompt, { maxTokens, temperature }) {
+  return chatProvider.chat(
+    [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt },
+    ],
+    { maxTokens, temperature, timeoutMs: 5000 },
+  );
+}
+
 /**
  * Expand search keywords using AI
  * Generates related search terms, synonyms, and variations
@@ -49,33 +65,11 @@ Return ONLY a JSON array of search terms (no explanations, no markdown, just the
 
 Search terms:`;
 
-    const response = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful e-commerce search assistant. Always return valid JSON arrays.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 150,
-        temperature: 0.7,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 5000, // 5 second timeout
-      }
+    const content = await chatCompletion(
+      'You are a helpful e-commerce search assistant. Always return valid JSON arrays.',
+      prompt,
+      { maxTokens: 150, temperature: 0.7 },
     );
-
-    const content = response.data.choices[0]?.message?.content?.trim();
     if (!content) {
       return [query];
     }
@@ -140,33 +134,11 @@ Query: "${query}"
 
 Return ONLY valid JSON (no markdown, no explanations). Example: {"intent": "product", "confidence": 0.9, "category": "Electronics", "brand": null}`;
 
-    const response = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a search intent classifier. Always return valid JSON objects.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 100,
-        temperature: 0.3,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 5000,
-      }
+    const content = await chatCompletion(
+      'You are a search intent classifier. Always return valid JSON objects.',
+      prompt,
+      { maxTokens: 100, temperature: 0.3 },
     );
-
-    const content = response.data.choices[0]?.message?.content?.trim();
     if (!content) {
       return {
         intent: 'product',
@@ -236,33 +208,11 @@ Query: "${query}"
 
 Return ONLY a JSON array of ${limit} search suggestions (no explanations, no markdown). Example: ["phone case", "phone cover", "mobile phone case", "smartphone protector", "phone screen protector"]`;
 
-    const response = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a search suggestion generator. Always return valid JSON arrays.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 100,
-        temperature: 0.8,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 5000,
-      }
+    const content = await chatCompletion(
+      'You are a search suggestion generator. Always return valid JSON arrays.',
+      prompt,
+      { maxTokens: 100, temperature: 0.8 },
     );
-
-    const content = response.data.choices[0]?.message?.content?.trim();
     if (!content) {
       return [];
     }
@@ -307,33 +257,11 @@ Original query: "${query}"
 
 Optimized query:`;
 
-    const response = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a search query optimizer. Return only the optimized query text.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 50,
-        temperature: 0.3,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 5000,
-      }
+    const enhanced = await chatCompletion(
+      'You are a search query optimizer. Return only the optimized query text.',
+      prompt,
+      { maxTokens: 50, temperature: 0.3 },
     );
-
-    const enhanced = response.data.choices[0]?.message?.content?.trim();
     const result = enhanced || query;
     if (result !== query) {
       logger.info(`[AI Search] ✅ Enhanced "${query}" → "${result}"`);
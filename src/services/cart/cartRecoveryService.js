@@ -0,0 +1,393 @@
+const Cart = require('../../models/product/cartModel');
+const CartReminder = require('../../models/product/cartReminderModel');
+const Order = require('../../models/order/orderModel');
+const Product = require('../../models/product/productModel');
+const User = require('../../models/user/userModel');
+const NotificationSettings = require('../../models/notification/notificationSettingsModel');
+const logger = require('../../utils/logger');
+const { mapInChunks } = require('../../utils/helpers/mapInChunks');
+
+/**
+ * cartRecoveryService.js
+ * Abandoned cart recovery: a scheduled sweep reminds signed-in buyers about carts untouched
+ * for ABANDONED_CART_REMINDER_HOURS (one reminder per listed delay), by email and push as far
+ * as the buyer accepts promotions on each channel. The last reminder can carry a single-use
+ * coupon. Reminders stop as soon as the buyer orders or edits the cart; an order placed within
+ * the attribution window marks the episode's reminders as recovered for the admin report.
+ */
+
+const CART_RECOVERY_QUEUE = 'abandoned-cart-reminders';
+const SWEEP_PAGE_SIZE = 200;
+const MAX_REMINDERS_PER_SWEEP = 500;
+// Carts reminded at the same time, so a page never bursts past the email / push providers
+const SEND_CONCURRENCY = 10;
+// Carts idle for longer than the last reminder delay plus this are left alone
+const MAX_EXTRA_IDLE_HOURS = 48;
+const ATTRIBUTION_WINDOW_DAYS = parseInt(process.env.ABANDONED_CART_ATTRIBUTION_DAYS, 10) || 7;
+// createOrder touches the cart right after creating the order, so compare with some slack
+const ORDER_AFTER_CART_SLACK_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reminder delays in hours since the cart was last updated, e.g. "4,24".
+ * @returns {number[]}
+ */
+function getReminderSchedule() {
+  const hours = String(process.env.ABANDONED_CART_REMINDER_HOURS || '4,24')
+    .split(',')
+    .map((h) => parseFloat(h))
+    .filter((h) => h > 0);
+  return [...new Set(hours)].sort((a, b) => a - b);
+}
+
+/**
+ * Single-use coupon added to the last reminder; disabled unless ABANDONED_CART_COUPON_PERCENT is set.
+ * @returns {{ percent: number, maxAmount: number|null, validDays: number, minCartValue: number }|null}
+ */
+function getCouponConfig() {
+  const percent = parseFloat(process.env.ABANDONED_CART_COUPON_PERCENT) || 0;
+  if (percent <= 0) return null;
+  return {
+    percent: Math.min(percent, 100),
+    maxAmount: parseFloat(process.env.ABANDONED_CART_COUPON_MAX_AMOUNT) || null,
+    validDays: parseInt(process.env.ABANDONED_CART_COUPON_VALID_DAYS, 10) || 3,
+    minCartValue: parseFloat(process.env.ABANDONED_CART_COUPON_MIN_CART_VALUE) || 0,
+  };
+}
+
+/**
+ * Which reminder step (1-based) is due for a cart, if any.
+ * @param {number} idleHours - hours since the cart was last updated
+ * @param {number} stepsDone - reminders already sent (or skipped) for this episode
+ * @param {number[]} schedule - from getReminderSchedule
+ * @returns {number|null}
+ */
+function getDueReminderStep(idleHours, stepsDone, schedule) {
+  if (schedule.length === 0 || stepsDone >= schedule.length) return null;
+  if (idleHours > schedule[schedule.length - 1] + MAX_EXTRA_IDLE_HOURS) return null;
+  return idleHours >= schedule[stepsDone] ? stepsDone + 1 : null;
+}
+
+/**
+ * Cart lines at today's prices, leaving out products that can no longer be bought.
+ * @param {Array} cartProducts - cart.products
+ * @param {Array} products - Product docs referenced by the cart
+ * @returns {{ items: Array, total: number }}
+ */
+function priceCartItems(cartProducts, products) {
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+  const items = [];
+
+  (cartProducts || []).forEach((line) => {
+    const product = line.product && byId.get(line.product.toString());
+    if (!product || product.isDeleted || product.isVisible === false) return;
+
+    const variants = product.variants || [];
+    const variant = line.variant
+      ? variants.find((v) => v._id.toString() === String(line.variant))
+      : variants[0];
+    if (variants.length > 0 && (!variant || variant.status === 'inactive' || (variant.stock || 0) <= 0)) return;
+
+    const unitPrice = (variant && (variant.priceInclVat ?? variant.price)) ?? product.priceInclVat ?? product.price ?? 0;
+    const quantity = line.quantity || 1;
+    items.push({
+      productId: product._id.toString(),
+      name: product.name,
+      image: (variant && variant.images && variant.images[0]) || product.imageCover || null,
+      variantName: variant
+        ? variant.name || (variant.attributes || []).map((a) => a.value).join(' / ') || null
+        : null,
+      quantity,
+      unitPrice: Math.round(unitPrice * 100) / 100,
+      lineTotal: Math.round(unitPrice * quantity * 100) / 100,
+    });
+  });
+
+  const total = Math.round(items.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100;
+  return { items, total };
+}
+
+async function createRecoveryCoupon(user, couponConfig) {
+  const couponService = require('../coupon/couponService');
+  const expiresAt = new Date(Date.now() + couponConfig.validDays * 24 * HOUR_MS);
+  const { batch, code } = await couponService.createSingleUseCoupon({
+    userId: user._id,
+    name: `Cart recovery — ${user.email || user._id}`,
+    discountValue: couponConfig.percent,
+    discountType: 'percentage',
+    maxDiscountAmount: couponConfig.maxAmount,
+    expiresAt,
+  });
+  return { batch: batch._id, code, expiresAt, percent: couponConfig.percent, maxAmount: couponConfig.maxAmount };
+}
+
+/**
+ * Send (or skip) one reminder. The reminder document is created first as the claim.
+ * @returns {Promise<'sent'|'skipped'|'duplicate'>}
+ */
+async function sendReminder(cart, step, isLastStep) {
+  const emailDispatcher = require('../../emails/emailDispatcher');
+  const pushNotificationService = require('../pushNotificationService');
+  const { canSendUserEmail, EMAIL_CATEGORY } = require('../../utils/helpers/emailPermission');
+
+  let reminder;
+  try {
+    reminder = await CartReminder.create({
+      cart: cart._id,
+      user: cart.user,
+      cartUpdatedAt: cart.updatedAt,
+      step,
+    });
+  } catch (error) {
+    if (error.code === 11000) return 'duplicate';
+    throw error;
+  }
+
+  const skip = async (reason) => {
+    await CartReminder.updateOne({ _id: reminder._id }, { $set: { status: 'skipped', skipReason: reason } });
+    return 'skipped';
+  };
+
+  const user = await User.findById(cart.user).select('name email');
+  if (!user) return skip('user_inactive');
+
+  const products = await Product.find({ _id: { $in: cart.products.map((p) => p.product) } })
+    .select('name imageCover price priceInclVat variants isDeleted isVisible');
+  const { items, total } = priceCartItems(cart.products, products);
+  if (items.length === 0) return skip('nothing_available');
+
+  const emailAllowed = Boolean(user.email) && await canSendUserEmail(user._id, EMAIL_CATEGORY.PROMOTION);
+  const settings = await NotificationSettings.findOne({ user: user._id }).select('push.promotions').lean();
+  const pushAllowed = Boolean(settings && settings.push && settings.push.promotions);
+  if (!emailAllowed && !pushAllowed) return skip('opted_out');
+
+  const couponConfig = getCouponConfig();
+  let coupon = null;
+  if (isLastStep && emailAllowed && couponConfig && total >= couponConfig.minCartValue) {
+    coupon = await createRecoveryCoupon(user, couponConfig);
+  }
+
+  const cartUrl = `${process.env.FRONTEND_URL || 'https://saiisai.com'}/cart`;
+  const channels = { email: false, push: false };
+
+  if (emailAllowed) {
+    try {
+      await emailDispatcher.sendAbandonedCartReminder(user, { items, total, cartUrl, coupon, step });
+      channels.email = true;
+    } catch (error) {
+      logger.error('[CartRecovery] Reminder email failed', { cartId: cart._id.toString(), error: error.message });
+    }
+  }
+
+  if (pushAllowed) {
+    try {
+      const first = items[0];
+      const result = await pushNotificationService.sendPushToUser(user._id.toString(), {
+        title: coupon ? `${coupon.percent}% off your cart` : 'You left something in your cart',
+        body: items.length === 1
+          ? `${first.name} is still waiting for you.`
+          : `${first.name} and ${items.length - 1} more item(s) are still in your cart.`,
+        data: { type: 'cart', referenceId: cart._id.toString(), ...(coupon ? { couponCode: coupon.code } : {}) },
+      });
+      channels.push = Boolean(result && result.success !== false);
+    } catch (error) {
+      logger.error('[CartRecovery] Reminder push failed', { cartId: cart._id.toString(), error: error.message });
+    }
+  }
+
+  if (!channels.email && !channels.push) return skip('no_channel');
+
+  await CartReminder.updateOne(
+    { _id: reminder._id },
+    {
+      $set: {
+        channels,
+        itemCount: items.length,
+        cartValue: total,
+        sentAt: new Date(),
+        ...(coupon ? { coupon: { batch: coupon.batch, code: coupon.code, expiresAt: coupon.expiresAt } } : {}),
+      },
+    },
+  );
+  return 'sent';
+}
+
+/**
+ * Send the reminder step one stale cart is due for. Never throws.
+ * @returns {Promise<'sent'|'skipped'|null>}
+ */
+async function processCart(cart, now, schedule) {
+  try {
+    const stepsDone = await CartReminder.countDocuments({ cart: cart._id, cartUpdatedAt: cart.updatedAt });
+    const step = getDueReminderStep((now - cart.updatedAt.getTime()) / HOUR_MS, stepsDone, schedule);
+    if (!step) return null;
+
+    // The buyer already checked out (createOrder touches the cart just after the order)
+    const ordered = await Order.exists({
+      user: cart.user,
+      createdAt: { $gte: new Date(cart.updatedAt.getTime() - ORDER_AFTER_CART_SLACK_MS) },
+    });
+    if (ordered) return null;
+
+    return await sendReminder(cart, step, step === schedule.length);
+  } catch (error) {
+    logger.error('[CartRecovery] Failed to process cart', { cartId: cart._id.toString(), error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Job handler: find stale carts and send the reminder step each one is due for.
+ * @returns {Promise<{ checked: number, sent: number, skipped: number }>}
+ */
+async function processAbandonedCarts() {
+  const schedule = getReminderSchedule();
+  if (schedule.length === 0) return { checked: 0, sent: 0, skipped: 0 };
+
+  const now = Date.now();
+  const staleCarts = {
+    user: { $ne: null },
+    'products.0': { $exists: true },
+    updatedAt: {
+      $lte: new Date(now - schedule[0] * HOUR_MS),
+      $gte: new Date(now - (schedule[schedule.length - 1] + MAX_EXTRA_IDLE_HOURS) * HOUR_MS),
+    },
+  };
+
+  let checked = 0;
+  let sent = 0;
+  let skipped = 0;
+  let lastId = null;
+  while (sent < MAX_REMINDERS_PER_SWEEP) {
+    // Pages follow the _id cursor, so they are fetched one after another
+    const carts = await Cart.find(lastId ? { ...staleCarts, _id: { $gt: lastId } } : staleCarts)
+      .select('user products updatedAt')
+      .sort({ _id: 1 })
+      .limit(SWEEP_PAGE_SIZE)
+      .lean();
+    if (carts.length === 0) break;
+    lastId = carts[carts.length - 1]._id;
+
+    // Each cart gets at most one reminder, so this keeps the sweep within its cap
+    const page = carts.slice(0, MAX_REMINDERS_PER_SWEEP - sent);
+    checked += page.length;
+    const outcomes = await mapInChunks(page, SEND_CONCURRENCY, (cart) => processCart(cart, now, schedule));
+    sent += outcomes.filter((outcome) => outcome === 'sent').length;
+    skipped += outcomes.filter((outcome) => outcome === 'skipped').length;
+    if (page.length < carts.length) break;
+  }
+
+  if (sent > 0 || skipped > 0) {
+    logger.info('[CartRecovery] Reminder sweep finished', { checked, sent, skipped });
+  }
+  return { checked, sent, skipped };
+}
+
+/**
+ * Attribute a new order to the buyer's recent reminders. Never throws.
+ * @param {Object} order - the order just placed
+ */
+async function recordOrderPlaced(order) {
+  try {
+    const since = new Date(Date.now() - ATTRIBUTION_WINDOW_DAYS * 24 * HOUR_MS);
+    const reminders = await CartReminder.find({ user: order.user, status: 'sent', sentAt: { $gte: since } })
+      .select('coupon')
+      .lean();
+    if (reminders.length === 0) return;
+
+    const couponBatch = order.appliedCouponBatchId ? order.appliedCouponBatchId.toString() : null;
+    await CartReminder.updateMany(
+      { _id: { $in: reminders.map((r) => r._id) }, status: 'sent' },
+      {
+        $set: {
+          status: 'recovered',
+          recoveredOrder: order._id,
+          recoveredAt: new Date(),
+          recoveredValue: order.totalPrice || 0,
+          recoveredWithCoupon: Boolean(couponBatch)
+            && reminders.some((r) => r.coupon && r.coupon.batch && r.coupon.batch.toString() === couponBatch),
+        },
+      },
+    );
+  } catch (error) {
+    logger.error('[CartRecovery] Failed to attribute order', {
+      orderId: order && order._id ? order._id.toString() : null,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Recovery funnel for the admin dashboard, counted per abandoned cart episode.
+ * @param {number} [days=30]
+ */
+async function getRecoveryReport(days = 30) {
+  const since = new Date(Date.now() - days * 24 * HOUR_MS);
+
+  const [episodes] = await CartReminder.aggregate([
+    { $match: { sentAt: { $gte: since }, status: { $in: ['sent', 'recovered'] } } },
+    {
+      $group: {
+        _id: { cart: '$cart', cartUpdatedAt: '$cartUpdatedAt' },
+        cartValue: { $max: '$cartValue' },
+        recovered: { $max: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        recoveredValue: { $max: { $ifNull: ['$recoveredValue', 0] } },
+        couponSent: { $max: { $cond: [{ $ifNull: ['$coupon.code', false] }, 1, 0] } },
+        recoveredWithCoupon: { $max: { $cond: ['$recoveredWithCoupon', 1, 0] } },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        remindedCarts: { $sum: 1 },
+        remindedValue: { $sum: '$cartValue' },
+        recoveredCarts: { $sum: '$recovered' },
+        recoveredRevenue: { $sum: { $cond: [{ $eq: ['$recovered', 1] }, '$recoveredValue', 0] } },
+        couponsSent: { $sum: '$couponSent' },
+        couponsRedeemed: { $sum: '$recoveredWithCoupon' },
+      },
+    },
+  ]);
+
+  const byStep = await CartReminder.aggregate([
+    { $match: { sentAt: { $gte: since }, status: { $in: ['sent', 'recovered'] } } },
+    {
+      $group: {
+        _id: '$step',
+        sent: { $sum: 1 },
+        email: { $sum: { $cond: ['$channels.email', 1, 0] } },
+        push: { $sum: { $cond: ['$channels.push', 1, 0] } },
+        recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, step: '$_id', sent: 1, email: 1, push: 1, recovered: 1 } },
+  ]);
+
+  const totals = episodes || {
+    remindedCarts: 0, remindedValue: 0, recoveredCarts: 0, recoveredRevenue: 0, couponsSent: 0, couponsRedeemed: 0,
+  };
+  delete totals._id;
+
+  return {
+    days,
+    schedule: getReminderSchedule(),
+    couponEnabled: Boolean(getCouponConfig()),
+    ...totals,
+    conversionRate: totals.remindedCarts > 0
+      ? Math.round((totals.recoveredCarts / totals.remindedCarts) * 10000) / 100
+      : 0,
+    byStep,
+  };
+}
+
+module.exports = {
+  CART_RECOVERY_QUEUE,
+  getReminderSchedule,
+  getCouponConfig,
+  getDueReminderStep,
+  priceCartItems,
+  processAbandonedCarts,
+  recordOrderPlaced,
+  getRecoveryReport,
+};
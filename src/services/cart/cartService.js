@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const AppError = require('../../utils/errors/appError');
+
+/**
+ * cartService.js
+ * Cart line helpers shared by the signed-in cart, the guest cart and the guest → user merge:
+ * variant id normalization, the "can a buyer add this" check and available stock per line.
+ */
+
+// Max quantity per line item (cart abuse prevention)
+const MAX_QUANTITY_PER_ITEM = 999;
+
+/**
+ * Normalize variant to a valid ObjectId string or null.
+ * Prevents storing stringified variant objects (from old clients/bugs).
+ * If value looks like JSON (starts with { or [), try to extract _id; otherwise reject.
+ */
+function normalizeVariantId(value) {
+  if (value == null || value === '') return null;
+  const str =
+    typeof value === 'object' && value !== null && value._id != null
+      ? (value._id.toString ? value._id.toString() : String(value._id))
+      : String(value);
+  const trimmed = str.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const id = parsed?._id ?? parsed?.id;
+      return id != null && mongoose.Types.ObjectId.isValid(String(id)) ? String(id) : null;
+    } catch {
+      return null;
+    }
+  }
+  return mongoose.Types.ObjectId.isValid(trimmed) ? trimmed : null;
+}
+
+/**
+ * Get variant ID from a cart item for lookup. If item.variant is a stringified
+ * object (invalid), return null so we don't match and we return variant: null.
+ */
+function getVariantIdForLookup(item) {
+  const raw = item.variant;
+  if (raw == null || raw === '') return null;
+  const str = String(raw).trim();
+  if (str.startsWith('{') || str.startsWith('[')) {
+    // Attempt to parse existing stringified Object to rescue the cart
+    try {
+      // Sometimes it's not valid JSON, but rather `"{ _id: new ObjectId('...') }"`
+      // We'll use a regex to snatch the hex id
+      const match = str.match(/(?:_id|id)\s*["': ]+([0-9a-fA-F]{24})/);
+      if (match && match[1]) {
+        return mongoose.Types.ObjectId.isValid(match[1]) ? match[1] : null;
+      }
+
+      const parsed = JSON.parse(str);
+      const id = parsed?._id ?? parsed?.id;
+      return id != null && mongoose.Types.ObjectId.isValid(String(id)) ? String(id) : null;
+    } catch {
+      // Fallback regex if it's strictly a mongoose string representation
+      const match = str.match(/([0-9a-fA-F]{24})/);
+      return match && match[1] && mongoose.Types.ObjectId.isValid(match[1]) ? match[1] : null;
+    }
+  }
+  return mongoose.Types.ObjectId.isValid(str) ? str : null;
+}
+
+/**
+ * Whether buyers may put the product in a cart: approved, active (or out of stock) and visible.
+ * @param {Object} product - needs moderationStatus, status and the visibility/deletion flags
+ */
+function isProductSellable(product) {
+  if (!product) return false;
+  const notApproved = product.moderationStatus !== 'approved';
+  const notSellableStatus = !['active', 'out_of_stock', 'outOfStock'].includes(product.status);
+  const hiddenOrDeleted =
+    product.isVisible === false ||
+    product.isDeleted === true ||
+    product.isDeletedByAdmin === true ||
+    product.isDeletedBySeller === true;
+  return !(notApproved || notSellableStatus || hiddenOrDeleted);
+}
+
+/**
+ * Validate an add-to-cart request body (productId, quantity, variantId).
+ * Enforces buyer visibility rules: products that are not approved/active/visible cannot be added.
+ * @returns {Promise<{ productId: string, quantity: number, variantId: string|null, product: Object }>}
+ * @throws {AppError} 400 for bad input or unsellable products, 404 for unknown products
+ */
+async function validateCartAddition({ productId: rawProductId, quantity: rawQuantity, variantId }) {
+  // Normalize productId (client may send string or object with _id)
+  const productId = rawProductId != null
+    ? (typeof rawProductId === 'object' && rawProductId._id != null ? rawProductId._id : rawProductId)
+    : null;
+  const productIdStr = productId != null ? String(productId) : '';
+
+  // Normalize quantity (client may send string "1")
+  const quantity = rawQuantity != null ? Math.floor(Number(rawQuantity)) : NaN;
+
+  if (!productIdStr || !mongoose.Types.ObjectId.isValid(productIdStr)) {
+    throw new AppError('Invalid product ID', 400);
+  }
+
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new AppError('Quantity must be a positive integer', 400);
+  }
+
+  const product = await Product.findById(productIdStr)
+    .select(
+      'name moderationStatus status isVisible isDeleted isDeletedByAdmin isDeletedBySeller'
+    )
+    .lean();
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  if (!isProductSellable(product)) {
+    throw new AppError(`Product "${product.name}" is not approved for sale.`, 400);
+  }
+
+  return {
+    productId: productIdStr,
+    quantity,
+    variantId: normalizeVariantId(variantId),
+    product,
+  };
+}
+
+/**
+ * Index of the cart line for the same product + variant combination, or -1.
+ */
+function findCartItemIndex(items, productId, variantId) {
+  return items.findIndex((item) => {
+    const itemProductId = item.product?._id?.toString() || String(item.product);
+    return itemProductId === String(productId) && getVariantIdForLookup(item) === (variantId || null);
+  });
+}
+
+/**
+ * Units a cart line can hold right now. A line without a variant counts the stock of all
+ * variants; an unknown or inactive variant has none.
+ * @param {Object} product - with variants (stock, status)
+ * @param {string|null} variantId
+ */
+function getAvailableStock(product, variantId) {
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  if (variantId) {
+    const variant = variants.find((v) => v._id && v._id.toString() === String(variantId));
+    if (!variant || variant.status === 'inactive') return 0;
+    return Math.max(0, variant.stock || 0);
+  }
+  return variants.reduce((sum, v) => sum + Math.max(0, v.stock || 0), 0);
+}
+
+module.exports = {
+  MAX_QUANTITY_PER_ITEM,
+  normalizeVariantId,
+  getVariantIdForLookup,
+  isProductSellable,
+  validateCartAddition,
+  findCartItemIndex,
+  getAvailableStock,
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Cart = require('../../models/product/cartModel');
+const Product = require('../../models/product/productModel');
+const logger = require('../../utils/logger');
+const {
+  MAX_QUANTITY_PER_ITEM,
+  getVariantIdForLookup,
+  isProductSellable,
+  findCartItemIndex,
+  getAvailableStock,
+} = require('./cartService');
+
+/**
+ * guestCartService.js
+ * Carts for shoppers who are not signed in. The client holds a signed guest cart token
+ * (sent in the X-Guest-Cart-Token header) that names a Cart document keyed by guestId.
+ * On login the guest cart is folded into the user's cart, with quantities reconciled
+ * against current stock, and the client is told which lines changed.
+ */
+
+const TOKEN_PURPOSE = 'guest_cart';
+const GUEST_CART_HEADER = 'x-guest-cart-token';
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A merge claim older than this belongs to a login that died mid-merge and may be taken over
+const MERGE_CLAIM_TTL_MS = 60 * 1000;
+
+const getSigningSecret = () => process.env.GUEST_CART_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Start a new guest cart session.
+ * @returns {{ guestId: string, token: string }}
+ */
+function issueGuestCartToken() {
+  const guestId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign({ purpose: TOKEN_PURPOSE, guestId }, getSigningSecret(), {
+    expiresIn: `${GUEST_CART_TTL_DAYS}d`,
+  });
+  return { guestId, token };
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} guestId, or null if the token is missing, forged or expired
+ */
+function verifyGuestCartToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const payload = jwt.verify(token, getSigningSecret());
+    if (payload.purpose !== TOKEN_PURPOSE || !payload.guestId) return null;
+    return payload.guestId;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Guest cart token sent with the request (header, or guestCartToken in the body on login).
+ */
+function getGuestCartToken(req) {
+  return req.headers[GUEST_CART_HEADER] || req.body?.guestCartToken || null;
+}
+
+function getGuestCartExpiry() {
+  return new Date(Date.now() + GUEST_CART_TTL_DAYS * DAY_MS);
+}
+
+/**
+ * Find the guest cart, creating it on first use. Every call pushes the expiry back.
+ */
+async function getOrCreateGuestCart(guestId) {
+  return Cart.findOneAndUpdate(
+    { guestId },
+    { $set: { guestExpiresAt: getGuestCartExpiry() }, $setOnInsert: { products: [] } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  );
+}
+
+/**
+ * Fold guest cart lines into the user's cart lines. Pure: callers load the products.
+ * Lines for the same product + variant are combined; every resulting line is capped by
+ * available stock and MAX_QUANTITY_PER_ITEM. The user's own lines are never reduced.
+ *
+ * @param {Object[]} userItems - user cart lines ({ product, variant, quantity })
+ * @param {Object[]} guestItems - guest cart lines
+ * @param {Map<string, Object>} productsById - products with status flags and variants
+ * @returns {{ items: Object[], changes: Object[] }} items to store on the user's cart and one
+ *   change per guest line: action 'added' | 'merged' | 'quantity_reduced' | 'removed'
+ */
+function reconcileGuestItems(userItems, guestItems, productsById) {
+  const items = userItems.map((item) => ({
+    product: String(item.product?._id || item.product),
+    variant: getVariantIdForLookup(item) || undefined,
+    quantity: item.quantity,
+    ...(item._id && { _id: item._id }),
+  }));
+  const changes = [];
+
+  for (const guestItem of guestItems) {
+    const productId = String(guestItem.product?._id || guestItem.product);
+    const variantId = getVariantIdForLookup(guestItem);
+    const requested = Math.max(1, Math.floor(Number(guestItem.quantity) || 1));
+    const product = productsById.get(productId);
+    const change = { product: productId, variant: variantId, productName: product?.name, requested };
+
+    if (!isProductSellable(product)) {
+      changes.push({ ...change, action: 'removed', quantity: 0, reason: 'unavailable' });
+      continue;
+    }
+
+    const index = findCartItemIndex(items, productId, variantId);
+    const existing = index === -1 ? 0 : items[index].quantity;
+    const available = Math.min(getAvailableStock(product, variantId), MAX_QUANTITY_PER_ITEM);
+
+    if (available <= existing) {
+      changes.push({
+        ...change,
+        action: 'removed',
+        quantity: 0,
+        reason: available === 0 ? 'out_of_stock' : 'already_in_cart',
+      });
+      continue;
+    }
+
+    const added = Math.min(requested, available - existing);
+    if (index === -1) {
+      items.push({ product: productId, variant: variantId || undefined, quantity: added });
+    } else {
+      items[index].quantity = existing + added;
+    }
+
+    if (added < requested) {
+      changes.push({ ...change, action: 'quantity_reduced', quantity: added, reason: 'insufficient_stock' });
+    } else {
+      changes.push({ ...change, action: index === -1 ? 'added' : 'merged', quantity: added });
+    }
+  }
+
+  return { items, changes };
+}
+
+/**
+ * Move the guest cart named by `token` into the user's cart and delete the guest cart.
+ * Never throws: a failed merge must not fail the login it runs in.
+ *
+ * @returns {Promise<{ merged: number, changes: Object[] }|null>} null when there was nothing to merge
+ */
+async function mergeGuestCart(userId, token) {
+  const guestId = verifyGuestCartToken(token);
+  if (!guestId) return null;
+
+  const claimedAt = new Date();
+  let guestCart = null;
+  try {
+    // Claim the guest cart first so two concurrent logins cannot merge it twice; it is only
+    // deleted once the user cart is saved, so a failed merge leaves it for the next login
+    guestCart = await Cart.findOneAndUpdate(
+      {
+        guestId,
+        $or: [
+          { guestMergeClaimedAt: null },
+          { guestMergeClaimedAt: { $lt: new Date(claimedAt.getTime() - MERGE_CLAIM_TTL_MS) } },
+        ],
+      },
+      { $set: { guestMergeClaimedAt: claimedAt } },
+      { new: true },
+    ).lean();
+    if (!guestCart) return null;
+    if (!guestCart.products?.length) {
+      await Cart.deleteOne({ _id: guestCart._id, guestMergeClaimedAt: claimedAt });
+      return null;
+    }
+
+    const productIds = [...new Set(guestCart.products.map((item) => String(item.product)))];
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select(
+        'name moderationStatus status isVisible isDeleted isDeletedByAdmin isDeletedBySeller variants._id variants.stock variants.status'
+      )
+      .lean();
+    const productsById = new Map(products.map((p) => [String(p._id), p]));
+
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+      cart = new Cart({ user: userId, products: [] });
+    }
+
+    const { items, changes } = reconcileGuestItems(cart.products, guestCart.products, productsById);
+    const merged = changes.filter((c) => c.quantity > 0).length;
+    if (merged > 0) {
+      cart.products = items;
+      await cart.save();
+    }
+    await Cart.deleteOne({ _id: guestCart._id, guestMergeClaimedAt: claimedAt });
+
+    logger.info('[guestCart] Merged guest cart into user cart', {
+      userId: String(userId),
+      guestLines: guestCart.products.length,
+      merged,
+    });
+
+    return { merged, changes };
+  } catch (error) {
+    logger.error('[guestCart] Failed to merge guest cart', {
+      userId: String(userId),
+      error: error.message,
+    });
+    if (guestCart) {
+      // Hand the guest cart back so the next login can merge it
+      await Cart.updateOne(
+        { _id: guestCart._id, guestMergeClaimedAt: claimedAt },
+        { $unset: { guestMergeClaimedAt: 1 } },
+      ).catch(() => {});
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  GUEST_CART_HEADER,
+  issueGuestCartToken,
+  verifyGuestCartToken,
+  getGuestCartToken,
+  getOrCreateGuestCart,
+  reconcileGuestItems,
+  mergeGuestCart,
+};
@@ -9,6 +9,7 @@
 const CouponBatch = require('../../models/coupon/couponBatchModel');
 const CouponUsage = require('../../models/coupon/couponUsageModel');
 const AppError = require('../../utils/errors/appError');
+const promoOfferService = require('../promo/promoOfferService');
 const mongoose = require('mongoose');
 
 /**
@@ -22,6 +23,8 @@ const mongoose = require('mongoose');
  * @param {Array} categoryIds - Array of category IDs in the order
  * @param {Array} sellerIds - Array of seller IDs in the order
  * @param {Object} session - MongoDB session for transaction
+ * @param {Array} cartLines - Priced cart lines `{ product, seller, categories, unitPrice, quantity }`;
+ *   required for bogo / tiered / bundle / free_shipping coupons (see promoOfferService)
  * @returns {Object} Validated coupon data with calculated discount
  */
 exports.validateCoupon = async (
@@ -31,7 +34,8 @@ exports.validateCoupon = async (
   productIds = [],
   categoryIds = [],
   sellerIds = [],
-  session = null
+  session = null,
+  cartLines = []
 ) => {
   const now = new Date();
   const code = couponCode.toUpperCase().trim();
@@ -168,8 +172,20 @@ exports.validateCoupon = async (
 
   // Step 11: Calculate discount (BACKEND ONLY - NEVER TRUST FRONTEND)
   let discountAmount = 0;
-
-  if (batch.discountType === 'percentage') {
+  let offerResult = null;
+
+  if (promoOfferService.isAdvancedOfferType(batch.discountType)) {
+    offerResult = promoOfferService.evaluateOffer(
+      batch.discountType,
+      batch.offer || {},
+      promoOfferService.filterCouponLines(batch, cartLines),
+      { maxDiscountAmount: batch.maxDiscountAmount }
+    );
+    if (offerResult.discountAmount <= 0 && !offerResult.freeShipping) {
+      throw new AppError(offerResult.reason || 'Your cart does not qualify for this offer', 400);
+    }
+    discountAmount = offerResult.discountAmount;
+  } else if (batch.discountType === 'percentage') {
     discountAmount = (orderAmount * batch.discountValue) / 100;
     // Apply max discount cap if set
     if (batch.maxDiscountAmount) {
@@ -204,6 +220,7 @@ exports.validateCoupon = async (
     minOrderAmount: batch.minOrderAmount,
     remainingUses: batch.maxUsage - coupon.usageCount,
     userRemainingUses: batch.maxUsagePerUser - userUsageCount,
+    offer: offerResult,
   };
 };
 
@@ -478,5 +495,53 @@ exports.markCouponAsUsed = async (batchId, couponId, userId) => {
   await batch.save();
 };
 
+/**
+ * Create a platform-funded, single-use coupon assigned to one buyer
+ * (e.g. abandoned cart recovery). The code only validates for that buyer.
+ *
+ * @param {Object} options
+ * @param {String} options.userId - Recipient
+ * @param {String} options.name - Batch name shown to admins
+ * @param {Number} options.discountValue
+ * @param {String} [options.discountType='percentage'] - 'percentage' | 'fixed'
+ * @param {Number} [options.maxDiscountAmount] - Cap for percentage coupons
+ * @param {Number} [options.minOrderAmount=0]
+ * @param {Date} options.expiresAt
+ * @returns {Object} { batch, code }
+ */
+exports.createSingleUseCoupon = async ({
+  userId,
+  name,
+  discountValue,
+  discountType = 'percentage',
+  maxDiscountAmount = null,
+  minOrderAmount = 0,
+  expiresAt,
+}) => {
+  const { nanoid } = require('nanoid');
+  const code = nanoid(10).toUpperCase();
+
+  const batch = await CouponBatch.create({
+    name,
+    seller: null,
+    createdByModel: 'Admin',
+    discountValue,
+    discountType,
+    validFrom: new Date(),
+    expiresAt,
+    maxUsage: 1,
+    maxUsagePerUser: 1,
+    minOrderAmount,
+    maxDiscountAmount,
+    sellerFunded: false,
+    platformFunded: true,
+    global: true,
+    isPublic: false,
+    coupons: [{ code, recipient: userId }],
+  });
+
+  return { batch, code };
+};
+
 module.exports = exports;
 
@@ -4,8 +4,9 @@ const axios = require('axios');
  * Google Maps Distance Service
  * Calculates distance between two coordinates using Google Maps Distance Matrix API
  * 
- * IMPORTANT: Origin is always the fixed warehouse location (WAREHOUSE_LOCATION).
- * Only the destination (customer address) coordinates are passed here.
+ * IMPORTANT: For shipping quotes the origin is always the fixed warehouse location
+ * (WAREHOUSE_LOCATION); only the destination (customer address) varies. Live order
+ * tracking ETAs pass the rider's position as origin instead.
  */
 
 /**
@@ -18,7 +19,7 @@ const axios = require('axios');
  * @param {Number} originLng - Origin longitude (should always be warehouse lng)
  * @param {Number} destLat - Destination latitude (customer address)
  * @param {Number} destLng - Destination longitude (customer address)
- * @returns {Promise<Object>} { distanceKm, durationText, distanceText }
+ * @returns {Promise<Object>} { distanceKm, durationText, durationSeconds, distanceText, distanceMeters }
  */
 async function getDistanceKm(originLat, originLng, destLat, destLng) {
   const apiKey = process.env.GOOGLE_MAPS_API_KEY;
@@ -68,11 +69,13 @@ async function getDistanceKm(originLat, originLng, destLat, destLng) {
 
     // Extract duration text
     const durationText = element.duration.text; // e.g., "1 hour 23 mins"
+    const durationSeconds = element.duration.value; // e.g., 4980
     const distanceText = element.distance.text; // e.g., "32.5 km"
 
     return {
       distanceKm: Math.round(distanceKm * 100) / 100, // Round to 2 decimal places
       durationText,
+      durationSeconds,
       distanceText,
       distanceMeters,
     };
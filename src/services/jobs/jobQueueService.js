@@ -0,0 +1,399 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../../models/job/jobModel');
+const logger = require('../../utils/logger');
+
+/**
+ * jobQueueService.js
+ * MongoDB-backed durable job queue (replacement for the removed Bull/Redis workers).
+ *
+ * - Producers call enqueue(queue, payload, options) from anywhere (controllers, cron ticks).
+ * - Each process that calls startJobWorker() polls the queues it has handlers for and
+ *   claims jobs atomically with a lease (lockedUntil). The lease is renewed while the
+ *   handler runs; if the process dies the lease expires and another worker reclaims it.
+ * - Failed jobs are retried with fixed/exponential backoff until maxAttempts, then kept
+ *   as status "dead" (dead-letter) for inspection and manual retry from the admin API.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+const DEFAULT_LEASE_MS = parseInt(process.env.JOB_LEASE_MS || String(5 * 60 * 1000), 10);
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const COMPLETED_RETENTION_MS = parseInt(
+  process.env.JOB_RETENTION_DAYS || '7',
+  10,
+) * 24 * 60 * 60 * 1000;
+const MAX_STORED_FAILURES = 10;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/** @type {Map<string, { handler: Function, concurrency: number, leaseMs: number, running: number }>} */
+const handlers = new Map();
+let pollTimer = null;
+/** @type {Promise<void>|null} the poll currently claiming jobs */
+let activePoll = null;
+let stopping = false;
+const inFlight = new Set();
+
+/**
+ * Delay before the next attempt.
+ * @param {{ type?: string, delayMs?: number }} backoff
+ * @param {number} attempts - attempts made so far (>= 1)
+ * @returns {number} milliseconds
+ */
+function computeBackoffMs(backoff = {}, attempts = 1) {
+  const base = Math.max(0, Number(backoff.delayMs) || 0);
+  if (backoff.type === 'fixed') return Math.min(base, MAX_BACKOFF_MS);
+  const exp = base * 2 ** Math.max(0, attempts - 1);
+  return Math.min(exp, MAX_BACKOFF_MS);
+}
+
+/**
+ * Register the function that processes jobs of a queue.
+ * @param {string} queue
+ * @param {(job: import('mongoose').Document) => Promise<any>} handler - return value is stored as job.result
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - max jobs of this queue running at once in this process
+ * @param {number} [options.leaseMs] - visibility timeout; renewed every leaseMs/2 while running
+ */
+function registerHandler(queue, handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Job handler for queue "${queue}" must be a function`);
+  }
+  handlers.set(queue, {
+    handler,
+    concurrency: Math.max(1, options.concurrency || 1),
+    leaseMs: options.leaseMs || DEFAULT_LEASE_MS,
+    running: 0,
+  });
+}
+
+/**
+ * Add a job to a queue.
+ * @param {string} queue
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {number} [options.delayMs] - do not run before now + delayMs
+ * @param {Date} [options.runAt]
+ * @param {number} [options.priority]
+ * @param {number} [options.maxAttempts]
+ * @param {{ type: 'fixed'|'exponential', delayMs: number }} [options.backoff]
+ * @param {string} [options.uniqueKey] - de-duplicate: returns the existing job for this key
+ * @param {{ id: string, model: string }} [options.createdBy]
+ * @returns {Promise<Job>}
+ */
+async function enqueue(queue, payload = {}, options = {}) {
+  const runAt = options.runAt
+    || (options.delayMs ? new Date(Date.now() + options.delayMs) : new Date());
+
+  const doc = {
+    queue,
+    name: options.name,
+    payload,
+    runAt,
+    priority: options.priority || 0,
+    maxAttempts: options.maxAttempts || 5,
+    backoff: options.backoff,
+    uniqueKey: options.uniqueKey,
+  };
+  if (options.createdBy) {
+    doc.createdBy = options.createdBy.id;
+    doc.createdByModel = options.createdBy.model;
+  }
+
+  try {
+    const job = await Job.create(doc);
+    // Pick it up promptly if this process works that queue
+    if (handlers.has(queue) && pollTimer) setImmediate(poll);
+    return job;
+  } catch (error) {
+    if (error.code === 11000 && options.uniqueKey) {
+      return Job.findOne({ uniqueKey: options.uniqueKey });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Atomically claim the next runnable job of a queue (queued and due, or active with an expired
+ * lease and attempts left; see deadLetterExpiredJobs for the ones without).
+ */
+async function claimNextJob(queue, leaseMs) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      queue,
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'active', lockedUntil: { $lt: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      ],
+    },
+    {
+      $set: {
+        status: 'active',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + leaseMs),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true },
+  );
+}
+
+/**
+ * Dead-letter jobs whose lease expired on their final attempt (the worker died mid-run),
+ * so they are not reclaimed past maxAttempts.
+ * @returns {Promise<number>} jobs moved to dead-letter
+ */
+async function deadLetterExpiredJobs(queue) {
+  const now = new Date();
+  const message = 'Lease expired on final attempt';
+  const result = await Job.updateMany(
+    {
+      queue,
+      status: 'active',
+      lockedUntil: { $lt: now },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] },
+    },
+    {
+      $set: {
+        status: 'dead',
+        deadLetteredAt: now,
+        lastError: message,
+        lockedBy: null,
+        lockedUntil: null,
+      },
+      $push: { failures: { $each: [{ message, failedAt: now }], $slice: -MAX_STORED_FAILURES } },
+    },
+  );
+  const count = result.modifiedCount || 0;
+  if (count > 0) {
+    logger.error(`[JobQueue] ${count} job(s) in ${queue} lost their lease on the final attempt — moved to dead-letter`);
+  }
+  return count;
+}
+
+async function markCompleted(job, result) {
+  const now = new Date();
+  await Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set: {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        completedAt: now,
+        lockedBy: null,
+        lockedUntil: null,
+        expiresAt: new Date(now.getTime() + COMPLETED_RETENTION_MS),
+      },
+    },
+  );
+}
+
+async function markFailed(job, error) {
+  const now = new Date();
+  const exhausted = job.attempts >= job.maxAttempts;
+  const failure = {
+    attempt: job.attempts,
+    message: error?.message || String(error),
+    stack: error?.stack,
+    failedAt: now,
+  };
+
+  const $set = {
+    lastError: failure.message,
+    lockedBy: null,
+    lockedUntil: null,
+  };
+  if (exhausted) {
+    $set.status = 'dead';
+    $set.deadLetteredAt = now;
+  } else {
+    $set.status = 'queued';
+    $set.runAt = new Date(now.getTime() + computeBackoffMs(job.backoff, job.attempts));
+  }
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    {
+      $set,
+      $push: { failures: { $each: [failure], $slice: -MAX_STORED_FAILURES } },
+    },
+  );
+
+  const log = exhausted ? logger.error : logger.warn;
+  log.call(logger, `[JobQueue] Job ${job._id} (${job.queue}) failed attempt ${job.attempts}/${job.maxAttempts}${exhausted ? ' — moved to dead-letter' : ''}`, {
+    error: failure.message,
+  });
+}
+
+async function runJob(job, entry) {
+  entry.running += 1;
+  const renewEvery = Math.max(1000, Math.floor(entry.leaseMs / 2));
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID, status: 'active' },
+      { $set: { lockedUntil: new Date(Date.now() + entry.leaseMs) } },
+    ).catch((err) => logger.warn(`[JobQueue] Lease renewal failed for ${job._id}`, { error: err.message }));
+  }, renewEvery);
+
+  try {
+    const result = await entry.handler(job);
+    await markCompleted(job, result);
+  } catch (error) {
+    await markFailed(job, error).catch((err) => logger.error(`[JobQueue] Could not record failure for ${job._id}`, { error: err.message }));
+  } finally {
+    clearInterval(heartbeat);
+    entry.running -= 1;
+  }
+}
+
+/**
+ * Give a claimed job back to its queue without running it (the worker is stopping).
+ * The claim's attempt is not counted.
+ */
+async function releaseClaim(job) {
+  await Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID, status: 'active' },
+    {
+      $set: { status: 'queued', lockedBy: null, lockedUntil: null },
+      $inc: { attempts: -1 },
+    },
+  );
+}
+
+async function pollQueues() {
+  try {
+    await Promise.all([...handlers.keys()].map(deadLetterExpiredJobs));
+    await Promise.all([...handlers].map(async ([queue, entry]) => {
+      // Claims are atomic, so every free slot can claim at once
+      const freeSlots = Math.max(0, entry.concurrency - entry.running);
+      const jobs = (await Promise.all(Array.from({ length: freeSlots }, () => claimNextJob(queue, entry.leaseMs))))
+        .filter(Boolean);
+      if (stopping) {
+        await Promise.all(jobs.map(releaseClaim));
+        return;
+      }
+      jobs.forEach((job) => {
+        const p = runJob(job, entry).finally(() => inFlight.delete(p));
+        inFlight.add(p);
+      });
+    }));
+  } catch (error) {
+    logger.error('[JobQueue] Poll failed', { error: error.message });
+  }
+}
+
+function poll() {
+  if (!activePoll && !stopping) {
+    activePoll = pollQueues().finally(() => {
+      activePoll = null;
+    });
+  }
+  return activePoll;
+}
+
+/**
+ * Start polling all queues that have a registered handler.
+ * @returns {() => Promise<void>} stop function
+ */
+function startJobWorker() {
+  if (pollTimer) return stopJobWorker;
+  stopping = false;
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  setImmediate(poll);
+  logger.info(`[JobQueue] Worker ${WORKER_ID} started for queues: ${[...handlers.keys()].join(', ') || '(none)'}`);
+  return stopJobWorker;
+}
+
+/**
+ * Stop polling and wait for an active poll and in-flight jobs to settle (used on graceful shutdown).
+ * @param {number} [timeoutMs=8000]
+ */
+async function stopJobWorker(timeoutMs = 8000) {
+  stopping = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  let timer;
+  const deadline = new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); });
+  try {
+    // A poll still claiming gives its jobs back instead of starting them
+    if (activePoll) await Promise.race([activePoll, deadline]);
+    if (inFlight.size > 0) await Promise.race([Promise.allSettled([...inFlight]), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Put a dead, cancelled or completed job back on its queue (admin retry).
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {boolean} [options.resetAttempts=true]
+ * @returns {Promise<Job|null>} null if the job does not exist or is currently active/queued
+ */
+async function retryJob(jobId, { resetAttempts = true } = {}) {
+  const $set = {
+    status: 'queued',
+    runAt: new Date(),
+    lockedBy: null,
+    lockedUntil: null,
+  };
+  if (resetAttempts) $set.attempts = 0;
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['dead', 'cancelled', 'completed'] } },
+    { $set, $unset: { deadLetteredAt: '', expiresAt: '', completedAt: '' } },
+    { new: true },
+  );
+}
+
+/**
+ * Cancel a job that has not started yet.
+ * @returns {Promise<Job|null>} null if the job is not queued
+ */
+async function cancelJob(jobId) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    {
+      $set: {
+        status: 'cancelled',
+        expiresAt: new Date(now.getTime() + COMPLETED_RETENTION_MS),
+      },
+    },
+    { new: true },
+  );
+}
+
+/**
+ * Counts per queue and status, e.g. { "data-export": { queued: 2, dead: 1 } }.
+ */
+async function getQueueStats() {
+  const rows = await Job.aggregate([
+    { $group: { _id: { queue: '$queue', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+  const stats = {};
+  rows.forEach(({ _id, count }) => {
+    stats[_id.queue] = stats[_id.queue] || {};
+    stats[_id.queue][_id.status] = count;
+  });
+  return stats;
+}
+
+module.exports = {
+  enqueue,
+  registerHandler,
+  startJobWorker,
+  stopJobWorker,
+  retryJob,
+  cancelJob,
+  getQueueStats,
+  computeBackoffMs,
+  claimNextJob,
+  deadLetterExpiredJobs,
+  markFailed,
+  WORKER_ID,
+};
@@ -106,6 +106,25 @@ exports.createNotification = async ({
   }
 };
 
+/**
+ * SMS companion to the email notifications. Looks up the account's phone and sends the
+ * template in the background; opt-outs, rate limits and failures are handled by smsService.
+ */
+exports.sendSmsToAccount = (accountId, role, template, data) => {
+  const Model = role === 'seller' ? Seller : User;
+  Model.findById(accountId)
+    .select('phone')
+    .lean()
+    .then((account) => {
+      if (!account?.phone) return null;
+      const smsService = require('../sms/smsService');
+      return smsService.sendSms({ to: account.phone, template, data, recipient: { id: accountId, role } });
+    })
+    .catch((error) => {
+      logger.warn(`[NotificationService] SMS ${template} not sent to ${role} ${accountId}: ${error.message}`);
+    });
+};
+
 /**
  * Create order notification for buyer
  */
@@ -119,6 +138,8 @@ exports.createOrderNotification = async (userId, orderId, orderNumber, status) =
     cancelled: 'Your order has been cancelled',
   };
 
+  exports.sendSmsToAccount(userId, 'buyer', 'orderUpdate', { orderNumber, status });
+
   return await exports.createNotification({
     user: userId,
     role: 'buyer',
@@ -217,6 +238,8 @@ exports.createRefundNotification = async (userId, refundId, status, amount) => {
  * Create payout notification for seller
  */
 exports.createPayoutNotification = async (sellerId, withdrawalId, status, amount) => {
+  exports.sendSmsToAccount(sellerId, 'seller', 'payoutAlert', { amount, status });
+
   return await exports.createNotification({
     user: sellerId,
     role: 'seller',
@@ -543,6 +566,23 @@ exports.createReviewFlagNotification = async (reviewId, productId, productName,
   });
 };
 
+/**
+ * Create new product question notification for the seller
+ */
+exports.createProductQuestionNotification = async (sellerId, productId, productName, question) => {
+  const preview = question.length > 120 ? `${question.substring(0, 117)}...` : question;
+  return await exports.createNotification({
+    user: sellerId,
+    role: 'seller',
+    type: 'product',
+    title: 'New Product Question',
+    message: `A buyer asked about "${productName}": ${preview}`,
+    metadata: { productId },
+    priority: 'medium',
+    actionUrl: `/dashboard/questions`,
+  });
+};
+
 /**
  * Create seller return decision notification for admins
  */
@@ -580,14 +620,15 @@ exports.createSellerProductNotification = async (sellerId, productId, status, pr
  * Create coupon creation notification for admins
  */
 exports.createCouponCreationNotification = async (couponBatchId, sellerId, sellerName, couponName, discountType, discountValue, quantity) => {
-  const discountText = discountType === 'percentage' 
-    ? `${discountValue}% off` 
-    : `GH₵${discountValue} off`;
+  const discountText = {
+    percentage: `${discountValue}% off discount`,
+    fixed: `GH₵${discountValue} off discount`,
+  }[discountType] || `a ${String(discountType).replace(/_/g, ' ')} offer`;
   
   return await exports.createNotificationForAllAdmins({
     type: 'product',
     title: 'New Coupon Batch Created',
-    message: `${sellerName} created a new coupon batch "${couponName}" with ${discountText} discount (${quantity} coupons)`,
+    message: `${sellerName} created a new coupon batch "${couponName}" with ${discountText} (${quantity} coupons)`,
     metadata: { 
       couponBatchId, 
       sellerId,
@@ -614,5 +655,40 @@ exports.createSellerRefundNotification = async (sellerId, refundId, orderId, ord
   return await exports.createSellerRefundStatusNotification(sellerId, refundId, orderId, orderNumber, status, amount);
 };
 
+/**
+ * Create low / out-of-stock alert for a seller.
+ * Unlike the email notifications above this is stored as an in-app Notification record,
+ * since stock alerts fire on every qualifying order and email is handled by the opt-in daily digest.
+ * @param {String|ObjectId} sellerId
+ * @param {Array} alerts - [{ productId, productName, variantName, sku, stock, level }]
+ */
+exports.createStockAlertNotification = async (sellerId, alerts = []) => {
+  if (alerts.length === 0) return null;
+  const Notification = require('../../models/notification/notificationModel');
+
+  const outOfStock = alerts.filter((a) => a.level === 'out_of_stock');
+  const describe = (a) => `${a.productName}${a.variantName ? ` (${a.variantName})` : ''} [${a.sku}]`;
+  const message = alerts.length === 1
+    ? `${describe(alerts[0])} ${alerts[0].stock > 0 ? `has ${alerts[0].stock} left` : 'is out of stock'}`
+    : `${alerts.length} variants need restocking: ${alerts.slice(0, 3).map(describe).join(', ')}${alerts.length > 3 ? '…' : ''}`;
+
+  try {
+    return await Notification.create({
+      user: sellerId,
+      userModel: 'Seller',
+      role: 'seller',
+      type: 'product',
+      title: outOfStock.length > 0 ? 'Out of Stock Alert' : 'Low Stock Alert',
+      message,
+      metadata: { productId: alerts[0].productId },
+      priority: outOfStock.length > 0 ? 'high' : 'medium',
+      actionUrl: '/dashboard/inventory/low-stock',
+    });
+  } catch (error) {
+    logger.error('[NotificationService] Error creating stock alert notification:', error);
+    return null;
+  }
+};
+
 module.exports = exports;
 
@@ -0,0 +1,391 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../../models/order/orderModel');
+const OrderItems = require('../../models/order/OrderItemModel');
+const Product = require('../../models/product/productModel');
+const LicenseKey = require('../../models/product/licenseKeyModel');
+const { configureCloudinary } = require('../../config/cloudinary');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * digitalDeliveryService.js
+ * Fulfils digital order lines (e-books, software codes) as soon as payment is confirmed:
+ * - file products get a download window (expiry + download limit) served through
+ *   signed, short-lived links;
+ * - license_key products get keys claimed from the seller's LicenseKey pool.
+ * An order made only of digital lines is marked delivered straight away.
+ */
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.DIGITAL_DOWNLOAD_EXPIRY_DAYS || '7', 10);
+const DEFAULT_DOWNLOAD_LIMIT = parseInt(process.env.DIGITAL_DOWNLOAD_LIMIT || '5', 10);
+// Lifetime of a single download link shown to the buyer (capped by the item's expiry)
+const LINK_TTL_SECONDS = parseInt(process.env.DIGITAL_DOWNLOAD_LINK_TTL_MINUTES || '60', 10) * 60;
+// Lifetime of the storage URL the download endpoint redirects to
+const STORAGE_URL_TTL_SECONDS = 5 * 60;
+const TOKEN_PURPOSE = 'digital_download';
+
+const getSigningSecret = () => process.env.DIGITAL_DOWNLOAD_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Claim up to `count` available keys for an order line.
+ * @returns {Promise<Array<{ _id, key: string }>>} the claimed keys
+ */
+async function claimLicenseKeys(item, buyerId, count) {
+  // Each claim is a single atomic update, so parallel claims never hand out the same key
+  const licenseKeys = await Promise.all(Array.from({ length: count }, () =>
+    LicenseKey.findOneAndUpdate(
+      { product: item.product, status: 'available', sku: { $in: [item.sku, null] } },
+      {
+        $set: {
+          status: 'assigned',
+          orderItem: item._id,
+          buyer: buyerId,
+          assignedAt: new Date(),
+        },
+      },
+      { sort: { createdAt: 1 }, new: true },
+    ).select('+key')));
+  return licenseKeys.filter(Boolean);
+}
+
+/**
+ * Put keys claimed for an order line back in the pool (the line was fulfilled by a concurrent call).
+ */
+async function releaseLicenseKeys(item, licenseKeys) {
+  if (licenseKeys.length === 0) return;
+  await LicenseKey.updateMany(
+    { _id: { $in: licenseKeys.map((licenseKey) => licenseKey._id) }, orderItem: item._id, status: 'assigned' },
+    { $set: { status: 'available', orderItem: null, buyer: null }, $unset: { assignedAt: '' } },
+  );
+}
+
+/**
+ * Fulfil one digital order line. Safe to call again: delivered lines are left alone
+ * and lines waiting for keys only claim what is still missing. Payment verify and the webhook
+ * can fulfil the same line at once: the key list is only written if nobody changed it since it
+ * was read, and the losing call returns its keys to the pool.
+ * @returns {Promise<string>} resulting digitalDelivery.status
+ */
+async function fulfillItem(item, product, buyerId) {
+  const current = item.digitalDelivery || {};
+  if (current.status === 'delivered') return 'delivered';
+
+  const now = new Date();
+  const type = product.digitalDeliveryType || 'file';
+  const update = {
+    isDigital: true,
+    'digitalDelivery.type': type,
+  };
+
+  if (type === 'license_key') {
+    const assigned = current.licenseKeys || [];
+    const missing = item.quantity - assigned.length;
+    const claimed = missing > 0 ? await claimLicenseKeys(item, buyerId, missing) : [];
+    const complete = assigned.length + claimed.length >= item.quantity;
+
+    update['digitalDelivery.licenseKeys'] = [...assigned, ...claimed.map((licenseKey) => licenseKey.key)];
+    update['digitalDelivery.status'] = complete ? 'delivered' : 'awaiting_keys';
+    if (complete) update['digitalDelivery.deliveredAt'] = now;
+
+    const written = await OrderItems.updateOne(
+      {
+        _id: item._id,
+        'digitalDelivery.status': { $ne: 'delivered' },
+        $expr: { $eq: [{ $size: { $ifNull: ['$digitalDelivery.licenseKeys', []] } }, assigned.length] },
+      },
+      { $set: update },
+    );
+    if (written.matchedCount === 0) {
+      await releaseLicenseKeys(item, claimed);
+      const latest = await OrderItems.findById(item._id).select('digitalDelivery.status').lean();
+      return latest?.digitalDelivery?.status || 'awaiting_keys';
+    }
+
+    if (!complete) {
+      logger.warn('[DigitalDelivery] License key pool exhausted', {
+        productId: product._id.toString(),
+        orderItemId: item._id.toString(),
+        missing: item.quantity - assigned.length - claimed.length,
+      });
+    }
+    return update['digitalDelivery.status'];
+  }
+
+  const expiryDays = product.digitalFile?.expiryDays || DEFAULT_EXPIRY_DAYS;
+  update['digitalDelivery.status'] = 'delivered';
+  update['digitalDelivery.deliveredAt'] = now;
+  update['digitalDelivery.expiresAt'] = new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000);
+  update['digitalDelivery.downloadLimit'] = product.digitalFile?.downloadLimit || DEFAULT_DOWNLOAD_LIMIT;
+
+  await OrderItems.updateOne({ _id: item._id }, { $set: update });
+  return 'delivered';
+}
+
+/**
+ * Mark an order that contains only (now delivered) digital lines as delivered, then
+ * sync SellerOrders and credit sellers exactly like a manual "delivered" update.
+ */
+async function markOrderDelivered(order) {
+  const { syncSellerOrderStatus } = require('../../utils/helpers/syncSellerOrderStatus');
+  const orderService = require('./orderService');
+
+  const now = new Date();
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, currentStatus: { $nin: ['delivered', 'cancelled', 'refunded'] } },
+    {
+      $set: {
+        currentStatus: 'delivered',
+        orderStatus: 'delievered',
+        FulfillmentStatus: 'delievered',
+        status: 'completed',
+      },
+      $inc: { statusVersion: 1 },
+      $push: {
+        trackingHistory: {
+          status: 'delivered',
+          message: 'Your digital items are ready in your order details.',
+          location: '',
+          updatedByRole: 'system',
+          timestamp: now,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!updated) return false;
+
+  try {
+    await syncSellerOrderStatus(order._id, 'delivered');
+  } catch (error) {
+    logger.error('[DigitalDelivery] Error syncing SellerOrder status:', error);
+  }
+
+  try {
+    const creditResult = await orderService.creditSellerForOrder(order._id, 'system');
+    if (!creditResult.success) {
+      logger.warn('[DigitalDelivery] Seller credit failed:', creditResult.message);
+    }
+  } catch (error) {
+    logger.error('[DigitalDelivery] Error crediting seller balances:', error);
+  }
+
+  return true;
+}
+
+/**
+ * Fulfil every digital line of a paid order.
+ * Called after payment confirmation (Paystack verify/webhook, wallet checkout) and
+ * again for orders waiting on keys when a seller restocks their pool.
+ * @param {string|import('mongoose').Types.ObjectId} orderId
+ * @returns {Promise<{ delivered: number, awaitingKeys: number, orderDelivered: boolean }>}
+ */
+async function fulfillDigitalItems(orderId) {
+  const result = { delivered: 0, awaitingKeys: 0, orderDelivered: false };
+
+  const order = await Order.findById(orderId).populate('orderItems');
+  if (!order || !['paid', 'completed'].includes(order.paymentStatus)) return result;
+
+  const items = order.orderItems || [];
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } })
+    .select('isDigital digitalDeliveryType digitalFile')
+    .lean();
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const digitalItems = items.filter(
+    (item) => item.isDigital || productMap.get(item.product.toString())?.isDigital,
+  );
+  if (digitalItems.length === 0) return result;
+
+  let newlyDelivered = 0;
+  const fulfilled = await Promise.all(digitalItems.map(async (item) => {
+    const product = productMap.get(item.product.toString());
+    if (!product) return null;
+    const wasDelivered = item.digitalDelivery?.status === 'delivered';
+    return { wasDelivered, status: await fulfillItem(item, product, order.user) };
+  }));
+  fulfilled.filter(Boolean).forEach(({ wasDelivered, status }) => {
+    if (status === 'delivered') {
+      result.delivered += 1;
+      if (!wasDelivered) newlyDelivered += 1;
+    } else {
+      result.awaitingKeys += 1;
+    }
+  });
+
+  if (digitalItems.length === items.length && result.awaitingKeys === 0) {
+    result.orderDelivered = await markOrderDelivered(order);
+  }
+
+  if (newlyDelivered > 0) {
+    try {
+      const pushNotificationService = require('../pushNotificationService');
+      await pushNotificationService.sendOrderNotification(
+        order.user,
+        order._id,
+        'Your digital items are ready',
+        `Downloads and license keys for order #${order.orderNumber} are available in your order details.`,
+        result.orderDelivered ? 'delivered' : order.currentStatus,
+      );
+    } catch (error) {
+      logger.warn('[DigitalDelivery] Push notification failed', { error: error.message });
+    }
+  }
+
+  logger.info('[DigitalDelivery] Fulfilment result', { orderId: order._id.toString(), ...result });
+  return result;
+}
+
+/**
+ * Retry orders whose license-key lines were waiting for stock (after a seller upload).
+ * @param {string} productId
+ * @returns {Promise<number>} orders processed
+ */
+async function fulfillAwaitingLicenseKeys(productId) {
+  const waitingItems = await OrderItems.find({
+    product: productId,
+    isDigital: true,
+    'digitalDelivery.status': 'awaiting_keys',
+  })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .lean();
+  if (waitingItems.length === 0) return 0;
+
+  // Oldest orders are served first, so they are fulfilled one at a time
+  const orders = await Order.find({ orderItems: { $in: waitingItems.map((i) => i._id) } })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .lean();
+  for (const order of orders) {
+    await fulfillDigitalItems(order._id);
+  }
+  return orders.length;
+}
+
+/**
+ * Signed token for one download of a delivered file line.
+ * @returns {string|null} null if the line is not downloadable anymore
+ */
+function createDownloadToken(item) {
+  const delivery = item.digitalDelivery || {};
+  if (delivery.type !== 'file' || delivery.status !== 'delivered' || !delivery.expiresAt) return null;
+
+  const secondsLeft = Math.floor((new Date(delivery.expiresAt).getTime() - Date.now()) / 1000);
+  if (secondsLeft <= 0) return null;
+
+  return jwt.sign(
+    { purpose: TOKEN_PURPOSE, orderItem: item._id.toString() },
+    getSigningSecret(),
+    { expiresIn: Math.min(LINK_TTL_SECONDS, secondsLeft) },
+  );
+}
+
+/**
+ * Absolute URL of the public download endpoint for the API host serving this request.
+ */
+function getDownloadBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}/api/v1/order/digital-downloads`;
+}
+
+/**
+ * Buyer-facing view of the digital lines: delivery state, keys and a fresh download link.
+ * @param {Object[]} orderItems - plain order item objects
+ * @param {string} downloadBaseUrl - e.g. https://api.example.com/api/v1/order/digital-downloads
+ */
+function buildDigitalItemsView(orderItems, downloadBaseUrl) {
+  return (orderItems || [])
+    .filter((item) => item.isDigital)
+    .map((item) => {
+      const delivery = item.digitalDelivery || {};
+      const token = createDownloadToken(item);
+      const downloadLimit = delivery.downloadLimit || 0;
+      return {
+        orderItem: item._id,
+        product: item.product?._id || item.product,
+        productName: item.productName || item.product?.name,
+        sku: item.sku,
+        type: delivery.type,
+        status: delivery.status,
+        deliveredAt: delivery.deliveredAt,
+        licenseKeys: delivery.licenseKeys || [],
+        expiresAt: delivery.expiresAt,
+        downloadLimit,
+        downloadCount: delivery.downloadCount || 0,
+        downloadsRemaining: Math.max(0, downloadLimit - (delivery.downloadCount || 0)),
+        downloadUrl: token && (delivery.downloadCount || 0) < downloadLimit
+          ? `${downloadBaseUrl}/${token}`
+          : null,
+      };
+    });
+}
+
+/**
+ * Verify a download token, count the download and return the file location.
+ * @param {string} token
+ * @returns {Promise<{ url: string, fileName: string }>}
+ */
+async function redeemDownloadToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSigningSecret());
+  } catch (error) {
+    throw new AppError('This download link is invalid or has expired', 410);
+  }
+  if (payload.purpose !== TOKEN_PURPOSE || !payload.orderItem) {
+    throw new AppError('This download link is invalid or has expired', 410);
+  }
+
+  // Check the file is still there first, so a missing file does not use up a download
+  const line = await OrderItems.findById(payload.orderItem).select('product').lean();
+  if (!line) {
+    throw new AppError('This download link is invalid or has expired', 410);
+  }
+  const product = await Product.findById(line.product).select('name digitalFile').lean();
+  const file = product?.digitalFile || {};
+  if (!file.publicId && !file.url) {
+    throw new AppError('The file for this product is no longer available', 404);
+  }
+
+  const now = new Date();
+  // Count the download atomically so parallel requests cannot exceed the limit
+  const item = await OrderItems.findOneAndUpdate(
+    {
+      _id: payload.orderItem,
+      'digitalDelivery.type': 'file',
+      'digitalDelivery.status': 'delivered',
+      'digitalDelivery.expiresAt': { $gt: now },
+      $expr: { $lt: ['$digitalDelivery.downloadCount', '$digitalDelivery.downloadLimit'] },
+    },
+    {
+      $inc: { 'digitalDelivery.downloadCount': 1 },
+      $set: { 'digitalDelivery.lastDownloadedAt': now },
+    },
+    { new: true },
+  );
+  if (!item) {
+    throw new AppError('Download limit reached or download period has ended', 403);
+  }
+
+  let url = file.url;
+  if (file.publicId) {
+    const cloudinary = configureCloudinary();
+    url = cloudinary.utils.private_download_url(file.publicId, '', {
+      resource_type: 'raw',
+      type: 'authenticated',
+      attachment: true,
+      expires_at: Math.floor(Date.now() / 1000) + STORAGE_URL_TTL_SECONDS,
+    });
+  }
+
+  return { url, fileName: file.name || product?.name };
+}
+
+module.exports = {
+  fulfillItem,
+  fulfillDigitalItems,
+  fulfillAwaitingLicenseKeys,
+  createDownloadToken,
+  getDownloadBaseUrl,
+  buildDigitalItemsView,
+  redeemDownloadToken,
+};
@@ -0,0 +1,699 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../../models/order/orderModel');
+const DeliveryJob = require('../../models/order/deliveryJobModel');
+const User = require('../../models/user/userModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const orderLifecycleService = require('./orderLifecycleService');
+
+/**
+ * dispatchService.js
+ * Rider dispatch: admins assign ready_for_dispatch orders to drivers covering the order's
+ * delivery zone; drivers accept, go out for delivery, report failed attempts and close the
+ * job with the buyer's one-time PIN plus photo or signature proof. Order status moves through
+ * the order lifecycle with the driver as actor. Cash collected on payment_on_delivery orders
+ * stays with the driver until an admin reconciles it.
+ */
+
+const OPEN_JOB_STATUSES = ['assigned', 'accepted', 'out_for_delivery', 'delivery_attempted'];
+
+const JOB_TRANSITIONS = {
+  assigned: ['accepted', 'declined', 'cancelled'],
+  accepted: ['out_for_delivery', 'declined', 'cancelled'],
+  out_for_delivery: ['delivery_attempted', 'delivered', 'cancelled'],
+  delivery_attempted: ['out_for_delivery', 'cancelled'],
+  delivered: [],
+  declined: [],
+  cancelled: [],
+};
+
+const ATTEMPT_REASONS = [
+  'buyer_unavailable',
+  'buyer_unreachable',
+  'wrong_address',
+  'buyer_refused',
+  'payment_not_ready',
+  'access_restricted',
+  'other',
+];
+
+// Orders waiting for a rider; delivery_attempted orders come back once their job is cancelled
+const DISPATCHABLE_ORDER_STATUSES = ['ready_for_dispatch', 'delivery_attempted'];
+// An order already on the road can be handed to another rider after its job was cancelled
+const REASSIGNABLE_ORDER_STATUSES = [...DISPATCHABLE_ORDER_STATUSES, 'out_for_delivery'];
+// Buyers collecting from a pickup centre and seller-run deliveries never reach the board
+const NON_DISPATCH_METHODS = ['pickup_center', 'seller_delivery'];
+
+const PIN_TTL_MS = 48 * 60 * 60 * 1000;
+const MAX_PIN_ATTEMPTS = 5;
+
+const isAdminRole = (role) => ['admin', 'superadmin'].includes(role);
+
+const hashPin = (pin) => crypto.createHash('sha256').update(String(pin)).digest('hex');
+
+function generateDeliveryPin(now = new Date()) {
+  const pin = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  return { pin, hash: hashPin(pin), expiresAt: new Date(now.getTime() + PIN_TTL_MS) };
+}
+
+/**
+ * Whether `actor` may move `job` to `nextStatus`. Pure.
+ * Drivers work their own jobs; admins may only cancel (unassign) them.
+ * @param {Object} job - needs status and driver
+ * @param {string} nextStatus
+ * @param {{ id: string, role: string }} actor
+ * @returns {{ allowed: boolean, reason?: string, statusCode?: number }}
+ */
+function checkJobTransition(job, nextStatus, actor) {
+  const deny = (reason, statusCode = 400) => ({ allowed: false, reason, statusCode });
+
+  if (!JOB_TRANSITIONS[nextStatus]) {
+    return deny('Invalid delivery job status');
+  }
+  if (isAdminRole(actor.role)) {
+    if (nextStatus !== 'cancelled') {
+      return deny('Only the assigned driver can update this delivery', 403);
+    }
+  } else if (actor.role !== 'driver' || String(job.driver) !== String(actor.id)) {
+    return deny('This delivery is not assigned to you', 403);
+  } else if (nextStatus === 'cancelled') {
+    return deny('Drivers cannot cancel a delivery; decline it or report a failed attempt', 403);
+  }
+  if (!JOB_TRANSITIONS[job.status].includes(nextStatus)) {
+    return deny(`Invalid delivery job transition: "${job.status}" → "${nextStatus}" is not allowed.`);
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check the buyer's handover PIN. Pure.
+ * @param {Object} deliveryPin - job.deliveryPin selected with +hash +expiresAt
+ * @param {string} pin
+ * @returns {{ valid: boolean, reason?: string, statusCode?: number }}
+ */
+function verifyDeliveryPin(deliveryPin, pin, now = new Date()) {
+  const fail = (reason, statusCode = 400) => ({ valid: false, reason, statusCode });
+
+  if (!deliveryPin || !deliveryPin.hash) {
+    return fail('No delivery PIN has been issued for this order');
+  }
+  if ((deliveryPin.failedAttempts || 0) >= MAX_PIN_ATTEMPTS) {
+    return fail('Too many wrong PINs. Ask the buyer to request a new PIN.', 429);
+  }
+  if (!deliveryPin.expiresAt || new Date(deliveryPin.expiresAt) < now) {
+    return fail('Delivery PIN has expired. Ask the buyer to request a new PIN.');
+  }
+  if (!/^\d{6}$/.test(String(pin || '')) || hashPin(pin) !== deliveryPin.hash) {
+    return fail('Incorrect delivery PIN');
+  }
+  return { valid: true };
+}
+
+/**
+ * Proof required to close a delivery: the PIN plus a photo or a signature, and the full
+ * cash amount on cash-on-delivery jobs. Pure (the PIN itself is checked separately).
+ * @returns {string|null} what is missing, or null
+ */
+function checkDeliveryProof(job, proof = {}) {
+  if (!proof.pin) return 'The buyer\'s delivery PIN is required';
+  if (!proof.photoUrl && !proof.signatureUrl) {
+    return 'A delivery photo or the recipient\'s signature is required';
+  }
+  const due = job.cod?.amountDue || 0;
+  if (due > 0) {
+    const collected = Number(proof.codAmount);
+    if (!Number.isFinite(collected) || Math.abs(collected - due) > 0.009) {
+      return `Collect the full cash amount of GH₵${due.toFixed(2)} before completing the delivery`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Least busy available driver covering `zone`. Pure.
+ * @param {Array<Object>} drivers - users with driverProfile
+ * @param {string|null} zone
+ * @param {Map<string, number>} openJobCounts - driver id → open jobs
+ * @returns {Object|null}
+ */
+function pickDriver(drivers, zone, openJobCounts = new Map()) {
+  const candidates = drivers.filter(
+    (driver) =>
+      driver.driverProfile?.isAvailable &&
+      (!zone || (driver.driverProfile.zones || []).includes(zone)),
+  );
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, driver) =>
+    (openJobCounts.get(String(driver._id)) || 0) < (openJobCounts.get(String(best._id)) || 0)
+      ? driver
+      : best,
+  );
+}
+
+async function countOpenJobsByDriver(driverIds) {
+  const rows = await DeliveryJob.aggregate([
+    { $match: { driver: { $in: driverIds }, status: { $in: OPEN_JOB_STATUSES } } },
+    { $group: { _id: '$driver', count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.count]));
+}
+
+/**
+ * Dispatch board: unassigned dispatchable orders grouped by zone, and the drivers per zone
+ * with their current load.
+ */
+async function getDispatchBoard({ zone } = {}) {
+  const openOrderIds = await DeliveryJob.distinct('order', { status: { $in: OPEN_JOB_STATUSES } });
+
+  const orderFilter = {
+    currentStatus: { $in: DISPATCHABLE_ORDER_STATUSES },
+    deliveryMethod: { $nin: NON_DISPATCH_METHODS },
+    _id: { $nin: openOrderIds },
+  };
+  if (zone) orderFilter.deliveryZone = zone;
+
+  const orders = await Order.find(orderFilter)
+    .select('orderNumber trackingNumber currentStatus deliveryZone shippingAddress shippingType paymentMethod paymentStatus totalPrice createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const driverFilter = { role: 'driver' };
+  if (zone) driverFilter['driverProfile.zones'] = zone;
+  const drivers = await User.find(driverFilter).select('name phone email driverProfile').lean();
+  const openJobCounts = await countOpenJobsByDriver(drivers.map((d) => d._id));
+
+  const zones = {};
+  for (const order of orders) {
+    const key = order.deliveryZone || 'unzoned';
+    if (!zones[key]) zones[key] = [];
+    zones[key].push({
+      ...order,
+      cashOnDelivery: orderLifecycleService.isPayOnDelivery(order) && !orderLifecycleService.isOrderPaid(order),
+    });
+  }
+
+  return {
+    zones,
+    unassignedCount: orders.length,
+    drivers: drivers.map((driver) => ({
+      _id: driver._id,
+      name: driver.name,
+      phone: driver.phone,
+      zones: driver.driverProfile?.zones || [],
+      isAvailable: Boolean(driver.driverProfile?.isAvailable),
+      vehicleType: driver.driverProfile?.vehicleType || null,
+      openJobs: openJobCounts.get(String(driver._id)) || 0,
+    })),
+  };
+}
+
+/**
+ * Assign an order to a driver. Without `driverId` the least busy available driver covering
+ * the order's zone is picked.
+ * @param {string} orderId
+ * @param {{ driverId?: string }} options
+ * @param {{ id: string, role: string }} admin
+ */
+async function assignOrder(orderId, { driverId } = {}, admin) {
+  const order = await Order.findById(orderId)
+    .select('orderNumber currentStatus orderType deliveryZone deliveryMethod paymentMethod paymentStatus totalPrice')
+    .lean();
+  if (!order) throw new AppError('Order not found', 404);
+
+  if (!REASSIGNABLE_ORDER_STATUSES.includes(order.currentStatus)) {
+    throw new AppError(`Only orders that are ready for dispatch can be assigned (order is ${order.currentStatus})`, 400);
+  }
+  if (NON_DISPATCH_METHODS.includes(order.deliveryMethod)) {
+    throw new AppError('This order is not delivered by dispatch riders', 400);
+  }
+  const check = orderLifecycleService.checkTransition(order, 'out_for_delivery', 'driver');
+  if (!check.allowed) throw new AppError(check.reason, check.statusCode || 400);
+
+  let driver;
+  if (driverId) {
+    driver = await User.findOne({ _id: driverId, role: 'driver' }).select('name email driverProfile').lean();
+    if (!driver) throw new AppError('Driver not found', 404);
+    if (order.deliveryZone && !(driver.driverProfile?.zones || []).includes(order.deliveryZone)) {
+      throw new AppError(`Driver does not cover delivery zone ${order.deliveryZone}`, 400);
+    }
+  } else {
+    const filter = { role: 'driver', 'driverProfile.isAvailable': true };
+    if (order.deliveryZone) filter['driverProfile.zones'] = order.deliveryZone;
+    const drivers = await User.find(filter).select('name email driverProfile').lean();
+    driver = pickDriver(drivers, order.deliveryZone, await countOpenJobsByDriver(drivers.map((d) => d._id)));
+    if (!driver) {
+      throw new AppError(`No available driver covers zone ${order.deliveryZone || '(none)'}`, 409);
+    }
+  }
+
+  const cashDue = orderLifecycleService.isPayOnDelivery(order) && !orderLifecycleService.isOrderPaid(order);
+  let job;
+  try {
+    job = await DeliveryJob.create({
+      order: order._id,
+      driver: driver._id,
+      zone: order.deliveryZone || null,
+      status: 'assigned',
+      assignedBy: admin.id,
+      cod: { amountDue: cashDue ? order.totalPrice || 0 : 0 },
+      timeline: [
+        {
+          status: 'assigned',
+          message: `Assigned to ${driver.name || 'driver'}`,
+          updatedBy: admin.id,
+          updatedByModel: 'Admin',
+        },
+      ],
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('This order already has an open delivery job', 409);
+    }
+    throw error;
+  }
+
+  try {
+    const notificationService = require('../notification/notificationService');
+    await notificationService.createNotification({
+      user: driver._id,
+      role: 'driver',
+      type: 'delivery',
+      title: 'New delivery job',
+      message: `Order #${order.orderNumber}${job.zone ? ` in zone ${job.zone}` : ''} has been assigned to you.${cashDue ? ` Collect GH₵${job.cod.amountDue.toFixed(2)} cash on delivery.` : ''}`,
+      metadata: { orderId: order._id },
+      priority: 'high',
+    });
+  } catch (error) {
+    logger.error('[dispatchService] Error notifying driver:', error);
+  }
+
+  return job.toObject();
+}
+
+/**
+ * Issue a fresh one-time PIN for the job and send it to the buyer. Replaces any earlier PIN.
+ * @returns {Promise<{ pin: string, expiresAt: Date }>}
+ */
+async function issueDeliveryPin(job, order, { notify = true } = {}) {
+  const { pin, hash, expiresAt } = generateDeliveryPin();
+  await DeliveryJob.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        'deliveryPin.hash': hash,
+        'deliveryPin.expiresAt': expiresAt,
+        'deliveryPin.failedAttempts': 0,
+      },
+    },
+  );
+
+  if (notify) {
+    setImmediate(async () => {
+      try {
+        const emailDispatcher = require('../../emails/emailDispatcher');
+        const buyer = await User.findById(order.user).select('name email').lean();
+        if (buyer && buyer.email) {
+          await emailDispatcher.sendDeliveryPin(buyer, order, pin, expiresAt);
+        }
+      } catch (error) {
+        logger.error('[dispatchService] Error sending delivery PIN:', error.message || error);
+      }
+    });
+  }
+  return { pin, expiresAt };
+}
+
+/**
+ * Buyer asks for a (new) delivery PIN for their order's open job. Only the hash is kept, so
+ * every request issues a new PIN and the old one stops working.
+ */
+async function reissueDeliveryPinForBuyer(orderId, userId) {
+  const order = await Order.findById(orderId).select('user orderNumber trackingNumber').lean();
+  if (!order) throw new AppError('Order not found', 404);
+  if (String(order.user) !== String(userId)) {
+    throw new AppError('You can only request a PIN for your own orders', 403);
+  }
+
+  const job = await DeliveryJob.findOne({
+    order: orderId,
+    status: { $in: ['accepted', 'out_for_delivery', 'delivery_attempted'] },
+  }).lean();
+  if (!job) {
+    throw new AppError('Your order has no rider on the way yet', 404);
+  }
+  return issueDeliveryPin(job, order, { notify: false });
+}
+
+/**
+ * Driver (or admin cancelling) moves a job on. Doorstep steps move the order through the
+ * lifecycle in the same transaction; delivery needs the buyer's PIN and photo/signature proof.
+ *
+ * @param {string} jobId
+ * @param {string} nextStatus - accepted | declined | out_for_delivery | delivery_attempted | delivered | cancelled
+ * @param {Object} payload
+ * @param {string} [payload.reason] - attempt reason (ATTEMPT_REASONS) or decline/cancel reason
+ * @param {string} [payload.notes]
+ * @param {string} [payload.location]
+ * @param {string} [payload.pin]
+ * @param {string} [payload.recipientName]
+ * @param {string} [payload.photoUrl]
+ * @param {string} [payload.signatureUrl]
+ * @param {number} [payload.codAmount] - cash collected on payment_on_delivery orders
+ * @param {{ id: string, role: string }} actor
+ */
+async function updateJobStatus(jobId, nextStatus, payload = {}, actor) {
+  const found = await DeliveryJob.findById(jobId).select('+deliveryPin.hash +deliveryPin.expiresAt').lean();
+  if (!found) throw new AppError('Delivery job not found', 404);
+
+  const check = checkJobTransition(found, nextStatus, actor);
+  if (!check.allowed) throw new AppError(check.reason, check.statusCode);
+
+  if (nextStatus === 'delivery_attempted' && !ATTEMPT_REASONS.includes(payload.reason)) {
+    throw new AppError(`A failed attempt needs a reason: ${ATTEMPT_REASONS.join(', ')}`, 400);
+  }
+  if (nextStatus === 'delivered') {
+    const missing = checkDeliveryProof(found, payload);
+    if (missing) throw new AppError(missing, 400);
+    const pinCheck = verifyDeliveryPin(found.deliveryPin, payload.pin);
+    if (!pinCheck.valid) {
+      if (pinCheck.statusCode === 400 && found.deliveryPin?.hash) {
+        await DeliveryJob.updateOne({ _id: jobId }, { $inc: { 'deliveryPin.failedAttempts': 1 } });
+      }
+      throw new AppError(pinCheck.reason, pinCheck.statusCode);
+    }
+  }
+
+  const orderStatusByJobStatus = {
+    out_for_delivery: 'out_for_delivery',
+    delivery_attempted: 'delivery_attempted',
+    delivered: 'delivered',
+  };
+  const nextOrderStatus = orderStatusByJobStatus[nextStatus];
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let job;
+  let order = null;
+  let transition = null;
+  try {
+    job = await DeliveryJob.findOne({ _id: jobId, status: found.status }).session(session);
+    if (!job) throw new AppError('Delivery job was updated by someone else. Please refresh.', 409);
+
+    const now = new Date();
+    const message = payload.notes ? String(payload.notes).trim() : '';
+    job.status = nextStatus;
+    job.timeline.push({
+      status: nextStatus,
+      message: nextStatus === 'delivery_attempted' ? `${payload.reason}${message ? `: ${message}` : ''}` : message,
+      updatedBy: actor.id,
+      updatedByModel: isAdminRole(actor.role) ? 'Admin' : 'User',
+      timestamp: now,
+    });
+
+    if (nextStatus === 'accepted') job.acceptedAt = now;
+    if (nextStatus === 'out_for_delivery' && !job.startedAt) job.startedAt = now;
+    if (nextStatus === 'declined') {
+      job.declineReason = payload.reason || message || '';
+      job.closedAt = now;
+    }
+    if (nextStatus === 'cancelled') job.closedAt = now;
+    if (nextStatus === 'delivery_attempted') {
+      job.attempts.push({
+        reason: payload.reason,
+        notes: message,
+        location: payload.location || '',
+        attemptedAt: now,
+      });
+    }
+    if (nextStatus === 'delivered') {
+      job.deliveredAt = now;
+      job.closedAt = now;
+      job.deliveryPin.verifiedAt = now;
+      job.proof = {
+        recipientName: payload.recipientName,
+        photoUrl: payload.photoUrl,
+        signatureUrl: payload.signatureUrl,
+        notes: message,
+        recordedAt: now,
+      };
+      if (job.cod.amountDue > 0) {
+        job.cod.amountCollected = job.cod.amountDue;
+        job.cod.collectedAt = now;
+      }
+    }
+
+    if (nextOrderStatus) {
+      order = await Order.findById(job.order).session(session);
+      if (!order) throw new AppError('Order not found', 404);
+
+      const orderMessages = {
+        out_for_delivery: 'Rider is on the way',
+        delivery_attempted: `Delivery attempted (${String(payload.reason).replace(/_/g, ' ')})`,
+        delivered: payload.recipientName ? `Delivered to ${payload.recipientName}` : 'Delivered',
+      };
+      transition = await orderLifecycleService.transitionOrder(order, nextOrderStatus, {
+        actor,
+        message: orderMessages[nextStatus],
+        location: payload.location,
+        session,
+      });
+      // Cash handed to the rider pays the order; the rider owes it until reconciliation
+      if (nextStatus === 'delivered' && job.cod.amountDue > 0) {
+        order.paymentStatus = 'paid';
+        order.paidAt = now;
+      }
+      await order.save({ session });
+    }
+
+    await job.save({ session });
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // The buyer needs a PIN once the rider heads out (and again after an expired one)
+  if (nextStatus === 'out_for_delivery') {
+    const pinValid = found.deliveryPin?.hash && new Date(found.deliveryPin.expiresAt) > new Date();
+    if (!pinValid) {
+      try {
+        await issueDeliveryPin(job, order);
+      } catch (error) {
+        logger.error('[dispatchService] Error issuing delivery PIN:', error);
+      }
+    }
+  }
+
+  if (transition && transition.previousStatus !== transition.nextStatus) {
+    await orderLifecycleService.runTransitionEffects(order, transition, { actor });
+  }
+
+  return job.toObject();
+}
+
+/**
+ * Close open jobs after the order ended outside dispatch (admin cancel/refund or delivered
+ * without a rider). Called from the lifecycle's transition effects.
+ */
+async function closeJobsForOrder(orderId, orderStatus, actor) {
+  if (actor.role === 'driver') return 0;
+  const status = orderStatus === 'delivered' ? 'delivered' : 'cancelled';
+  const now = new Date();
+  const result = await DeliveryJob.updateMany(
+    { order: orderId, status: { $in: OPEN_JOB_STATUSES } },
+    {
+      $set: { status, closedAt: now, ...(status === 'delivered' ? { deliveredAt: now } : {}) },
+      $push: {
+        timeline: {
+          status,
+          message: `Order ${orderStatus}`,
+          updatedBy: actor.id,
+          updatedByModel: actor.role === 'system' ? 'System' : 'Admin',
+          timestamp: now,
+        },
+      },
+    },
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Driver's jobs, newest first. `status` may be 'open' for everything still in progress.
+ */
+async function getDriverJobs(driverId, { status, page = 1, limit = 20 } = {}) {
+  const filter = { driver: driverId };
+  if (status === 'open') filter.status = { $in: OPEN_JOB_STATUSES };
+  else if (status) filter.status = status;
+
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [jobs, total] = await Promise.all([
+    DeliveryJob.find(filter)
+      .populate('order', 'orderNumber trackingNumber currentStatus shippingAddress deliveryZone paymentMethod totalPrice')
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    DeliveryJob.countDocuments(filter),
+  ]);
+  return { jobs, total, page: safePage, limit: safeLimit };
+}
+
+/**
+ * Admin sets a driver's zones and vehicle; drivers toggle their own availability.
+ */
+async function updateDriverProfile(driverId, { zones, isAvailable, vehicleType } = {}) {
+  const update = {};
+  if (zones !== undefined) {
+    const ZONES = ['A', 'B', 'C', 'D', 'E', 'F'];
+    const list = (Array.isArray(zones) ? zones : [zones]).map((z) => String(z).toUpperCase());
+    if (list.some((z) => !ZONES.includes(z))) {
+      throw new AppError(`Zones must be among ${ZONES.join(', ')}`, 400);
+    }
+    update['driverProfile.zones'] = [...new Set(list)];
+  }
+  if (isAvailable !== undefined) update['driverProfile.isAvailable'] = Boolean(isAvailable);
+  if (vehicleType !== undefined) update['driverProfile.vehicleType'] = vehicleType || null;
+
+  const driver = await User.findOneAndUpdate(
+    { _id: driverId, role: 'driver' },
+    { $set: update },
+    { new: true, runValidators: true },
+  )
+    .select('name email phone driverProfile')
+    .lean();
+  if (!driver) throw new AppError('Driver not found', 404);
+  return driver;
+}
+
+/**
+ * Cash-on-delivery position of one driver: collected but not yet handed in, and what was
+ * reconciled in the period.
+ */
+async function getDriverCodSummary(driverId, { from, to } = {}) {
+  const collectedAt = {};
+  if (from) collectedAt.$gte = new Date(from);
+  if (to) collectedAt.$lte = new Date(to);
+
+  const base = { driver: new mongoose.Types.ObjectId(String(driverId)), 'cod.amountCollected': { $gt: 0 } };
+  const periodFilter = Object.keys(collectedAt).length ? { ...base, 'cod.collectedAt': collectedAt } : base;
+
+  const [outstandingJobs, totals] = await Promise.all([
+    DeliveryJob.find({ ...base, 'cod.reconciled': false })
+      .select('order cod deliveredAt')
+      .populate('order', 'orderNumber totalPrice')
+      .sort({ 'cod.collectedAt': 1 })
+      .lean(),
+    DeliveryJob.aggregate([
+      { $match: periodFilter },
+      {
+        $group: {
+          _id: '$cod.reconciled',
+          amount: { $sum: '$cod.amountCollected' },
+          jobs: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const byState = Object.fromEntries(totals.map((row) => [row._id ? 'reconciled' : 'outstanding', row]));
+  const round = (n) => Math.round((n || 0) * 100) / 100;
+  return {
+    driver: driverId,
+    outstanding: round(outstandingJobs.reduce((sum, job) => sum + job.cod.amountCollected, 0)),
+    outstandingJobs,
+    period: {
+      from: from || null,
+      to: to || null,
+      collected: round((byState.outstanding?.amount || 0) + (byState.reconciled?.amount || 0)),
+      reconciled: round(byState.reconciled?.amount || 0),
+      jobs: (byState.outstanding?.jobs || 0) + (byState.reconciled?.jobs || 0),
+    },
+  };
+}
+
+/**
+ * Record that a driver handed in the cash for `jobIds`. The amount received must match what
+ * the driver collected on those jobs.
+ */
+async function reconcileDriverCod(driverId, { jobIds, amountReceived, reference }, admin) {
+  if (!Array.isArray(jobIds) || jobIds.length === 0) {
+    throw new AppError('jobIds must list the deliveries being settled', 400);
+  }
+  const received = Number(amountReceived);
+  if (!Number.isFinite(received) || received < 0) {
+    throw new AppError('amountReceived must be a valid amount', 400);
+  }
+
+  const jobs = await DeliveryJob.find({
+    _id: { $in: jobIds },
+    driver: driverId,
+    'cod.amountCollected': { $gt: 0 },
+    'cod.reconciled': false,
+  })
+    .select('cod')
+    .lean();
+  if (jobs.length !== new Set(jobIds.map(String)).size) {
+    throw new AppError('Some deliveries are not this driver\'s unreconciled cash collections', 400);
+  }
+
+  const expected = Math.round(jobs.reduce((sum, job) => sum + job.cod.amountCollected, 0) * 100) / 100;
+  if (Math.abs(expected - received) > 0.009) {
+    throw new AppError(
+      `Amount received (GH₵${received.toFixed(2)}) does not match cash collected on these deliveries (GH₵${expected.toFixed(2)})`,
+      400,
+    );
+  }
+
+  const now = new Date();
+  const result = await DeliveryJob.updateMany(
+    { _id: { $in: jobs.map((job) => job._id) }, 'cod.reconciled': false },
+    {
+      $set: {
+        'cod.reconciled': true,
+        'cod.reconciledAt': now,
+        'cod.reconciledBy': admin.id,
+        'cod.remittanceReference': reference ? String(reference).trim() : '',
+      },
+    },
+  );
+  logger.info(`[dispatchService] Reconciled GH₵${expected.toFixed(2)} cash from driver ${driverId} (${result.modifiedCount} deliveries)`);
+  return { reconciledJobs: result.modifiedCount || 0, amount: expected, reference: reference || '' };
+}
+
+/**
+ * Whether `driverId` has an open job for the order (driver location updates).
+ */
+async function driverHasOpenJob(orderId, driverId) {
+  return Boolean(
+    await DeliveryJob.exists({ order: orderId, driver: driverId, status: { $in: OPEN_JOB_STATUSES } }),
+  );
+}
+
+module.exports = {
+  OPEN_JOB_STATUSES,
+  ATTEMPT_REASONS,
+  MAX_PIN_ATTEMPTS,
+  generateDeliveryPin,
+  checkJobTransition,
+  verifyDeliveryPin,
+  checkDeliveryProof,
+  pickDriver,
+  getDispatchBoard,
+  assignOrder,
+  issueDeliveryPin,
+  reissueDeliveryPinForBuyer,
+  updateJobStatus,
+  closeJobsForOrder,
+  getDriverJobs,
+  updateDriverProfile,
+  getDriverCodSummary,
+  reconcileDriverCod,
+  driverHasOpenJob,
+};
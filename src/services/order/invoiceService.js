@@ -0,0 +1,465 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Order = require('../../models/order/orderModel');
+const SellerOrder = require('../../models/order/sellerOrderModel');
+const Address = require('../../models/user/addressModel');
+const Sequence = require('../../models/category/sequenceModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * invoiceService.js
+ * PDF tax invoices / receipts, one per SellerOrder (each seller invoices its own lines).
+ * Invoice numbers are sequential per seller. A seller order is numbered the first time its
+ * invoice is generated after payment (or delivery, for pay-on-delivery). The number is written
+ * in the same transaction as the Sequence increment, so a lost race never leaves a gap.
+ * Amounts come from the GRA breakdown snapshotted on the order items at checkout.
+ */
+
+const CURRENCY = 'GHS';
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const money = (n) => `${CURRENCY} ${round2(n).toFixed(2)}`;
+
+const getSequenceName = (sellerId) => `invoice-${sellerId}`;
+
+/**
+ * @param {number} seq
+ * @returns {string} e.g. INV-000042
+ */
+function formatInvoiceNumber(seq) {
+  return `INV-${String(seq).padStart(6, '0')}`;
+}
+
+const PAID_STATUSES = ['paid', 'completed', 'refunded', 'partial_refund'];
+
+const isPaid = (order) => PAID_STATUSES.includes(order.paymentStatus);
+
+/**
+ * An invoice can be issued once the sale happened: the order was paid (later refunds do not
+ * withdraw the invoice), or it is a pay-on-delivery order that has been delivered. Pay-on-delivery
+ * orders are not invoiced at checkout, so an order cancelled before delivery never uses up an
+ * invoice number.
+ * @param {Object} order
+ * @returns {boolean}
+ */
+function isInvoiceable(order) {
+  if (!order) return false;
+  if (isPaid(order)) return true;
+  const delivered = ['delivered', 'delievered'].includes(order.currentStatus)
+    || order.orderStatus === 'delievered';
+  return order.paymentMethod === 'payment_on_delivery' && delivered;
+}
+
+/**
+ * Give a seller order its invoice number if it has none yet. Idempotent.
+ * @param {Object} sellerOrder - needs _id and seller
+ * @returns {Promise<{ invoiceNumber: string, invoiceIssuedAt: Date }>}
+ */
+async function assignInvoiceNumber(sellerOrder) {
+  if (sellerOrder.invoiceNumber) {
+    return { invoiceNumber: sellerOrder.invoiceNumber, invoiceIssuedAt: sellerOrder.invoiceIssuedAt };
+  }
+
+  const sellerId = sellerOrder.seller?._id || sellerOrder.seller;
+  const session = await mongoose.startSession();
+  let issued = null;
+  try {
+    // withTransaction retries the write conflict two invoices of one seller get on the Sequence
+    await session.withTransaction(async () => {
+      const sequence = await Sequence.findOneAndUpdate(
+        { _id: getSequenceName(sellerId) },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session },
+      );
+      issued = await SellerOrder.findOneAndUpdate(
+        { _id: sellerOrder._id, invoiceNumber: null },
+        { $set: { invoiceNumber: formatInvoiceNumber(sequence.seq), invoiceIssuedAt: new Date() } },
+        { new: true, session },
+      ).select('invoiceNumber invoiceIssuedAt');
+
+      // A concurrent request numbered it first; give our sequence value back
+      if (!issued) await session.abortTransaction();
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (!issued) {
+    const existing = await SellerOrder.findById(sellerOrder._id).select('invoiceNumber invoiceIssuedAt').lean();
+    return { invoiceNumber: existing.invoiceNumber, invoiceIssuedAt: existing.invoiceIssuedAt };
+  }
+
+  logger.info('[Invoice] Invoice number issued', {
+    sellerOrderId: sellerOrder._id.toString(),
+    sellerId: sellerId.toString(),
+    invoiceNumber: issued.invoiceNumber,
+  });
+  return { invoiceNumber: issued.invoiceNumber, invoiceIssuedAt: issued.invoiceIssuedAt };
+}
+
+const describeItem = (item) => {
+  const name = item.productName || item.product?.name || 'Item';
+  const variant = item.variantName
+    || (item.variantAttributes || []).map((a) => a.value).filter(Boolean).join(' / ');
+  return variant ? `${name} (${variant})` : name;
+};
+
+const formatAddress = (address = {}) => [
+  address.streetAddress || address.street,
+  address.area || address.town,
+  address.city,
+  address.region,
+  address.digitalAddress,
+  address.country,
+].filter(Boolean).join(', ');
+
+/**
+ * Everything printed on one invoice. Pure: no database access.
+ * @param {Object} params
+ * @param {Object} params.sellerOrder - with populated items (OrderItems docs)
+ * @param {Object} params.order - parent order, user populated when available
+ * @param {Object} params.seller - seller with name, shopName, email, phone, shopLocation, tin, isVatRegistered
+ * @returns {Object}
+ */
+function buildInvoiceData({ sellerOrder, order, seller }) {
+  const lines = (sellerOrder.items || []).map((item) => {
+    const quantity = item.quantity || 1;
+    const unitPrice = round2(item.price);
+    const vat = round2((item.vat || 0) * quantity);
+    const nhil = round2((item.nhil || 0) * quantity);
+    const getfund = round2((item.getfund || 0) * quantity);
+    return {
+      description: describeItem(item),
+      sku: item.sku || '',
+      quantity,
+      unitPrice,
+      netAmount: round2((item.basePrice || 0) * quantity),
+      vat,
+      nhil,
+      getfund,
+      total: round2(unitPrice * quantity),
+    };
+  });
+
+  const sum = (key) => round2(lines.reduce((acc, line) => acc + line[key], 0));
+  const itemsTotal = sum('total');
+  const subtotal = sellerOrder.subtotal != null ? round2(sellerOrder.subtotal) : itemsTotal;
+  const shipping = round2(sellerOrder.shippingCost);
+  const buyer = order.user && typeof order.user === 'object' ? order.user : {};
+  const address = order.shippingAddress && typeof order.shippingAddress === 'object' ? order.shippingAddress : {};
+
+  return {
+    invoiceNumber: sellerOrder.invoiceNumber,
+    issuedAt: sellerOrder.invoiceIssuedAt || new Date(),
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    paid: isPaid(order),
+    paidAt: order.paidAt || sellerOrder.paidAt || null,
+    paymentMethod: order.paymentMethod,
+    paymentReference: order.paymentReference || sellerOrder.paymentReference || null,
+    seller: {
+      name: seller.shopName || seller.name,
+      contactName: seller.name,
+      email: seller.email,
+      phone: seller.phone,
+      address: formatAddress(seller.shopLocation),
+      tin: seller.tin || null,
+      vatRegistered: Boolean(seller.isVatRegistered),
+    },
+    vatCollectedBy: sellerOrder.vatCollectedBy || 'platform',
+    buyer: {
+      name: buyer.name || address.fullName || 'Customer',
+      email: buyer.email || null,
+      phone: address.contactPhone || address.phone || null,
+      address: formatAddress(address),
+    },
+    lines,
+    totals: {
+      netAmount: round2(sellerOrder.totalBasePrice) || sum('netAmount'),
+      vat: round2(sellerOrder.totalVAT) || sum('vat'),
+      nhil: round2(sellerOrder.totalNHIL) || sum('nhil'),
+      getfund: round2(sellerOrder.totalGETFund) || sum('getfund'),
+      itemsTotal,
+      discount: Math.max(0, round2(itemsTotal - subtotal)),
+      shipping,
+      total: round2(sellerOrder.total) || round2(subtotal + shipping),
+    },
+  };
+}
+
+const PAYMENT_METHOD_LABELS = {
+  paystack: 'Card / Mobile Money (Paystack)',
+  mobile_money: 'Mobile Money',
+  credit_balance: 'Wallet',
+  payment_on_delivery: 'Payment on delivery',
+};
+
+const COLUMNS = [
+  { key: 'description', label: 'Description', width: 150 },
+  { key: 'sku', label: 'SKU', width: 70 },
+  { key: 'quantity', label: 'Qty', width: 25, align: 'right' },
+  { key: 'unitPrice', label: 'Unit (incl.)', width: 50, align: 'right', money: true },
+  { key: 'netAmount', label: 'Net', width: 50, align: 'right', money: true },
+  { key: 'vat', label: 'VAT', width: 40, align: 'right', money: true },
+  { key: 'nhil', label: 'NHIL', width: 35, align: 'right', money: true },
+  { key: 'getfund', label: 'GETFund', width: 40, align: 'right', money: true },
+  { key: 'total', label: 'Total', width: 55, align: 'right', money: true },
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+function drawInvoice(doc, data) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const brandName = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+
+  doc.font('Helvetica-Bold').fontSize(18).text(data.seller.vatRegistered ? 'TAX INVOICE' : 'INVOICE', left, 40);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice no: ${data.invoiceNumber}`, { align: 'right' })
+    .text(`Issued: ${formatDate(data.issuedAt)}`, { align: 'right' })
+    .text(`Order: ${data.orderNumber || '-'} (${formatDate(data.orderDate)})`, { align: 'right' });
+
+  const partiesTop = doc.y + 12;
+  const colWidth = width / 2 - 10;
+  doc.font('Helvetica-Bold').fontSize(10).text('Sold by', left, partiesTop);
+  doc.font('Helvetica').fontSize(9).text(
+    [
+      data.seller.name,
+      data.seller.address,
+      data.seller.phone,
+      data.seller.email,
+      data.seller.tin ? `TIN: ${data.seller.tin}` : null,
+    ].filter(Boolean).join('\n'),
+    { width: colWidth },
+  );
+  const sellerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left + width / 2, partiesTop);
+  doc.font('Helvetica').fontSize(9).text(
+    [data.buyer.name, data.buyer.address, data.buyer.phone, data.buyer.email].filter(Boolean).join('\n'),
+    left + width / 2,
+    doc.y,
+    { width: colWidth },
+  );
+
+  // Line items
+  let y = Math.max(sellerBottom, doc.y) + 20;
+  const drawRow = (row, bold = false) => {
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...COLUMNS.map((col) => doc.heightOfString(String(row[col.key]), { width: col.width - 4 })));
+    if (y + height > doc.page.height - doc.page.margins.bottom - 120) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    COLUMNS.forEach((col) => {
+      doc.text(String(row[col.key]), x, y, { width: col.width - 4, align: col.align || 'left' });
+      x += col.width;
+    });
+    y += height + 6;
+  };
+
+  drawRow(Object.fromEntries(COLUMNS.map((col) => [col.key, col.label])), true);
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).lineWidth(0.5).stroke();
+  data.lines.forEach((line) => {
+    drawRow(Object.fromEntries(COLUMNS.map((col) => [col.key, col.money ? round2(line[col.key]).toFixed(2) : line[col.key]])));
+  });
+  doc.moveTo(left, y - 3).lineTo(left + width, y - 3).stroke();
+
+  // Totals
+  const totals = [
+    ['Net amount (excl. taxes)', data.totals.netAmount],
+    ['VAT', data.totals.vat],
+    ['NHIL', data.totals.nhil],
+    ['GETFund', data.totals.getfund],
+    ['Items total (incl. taxes)', data.totals.itemsTotal],
+  ];
+  if (data.totals.discount > 0) totals.push(['Discount', -data.totals.discount]);
+  totals.push(['Shipping', data.totals.shipping]);
+
+  y += 6;
+  if (y + 220 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  totals.forEach(([label, amount]) => {
+    doc.font('Helvetica').fontSize(9)
+      .text(label, left + width - 250, y, { width: 150 })
+      .text(money(amount), left + width - 100, y, { width: 100, align: 'right' });
+    y += 14;
+  });
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text('Total', left + width - 250, y + 4, { width: 150 })
+    .text(money(data.totals.total), left + width - 100, y + 4, { width: 100, align: 'right' });
+  y += 30;
+
+  // Payment / receipt
+  const method = PAYMENT_METHOD_LABELS[data.paymentMethod] || data.paymentMethod || '-';
+  doc.font('Helvetica-Bold').fontSize(10).text(data.paid ? 'RECEIPT - PAID' : 'PAYMENT DUE ON DELIVERY', left, y);
+  doc.font('Helvetica').fontSize(9).text(
+    [
+      `Payment method: ${method}`,
+      data.paid ? `Paid on: ${formatDate(data.paidAt)}` : null,
+      data.paymentReference ? `Reference: ${data.paymentReference}` : null,
+    ].filter(Boolean).join('\n'),
+    left,
+    doc.y,
+  );
+
+  const vatNote = data.vatCollectedBy === 'seller'
+    ? 'VAT, NHIL and GETFund are charged and accounted for by the seller.'
+    : `VAT, NHIL and GETFund are collected and remitted to GRA by ${brandName} on behalf of the seller.`;
+  doc.moveDown(1.5).fontSize(8).fillColor('#555555')
+    .text(`Prices include VAT, NHIL and GETFund. ${vatNote}`, left, doc.y, { width })
+    .text(`Sold through ${brandName}.`, { width })
+    .fillColor('#000000');
+}
+
+/**
+ * Render invoices into one PDF, one invoice per page (or more for long orders).
+ * @param {Array<Object>} invoices - from buildInvoiceData
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicesPdf(invoices) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: 'Invoice' } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    invoices.forEach((data, index) => {
+      if (index > 0) doc.addPage();
+      drawInvoice(doc, data);
+    });
+    doc.end();
+  });
+}
+
+const SELLER_FIELDS = 'name shopName email phone shopLocation tin isVatRegistered';
+
+/**
+ * Load, number and build the invoice data of seller orders.
+ * @param {Object} order - lean order with user populated (name email)
+ * @param {Object} sellerOrderFilter - SellerOrder query
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadInvoices(order, sellerOrderFilter) {
+  const sellerOrders = await SellerOrder.find(sellerOrderFilter)
+    .populate({ path: 'items', populate: { path: 'product', select: 'name' } })
+    .populate('seller', SELLER_FIELDS)
+    .sort({ createdAt: 1 });
+
+  // Each seller numbers from its own sequence, so the seller orders can be numbered in parallel
+  return Promise.all(sellerOrders.map(async (sellerOrder) => {
+    const issued = await assignInvoiceNumber(sellerOrder);
+    sellerOrder.invoiceNumber = issued.invoiceNumber;
+    sellerOrder.invoiceIssuedAt = issued.invoiceIssuedAt;
+    return buildInvoiceData({ sellerOrder, order, seller: sellerOrder.seller || {} });
+  }));
+}
+
+const loadOrder = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .select('orderNumber user createdAt paymentMethod paymentStatus paymentReference paidAt shippingAddress currentStatus orderStatus status')
+    .populate('user', 'name email')
+    .lean();
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  // Orders reference an Address document; older ones embed the address
+  if (order.shippingAddress && mongoose.Types.ObjectId.isValid(String(order.shippingAddress))) {
+    order.shippingAddress = await Address.findById(order.shippingAddress).lean();
+  }
+  return order;
+};
+
+const assertInvoiceable = (order) => {
+  if (!isInvoiceable(order)) {
+    throw new AppError('An invoice is available once the order has been paid or delivered', 400);
+  }
+};
+
+/**
+ * Buyer copy: every seller's invoice of an order in one PDF.
+ * @param {string|ObjectId} orderId
+ * @param {string} [userId] - when set, the order must belong to this buyer
+ * @returns {Promise<{ filename: string, content: Buffer, invoiceNumbers: string[] }>}
+ */
+async function generateOrderInvoicePdf(orderId, userId = null) {
+  const order = await loadOrder(orderId);
+  const ownerId = order.user?._id ? order.user._id.toString() : String(order.user);
+  if (userId && ownerId !== userId.toString()) {
+    throw new AppError('You are not authorized to view this order', 403);
+  }
+  assertInvoiceable(order);
+
+  const invoices = await loadInvoices(order, { order: order._id });
+  if (invoices.length === 0) {
+    throw new AppError('No invoice is available for this order', 404);
+  }
+
+  return {
+    filename: `invoice-${order.orderNumber || order._id}.pdf`,
+    content: await renderInvoicesPdf(invoices),
+    invoiceNumbers: invoices.map((invoice) => invoice.invoiceNumber),
+  };
+}
+
+/**
+ * Seller copy of the invoice for one SellerOrder.
+ * @param {string|ObjectId} sellerOrderId
+ * @param {string} sellerId - the requesting seller; must own the seller order
+ * @returns {Promise<{ filename: string, content: Buffer, invoiceNumbers: string[] }>}
+ */
+async function generateSellerOrderInvoicePdf(sellerOrderId, sellerId) {
+  const sellerOrder = await SellerOrder.findById(sellerOrderId).select('seller order').lean();
+  if (!sellerOrder) {
+    throw new AppError('Order not found', 404);
+  }
+  if (sellerOrder.seller.toString() !== sellerId.toString()) {
+    throw new AppError('You are not authorized to view this order', 403);
+  }
+
+  const order = await loadOrder(sellerOrder.order);
+  assertInvoiceable(order);
+
+  const [invoice] = await loadInvoices(order, { _id: sellerOrder._id });
+  return {
+    filename: `${invoice.invoiceNumber}.pdf`,
+    content: await renderInvoicesPdf([invoice]),
+    invoiceNumbers: [invoice.invoiceNumber],
+  };
+}
+
+/**
+ * Attachment for the order confirmation email, or null when no invoice can be issued yet.
+ * Never throws: the confirmation email goes out without the PDF if generation fails.
+ * @param {string|ObjectId} orderId
+ * @returns {Promise<{ filename: string, content: Buffer }|null>}
+ */
+async function getOrderInvoiceAttachment(orderId) {
+  try {
+    const order = await Order.findById(orderId).select('paymentMethod paymentStatus currentStatus orderStatus status').lean();
+    if (!isInvoiceable(order)) return null;
+    const { filename, content } = await generateOrderInvoicePdf(orderId);
+    return { filename, content };
+  } catch (error) {
+    logger.error('[Invoice] Failed to build invoice attachment', {
+      orderId: orderId ? orderId.toString() : null,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  formatInvoiceNumber,
+  isInvoiceable,
+  assignInvoiceNumber,
+  buildInvoiceData,
+  renderInvoicesPdf,
+  generateOrderInvoicePdf,
+  generateSellerOrderInvoicePdf,
+  getOrderInvoiceAttachment,
+};
@@ -0,0 +1,571 @@
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * orderLifecycleService.js
+ * The order lifecycle in one place. `currentStatus` is the only status that is written;
+ * the legacy fields (orderStatus, FulfillmentStatus, status) are derived from it.
+ *
+ * - ORDER_STATES: every status with its legacy projection
+ * - ORDER_TRANSITIONS: allowed moves per order type
+ * - guards: payment, international-only statuses, admin-only steps, optimistic concurrency
+ * - effects: stock restore (inside the caller's transaction), then shipment, delivery job and
+ *   SellerOrder sync, seller credit / reversal, wallet refund and buyer/seller notifications after commit
+ *
+ * Models are required lazily: orderModel requires this module for the legacy projection.
+ */
+
+// Every status with its legacy projection: `fulfillment` feeds orderStatus and FulfillmentStatus
+// (which keep the historical 'delievered' spelling), `status` feeds the coarse order status.
+const ORDER_STATES = {
+  pending_payment: { fulfillment: 'pending', status: 'pending' },
+  payment_completed: { fulfillment: 'confirmed', status: 'confirmed', marksPaid: true },
+  confirmed: { fulfillment: 'confirmed', status: 'confirmed', marksPaid: true },
+  processing: { fulfillment: 'confirmed', status: 'processing' },
+  preparing: { fulfillment: 'confirmed', status: 'processing' },
+  ready_for_dispatch: { fulfillment: 'confirmed', status: 'processing' },
+  // International pre-order milestones
+  supplier_confirmed: { fulfillment: 'confirmed', status: 'processing', international: true },
+  awaiting_dispatch: { fulfillment: 'confirmed', status: 'processing', international: true },
+  international_shipped: { fulfillment: 'shipped', status: 'processing', international: true },
+  customs_clearance: { fulfillment: 'shipped', status: 'processing', international: true },
+  arrived_destination: { fulfillment: 'shipped', status: 'processing', international: true },
+  local_dispatch: { fulfillment: 'shipped', status: 'processing', international: true },
+  out_for_delivery: { fulfillment: 'shipped', status: 'processing' },
+  delivery_attempted: { fulfillment: 'shipped', status: 'processing' },
+  delivered: { fulfillment: 'delievered', status: 'completed' },
+  cancelled: { fulfillment: 'cancelled', status: 'cancelled', releasesStock: true },
+  refunded: { fulfillment: 'cancelled', status: 'cancelled', releasesStock: true },
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATES);
+
+// Canonical international pre-order flow, mapped to existing tracking statuses.
+// 'pending_payment' and 'payment_completed' are reused for the payment steps.
+const INTERNATIONAL_PREORDER_FLOW = [
+  'pending_payment',        // Order placed / awaiting payment
+  'payment_completed',      // Payment confirmed
+  'supplier_confirmed',     // Supplier has confirmed the order
+  'awaiting_dispatch',      // Waiting for supplier to dispatch
+  'international_shipped',  // Left supplier country
+  'customs_clearance',      // In customs at destination
+  'arrived_destination',    // Arrived in destination country/warehouse
+  'local_dispatch',         // Handed to local courier
+  'out_for_delivery',       // Rider is out for delivery
+  'delivery_attempted',     // Attempted delivery but buyer unavailable
+  'delivered',              // Completed
+];
+
+const INTERNATIONAL_ONLY_STATUSES = new Set(
+  ORDER_STATUSES.filter((s) => ORDER_STATES[s].international),
+);
+
+// Cancellation and refund end the lifecycle; nothing leaves them
+const TERMINAL_STATUSES = new Set(['cancelled', 'refunded']);
+
+const EXITS = ['cancelled', 'refunded'];
+
+// Normal and local pre-orders. Steps may be skipped going forward (small sellers often go
+// straight from confirmed to out_for_delivery). Unpaid cash-on-delivery orders are worked on
+// before payment, so pending_payment can move forward too; the payment guard covers the rest.
+const STANDARD_TRANSITIONS = {
+  pending_payment: ['payment_completed', 'confirmed', 'processing', 'preparing', 'ready_for_dispatch', 'out_for_delivery', 'delivery_attempted', 'delivered', 'cancelled'],
+  payment_completed: ['confirmed', 'processing', 'preparing', 'ready_for_dispatch', 'out_for_delivery', 'delivered', ...EXITS],
+  confirmed: ['processing', 'preparing', 'ready_for_dispatch', 'out_for_delivery', 'delivered', ...EXITS],
+  processing: ['confirmed', 'preparing', 'ready_for_dispatch', 'out_for_delivery', 'delivered', ...EXITS],
+  preparing: ['ready_for_dispatch', 'out_for_delivery', 'delivered', ...EXITS],
+  ready_for_dispatch: ['out_for_delivery', 'delivered', ...EXITS],
+  out_for_delivery: ['delivery_attempted', 'delivered', ...EXITS],
+  delivery_attempted: ['out_for_delivery', 'delivered', ...EXITS],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+// International pre-orders: strict, non-skipping steps along INTERNATIONAL_PREORDER_FLOW,
+// with a doorstep retry loop and cancel/refund from anywhere before the end.
+const INTERNATIONAL_TRANSITIONS = INTERNATIONAL_PREORDER_FLOW.reduce((map, status, index) => {
+  const nextStep = INTERNATIONAL_PREORDER_FLOW[index + 1];
+  map[status] = status === 'delivered' ? ['refunded'] : [...(nextStep ? [nextStep] : []), ...EXITS];
+  return map;
+}, { cancelled: [], refunded: [] });
+INTERNATIONAL_TRANSITIONS.delivery_attempted = ['out_for_delivery', 'delivered', ...EXITS];
+
+const ORDER_TRANSITIONS = {
+  normal: STANDARD_TRANSITIONS,
+  preorder_local: STANDARD_TRANSITIONS,
+  preorder_international: INTERNATIONAL_TRANSITIONS,
+};
+
+// Who may move an order into a status. 'system' covers payment webhooks and jobs.
+const ACTOR_ROLES = {
+  admin: ['admin', 'superadmin', 'support_agent'],
+  seller: ['seller', 'official_store'],
+  driver: ['driver'],
+};
+
+// Riders only report the doorstep steps of jobs assigned to them (see dispatchService)
+const DRIVER_STATUSES = new Set(['out_for_delivery', 'delivery_attempted', 'delivered']);
+
+// Steps on international pre-orders that only the platform can confirm
+const INTERNATIONAL_ADMIN_ONLY_STATUSES = new Set(['customs_clearance', 'arrived_destination', 'delivered']);
+
+function getActorGroup(role) {
+  if (!role || role === 'system') return 'system';
+  if (ACTOR_ROLES.admin.includes(role)) return 'admin';
+  if (ACTOR_ROLES.seller.includes(role)) return 'seller';
+  if (ACTOR_ROLES.driver.includes(role)) return 'driver';
+  return null;
+}
+
+/**
+ * Legacy status fields for a currentStatus.
+ * @param {string} currentStatus
+ * @param {{ partiallyShipped?: boolean }} [fulfilment] - split-shipment rollup (see shipmentService)
+ * @returns {{ orderStatus: string, FulfillmentStatus: string, status: string }|null}
+ */
+function deriveLegacyStatuses(currentStatus, { partiallyShipped = false } = {}) {
+  const state = ORDER_STATES[currentStatus];
+  if (!state) return null;
+  const inProgress = state.status === 'confirmed' || state.status === 'processing';
+  return {
+    orderStatus: state.fulfillment,
+    FulfillmentStatus: state.fulfillment,
+    status: partiallyShipped && inProgress ? 'partially_shipped' : state.status,
+  };
+}
+
+/**
+ * Overwrite the legacy status fields on an order (document or plain object) from currentStatus.
+ * @returns {boolean} whether any field changed
+ */
+function applyLegacyStatuses(order) {
+  const legacy = deriveLegacyStatuses(order.currentStatus, order.fulfilment || {});
+  if (!legacy) return false;
+  let changed = false;
+  for (const [field, value] of Object.entries(legacy)) {
+    if (order[field] !== value) {
+      order[field] = value;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Best guess at the lifecycle status of an order written before currentStatus was the
+ * source of truth (used by the normalisation migration). The most advanced signal wins.
+ */
+function inferCurrentStatus(order) {
+  if (order.currentStatus === 'delievered') return 'delivered';
+  if (ORDER_STATES[order.currentStatus] && order.currentStatus !== 'pending_payment') {
+    return order.currentStatus;
+  }
+  const legacy = [order.orderStatus, order.FulfillmentStatus, order.status].map((s) =>
+    String(s || '').toLowerCase(),
+  );
+  const paid = ['paid', 'completed'].includes(String(order.paymentStatus || '').toLowerCase());
+
+  if (legacy.some((s) => s === 'delievered' || s === 'delivered' || s === 'completed')) return 'delivered';
+  if (legacy.includes('cancelled')) return 'cancelled';
+  if (legacy.includes('shipped') || legacy.includes('partially_shipped')) return 'out_for_delivery';
+  if (legacy.includes('processing')) return 'processing';
+  if (legacy.includes('confirmed') || legacy.includes('paid') || paid) return 'confirmed';
+  return 'pending_payment';
+}
+
+function isOrderPaid(order) {
+  const paymentStatus = String(order.paymentStatus || '').toLowerCase();
+  return paymentStatus === 'paid' || paymentStatus === 'completed';
+}
+
+function isPayOnDelivery(order) {
+  return String(order.paymentMethod || '').toLowerCase() === 'payment_on_delivery';
+}
+
+/**
+ * Whether `actorRole` may move `order` to `nextStatus`. Pure.
+ * @param {Object} order - needs currentStatus, orderType, paymentStatus, paymentMethod
+ * @param {string} nextStatus
+ * @param {string} actorRole - req.user.role, or 'system'
+ * @returns {{ allowed: boolean, reason?: string, statusCode?: number }}
+ */
+function checkTransition(order, nextStatus, actorRole) {
+  const orderType = ORDER_TRANSITIONS[order.orderType] ? order.orderType : 'normal';
+  const currentStatus = order.currentStatus || 'pending_payment';
+  const deny = (reason, statusCode = 400) => ({ allowed: false, reason, statusCode });
+
+  if (!ORDER_STATES[nextStatus]) {
+    return deny('Invalid status');
+  }
+
+  const actor = getActorGroup(actorRole);
+  if (!actor) {
+    return deny('You are not authorized to update order status', 403);
+  }
+
+  // Never allow international-only statuses on normal or local pre-orders
+  if (orderType !== 'preorder_international' && INTERNATIONAL_ONLY_STATUSES.has(nextStatus)) {
+    return deny('International pre-order statuses are not allowed for this order type.');
+  }
+
+  if (actor === 'driver' && !DRIVER_STATUSES.has(nextStatus)) {
+    return deny('Drivers can only report delivery progress', 403);
+  }
+
+  // Staying on the same status is an idempotent tracking update
+  if (nextStatus === currentStatus) {
+    return { allowed: true };
+  }
+
+  const allowedNext = ORDER_TRANSITIONS[orderType][currentStatus];
+  if (!allowedNext) {
+    // Legacy international orders without a flow status may only start the chain
+    if (orderType === 'preorder_international') {
+      return nextStatus === INTERNATIONAL_PREORDER_FLOW[0] || TERMINAL_STATUSES.has(nextStatus)
+        ? { allowed: true }
+        : deny(`International pre-orders must start at "${INTERNATIONAL_PREORDER_FLOW[0]}".`);
+    }
+    return { allowed: true };
+  }
+
+  if (!allowedNext.includes(nextStatus)) {
+    if (TERMINAL_STATUSES.has(currentStatus)) {
+      return deny(`Order is already ${currentStatus}; its status can no longer change.`);
+    }
+    return orderType === 'preorder_international'
+      ? deny(`Invalid status transition for international pre-order: "${currentStatus}" → "${nextStatus}" is not allowed.`)
+      : deny(`Invalid status transition: "${currentStatus}" → "${nextStatus}" is not allowed.`);
+  }
+
+  // Unpaid orders may only be cancelled. Cash-on-delivery orders are paid at the door, so
+  // their tracking has to move before payment is confirmed.
+  if (!isOrderPaid(order) && !isPayOnDelivery(order) && !TERMINAL_STATUSES.has(nextStatus)) {
+    return deny('Cannot update order status while payment is pending. You may only cancel unpaid orders.');
+  }
+
+  if (
+    orderType === 'preorder_international' &&
+    actor !== 'admin' &&
+    actor !== 'system' &&
+    INTERNATIONAL_ADMIN_ONLY_STATUSES.has(nextStatus)
+  ) {
+    return deny('Only admin can update customs, arrival, or delivered status for international pre-orders', 403);
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Map a request.user.role to the trackingHistory.updatedByRole value.
+ */
+function mapRoleToUpdatedByRole(role) {
+  if (role === 'seller' || role === 'official_store') return 'seller';
+  if (role === 'driver') return 'driver';
+  if (role === 'admin' || role === 'superadmin' || role === 'support_agent') {
+    return 'admin';
+  }
+  return 'system';
+}
+
+function mapRoleToUpdatedByModel(role) {
+  if (ACTOR_ROLES.seller.includes(role)) return 'Seller';
+  if (role === 'user' || role === 'driver') return 'User';
+  return 'Admin';
+}
+
+/**
+ * Move an order to `nextStatus` inside the caller's transaction: runs the guards, records the
+ * tracking entry, derives the legacy fields and releases stock when the order is cancelled
+ * or refunded. The caller saves the order, commits, then calls runTransitionEffects.
+ *
+ * @param {import('mongoose').Document} order - Order document loaded in `session`
+ * @param {string} nextStatus
+ * @param {Object} options
+ * @param {{ id: string, role: string }} options.actor
+ * @param {string} [options.message]
+ * @param {string} [options.location]
+ * @param {number} [options.statusVersion] - client's last seen statusVersion (409 when stale)
+ * @param {Object} [options.details] - international pre-order metadata (supplier, tracking number)
+ * @param {import('mongoose').ClientSession} [options.session]
+ * @returns {Promise<{ previousStatus: string, nextStatus: string, wasCompleted: boolean }>}
+ * @throws {AppError} 400/403 for disallowed transitions, 409 for a stale statusVersion
+ */
+async function transitionOrder(order, nextStatus, options = {}) {
+  const { actor, message, location, statusVersion, details = {}, session = null } = options;
+
+  const check = checkTransition(order, nextStatus, actor.role);
+  if (!check.allowed) {
+    throw new AppError(check.reason || 'Invalid status transition', check.statusCode || 400);
+  }
+
+  // Optimistic concurrency: reject updates based on a stale view of the order
+  if (statusVersion !== undefined && statusVersion !== null) {
+    const dbVersion = order.statusVersion ?? 0;
+    if (Number(statusVersion) !== dbVersion) {
+      throw new AppError(
+        `Order status conflict: it was updated by another user. ` +
+        `Your version (${statusVersion}) is out of date (current: ${dbVersion}). ` +
+        `Please refresh and try again.`,
+        409,
+      );
+    }
+  }
+
+  const previousStatus = order.currentStatus;
+  const wasCompleted = previousStatus === 'delivered' || order.status === 'completed';
+
+  order.currentStatus = nextStatus;
+  order.statusVersion = (order.statusVersion ?? 0) + 1;
+  if (!Array.isArray(order.trackingHistory)) {
+    order.trackingHistory = [];
+  }
+  order.trackingHistory.push({
+    status: nextStatus,
+    message: message || '',
+    location: location || '',
+    updatedBy: actor.id,
+    updatedByModel: mapRoleToUpdatedByModel(actor.role),
+    updatedByRole: mapRoleToUpdatedByRole(actor.role),
+    timestamp: new Date(),
+  });
+
+  applyLegacyStatuses(order);
+  if (ORDER_STATES[nextStatus].marksPaid && !isOrderPaid(order)) {
+    order.paymentStatus = 'completed';
+  }
+
+  if (order.orderType === 'preorder_international') {
+    if (nextStatus === 'supplier_confirmed') {
+      if (details.supplierCountry) order.supplierCountry = details.supplierCountry;
+      if (details.supplierName) order.supplierName = details.supplierName;
+      if (details.estimatedArrivalDate) {
+        order.estimatedArrivalDate = new Date(details.estimatedArrivalDate);
+      }
+    }
+    if (
+      (nextStatus === 'awaiting_dispatch' || nextStatus === 'international_shipped') &&
+      details.internationalTrackingNumber
+    ) {
+      order.internationalTrackingNumber = details.internationalTrackingNumber;
+    }
+    if (nextStatus === 'customs_clearance' && !order.customsClearedAt) {
+      order.customsClearedAt = new Date();
+    }
+  }
+
+  if (ORDER_STATES[nextStatus].releasesStock && !TERMINAL_STATUSES.has(previousStatus)) {
+    const stockReservationService = require('../stock/stockReservationService');
+    await order.populate('orderItems');
+    await stockReservationService.restoreStockForOrder(order, session);
+    logger.info(`[orderLifecycle] Stock restored for order ${order._id} (Status: ${nextStatus})`);
+  }
+
+  return { previousStatus, nextStatus, wasCompleted };
+}
+
+async function notifyStatusChange(order, nextStatus, actor, reason) {
+  const notificationService = require('../notification/notificationService');
+  const SellerOrder = require('../../models/order/sellerOrderModel');
+  const isDeliveryStep = ['out_for_delivery', 'delivery_attempted', 'delivered'].includes(nextStatus);
+
+  if (isDeliveryStep) {
+    try {
+      const pushNotificationService = require('../pushNotificationService');
+      const pushTitles = {
+        out_for_delivery: ['Order Out for Delivery', `Your order #${order.orderNumber} is out for delivery and will arrive soon!`],
+        delivery_attempted: ['Delivery Attempted', `We attempted to deliver order #${order.orderNumber}, but could not reach you.`],
+        delivered: ['Order Delivered', `Your order #${order.orderNumber} has been delivered. Thank you for shopping with us!`],
+      };
+      const [title, body] = pushTitles[nextStatus];
+      await pushNotificationService.sendOrderNotification(String(order.user), order._id, title, body, nextStatus);
+    } catch (pushError) {
+      logger.error('[orderLifecycle] Error sending push notification:', { message: pushError?.message });
+    }
+  }
+
+  try {
+    await notificationService.createOrderNotification(order.user, order._id, order.orderNumber, nextStatus);
+
+    if (nextStatus === 'confirmed' || nextStatus === 'delivered') {
+      const sellerOrders = await SellerOrder.find({ order: order._id }).select('seller').lean();
+      for (const sellerOrder of sellerOrders) {
+        if (sellerOrder.seller) {
+          await notificationService.createSellerOrderNotification(
+            sellerOrder.seller,
+            order._id,
+            order.orderNumber,
+            nextStatus,
+          );
+        }
+      }
+    }
+
+    if (isDeliveryStep) {
+      await notificationService.createDeliveryNotification(
+        order.user,
+        order._id,
+        order.trackingNumber || order.orderNumber,
+        nextStatus,
+      );
+    }
+  } catch (notificationError) {
+    logger.error('[orderLifecycle] Error creating notifications:', notificationError);
+  }
+
+  // Emails go out in the background so the response is not held up by the mail provider
+  setImmediate(async () => {
+    try {
+      const emailDispatcher = require('../../emails/emailDispatcher');
+      const User = require('../../models/user/userModel');
+
+      const buyer = await User.findById(order.user).select('name email').lean();
+      if (buyer && buyer.email) {
+        if (nextStatus === 'out_for_delivery') {
+          await emailDispatcher.sendOrderShipped(order, buyer);
+        } else if (nextStatus === 'delivered') {
+          await emailDispatcher.sendOrderDelivered(order, buyer);
+        } else if (nextStatus === 'cancelled') {
+          await emailDispatcher.sendOrderCancelledBuyer(order, buyer, actor.role, reason);
+        }
+      }
+
+      const sellerStatusEmails = ['out_for_delivery', 'delivery_attempted', 'delivered', 'refunded', 'confirmed'];
+      const sellerOrders = await SellerOrder.find({ order: order._id })
+        .populate('seller', 'email name shopName')
+        .lean();
+      for (const so of sellerOrders) {
+        const seller = so.seller;
+        if (!seller || !seller.email) continue;
+        if (nextStatus === 'cancelled') {
+          await emailDispatcher.sendOrderCancelledSeller(order, seller, reason);
+        } else if (sellerStatusEmails.includes(nextStatus)) {
+          await emailDispatcher.sendSellerOrderStatusUpdate(seller, order, nextStatus);
+        }
+      }
+    } catch (emailError) {
+      logger.error('[orderLifecycle] Error sending order status emails:', emailError.message || emailError);
+    }
+  });
+}
+
+async function refundWalletPayment(order, actor) {
+  if (order.paymentMethod !== 'credit_balance' || !isOrderPaid(order)) return;
+  const refundAmount = order.totalPrice || 0;
+  if (refundAmount <= 0) return;
+
+  const walletService = require('../walletService');
+  await walletService.creditWallet(
+    order.user,
+    refundAmount,
+    'CREDIT_REFUND',
+    `Refund for Order #${order.orderNumber}`,
+    `REFUND-${order.orderNumber}-${Date.now()}`,
+    {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      refundedBy: actor.id,
+      refundedByRole: actor.role,
+    },
+    order._id,
+  );
+  logger.info(`[orderLifecycle] Wallet refund successful: GH₵${refundAmount} credited to user ${order.user}`);
+}
+
+/**
+ * Side effects of a committed transition. Each effect is isolated: a failure is logged and
+ * never undoes the status change.
+ *
+ * @param {Object} order - the saved order
+ * @param {{ previousStatus: string, nextStatus: string, wasCompleted: boolean }} transition
+ *   - result of transitionOrder
+ * @param {Object} options
+ * @param {{ id: string, role: string }} options.actor
+ * @param {string} [options.reason] - shown in cancellation emails
+ * @param {boolean} [options.notify=true]
+ * @param {boolean} [options.syncSellerOrders=true] - false when the change rolled up from
+ *   shipments, which keep their own SellerOrder in step
+ */
+async function runTransitionEffects(
+  order,
+  transition,
+  { actor, reason = null, notify = true, syncSellerOrders = true } = {},
+) {
+  const { nextStatus, previousStatus, wasCompleted } = transition;
+  const orderService = require('./orderService');
+  const { syncSellerOrderStatus } = require('../../utils/helpers/syncSellerOrderStatus');
+
+  if (nextStatus === 'delivered' || TERMINAL_STATUSES.has(nextStatus)) {
+    try {
+      const shipmentService = require('./shipmentService');
+      await shipmentService.closeShipmentsForOrder(order._id, nextStatus, actor);
+    } catch (error) {
+      logger.error('[orderLifecycle] Error closing shipments:', error);
+    }
+    try {
+      const dispatchService = require('./dispatchService');
+      await dispatchService.closeJobsForOrder(order._id, nextStatus, actor);
+    } catch (error) {
+      logger.error('[orderLifecycle] Error closing delivery jobs:', error);
+    }
+  }
+
+  if (syncSellerOrders) {
+    try {
+      const syncResult = await syncSellerOrderStatus(order._id, nextStatus);
+      logger.info('[orderLifecycle] SellerOrder sync result:', syncResult);
+    } catch (error) {
+      logger.error('[orderLifecycle] Error syncing SellerOrder status:', error);
+    }
+  }
+
+  // creditSellerForOrder is idempotent, so it is attempted on every delivered update
+  if (nextStatus === 'delivered') {
+    try {
+      const creditResult = await orderService.creditSellerForOrder(order._id, actor.id);
+      if (!creditResult.success) {
+        logger.warn('[orderLifecycle] Seller credit failed:', creditResult.message);
+      }
+    } catch (error) {
+      logger.error('[orderLifecycle] Error crediting seller balances:', error);
+    }
+  }
+
+  // Post-delivery review requests (idempotent per order)
+  if (nextStatus === 'delivered' && previousStatus !== 'delivered') {
+    const reviewRequestService = require('../review/reviewRequestService');
+    await reviewRequestService.scheduleForOrder(order);
+  }
+
+  if (nextStatus === 'refunded' && wasCompleted) {
+    try {
+      const reversalResult = await orderService.revertSellerBalancesOnRefund(order._id, 'Order Refunded');
+      logger.info('[orderLifecycle] Seller balance reversal result:', reversalResult);
+      await refundWalletPayment(order, actor);
+    } catch (error) {
+      logger.error('[orderLifecycle] Error reverting balances on refund:', error);
+    }
+  }
+
+  if (notify && nextStatus !== previousStatus) {
+    await notifyStatusChange(order, nextStatus, actor, reason);
+  }
+}
+
+module.exports = {
+  ORDER_STATES,
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  INTERNATIONAL_PREORDER_FLOW,
+  INTERNATIONAL_ONLY_STATUSES,
+  TERMINAL_STATUSES,
+  deriveLegacyStatuses,
+  applyLegacyStatuses,
+  inferCurrentStatus,
+  isOrderPaid,
+  isPayOnDelivery,
+  checkTransition,
+  mapRoleToUpdatedByRole,
+  transitionOrder,
+  runTransitionEffects,
+};
@@ -66,10 +66,12 @@ const calculateSellerEarnings = async (sellerOrder) => {
   // 1) Determine the revenue base for the seller (items only, no shipping)
   //    - For VAT-registered sellers: subtotal is VAT-inclusive item amount seen by buyer.
   //    - For non-VAT: totalBasePrice is item revenue before VAT (platform withholds VAT).
+  //    Item discounts funded by the platform (ad campaigns) are added back: the seller is paid
+  //    as if the buyer had paid the undiscounted price.
   const isVatSeller = sellerOrder.vatCollectedBy === 'seller';
   const itemRevenue = isVatSeller
-    ? (sellerOrder.subtotal || 0)          // VAT-inclusive items
-    : (sellerOrder.totalBasePrice || 0);   // VAT-exclusive items
+    ? (sellerOrder.subtotal || 0) + (sellerOrder.platformFundedDiscount || 0)          // VAT-inclusive items
+    : (sellerOrder.totalBasePrice || 0) + (sellerOrder.platformFundedBasePrice || 0);  // VAT-exclusive items
 
   // 2) Commission is charged ONLY on item revenue (no shipping)
   const commissionAmount = Math.round(itemRevenue * commissionRate * 100) / 100;
@@ -84,15 +86,88 @@ const calculateSellerEarnings = async (sellerOrder) => {
   return Math.round(earnings * 100) / 100;
 };
 
+/**
+ * Email sellers about their credit and, unless told otherwise, the buyer about the delivery.
+ * Best-effort: failures are logged, never thrown.
+ */
+const sendDeliveryCreditEmails = async (order, balanceUpdates, { notifyBuyer = true } = {}) => {
+  try {
+    const creditBySeller = new Map();
+    for (const update of balanceUpdates) {
+      if (!update?.sellerId) continue;
+      const current = creditBySeller.get(update.sellerId) || 0;
+      creditBySeller.set(update.sellerId, current + Number(update.amount || 0));
+    }
+    const sellerIds = [...creditBySeller.keys()];
+    if (sellerIds.length > 0) {
+      const sellers = await Seller.find({ _id: { $in: sellerIds } })
+        .select('_id email name shopName')
+        .lean();
+      const sellerById = new Map(
+        sellers.map((s) => [s._id.toString(), s]),
+      );
+      const User = require('../../models/user/userModel');
+      const buyer = await User.findById(order.user)
+        .select('_id email name')
+        .lean();
+
+      setImmediate(async () => {
+        // Buyer delivery email
+        if (notifyBuyer && buyer?.email) {
+          try {
+            await emailDispatcher.sendOrderDelivered(order, buyer);
+          } catch (buyerEmailError) {
+            logger.error(
+              `[OrderService] Failed sending buyer delivered email for order ${order._id}: ${buyerEmailError?.message || buyerEmailError}`,
+            );
+          }
+        }
+
+        // Seller credit emails
+        for (const [sellerId, amount] of creditBySeller.entries()) {
+          const seller = sellerById.get(sellerId);
+          if (!seller?.email || Number(amount) <= 0) continue;
+          try {
+            await emailDispatcher.sendSellerCreditAlert(
+              seller,
+              order,
+              Math.round(Number(amount) * 100) / 100,
+            );
+          } catch (emailError) {
+            logger.error(
+              `[OrderService] Failed sending seller credit email to ${sellerId}: ${emailError?.message || emailError}`,
+            );
+          }
+        }
+      });
+    }
+  } catch (postCommitEmailError) {
+    logger.error(
+      `[OrderService] Error preparing seller credit emails for order ${order._id}: ${postCommitEmailError?.message || postCommitEmailError}`,
+    );
+  }
+};
+
 /**
  * Credit seller balance ONLY when order status is "delivered"
  * This is the ONLY place where sellers should be credited
  * Prevents double-crediting by checking sellerCredited flag
+ *
+ * With options.sellerOrderIds only those SellerOrders are credited, once their own shipment is
+ * delivered (split shipments). Order-level bookkeeping (platform stats, shipping charge,
+ * sellerCredited) waits for the unscoped call made when the whole order is delivered.
  * @param {String} orderId - Order ID
  * @param {String} updatedBy - User ID who updated the order
+ * @param {Object} [options]
+ * @param {String[]} [options.sellerOrderIds] - credit only these delivered SellerOrders
  * @returns {Promise<Object>} - Summary of balance updates
  */
-exports.creditSellerForOrder = async (orderId, updatedBy) => {
+exports.creditSellerForOrder = async (orderId, updatedBy, options = {}) => {
+  const scopedSellerOrderIds = Array.isArray(options.sellerOrderIds)
+    ? options.sellerOrderIds.map(String)
+    : null;
+  const creditScopeMetadata = scopedSellerOrderIds ? { partialFulfilment: true } : {};
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -112,8 +187,26 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
       throw new AppError('Order not found', 404);
     }
 
+    // Split shipments: each SellerOrder is credited once its own shipment is delivered
+    if (scopedSellerOrderIds) {
+      const deliveredCount = await SellerOrder.countDocuments({
+        _id: { $in: scopedSellerOrderIds },
+        order: order._id,
+        status: 'delivered',
+      }).session(session);
+      if (deliveredCount !== scopedSellerOrderIds.length) {
+        await session.abortTransaction();
+        return {
+          success: false,
+          message: 'Seller orders are not delivered yet. Sellers are only credited for delivered shipments.',
+          updates: [],
+        };
+      }
+    }
+
     // CRITICAL: Only credit when order is DELIVERED (currentStatus, or legacy orderStatus/status)
     const isDelivered =
+      Boolean(scopedSellerOrderIds) ||
       order.currentStatus === 'delivered' ||
       order.currentStatus === 'delievered' ||
       order.orderStatus === 'delievered' ||
@@ -127,7 +220,7 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
       };
     }
     // Normalize: if delivered only via legacy fields, set currentStatus so document is consistent
-    if (order.currentStatus !== 'delivered' && order.currentStatus !== 'delievered') {
+    if (!scopedSellerOrderIds && order.currentStatus !== 'delivered' && order.currentStatus !== 'delievered') {
       order.currentStatus = 'delivered';
       order.orderStatus = 'delievered';
       order.FulfillmentStatus = 'delievered';
@@ -135,11 +228,13 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
     }
 
     // Process each seller order (sellerOrder may be populated docs or IDs)
-    const sellerOrderRefs = Array.isArray(order.sellerOrder) ? order.sellerOrder : [];
+    const sellerOrderRefs = (Array.isArray(order.sellerOrder) ? order.sellerOrder : []).filter(
+      (ref) => ref && (!scopedSellerOrderIds || scopedSellerOrderIds.includes(String(ref._id || ref)))
+    );
     const sellerOrderIds = sellerOrderRefs.map((ref) => ref && (ref._id || ref)).filter(Boolean);
 
     // Prevent double-crediting: if sellerCredited is true, only skip when we have proof (a completed credit transaction)
-    if (order.sellerCredited && sellerOrderIds.length > 0) {
+    if (!scopedSellerOrderIds && order.sellerCredited && sellerOrderIds.length > 0) {
       const existingCreditCount = await Transaction.countDocuments({
         sellerOrder: { $in: sellerOrderIds },
         type: 'credit',
@@ -201,6 +296,11 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
         logger.warn(`[OrderService] Skipping credit for order ${orderId}: SellerOrder ${sellerOrderId} not found`);
         continue;
       }
+      // A cancelled split shipment earns its seller nothing
+      if (sellerOrder.status === 'cancelled') {
+        logger.info(`[OrderService] Skipping credit for order ${orderId}: SellerOrder ${sellerOrderId} is cancelled`);
+        continue;
+      }
       const rawSellerRef = sellerOrder.seller;
       if (!rawSellerRef) {
         logger.warn(`[OrderService] Skipping credit for order ${orderId}: SellerOrder ${sellerOrderId} has no seller reference`);
@@ -279,6 +379,7 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
               description: `Order Delivered (EazShop) — EazShop credited (no supplierSeller) - Order #${order.orderNumber}`,
               status: 'completed',
               metadata: {
+                ...creditScopeMetadata,
                 orderNumber: order.orderNumber,
                 platformStore: true,
                 updatedBy,
@@ -362,6 +463,7 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
             description: `Order Delivered (EazShop) — Supplier credited - Order #${order.orderNumber}`,
             status: 'completed',
             metadata: {
+              ...creditScopeMetadata,
               orderNumber: order.orderNumber,
               platformStore: true,
               updatedBy,
@@ -416,6 +518,7 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
               description: `Order Delivered (EazShop) — EazShop credited (unassigned share) - Order #${order.orderNumber}`,
               status: 'completed',
               metadata: {
+                ...creditScopeMetadata,
                 orderNumber: order.orderNumber,
                 platformStore: true,
                 updatedBy,
@@ -505,6 +608,7 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
             description: `Order Delivered — Seller Earnings Credited - Order #${order.orderNumber}`,
             status: 'completed',
             metadata: {
+              ...creditScopeMetadata,
               orderNumber: order.orderNumber,
               subtotal: sellerOrder.subtotal,
               basePrice: sellerOrder.totalBasePrice || 0,
@@ -582,9 +686,34 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
       logger.info(`[OrderService] Credited ${sellerEarnings} to seller ${sellerId} for order ${orderId}`);
     }
 
+    // Split-shipment credit: the order itself is not delivered yet, so stop at the seller credits
+    if (scopedSellerOrderIds) {
+      await session.commitTransaction();
+      await sendDeliveryCreditEmails(order, balanceUpdates, { notifyBuyer: false });
+      return {
+        success: balanceUpdates.length > 0,
+        message: balanceUpdates.length > 0
+          ? `Updated balances for ${balanceUpdates.length} seller(s)`
+          : 'No sellers were credited (already credited, zero earnings, or seller not found)',
+        updates: balanceUpdates,
+      };
+    }
+
+    // Sellers already credited per delivered shipment still count towards this order's payouts
+    const partialCredits = await Transaction.find({
+      order: order._id,
+      type: 'credit',
+      status: 'completed',
+      'metadata.partialFulfilment': true,
+    })
+      .select('amount')
+      .session(session)
+      .lean();
+    const partialCreditTotal = partialCredits.reduce((sum, tx) => sum + (tx.amount || 0), 0);
+
     // Only mark order as seller credited if we actually credited at least one seller
     // Otherwise backfill (or retry) can credit later; do not set sellerCredited so it stays eligible
-    const noSellersCredited = balanceUpdates.length === 0;
+    const noSellersCredited = balanceUpdates.length === 0 && partialCredits.length === 0;
     if (noSellersCredited) {
       logger.warn(`[OrderService] No sellers were credited for order ${orderId} (all skipped: already credited, zero earnings, or seller not found). Order left unmarked so backfill can retry.`);
       // IMPORTANT: Do NOT abort here — we still need to record shipping revenue for the platform.
@@ -598,7 +727,9 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
     }
 
     // Calculate total seller payouts for this order
-    const totalSellerPayouts = noSellersCredited ? 0 : balanceUpdates.reduce((sum, update) => sum + update.amount, 0);
+    const totalSellerPayouts = noSellersCredited
+      ? 0
+      : balanceUpdates.reduce((sum, update) => sum + update.amount, 0) + partialCreditTotal;
 
     // Revenue should already be added at payment time (not at delivery)
     // Only increment delivered orders count and products sold here
@@ -723,61 +854,7 @@ exports.creditSellerForOrder = async (orderId, updatedBy) => {
     await session.commitTransaction();
 
     // Post-commit: send seller credit emails (best-effort, non-blocking).
-    try {
-      const creditBySeller = new Map();
-      for (const update of balanceUpdates) {
-        if (!update?.sellerId) continue;
-        const current = creditBySeller.get(update.sellerId) || 0;
-        creditBySeller.set(update.sellerId, current + Number(update.amount || 0));
-      }
-      const sellerIds = [...creditBySeller.keys()];
-      if (sellerIds.length > 0) {
-        const sellers = await Seller.find({ _id: { $in: sellerIds } })
-          .select('_id email name shopName')
-          .lean();
-        const sellerById = new Map(
-          sellers.map((s) => [s._id.toString(), s]),
-        );
-        const User = require('../../models/user/userModel');
-        const buyer = await User.findById(order.user)
-          .select('_id email name')
-          .lean();
-
-        setImmediate(async () => {
-          // Buyer delivery email
-          if (buyer?.email) {
-            try {
-              await emailDispatcher.sendOrderDelivered(order, buyer);
-            } catch (buyerEmailError) {
-              logger.error(
-                `[OrderService] Failed sending buyer delivered email for order ${orderId}: ${buyerEmailError?.message || buyerEmailError}`,
-              );
-            }
-          }
-
-          // Seller credit emails
-          for (const [sellerId, amount] of creditBySeller.entries()) {
-            const seller = sellerById.get(sellerId);
-            if (!seller?.email || Number(amount) <= 0) continue;
-            try {
-              await emailDispatcher.sendSellerCreditAlert(
-                seller,
-                order,
-                Math.round(Number(amount) * 100) / 100,
-              );
-            } catch (emailError) {
-              logger.error(
-                `[OrderService] Failed sending seller credit email to ${sellerId}: ${emailError?.message || emailError}`,
-              );
-            }
-          }
-        });
-      }
-    } catch (postCommitEmailError) {
-      logger.error(
-        `[OrderService] Error preparing seller credit emails for order ${orderId}: ${postCommitEmailError?.message || postCommitEmailError}`,
-      );
-    }
+    await sendDeliveryCreditEmails(order, balanceUpdates);
 
     // After commit: re-fetch sellers and log balance so we verify persistence (no session)
     for (const u of balanceUpdates) {
@@ -0,0 +1,272 @@
+const logger = require('../../utils/logger');
+const { haversineDistance } = require('../../utils/haversine');
+const { getDistanceKm } = require('../distanceService');
+
+/**
+ * orderTrackingRealtimeService.js
+ * Pushes order tracking to the `/order-tracking` Socket.io namespace
+ * (sockets/orderTrackingSocketHandler.js):
+ *
+ * - `tracking:update` whenever an order's trackingHistory changes (Order post-save hook;
+ *   saves inside a transaction publish once the transaction commits)
+ * - `tracking:driver_location` when updateDriverLocation records a position, throttled per
+ *   order, with an ETA from distanceService (Google), or a straight-line estimate without it
+ *
+ * Rooms: `order:<id>` (buyer, assigned driver), `seller-order:<id>` (seller) and `admins`.
+ * Without an attached namespace (scripts, tests, workers) every publish is a no-op.
+ */
+
+const ROOMS = {
+  admins: 'admins',
+  order: (orderId) => `order:${orderId}`,
+  sellerOrder: (sellerOrderId) => `seller-order:${sellerOrderId}`,
+};
+
+const LOCATION_THROTTLE_MS = parseInt(process.env.TRACKING_LOCATION_THROTTLE_MS || '5000', 10);
+const ETA_REFRESH_MS = parseInt(process.env.TRACKING_ETA_REFRESH_MS || '60000', 10);
+// A rider who moved this far since the last ETA gets a fresh one before ETA_REFRESH_MS
+const ETA_REFRESH_DISTANCE_KM = 0.5;
+// City riding speed for the straight-line fallback
+const FALLBACK_SPEED_KMH = 25;
+// Orders that leave these statuses stop getting live location or ETA
+const LIVE_STATUSES = new Set(['out_for_delivery', 'delivery_attempted', 'local_dispatch']);
+
+let namespace = null;
+
+/**
+ * @param {import('socket.io').Namespace|null} nsp
+ */
+function attachNamespace(nsp) {
+  namespace = nsp;
+}
+
+/**
+ * Returns `allow(key, now)`: true at most once per `intervalMs` for each key. Pure apart from
+ * its own map.
+ */
+function createThrottle(intervalMs) {
+  const last = new Map();
+  const allow = (key, now = Date.now()) => {
+    const previous = last.get(key);
+    if (previous !== undefined && now - previous < intervalMs) return false;
+    last.set(key, now);
+    return true;
+  };
+  allow.clear = (key) => last.delete(key);
+  return allow;
+}
+
+const allowLocationEmit = createThrottle(LOCATION_THROTTLE_MS);
+const etaCache = new Map(); // orderId → { eta, lat, lng, computedAt }
+
+/**
+ * Straight-line ETA for when the routing API is unavailable. Pure.
+ * @returns {{ distanceKm: number, durationSeconds: number }}
+ */
+function estimateEtaFromDistance(distanceKm, speedKmh = FALLBACK_SPEED_KMH) {
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    durationSeconds: Math.round((distanceKm / speedKmh) * 3600),
+  };
+}
+
+/**
+ * Whether a cached ETA is still good for the rider's new position. Pure.
+ */
+function isEtaFresh(cached, lat, lng, now = Date.now()) {
+  if (!cached) return false;
+  if (now - cached.computedAt >= ETA_REFRESH_MS) return false;
+  return haversineDistance(cached.lat, cached.lng, lat, lng) < ETA_REFRESH_DISTANCE_KM;
+}
+
+async function resolveDestination(order) {
+  const address = order.shippingAddress || {};
+  const lat = Number(address.lat ?? address.latitude);
+  const lng = Number(address.lng ?? address.longitude);
+  if (Number.isFinite(lat) && Number.isFinite(lng) && (lat !== 0 || lng !== 0)) {
+    return { lat, lng };
+  }
+  if (order.neighborhood) {
+    const Neighborhood = require('../../models/shipping/neighborhoodModel');
+    const neighborhood = await Neighborhood.findById(order.neighborhood._id || order.neighborhood)
+      .select('lat lng')
+      .lean();
+    if (neighborhood && Number.isFinite(neighborhood.lat) && Number.isFinite(neighborhood.lng)) {
+      return { lat: neighborhood.lat, lng: neighborhood.lng };
+    }
+  }
+  return null;
+}
+
+/**
+ * ETA from the rider's position to the delivery address, cached per order.
+ * @returns {Promise<{ etaAt: Date, durationSeconds: number, distanceKm: number, source: string }|null>}
+ */
+async function getEta(order, { lat, lng }) {
+  const orderId = String(order._id);
+  const cached = etaCache.get(orderId);
+  if (isEtaFresh(cached, lat, lng)) return cached.eta;
+
+  const destination = await resolveDestination(order);
+  if (!destination) return null;
+
+  let route;
+  let source = 'maps';
+  try {
+    route = await getDistanceKm(lat, lng, destination.lat, destination.lng);
+  } catch (error) {
+    logger.debug(`[orderTracking] Routing unavailable for order ${orderId}: ${error.message}`);
+    route = estimateEtaFromDistance(haversineDistance(lat, lng, destination.lat, destination.lng));
+    source = 'estimate';
+  }
+
+  const eta = {
+    etaAt: new Date(Date.now() + route.durationSeconds * 1000),
+    durationSeconds: route.durationSeconds,
+    distanceKm: route.distanceKm,
+    source,
+  };
+  etaCache.set(orderId, { eta, lat, lng, computedAt: Date.now() });
+  return eta;
+}
+
+function getCachedEta(orderId) {
+  return etaCache.get(String(orderId))?.eta || null;
+}
+
+function forgetOrder(orderId) {
+  etaCache.delete(String(orderId));
+  allowLocationEmit.clear(String(orderId));
+}
+
+/**
+ * Latest tracking step of an order as sent to clients. Pure.
+ */
+function buildTrackingUpdate(order) {
+  const history = order.trackingHistory || [];
+  const latest = history[history.length - 1];
+  return {
+    orderId: String(order._id),
+    orderNumber: order.orderNumber,
+    trackingNumber: order.trackingNumber || null,
+    currentStatus: order.currentStatus,
+    statusVersion: order.statusVersion ?? 0,
+    fulfilment: order.fulfilment || null,
+    entry: latest
+      ? {
+          status: latest.status,
+          message: latest.message || '',
+          location: latest.location || '',
+          updatedByRole: latest.updatedByRole || 'system',
+          timestamp: latest.timestamp,
+        }
+      : null,
+  };
+}
+
+function publishTrackingUpdate(order) {
+  if (!namespace) return;
+  const payload = buildTrackingUpdate(order);
+  namespace.to(ROOMS.order(payload.orderId)).to(ROOMS.admins).emit('tracking:update', payload);
+
+  // Sellers follow the order through their own SellerOrder
+  for (const ref of order.sellerOrder || []) {
+    const sellerOrderId = String(ref._id || ref);
+    namespace.to(ROOMS.sellerOrder(sellerOrderId)).emit('tracking:update', { ...payload, sellerOrderId });
+  }
+
+  if (!LIVE_STATUSES.has(order.currentStatus)) {
+    forgetOrder(payload.orderId);
+  }
+}
+
+async function publishDriverLocation(order) {
+  if (!namespace || !order.driverLocation || order.driverLocation.lat == null) return;
+  const orderId = String(order._id);
+  if (!allowLocationEmit(orderId)) return;
+
+  const { lat, lng, lastUpdated } = order.driverLocation;
+  let eta = null;
+  if (LIVE_STATUSES.has(order.currentStatus)) {
+    try {
+      eta = await getEta(order, { lat, lng });
+    } catch (error) {
+      logger.error('[orderTracking] Error computing ETA:', error);
+    }
+  }
+
+  namespace.to(ROOMS.order(orderId)).to(ROOMS.admins).emit('tracking:driver_location', {
+    orderId,
+    lat,
+    lng,
+    lastUpdated,
+    eta,
+  });
+}
+
+function publishChanges(order, { tracking, driverLocation }) {
+  try {
+    if (tracking) publishTrackingUpdate(order);
+    if (driverLocation) {
+      publishDriverLocation(order).catch((error) =>
+        logger.error('[orderTracking] Error publishing driver location:', error),
+      );
+    }
+  } catch (error) {
+    logger.error('[orderTracking] Error publishing tracking update:', error);
+  }
+}
+
+// Saves made inside a transaction wait for it: session → Map(orderId → { order, changes })
+const pendingBySession = new WeakMap();
+
+/**
+ * Publish what changed on a saved order, after its transaction (if any) commits.
+ * Called from the Order post-save hook.
+ * @param {import('mongoose').Document} order
+ * @param {{ tracking?: boolean, driverLocation?: boolean }} changes
+ */
+function publishAfterCommit(order, changes) {
+  if (!namespace || (!changes.tracking && !changes.driverLocation)) return;
+
+  const session = typeof order.$session === 'function' ? order.$session() : null;
+  if (!session || !session.inTransaction()) {
+    publishChanges(order, changes);
+    return;
+  }
+
+  let pending = pendingBySession.get(session);
+  if (!pending) {
+    pending = new Map();
+    pendingBySession.set(session, pending);
+    session.once('ended', () => {
+      pendingBySession.delete(session);
+      if (!session.transaction?.isCommitted) return;
+      for (const { order: saved, changes: merged } of pending.values()) {
+        publishChanges(saved, merged);
+      }
+    });
+  }
+  const key = String(order._id);
+  const previous = pending.get(key)?.changes || {};
+  pending.set(key, {
+    order,
+    changes: {
+      tracking: Boolean(previous.tracking || changes.tracking),
+      driverLocation: Boolean(previous.driverLocation || changes.driverLocation),
+    },
+  });
+}
+
+module.exports = {
+  ROOMS,
+  attachNamespace,
+  createThrottle,
+  estimateEtaFromDistance,
+  isEtaFresh,
+  buildTrackingUpdate,
+  getCachedEta,
+  publishTrackingUpdate,
+  publishDriverLocation,
+  publishAfterCommit,
+};
@@ -0,0 +1,438 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/order/orderModel');
+const SellerOrder = require('../../models/order/sellerOrderModel');
+const Shipment = require('../../models/order/shipmentModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { generateTrackingNumber } = require('./shippingService');
+const { mapOrderStatusToSellerOrderStatus } = require('../../utils/helpers/syncSellerOrderStatus');
+const orderLifecycleService = require('./orderLifecycleService');
+
+/**
+ * shipmentService.js
+ * Split shipments: every SellerOrder ships as its own Shipment with a tracking number,
+ * timeline and delivery proof. A delivered shipment credits its seller straight away;
+ * the parent order status rolls up from all shipments through the order lifecycle.
+ *
+ * Shipments are created lazily (ensureShipmentsForOrder) so orders placed before split
+ * shipments existed pick them up the first time anyone looks.
+ */
+
+// Progress rank of each shipment status; the parent order follows the least advanced shipment
+const SHIPMENT_RANK = {
+  pending: 0,
+  preparing: 1,
+  ready_for_dispatch: 2,
+  out_for_delivery: 3,
+  delivery_attempted: 4,
+  delivered: 5,
+};
+
+const SHIPMENT_STATUSES = [...Object.keys(SHIPMENT_RANK), 'cancelled'];
+
+const SHIPMENT_TRANSITIONS = {
+  pending: ['preparing', 'ready_for_dispatch', 'out_for_delivery', 'delivered', 'cancelled'],
+  preparing: ['ready_for_dispatch', 'out_for_delivery', 'delivered', 'cancelled'],
+  ready_for_dispatch: ['out_for_delivery', 'delivered', 'cancelled'],
+  out_for_delivery: ['delivery_attempted', 'delivered', 'cancelled'],
+  delivery_attempted: ['out_for_delivery', 'delivered', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+};
+
+const SHIPPED_RANK = SHIPMENT_RANK.out_for_delivery;
+
+const isAdminRole = (role) => ['admin', 'superadmin'].includes(role);
+const isSellerRole = (role) => ['seller', 'official_store'].includes(role);
+
+/**
+ * Whether `actor` may move `shipment` to `nextStatus`. Pure.
+ * @param {Object} shipment - needs status and seller
+ * @param {string} nextStatus
+ * @param {{ id: string, role: string }} actor
+ * @param {Object} order - needs orderType, paymentStatus, paymentMethod
+ * @param {Object} [deliveryProof]
+ * @returns {{ allowed: boolean, reason?: string, statusCode?: number }}
+ */
+function checkShipmentTransition(shipment, nextStatus, actor, order, deliveryProof) {
+  const deny = (reason, statusCode = 400) => ({ allowed: false, reason, statusCode });
+  const isAdmin = isAdminRole(actor.role);
+
+  if (!SHIPMENT_STATUSES.includes(nextStatus)) {
+    return deny('Invalid shipment status');
+  }
+  if (!isAdmin && !(isSellerRole(actor.role) && String(shipment.seller) === String(actor.id))) {
+    return deny('You can only update your own shipments', 403);
+  }
+  if (nextStatus === shipment.status) {
+    return { allowed: true };
+  }
+  if (!SHIPMENT_TRANSITIONS[shipment.status]?.includes(nextStatus)) {
+    return deny(`Invalid shipment status transition: "${shipment.status}" → "${nextStatus}" is not allowed.`);
+  }
+  if (nextStatus === 'cancelled' && !isAdmin) {
+    return deny('Only admin can cancel a shipment', 403);
+  }
+  if (!orderLifecycleService.isOrderPaid(order) && !orderLifecycleService.isPayOnDelivery(order)) {
+    return deny('Cannot update shipments while payment is pending. Cancel the whole order instead.');
+  }
+  if (nextStatus === 'delivered') {
+    if (order.orderType === 'preorder_international' && !isAdmin) {
+      return deny('Only admin can update customs, arrival, or delivered status for international pre-orders', 403);
+    }
+    const proof = deliveryProof || {};
+    if (!isAdmin && !proof.recipientName && !proof.photoUrl && !proof.signatureUrl) {
+      return deny('Delivery proof is required: recipient name, photo or signature');
+    }
+  }
+  return { allowed: true };
+}
+
+/**
+ * Roll shipments up into the parent order. Pure.
+ * @param {Array<{ status: string }>} shipments
+ * @returns {{ targetStatus: string|null, fulfilment: Object }} targetStatus is the order status
+ *   the shipments imply (null while any shipment is still pending)
+ */
+function rollupShipments(shipments) {
+  const active = shipments.filter((s) => s.status !== 'cancelled');
+  const shipped = active.filter((s) => SHIPMENT_RANK[s.status] >= SHIPPED_RANK).length;
+  const delivered = active.filter((s) => s.status === 'delivered').length;
+
+  const fulfilment = {
+    shipments: shipments.length,
+    shipped,
+    delivered,
+    cancelled: shipments.length - active.length,
+    partiallyShipped: shipped > 0 && shipped < active.length,
+  };
+
+  if (shipments.length === 0) return { targetStatus: null, fulfilment };
+  if (active.length === 0) return { targetStatus: 'cancelled', fulfilment };
+
+  const leastAdvanced = active.reduce((least, s) =>
+    SHIPMENT_RANK[s.status] < SHIPMENT_RANK[least.status] ? s : least
+  );
+  return {
+    targetStatus: leastAdvanced.status === 'pending' ? null : leastAdvanced.status,
+    fulfilment,
+  };
+}
+
+/**
+ * Shipment status to start from for orders that were already moving before shipments existed.
+ */
+function initialShipmentStatus(orderStatus, sellerOrderStatus) {
+  if (orderStatus === 'refunded' || sellerOrderStatus === 'cancelled') return 'cancelled';
+  if (sellerOrderStatus === 'delivered') return 'delivered';
+  return SHIPMENT_STATUSES.includes(orderStatus) ? orderStatus : 'pending';
+}
+
+/**
+ * Create the missing shipment of each SellerOrder in the order.
+ * @returns {Promise<Object[]>} all shipments of the order
+ */
+async function ensureShipmentsForOrder(orderId) {
+  const order = await Order.findById(orderId).select('currentStatus').lean();
+  if (!order) throw new AppError('Order not found', 404);
+
+  const [sellerOrders, existing] = await Promise.all([
+    SellerOrder.find({ order: orderId }).select('seller items status').lean(),
+    Shipment.find({ order: orderId }).select('sellerOrder').lean(),
+  ]);
+  const covered = new Set(existing.map((s) => String(s.sellerOrder)));
+
+  // Upsert on sellerOrder so concurrent first reads cannot create two shipments
+  const upserts = sellerOrders
+    .filter((so) => !covered.has(String(so._id)))
+    .map((so) => {
+      const status = initialShipmentStatus(order.currentStatus, so.status);
+      return {
+        updateOne: {
+          filter: { sellerOrder: so._id },
+          update: {
+            $setOnInsert: {
+              order: orderId,
+              sellerOrder: so._id,
+              seller: so.seller,
+              items: so.items,
+              trackingNumber: generateTrackingNumber(),
+              status,
+              timeline: [{ status, message: 'Shipment created', updatedByModel: 'System', timestamp: new Date() }],
+            },
+          },
+          upsert: true,
+        },
+      };
+    });
+  if (upserts.length > 0) {
+    await Shipment.bulkWrite(upserts, { ordered: false });
+  }
+
+  return Shipment.find({ order: orderId }).sort({ createdAt: 1 }).lean();
+}
+
+/**
+ * Order item ids in individually cancelled shipments (their stock has already been restored).
+ */
+async function getCancelledShipmentItemIds(orderId, session = null) {
+  const cancelled = await Shipment.find({ order: orderId, status: 'cancelled' })
+    .select('items')
+    .session(session)
+    .lean();
+  return new Set(cancelled.flatMap((s) => s.items.map(String)));
+}
+
+/**
+ * Recompute the order's fulfilment summary from its shipments and move the order along the
+ * lifecycle when the shipments imply a later status. Moves the lifecycle does not allow
+ * (e.g. backwards after an admin advanced the whole order) are left alone.
+ */
+async function rollupOrder(orderId, actor) {
+  const shipments = await Shipment.find({ order: orderId }).select('status').lean();
+  const { targetStatus, fulfilment } = rollupShipments(shipments);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let order;
+  let transition = null;
+  try {
+    order = await Order.findById(orderId).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    order.fulfilment = fulfilment;
+    if (
+      targetStatus &&
+      targetStatus !== order.currentStatus &&
+      orderLifecycleService.checkTransition(order, targetStatus, actor.role).allowed
+    ) {
+      const message = targetStatus === 'cancelled'
+        ? 'All shipments cancelled'
+        : `${fulfilment.delivered} of ${fulfilment.shipments - fulfilment.cancelled} shipment(s) delivered`;
+      transition = await orderLifecycleService.transitionOrder(order, targetStatus, {
+        actor,
+        message,
+        session,
+      });
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (transition) {
+    // Shipments already set their own SellerOrder status
+    await orderLifecycleService.runTransitionEffects(order, transition, { actor, syncSellerOrders: false });
+  }
+  return { currentStatus: order.currentStatus, fulfilment, transition };
+}
+
+/**
+ * Move one shipment along, with its SellerOrder; then credit the seller if it was delivered
+ * and roll the parent order up.
+ *
+ * @param {string} shipmentId
+ * @param {Object} update - status plus optional message, location, carrier, carrierTrackingNumber,
+ *   trackingUrl and deliveryProof ({ recipientName, photoUrl, signatureUrl, notes })
+ * @param {{ id: string, role: string }} actor
+ * @returns {Promise<{ shipment: Object, order: Object|null }>}
+ * @throws {AppError} 404 unknown shipment, 400/403 disallowed transition
+ */
+async function updateShipmentStatus(shipmentId, update, actor) {
+  const { status, message, location, deliveryProof } = update;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let shipment;
+  let order;
+  let previousStatus;
+  try {
+    shipment = await Shipment.findById(shipmentId).session(session);
+    if (!shipment) throw new AppError('Shipment not found', 404);
+
+    order = await Order.findById(shipment.order)
+      .select('user orderNumber orderType paymentStatus paymentMethod')
+      .session(session)
+      .lean();
+    if (!order) throw new AppError('Order not found', 404);
+
+    const check = checkShipmentTransition(shipment, status, actor, order, deliveryProof);
+    if (!check.allowed) throw new AppError(check.reason, check.statusCode);
+
+    previousStatus = shipment.status;
+    const now = new Date();
+    const updatedByModel = isAdminRole(actor.role) ? 'Admin' : 'Seller';
+
+    for (const field of ['carrier', 'carrierTrackingNumber', 'trackingUrl']) {
+      if (typeof update[field] === 'string') shipment[field] = update[field].trim();
+    }
+
+    shipment.status = status;
+    shipment.timeline.push({
+      status,
+      message: message || '',
+      location: location || '',
+      updatedBy: actor.id,
+      updatedByModel,
+      timestamp: now,
+    });
+    if (status === 'out_for_delivery' && !shipment.dispatchedAt) shipment.dispatchedAt = now;
+    if (status === 'delivered' && previousStatus !== 'delivered') {
+      shipment.deliveredAt = now;
+      if (deliveryProof) {
+        shipment.deliveryProof = {
+          recipientName: deliveryProof.recipientName,
+          photoUrl: deliveryProof.photoUrl,
+          signatureUrl: deliveryProof.signatureUrl,
+          notes: deliveryProof.notes,
+          recordedBy: actor.id,
+          recordedByModel: updatedByModel,
+          recordedAt: now,
+        };
+      }
+    }
+
+    // Cancelling one seller's part returns its stock (and deal usage) now; the rest of the order carries on
+    if (status === 'cancelled' && previousStatus !== 'cancelled') {
+      shipment.cancelledAt = now;
+      const OrderItem = require('../../models/order/OrderItemModel');
+      const stockService = require('../stock/stockService');
+      const pricingEngine = require('../pricing/pricingEngine');
+      const items = await OrderItem.find({ _id: { $in: shipment.items } }).session(session).lean();
+      await stockService.restoreOrderStock(items, session);
+      await pricingEngine.releaseRuleUsage(items, { session });
+    }
+
+    await shipment.save({ session });
+    await SellerOrder.updateOne(
+      { _id: shipment.sellerOrder },
+      { $set: { status: mapOrderStatusToSellerOrderStatus(status) } },
+      { session },
+    );
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (status === previousStatus) {
+    return { shipment: shipment.toObject(), order: null };
+  }
+
+  // The delivered shipment is this seller's credit trigger; creditSellerForOrder is idempotent
+  if (status === 'delivered' && !shipment.sellerCredited) {
+    try {
+      const orderService = require('./orderService');
+      const creditResult = await orderService.creditSellerForOrder(shipment.order, actor.id, {
+        sellerOrderIds: [shipment.sellerOrder],
+      });
+      if (creditResult.success) {
+        shipment.sellerCredited = true;
+        shipment.sellerCreditedAt = new Date();
+        await Shipment.updateOne(
+          { _id: shipment._id },
+          { $set: { sellerCredited: true, sellerCreditedAt: shipment.sellerCreditedAt } },
+        );
+      } else {
+        logger.warn('[shipmentService] Seller credit skipped:', creditResult.message);
+      }
+    } catch (error) {
+      logger.error('[shipmentService] Error crediting seller for shipment:', error);
+    }
+  }
+
+  const rollup = await rollupOrder(shipment.order, actor);
+
+  // Per-shipment delivery updates only matter to the buyer when the order is split;
+  // single-shipment orders are announced by the order status change itself
+  if (
+    rollup?.fulfilment.shipments > 1 &&
+    ['out_for_delivery', 'delivery_attempted', 'delivered'].includes(status)
+  ) {
+    try {
+      const notificationService = require('../notification/notificationService');
+      await notificationService.createDeliveryNotification(order.user, order._id, shipment.trackingNumber, status);
+    } catch (error) {
+      logger.error('[shipmentService] Error creating shipment notification:', error);
+    }
+  }
+
+  return { shipment: shipment.toObject(), order: rollup };
+}
+
+/**
+ * Bring open shipments in line when the whole order is delivered, cancelled or refunded from
+ * the order-level endpoints.
+ */
+async function closeShipmentsForOrder(orderId, orderStatus, actor) {
+  const status = orderStatus === 'delivered' ? 'delivered' : 'cancelled';
+  const now = new Date();
+  const result = await Shipment.updateMany(
+    { order: orderId, status: { $nin: ['delivered', 'cancelled'] } },
+    {
+      $set: { status, ...(status === 'delivered' ? { deliveredAt: now } : { cancelledAt: now }) },
+      $push: {
+        timeline: {
+          status,
+          message: `Order ${orderStatus}`,
+          updatedBy: actor.id,
+          updatedByModel: isSellerRole(actor.role) ? 'Seller' : actor.role === 'driver' ? 'User' : 'Admin',
+          timestamp: now,
+        },
+      },
+    },
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Shipments of an order as the caller may see them: buyers and admins get all, sellers their own.
+ */
+async function getShipmentsForOrder(orderId, user) {
+  const order = await Order.findById(orderId).select('user').lean();
+  if (!order) throw new AppError('Order not found', 404);
+
+  const isAdmin = isAdminRole(user.role) || user.role === 'support_agent';
+  const isSeller = isSellerRole(user.role);
+  const isOwner = String(order.user) === String(user.id);
+  if (!isAdmin && !isSeller && !isOwner) {
+    throw new AppError('You are not authorized to view this order', 403);
+  }
+
+  const shipments = await ensureShipmentsForOrder(orderId);
+  if (isSeller && !isAdmin) {
+    const own = shipments.filter((s) => String(s.seller) === String(user.id));
+    if (own.length === 0) {
+      throw new AppError('You can only view shipments for orders containing your products', 403);
+    }
+    return own;
+  }
+  return shipments;
+}
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  checkShipmentTransition,
+  rollupShipments,
+  initialShipmentStatus,
+  ensureShipmentsForOrder,
+  getCancelledShipmentItemIds,
+  rollupOrder,
+  updateShipmentStatus,
+  closeShipmentsForOrder,
+  getShipmentsForOrder,
+};
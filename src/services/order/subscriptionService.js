@@ -0,0 +1,653 @@
+const { EventEmitter } = require('events');
+const Subscription = require('../../models/order/subscriptionModel');
+const Order = require('../../models/order/orderModel');
+const Product = require('../../models/product/productModel');
+const Address = require('../../models/user/addressModel');
+const User = require('../../models/user/userModel');
+const { paystackApi, PAYSTACK_ENDPOINTS } = require('../../config/paystack');
+const { enqueue } = require('../jobs/jobQueueService');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * subscriptionService.js
+ * Recurring orders for subscription products. Renewal orders go through the regular
+ * orderController.createOrder pipeline (pricing, VAT, promos, shipping, stock) and are
+ * paid from the wallet (createOrder debits it for credit_balance) or by charging the
+ * Paystack card authorization captured on the first payment. Failed renewals follow a
+ * dunning schedule with an email per attempt before the subscription is cancelled.
+ */
+
+const SUBSCRIPTION_RENEWAL_QUEUE = 'subscription-renewal';
+const SUBSCRIPTION_SWEEP_QUEUE = 'subscription-renewal-sweep';
+const INTERVALS = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const PAYMENT_METHODS = ['credit_balance', 'paystack'];
+// Days to wait before each retry of a failed renewal; once exhausted the subscription is cancelled
+const DUNNING_RETRY_DAYS = (process.env.SUBSCRIPTION_RETRY_DAYS || '1,3,5')
+  .split(',')
+  .map((d) => parseInt(d, 10))
+  .filter((d) => d > 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add `count` months, clamping to the last day of the target month (Jan 31 + 1 month = Feb 28/29).
+ */
+function addMonths(date, count) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + count);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Date of the next renewal after `from`.
+ * @param {Date} from
+ * @param {'daily'|'weekly'|'monthly'|'quarterly'|'yearly'} interval
+ * @param {number} [intervalCount=1]
+ * @returns {Date}
+ */
+function computeNextRenewalDate(from, interval, intervalCount = 1) {
+  const count = Math.max(1, intervalCount || 1);
+  const start = new Date(from);
+  switch (interval) {
+    case 'daily':
+      return new Date(start.getTime() + count * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + count * 7 * DAY_MS);
+    case 'monthly':
+      return addMonths(start, count);
+    case 'quarterly':
+      return addMonths(start, count * 3);
+    case 'yearly':
+      return addMonths(start, count * 12);
+    default:
+      throw new Error(`Unknown subscription interval: ${interval}`);
+  }
+}
+
+/**
+ * When to retry after the given number of consecutive failures.
+ * @returns {Date|null} null when the retry budget is exhausted
+ */
+function getDunningRetryDate(failedAttempts, now = new Date()) {
+  const days = DUNNING_RETRY_DAYS[failedAttempts - 1];
+  return days ? new Date(now.getTime() + days * DAY_MS) : null;
+}
+
+/**
+ * Next renewal strictly in the future, anchored on the previous schedule so dates do not drift.
+ */
+function advanceRenewalDate(subscription, now = new Date()) {
+  let next = computeNextRenewalDate(
+    subscription.nextRenewalAt || now,
+    subscription.interval,
+    subscription.intervalCount,
+  );
+  while (next <= now) {
+    next = computeNextRenewalDate(next, subscription.interval, subscription.intervalCount);
+  }
+  return next;
+}
+
+/**
+ * Run orderController.createOrder for a subscription, exactly as the checkout route does.
+ * Resolves with the created order, rejects with the pipeline's AppError.
+ */
+function placeSubscriptionOrder(subscription, user) {
+  const orderController = require('../../controllers/shared/orderController');
+
+  const body = {
+    orderItems: [{
+      product: subscription.product.toString(),
+      sku: subscription.sku,
+      quantity: subscription.quantity,
+    }],
+    address: subscription.address.toString(),
+    paymentMethod: subscription.paymentMethod,
+    deliveryMethod: subscription.deliveryMethod,
+    pickupCenterId: subscription.pickupCenterId ? subscription.pickupCenterId.toString() : null,
+    deliverySpeed: subscription.deliverySpeed,
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = {
+      method: 'POST',
+      originalUrl: '/internal/subscriptions/order',
+      headers: { 'x-platform': 'subscription' },
+      user: {
+        id: user._id.toString(),
+        _id: user._id,
+        email: user.email,
+        name: user.name,
+        role: 'user',
+      },
+      body,
+      subscription,
+    };
+
+    // createOrder sends its post-response emails on 'finish', so emit it like Express does
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (payload) => {
+      if (res.statusCode >= 400) {
+        reject(new AppError(payload?.message || 'Could not create subscription order', res.statusCode));
+      } else {
+        resolve(payload.data.order);
+      }
+      setImmediate(() => res.emit('finish'));
+      return res;
+    };
+
+    orderController.createOrder(req, res, (error) => {
+      reject(error || new AppError('Could not create subscription order', 500));
+    });
+  });
+}
+
+/**
+ * Charge the saved Paystack card for a renewal order.
+ * @returns {Promise<{ status: 'success'|'pending'|'failed', reason?: string, reference: string }>}
+ */
+async function chargeSavedCard(subscription, order, user) {
+  const reference = `SUB-${subscription._id}-${order.orderNumber}`;
+  const authorization = subscription.paystackAuthorization || {};
+  if (!authorization.authorizationCode || authorization.reusable === false) {
+    return { status: 'failed', reason: 'No reusable card on file for this subscription', reference };
+  }
+
+  await Order.updateOne({ _id: order._id }, { $set: { paymentReference: reference } });
+
+  try {
+    const response = await paystackApi.post(PAYSTACK_ENDPOINTS.CHARGE_AUTHORIZATION, {
+      authorization_code: authorization.authorizationCode,
+      email: authorization.email || user.email,
+      amount: Math.round((order.totalPrice || 0) * 100),
+      reference,
+      metadata: {
+        orderId: order._id.toString(),
+        subscriptionId: subscription._id.toString(),
+        type: 'subscription_renewal',
+      },
+    });
+    const data = response.data?.data || {};
+    if (data.status === 'success') return { status: 'success', reference };
+    if (['pending', 'ongoing', 'processing'].includes(data.status)) return { status: 'pending', reference };
+    return {
+      status: 'failed',
+      reason: data.gateway_response || response.data?.message || 'Card was declined',
+      reference,
+    };
+  } catch (error) {
+    return {
+      status: 'failed',
+      reason: error.response?.data?.message || error.message,
+      reference,
+    };
+  }
+}
+
+/**
+ * Cancel an unpaid renewal order and put its stock back.
+ * @returns {Promise<boolean>} false when the order was already paid or cancelled
+ */
+async function cancelUnpaidOrder(orderId, reason) {
+  const stockReservationService = require('../stock/stockReservationService');
+  const { syncSellerOrderStatus } = require('../../utils/helpers/syncSellerOrderStatus');
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, paymentStatus: { $nin: ['paid', 'completed'] }, currentStatus: { $ne: 'cancelled' } },
+    {
+      $set: {
+        paymentStatus: 'failed',
+        status: 'cancelled',
+        currentStatus: 'cancelled',
+        orderStatus: 'cancelled',
+        FulfillmentStatus: 'cancelled',
+        cancelledAt: new Date(),
+      },
+      $push: {
+        trackingHistory: {
+          status: 'cancelled',
+          message: `Subscription renewal payment failed: ${reason}`,
+          location: '',
+          updatedByRole: 'system',
+          timestamp: new Date(),
+        },
+      },
+    },
+    { new: true },
+  ).populate('orderItems');
+  if (!order) return false;
+
+  await stockReservationService.restoreStockForOrder(order, null, 'payment_failed');
+  await syncSellerOrderStatus(order._id, 'cancelled');
+  return true;
+}
+
+/**
+ * A renewal was paid (or its payment is in flight): move the schedule forward.
+ */
+async function recordRenewal(subscription, order) {
+  const now = new Date();
+  await Subscription.updateOne(
+    { _id: subscription._id },
+    {
+      $set: {
+        status: 'active',
+        lastOrder: order._id,
+        // A retry after a renewal that failed late (webhook) keeps the already advanced date
+        nextRenewalAt: subscription.nextRenewalAt > now
+          ? subscription.nextRenewalAt
+          : advanceRenewalDate(subscription, now),
+        failedAttempts: 0,
+        nextRetryAt: null,
+        lastFailureReason: null,
+      },
+      $unset: { renewingCycle: 1 },
+      $inc: { renewalCount: 1 },
+      $addToSet: { orders: order._id },
+    },
+  );
+}
+
+/**
+ * Dunning: schedule a retry and email the buyer, or cancel once retries are exhausted.
+ */
+async function recordRenewalFailure(subscription, reason, user = null) {
+  const emailDispatcher = require('../../emails/emailDispatcher');
+
+  const now = new Date();
+  const failedAttempts = (subscription.failedAttempts || 0) + 1;
+  const nextRetryAt = getDunningRetryDate(failedAttempts, now);
+
+  const $set = {
+    failedAttempts,
+    lastFailureReason: reason,
+    lastFailedAt: now,
+  };
+  if (nextRetryAt) {
+    $set.status = 'past_due';
+    $set.nextRetryAt = nextRetryAt;
+  } else {
+    $set.status = 'cancelled';
+    $set.nextRetryAt = null;
+    $set.cancelledAt = now;
+    $set.cancelReason = `Renewal payment failed ${failedAttempts} times: ${reason}`;
+  }
+  await Subscription.updateOne({ _id: subscription._id }, { $set, $unset: { renewingCycle: 1 } });
+
+  logger.warn('[Subscription] Renewal failed', {
+    subscriptionId: subscription._id.toString(),
+    failedAttempts,
+    reason,
+    cancelled: !nextRetryAt,
+  });
+
+  const buyer = user || await User.findById(subscription.user).select('name email');
+  if (!buyer?.email) return;
+  try {
+    const updated = { ...subscription.toObject(), ...$set };
+    if (nextRetryAt) {
+      await emailDispatcher.sendSubscriptionPaymentFailed(buyer, updated, reason);
+    } else {
+      await emailDispatcher.sendSubscriptionCancelled(buyer, updated, reason);
+    }
+  } catch (emailError) {
+    logger.error('[Subscription] Failed to send dunning email', {
+      subscriptionId: subscription._id.toString(),
+      error: emailError.message,
+    });
+  }
+}
+
+/**
+ * Create a subscription and place its first order.
+ * Wallet subscriptions are active immediately; Paystack ones become active once the
+ * first order is paid (handleSubscriptionOrderPaid captures the card authorization).
+ * @returns {Promise<{ subscription: Subscription, order: Object }>}
+ */
+async function createSubscription(user, input) {
+  const quantity = parseInt(input.quantity || 1, 10);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > 999) {
+    throw new AppError('Quantity must be between 1 and 999', 400);
+  }
+  if (!PAYMENT_METHODS.includes(input.paymentMethod)) {
+    throw new AppError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  const product = await Product.findById(input.product)
+    .select('name seller isSubscription subscription variants moderationStatus');
+  if (!product || !product.isSubscription) {
+    throw new AppError('This product is not available as a subscription', 400);
+  }
+
+  const interval = input.interval || product.subscription?.interval || 'monthly';
+  if (!INTERVALS.includes(interval)) {
+    throw new AppError(`Interval must be one of: ${INTERVALS.join(', ')}`, 400);
+  }
+  const intervalCount = parseInt(input.intervalCount || product.subscription?.intervalCount || 1, 10);
+  if (!Number.isInteger(intervalCount) || intervalCount < 1 || intervalCount > 12) {
+    throw new AppError('intervalCount must be between 1 and 12', 400);
+  }
+
+  const address = await Address.findOne({ _id: input.address, user: user._id }).select('_id');
+  if (!address) {
+    throw new AppError('Invalid shipping address', 403);
+  }
+
+  const subscription = await Subscription.create({
+    user: user._id,
+    product: product._id,
+    seller: product.seller,
+    sku: String(input.sku || '').trim().toUpperCase(),
+    productName: product.name,
+    quantity,
+    interval,
+    intervalCount,
+    address: address._id,
+    deliveryMethod: input.deliveryMethod || 'dispatch',
+    pickupCenterId: input.pickupCenterId || null,
+    deliverySpeed: input.deliverySpeed || 'standard',
+    paymentMethod: input.paymentMethod,
+  });
+
+  let order;
+  try {
+    order = await placeSubscriptionOrder(subscription, user);
+  } catch (error) {
+    // Nothing was ordered, so there is nothing to subscribe to
+    await Subscription.deleteOne({ _id: subscription._id });
+    throw error;
+  }
+
+  const now = new Date();
+  const update = { lastOrder: order._id, orders: [order._id] };
+  if (['paid', 'completed'].includes(order.paymentStatus)) {
+    update.status = 'active';
+    update.nextRenewalAt = computeNextRenewalDate(now, interval, intervalCount);
+  }
+  const saved = await Subscription.findByIdAndUpdate(subscription._id, { $set: update }, { new: true });
+
+  return { subscription: saved, order };
+}
+
+/**
+ * Payment hook (Paystack verify/webhook): store the reusable card authorization and
+ * activate subscriptions whose first order just got paid.
+ * @param {Object} order - order document with `subscription`
+ * @param {Object} transaction - Paystack transaction payload
+ */
+async function handleSubscriptionOrderPaid(order, transaction) {
+  if (!order?.subscription) return;
+
+  const $set = {};
+  const authorization = transaction?.authorization;
+  if (authorization?.authorization_code && authorization.reusable) {
+    $set.paystackAuthorization = {
+      authorizationCode: authorization.authorization_code,
+      email: transaction.customer?.email,
+      cardType: authorization.card_type,
+      last4: authorization.last4,
+      expMonth: authorization.exp_month,
+      expYear: authorization.exp_year,
+      bank: authorization.bank,
+      reusable: true,
+      capturedAt: new Date(),
+    };
+  }
+  if (Object.keys($set).length > 0) {
+    await Subscription.updateOne({ _id: order.subscription }, { $set });
+  }
+
+  const subscription = await Subscription.findOne({ _id: order.subscription, status: 'pending_payment' });
+  if (subscription) {
+    const now = new Date();
+    subscription.status = 'active';
+    subscription.nextRenewalAt = computeNextRenewalDate(now, subscription.interval, subscription.intervalCount);
+    await subscription.save();
+    logger.info(`[Subscription] Subscription ${subscription._id} activated after first payment`);
+  }
+}
+
+/**
+ * Payment hook (Paystack charge.failed): a renewal charge that was still in flight failed.
+ */
+async function handleSubscriptionOrderFailed(order, reason) {
+  if (!order?.subscription) return;
+  const subscription = await Subscription.findById(order.subscription);
+  if (!subscription || subscription.status === 'cancelled') return;
+
+  // The renewal job cancels synchronously declined charges itself; don't count them twice
+  const cancelled = await cancelUnpaidOrder(order._id, reason || 'Payment failed');
+  if (!cancelled) return;
+
+  if (subscription.status === 'pending_payment') {
+    // The first order was never paid: there is no subscription to keep
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    subscription.cancelReason = reason || 'First payment failed';
+    await subscription.save();
+    return;
+  }
+  await recordRenewalFailure(subscription, reason || 'Payment failed');
+}
+
+/**
+ * Claim the due renewal (or dunning retry) before anything is ordered or charged.
+ * The first run stamps `renewingCycle`; a retried job for the same cycle gets the
+ * existing claim back so it can pick up the order that run already placed.
+ * @returns {Promise<{ dueAt: Date, claimedAt: Date }|null>} null when the cycle has moved on
+ */
+async function claimRenewalCycle(subscription, now = new Date()) {
+  const dueField = subscription.status === 'past_due' ? 'nextRetryAt' : 'nextRenewalAt';
+  const dueAt = subscription[dueField];
+
+  const claimed = await Subscription.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      status: subscription.status,
+      [dueField]: dueAt,
+      'renewingCycle.dueAt': { $ne: dueAt },
+    },
+    { $set: { renewingCycle: { dueAt, claimedAt: now } } },
+    { new: true },
+  ).select('renewingCycle');
+  if (claimed) return claimed.renewingCycle;
+
+  const current = await Subscription.findOne({ _id: subscription._id, status: subscription.status, [dueField]: dueAt })
+    .select('renewingCycle')
+    .lean();
+  const claim = current?.renewingCycle;
+  return claim?.dueAt && new Date(claim.dueAt).getTime() === new Date(dueAt).getTime() ? claim : null;
+}
+
+/**
+ * Order already placed for a claimed cycle by an earlier run of the renewal job.
+ */
+function findCycleOrder(subscription, claim) {
+  return Order.findOne({
+    subscription: subscription._id,
+    createdAt: { $gte: claim.claimedAt },
+    currentStatus: { $ne: 'cancelled' },
+  }).sort({ createdAt: -1 });
+}
+
+/**
+ * Job handler for the subscription-renewal queue: create and pay one renewal order.
+ * Business failures (declined card, low wallet balance, out of stock) go to dunning and
+ * complete the job; only unexpected errors are thrown for the queue to retry.
+ * @param {import('mongoose').Document} job - payload { subscriptionId }
+ */
+async function processRenewal(job) {
+  const now = new Date();
+  const subscription = await Subscription.findById(job.payload.subscriptionId)
+    .select('+paystackAuthorization.authorizationCode');
+  if (!subscription) return { skipped: 'not_found' };
+
+  const isDue = (subscription.status === 'active' && subscription.nextRenewalAt <= now)
+    || (subscription.status === 'past_due' && subscription.nextRetryAt <= now);
+  if (!isDue) return { skipped: `not_due (${subscription.status})` };
+
+  const user = await User.findById(subscription.user).select('name email active');
+  if (!user) {
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $set: { status: 'cancelled', cancelledAt: now, cancelReason: 'Account no longer exists' } },
+    );
+    return { skipped: 'user_missing' };
+  }
+
+  const claim = await claimRenewalCycle(subscription, now);
+  if (!claim) return { skipped: 'cycle_moved' };
+
+  // A retry after the order was placed must not order (or charge) the cycle twice
+  let order = await findCycleOrder(subscription, claim);
+  const reused = Boolean(order);
+  if (!order) {
+    try {
+      order = await placeSubscriptionOrder(subscription, user);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      await recordRenewalFailure(subscription, error.message, user);
+      return { status: 'failed', reason: error.message };
+    }
+  }
+
+  // A payment reference means the card was already charged; the webhook settles that charge
+  if (subscription.paymentMethod === 'paystack' && !(reused && order.paymentReference)) {
+    const charge = await chargeSavedCard(subscription, order, user);
+    if (charge.status === 'failed') {
+      await cancelUnpaidOrder(order._id, charge.reason);
+      await recordRenewalFailure(subscription, charge.reason, user);
+      return { status: 'failed', orderId: order._id.toString(), reason: charge.reason };
+    }
+    // success/pending: the Paystack webhook confirms the order (or reports charge.failed)
+  }
+
+  await recordRenewal(subscription, order);
+  logger.info('[Subscription] Renewal order placed', {
+    subscriptionId: subscription._id.toString(),
+    orderId: order._id.toString(),
+    reused,
+  });
+  return { status: 'renewed', orderId: order._id.toString() };
+}
+
+/**
+ * Job handler for the hourly sweep: resume paused subscriptions whose resume date has
+ * passed and enqueue one renewal job per due subscription.
+ * @returns {Promise<{ resumed: number, enqueued: number }>}
+ */
+async function enqueueDueRenewals() {
+  const now = new Date();
+
+  const resumed = await Subscription.updateMany(
+    { status: 'paused', resumeAt: { $lte: now } },
+    { $set: { status: 'active', pausedAt: null, resumeAt: null } },
+  );
+
+  const due = await Subscription.find({
+    $or: [
+      { status: 'active', nextRenewalAt: { $lte: now } },
+      { status: 'past_due', nextRetryAt: { $lte: now } },
+    ],
+  })
+    .select('_id status nextRenewalAt nextRetryAt')
+    .lean();
+
+  await Promise.all(due.map((subscription) => {
+    const dueAt = subscription.status === 'past_due' ? subscription.nextRetryAt : subscription.nextRenewalAt;
+    return enqueue(SUBSCRIPTION_RENEWAL_QUEUE, { subscriptionId: subscription._id.toString() }, {
+      name: `Subscription renewal ${subscription._id}`,
+      uniqueKey: `${SUBSCRIPTION_RENEWAL_QUEUE}:${subscription._id}:${new Date(dueAt).toISOString()}`,
+      maxAttempts: 3,
+    });
+  }));
+
+  return { resumed: resumed.modifiedCount || 0, enqueued: due.length };
+}
+
+/**
+ * Buyer actions. Each returns the updated subscription or throws an AppError.
+ */
+async function pauseSubscription(subscription, { resumeAt } = {}) {
+  if (!['active', 'past_due'].includes(subscription.status)) {
+    throw new AppError(`A ${subscription.status} subscription cannot be paused`, 400);
+  }
+  let resumeDate = null;
+  if (resumeAt) {
+    resumeDate = new Date(resumeAt);
+    if (Number.isNaN(resumeDate.getTime()) || resumeDate <= new Date()) {
+      throw new AppError('resumeAt must be a future date', 400);
+    }
+  }
+  subscription.status = 'paused';
+  subscription.pausedAt = new Date();
+  subscription.resumeAt = resumeDate;
+  subscription.nextRetryAt = null;
+  return subscription.save();
+}
+
+async function resumeSubscription(subscription) {
+  if (subscription.status !== 'paused') {
+    throw new AppError('Only paused subscriptions can be resumed', 400);
+  }
+  const now = new Date();
+  subscription.status = 'active';
+  subscription.pausedAt = null;
+  subscription.resumeAt = null;
+  subscription.failedAttempts = 0;
+  // Missed cycles are not ordered retroactively
+  if (!subscription.nextRenewalAt || subscription.nextRenewalAt < now) {
+    subscription.nextRenewalAt = advanceRenewalDate(subscription, now);
+  }
+  return subscription.save();
+}
+
+async function skipNextRenewal(subscription) {
+  if (subscription.status !== 'active') {
+    throw new AppError('Only active subscriptions can skip a delivery', 400);
+  }
+  subscription.skippedCycles.push({ renewalDate: subscription.nextRenewalAt });
+  subscription.nextRenewalAt = computeNextRenewalDate(
+    subscription.nextRenewalAt,
+    subscription.interval,
+    subscription.intervalCount,
+  );
+  return subscription.save();
+}
+
+async function cancelSubscription(subscription, reason) {
+  if (subscription.status === 'cancelled') {
+    throw new AppError('Subscription is already cancelled', 400);
+  }
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  subscription.cancelReason = reason || 'Cancelled by customer';
+  subscription.nextRetryAt = null;
+  return subscription.save();
+}
+
+module.exports = {
+  SUBSCRIPTION_RENEWAL_QUEUE,
+  SUBSCRIPTION_SWEEP_QUEUE,
+  INTERVALS,
+  computeNextRenewalDate,
+  getDunningRetryDate,
+  createSubscription,
+  handleSubscriptionOrderPaid,
+  handleSubscriptionOrderFailed,
+  processRenewal,
+  enqueueDueRenewals,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRenewal,
+  cancelSubscription,
+};
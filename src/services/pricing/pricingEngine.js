@@ -0,0 +1,533 @@
+const Advertisement = require('../../models/advertisementModel');
+const Discount = require('../../models/product/discountModel');
+require('../../models/product/dealsModel');
+require('../../models/promo/promoModel');
+const FlashDealProduct = require('../../models/product/flashDealProductModel');
+const PromoProduct = require('../../models/promo/promoProductModel');
+const pricingService = require('./pricingService');
+const taxService = require('../tax/taxService');
+const AppError = require('../../utils/errors/appError');
+const { discountAppliesToProduct } = require('./productOfferGuardService');
+const { normalizePromoKey, getPromotionKeyFromLink } = require('../../utils/helpers/promotionKey');
+
+/**
+ * pricingEngine.js
+ * One place that decides what a buyer pays for a product line, and why.
+ * The product page, cart, validateCart and createOrder all price through priceLines(),
+ * so they cannot disagree.
+ *
+ * Price rules are evaluated on the VAT-inclusive list price in a fixed order:
+ *   1. flash_deal      approved FlashDealProduct in a running flash deal    seller-funded, exclusive
+ *   2. promo           approved PromoProduct in an active Promo campaign    seller-funded, exclusive
+ *   3. seller_discount seller's Discount (product / category / key / store) seller-funded, stackable
+ *   4. campaign        active ad with an /offers/:key link and a discount    platform-funded, stackable
+ * - The first exclusive rule that applies is used on its own; everything else is reported as skipped.
+ * - Otherwise the best rule of each stackable type applies, in order, each on the running price.
+ *   Stacked discounts are capped at PRICING_MAX_STACKED_DISCOUNT_PERCENT (default 70) of the list price.
+ * - Flash deal / promo "fixed" values are amounts off the seller's VAT-exclusive price (that is what
+ *   sellers submit); seller discount / campaign "fixed" values are amounts off the price the buyer sees.
+ * Coupons stay cart-level (couponService) and are applied after these item prices.
+ */
+
+const RULES = {
+  flash_deal: { order: 1, stacking: 'exclusive', fundedBy: 'seller', label: 'Flash deal' },
+  promo: { order: 2, stacking: 'exclusive', fundedBy: 'seller', label: 'Promotion' },
+  seller_discount: { order: 3, stacking: 'stackable', fundedBy: 'seller', label: 'Seller discount' },
+  campaign: { order: 4, stacking: 'stackable', fundedBy: 'platform', label: 'Campaign' },
+};
+
+const DEFAULT_MAX_STACKED_DISCOUNT_PERCENT = 70;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const idOf = (value) => (value && value._id ? String(value._id) : value ? String(value) : '');
+
+const maxStackedDiscountPercent = () => {
+  const value = parseFloat(process.env.PRICING_MAX_STACKED_DISCOUNT_PERCENT);
+  return Number.isFinite(value) && value > 0 && value <= 100 ? value : DEFAULT_MAX_STACKED_DISCOUNT_PERCENT;
+};
+
+/** VAT-inclusive price = base × this factor (taxService.addVatToBase is linear) */
+const vatFactor = (settings = {}) =>
+  1 + (settings.vatRate ?? 0.125) + (settings.nhilRate ?? 0.025) + (settings.getfundRate ?? 0.025);
+
+/**
+ * Active ads with an /offers/:key link and a discount, as price rules.
+ * @returns {Promise<Array<{ id: string, name: string, promotionKey: string, type: 'percentage'|'fixed', value: number }>>}
+ */
+async function loadAdCampaigns(now = new Date()) {
+  const ads = await Advertisement.find({
+    active: true,
+    startDate: { $lte: now },
+    $or: [{ endDate: null }, { endDate: { $gte: now } }, { endDate: { $exists: false } }],
+  })
+    .select('title link discountType discountPercent discountFixed endDate')
+    .lean();
+
+  const campaigns = [];
+  for (const ad of ads) {
+    const promotionKey = getPromotionKeyFromLink(ad.link);
+    if (!promotionKey) continue;
+    const type = ad.discountType === 'fixed' ? 'fixed' : 'percentage';
+    const value = type === 'fixed'
+      ? (typeof ad.discountFixed === 'number' && ad.discountFixed > 0 ? ad.discountFixed : 0)
+      : (typeof ad.discountPercent === 'number' && ad.discountPercent > 0 ? ad.discountPercent : 0);
+    if (value > 0) {
+      campaigns.push({ id: String(ad._id), name: ad.title || promotionKey, promotionKey, type, value, endsAt: ad.endDate || null });
+    }
+  }
+  return campaigns;
+}
+
+/**
+ * Everything the rules need for a set of products, fetched in one pass.
+ * @param {Array} products - product documents (seller populated or raw id)
+ * @param {{ now?: Date, session?: import('mongoose').ClientSession }} [options]
+ */
+async function loadPricingContext(products, { now = new Date(), session = null } = {}) {
+  const productIds = products.map((p) => p._id);
+  const sellerIds = [...new Set(products.map((p) => idOf(p.seller)).filter(Boolean))];
+  const withSession = (query) => (session ? query.session(session) : query);
+
+  const [flashRows, promoRows, discounts, campaigns] = await Promise.all([
+    withSession(
+      FlashDealProduct.find({ product: { $in: productIds }, status: 'approved' })
+        .populate('flashDeal', 'title status startTime endTime')
+        .lean(),
+    ),
+    withSession(
+      PromoProduct.find({ product: { $in: productIds }, status: 'approved' })
+        .populate('promo', 'name status startDate endDate')
+        .lean(),
+    ),
+    sellerIds.length
+      ? withSession(
+        Discount.find({
+          seller: { $in: sellerIds },
+          active: true,
+          startDate: { $lte: now },
+          endDate: { $gte: now },
+        }).lean(),
+      )
+      : [],
+    loadAdCampaigns(now),
+  ]);
+
+  const flashDeals = new Map();
+  for (const row of flashRows) {
+    const deal = row.flashDeal;
+    if (!deal || !['scheduled', 'active'].includes(deal.status)) continue;
+    if (!(new Date(deal.startTime) <= now && now < new Date(deal.endTime))) continue;
+    const key = String(row.product);
+    if (!flashDeals.has(key)) flashDeals.set(key, []);
+    flashDeals.get(key).push(row);
+  }
+
+  const promos = new Map();
+  for (const row of promoRows) {
+    const promo = row.promo;
+    if (!promo || promo.status !== 'active') continue;
+    if (!(new Date(promo.startDate) <= now && now <= new Date(promo.endDate))) continue;
+    const key = String(row.product);
+    if (!promos.has(key)) promos.set(key, []);
+    promos.get(key).push(row);
+  }
+
+  return { now, flashDeals, promos, discounts, campaigns };
+}
+
+/**
+ * Price rules that could apply to one product, as engine candidates.
+ * @returns {{ candidates: Array, skipped: Array }}
+ */
+function collectCandidates(product, context, { factor = 1 } = {}) {
+  const productId = String(product._id);
+  const sellerId = idOf(product.seller);
+  const candidates = [];
+  const skipped = [];
+
+  for (const row of context.flashDeals?.get(productId) || []) {
+    const name = row.flashDeal?.title || 'Flash deal';
+    if (row.maxQuantity != null && (row.soldCount || 0) >= row.maxQuantity) {
+      skipped.push({ type: 'flash_deal', id: String(row._id), name, reason: 'Flash deal allocation sold out' });
+      continue;
+    }
+    candidates.push({
+      type: 'flash_deal',
+      id: String(row._id),
+      name,
+      discountType: row.discountType,
+      value: row.discountType === 'fixed' ? row.discountValue * factor : row.discountValue,
+      endsAt: row.flashDeal?.endTime || null,
+    });
+  }
+
+  for (const row of context.promos?.get(productId) || []) {
+    if (sellerId && String(row.seller) !== sellerId) continue;
+    const name = row.promo?.name || 'Promotion';
+    if (row.stockForPromo != null && (row.unitsSold || 0) >= row.stockForPromo) {
+      skipped.push({ type: 'promo', id: String(row._id), name, reason: 'Promotion stock sold out' });
+      continue;
+    }
+    candidates.push({
+      type: 'promo',
+      id: String(row._id),
+      name,
+      discountType: row.discountType,
+      value: row.discountType === 'fixed' ? row.discountValue * factor : row.discountValue,
+      endsAt: row.promo?.endDate || null,
+      promoProductRef: row._id,
+    });
+  }
+
+  const matchShape = {
+    _id: product._id,
+    parentCategory: idOf(product.parentCategory),
+    subCategory: idOf(product.subCategory),
+    promotionKey: product.promotionKey,
+  };
+  for (const discount of context.discounts || []) {
+    if (String(discount.seller) !== sellerId) continue;
+    if (!discountAppliesToProduct(discount, matchShape)) continue;
+    if (discount.maxUsage != null && (discount.usageCount || 0) >= discount.maxUsage) {
+      skipped.push({ type: 'seller_discount', id: String(discount._id), name: discount.name, reason: 'Usage limit reached' });
+      continue;
+    }
+    candidates.push({
+      type: 'seller_discount',
+      id: String(discount._id),
+      name: discount.name || discount.code,
+      discountType: discount.type,
+      value: discount.value,
+      endsAt: discount.endDate || null,
+    });
+  }
+
+  const productKey = normalizePromoKey(product.promotionKey);
+  if (productKey) {
+    for (const campaign of context.campaigns || []) {
+      if (normalizePromoKey(campaign.promotionKey) !== productKey) continue;
+      candidates.push({
+        type: 'campaign',
+        id: campaign.id,
+        name: campaign.name,
+        discountType: campaign.type,
+        value: campaign.value,
+        endsAt: campaign.endsAt || null,
+      });
+    }
+  }
+
+  return { candidates, skipped };
+}
+
+const discountOn = (price, candidate) => {
+  if (candidate.discountType === 'percentage') return round2((price * Math.min(candidate.value, 100)) / 100);
+  return round2(Math.min(price, candidate.value));
+};
+
+const describe = (adjustment) =>
+  `${RULES[adjustment.type].label}: ${adjustment.name} (-GHS ${adjustment.amount.toFixed(2)}, ${adjustment.fundedBy}-funded)`;
+
+/**
+ * Apply candidates to a VAT-inclusive list price (pure).
+ * @param {number} listPrice
+ * @param {Array} candidates - from collectCandidates
+ * @param {{ maxStackedPercent?: number }} [options]
+ * @returns {{ listPrice: number, unitPrice: number, adjustments: Array, skipped: Array,
+ *   sellerFunded: number, platformFunded: number, capped: boolean }}
+ */
+function applyPriceRules(listPrice, candidates = [], { maxStackedPercent = maxStackedDiscountPercent() } = {}) {
+  const price = round2(listPrice);
+  const ordered = [...candidates].sort(
+    (a, b) => RULES[a.type].order - RULES[b.type].order || String(a.id).localeCompare(String(b.id)),
+  );
+  const skipped = [];
+  let chosen = [];
+
+  const exclusive = ordered.filter((c) => RULES[c.type].stacking === 'exclusive');
+  if (exclusive.length > 0) {
+    const winner = exclusive[0];
+    chosen = [winner];
+    for (const c of ordered) {
+      if (c === winner) continue;
+      skipped.push({ type: c.type, id: c.id, name: c.name, reason: `Not combined with ${RULES[winner.type].label.toLowerCase()} "${winner.name}"` });
+    }
+  } else {
+    // Best rule per stackable type (largest discount on the list price; ties keep the first in order)
+    const bestByType = new Map();
+    for (const c of ordered) {
+      const current = bestByType.get(c.type);
+      if (!current || discountOn(price, c) > discountOn(price, current)) {
+        if (current) skipped.push({ type: current.type, id: current.id, name: current.name, reason: `A better ${RULES[c.type].label.toLowerCase()} applies` });
+        bestByType.set(c.type, c);
+      } else {
+        skipped.push({ type: c.type, id: c.id, name: c.name, reason: `A better ${RULES[c.type].label.toLowerCase()} applies` });
+      }
+    }
+    chosen = ordered.filter((c) => bestByType.get(c.type) === c);
+  }
+
+  const adjustments = [];
+  let running = price;
+  for (const c of chosen) {
+    const amount = discountOn(running, c);
+    if (amount <= 0) continue;
+    running = round2(running - amount);
+    adjustments.push({
+      type: c.type,
+      id: c.id,
+      name: c.name,
+      discountType: c.discountType,
+      value: round2(c.value),
+      amount,
+      fundedBy: RULES[c.type].fundedBy,
+      stacking: RULES[c.type].stacking,
+      endsAt: c.endsAt || null,
+      promoProductRef: c.promoProductRef || null,
+    });
+  }
+
+  // Cap stacked discounts, trimming from the last (platform campaign) backwards
+  let capped = false;
+  if (adjustments.length > 1) {
+    const maxDiscount = round2((price * maxStackedPercent) / 100);
+    let excess = round2(price - running - maxDiscount);
+    for (let i = adjustments.length - 1; i >= 0 && excess > 0; i -= 1) {
+      const trim = Math.min(adjustments[i].amount, excess);
+      adjustments[i].amount = round2(adjustments[i].amount - trim);
+      running = round2(running + trim);
+      excess = round2(excess - trim);
+      capped = true;
+    }
+  }
+
+  const applied = adjustments.filter((a) => a.amount > 0);
+  for (const a of applied) a.label = describe(a);
+  const funded = (who) => round2(applied.filter((a) => a.fundedBy === who).reduce((sum, a) => sum + a.amount, 0));
+
+  return {
+    listPrice: price,
+    unitPrice: Math.max(0, running),
+    adjustments: applied,
+    skipped,
+    sellerFunded: funded('seller'),
+    platformFunded: funded('platform'),
+    capped,
+  };
+}
+
+/**
+ * Price cart / order / page lines.
+ * @param {Array<{ product: Object, unit?: Object, quantity?: number }>} lines - `unit` is the
+ *   variant being bought (defaults to the product itself)
+ * @param {{ now?: Date, session?: Object, platformSettings?: Object, context?: Object }} [options]
+ * @returns {Promise<Array<Object>>} one explanation per line, in order. Each has the applied
+ *   adjustments and skipped rules, unitPrice / lineTotal, funding split, `pricing` (the VAT
+ *   breakdown from pricingService.calculateItemPricing) and promoProductRef.
+ */
+async function priceLines(lines, { now = new Date(), session = null, platformSettings = null, context = null } = {}) {
+  if (!lines.length) return [];
+  const settings = platformSettings || (await taxService.getPlatformSettings());
+  const factor = vatFactor(settings);
+  const ctx = context || (await loadPricingContext(lines.map((l) => l.product), { now, session }));
+
+  const results = [];
+  for (const line of lines) {
+    const { product } = line;
+    const unit = line.unit || product;
+    const quantity = Math.max(1, line.quantity || 1);
+    const basePrice = Number(unit.price ?? product.price ?? product.defaultPrice ?? 0);
+
+    const { priceInclVat: listPrice } = await taxService.addVatToBase(basePrice, settings);
+    const { candidates, skipped: unavailable } = collectCandidates(product, ctx, { factor });
+    const result = applyPriceRules(listPrice, candidates);
+    const discount = round2(result.listPrice - result.unitPrice);
+    const pricing = await pricingService.calculateItemPricing(basePrice, discount);
+
+    results.push({
+      product: String(product._id),
+      variant: unit !== product && unit._id ? String(unit._id) : null,
+      quantity,
+      basePrice: round2(basePrice),
+      listPrice: result.listPrice,
+      unitPrice: pricing.unitPrice,
+      lineTotal: round2(pricing.unitPrice * quantity),
+      discount,
+      adjustments: result.adjustments,
+      skipped: [...unavailable, ...result.skipped],
+      sellerFunded: result.sellerFunded,
+      platformFunded: result.platformFunded,
+      capped: result.capped,
+      promoProductRef: result.adjustments.find((a) => a.type === 'promo')?.promoProductRef || null,
+      pricing,
+    });
+  }
+  return results;
+}
+
+/**
+ * Sum of line explanations (per-line funding × quantity).
+ */
+function summarizeLines(explanations) {
+  return explanations.reduce(
+    (acc, line) => {
+      acc.listTotal = round2(acc.listTotal + line.listPrice * line.quantity);
+      acc.total = round2(acc.total + line.lineTotal);
+      acc.discount = round2(acc.discount + line.discount * line.quantity);
+      acc.sellerFunded = round2(acc.sellerFunded + line.sellerFunded * line.quantity);
+      acc.platformFunded = round2(acc.platformFunded + line.platformFunded * line.quantity);
+      return acc;
+    },
+    { listTotal: 0, total: 0, discount: 0, sellerFunded: 0, platformFunded: 0 },
+  );
+}
+
+/**
+ * Capped rules used by an order: units per FlashDealProduct and per PromoProduct, and the
+ * seller discounts applied (a discount counts once per order, however many lines it priced).
+ * @param {Array<{ quantity: number, priceAdjustments?: Array<{ type: string, ruleId: string }> }>} items
+ * @returns {{ flashDeals: Map<string, number>, promos: Map<string, number>, discounts: Set<string> }}
+ */
+function tallyRuleUsage(items) {
+  const flashDeals = new Map();
+  const promos = new Map();
+  const discounts = new Set();
+  const addUnits = (map, id, quantity) => map.set(id, (map.get(id) || 0) + (quantity || 1));
+  for (const item of items) {
+    for (const adjustment of item.priceAdjustments || []) {
+      const id = String(adjustment.ruleId);
+      if (adjustment.type === 'flash_deal') {
+        addUnits(flashDeals, id, item.quantity);
+      } else if (adjustment.type === 'promo') {
+        addUnits(promos, id, item.quantity);
+      } else if (adjustment.type === 'seller_discount') {
+        discounts.add(id);
+      }
+    }
+  }
+  return { flashDeals, promos, discounts };
+}
+
+/**
+ * Count an order's flash deal / promo units and seller discount uses inside its transaction.
+ * Each $inc is guarded by the cap, so two buyers racing for the last units cannot both
+ * get the deal: the loser's order is rejected and rolled back.
+ * @throws {AppError} 409 when a cap was reached after the order was priced
+ */
+async function recordRuleUsage(items, { session } = {}) {
+  const { flashDeals, promos, discounts } = tallyRuleUsage(items);
+
+  for (const [id, units] of flashDeals) {
+    const result = await FlashDealProduct.updateOne(
+      {
+        _id: id,
+        $or: [
+          { maxQuantity: null },
+          { $expr: { $lte: [{ $add: [{ $ifNull: ['$soldCount', 0] }, units] }, '$maxQuantity'] } },
+        ],
+      },
+      { $inc: { soldCount: units } },
+      { session },
+    );
+    if (result.matchedCount === 0) {
+      throw new AppError('A flash deal in your order has sold out. Please review your cart and try again.', 409);
+    }
+  }
+
+  for (const [id, units] of promos) {
+    const result = await PromoProduct.updateOne(
+      {
+        _id: id,
+        $or: [
+          { stockForPromo: null },
+          { $expr: { $lte: [{ $add: [{ $ifNull: ['$unitsSold', 0] }, units] }, '$stockForPromo'] } },
+        ],
+      },
+      { $inc: { unitsSold: units } },
+      { session },
+    );
+    if (result.matchedCount === 0) {
+      throw new AppError('A promotion in your order has sold out. Please review your cart and try again.', 409);
+    }
+  }
+
+  for (const id of discounts) {
+    const result = await Discount.updateOne(
+      {
+        _id: id,
+        $or: [{ maxUsage: null }, { $expr: { $lt: [{ $ifNull: ['$usageCount', 0] }, '$maxUsage'] } }],
+      },
+      { $inc: { usageCount: 1 } },
+      { session },
+    );
+    if (result.matchedCount === 0) {
+      throw new AppError('A discount in your order has reached its usage limit. Please review your cart and try again.', 409);
+    }
+  }
+}
+
+/**
+ * Give back the flash deal / promo units and seller discount uses of order lines whose stock
+ * was returned (cancelled order, failed payment, expired hold). Call it exactly where the stock
+ * is restored so usage always follows the stock. Counters never go below zero.
+ * @param {Array} items - order items or reservation items, with priceAdjustments
+ */
+async function releaseRuleUsage(items, { session } = {}) {
+  const { flashDeals, promos, discounts } = tallyRuleUsage(items);
+
+  for (const [id, units] of flashDeals) {
+    await FlashDealProduct.updateOne(
+      { _id: id, soldCount: { $gte: units } },
+      { $inc: { soldCount: -units } },
+      { session },
+    );
+  }
+
+  for (const [id, units] of promos) {
+    await PromoProduct.updateOne(
+      { _id: id, unitsSold: { $gte: units } },
+      { $inc: { unitsSold: -units } },
+      { session },
+    );
+  }
+
+  for (const id of discounts) {
+    await Discount.updateOne(
+      { _id: id, usageCount: { $gte: 1 } },
+      { $inc: { usageCount: -1 } },
+      { session },
+    );
+  }
+}
+
+/**
+ * Compact form for API responses and order snapshots.
+ */
+function toPublicExplanation(line) {
+  return {
+    listPrice: line.listPrice,
+    unitPrice: line.unitPrice,
+    discount: line.discount,
+    adjustments: line.adjustments.map(({ type, id, name, amount, fundedBy, label, endsAt }) => ({
+      type, id, name, amount, fundedBy, label, endsAt,
+    })),
+    skipped: line.skipped.map(({ type, name, reason }) => ({ type, name, reason })),
+    sellerFunded: line.sellerFunded,
+    platformFunded: line.platformFunded,
+  };
+}
+
+module.exports = {
+  RULES,
+  vatFactor,
+  loadAdCampaigns,
+  loadPricingContext,
+  collectCandidates,
+  applyPriceRules,
+  priceLines,
+  summarizeLines,
+  tallyRuleUsage,
+  recordRuleUsage,
+  releaseRuleUsage,
+  toPublicExplanation,
+};
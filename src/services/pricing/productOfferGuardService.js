@@ -152,6 +152,7 @@ const findConflictingFlashDeals = async ({
 };
 
 module.exports = {
+  discountAppliesToProduct,
   findConflictingDiscounts,
   findConflictingFlashDeals,
 };
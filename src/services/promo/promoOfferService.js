@@ -0,0 +1,396 @@
+const Promo = require('../../models/promo/promoModel');
+const PromoProduct = require('../../models/promo/promoProductModel');
+const AppError = require('../../utils/errors/appError');
+const { ADVANCED_OFFER_TYPES } = require('../../models/promo/offerRuleSchema');
+
+/**
+ * promoOfferService.js
+ * Cart-level offers that go beyond a percentage / fixed price cut: buy-X-get-Y, spend or
+ * quantity tiers, fixed-price bundles and free-shipping thresholds. Configured on coupon
+ * batches (discountType + offer) and on promos (offer), evaluated on the priced cart lines
+ * in validateCart / createOrder.
+ *
+ * A cart line is `{ product, seller, categories, unitPrice, quantity }` where unitPrice is
+ * the VAT-inclusive price after pricingEngine rules.
+ */
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const money = (n) => `GH₵${round2(n).toFixed(2)}`;
+
+const isAdvancedOfferType = (type) => ADVANCED_OFFER_TYPES.includes(type);
+
+/**
+ * Validate and normalise offer settings for a coupon / promo create or update.
+ * @param {string} type - one of ADVANCED_OFFER_TYPES
+ * @param {Object} offer - request body settings
+ * @returns {Object} offer to store
+ */
+function normalizeOfferConfig(type, offer = {}) {
+  if (!isAdvancedOfferType(type)) {
+    throw new AppError(`Offer type must be one of: ${ADVANCED_OFFER_TYPES.join(', ')}`, 400);
+  }
+  const positive = (value, label, { integer = false } = {}) => {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0 || (integer && !Number.isInteger(n))) {
+      throw new AppError(`${label} must be a positive ${integer ? 'whole number' : 'number'}`, 400);
+    }
+    return n;
+  };
+
+  if (type === 'bogo') {
+    const getDiscountPercent = offer.getDiscountPercent == null ? 100 : positive(offer.getDiscountPercent, 'Get discount percent');
+    if (getDiscountPercent > 100) throw new AppError('Get discount percent cannot exceed 100', 400);
+    return {
+      type,
+      buyQuantity: positive(offer.buyQuantity, 'Buy quantity', { integer: true }),
+      getQuantity: positive(offer.getQuantity, 'Get quantity', { integer: true }),
+      getDiscountPercent,
+    };
+  }
+
+  if (type === 'tiered') {
+    const tierBasis = offer.tierBasis === 'quantity' ? 'quantity' : 'subtotal';
+    if (!Array.isArray(offer.tiers) || offer.tiers.length === 0 || offer.tiers.length > 10) {
+      throw new AppError('Tiered offers need between 1 and 10 tiers', 400);
+    }
+    const tiers = offer.tiers
+      .map((tier) => {
+        const discountType = tier.discountType === 'fixed' ? 'fixed' : 'percentage';
+        const discountValue = positive(tier.discountValue, 'Tier discount value');
+        if (discountType === 'percentage' && discountValue > 100) {
+          throw new AppError('Percentage discount cannot exceed 100%', 400);
+        }
+        return {
+          threshold: positive(tier.threshold, 'Tier threshold', { integer: tierBasis === 'quantity' }),
+          discountType,
+          discountValue,
+        };
+      })
+      .sort((a, b) => a.threshold - b.threshold);
+    if (new Set(tiers.map((t) => t.threshold)).size !== tiers.length) {
+      throw new AppError('Tier thresholds must be unique', 400);
+    }
+    return { type, tierBasis, tiers };
+  }
+
+  if (type === 'bundle') {
+    const bundleProducts = [...new Set((offer.bundleProducts || []).map(String))];
+    if (bundleProducts.length < 2) throw new AppError('A bundle needs at least two different products', 400);
+    return { type, bundleProducts, bundlePrice: positive(offer.bundlePrice, 'Bundle price') };
+  }
+
+  // free_shipping
+  const minSubtotal = offer.minSubtotal == null ? 0 : Number(offer.minSubtotal);
+  if (!Number.isFinite(minSubtotal) || minSubtotal < 0) {
+    throw new AppError('Minimum subtotal cannot be negative', 400);
+  }
+  return { type, minSubtotal };
+}
+
+const idOf = (value) => (value && value._id ? String(value._id) : value ? String(value) : '');
+
+/**
+ * Cart line for offer evaluation from a product document and its priced quantity.
+ */
+function toCartLine(product, { unitPrice, quantity }) {
+  return {
+    product: idOf(product._id),
+    seller: idOf(product.seller),
+    categories: [idOf(product.parentCategory), idOf(product.subCategory)].filter(Boolean),
+    unitPrice: Number(unitPrice) || 0,
+    quantity: Number(quantity) || 0,
+  };
+}
+
+/**
+ * Short buyer-facing label, e.g. "Buy 2, get 1 free" or "Free shipping over GH₵200.00".
+ */
+function describeOffer(type, offer = {}) {
+  if (type === 'bogo') {
+    const percent = offer.getDiscountPercent ?? 100;
+    return `Buy ${offer.buyQuantity}, get ${offer.getQuantity} ${percent === 100 ? 'free' : `${percent}% off`}`;
+  }
+  if (type === 'tiered') {
+    const tiers = [...(offer.tiers || [])].sort((a, b) => a.threshold - b.threshold);
+    return tiers
+      .map((t) => {
+        const off = t.discountType === 'percentage' ? `${t.discountValue}% off` : `${money(t.discountValue)} off`;
+        return offer.tierBasis === 'quantity' ? `${off} ${t.threshold}+ items` : `${off} over ${money(t.threshold)}`;
+      })
+      .join(', ');
+  }
+  if (type === 'bundle') {
+    return `Bundle of ${(offer.bundleProducts || []).length} for ${money(offer.bundlePrice)}`;
+  }
+  if (type === 'free_shipping') {
+    return offer.minSubtotal > 0 ? `Free shipping over ${money(offer.minSubtotal)}` : 'Free shipping';
+  }
+  return null;
+}
+
+const lineTotal = (line) => round2(line.unitPrice * line.quantity);
+const eligibleSubtotal = (lines) => round2(lines.reduce((sum, l) => sum + lineTotal(l), 0));
+
+/** Spread a discount over lines in proportion to their totals (for seller funding) */
+function allocate(amount, lines) {
+  const subtotal = eligibleSubtotal(lines);
+  if (!amount || !subtotal) return [];
+  let remaining = round2(amount);
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1 ? remaining : round2((amount * lineTotal(line)) / subtotal);
+    remaining = round2(remaining - share);
+    return { product: String(line.product), seller: String(line.seller || ''), amount: share };
+  });
+}
+
+function evaluateBogo(offer, lines) {
+  const { buyQuantity, getQuantity } = offer;
+  const percent = offer.getDiscountPercent ?? 100;
+  const groupSize = buyQuantity + getQuantity;
+  // Most expensive units pay full price; the cheapest unit(s) in each group get the discount
+  const units = lines
+    .flatMap((line) => Array.from({ length: line.quantity }, () => line))
+    .sort((a, b) => b.unitPrice - a.unitPrice);
+  const groups = Math.floor(units.length / groupSize);
+  if (groups === 0) {
+    return { discountAmount: 0, reason: `Add ${groupSize - units.length} more eligible item(s) to qualify` };
+  }
+
+  const byLine = new Map();
+  for (let g = 0; g < groups; g += 1) {
+    for (let i = g * groupSize + buyQuantity; i < (g + 1) * groupSize; i += 1) {
+      const line = units[i];
+      byLine.set(line, round2((byLine.get(line) || 0) + (line.unitPrice * percent) / 100));
+    }
+  }
+  const appliedLines = [...byLine].map(([line, amount]) => ({
+    product: String(line.product),
+    seller: String(line.seller || ''),
+    amount,
+  }));
+  const free = percent === 100 ? 'free' : `${percent}% off`;
+  return {
+    discountAmount: round2(appliedLines.reduce((sum, l) => sum + l.amount, 0)),
+    appliedLines,
+    summary: `Buy ${buyQuantity}, get ${getQuantity} ${free} (x${groups})`,
+  };
+}
+
+function evaluateTiered(offer, lines, { maxDiscountAmount = null } = {}) {
+  const subtotal = eligibleSubtotal(lines);
+  const basis = offer.tierBasis === 'quantity'
+    ? lines.reduce((sum, l) => sum + l.quantity, 0)
+    : subtotal;
+  const tiers = [...(offer.tiers || [])].sort((a, b) => a.threshold - b.threshold);
+  const tier = tiers.filter((t) => basis >= t.threshold).pop();
+  if (!tier) {
+    const next = tiers[0];
+    const gap = next ? next.threshold - basis : 0;
+    const reason = offer.tierBasis === 'quantity'
+      ? `Add ${gap} more eligible item(s) to qualify`
+      : `Spend ${money(gap)} more on eligible items to qualify`;
+    return { discountAmount: 0, reason };
+  }
+
+  let discountAmount = tier.discountType === 'percentage'
+    ? (subtotal * tier.discountValue) / 100
+    : tier.discountValue;
+  if (maxDiscountAmount) discountAmount = Math.min(discountAmount, maxDiscountAmount);
+  discountAmount = round2(Math.min(discountAmount, subtotal));
+  const off = tier.discountType === 'percentage' ? `${tier.discountValue}% off` : `${money(tier.discountValue)} off`;
+  const reached = offer.tierBasis === 'quantity' ? `${tier.threshold}+ items` : `spend ${money(tier.threshold)}+`;
+  return {
+    discountAmount,
+    appliedLines: allocate(discountAmount, lines),
+    summary: `${off} (${reached})`,
+    tier,
+  };
+}
+
+function evaluateBundle(offer, lines) {
+  const bundleIds = (offer.bundleProducts || []).map(String);
+  const pick = bundleIds.map((id) => {
+    const matches = lines.filter((l) => String(l.product) === id);
+    return {
+      id,
+      quantity: matches.reduce((sum, l) => sum + l.quantity, 0),
+      // Cheapest matching line (variants of the same product may differ in price)
+      line: matches.sort((a, b) => a.unitPrice - b.unitPrice)[0],
+    };
+  });
+  const bundles = Math.min(...pick.map((p) => p.quantity));
+  if (!bundles) {
+    const missing = pick.filter((p) => !p.quantity).length;
+    return { discountAmount: 0, reason: `Add the ${missing} remaining bundle product(s) to qualify` };
+  }
+
+  const bundleList = round2(pick.reduce((sum, p) => sum + p.line.unitPrice, 0));
+  const saving = round2(Math.max(0, bundleList - offer.bundlePrice));
+  if (!saving) return { discountAmount: 0, reason: 'The bundle price is not lower than the items in your cart' };
+
+  const perBundle = allocate(saving, pick.map((p) => ({ ...p.line, quantity: 1 })));
+  return {
+    discountAmount: round2(saving * bundles),
+    appliedLines: perBundle.map((l) => ({ ...l, amount: round2(l.amount * bundles) })),
+    summary: `Bundle of ${bundleIds.length} for ${money(offer.bundlePrice)} (x${bundles})`,
+  };
+}
+
+function evaluateFreeShipping(offer, lines) {
+  const subtotal = eligibleSubtotal(lines);
+  const minSubtotal = offer.minSubtotal || 0;
+  if (!lines.length || subtotal < minSubtotal) {
+    return { discountAmount: 0, reason: `Spend ${money(minSubtotal - subtotal)} more on eligible items for free shipping` };
+  }
+  return {
+    discountAmount: 0,
+    freeShipping: true,
+    freeShippingSellerIds: [...new Set(lines.map((l) => String(l.seller || '')).filter(Boolean))],
+    summary: minSubtotal > 0 ? `Free shipping on orders over ${money(minSubtotal)}` : 'Free shipping',
+  };
+}
+
+/**
+ * Evaluate an advanced offer on the eligible cart lines (pure).
+ * @param {string} type - bogo | tiered | bundle | free_shipping
+ * @param {Object} offer - stored offer settings
+ * @param {Array} lines - eligible cart lines
+ * @param {{ maxDiscountAmount?: number|null }} [options]
+ * @returns {{ type: string, discountAmount: number, appliedLines: Array, freeShipping: boolean,
+ *   freeShippingSellerIds: string[], summary: string|null, reason: string|null }}
+ */
+function evaluateOffer(type, offer = {}, lines = [], options = {}) {
+  const evaluators = {
+    bogo: evaluateBogo,
+    tiered: evaluateTiered,
+    bundle: evaluateBundle,
+    free_shipping: evaluateFreeShipping,
+  };
+  const evaluate = evaluators[type];
+  if (!evaluate) throw new AppError(`Unsupported offer type "${type}"`, 400);
+  const usable = lines.filter((l) => l.quantity > 0 && l.unitPrice >= 0);
+  const result = evaluate(offer, usable, options);
+  return {
+    type,
+    discountAmount: result.discountAmount || 0,
+    appliedLines: result.appliedLines || [],
+    freeShipping: result.freeShipping === true,
+    freeShippingSellerIds: result.freeShippingSellerIds || [],
+    summary: result.summary || null,
+    reason: result.reason || null,
+  };
+}
+
+/**
+ * Waive shipping for the given sellers. Dispatch (order-level) shipping is only waived when
+ * every seller in the order qualifies.
+ * @param {{ shippingBreakdown: Array<{ sellerId: string, shippingFee: number }>,
+ *   orderLevelShipping?: number, sellerIds: string[], orderSellerIds: string[] }} input
+ * @returns {{ shippingBreakdown: Array, orderLevelShipping: number, shippingDiscount: number }}
+ */
+function applyFreeShipping({ shippingBreakdown = [], orderLevelShipping = 0, sellerIds = [], orderSellerIds = [] }) {
+  const covered = new Set(sellerIds.map(String));
+  let shippingDiscount = 0;
+  const breakdown = shippingBreakdown.map((entry) => {
+    if (!covered.has(String(entry.sellerId)) || !entry.shippingFee) return entry;
+    shippingDiscount += entry.shippingFee;
+    return { ...entry, shippingFee: 0, reason: 'Free shipping offer' };
+  });
+  let orderLevel = orderLevelShipping || 0;
+  if (orderLevel > 0 && orderSellerIds.length > 0 && orderSellerIds.every((id) => covered.has(String(id)))) {
+    shippingDiscount += orderLevel;
+    orderLevel = 0;
+  }
+  return { shippingBreakdown: breakdown, orderLevelShipping: orderLevel, shippingDiscount: round2(shippingDiscount) };
+}
+
+/**
+ * Per-seller totals of an offer's applied lines.
+ * @returns {Map<string, number>} sellerId -> discount
+ */
+function discountsBySeller(appliedLines = []) {
+  const bySeller = new Map();
+  for (const line of appliedLines) {
+    if (!line.seller) continue;
+    bySeller.set(line.seller, round2((bySeller.get(line.seller) || 0) + line.amount));
+  }
+  return bySeller;
+}
+
+/**
+ * Coupon lines: restricted to the coupon's seller, products and categories.
+ */
+function filterCouponLines(batch, lines) {
+  const productIds = (batch.applicableProducts || []).map(String);
+  const categoryIds = (batch.applicableCategories || []).map(String);
+  const sellerId = !batch.global && batch.seller ? String(batch.seller) : null;
+  return lines.filter((line) => {
+    if (sellerId && String(line.seller) !== sellerId) return false;
+    if (productIds.length && !productIds.includes(String(line.product))) return false;
+    if (categoryIds.length && !(line.categories || []).some((c) => categoryIds.includes(String(c)))) return false;
+    return true;
+  });
+}
+
+/**
+ * Evaluate every running promo that carries an advanced offer against the cart.
+ * Eligible lines are the products with an approved submission in that promo.
+ * @param {Array} lines - priced cart lines
+ * @param {{ now?: Date, session?: Object }} [options]
+ * @returns {Promise<Array<Object>>} applied offers (evaluateOffer result + promo id / name)
+ */
+async function evaluatePromoOffers(lines, { now = new Date(), session = null } = {}) {
+  if (!lines.length) return [];
+  const withSession = (query) => (session ? query.session(session) : query);
+
+  const promos = await withSession(
+    Promo.find({
+      status: 'active',
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      'offer.type': { $in: ADVANCED_OFFER_TYPES },
+    })
+      .select('name offer')
+      .lean(),
+  );
+  if (!promos.length) return [];
+
+  const submissions = await withSession(
+    PromoProduct.find({
+      promo: { $in: promos.map((p) => p._id) },
+      product: { $in: lines.map((l) => l.product) },
+      status: 'approved',
+    })
+      .select('promo product seller')
+      .lean(),
+  );
+
+  const applied = [];
+  for (const promo of promos) {
+    const approved = new Set(
+      submissions
+        .filter((s) => String(s.promo) === String(promo._id))
+        .map((s) => `${s.product}:${s.seller}`),
+    );
+    const eligible = lines.filter((l) => approved.has(`${l.product}:${l.seller}`));
+    if (!eligible.length) continue;
+    const result = evaluateOffer(promo.offer.type, promo.offer, eligible);
+    if (result.discountAmount > 0 || result.freeShipping) {
+      applied.push({ source: 'promo', promo: promo._id, name: promo.name, ...result });
+    }
+  }
+  return applied;
+}
+
+module.exports = {
+  ADVANCED_OFFER_TYPES,
+  isAdvancedOfferType,
+  normalizeOfferConfig,
+  toCartLine,
+  describeOffer,
+  evaluateOffer,
+  applyFreeShipping,
+  discountsBySeller,
+  filterCouponLines,
+  evaluatePromoOffers,
+};
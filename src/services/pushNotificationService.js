@@ -171,11 +171,28 @@ const sendSecurityNotification = async (userId, title, body, eventType = null) =
   });
 };
 
+/**
+ * Send push notification for seller low / out-of-stock alerts
+ */
+const sendStockAlertNotification = async (sellerId, productId, title, body, level = null) => {
+  return await sendPushToUser(sellerId, {
+    title,
+    body,
+    priority: level === 'out_of_stock' ? 'high' : 'default',
+    data: {
+      type: 'inventory',
+      referenceId: productId,
+      level,
+    },
+  });
+};
+
 module.exports = {
   sendPushToUser,
   sendOrderNotification,
   sendWalletNotification,
   sendSupportNotification,
   sendSecurityNotification,
+  sendStockAlertNotification,
 };
 
@@ -5,58 +5,18 @@ const ProductRelations = require('../models/analytics/productRelationsModel');
 const TrendingProducts = require('../models/analytics/trendingProductsModel');
 const Order = require('../models/order/orderModel');
 const OrderItems = require('../models/order/OrderItemModel');
-const axios = require('axios');
 const logger = require('../utils/logger');
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_EMBEDDING_URL = 'https://api.openai.com/v1/embeddings';
-const AI_ENABLED = process.env.AI_SEARCH_ENABLED === 'true' && !!OPENAI_API_KEY;
-
-/**
- * Calculate cosine similarity between two vectors
- */
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
-
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-
-  if (normA === 0 || normB === 0) return 0;
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
+const embeddingService = require('./search/embeddingService');
+const { getEmbeddingProvider } = require('./ai/aiProvider');
 
 /**
- * Generate embedding for a product using OpenAI
+ * Embedding for a product from the configured provider (local when no API key is set).
+ * Kept for callers that only need the vector; storage goes through embeddingService.
  */
 async function generateProductEmbedding(product) {
-  if (!AI_ENABLED) return null;
-
   try {
-    const text = `${product.name} ${product.description || ''} ${product.brand || ''} ${(product.tags || []).join(' ')} ${(product.keywords || []).join(' ')}`.trim();
-
-    const response = await axios.post(
-      OPENAI_EMBEDDING_URL,
-      {
-        model: 'text-embedding-3-small',
-        input: text,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000,
-      }
-    );
-
-    return response.data.data[0].embedding;
+    const [embedding] = await getEmbeddingProvider().embed([embeddingService.productEmbeddingText(product)]);
+    return embedding;
   } catch (error) {
     logger.error('[Recommendation] Error generating embedding:', error.message);
     return null;
@@ -527,58 +487,16 @@ async function computeTrendingProducts(limit = 10) {
  */
 async function getAISimilarProducts(productId, limit = 10) {
   try {
-    if (!AI_ENABLED) {
-      // Fallback to related products
-      return await getRelatedProducts(productId, limit);
-    }
-
-    const product = await Product.findById(productId).select('+embedding name description brand tags keywords embeddingUpdatedAt');
-
+    const product = await Product.findById(productId).select('status').lean();
     if (!product || product.status !== 'active') {
       return [];
     }
 
-    // Generate or update embedding if needed
-    let embedding = product.embedding;
-    const shouldUpdateEmbedding = !embedding ||
-      !product.embeddingUpdatedAt ||
-      (Date.now() - new Date(product.embeddingUpdatedAt).getTime() > 30 * 24 * 60 * 60 * 1000); // 30 days
-
-    if (shouldUpdateEmbedding || !embedding) {
-      embedding = await generateProductEmbedding(product);
-      if (embedding) {
-        await Product.findByIdAndUpdate(productId, {
-          embedding,
-          embeddingUpdatedAt: new Date(),
-        });
-      }
-    }
-
-    if (!embedding || embedding.length === 0) {
+    const similar = await embeddingService.findSimilarProducts(productId, limit);
+    if (similar.length === 0) {
       return await getRelatedProducts(productId, limit);
     }
-
-    // Find products with embeddings
-    const allProducts = await Product.find({
-      _id: { $ne: new mongoose.Types.ObjectId(productId) },
-      status: 'active',
-      embedding: { $exists: true, $ne: null },
-    })
-      .select('+embedding name imageCover images variants price minPrice maxPrice brand ratingsAverage totalSold status slug')
-      .limit(100) // Limit for performance
-      .lean();
-
-    // Calculate similarities
-    const similarities = allProducts.map((p) => {
-      const similarity = cosineSimilarity(embedding, p.embedding);
-      return { ...p, _similarity: similarity };
-    });
-
-    // Sort by similarity and return top results
-    return similarities
-      .sort((a, b) => b._similarity - a._similarity)
-      .slice(0, limit)
-      .map(({ embedding, _similarity, ...product }) => product);
+    return similar.map(({ similarity, ...rest }) => rest);
   } catch (error) {
     logger.error('[Recommendation] Error getting AI similar products:', error);
     return await getRelatedProducts(productId, limit);
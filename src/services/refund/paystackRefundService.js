@@ -0,0 +1,700 @@
+const RefundRequest = require('../../models/refund/refundRequestModel');
+const Order = require('../../models/order/orderModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { paystackApi, PAYSTACK_ENDPOINTS } = require('../../config/paystack');
+const { enqueue } = require('../jobs/jobQueueService');
+
+/**
+ * paystackRefundService.js
+ * Refunds to the buyer's original payment method (card / MoMo) through the Paystack Refund API.
+ *
+ * Approving a RefundRequest whose refundMethod is 'original_payment' queues a gateway refund
+ * (gatewayRefund.status 'queued'); the paystack-refunds job calls Paystack and records the
+ * refund id. Paystack reports the outcome by webhook (refund.pending / processing / processed /
+ * failed / needs-attention); webhooks are handled on the same queue. Refunds still open after
+ * PAYSTACK_REFUND_SYNC_AFTER_HOURS are polled in case a webhook was missed. Refunds that fail
+ * are started again up to PAYSTACK_REFUND_MAX_RETRIES times, then left for an admin to retry,
+ * pay out as wallet credit, or mark processed from the reconciliation view.
+ */
+
+const PAYSTACK_REFUND_QUEUE = 'paystack-refunds';
+const MAX_GATEWAY_RETRIES = parseInt(process.env.PAYSTACK_REFUND_MAX_RETRIES || '2', 10);
+const SYNC_AFTER_MS = parseFloat(process.env.PAYSTACK_REFUND_SYNC_AFTER_HOURS || '6') * 60 * 60 * 1000;
+const RETRY_DELAY_MS = 30 * 60 * 1000;
+const STUCK_QUEUED_MS = 2 * 60 * 60 * 1000;
+const SYNC_BATCH_SIZE = 100;
+const CURRENCY = 'GHS';
+
+// Payment methods settled through Paystack (the order's paymentReference is a Paystack transaction)
+const ORIGINAL_PAYMENT_METHODS = ['card', 'mobile_money', 'paystack'];
+// Gateway refunds that still need Paystack or an admin
+const OPEN_STATUSES = ['queued', 'pending', 'processing', 'failed', 'needs_review'];
+// States an admin can resolve by hand
+const ATTENTION_STATUSES = ['failed', 'needs_review'];
+// Initiate jobs that will still run; any other job for the current retry number is spent
+const LIVE_JOB_STATUSES = ['queued', 'active'];
+
+/**
+ * Whether the order can be refunded to the card / MoMo wallet that paid for it.
+ */
+function canRefundToOriginalPayment(order) {
+  return Boolean(
+    order
+    && order.paymentReference
+    && ORIGINAL_PAYMENT_METHODS.includes(order.paymentMethod)
+    && (order.paymentStatus === 'paid' || order.paymentStatus === 'completed')
+  );
+}
+
+/**
+ * Amount in pesewas, as the Paystack API expects.
+ */
+function toSubunit(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * Map a Paystack refund status (or refund.* webhook suffix) to gatewayRefund.status.
+ */
+function mapPaystackRefundStatus(status) {
+  switch (String(status || '').toLowerCase()) {
+    case 'processed':
+      return 'processed';
+    case 'failed':
+      return 'failed';
+    case 'needs-attention':
+      return 'needs_review';
+    case 'processing':
+      return 'processing';
+    default:
+      return 'pending';
+  }
+}
+
+/**
+ * How to treat an error from the refund endpoint:
+ * - 'retry': Paystack did not take the request (5xx, rate limit, connection refused) — try again
+ * - 'unknown': the request may have been accepted (timeout) — an admin checks the dashboard
+ * - 'fatal': Paystack rejected the refund (4xx) — retrying will not help
+ */
+function classifyGatewayError(error) {
+  const status = error?.response?.status;
+  if (status) {
+    return status >= 500 || status === 429 ? 'retry' : 'fatal';
+  }
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET'].includes(error?.code)) {
+    return 'unknown';
+  }
+  return 'retry';
+}
+
+function getGatewayErrorMessage(error) {
+  return error?.response?.data?.message || error?.message || 'Unknown Paystack error';
+}
+
+/**
+ * Write gateway changes only while the refund is still in the status they were worked out
+ * from, so a webhook or admin action that landed in the meantime is not overwritten.
+ * On success the changes are copied onto the in-memory document as well.
+ * @param {import('mongoose').Document} refundRequest
+ * @param {string} fromStatus - gatewayRefund.status the changes are based on
+ * @param {Object} changes - gatewayRefund fields to set; undefined clears the field
+ * @param {Object} [fields] - top-level RefundRequest fields to set
+ * @returns {Promise<boolean>} false when the refund had already moved on
+ */
+async function updateGatewayFrom(refundRequest, fromStatus, changes, fields = {}) {
+  const update = { $set: { ...fields } };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) {
+      update.$unset = { ...update.$unset, [`gatewayRefund.${key}`]: '' };
+    } else {
+      update.$set[`gatewayRefund.${key}`] = value;
+    }
+  });
+
+  const result = await RefundRequest.updateOne(
+    { _id: refundRequest._id, 'gatewayRefund.status': fromStatus },
+    update,
+  );
+  if (result.matchedCount === 0) {
+    logger.info(`[PaystackRefund] Refund ${refundRequest._id} is no longer ${fromStatus}; change not applied`);
+    return false;
+  }
+  Object.assign(refundRequest.gatewayRefund, changes);
+  Object.assign(refundRequest, fields);
+  return true;
+}
+
+/**
+ * Mark an approved refund for payout through Paystack. The caller saves the document and
+ * calls enqueueGatewayRefund once its transaction has committed.
+ * @param {import('mongoose').Document} refundRequest
+ * @param {Object} order - needs paymentReference
+ * @param {number} amount - approved amount in GHS
+ */
+function startGatewayRefund(refundRequest, order, amount) {
+  refundRequest.gatewayRefund = {
+    status: 'queued',
+    amount,
+    transactionReference: order.paymentReference,
+    attempts: 0,
+    retries: 0,
+    queuedAt: new Date(),
+  };
+}
+
+async function enqueueGatewayRefund(refundRequest, options = {}) {
+  return enqueue(PAYSTACK_REFUND_QUEUE, {
+    type: 'initiate',
+    refundRequestId: refundRequest._id.toString(),
+  }, {
+    name: 'Paystack refund',
+    uniqueKey: `${PAYSTACK_REFUND_QUEUE}:initiate:${refundRequest._id}:${refundRequest.gatewayRefund?.retries || 0}`,
+    maxAttempts: 5,
+    backoff: { type: 'exponential', delayMs: 60 * 1000 },
+    delayMs: options.delayMs,
+  });
+}
+
+/**
+ * Queue a refund stuck in 'queued' again. A job that is still waiting or running is left to
+ * do its work; once the job for this retry number is dead (or ended without calling Paystack)
+ * the retry number is bumped, because enqueue would otherwise hand back that spent job.
+ * @returns {Promise<Job>} the job that will initiate the refund
+ */
+async function requeueStuckRefund(refundRequest) {
+  const job = await enqueueGatewayRefund(refundRequest);
+  if (LIVE_JOB_STATUSES.includes(job?.status)) return job;
+
+  const retries = (refundRequest.gatewayRefund.retries || 0) + 1;
+  const requeued = await updateGatewayFrom(refundRequest, 'queued', { retries, queuedAt: new Date() });
+  if (!requeued) return job;
+  logger.warn(`[PaystackRefund] Refund ${refundRequest._id} was stuck in queued (job ${job?.status}); queued again as retry ${retries}`);
+  return enqueueGatewayRefund(refundRequest);
+}
+
+async function notifyAdminsOfFailure(refundRequest, order) {
+  try {
+    const notificationService = require('../notification/notificationService');
+    await notificationService.createNotificationForAllAdmins({
+      type: 'refund',
+      title: 'Gateway Refund Needs Attention',
+      message: `Paystack refund of GH₵${Number(refundRequest.gatewayRefund.amount || 0).toFixed(2)} for order #${order?.orderNumber || refundRequest.order} is ${refundRequest.gatewayRefund.status === 'failed' ? 'failed' : 'unconfirmed'}: ${refundRequest.gatewayRefund.lastError || 'no reason given'}`,
+      metadata: {
+        refundId: refundRequest._id,
+        orderId: refundRequest.order,
+        gatewayStatus: refundRequest.gatewayRefund.status,
+      },
+      priority: 'high',
+      actionUrl: `/dashboard/refunds/${refundRequest._id}`,
+    });
+  } catch (error) {
+    logger.error('[PaystackRefund] Failed to notify admins:', error.message);
+  }
+}
+
+/**
+ * Paystack confirmed the money went back: close the refund request and tell the buyer.
+ * @param {import('mongoose').Document} refundRequest
+ * @param {string} fromStatus - gatewayRefund.status the confirmation applies to
+ * @param {Object} [changes] - other gatewayRefund fields to record with it
+ * @returns {Promise<boolean>} false when the refund had already moved on
+ */
+async function completeGatewayRefund(refundRequest, fromStatus, changes = {}) {
+  const completed = await updateGatewayFrom(
+    refundRequest,
+    fromStatus,
+    { ...changes, status: 'processed', processedAt: new Date() },
+    { status: 'completed' },
+  );
+  if (!completed) return false;
+
+  await Order.updateOne(
+    { _id: refundRequest.order, refundStatus: 'approved' },
+    { $set: { refundStatus: 'completed' } },
+  );
+  const order = await Order.findById(refundRequest.order).select('orderNumber').lean();
+
+  try {
+    const User = require('../../models/user/userModel');
+    const emailDispatcher = require('../../emails/emailDispatcher');
+    const user = await User.findById(refundRequest.buyer).select('name email').lean();
+    if (user?.email && order) {
+      await emailDispatcher.sendRefundProcessed(user, {
+        finalRefundAmount: refundRequest.gatewayRefund.amount,
+        processedAt: refundRequest.gatewayRefund.processedAt,
+      }, order);
+    }
+  } catch (error) {
+    logger.error('[PaystackRefund] Failed to send refund processed email:', error.message);
+  }
+
+  logger.info(`[PaystackRefund] Refund ${refundRequest._id} processed by Paystack`);
+  return true;
+}
+
+/**
+ * Apply a status reported by Paystack (refund response, webhook or poll).
+ * Failed refunds are started again while automatic retries remain.
+ * @param {Object} [details]
+ * @param {boolean} [details.clearError] - drop lastError (a fresh call was accepted)
+ */
+async function applyGatewayStatus(refundRequest, status, details = {}) {
+  const gateway = refundRequest.gatewayRefund;
+  if (!gateway || ['processed', 'cancelled'].includes(gateway.status)) {
+    return { status: gateway?.status, ignored: true };
+  }
+
+  const fromStatus = gateway.status;
+  const changes = {};
+  if (details.paystackStatus) changes.paystackStatus = details.paystackStatus;
+  if (details.paystackRefundId && !gateway.paystackRefundId) {
+    changes.paystackRefundId = details.paystackRefundId;
+  }
+  if (details.clearError) changes.lastError = undefined;
+  const superseded = { status: fromStatus, ignored: true };
+
+  if (status === 'processed') {
+    return await completeGatewayRefund(refundRequest, fromStatus, changes) ? { status } : superseded;
+  }
+
+  if (status === 'failed') {
+    changes.lastError = details.reason || 'Refund failed at Paystack';
+    if ((gateway.retries || 0) < MAX_GATEWAY_RETRIES) {
+      const requeued = await updateGatewayFrom(refundRequest, fromStatus, {
+        ...changes,
+        retries: (gateway.retries || 0) + 1,
+        status: 'queued',
+        queuedAt: new Date(),
+        paystackRefundId: undefined,
+      });
+      if (!requeued) return superseded;
+      await enqueueGatewayRefund(refundRequest, { delayMs: RETRY_DELAY_MS });
+      logger.warn(`[PaystackRefund] Refund ${refundRequest._id} failed; retry ${gateway.retries}/${MAX_GATEWAY_RETRIES} queued`);
+      return { status: 'queued' };
+    }
+    const failed = await updateGatewayFrom(refundRequest, fromStatus, { ...changes, status: 'failed', failedAt: new Date() });
+    if (!failed) return superseded;
+    await notifyAdminsOfFailure(refundRequest);
+    return { status };
+  }
+
+  changes.status = status;
+  if (status === 'needs_review') {
+    changes.lastError = details.reason || 'Paystack flagged the refund for attention';
+  }
+  if (!(await updateGatewayFrom(refundRequest, fromStatus, changes))) return superseded;
+  if (status === 'needs_review') {
+    await notifyAdminsOfFailure(refundRequest);
+  }
+  return { status };
+}
+
+/**
+ * Call the Paystack refund endpoint for a queued gateway refund.
+ * Retryable errors are rethrown so the job queue tries again with backoff.
+ */
+async function initiateGatewayRefund(refundRequestId, job) {
+  const refundRequest = await RefundRequest.findById(refundRequestId);
+  const gateway = refundRequest?.gatewayRefund;
+  if (!gateway || gateway.status !== 'queued') {
+    return { skipped: true, status: gateway?.status };
+  }
+
+  const order = await Order.findById(refundRequest.order).select('orderNumber').lean();
+  if (!(await updateGatewayFrom(refundRequest, 'queued', { attempts: (gateway.attempts || 0) + 1 }))) {
+    return { skipped: true };
+  }
+
+  let data;
+  try {
+    const response = await paystackApi.post(PAYSTACK_ENDPOINTS.CREATE_REFUND, {
+      transaction: gateway.transactionReference,
+      amount: toSubunit(gateway.amount),
+      currency: CURRENCY,
+      merchant_note: `Refund request ${refundRequest._id} for order #${order?.orderNumber || refundRequest.order}`,
+    });
+    data = response.data?.data || {};
+  } catch (error) {
+    const kind = classifyGatewayError(error);
+    const lastError = getGatewayErrorMessage(error);
+    logger.error(`[PaystackRefund] Refund ${refundRequest._id} call failed (${kind}):`, error.response?.data || error.message);
+
+    const lastAttempt = !job || job.attempts >= job.maxAttempts;
+    if (kind === 'retry' && !lastAttempt) {
+      await updateGatewayFrom(refundRequest, 'queued', { lastError });
+      throw error;
+    }
+
+    const status = kind === 'unknown' ? 'needs_review' : 'failed';
+    if (!(await updateGatewayFrom(refundRequest, 'queued', { lastError, status, failedAt: new Date() }))) {
+      return { skipped: true };
+    }
+    await notifyAdminsOfFailure(refundRequest, order);
+    return { status };
+  }
+
+  logger.info(`[PaystackRefund] Refund ${refundRequest._id} accepted by Paystack`, {
+    paystackRefundId: data.id,
+    status: data.status,
+  });
+  // Not a status change, so recorded whatever a webhook may have done since: the sync sweep
+  // polls refunds by initiatedAt
+  gateway.initiatedAt = new Date();
+  await RefundRequest.updateOne(
+    { _id: refundRequest._id },
+    { $set: { 'gatewayRefund.initiatedAt': gateway.initiatedAt } },
+  );
+  return applyGatewayStatus(refundRequest, mapPaystackRefundStatus(data.status), {
+    paystackStatus: data.status,
+    paystackRefundId: data.id != null ? String(data.id) : undefined,
+    clearError: true,
+  });
+}
+
+/**
+ * Find the refund request a refund.* webhook is about: by Paystack refund id when known,
+ * otherwise the oldest open refund for that transaction and amount.
+ */
+async function findRefundRequestForWebhook(data = {}) {
+  if (data.id != null) {
+    const byId = await RefundRequest.findOne({ 'gatewayRefund.paystackRefundId': String(data.id) });
+    if (byId) return byId;
+  }
+
+  const reference = data.transaction_reference || data.transaction?.reference;
+  if (!reference) return null;
+
+  const query = {
+    'gatewayRefund.transactionReference': reference,
+    'gatewayRefund.status': { $in: ['queued', 'pending', 'processing', 'needs_review'] },
+  };
+  if (data.amount != null) {
+    query['gatewayRefund.amount'] = Number(data.amount) / 100;
+  }
+  return RefundRequest.findOne(query).sort({ 'gatewayRefund.queuedAt': 1 });
+}
+
+/**
+ * Apply a refund.* webhook event.
+ * @param {string} eventName - e.g. 'refund.processed'
+ * @param {Object} data - event.data
+ */
+async function handleRefundWebhook(eventName, data = {}) {
+  const refundRequest = await findRefundRequestForWebhook(data);
+  if (!refundRequest) {
+    logger.warn(`[PaystackRefund] No refund request found for ${eventName}`, {
+      transactionReference: data.transaction_reference,
+      refundId: data.id,
+    });
+    return { matched: false };
+  }
+
+  const paystackStatus = data.status || String(eventName).replace(/^refund\./, '');
+  const result = await applyGatewayStatus(refundRequest, mapPaystackRefundStatus(paystackStatus), {
+    paystackStatus,
+    paystackRefundId: data.id != null ? String(data.id) : undefined,
+    reason: data.reason || data.message,
+  });
+  return { matched: true, refundRequestId: refundRequest._id.toString(), ...result };
+}
+
+/**
+ * Poll Paystack for the current state of one gateway refund.
+ */
+async function syncGatewayRefund(refundRequest) {
+  const gateway = refundRequest.gatewayRefund;
+  if (!gateway?.paystackRefundId) {
+    return { skipped: true };
+  }
+
+  const response = await paystackApi.get(`${PAYSTACK_ENDPOINTS.FETCH_REFUND}/${gateway.paystackRefundId}`);
+  const data = response.data?.data || {};
+  return applyGatewayStatus(refundRequest, mapPaystackRefundStatus(data.status), {
+    paystackStatus: data.status,
+  });
+}
+
+/**
+ * Poll refunds Paystack has not reported on for a while (missed webhooks), and queue again
+ * refunds stuck in 'queued' (enqueue failed after approval, or the job died).
+ */
+async function syncStaleGatewayRefunds() {
+  const stuck = await RefundRequest.find({
+    'gatewayRefund.status': 'queued',
+    'gatewayRefund.queuedAt': { $lt: new Date(Date.now() - STUCK_QUEUED_MS) },
+  })
+    .select('gatewayRefund')
+    .limit(SYNC_BATCH_SIZE);
+  for (const refundRequest of stuck) {
+    await requeueStuckRefund(refundRequest);
+  }
+
+  const refundRequests = await RefundRequest.find({
+    'gatewayRefund.status': { $in: ['pending', 'processing'] },
+    'gatewayRefund.initiatedAt': { $lt: new Date(Date.now() - SYNC_AFTER_MS) },
+  })
+    .sort({ 'gatewayRefund.initiatedAt': 1 })
+    .limit(SYNC_BATCH_SIZE);
+
+  let updated = 0;
+  for (const refundRequest of refundRequests) {
+    const before = refundRequest.gatewayRefund.status;
+    try {
+      const result = await syncGatewayRefund(refundRequest);
+      if (result.status && result.status !== before) updated += 1;
+    } catch (error) {
+      logger.error(`[PaystackRefund] Failed to sync refund ${refundRequest._id}:`, error.response?.data || error.message);
+    }
+  }
+
+  return { checked: refundRequests.length, updated, stuckQueued: stuck.length };
+}
+
+/**
+ * Job queue handler for PAYSTACK_REFUND_QUEUE.
+ */
+async function processPaystackRefundJob(job) {
+  const payload = job.payload || {};
+  switch (payload.type) {
+    case 'initiate':
+      return initiateGatewayRefund(payload.refundRequestId, job);
+    case 'webhook':
+      return handleRefundWebhook(payload.event, payload.data);
+    case 'sync_stale':
+      return syncStaleGatewayRefunds();
+    default:
+      throw new Error(`Unknown Paystack refund job type: ${payload.type}`);
+  }
+}
+
+/**
+ * Whether a gateway refund has been waiting in 'queued' longer than its initiate job should take.
+ */
+function isStuckQueued(gateway, now = Date.now()) {
+  return gateway?.status === 'queued'
+    && Boolean(gateway.queuedAt)
+    && new Date(gateway.queuedAt).getTime() < now - STUCK_QUEUED_MS;
+}
+
+/**
+ * @param {string} refundRequestId
+ * @param {Object} [options]
+ * @param {boolean} [options.allowStuckQueued=false] - also accept refunds stuck in 'queued' (retry only:
+ *   paying those out another way could race their initiate job)
+ */
+async function findRefundNeedingAttention(refundRequestId, { allowStuckQueued = false } = {}) {
+  const refundRequest = await RefundRequest.findById(refundRequestId);
+  if (!refundRequest || !refundRequest.gatewayRefund?.status) {
+    throw new AppError('Gateway refund not found', 404);
+  }
+  const gateway = refundRequest.gatewayRefund;
+  if (allowStuckQueued && isStuckQueued(gateway)) return refundRequest;
+  if (!ATTENTION_STATUSES.includes(gateway.status)) {
+    throw new AppError(`Gateway refund is ${gateway.status}; only failed or unconfirmed refunds can be resolved`, 400);
+  }
+  return refundRequest;
+}
+
+/**
+ * The refund Paystack holds for this gateway refund, if any: fetched by refund id when one
+ * was recorded, otherwise looked up among the transaction's refunds by amount. Failed
+ * refunds do not count.
+ * @returns {Promise<Object|null>} Paystack refund data
+ */
+async function findPaystackRefund(gateway) {
+  const isLive = (refund) => refund && mapPaystackRefundStatus(refund.status) !== 'failed';
+  if (gateway.paystackRefundId) {
+    const response = await paystackApi.get(`${PAYSTACK_ENDPOINTS.FETCH_REFUND}/${gateway.paystackRefundId}`);
+    const refund = response.data?.data;
+    return isLive(refund) ? refund : null;
+  }
+  const response = await paystackApi.get(PAYSTACK_ENDPOINTS.LIST_REFUNDS, {
+    params: { transaction: gateway.transactionReference },
+  });
+  const refunds = response.data?.data || [];
+  return refunds.find((refund) => Number(refund.amount) === toSubunit(gateway.amount) && isLive(refund)) || null;
+}
+
+/**
+ * An unconfirmed refund may have gone through at Paystack (e.g. the call timed out after
+ * Paystack took it). Before paying it again, check with Paystack; a refund found there is
+ * recorded on the request and the admin action is refused.
+ */
+async function ensureNoPaystackRefund(refundRequest) {
+  const gateway = refundRequest.gatewayRefund;
+  let refund;
+  try {
+    refund = await findPaystackRefund(gateway);
+  } catch (error) {
+    logger.error(`[PaystackRefund] Could not look up refund ${refundRequest._id} at Paystack:`, error.response?.data || error.message);
+    throw new AppError('Could not check Paystack for this refund; try again shortly', 502);
+  }
+  if (!refund) return;
+
+  const status = mapPaystackRefundStatus(refund.status);
+  if (status !== gateway.status) {
+    await applyGatewayStatus(refundRequest, status, {
+      paystackStatus: refund.status,
+      paystackRefundId: refund.id != null ? String(refund.id) : undefined,
+    });
+  }
+  throw new AppError(`Paystack already has this refund (${refund.status}); it has been recorded instead`, 409);
+}
+
+/**
+ * Admin: send a failed, unconfirmed or stuck refund to Paystack again.
+ */
+async function retryGatewayRefund(refundRequestId) {
+  const refundRequest = await findRefundNeedingAttention(refundRequestId, { allowStuckQueued: true });
+  const gateway = refundRequest.gatewayRefund;
+  if (gateway.status === 'queued') {
+    await requeueStuckRefund(refundRequest);
+    return refundRequest;
+  }
+  if (gateway.status === 'needs_review') {
+    await ensureNoPaystackRefund(refundRequest);
+  }
+
+  const claimed = await updateGatewayFrom(refundRequest, gateway.status, {
+    retries: (gateway.retries || 0) + 1,
+    status: 'queued',
+    queuedAt: new Date(),
+    paystackRefundId: undefined,
+    failedAt: undefined,
+  });
+  if (!claimed) throw new AppError('Gateway refund is already being resolved; reload and try again', 409);
+  await enqueueGatewayRefund(refundRequest);
+  return refundRequest;
+}
+
+/**
+ * Admin: pay a failed or unconfirmed gateway refund out as wallet credit instead.
+ * The refund is claimed (cancelled) before the credit, and put back if the credit fails.
+ */
+async function refundGatewayToWallet(refundRequestId, adminId) {
+  const refundRequest = await findRefundNeedingAttention(refundRequestId);
+  const gateway = refundRequest.gatewayRefund;
+  const failedGatewayStatus = gateway.status;
+  if (failedGatewayStatus === 'needs_review') {
+    await ensureNoPaystackRefund(refundRequest);
+  }
+
+  const previous = { refundMethod: refundRequest.refundMethod, status: refundRequest.status };
+  const claimed = await updateGatewayFrom(
+    refundRequest,
+    failedGatewayStatus,
+    { status: 'cancelled' },
+    { refundMethod: 'wallet', status: 'completed' },
+  );
+  if (!claimed) throw new AppError('Gateway refund is already being resolved; reload and try again', 409);
+
+  const order = await Order.findById(refundRequest.order).select('orderNumber').lean();
+  try {
+    const walletService = require('../walletService');
+    await walletService.creditWallet(
+      refundRequest.buyer,
+      gateway.amount,
+      'CREDIT_REFUND',
+      `Refund for Order #${order?.orderNumber || refundRequest.order} (Paystack refund could not be completed)`,
+      `REFUND-GATEWAY-FALLBACK-${refundRequest._id}`,
+      {
+        orderId: String(refundRequest.order),
+        orderNumber: order?.orderNumber,
+        refundRequestId: refundRequest._id.toString(),
+        refundedBy: adminId,
+        refundedByRole: 'admin',
+        failedGatewayStatus,
+      },
+      refundRequest.order,
+    );
+  } catch (error) {
+    await updateGatewayFrom(refundRequest, 'cancelled', { status: failedGatewayStatus }, previous);
+    throw error;
+  }
+
+  await Order.updateOne(
+    { _id: refundRequest.order, refundStatus: 'approved' },
+    { $set: { refundStatus: 'completed' } },
+  );
+  return refundRequest;
+}
+
+/**
+ * Admin: record a refund confirmed as paid on the Paystack dashboard.
+ */
+async function markGatewayRefundProcessed(refundRequestId) {
+  const refundRequest = await findRefundNeedingAttention(refundRequestId);
+  if (!(await completeGatewayRefund(refundRequest, refundRequest.gatewayRefund.status))) {
+    throw new AppError('Gateway refund changed while it was being updated; reload and try again', 409);
+  }
+  return refundRequest;
+}
+
+/**
+ * Open gateway refunds for the admin reconciliation view, with totals per status.
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - one gatewayRefund status (default: all open ones)
+ */
+async function getGatewayRefundReconciliation({ status, page = 1, limit = 20 } = {}) {
+  const statuses = status ? [status] : OPEN_STATUSES;
+  const query = { 'gatewayRefund.status': { $in: statuses } };
+  const skip = (Math.max(1, page) - 1) * limit;
+
+  const [refunds, total, totals] = await Promise.all([
+    RefundRequest.find(query)
+      .select('order buyer status finalRefundAmount gatewayRefund adminReviewDate createdAt')
+      .populate('order', 'orderNumber paymentMethod paymentReference totalPrice')
+      .populate('buyer', 'name email')
+      .sort({ 'gatewayRefund.queuedAt': 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    RefundRequest.countDocuments(query),
+    RefundRequest.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$gatewayRefund.status',
+          count: { $sum: 1 },
+          amount: { $sum: '$gatewayRefund.amount' },
+        },
+      },
+    ]),
+  ]);
+
+  const now = Date.now();
+  return {
+    summary: totals.reduce((acc, row) => {
+      acc[row._id] = { count: row.count, amount: Math.round(row.amount * 100) / 100 };
+      return acc;
+    }, {}),
+    total,
+    refunds: refunds.map((refund) => ({
+      ...refund,
+      ageHours: refund.gatewayRefund?.queuedAt
+        ? Math.round((now - new Date(refund.gatewayRefund.queuedAt).getTime()) / (60 * 60 * 1000))
+        : null,
+    })),
+  };
+}
+
+module.exports = {
+  PAYSTACK_REFUND_QUEUE,
+  canRefundToOriginalPayment,
+  toSubunit,
+  mapPaystackRefundStatus,
+  classifyGatewayError,
+  startGatewayRefund,
+  enqueueGatewayRefund,
+  requeueStuckRefund,
+  isStuckQueued,
+  handleRefundWebhook,
+  syncStaleGatewayRefunds,
+  processPaystackRefundJob,
+  retryGatewayRefund,
+  refundGatewayToWallet,
+  markGatewayRefundProcessed,
+  getGatewayRefundReconciliation,
+};
@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const ProductQuestion = require('../../models/product/productQuestionModel');
+const AppError = require('../../utils/errors/appError');
+const { sanitizeText } = require('../../utils/helpers/sanitizeUserContent');
+const logger = require('../../utils/logger');
+
+/**
+ * productQuestionService.js
+ * Pre-purchase Q&A on product pages. Buyers ask, the seller is notified, and the seller or a
+ * buyer with a delivered order for the product answers. New questions and buyer answers wait in
+ * the admin moderation queue; seller answers are public as soon as the question is.
+ */
+
+const QUESTION_MAX_LENGTH = 500;
+const ANSWER_MAX_LENGTH = 1000;
+
+/**
+ * Sanitize and length-check user text.
+ * @param {string} text
+ * @param {string} label - "Question" | "Answer"
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function cleanText(text, label, maxLength) {
+  const cleaned = sanitizeText(text).trim();
+  if (!cleaned) {
+    throw new AppError(`${label} cannot be empty`, 400);
+  }
+  if (cleaned.length > maxLength) {
+    throw new AppError(`${label} must be at most ${maxLength} characters`, 400);
+  }
+  return cleaned;
+}
+
+const isOwn = (ref, viewerId) => Boolean(viewerId && ref && String(ref._id || ref) === String(viewerId));
+
+/**
+ * Public view of a question: only approved answers (plus the viewer's own pending ones),
+ * seller answers first, then oldest first. Moderation notes are never exposed.
+ * @param {Object} question - lean ProductQuestion
+ * @param {string|null} viewerId
+ * @returns {Object}
+ */
+function toPublicQuestion(question, viewerId) {
+  const answers = (question.answers || [])
+    .filter((a) => a.status === 'approved' || (a.status === 'pending' && isOwn(a.author, viewerId)))
+    .sort((a, b) => {
+      if (a.authorRole !== b.authorRole) return a.authorRole === 'seller' ? -1 : 1;
+      return new Date(a.createdAt) - new Date(b.createdAt);
+    })
+    .map((a) => ({
+      _id: a._id,
+      answer: a.answer,
+      authorRole: a.authorRole,
+      authorName: a.authorRole === 'seller'
+        ? (a.author && a.author.shopName) || 'Seller'
+        : (a.author && a.author.name) || 'Buyer',
+      verifiedBuyer: Boolean(a.verifiedBuyer),
+      status: a.status,
+      createdAt: a.createdAt,
+    }));
+
+  return {
+    _id: question._id,
+    product: question.product,
+    question: question.question,
+    askedBy: (question.user && question.user.name) || 'Buyer',
+    status: question.status,
+    answers,
+    answerCount: answers.length,
+    createdAt: question.createdAt,
+  };
+}
+
+/**
+ * Whether the buyer has a delivered order containing the product.
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<boolean>}
+ */
+async function hasDeliveredPurchase(userId, productId) {
+  const Order = require('../../models/order/orderModel');
+  const OrderItem = require('../../models/order/OrderItemModel');
+
+  const orders = await Order.find({
+    user: userId,
+    $or: [{ status: 'delivered' }, { currentStatus: 'delivered' }],
+  })
+    .select('orderItems')
+    .lean();
+  const itemIds = orders.flatMap((o) => o.orderItems || []);
+  if (itemIds.length === 0) return false;
+
+  return Boolean(await OrderItem.exists({ _id: { $in: itemIds }, product: productId }));
+}
+
+/**
+ * Buyer asks a question. It is held for moderation and the seller is notified.
+ * @param {{ productId: string, userId: string, question: string }} params
+ */
+async function askQuestion({ productId, userId, question }) {
+  const text = cleanText(question, 'Question', QUESTION_MAX_LENGTH);
+
+  const product = await Product.findById(productId).select('name seller');
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  const created = await ProductQuestion.create({
+    product: product._id,
+    seller: product.seller,
+    user: userId,
+    question: text,
+    status: 'pending',
+  });
+
+  if (product.seller) {
+    try {
+      const notificationService = require('../notification/notificationService');
+      await notificationService.createProductQuestionNotification(
+        product.seller,
+        product._id,
+        product.name,
+        text,
+      );
+    } catch (notificationError) {
+      // Don't fail the question if the notification fails
+      logger.error('[ProductQuestion] Error notifying seller:', notificationError);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Seller or verified buyer answers a question.
+ * @param {{ productId?: string, questionId: string, user: Object, answer: string }} params
+ *   user is req.user ({ id, role }); productId scopes the lookup when answering from a product page
+ */
+async function answerQuestion({ productId, questionId, user, answer }) {
+  const text = cleanText(answer, 'Answer', ANSWER_MAX_LENGTH);
+
+  const filter = { _id: questionId };
+  if (productId) filter.product = productId;
+  const question = await ProductQuestion.findOne(filter);
+  if (!question) {
+    throw new AppError('Question not found', 404);
+  }
+  if (question.status === 'rejected') {
+    throw new AppError('This question is no longer open for answers', 400);
+  }
+
+  let entry;
+  if (user.role === 'seller') {
+    if (!question.seller || question.seller.toString() !== String(user.id)) {
+      throw new AppError('Only the product seller can answer as the seller', 403);
+    }
+    entry = { author: user.id, authorModel: 'Seller', authorRole: 'seller', answer: text, status: 'approved' };
+    if (!question.sellerAnsweredAt) question.sellerAnsweredAt = new Date();
+  } else {
+    const verified = await hasDeliveredPurchase(user.id, question.product);
+    if (!verified) {
+      throw new AppError('Only the seller or buyers who have received this product can answer', 403);
+    }
+    const alreadyAnswered = question.answers.some(
+      (a) => a.authorRole === 'buyer' && a.author.toString() === String(user.id) && a.status !== 'rejected',
+    );
+    if (alreadyAnswered) {
+      throw new AppError('You have already answered this question', 400);
+    }
+    entry = {
+      author: user.id,
+      authorModel: 'User',
+      authorRole: 'buyer',
+      verifiedBuyer: true,
+      answer: text,
+      status: 'pending',
+    };
+  }
+
+  question.answers.push(entry);
+  await question.save();
+  return { question, answer: question.answers[question.answers.length - 1] };
+}
+
+const populateThread = (query) =>
+  query
+    .populate({ path: 'user', select: 'name' })
+    .populate({ path: 'answers.author', select: 'name shopName' });
+
+/**
+ * Public Q&A thread for a product. Askers also see their own questions awaiting moderation.
+ * @param {string} productId
+ * @param {{ viewerId?: string|null, page?: number, limit?: number }} options
+ */
+async function listProductQuestions(productId, { viewerId = null, page = 1, limit = 10 } = {}) {
+  const filter = { product: productId, status: 'approved' };
+  if (viewerId && mongoose.Types.ObjectId.isValid(viewerId)) {
+    delete filter.status;
+    filter.$or = [{ status: 'approved' }, { status: 'pending', user: viewerId }];
+  }
+
+  const [questions, total] = await Promise.all([
+    populateThread(ProductQuestion.find(filter))
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ProductQuestion.countDocuments(filter),
+  ]);
+
+  return { questions: questions.map((q) => toPublicQuestion(q, viewerId)), total };
+}
+
+/**
+ * Seller's question inbox.
+ * @param {string} sellerId
+ * @param {{ status?: 'unanswered'|'answered'|'all', page?: number, limit?: number }} options
+ */
+async function listSellerQuestions(sellerId, { status = 'unanswered', page = 1, limit = 20 } = {}) {
+  const filter = { seller: sellerId, status: { $ne: 'rejected' } };
+  if (status === 'unanswered') filter.sellerAnsweredAt = null;
+  if (status === 'answered') filter.sellerAnsweredAt = { $ne: null };
+
+  const [questions, total] = await Promise.all([
+    populateThread(ProductQuestion.find(filter))
+      .populate({ path: 'product', select: 'name imageCover' })
+      .select('-moderationNotes')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ProductQuestion.countDocuments(filter),
+  ]);
+  return { questions, total };
+}
+
+/**
+ * Admin moderation queue: questions awaiting review, or questions with buyer answers awaiting review.
+ * @param {{ type?: 'questions'|'answers', page?: number, limit?: number }} options
+ */
+async function listModerationQueue({ type = 'questions', page = 1, limit = 20 } = {}) {
+  const filter = type === 'answers' ? { 'answers.status': 'pending' } : { status: 'pending' };
+  const [questions, total] = await Promise.all([
+    populateThread(ProductQuestion.find(filter))
+      .populate({ path: 'product', select: 'name imageCover' })
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ProductQuestion.countDocuments(filter),
+  ]);
+  return { questions, total };
+}
+
+/**
+ * Approve or reject a question.
+ * @param {string} questionId
+ * @param {'approved'|'rejected'} status
+ * @param {string} [moderationNotes]
+ */
+async function moderateQuestion(questionId, status, moderationNotes) {
+  const question = await ProductQuestion.findById(questionId);
+  if (!question) {
+    throw new AppError('Question not found', 404);
+  }
+  question.status = status;
+  question.moderationNotes = moderationNotes || question.moderationNotes;
+  await question.save();
+  return question;
+}
+
+/**
+ * Approve or reject one answer on a question.
+ * @param {string} questionId
+ * @param {string} answerId
+ * @param {'approved'|'rejected'} status
+ * @param {string} [moderationNotes]
+ */
+async function moderateAnswer(questionId, answerId, status, moderationNotes) {
+  const question = await ProductQuestion.findById(questionId);
+  const answer = question && question.answers.id(answerId);
+  if (!answer) {
+    throw new AppError('Answer not found', 404);
+  }
+  answer.status = status;
+  answer.moderationNotes = moderationNotes || answer.moderationNotes;
+  await question.save();
+  return question;
+}
+
+module.exports = {
+  QUESTION_MAX_LENGTH,
+  ANSWER_MAX_LENGTH,
+  cleanText,
+  toPublicQuestion,
+  hasDeliveredPurchase,
+  askQuestion,
+  answerQuestion,
+  listProductQuestions,
+  listSellerQuestions,
+  listModerationQueue,
+  moderateQuestion,
+  moderateAnswer,
+};
@@ -0,0 +1,214 @@
+const Review = require('../../models/product/reviewModel');
+const ReviewVote = require('../../models/product/reviewVoteModel');
+const AppError = require('../../utils/errors/appError');
+
+/**
+ * reviewEngagementService.js
+ * Helpfulness voting, review sort orders and review photo moderation.
+ * Votes live in ReviewVote (one per buyer and review); the counters on the review are only
+ * ever moved by the delta between a buyer's previous and new vote.
+ */
+
+const VOTE_TYPES = ['helpful', 'not_helpful'];
+const COUNTER_FIELDS = { helpful: 'helpfulVotes', not_helpful: 'nothelpfulVotes' };
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  helpful: { helpfulVotes: -1, nothelpfulVotes: 1, createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 },
+};
+
+/**
+ * Work out a buyer's vote after a request. Repeating the current vote withdraws it.
+ * @param {string|null} previousVote
+ * @param {string|null} requestedVote - null withdraws the vote
+ * @returns {{ nextVote: string|null, delta: Object }} delta is a $inc document for the review
+ */
+function resolveVoteChange(previousVote, requestedVote) {
+  const nextVote = requestedVote && requestedVote !== previousVote ? requestedVote : null;
+  return { nextVote, delta: voteDelta(previousVote, nextVote) };
+}
+
+/**
+ * $inc document for the review when a buyer's stored vote goes from `previousVote` to `nextVote`.
+ * @param {string|null} previousVote
+ * @param {string|null} nextVote
+ * @returns {Object}
+ */
+function voteDelta(previousVote, nextVote) {
+  const delta = {};
+  if (previousVote && previousVote !== nextVote) delta[COUNTER_FIELDS[previousVote]] = -1;
+  if (nextVote && nextVote !== previousVote) delta[COUNTER_FIELDS[nextVote]] = 1;
+  return delta;
+}
+
+/**
+ * Mongo sort document for a `sort` query value; unknown values fall back to newest first.
+ * @param {string} sort
+ * @returns {Object}
+ */
+function getReviewSort(sort) {
+  return REVIEW_SORTS[sort] || REVIEW_SORTS.newest;
+}
+
+/**
+ * Media status for a review that is created or edited with the given images.
+ * @param {string[]} images
+ * @returns {'pending'|'none'}
+ */
+function initialMediaStatus(images) {
+  return Array.isArray(images) && images.length > 0 ? 'pending' : 'none';
+}
+
+/**
+ * Images a viewer may see. Pending and rejected photos are only shown to their author;
+ * reviews from before photo moderation (no mediaStatus) keep their images.
+ * @param {Object} review
+ * @param {string|null} viewerId
+ * @returns {string[]}
+ */
+function visibleReviewImages(review, viewerId) {
+  const images = review.images || [];
+  if (!review.mediaStatus || review.mediaStatus === 'approved' || review.mediaStatus === 'none') {
+    return images;
+  }
+  const authorId = review.user && (review.user._id || review.user);
+  if (viewerId && authorId && String(authorId) === String(viewerId)) return images;
+  return [];
+}
+
+/**
+ * Record, change or withdraw a buyer's helpfulness vote on a published review.
+ * @param {string} reviewId
+ * @param {string} userId
+ * @param {string|null} vote - 'helpful' | 'not_helpful' | null (withdraw)
+ * @returns {Promise<{ helpfulVotes: number, nothelpfulVotes: number, userVote: string|null }>}
+ */
+async function castVote(reviewId, userId, vote) {
+  if (vote !== null && !VOTE_TYPES.includes(vote)) {
+    throw new AppError('Vote must be "helpful" or "not_helpful"', 400);
+  }
+
+  const review = await Review.findById(reviewId).select('user status');
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+  if (review.status !== 'approved') {
+    throw new AppError('Only published reviews can be voted on', 400);
+  }
+  if (review.user && review.user.toString() === String(userId)) {
+    throw new AppError('You cannot vote on your own review', 403);
+  }
+
+  // The current vote only decides what the request means (repeating a vote withdraws it);
+  // the counters move by what the atomic write actually replaced, so concurrent requests
+  // from the same buyer cannot count a vote twice
+  const existing = await ReviewVote.findOne({ review: reviewId, user: userId }).select('vote').lean();
+  const { nextVote } = resolveVoteChange(existing ? existing.vote : null, vote);
+
+  let replaced;
+  if (!nextVote) {
+    replaced = await ReviewVote.findOneAndDelete({ review: reviewId, user: userId }).select('vote').lean();
+  } else {
+    try {
+      replaced = await ReviewVote.findOneAndUpdate(
+        { review: reviewId, user: userId },
+        { $set: { vote: nextVote } },
+        { upsert: true, new: false, runValidators: true },
+      ).select('vote').lean();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Your vote on this review is already being recorded', 409);
+      }
+      throw error;
+    }
+  }
+  const delta = voteDelta(replaced ? replaced.vote : null, nextVote);
+
+  // updateOne skips the findOneAnd* hook, so votes never trigger a rating recalculation
+  if (Object.keys(delta).length > 0) {
+    await Review.updateOne({ _id: reviewId }, { $inc: delta });
+  }
+
+  const counts = await Review.findById(reviewId).select('helpfulVotes nothelpfulVotes').lean();
+  return {
+    helpfulVotes: Math.max(0, counts.helpfulVotes || 0),
+    nothelpfulVotes: Math.max(0, counts.nothelpfulVotes || 0),
+    userVote: nextVote,
+  };
+}
+
+/**
+ * A buyer's votes on a page of reviews.
+ * @param {string} userId
+ * @param {Array} reviewIds
+ * @returns {Promise<Map<string, string>>} review id -> vote
+ */
+async function getUserVotes(userId, reviewIds) {
+  if (!userId || reviewIds.length === 0) return new Map();
+  const votes = await ReviewVote.find({ user: userId, review: { $in: reviewIds } })
+    .select('review vote')
+    .lean();
+  return new Map(votes.map((v) => [v.review.toString(), v.vote]));
+}
+
+/**
+ * Admin photo moderation queue, oldest first.
+ * @param {{ status?: string, page?: number, limit?: number }} options
+ */
+async function listMediaQueue({ status = 'pending', page = 1, limit = 20 } = {}) {
+  const filter = { mediaStatus: status, 'images.0': { $exists: true } };
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select('product user title rating images status mediaStatus mediaModerationNotes createdAt')
+      .populate({ path: 'product', select: 'name imageCover' })
+      .populate({ path: 'user', select: 'name photo' })
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Review.countDocuments(filter),
+  ]);
+  return { reviews, total };
+}
+
+/**
+ * Approve or reject a review's photos. Rejected photos stay on the review for the author
+ * (and audit) but are no longer shown publicly.
+ * @param {string} reviewId
+ * @param {'approved'|'rejected'} status
+ * @param {string} [notes]
+ */
+async function moderateMedia(reviewId, status, notes) {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+  if (!review.images || review.images.length === 0) {
+    throw new AppError('This review has no photos to moderate', 400);
+  }
+  if (status === 'rejected' && !notes) {
+    throw new AppError('A reason is required when rejecting review photos', 400);
+  }
+
+  review.mediaStatus = status;
+  review.mediaModerationNotes = notes || review.mediaModerationNotes;
+  review.mediaModeratedAt = new Date();
+  await review.save();
+  return review;
+}
+
+module.exports = {
+  VOTE_TYPES,
+  REVIEW_SORTS,
+  resolveVoteChange,
+  getReviewSort,
+  initialMediaStatus,
+  visibleReviewImages,
+  castVote,
+  getUserVotes,
+  listMediaQueue,
+  moderateMedia,
+};
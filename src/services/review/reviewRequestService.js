@@ -0,0 +1,519 @@
+const jwt = require('jsonwebtoken');
+const ReviewRequest = require('../../models/product/reviewRequestModel');
+const Review = require('../../models/product/reviewModel');
+const Order = require('../../models/order/orderModel');
+const OrderItem = require('../../models/order/OrderItemModel');
+const User = require('../../models/user/userModel');
+const NotificationSettings = require('../../models/notification/notificationSettingsModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { mapInChunks } = require('../../utils/helpers/mapInChunks');
+
+/**
+ * reviewRequestService.js
+ * Post-delivery review requests. When an order is delivered a ReviewRequest is scheduled; an
+ * hourly sweep sends one email/push per step in REVIEW_REQUEST_DAYS (days after delivery), as far
+ * as the buyer accepts review requests on each channel. Each message has one-click star links per
+ * item that open a pre-authenticated review form (signed link token, no login needed). The
+ * sequence stops as soon as every item has a review, however it was written.
+ */
+
+const REVIEW_REQUEST_QUEUE = 'review-requests';
+const TOKEN_PURPOSE = 'review_request';
+const LINK_TTL_DAYS = parseInt(process.env.REVIEW_REQUEST_LINK_DAYS, 10) || 30;
+const SWEEP_PAGE_SIZE = 200;
+const MAX_SENDS_PER_SWEEP = 500;
+// Requests sent at the same time, so a page never bursts past the email / push providers
+const SEND_CONCURRENCY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Orders in these states no longer get (further) requests
+const STOP_STATUSES = ['cancelled', 'refunded'];
+
+const getSigningSecret = () => process.env.REVIEW_REQUEST_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Request delays in days after delivery, e.g. "3,10" (request, then one reminder).
+ * @returns {number[]}
+ */
+function getRequestSchedule() {
+  const days = String(process.env.REVIEW_REQUEST_DAYS || '3,10')
+    .split(',')
+    .map((d) => parseFloat(d))
+    .filter((d) => d > 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * When the next step is due.
+ * @param {Date} deliveredAt
+ * @param {number} stepsSent
+ * @param {number[]} schedule - from getRequestSchedule
+ * @returns {Date|null} null once every step has been sent
+ */
+function getNextSendAt(deliveredAt, stepsSent, schedule) {
+  if (stepsSent >= schedule.length) return null;
+  return new Date(new Date(deliveredAt).getTime() + schedule[stepsSent] * DAY_MS);
+}
+
+/**
+ * Signed link token naming a review request.
+ * @param {string} requestId
+ * @returns {string}
+ */
+function createLinkToken(requestId) {
+  return jwt.sign({ purpose: TOKEN_PURPOSE, request: String(requestId) }, getSigningSecret(), {
+    expiresIn: `${LINK_TTL_DAYS}d`,
+  });
+}
+
+/**
+ * @param {string} token
+ * @returns {string|null} request id, or null if the token is missing, forged or expired
+ */
+function verifyLinkToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    const payload = jwt.verify(token, getSigningSecret());
+    if (payload.purpose !== TOKEN_PURPOSE || !payload.request) return null;
+    return payload.request;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One-click star links for one item: each opens the review form with that rating selected.
+ * @param {string} formUrl - e.g. https://saiisai.com/review/quick?token=...
+ * @param {string} orderItemId
+ * @returns {Array<{ rating: number, url: string }>}
+ */
+function buildRatingLinks(formUrl, orderItemId) {
+  return [1, 2, 3, 4, 5].map((rating) => ({
+    rating,
+    url: `${formUrl}&item=${orderItemId}&rating=${rating}`,
+  }));
+}
+
+/**
+ * Items of a request that still need a review.
+ * @param {Object} request
+ * @returns {Array}
+ */
+function pendingItems(request) {
+  return (request.items || []).filter((item) => !item.reviewedAt);
+}
+
+/**
+ * Schedule the request sequence for a delivered order. Idempotent and never throws.
+ * @param {Object} order - the delivered order
+ */
+async function scheduleForOrder(order) {
+  try {
+    const schedule = getRequestSchedule();
+    if (schedule.length === 0 || !order || !order.user) return;
+
+    const itemIds = (order.orderItems || []).map((item) => item._id || item);
+    const orderItems = await OrderItem.find({ _id: { $in: itemIds } })
+      .select('product sellerId productName productImage sku')
+      .lean();
+    const reviewed = await Review.find({ orderItem: { $in: itemIds } }).select('orderItem').lean();
+    const reviewedIds = new Set(reviewed.map((r) => r.orderItem.toString()));
+
+    const items = orderItems
+      .filter((item) => item.product && !reviewedIds.has(item._id.toString()))
+      .map((item) => ({
+        orderItem: item._id,
+        product: item.product,
+        seller: item.sellerId,
+        productName: item.productName,
+        productImage: item.productImage,
+        sku: item.sku,
+      }));
+    if (items.length === 0) return;
+
+    const deliveredAt = new Date();
+    await ReviewRequest.updateOne(
+      { order: order._id },
+      {
+        $setOnInsert: {
+          order: order._id,
+          user: order.user._id || order.user,
+          deliveredAt,
+          items,
+          status: 'scheduled',
+          stepsSent: 0,
+          nextSendAt: getNextSendAt(deliveredAt, 0, schedule),
+        },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    if (error.code === 11000) return;
+    logger.error('[ReviewRequest] Failed to schedule review request', {
+      orderId: order && order._id ? order._id.toString() : null,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Mark an order item as reviewed and complete its request once nothing is left. Never throws.
+ * @param {string} orderItemId
+ * @param {string} reviewId
+ */
+async function markItemReviewed(orderItemId, reviewId) {
+  if (!orderItemId) return;
+  try {
+    const request = await ReviewRequest.findOneAndUpdate(
+      { 'items.orderItem': orderItemId },
+      { $set: { 'items.$.reviewedAt': new Date(), 'items.$.review': reviewId } },
+      { new: true },
+    );
+    if (request && request.status === 'scheduled' && pendingItems(request).length === 0) {
+      await ReviewRequest.updateOne(
+        { _id: request._id, status: 'scheduled' },
+        { $set: { status: 'completed', nextSendAt: null } },
+      );
+    }
+  } catch (error) {
+    logger.error('[ReviewRequest] Failed to mark item reviewed', { orderItemId: String(orderItemId), error: error.message });
+  }
+}
+
+/**
+ * Pick up reviews written since the request was created (e.g. from the order page).
+ * @returns {Promise<Array>} items still pending
+ */
+async function syncReviewedItems(request) {
+  const pending = pendingItems(request);
+  if (pending.length === 0) return pending;
+
+  const reviews = await Review.find({ orderItem: { $in: pending.map((item) => item.orderItem) } })
+    .select('orderItem')
+    .lean();
+  if (reviews.length === 0) return pending;
+
+  const reviewByItem = new Map(reviews.map((r) => [r.orderItem.toString(), r._id]));
+  const now = new Date();
+  request.items.forEach((item) => {
+    const reviewId = reviewByItem.get(item.orderItem.toString());
+    if (!item.reviewedAt && reviewId) {
+      item.reviewedAt = now;
+      item.review = reviewId;
+    }
+  });
+  await ReviewRequest.updateOne({ _id: request._id }, { $set: { items: request.items } });
+  return pendingItems(request);
+}
+
+/**
+ * Channels the buyer accepts review requests on.
+ * @returns {Promise<{ email: boolean, push: boolean }>}
+ */
+async function getAllowedChannels(user) {
+  const { canSendUserEmail, EMAIL_CATEGORY } = require('../../utils/helpers/emailPermission');
+  const settings = await NotificationSettings.findOne({ user: user._id })
+    .select('email.reviewRequests push.reviewRequests')
+    .lean();
+
+  const emailOptIn = !settings || !settings.email || settings.email.reviewRequests !== false;
+  const pushOptIn = !settings || !settings.push || settings.push.reviewRequests !== false;
+  return {
+    email: Boolean(user.email) && emailOptIn && await canSendUserEmail(user._id, EMAIL_CATEGORY.ACCOUNT_UPDATE),
+    push: pushOptIn,
+  };
+}
+
+/**
+ * Send the due step of one request. The step is claimed first so concurrent sweeps cannot double-send.
+ * @returns {Promise<'sent'|'skipped'|'completed'|'cancelled'|'duplicate'>}
+ */
+async function sendRequestStep(request, schedule) {
+  const emailDispatcher = require('../../emails/emailDispatcher');
+  const pushNotificationService = require('../pushNotificationService');
+
+  const stop = async (status, reason) => {
+    await ReviewRequest.updateOne(
+      { _id: request._id, status: 'scheduled' },
+      { $set: { status, nextSendAt: null, ...(reason ? { cancelReason: reason } : {}) } },
+    );
+    return status;
+  };
+
+  const pending = await syncReviewedItems(request);
+  if (pending.length === 0) return stop('completed');
+
+  const order = await Order.findById(request.order).select('orderNumber currentStatus').lean();
+  if (!order || STOP_STATUSES.includes(order.currentStatus)) return stop('cancelled', 'order_closed');
+
+  const user = await User.findById(request.user).select('name email');
+  if (!user) return stop('cancelled', 'user_inactive');
+
+  const channels = await getAllowedChannels(user);
+  if (!channels.email && !channels.push) return stop('cancelled', 'opted_out');
+
+  const step = request.stepsSent + 1;
+  const nextSendAt = getNextSendAt(request.deliveredAt, step, schedule);
+  const claimed = await ReviewRequest.updateOne(
+    { _id: request._id, status: 'scheduled', stepsSent: request.stepsSent },
+    {
+      $set: { stepsSent: step, nextSendAt, ...(nextSendAt ? {} : { status: 'finished' }) },
+    },
+  );
+  if (claimed.modifiedCount === 0) return 'duplicate';
+
+  const formUrl = `${process.env.FRONTEND_URL || 'https://saiisai.com'}/review/quick?token=${createLinkToken(request._id)}`;
+  const items = pending.map((item) => ({
+    productName: item.productName || 'Your item',
+    image: item.productImage || null,
+    ratingLinks: buildRatingLinks(formUrl, item.orderItem.toString()),
+  }));
+  const sent = { email: false, push: false };
+
+  if (channels.email) {
+    try {
+      await emailDispatcher.sendReviewRequest(user, {
+        orderNumber: order.orderNumber,
+        items,
+        formUrl,
+        isReminder: step > 1,
+      });
+      sent.email = true;
+    } catch (error) {
+      logger.error('[ReviewRequest] Request email failed', { requestId: request._id.toString(), error: error.message });
+    }
+  }
+
+  if (channels.push) {
+    try {
+      const first = items[0];
+      const result = await pushNotificationService.sendPushToUser(user._id.toString(), {
+        title: step > 1 ? 'Still enjoying your order?' : 'How was your order?',
+        body: items.length === 1
+          ? `Tap to rate ${first.productName}.`
+          : `Tap to rate ${first.productName} and ${items.length - 1} more item(s).`,
+        data: { type: 'review_request', referenceId: request.order.toString(), url: formUrl },
+      });
+      sent.push = Boolean(result && result.success !== false);
+    } catch (error) {
+      logger.error('[ReviewRequest] Request push failed', { requestId: request._id.toString(), error: error.message });
+    }
+  }
+
+  await ReviewRequest.updateOne(
+    { _id: request._id },
+    {
+      $push: {
+        sends: {
+          step,
+          sentAt: new Date(),
+          channels: sent,
+          ...(sent.email || sent.push ? {} : { skipReason: 'no_channel' }),
+        },
+      },
+    },
+  );
+  return sent.email || sent.push ? 'sent' : 'skipped';
+}
+
+/**
+ * Job handler: send every request step that is due.
+ * @returns {Promise<{ checked: number, sent: number, stopped: number }>}
+ */
+async function processDueRequests() {
+  const schedule = getRequestSchedule();
+  if (schedule.length === 0) return { checked: 0, sent: 0, stopped: 0 };
+
+  const due = { status: 'scheduled', nextSendAt: { $lte: new Date() } };
+  let checked = 0;
+  let sent = 0;
+  let stopped = 0;
+  let lastId = null;
+  while (sent < MAX_SENDS_PER_SWEEP) {
+    // Pages follow the _id cursor, so they are fetched one after another
+    const requests = await ReviewRequest.find(lastId ? { ...due, _id: { $gt: lastId } } : due)
+      .sort({ _id: 1 })
+      .limit(SWEEP_PAGE_SIZE);
+    if (requests.length === 0) break;
+    lastId = requests[requests.length - 1]._id;
+
+    // Each request sends at most one step, so this keeps the sweep within its cap
+    const page = requests.slice(0, MAX_SENDS_PER_SWEEP - sent);
+    checked += page.length;
+    const outcomes = await mapInChunks(page, SEND_CONCURRENCY, (request) => sendRequestStep(request, schedule).catch((error) => {
+      logger.error('[ReviewRequest] Failed to process request', { requestId: request._id.toString(), error: error.message });
+      return null;
+    }));
+    sent += outcomes.filter((outcome) => outcome === 'sent').length;
+    stopped += outcomes.filter((outcome) => outcome === 'completed' || outcome === 'cancelled').length;
+    if (page.length < requests.length) break;
+  }
+
+  if (sent > 0 || stopped > 0) {
+    logger.info('[ReviewRequest] Request sweep finished', { checked, sent, stopped });
+  }
+  return { checked, sent, stopped };
+}
+
+/**
+ * Load the request behind a link token.
+ * @throws {AppError} 410 for invalid or expired links
+ */
+async function getRequestByToken(token) {
+  const requestId = verifyLinkToken(token);
+  const request = requestId && await ReviewRequest.findById(requestId);
+  if (!request) {
+    throw new AppError('This review link is invalid or has expired', 410);
+  }
+  return request;
+}
+
+/**
+ * Pre-authenticated review form: the order's items and which of them still need a review.
+ * @param {string} token
+ */
+async function getReviewForm(token) {
+  const request = await getRequestByToken(token);
+  await syncReviewedItems(request);
+  await ReviewRequest.updateOne({ _id: request._id }, { $set: { lastOpenedAt: new Date() } });
+
+  const user = await User.findById(request.user).select('name').lean();
+  return {
+    buyerName: user ? user.name : null,
+    order: request.order,
+    items: request.items.map((item) => ({
+      orderItem: item.orderItem,
+      product: item.product,
+      productName: item.productName,
+      productImage: item.productImage,
+      reviewed: Boolean(item.reviewedAt),
+    })),
+  };
+}
+
+/**
+ * Submit a review from the pre-authenticated form. The buyer is the order's buyer; the review is
+ * a verified purchase and goes through the usual moderation. Cancelled or refunded orders
+ * cannot be reviewed this way.
+ * @param {string} token
+ * @param {{ orderItem: string, rating: number, title: string, review: string, images?: string[] }} body
+ */
+async function submitReviewFromToken(token, { orderItem, rating, title, review, images }) {
+  const { sanitizeReview, sanitizeTitle } = require('../../utils/helpers/sanitizeUserContent');
+  const reviewEngagementService = require('./reviewEngagementService');
+
+  const request = await getRequestByToken(token);
+  const item = request.items.find((i) => i.orderItem.toString() === String(orderItem));
+  if (!item) {
+    throw new AppError('This item is not part of the order', 400);
+  }
+
+  const order = await Order.findById(request.order).select('currentStatus').lean();
+  if (!order || STOP_STATUSES.includes(order.currentStatus)) {
+    throw new AppError('Reviews can no longer be submitted for this order', 400);
+  }
+
+  const numericRating = Number(rating);
+  if (!(numericRating >= 0.5 && numericRating <= 5) || (numericRating * 2) % 1 !== 0) {
+    throw new AppError('Rating must be between 0.5 and 5 in 0.5 increments', 400);
+  }
+  const cleanReview = sanitizeReview(review);
+  const cleanTitle = sanitizeTitle(title);
+  if (!cleanReview || !cleanTitle) {
+    throw new AppError('Please provide a title and a comment', 400);
+  }
+
+  let created;
+  try {
+    created = await Review.create({
+      rating: numericRating,
+      review: cleanReview,
+      title: cleanTitle,
+      product: item.product,
+      user: request.user,
+      order: request.order,
+      orderItem: item.orderItem,
+      variantSKU: item.sku,
+      images: images || [],
+      mediaStatus: reviewEngagementService.initialMediaStatus(images),
+      verifiedPurchase: true,
+      status: 'pending',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('You have already reviewed this order item', 400);
+    }
+    throw error;
+  }
+
+  await markItemReviewed(item.orderItem, created._id);
+
+  if (item.seller) {
+    const sellerRatingService = require('../sellerRatingService');
+    sellerRatingService.updateSellerRating(item.seller).catch((err) => {
+      logger.error('[ReviewRequest] Error updating seller rating:', err);
+    });
+  }
+  return created;
+}
+
+/**
+ * Request funnel for the admin dashboard.
+ * @param {number} [days=30]
+ */
+async function getRequestReport(days = 30) {
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [totals] = await ReviewRequest.aggregate([
+    { $match: { deliveredAt: { $gte: since } } },
+    {
+      $project: {
+        status: 1,
+        stepsSent: 1,
+        itemCount: { $size: '$items' },
+        reviewedCount: {
+          $size: { $filter: { input: '$items', as: 'i', cond: { $ifNull: ['$$i.reviewedAt', false] } } },
+        },
+        opened: { $cond: [{ $ifNull: ['$lastOpenedAt', false] }, 1, 0] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        requests: { $sum: 1 },
+        contacted: { $sum: { $cond: [{ $gt: ['$stepsSent', 0] }, 1, 0] } },
+        opened: { $sum: '$opened' },
+        items: { $sum: '$itemCount' },
+        itemsReviewed: { $sum: '$reviewedCount' },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  const report = totals || { requests: 0, contacted: 0, opened: 0, items: 0, itemsReviewed: 0, completed: 0, cancelled: 0 };
+  delete report._id;
+
+  return {
+    days,
+    schedule: getRequestSchedule(),
+    ...report,
+    reviewRate: report.items > 0 ? Math.round((report.itemsReviewed / report.items) * 10000) / 100 : 0,
+  };
+}
+
+module.exports = {
+  REVIEW_REQUEST_QUEUE,
+  getRequestSchedule,
+  getNextSendAt,
+  createLinkToken,
+  verifyLinkToken,
+  buildRatingLinks,
+  pendingItems,
+  scheduleForOrder,
+  markItemReviewed,
+  processDueRequests,
+  getReviewForm,
+  submitReviewFromToken,
+  getRequestReport,
+};
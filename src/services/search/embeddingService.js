@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const logger = require('../../utils/logger');
+const { getEmbeddingProvider } = require('../ai/aiProvider');
+
+/**
+ * embeddingService.js
+ * Product embeddings and vector similarity for semantic search and "similar products".
+ *
+ * - Vectors come from the configured embedding provider (ai/aiProvider.js); with no API
+ *   key that is the in-process local provider, so every product gets an embedding.
+ * - Each product stores embeddingModel and a hash of the text it was embedded from; it is
+ *   re-embedded only when that text or the provider model changes.
+ * - Saves that touch the product text queue a `product-embedding` job; a nightly sweep and
+ *   scripts/reembedProducts.js catch everything else (bulk updates, provider switches).
+ * - Similarity is an in-process cosine scan over products embedded with the same model,
+ *   capped at VECTOR_SEARCH_MAX_CANDIDATES, so it needs no vector index or network.
+ */
+
+const EMBEDDING_QUEUE = 'product-embedding';
+const BATCH_SIZE = 50;
+const MAX_CANDIDATES = parseInt(process.env.VECTOR_SEARCH_MAX_CANDIDATES || '5000', 10);
+// Below this a semantic search hit is noise rather than a match
+const MIN_SEARCH_SIMILARITY = 0.15;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const TEXT_FIELDS = 'name description brand tags keywords variants.attributes specifications.color specifications.material';
+const CARD_FIELDS =
+  'name slug imageCover images variants price minPrice maxPrice brand ratingsAverage ratingsQuantity totalSold status';
+
+const VISIBLE_PRODUCT_MATCH = {
+  status: 'active',
+  isVisible: true,
+  isDeleted: { $ne: true },
+  isDeletedByAdmin: { $ne: true },
+  isDeletedBySeller: { $ne: true },
+};
+
+/**
+ * Text a product is embedded from. Name and brand lead; description is truncated. Pure.
+ */
+function productEmbeddingText(product) {
+  const attributeValues = (product.variants || []).flatMap((variant) =>
+    (variant.attributes || []).map((attribute) => `${attribute.key} ${attribute.value}`),
+  );
+  const specs = product.specifications || {};
+  const parts = [
+    product.name,
+    product.brand,
+    ...(product.tags || []),
+    ...(product.keywords || []),
+    ...new Set(attributeValues),
+    ...(specs.color || []).map((color) => color.name),
+    ...(specs.material || []).map((material) => material.value),
+    String(product.description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+  ];
+  return parts.filter(Boolean).join(' \n').trim();
+}
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Whether a product needs a (new) embedding from `model`. Pure.
+ */
+function needsEmbedding(product, model, textHash) {
+  return !product.embeddingUpdatedAt || product.embeddingModel !== model || product.embeddingTextHash !== textHash;
+}
+
+function cosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Keeps the `limit` best-scoring items seen so far. Pure apart from its own array.
+ */
+function createTopK(limit) {
+  const items = [];
+  return {
+    offer(score, item) {
+      if (items.length === limit && score <= items[items.length - 1].score) return;
+      let index = items.findIndex((entry) => score > entry.score);
+      if (index === -1) index = items.length;
+      items.splice(index, 0, { score, item });
+      if (items.length > limit) items.pop();
+    },
+    values: () => items,
+  };
+}
+
+/**
+ * Embed the given product documents (lean) that are missing or stale.
+ * @returns {Promise<{ embedded: number, skipped: number }>}
+ */
+async function embedProducts(products, { force = false, dryRun = false } = {}) {
+  const provider = getEmbeddingProvider();
+  const pending = [];
+  for (const product of products) {
+    const text = productEmbeddingText(product);
+    const textHash = hashText(text);
+    if (text && (force || needsEmbedding(product, provider.model, textHash))) {
+      pending.push({ product, text, textHash });
+    }
+  }
+  if (pending.length === 0 || dryRun) {
+    return { embedded: dryRun ? pending.length : 0, skipped: products.length - pending.length };
+  }
+
+  const vectors = await provider.embed(pending.map((p) => p.text));
+  const now = new Date();
+  await Product.bulkWrite(
+    pending.map(({ product, textHash }, i) => ({
+      updateOne: {
+        filter: { _id: product._id },
+        update: {
+          $set: {
+            embedding: vectors[i],
+            embeddingModel: provider.model,
+            embeddingTextHash: textHash,
+            embeddingUpdatedAt: now,
+          },
+        },
+        // Embedding refreshes are not product edits
+        timestamps: false,
+      },
+    })),
+    { ordered: false },
+  );
+  return { embedded: pending.length, skipped: products.length - pending.length };
+}
+
+/**
+ * The product's embedding, computed first if missing or stale.
+ * @returns {Promise<number[]|null>}
+ */
+async function ensureProductEmbedding(productId) {
+  const product = await Product.findById(productId)
+    .select(`+embedding +embeddingTextHash embeddingModel embeddingUpdatedAt ${TEXT_FIELDS}`)
+    .lean();
+  if (!product) return null;
+
+  const { embedded } = await embedProducts([product]);
+  if (!embedded) return product.embedding?.length ? product.embedding : null;
+
+  const refreshed = await Product.findById(productId).select('+embedding').lean();
+  return refreshed?.embedding || null;
+}
+
+/**
+ * Re-embed the catalogue in batches (deleted products are skipped).
+ * @param {{ force?: boolean, dryRun?: boolean, batchSize?: number, onProgress?: Function }} [options]
+ */
+async function reembedCatalogue({ force = false, dryRun = false, batchSize = BATCH_SIZE, onProgress } = {}) {
+  const provider = getEmbeddingProvider();
+  const summary = { model: provider.model, scanned: 0, embedded: 0, skipped: 0, failed: 0 };
+
+  const cursor = Product.find({ isDeleted: { $ne: true } })
+    .select(`+embeddingTextHash embeddingModel embeddingUpdatedAt ${TEXT_FIELDS}`)
+    .lean()
+    .cursor({ batchSize });
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    try {
+      const { embedded, skipped } = await embedProducts(batch, { force, dryRun });
+      summary.embedded += embedded;
+      summary.skipped += skipped;
+    } catch (error) {
+      summary.failed += batch.length;
+      logger.error(`[Embeddings] Batch of ${batch.length} products failed: ${error.message}`);
+    }
+    batch = [];
+    if (onProgress) onProgress({ ...summary });
+  };
+
+  for await (const product of cursor) {
+    summary.scanned += 1;
+    batch.push(product);
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+
+  logger.info('[Embeddings] Catalogue re-embed finished', summary);
+  return summary;
+}
+
+/**
+ * Buyer-visible products closest to `vector`, best first, each with `similarity`.
+ * @param {number[]} vector
+ * @param {{ model: string, limit?: number, excludeIds?: Array, match?: Object, minSimilarity?: number }} options
+ */
+async function findSimilarByVector(vector, { model, limit = 10, excludeIds = [], match = {}, minSimilarity = 0 }) {
+  if (!vector?.length) return [];
+
+  const query = { ...VISIBLE_PRODUCT_MATCH, ...match, embeddingModel: model };
+  if (excludeIds.length) {
+    query._id = { $nin: excludeIds.map((id) => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  const top = createTopK(limit);
+  const cursor = Product.find(query)
+    .select(`+embedding ${CARD_FIELDS}`)
+    .sort({ popularity: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean()
+    .cursor({ batchSize: 200 });
+
+  for await (const product of cursor) {
+    const similarity = cosineSimilarity(vector, product.embedding);
+    if (similarity > minSimilarity) {
+      const { embedding, ...card } = product;
+      top.offer(similarity, card);
+    }
+  }
+
+  return top.values().map(({ score, item }) => ({ ...item, similarity: Math.round(score * 1000) / 1000 }));
+}
+
+/**
+ * Products semantically closest to a product.
+ */
+async function findSimilarProducts(productId, limit = 10) {
+  const embedding = await ensureProductEmbedding(productId);
+  if (!embedding) return [];
+  return findSimilarByVector(embedding, {
+    model: getEmbeddingProvider().model,
+    limit,
+    excludeIds: [productId],
+  });
+}
+
+/**
+ * Free-text semantic search over the catalogue.
+ */
+async function semanticSearch(query, { limit = 20 } = {}) {
+  const text = String(query || '').trim();
+  if (text.length < 2) return [];
+
+  const provider = getEmbeddingProvider();
+  const [vector] = await provider.embed([text]);
+  return findSimilarByVector(vector, { model: provider.model, limit, minSimilarity: MIN_SEARCH_SIMILARITY });
+}
+
+/**
+ * Queue a re-embed after the product text changed. One job per product text version.
+ */
+async function queueProductEmbedding(product) {
+  const { enqueue } = require('../jobs/jobQueueService');
+  const textHash = hashText(productEmbeddingText(product));
+  return enqueue(
+    EMBEDDING_QUEUE,
+    { productIds: [String(product._id)] },
+    {
+      name: `Embed product ${product._id}`,
+      uniqueKey: `${EMBEDDING_QUEUE}:${product._id}:${textHash}`,
+      maxAttempts: 3,
+      backoff: { type: 'exponential', delayMs: 60 * 1000 },
+    },
+  );
+}
+
+/**
+ * Job handler: payload { productIds } embeds those products; { sweep: true } the catalogue.
+ */
+async function processEmbeddingJob(job) {
+  const { productIds, sweep } = job.payload || {};
+  if (sweep) return reembedCatalogue();
+
+  const products = await Product.find({ _id: { $in: productIds || [] } })
+    .select(`+embeddingTextHash embeddingModel embeddingUpdatedAt ${TEXT_FIELDS}`)
+    .lean();
+  return embedProducts(products);
+}
+
+module.exports = {
+  EMBEDDING_QUEUE,
+  productEmbeddingText,
+  needsEmbedding,
+  cosineSimilarity,
+  createTopK,
+  embedProducts,
+  ensureProductEmbedding,
+  reembedCatalogue,
+  findSimilarByVector,
+  findSimilarProducts,
+  semanticSearch,
+  queueProductEmbedding,
+  processEmbeddingJob,
+};
@@ -0,0 +1,529 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const Category = require('../../models/category/categoryModel');
+const Seller = require('../../models/user/sellerModel');
+const AppError = require('../../utils/errors/appError');
+const { buildBuyerSafeQuery } = require('../../utils/helpers/productVisibility');
+const { normalizeQuery, buildInclusiveKeywordQuery, escapeRegex } = require('../../utils/helpers/searchUtils');
+const { getSearchConfig, rewriteQuery } = require('./searchRulesService');
+
+/**
+ * facetedSearchService.js
+ * Product search with facet counts for the storefront filter sidebar: category, brand,
+ * price bucket, rating, condition, seller, shipping type and attributes (variant
+ * attributes plus product specifications).
+ *
+ * Filters are multi-select: values inside a facet are OR-ed, facets are AND-ed. Each
+ * facet is counted with every filter applied except its own, so selecting "Apple" still
+ * shows how many products "Samsung" would add. Everything runs in one aggregation over
+ * the same visibility/deletion rules as the rest of search.
+ */
+
+// Lower bounds of the price buckets (GH₵, on minPrice); the last bucket is open-ended
+const PRICE_BOUNDARIES = [0, 50, 100, 250, 500, 1000, 2500, 5000];
+// "N stars & up"; unrated products (ratingsQuantity 0) never match
+const RATING_STEPS = [4, 3, 2, 1];
+const CONDITIONS = ['new', 'like_new', 'used', 'refurbished', 'open_box', 'fair', 'poor', 'damaged', 'for_parts'];
+const SHIPPING_TYPES = ['normal', 'heavy'];
+
+const FACET_VALUE_LIMIT = 20;
+const ATTRIBUTE_KEY_LIMIT = 8;
+const MAX_ATTRIBUTE_FILTERS = 10;
+const MAX_LIMIT = 60;
+
+const SORTS = {
+  relevance: { totalSold: -1, ratingsAverage: -1, _id: 1 },
+  'price-low': { minPrice: 1, _id: 1 },
+  'price-high': { minPrice: -1, _id: 1 },
+  rating: { ratingsAverage: -1, ratingsQuantity: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+};
+
+/** Accept `a,b`, repeated params (arrays) or a single value. */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : [value];
+  return [...new Set(raw.flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean))];
+}
+
+function toObjectIds(values, field) {
+  return values.map((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new AppError(`Invalid ${field} id: ${value}`, 400);
+    }
+    return new mongoose.Types.ObjectId(value);
+  });
+}
+
+/** "50-100" → { min: 50, max: 100 }; "5000-" → { min: 5000, max: null } */
+function parsePriceRange(value) {
+  const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)?$/.exec(value);
+  if (!match) {
+    throw new AppError(`Invalid price range "${value}". Use min-max, e.g. 50-100 or 5000-`, 400);
+  }
+  const min = parseFloat(match[1]);
+  const max = match[2] === undefined ? null : parseFloat(match[2]);
+  if (max !== null && max <= min) {
+    throw new AppError(`Invalid price range "${value}"`, 400);
+  }
+  return { min, max };
+}
+
+const priceRangeKey = ({ min, max }) => `${min}-${max === null ? '' : max}`;
+
+/**
+ * Request query → normalized filters. Pure apart from throwing AppError on bad input.
+ * Attribute filters use `attr[color]=red,blue`.
+ */
+function parseFacetFilters(query = {}) {
+  const minRatings = toList(query.rating).map(Number).filter((n) => n >= 1 && n <= 5);
+  const attributes = {};
+  if (query.attr && typeof query.attr === 'object' && !Array.isArray(query.attr)) {
+    const keys = Object.keys(query.attr).slice(0, MAX_ATTRIBUTE_FILTERS);
+    for (const key of keys) {
+      const values = toList(query.attr[key]).map((v) => v.toLowerCase());
+      if (values.length) attributes[key.trim().toLowerCase()] = values;
+    }
+  }
+
+  const minPrice = parseFloat(query.minPrice);
+  const maxPrice = parseFloat(query.maxPrice);
+
+  return {
+    categories: toObjectIds(toList(query.category), 'category'),
+    brands: toList(query.brand),
+    priceRanges: toList(query.price).map(parsePriceRange),
+    minPrice: Number.isFinite(minPrice) ? minPrice : null,
+    maxPrice: Number.isFinite(maxPrice) ? maxPrice : null,
+    // "4 & up" or "3 & up" together is just "3 & up"
+    minRating: minRatings.length ? Math.min(...minRatings) : null,
+    conditions: toList(query.condition).filter((c) => CONDITIONS.includes(c)),
+    sellers: toObjectIds(toList(query.seller), 'seller'),
+    shippingTypes: toList(query.shippingType).filter((t) => SHIPPING_TYPES.includes(t)),
+    attributes,
+    inStock: query.inStock === 'true' || query.inStock === true,
+    onSale: query.onSale === 'true' || query.onSale === true,
+  };
+}
+
+/**
+ * One $match clause per facet (keyed by facet name, attributes as `attr:<key>`) plus the
+ * non-facet filters under `base`. Pure.
+ */
+function buildFilterClauses(filters) {
+  const clauses = {};
+  const base = [];
+
+  if (filters.categories.length) {
+    clauses.category = {
+      $or: [{ parentCategory: { $in: filters.categories } }, { subCategory: { $in: filters.categories } }],
+    };
+  }
+  if (filters.brands.length) {
+    clauses.brand = { brand: { $in: filters.brands.map((b) => new RegExp(`^${escapeRegex(b)}$`, 'i')) } };
+  }
+  if (filters.priceRanges.length) {
+    clauses.price = {
+      $or: filters.priceRanges.map(({ min, max }) => ({
+        minPrice: max === null ? { $gte: min } : { $gte: min, $lt: max },
+      })),
+    };
+  }
+  if (filters.minRating !== null) {
+    clauses.rating = { ratingsAverage: { $gte: filters.minRating }, ratingsQuantity: { $gt: 0 } };
+  }
+  if (filters.conditions.length) {
+    clauses.condition = {
+      $or: [{ condition: { $in: filters.conditions } }, { 'variants.condition': { $in: filters.conditions } }],
+    };
+  }
+  if (filters.sellers.length) {
+    clauses.seller = { seller: { $in: filters.sellers } };
+  }
+  if (filters.shippingTypes.length) {
+    // Products created before shippingType existed ship as normal
+    clauses.shippingType = filters.shippingTypes.includes('normal')
+      ? { shippingType: { $in: [...filters.shippingTypes, null] } }
+      : { shippingType: { $in: filters.shippingTypes } };
+  }
+  for (const [key, values] of Object.entries(filters.attributes)) {
+    clauses[`attr:${key}`] = { facetAttributes: { $elemMatch: { k: key, v: { $in: values } } } };
+  }
+
+  if (filters.minPrice !== null || filters.maxPrice !== null) {
+    const range = {};
+    if (filters.minPrice !== null) range.$gte = filters.minPrice;
+    if (filters.maxPrice !== null) range.$lte = filters.maxPrice;
+    base.push({ minPrice: range });
+  }
+  if (filters.inStock) base.push({ totalStock: { $gt: 0 } });
+  if (filters.onSale) base.push({ onSale: true });
+
+  return { clauses, base };
+}
+
+/** $match with every filter except the `excluded` facet's own. Pure. */
+function matchExcept({ clauses, base }, excluded = null) {
+  const parts = [...base, ...Object.entries(clauses).filter(([name]) => name !== excluded).map(([, c]) => c)];
+  return parts.length ? { $and: parts } : {};
+}
+
+/** The price bucket that starts at `lowerBound` (one of PRICE_BOUNDARIES). Pure. */
+function priceBucketFor(lowerBound) {
+  const index = PRICE_BOUNDARIES.indexOf(lowerBound);
+  if (index === -1) return null;
+  const max = index + 1 < PRICE_BOUNDARIES.length ? PRICE_BOUNDARIES[index + 1] : null;
+  return { min: lowerBound, max, value: priceRangeKey({ min: lowerBound, max }) };
+}
+
+const attributeEntry = (key, value) => ({
+  k: { $toLower: { $trim: { input: key } } },
+  v: { $toLower: { $trim: { input: value } } },
+  key,
+  label: value,
+});
+
+// Variant attributes and specifications as one [{ k, v, key, label }] list (k/v lower-cased)
+const FACET_ATTRIBUTES_EXPR = {
+  $filter: {
+    input: {
+      $concatArrays: [
+        {
+          $reduce: {
+            input: { $ifNull: ['$variants', []] },
+            initialValue: [],
+            in: {
+              $concatArrays: [
+                '$$value',
+                {
+                  $map: {
+                    input: { $ifNull: ['$$this.attributes', []] },
+                    as: 'a',
+                    in: attributeEntry('$$a.key', '$$a.value'),
+                  },
+                },
+              ],
+            },
+          },
+        },
+        { $map: { input: { $ifNull: ['$specifications.color', []] }, as: 'c', in: attributeEntry('Color', '$$c.name') } },
+        {
+          $map: {
+            input: { $ifNull: ['$specifications.material', []] },
+            as: 'm',
+            in: attributeEntry('Material', '$$m.value'),
+          },
+        },
+        { $map: { input: { $ifNull: ['$specifications.other', []] }, as: 'o', in: attributeEntry('$$o.key', '$$o.value') } },
+        {
+          $cond: [
+            { $gt: [{ $strLenCP: { $ifNull: ['$specifications.size', ''] } }, 0] },
+            [attributeEntry('Size', '$specifications.size')],
+            [],
+          ],
+        },
+      ],
+    },
+    as: 'entry',
+    cond: {
+      $and: [
+        { $gt: [{ $strLenCP: { $ifNull: ['$$entry.k', ''] } }, 0] },
+        { $gt: [{ $strLenCP: { $ifNull: ['$$entry.v', ''] } }, 0] },
+      ],
+    },
+  },
+};
+
+const countBy = (match, groupId, extra = []) => [
+  { $match: match },
+  ...extra,
+  { $group: { _id: groupId, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_VALUE_LIMIT },
+];
+
+function attributePipeline(match, keyMatch) {
+  return [
+    { $match: match },
+    { $unwind: '$facetAttributes' },
+    { $match: keyMatch },
+    // A product counts once per value even if several variants share it
+    {
+      $group: {
+        _id: { p: '$_id', k: '$facetAttributes.k', v: '$facetAttributes.v' },
+        key: { $first: '$facetAttributes.key' },
+        label: { $first: '$facetAttributes.label' },
+      },
+    },
+    {
+      $group: {
+        _id: { k: '$_id.k', v: '$_id.v' },
+        key: { $first: '$key' },
+        label: { $first: '$label' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1, '_id.v': 1 } },
+    {
+      $group: {
+        _id: '$_id.k',
+        key: { $first: '$key' },
+        values: { $push: { value: '$_id.v', label: '$label', count: '$count' } },
+        total: { $sum: '$count' },
+      },
+    },
+    { $sort: { total: -1, _id: 1 } },
+    { $limit: ATTRIBUTE_KEY_LIMIT },
+  ];
+}
+
+function visibilityMatch(viewer) {
+  const base = {
+    status: 'active',
+    isDeleted: { $ne: true },
+    isDeletedByAdmin: { $ne: true },
+    isDeletedBySeller: { $ne: true },
+  };
+  const role = viewer?.role;
+  // Aggregations skip schema casting, so the seller's own id must already be an ObjectId
+  const sellerId =
+    role === 'seller' && mongoose.Types.ObjectId.isValid(viewer.id) ? new mongoose.Types.ObjectId(viewer.id) : null;
+  return buildBuyerSafeQuery(base, {
+    isAdmin: role === 'admin',
+    isSeller: Boolean(sellerId),
+    user: sellerId ? { id: sellerId } : undefined,
+  });
+}
+
+/** Filterable attribute names defined on the selected categories and their subcategories. */
+async function definedAttributeKeys(categoryIds) {
+  if (!categoryIds.length) return [];
+  const categories = await Category.find({
+    $or: [{ _id: { $in: categoryIds } }, { parentCategory: { $in: categoryIds } }],
+  })
+    .select('attributes')
+    .lean();
+  const keys = new Map();
+  for (const category of categories) {
+    for (const attribute of category.attributes || []) {
+      if (attribute.isFilterable && attribute.name) {
+        keys.set(attribute.name.trim().toLowerCase(), attribute.name.trim());
+      }
+    }
+  }
+  return [...keys.entries()];
+}
+
+/**
+ * @param {Object} query - req.query: q, sortBy, page, limit and the facet filters
+ * @param {{ id?: string, role?: string }|null} viewer
+ */
+async function searchWithFacets(query = {}, viewer = null) {
+  const filters = parseFacetFilters(query);
+  const sort = SORTS[query.sortBy] || SORTS.relevance;
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20));
+
+  const normalized = normalizeQuery(query.q || '');
+  const rewrite = normalized ? rewriteQuery(normalized, await getSearchConfig()) : null;
+  const keywordMatch = rewrite ? buildInclusiveKeywordQuery(rewrite.corrected, rewrite.segments) : null;
+  const baseMatch = keywordMatch ? { $and: [visibilityMatch(viewer), keywordMatch] } : visibilityMatch(viewer);
+
+  const filterClauses = buildFilterClauses(filters);
+  const matchAll = matchExcept(filterClauses);
+  const definedKeys = await definedAttributeKeys(filters.categories);
+  const definedKeyLabels = new Map(definedKeys);
+  const selectedKeys = Object.keys(filters.attributes);
+
+  // Unselected attribute keys count under every filter; each selected key ignores its own
+  const otherKeys = definedKeys.length
+    ? definedKeys.map(([k]) => k).filter((k) => !selectedKeys.includes(k))
+    : null;
+  const attributeFacets = {
+    attributes: attributePipeline(
+      matchAll,
+      otherKeys ? { 'facetAttributes.k': { $in: otherKeys } } : { 'facetAttributes.k': { $nin: selectedKeys } },
+    ),
+  };
+  selectedKeys.forEach((key, index) => {
+    attributeFacets[`selectedAttribute${index}`] = attributePipeline(matchExcept(filterClauses, `attr:${key}`), {
+      'facetAttributes.k': key,
+    });
+  });
+
+  const ratingCounts = Object.fromEntries(
+    RATING_STEPS.map((step) => [
+      `r${step}`,
+      {
+        $sum: {
+          $cond: [{ $and: [{ $gte: ['$ratingsAverage', step] }, { $gt: ['$ratingsQuantity', 0] }] }, 1, 0],
+        },
+      },
+    ]),
+  );
+
+  const [result] = await Product.aggregate([
+    { $match: baseMatch },
+    { $addFields: { facetAttributes: FACET_ATTRIBUTES_EXPR } },
+    {
+      $facet: {
+        products: [
+          { $match: matchAll },
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { embedding: 0, embeddingTextHash: 0, facetAttributes: 0, __v: 0 } },
+        ],
+        total: [{ $match: matchAll }, { $count: 'count' }],
+        categories: countBy(matchExcept(filterClauses, 'category'), '$categoryIds', [
+          { $project: { categoryIds: { $setUnion: [['$parentCategory', '$subCategory']] } } },
+          { $unwind: '$categoryIds' },
+        ]),
+        brands: [
+          { $match: { $and: [matchExcept(filterClauses, 'brand'), { brand: { $nin: [null, ''] } }] } },
+          { $group: { _id: { $toLower: '$brand' }, label: { $first: '$brand' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_VALUE_LIMIT },
+        ],
+        price: [
+          { $match: matchExcept(filterClauses, 'price') },
+          {
+            $bucket: {
+              groupBy: '$minPrice',
+              // Closing boundary so the last bucket is open-ended
+              boundaries: [...PRICE_BOUNDARIES, Number.MAX_VALUE],
+              default: 'unpriced',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        rating: [{ $match: matchExcept(filterClauses, 'rating') }, { $group: { _id: null, ...ratingCounts } }],
+        condition: countBy(matchExcept(filterClauses, 'condition'), '$conditions', [
+          {
+            $project: {
+              conditions: {
+                $setUnion: [[{ $ifNull: ['$condition', 'new'] }], { $ifNull: ['$variants.condition', []] }],
+              },
+            },
+          },
+          { $unwind: '$conditions' },
+        ]),
+        seller: countBy(matchExcept(filterClauses, 'seller'), '$seller'),
+        shippingType: countBy(matchExcept(filterClauses, 'shippingType'), { $ifNull: ['$shippingType', 'normal'] }),
+        ...attributeFacets,
+      },
+    },
+  ]).allowDiskUse(true);
+
+  const total = result.total[0]?.count || 0;
+  const products = await Product.populate(result.products, [
+    { path: 'parentCategory', select: 'name slug' },
+    { path: 'subCategory', select: 'name slug' },
+  ]);
+
+  const facets = await formatFacets(result, filters, definedKeyLabels);
+
+  return { products, total, page, limit, facets };
+}
+
+async function formatFacets(result, filters, definedKeyLabels) {
+  const categoryIds = result.categories.map((c) => c._id);
+  const sellerIds = result.seller.map((s) => s._id);
+  const [categories, sellers] = await Promise.all([
+    Category.find({ _id: { $in: categoryIds } }).select('name slug parentCategory').lean(),
+    Seller.find({ _id: { $in: sellerIds } }).select('shopName').lean(),
+  ]);
+  const categoryById = new Map(categories.map((c) => [String(c._id), c]));
+  const sellerById = new Map(sellers.map((s) => [String(s._id), s]));
+
+  const selectedIds = (ids) => new Set(ids.map(String));
+  const selectedCategories = selectedIds(filters.categories);
+  const selectedSellers = selectedIds(filters.sellers);
+  const selectedBrands = new Set(filters.brands.map((b) => b.toLowerCase()));
+  const selectedPrices = new Set(filters.priceRanges.map(priceRangeKey));
+
+  const priceBuckets = result.price
+    .map((bucket) => ({ bucket: priceBucketFor(bucket._id), count: bucket.count }))
+    .filter(({ bucket }) => bucket);
+
+  const attributeGroups = [
+    ...result.attributes,
+    ...Object.keys(filters.attributes).map((_, index) => result[`selectedAttribute${index}`]?.[0]).filter(Boolean),
+  ];
+
+  const ratingRow = result.rating[0] || {};
+
+  return {
+    categories: result.categories
+      .filter((c) => categoryById.has(String(c._id)))
+      .map((c) => {
+        const category = categoryById.get(String(c._id));
+        return {
+          value: String(c._id),
+          label: category.name,
+          slug: category.slug,
+          parent: category.parentCategory ? String(category.parentCategory) : null,
+          count: c.count,
+          selected: selectedCategories.has(String(c._id)),
+        };
+      }),
+    brands: result.brands.map((b) => ({
+      value: b.label,
+      label: b.label,
+      count: b.count,
+      selected: selectedBrands.has(b._id),
+    })),
+    price: priceBuckets.map(({ bucket, count }) => ({
+      value: bucket.value,
+      min: bucket.min,
+      max: bucket.max,
+      count,
+      selected: selectedPrices.has(bucket.value),
+    })),
+    rating: RATING_STEPS.map((step) => ({
+      value: step,
+      label: `${step} & up`,
+      count: ratingRow[`r${step}`] || 0,
+      selected: filters.minRating === step,
+    })).filter((r) => r.count > 0 || r.selected),
+    condition: result.condition.map((c) => ({
+      value: c._id,
+      count: c.count,
+      selected: filters.conditions.includes(c._id),
+    })),
+    seller: result.seller.map((s) => ({
+      value: String(s._id),
+      label: sellerById.get(String(s._id))?.shopName || null,
+      count: s.count,
+      selected: selectedSellers.has(String(s._id)),
+    })),
+    shippingType: result.shippingType.map((s) => ({
+      value: s._id,
+      count: s.count,
+      selected: filters.shippingTypes.includes(s._id),
+    })),
+    attributes: attributeGroups.map((group) => {
+      const selectedValues = filters.attributes[group._id] || [];
+      return {
+        key: group._id,
+        label: definedKeyLabels.get(group._id) || group.key,
+        values: group.values.slice(0, FACET_VALUE_LIMIT).map((v) => ({
+          ...v,
+          selected: selectedValues.includes(v.value),
+        })),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  PRICE_BOUNDARIES,
+  RATING_STEPS,
+  SORTS,
+  parseFacetFilters,
+  buildFilterClauses,
+  matchExcept,
+  priceBucketFor,
+  searchWithFacets,
+};
@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const SearchEvent = require('../../models/analytics/searchEventModel');
+const SearchCorrection = require('../../models/search/searchCorrectionModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { detectDeviceType } = require('../../utils/helpers/deviceUtils');
+
+/**
+ * searchAnalyticsService.js
+ * Search events (query, result count, clicked positions) and the admin reports built on them:
+ * top queries, zero-result queries, click-through by position, search-to-purchase conversion
+ * and high-exit queries, filtered by date range and device; plus the weekly digest email.
+ *
+ * - Search endpoints record an event per search and return its id (`_meta.searchId`);
+ *   clients report result clicks against it.
+ * - An exit is a search that returned results, got no click and was not followed by another
+ *   search from the same session within REFINEMENT_WINDOW_MS.
+ * - A search converts when a clicked product is bought by the same user (paid order) within
+ *   ATTRIBUTION_DAYS of the click.
+ */
+
+const SEARCH_DIGEST_QUEUE = 'search-digest';
+const DEVICES = ['mobile', 'tablet', 'desktop', 'unknown'];
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 180;
+const REFINEMENT_WINDOW_MS = 30 * 60 * 1000;
+const ATTRIBUTION_DAYS = 7;
+const MAX_CLICK_POSITION = 1000;
+const PAID_STATUSES = ['paid', 'completed'];
+// Digest thresholds: a query needs attention with enough traffic and a poor outcome
+const DIGEST_MIN_SEARCHES = 5;
+const DIGEST_LOW_CTR = 0.05;
+const DIGEST_ROWS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 10000 : 0);
+
+/**
+ * Date range and device filter from query params. Pure.
+ * from/to are ISO dates (to is inclusive of that day); default is the last 7 days.
+ * @returns {{ from: Date, to: Date, device: string|null }}
+ */
+function parseReportFilters(query = {}, now = new Date()) {
+  const parseDate = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new AppError(`Invalid ${name} date`, 400);
+    return date;
+  };
+
+  let to = parseDate(query.to, 'to');
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) to = new Date(to.getTime() + DAY_MS - 1);
+  to = to || now;
+  const from = parseDate(query.from, 'from') || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from > to) throw new AppError('from must be before to', 400);
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AppError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  const device = query.device ? String(query.device).toLowerCase() : null;
+  if (device && !DEVICES.includes(device)) {
+    throw new AppError(`device must be one of ${DEVICES.join(', ')}`, 400);
+  }
+  return { from, to, device };
+}
+
+/** $match stage for a report. Pure. */
+function buildReportMatch({ from, to, device }) {
+  const match = { searchedAt: { $gte: from, $lte: to } };
+  if (device) match.device = device;
+  return match;
+}
+
+/**
+ * Events that count as exits at `now`. Pure.
+ */
+function exitMatch(now = new Date()) {
+  return {
+    resultsCount: { $gt: 0 },
+    clickCount: 0,
+    refined: { $ne: true },
+    searchedAt: { $lte: new Date(now.getTime() - REFINEMENT_WINDOW_MS) },
+  };
+}
+
+/**
+ * Who searched and from what, for an event.
+ */
+function searchContextFromRequest(req) {
+  const rawRole = String(req.user?.role || '').toLowerCase();
+  let role = 'guest';
+  if (['seller', 'official_store'].includes(rawRole)) role = 'seller';
+  else if (['admin', 'superadmin', 'moderator', 'support_agent'].includes(rawRole)) role = 'admin';
+  else if (req.user) role = 'buyer';
+
+  const headerPlatform = String(req.headers['x-platform'] || '').toLowerCase();
+  const sessionId = req.get('x-session-id') || req.body?.sessionId || req.query?.sessionId;
+  return {
+    userId: req.user?.id || req.user?._id || null,
+    role,
+    platform: ['eazmain', 'eazseller', 'eazadmin'].includes(headerPlatform) ? headerPlatform : 'eazmain',
+    device: detectDeviceType(req.get('user-agent')),
+    sessionId: typeof sessionId === 'string' && sessionId.trim() ? sessionId.trim().slice(0, 100) : null,
+  };
+}
+
+/**
+ * Record a search without delaying the response. Returns the event id straight away.
+ * @param {{ query: string, resultsCount: number, page?: number, source?: string, correctedQuery?: string }} search
+ * @param {Object} context - from searchContextFromRequest
+ * @returns {string} searchId
+ */
+function recordSearchEvent(search, context) {
+  const _id = new mongoose.Types.ObjectId();
+  const searchedAt = new Date();
+
+  const record = async () => {
+    if (context.sessionId) {
+      await SearchEvent.updateMany(
+        {
+          sessionId: context.sessionId,
+          refined: false,
+          searchedAt: { $gte: new Date(searchedAt.getTime() - REFINEMENT_WINDOW_MS) },
+        },
+        { $set: { refined: true } },
+      );
+    }
+    await SearchEvent.create({
+      _id,
+      query: search.query,
+      correctedQuery: search.correctedQuery || null,
+      source: search.source || 'results',
+      resultsCount: search.resultsCount || 0,
+      page: search.page || 1,
+      user: context.userId || null,
+      role: context.role,
+      platform: context.platform,
+      device: context.device,
+      sessionId: context.sessionId,
+      searchedAt,
+    });
+  };
+  record().catch((error) => logger.error('[SearchAnalytics] Failed to record search event:', error.message));
+
+  return String(_id);
+}
+
+/**
+ * A result was clicked. The first click per product counts.
+ * @returns {Promise<boolean>} false when the search is unknown
+ */
+async function recordSearchClick(searchId, productId, position) {
+  const pos = Number(position);
+  if (!mongoose.Types.ObjectId.isValid(String(searchId || ''))) throw new AppError('Invalid searchId', 400);
+  if (!mongoose.Types.ObjectId.isValid(String(productId || ''))) throw new AppError('Invalid productId', 400);
+  if (!Number.isInteger(pos) || pos < 1 || pos > MAX_CLICK_POSITION) {
+    throw new AppError(`position must be a whole number from 1 to ${MAX_CLICK_POSITION}`, 400);
+  }
+
+  const result = await SearchEvent.updateOne(
+    { _id: searchId, 'clicks.product': { $ne: productId } },
+    {
+      $push: { clicks: { product: productId, position: pos, clickedAt: new Date() } },
+      $inc: { clickCount: 1 },
+    },
+  );
+  if (result.matchedCount > 0) return true;
+  return Boolean(await SearchEvent.exists({ _id: searchId }));
+}
+
+async function getSearchOverview(filters, now = new Date()) {
+  const match = buildReportMatch(filters);
+  const [totals] = await SearchEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        searches: { $sum: 1 },
+        queries: { $addToSet: '$query' },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] } },
+        withResults: { $sum: { $cond: [{ $gt: ['$resultsCount', 0] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+      },
+    },
+    { $project: { _id: 0, searches: 1, zeroResults: 1, withResults: 1, clicked: 1, uniqueQueries: { $size: '$queries' } } },
+  ]);
+  const exits = await SearchEvent.countDocuments({ ...match, ...exitMatch(now) });
+
+  const t = totals || { searches: 0, uniqueQueries: 0, zeroResults: 0, withResults: 0, clicked: 0 };
+  return {
+    searches: t.searches,
+    uniqueQueries: t.uniqueQueries,
+    zeroResults: t.zeroResults,
+    zeroResultRate: rate(t.zeroResults, t.searches),
+    clickThroughRate: rate(t.clicked, t.withResults),
+    exits,
+    exitRate: rate(exits, t.withResults),
+  };
+}
+
+async function getTopQueries(filters, { limit = 20 } = {}) {
+  const rows = await SearchEvent.aggregate([
+    { $match: buildReportMatch(filters) },
+    {
+      $group: {
+        _id: '$query',
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultsCount', 0] }, 1, 0] } },
+        withResults: { $sum: { $cond: [{ $gt: ['$resultsCount', 0] }, 1, 0] } },
+        clicked: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+        avgResults: { $avg: '$resultsCount' },
+        lastSearched: { $max: '$searchedAt' },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map((row) => ({
+    query: row._id,
+    searches: row.searches,
+    zeroResults: row.zeroResults,
+    avgResults: Math.round(row.avgResults || 0),
+    clickThroughRate: rate(row.clicked, row.withResults),
+    lastSearched: row.lastSearched,
+  }));
+}
+
+/**
+ * Queries that returned nothing, most frequent first, with any spelling correction on file.
+ */
+async function getZeroResultQueries(filters, { limit = 20 } = {}) {
+  const rows = await SearchEvent.aggregate([
+    { $match: { ...buildReportMatch(filters), resultsCount: 0 } },
+    {
+      $group: {
+        _id: '$query',
+        searches: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        lastSearched: { $max: '$searchedAt' },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+
+  const corrections = await SearchCorrection.find({ misspelling: { $in: rows.map((r) => r._id) } })
+    .select('misspelling correction status')
+    .lean();
+  const correctionByQuery = new Map(corrections.map((c) => [c.misspelling, c]));
+
+  return rows.map((row) => {
+    const correction = correctionByQuery.get(row._id);
+    return {
+      query: row._id,
+      searches: row.searches,
+      users: row.users.filter(Boolean).length,
+      lastSearched: row.lastSearched,
+      correction: correction ? { to: correction.correction, status: correction.status } : null,
+    };
+  });
+}
+
+/**
+ * Clicks per result position over searches that returned results.
+ */
+async function getClickThroughByPosition(filters, { maxPosition = 20 } = {}) {
+  const match = { ...buildReportMatch(filters), resultsCount: { $gt: 0 } };
+  const [searchesWithResults, rows] = await Promise.all([
+    SearchEvent.countDocuments(match),
+    SearchEvent.aggregate([
+      { $match: { ...match, clickCount: { $gt: 0 } } },
+      { $unwind: '$clicks' },
+      { $match: { 'clicks.position': { $lte: maxPosition } } },
+      { $group: { _id: '$clicks.position', clicks: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const clicksByPosition = new Map(rows.map((row) => [row._id, row.clicks]));
+  return {
+    searchesWithResults,
+    positions: Array.from({ length: maxPosition }, (_, i) => {
+      const clicks = clicksByPosition.get(i + 1) || 0;
+      return { position: i + 1, clicks, clickThroughRate: rate(clicks, searchesWithResults) };
+    }),
+  };
+}
+
+/**
+ * Search-to-purchase conversion per query: searches whose clicked product the same user
+ * bought (paid order item) within ATTRIBUTION_DAYS of the click.
+ */
+async function getSearchConversions(filters, { limit = 20 } = {}) {
+  const attributionMs = ATTRIBUTION_DAYS * DAY_MS;
+  const rows = await SearchEvent.aggregate([
+    { $match: { ...buildReportMatch(filters), resultsCount: { $gt: 0 } } },
+    {
+      $facet: {
+        searches: [{ $group: { _id: '$query', searches: { $sum: 1 } } }],
+        purchases: [
+          { $match: { user: { $ne: null }, clickCount: { $gt: 0 } } },
+          { $unwind: '$clicks' },
+          {
+            $lookup: {
+              from: 'orderitems',
+              let: { product: '$clicks.product', clickedAt: '$clicks.clickedAt', user: '$user' },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: {
+                      $and: [
+                        { $eq: ['$product', '$$product'] },
+                        { $gte: ['$createdAt', '$$clickedAt'] },
+                        { $lte: ['$createdAt', { $add: ['$$clickedAt', attributionMs] }] },
+                      ],
+                    },
+                  },
+                },
+                {
+                  $lookup: {
+                    from: 'orders',
+                    localField: '_id',
+                    foreignField: 'orderItems',
+                    as: 'order',
+                  },
+                },
+                {
+                  $match: {
+                    $expr: { $in: ['$$user', '$order.user'] },
+                    'order.paymentStatus': { $in: PAID_STATUSES },
+                  },
+                },
+                { $project: { revenue: { $multiply: ['$price', '$quantity'] } } },
+              ],
+              as: 'purchases',
+            },
+          },
+          { $match: { 'purchases.0': { $exists: true } } },
+          {
+            $group: {
+              _id: '$_id',
+              query: { $first: '$query' },
+              revenue: { $sum: { $sum: '$purchases.revenue' } },
+            },
+          },
+          { $group: { _id: '$query', converted: { $sum: 1 }, revenue: { $sum: '$revenue' } } },
+        ],
+      },
+    },
+  ]);
+
+  const { searches = [], purchases = [] } = rows[0] || {};
+  const purchasesByQuery = new Map(purchases.map((p) => [p._id, p]));
+  const totalSearches = searches.reduce((sum, s) => sum + s.searches, 0);
+  const totalConverted = purchases.reduce((sum, p) => sum + p.converted, 0);
+
+  return {
+    attributionDays: ATTRIBUTION_DAYS,
+    searches: totalSearches,
+    converted: totalConverted,
+    conversionRate: rate(totalConverted, totalSearches),
+    revenue: Math.round(purchases.reduce((sum, p) => sum + p.revenue, 0) * 100) / 100,
+    queries: searches
+      .map((s) => {
+        const p = purchasesByQuery.get(s._id) || { converted: 0, revenue: 0 };
+        return {
+          query: s._id,
+          searches: s.searches,
+          converted: p.converted,
+          conversionRate: rate(p.converted, s.searches),
+          revenue: Math.round(p.revenue * 100) / 100,
+        };
+      })
+      .sort((a, b) => b.converted - a.converted || b.searches - a.searches)
+      .slice(0, limit),
+  };
+}
+
+/**
+ * Queries whose searches most often end without a click or a refinement.
+ */
+async function getHighExitQueries(filters, { limit = 20, minSearches = DIGEST_MIN_SEARCHES, now = new Date() } = {}) {
+  const exit = exitMatch(now);
+  const rows = await SearchEvent.aggregate([
+    { $match: { ...buildReportMatch(filters), resultsCount: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$query',
+        searches: { $sum: 1 },
+        exits: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$clickCount', 0] },
+                  { $ne: ['$refined', true] },
+                  { $lte: ['$searchedAt', exit.searchedAt.$lte] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        avgResults: { $avg: '$resultsCount' },
+      },
+    },
+    { $match: { searches: { $gte: minSearches }, exits: { $gt: 0 } } },
+    { $addFields: { exitRate: { $divide: ['$exits', '$searches'] } } },
+    { $sort: { exitRate: -1, exits: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map((row) => ({
+    query: row._id,
+    searches: row.searches,
+    exits: row.exits,
+    exitRate: rate(row.exits, row.searches),
+    avgResults: Math.round(row.avgResults || 0),
+  }));
+}
+
+/**
+ * Last week's queries that need merchandising attention.
+ */
+async function buildWeeklyDigest(now = new Date()) {
+  const filters = { from: new Date(now.getTime() - 7 * DAY_MS), to: now, device: null };
+  const [overview, zeroResults, highExits, topQueries, pendingCorrections] = await Promise.all([
+    getSearchOverview(filters, now),
+    getZeroResultQueries(filters, { limit: DIGEST_ROWS }),
+    getHighExitQueries(filters, { limit: DIGEST_ROWS, now }),
+    getTopQueries(filters, { limit: 100 }),
+    SearchCorrection.countDocuments({ status: 'suggested' }),
+  ]);
+
+  const lowClickThrough = topQueries
+    .filter((q) => q.searches >= DIGEST_MIN_SEARCHES && q.avgResults > 0 && q.clickThroughRate < DIGEST_LOW_CTR)
+    .slice(0, DIGEST_ROWS);
+
+  return {
+    from: filters.from,
+    to: filters.to,
+    overview,
+    zeroResults: zeroResults.filter((q) => q.searches >= 2),
+    highExits,
+    lowClickThrough,
+    pendingCorrections,
+  };
+}
+
+/**
+ * Email the weekly digest to the admin inbox; skipped when nothing needs attention.
+ */
+async function sendWeeklySearchDigest() {
+  const emailDispatcher = require('../../emails/emailDispatcher');
+  const digest = await buildWeeklyDigest();
+  const items =
+    digest.zeroResults.length + digest.highExits.length + digest.lowClickThrough.length + digest.pendingCorrections;
+  if (items === 0) return { sent: false, items };
+
+  await emailDispatcher.sendAdminSearchDigest(digest);
+  return { sent: true, items };
+}
+
+module.exports = {
+  SEARCH_DIGEST_QUEUE,
+  DEVICES,
+  parseReportFilters,
+  buildReportMatch,
+  exitMatch,
+  searchContextFromRequest,
+  recordSearchEvent,
+  recordSearchClick,
+  getSearchOverview,
+  getTopQueries,
+  getZeroResultQueries,
+  getClickThroughByPosition,
+  getSearchConversions,
+  getHighExitQueries,
+  buildWeeklyDigest,
+  sendWeeklySearchDigest,
+};
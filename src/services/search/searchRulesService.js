@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const SearchSynonym = require('../../models/search/searchSynonymModel');
+const SearchCorrection = require('../../models/search/searchCorrectionModel');
+const SearchRule = require('../../models/search/searchRuleModel');
+const logger = require('../../utils/logger');
+const { buildBuyerSafeQuery } = require('../../utils/helpers/productVisibility');
+const {
+  normalizeQuery,
+  tokenizeQuery,
+  buildInclusiveKeywordQuery,
+} = require('../../utils/helpers/searchUtils');
+
+/**
+ * searchRulesService.js
+ * Admin-managed query rewriting and merchandising for product search.
+ *
+ * Rewrite: approved spelling corrections (whole query first, then per word), then synonyms.
+ * The query is split into segments, longest synonym phrase first ("cell phone case" →
+ * ["cell phone", "case"]); a product must match every segment, each through its own term
+ * or any synonym.
+ *
+ * Merchandising: rules matching the query and/or category pin products to positions, bury
+ * products to the end and boost products by brand / seller / category / id. Applied to the
+ * first MERCHANDISING_WINDOW relevance-ordered results; explicit sorts (price, newest) are
+ * left alone.
+ *
+ * Synonyms, corrections and rules are cached per process for CONFIG_TTL_MS; admin edits
+ * clear the local cache immediately.
+ */
+
+const CONFIG_TTL_MS = 60 * 1000;
+const MERCHANDISING_WINDOW = 100;
+const MAX_SYNONYM_WORDS = 3;
+const MAX_EXPANSIONS = 8;
+const RELEVANCE_SORT = { totalSold: -1, ratingsAverage: -1, _id: 1 };
+
+// Built-in one-way expansions for search suggestions until admins create their own synonyms.
+// Result matching only uses admin-configured synonyms.
+const DEFAULT_SYNONYMS = [
+  { type: 'one_way', input: 'cover', terms: ['case', 'protector', 'shield'] },
+  { type: 'one_way', input: 'phone', terms: ['iphone', 'samsung', 'mobile'] },
+  { type: 'one_way', input: 'case', terms: ['cover', 'protector'] },
+  { type: 'one_way', input: 'bag', terms: ['handbag', 'purse', 'tote'] },
+  { type: 'one_way', input: 'shoe', terms: ['sneaker', 'footwear', 'boot'] },
+];
+
+/**
+ * term → alternatives. Pure.
+ * @param {{ type: string, input?: string, terms: string[] }[]} synonyms
+ * @returns {Map<string, string[]>}
+ */
+function buildSynonymIndex(synonyms) {
+  const index = new Map();
+  const add = (from, to) => {
+    if (!from || !to || from === to) return;
+    if (!index.has(from)) index.set(from, new Set());
+    index.get(from).add(to);
+  };
+
+  for (const synonym of synonyms) {
+    const terms = (synonym.terms || []).map(normalizeQuery).filter(Boolean);
+    if (synonym.type === 'one_way') {
+      const input = normalizeQuery(synonym.input);
+      terms.forEach((term) => add(input, term));
+    } else {
+      terms.forEach((from) => terms.forEach((to) => add(from, to)));
+    }
+  }
+  return new Map([...index].map(([term, alternatives]) => [term, [...alternatives]]));
+}
+
+/** misspelling → correction for approved corrections. Pure. */
+function buildCorrectionIndex(corrections) {
+  return new Map(
+    corrections
+      .filter((c) => c.status === 'approved')
+      .map((c) => [normalizeQuery(c.misspelling), normalizeQuery(c.correction)])
+      .filter(([from, to]) => from && to && from !== to),
+  );
+}
+
+/**
+ * Rewrite a query with corrections and synonyms. Pure.
+ * @param {string} query
+ * @param {{ synonyms: Map<string, string[]>, corrections: Map<string, string> }} config
+ * @returns {{ original: string, corrected: string, corrections: { from: string, to: string }[],
+ *   segments: { term: string, alternatives: string[] }[], expansions: string[] }}
+ */
+function rewriteQuery(query, config) {
+  const original = normalizeQuery(query);
+  const applied = [];
+  let corrected = original;
+
+  if (config.corrections.has(original)) {
+    corrected = config.corrections.get(original);
+    applied.push({ from: original, to: corrected });
+  } else {
+    corrected = tokenizeQuery(original)
+      .map((token) => {
+        const fix = config.corrections.get(token);
+        if (!fix) return token;
+        applied.push({ from: token, to: fix });
+        return fix;
+      })
+      .join(' ');
+  }
+
+  const tokens = tokenizeQuery(corrected);
+  const segments = [];
+  for (let i = 0; i < tokens.length; ) {
+    let matched = null;
+    for (let size = Math.min(MAX_SYNONYM_WORDS, tokens.length - i); size > 1 && !matched; size--) {
+      const phrase = tokens.slice(i, i + size).join(' ');
+      if (config.synonyms.has(phrase)) matched = { term: phrase, size };
+    }
+    const term = matched ? matched.term : tokens[i];
+    segments.push({ term, alternatives: config.synonyms.get(term) || [] });
+    i += matched ? matched.size : 1;
+  }
+
+  const expansions = [];
+  segments.forEach((segment, index) => {
+    segment.alternatives.forEach((alternative) => {
+      const terms = segments.map((s, j) => (j === index ? alternative : s.term));
+      expansions.push(terms.join(' '));
+    });
+  });
+
+  return {
+    original,
+    corrected,
+    corrections: applied,
+    segments,
+    expansions: [...new Set(expansions)].filter((e) => e !== corrected).slice(0, MAX_EXPANSIONS),
+  };
+}
+
+/**
+ * Active rules for a query and/or category, highest priority first. Pure.
+ * @param {string} normalizedQuery - '' when browsing without a query
+ * @param {string|null} categoryId
+ */
+function matchRules(rules, normalizedQuery, categoryId = null, now = new Date()) {
+  const padded = ` ${normalizedQuery} `;
+  return rules
+    .filter((rule) => {
+      if (rule.isActive === false) return false;
+      if (rule.startsAt && new Date(rule.startsAt) > now) return false;
+      if (rule.endsAt && new Date(rule.endsAt) <= now) return false;
+      if (rule.category && String(rule.category) !== String(categoryId || '')) return false;
+
+      const queries = rule.queries || [];
+      if (queries.length === 0) return Boolean(rule.category);
+      if (!normalizedQuery) return false;
+      return rule.queryMatch === 'contains'
+        ? queries.some((q) => padded.includes(` ${q} `))
+        : queries.includes(normalizedQuery);
+    })
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+const idOf = (value) => String(value?._id || value || '');
+
+function boostFor(product, boosts) {
+  let total = 0;
+  for (const boost of boosts) {
+    const value = String(boost.value).toLowerCase();
+    const hit =
+      (boost.field === 'brand' && String(product.brand || '').toLowerCase() === value) ||
+      (boost.field === 'seller' && idOf(product.seller) === boost.value) ||
+      (boost.field === 'product' && idOf(product._id) === boost.value) ||
+      (boost.field === 'category' &&
+        [idOf(product.parentCategory), idOf(product.subCategory)].includes(boost.value));
+    if (hit) total += boost.weight ?? 0;
+  }
+  return total;
+}
+
+/**
+ * Reorder relevance-ranked products with pin / bury / boost rules. Pure.
+ * Rank i of n scores 1 - i/n; boosts add their weight; buried products go last in their
+ * original order; pins are placed at their positions last (higher-priority rule wins a slot).
+ * @param {Object[]} products - ranked, each with _id, brand, seller, parentCategory, subCategory
+ * @param {Object[]} rules - from matchRules (priority order)
+ * @param {Object[]} [extraPinned] - pinned products that were not in `products`
+ * @returns {{ products: Object[], explanations: Object[] }}
+ */
+function applyMerchandising(products, rules, extraPinned = []) {
+  const pins = new Map(); // productId → position
+  const taken = new Set();
+  const buried = new Set();
+  const boosts = [];
+  for (const rule of rules) {
+    for (const pin of rule.pins || []) {
+      const id = idOf(pin.product);
+      if (pins.has(id) || taken.has(pin.position)) continue;
+      pins.set(id, pin.position);
+      taken.add(pin.position);
+    }
+    (rule.bury || []).forEach((id) => buried.add(idOf(id)));
+    boosts.push(...(rule.boosts || []));
+  }
+
+  const n = products.length;
+  const ranked = products.map((product, i) => ({
+    product,
+    basePosition: i + 1,
+    boost: boostFor(product, boosts),
+    score: 1 - i / Math.max(n, 1),
+  }));
+  const byId = new Map(ranked.map((entry) => [idOf(entry.product._id), entry]));
+  for (const product of extraPinned) {
+    const id = idOf(product._id);
+    if (!byId.has(id) && pins.has(id)) {
+      byId.set(id, { product, basePosition: null, boost: 0, score: 0 });
+    }
+  }
+
+  const unpinned = ranked.filter((entry) => !pins.has(idOf(entry.product._id)));
+  const ordered = [
+    ...unpinned
+      .filter((entry) => !buried.has(idOf(entry.product._id)))
+      .sort((a, b) => b.score + b.boost - (a.score + a.boost) || a.basePosition - b.basePosition),
+    ...unpinned.filter((entry) => buried.has(idOf(entry.product._id))),
+  ];
+
+  [...pins.entries()]
+    .filter(([id]) => byId.has(id))
+    .sort((a, b) => a[1] - b[1])
+    .forEach(([id, position]) => {
+      ordered.splice(Math.min(position - 1, ordered.length), 0, byId.get(id));
+    });
+
+  return {
+    products: ordered.map((entry) => entry.product),
+    explanations: ordered.map((entry, i) => {
+      const id = idOf(entry.product._id);
+      return {
+        productId: id,
+        position: i + 1,
+        basePosition: entry.basePosition,
+        pinned: pins.has(id),
+        buried: !pins.has(id) && buried.has(id),
+        boost: entry.boost,
+      };
+    }),
+  };
+}
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+/**
+ * Synonym and correction indexes plus active rules, cached for CONFIG_TTL_MS.
+ * `synonyms` (admin-configured only) drives result matching; `suggestionSynonyms` falls back
+ * to DEFAULT_SYNONYMS and only widens search suggestions.
+ */
+async function getSearchConfig() {
+  if (cachedConfig && Date.now() - cachedAt < CONFIG_TTL_MS) return cachedConfig;
+
+  try {
+    const [synonyms, corrections, rules] = await Promise.all([
+      SearchSynonym.find({ isActive: true }).select('type input terms').lean(),
+      SearchCorrection.find({ status: 'approved' }).select('misspelling correction status').lean(),
+      SearchRule.find({ isActive: true }).lean(),
+    ]);
+    cachedConfig = {
+      synonyms: buildSynonymIndex(synonyms),
+      suggestionSynonyms: buildSynonymIndex(synonyms.length ? synonyms : DEFAULT_SYNONYMS),
+      corrections: buildCorrectionIndex(corrections),
+      rules,
+    };
+  } catch (error) {
+    logger.error('[SearchRules] Failed to load search config, using defaults:', error.message);
+    cachedConfig = cachedConfig || {
+      synonyms: new Map(),
+      suggestionSynonyms: buildSynonymIndex(DEFAULT_SYNONYMS),
+      corrections: new Map(),
+      rules: [],
+    };
+  }
+  cachedAt = Date.now();
+  return cachedConfig;
+}
+
+function invalidateSearchConfig() {
+  cachedConfig = null;
+  cachedAt = 0;
+}
+
+/**
+ * One page of relevance results with merchandising applied, for pages inside
+ * MERCHANDISING_WINDOW. Returns null for later pages (callers use plain pagination).
+ * @param {Object} query - product filter (visibility + keywords)
+ * @param {Object[]} rules - from matchRules
+ * @param {{ page: number, limit: number, visibleMatch: Object }} options - visibleMatch
+ *   restricts pinned products that do not match the query
+ */
+async function findMerchandisedPage(query, rules, { page, limit, visibleMatch }) {
+  if (page * limit > MERCHANDISING_WINDOW) return null;
+
+  const [candidates, total] = await Promise.all([
+    Product.find(query)
+      .select('_id brand seller parentCategory subCategory')
+      .sort(RELEVANCE_SORT)
+      .limit(MERCHANDISING_WINDOW)
+      .lean(),
+    Product.countDocuments(query),
+  ]);
+
+  const candidateIds = new Set(candidates.map((p) => String(p._id)));
+  const missingPins = rules
+    .flatMap((rule) => (rule.pins || []).map((pin) => String(pin.product)))
+    .filter((id) => !candidateIds.has(id) && mongoose.Types.ObjectId.isValid(id));
+  const extraPinned = missingPins.length
+    ? await Product.find({ $and: [visibleMatch, { _id: { $in: missingPins } }] })
+      .select('_id brand seller parentCategory subCategory')
+      .lean()
+    : [];
+
+  const { products: ordered, explanations } = applyMerchandising(candidates, rules, extraPinned);
+  const start = (page - 1) * limit;
+  const pageIds = ordered.slice(start, start + limit).map((p) => p._id);
+
+  const docs = await Product.find({ _id: { $in: pageIds } })
+    .select('-__v')
+    .populate('parentCategory', 'name slug')
+    .populate('subCategory', 'name slug');
+  const docById = new Map(docs.map((doc) => [String(doc._id), doc]));
+
+  const addedPins = explanations.filter((e) => e.pinned && e.basePosition === null).length;
+  return {
+    products: pageIds.map((id) => docById.get(String(id))).filter(Boolean),
+    totalProducts: total + addedPins,
+    explanations: explanations.slice(start, start + limit),
+  };
+}
+
+/**
+ * How a buyer search would be rewritten and ranked, for the admin preview. Reads the
+ * current rules from the database rather than the cache.
+ * @param {string} q
+ * @param {{ categoryId?: string|null, limit?: number }} [options]
+ */
+async function previewSearch(q, { categoryId = null, limit = 20 } = {}) {
+  invalidateSearchConfig();
+  const config = await getSearchConfig();
+  const rewrite = rewriteQuery(q, config);
+
+  const baseQuery = { status: 'active' };
+  if (categoryId) {
+    baseQuery.$or = [{ parentCategory: categoryId }, { subCategory: categoryId }];
+  }
+  const visibleMatch = buildBuyerSafeQuery(baseQuery, { user: null, isAdmin: false, isSeller: false });
+  const keywordMatch = rewrite.corrected
+    ? buildInclusiveKeywordQuery(rewrite.corrected, rewrite.segments)
+    : null;
+  const query = keywordMatch ? { $and: [visibleMatch, keywordMatch] } : visibleMatch;
+  const rules = matchRules(config.rules, rewrite.corrected, categoryId);
+
+  const { products, totalProducts, explanations } = await findMerchandisedPage(query, rules, {
+    page: 1,
+    limit: Math.min(limit, MERCHANDISING_WINDOW),
+    visibleMatch,
+  });
+  const productById = new Map(products.map((p) => [String(p._id), p]));
+
+  return {
+    rewrite,
+    rules: rules.map((rule) => ({
+      _id: rule._id,
+      name: rule.name,
+      priority: rule.priority,
+      queries: rule.queries,
+      category: rule.category,
+    })),
+    totalProducts,
+    results: explanations
+      .filter((explanation) => productById.has(explanation.productId))
+      .map((explanation) => {
+        const product = productById.get(explanation.productId);
+        return {
+          ...explanation,
+          product: {
+            _id: product._id,
+            name: product.name,
+            slug: product.slug,
+            brand: product.brand,
+            imageCover: product.imageCover,
+            price: product.price,
+            totalSold: product.totalSold,
+            ratingsAverage: product.ratingsAverage,
+          },
+        };
+      }),
+  };
+}
+
+module.exports = {
+  MERCHANDISING_WINDOW,
+  DEFAULT_SYNONYMS,
+  buildSynonymIndex,
+  buildCorrectionIndex,
+  rewriteQuery,
+  matchRules,
+  applyMerchandising,
+  getSearchConfig,
+  invalidateSearchConfig,
+  findMerchandisedPage,
+  previewSearch,
+};
@@ -0,0 +1,165 @@
+const Product = require('../../models/product/productModel');
+const Category = require('../../models/category/categoryModel');
+const SearchAnalytics = require('../../models/analytics/searchAnalyticsModel');
+const SearchCorrection = require('../../models/search/searchCorrectionModel');
+const logger = require('../../utils/logger');
+const { tokenizeQuery } = require('../../utils/helpers/searchUtils');
+
+/**
+ * spellingCorrectionService.js
+ * Learns spelling corrections from searches that keep returning nothing.
+ *
+ * Words from queries that did return products, brands and category names form the
+ * vocabulary. Each unknown word of a repeated zero-result query is matched to the closest
+ * vocabulary word (edit distance ≤1 for words up to 5 letters, ≤2 above; the more frequent
+ * word wins a tie) and stored as a `suggested` correction. Admins approve or reject them;
+ * a rejected or admin-made correction is never overwritten.
+ */
+
+const CORRECTION_QUEUE = 'search-corrections';
+const MIN_ZERO_RESULT_SEARCHES = 2;
+const MAX_ZERO_RESULT_QUERIES = 500;
+const MAX_VOCABULARY_QUERIES = 5000;
+const MIN_WORD_LENGTH = 4;
+// Vocabulary weight of a brand or category word, in "successful searches"
+const CATALOGUE_WORD_WEIGHT = 10;
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions). Pure.
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+const maxDistanceFor = (word) => (word.length <= 5 ? 1 : 2);
+
+/**
+ * Closest vocabulary word to `word`, or null when none is close enough. Pure.
+ * @param {string} word
+ * @param {Map<string, number>} vocabulary - word → frequency
+ * @returns {{ correction: string, distance: number }|null}
+ */
+function suggestCorrection(word, vocabulary) {
+  if (word.length < MIN_WORD_LENGTH || /^\d+$/.test(word) || vocabulary.has(word)) return null;
+
+  const maxDistance = maxDistanceFor(word);
+  let best = null;
+  for (const [candidate, frequency] of vocabulary) {
+    if (Math.abs(candidate.length - word.length) > maxDistance) continue;
+    const distance = editDistance(word, candidate);
+    if (distance > maxDistance) continue;
+    if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+      best = { correction: candidate, distance, frequency };
+    }
+  }
+  return best && { correction: best.correction, distance: best.distance };
+}
+
+async function buildVocabulary() {
+  const vocabulary = new Map();
+  const add = (text, weight) => {
+    tokenizeQuery(text).forEach((word) => vocabulary.set(word, (vocabulary.get(word) || 0) + weight));
+  };
+
+  const [successful, brands, categories] = await Promise.all([
+    SearchAnalytics.find({ lastResultsCount: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(MAX_VOCABULARY_QUERIES)
+      .select('normalizedKeyword count')
+      .lean(),
+    Product.distinct('brand', { status: 'active' }),
+    Category.find({}).select('name').lean(),
+  ]);
+  successful.forEach((row) => add(row.normalizedKeyword, row.count || 1));
+  brands.filter(Boolean).forEach((brand) => add(brand, CATALOGUE_WORD_WEIGHT));
+  categories.forEach((category) => add(category.name, CATALOGUE_WORD_WEIGHT));
+  return vocabulary;
+}
+
+/**
+ * Suggest corrections for words of repeated zero-result searches.
+ * @returns {Promise<{ queries: number, suggested: number, updated: number }>}
+ */
+async function learnCorrections({ minZeroResults = MIN_ZERO_RESULT_SEARCHES } = {}) {
+  const zeroResultQueries = await SearchAnalytics.find({
+    lastResultsCount: 0,
+    zeroResultCount: { $gte: minZeroResults },
+  })
+    .sort({ zeroResultCount: -1 })
+    .limit(MAX_ZERO_RESULT_QUERIES)
+    .select('normalizedKeyword zeroResultCount')
+    .lean();
+  const summary = { queries: zeroResultQueries.length, suggested: 0, updated: 0 };
+  if (zeroResultQueries.length === 0) return summary;
+
+  const vocabulary = await buildVocabulary();
+  const candidates = new Map(); // misspelling → { correction, distance, zeroResultSearches }
+  for (const row of zeroResultQueries) {
+    for (const word of new Set(tokenizeQuery(row.normalizedKeyword))) {
+      const known = candidates.get(word);
+      if (known) {
+        known.zeroResultSearches += row.zeroResultCount;
+        continue;
+      }
+      const suggestion = suggestCorrection(word, vocabulary);
+      if (suggestion) candidates.set(word, { ...suggestion, zeroResultSearches: row.zeroResultCount });
+    }
+  }
+  if (candidates.size === 0) return summary;
+
+  const existing = await SearchCorrection.find({ misspelling: { $in: [...candidates.keys()] } })
+    .select('misspelling status')
+    .lean();
+  const existingStatus = new Map(existing.map((c) => [c.misspelling, c.status]));
+
+  const operations = [];
+  for (const [misspelling, candidate] of candidates) {
+    const status = existingStatus.get(misspelling);
+    if (status === undefined) {
+      operations.push({
+        insertOne: {
+          document: { misspelling, ...candidate, source: 'learned', status: 'suggested' },
+        },
+      });
+      summary.suggested += 1;
+    } else if (status === 'suggested') {
+      operations.push({
+        updateOne: { filter: { misspelling, status: 'suggested' }, update: { $set: candidate } },
+      });
+      summary.updated += 1;
+    }
+  }
+  if (operations.length) await SearchCorrection.bulkWrite(operations, { ordered: false });
+
+  logger.info('[SearchCorrections] Learned corrections from zero-result searches', summary);
+  return summary;
+}
+
+/**
+ * Job handler for the daily learning run.
+ */
+async function processCorrectionJob() {
+  return learnCorrections();
+}
+
+module.exports = {
+  CORRECTION_QUEUE,
+  editDistance,
+  suggestCorrection,
+  learnCorrections,
+  processCorrectionJob,
+};
@@ -0,0 +1,256 @@
+const Seller = require('../../models/user/sellerModel');
+const SellerOrder = require('../../models/order/sellerOrderModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * sellerAwayService.js
+ * Scheduled seller "away" periods (Seller.awayMode).
+ *
+ * Between startsAt and endsAt the shop's products stay listed, but:
+ * - orderPolicy 'closed': validateCart / createOrder reject the seller's items
+ * - orderPolicy 'backorder': items can still be bought; they are flagged as back-orders and the
+ *   delivery estimate starts from endsAt
+ * When a period starts, the seller's open sub-orders are flagged (SellerOrder.sellerAway) so
+ * buyers and support can see why they are waiting. The sweep below clears the mode and the
+ * flags once endsAt has passed, so the store reopens without the seller doing anything.
+ */
+
+const SELLER_AWAY_QUEUE = 'seller-away';
+const MAX_AWAY_DAYS = 90;
+const ORDER_POLICIES = ['closed', 'backorder'];
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing'];
+const SWEEP_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  if (value == null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatAwayDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Where a seller is in their away schedule.
+ * @returns {{ status: 'open'|'scheduled'|'away', purchasable: boolean, backorder: boolean,
+ *   startsAt: Date|null, endsAt: Date|null, message: string, orderPolicy: string }}
+ */
+function getAwayState(seller, now = new Date()) {
+  const away = seller?.awayMode;
+  const startsAt = toDate(away?.startsAt);
+  const endsAt = toDate(away?.endsAt);
+  const base = {
+    startsAt,
+    endsAt,
+    message: away?.message || '',
+    orderPolicy: away?.orderPolicy || 'closed',
+  };
+
+  if (!away?.enabled || !endsAt || endsAt <= now) {
+    return { ...base, status: 'open', purchasable: true, backorder: false };
+  }
+  if (startsAt && startsAt > now) {
+    return { ...base, status: 'scheduled', purchasable: true, backorder: false };
+  }
+  const backorder = base.orderPolicy === 'backorder';
+  return { ...base, status: 'away', purchasable: backorder, backorder };
+}
+
+/**
+ * Buyer-facing summary, or null when the shop has nothing scheduled.
+ */
+function publicAwayInfo(seller, now = new Date()) {
+  const state = getAwayState(seller, now);
+  if (state.status === 'open') return null;
+  return {
+    status: state.status,
+    startsAt: state.startsAt,
+    endsAt: state.endsAt,
+    message: state.message,
+    orderPolicy: state.orderPolicy,
+    purchasable: state.purchasable,
+  };
+}
+
+/**
+ * Validate a seller's away request body. Throws AppError(400) on bad input.
+ * startsAt defaults to now; endsAt must be in the future and at most MAX_AWAY_DAYS after startsAt.
+ */
+function parseAwaySchedule(body = {}, now = new Date()) {
+  const startsAt = body.startsAt ? toDate(body.startsAt) : now;
+  const endsAt = toDate(body.endsAt);
+
+  if (!startsAt) throw new AppError('startsAt must be a valid date', 400);
+  if (!endsAt) throw new AppError('endsAt is required and must be a valid date', 400);
+  if (endsAt <= now) throw new AppError('endsAt must be in the future', 400);
+  if (endsAt <= startsAt) throw new AppError('endsAt must be after startsAt', 400);
+  if (endsAt - startsAt > MAX_AWAY_DAYS * DAY_MS) {
+    throw new AppError(`An away period cannot be longer than ${MAX_AWAY_DAYS} days`, 400);
+  }
+
+  const orderPolicy = body.orderPolicy || 'closed';
+  if (!ORDER_POLICIES.includes(orderPolicy)) {
+    throw new AppError(`orderPolicy must be one of: ${ORDER_POLICIES.join(', ')}`, 400);
+  }
+
+  const message = body.message == null ? '' : String(body.message).trim();
+  if (message.length > 300) throw new AppError('Away message cannot exceed 300 characters', 400);
+
+  return { startsAt, endsAt, message, orderPolicy };
+}
+
+/**
+ * Check one cart line against its seller's away state.
+ * Throws AppError(400) when the shop is closed; returns back-order details (or null) otherwise.
+ */
+function assertPurchasable(product, seller, now = new Date()) {
+  const state = getAwayState(seller, now);
+  if (state.status !== 'away') return null;
+
+  if (!state.purchasable) {
+    const shop = seller.shopName || seller.name || 'This shop';
+    const note = state.message ? ` ${state.message}` : '';
+    throw new AppError(
+      `"${product.name}" cannot be ordered: ${shop} is away until ${formatAwayDate(state.endsAt)}.${note}`,
+      400,
+    );
+  }
+  return { backorder: true, shipsFrom: state.endsAt };
+}
+
+/**
+ * Prefix a delivery estimate ("1-3 Business Days") with the back-order ship date.
+ */
+function backorderDeliveryEstimate(estimate, shipsFrom) {
+  const prefix = `Ships from ${formatAwayDate(shipsFrom)}`;
+  return estimate ? `${prefix}, then ${estimate}` : prefix;
+}
+
+/**
+ * Flag the seller's open sub-orders for the current away period.
+ */
+async function flagOpenOrders(seller, now = new Date()) {
+  const result = await SellerOrder.updateMany(
+    { seller: seller._id, status: { $in: OPEN_ORDER_STATUSES } },
+    { $set: { 'sellerAway.flaggedAt': now, 'sellerAway.until': seller.awayMode.endsAt } },
+  );
+  await Seller.updateOne({ _id: seller._id }, { $set: { 'awayMode.flaggedAt': now } });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * End the away period now: clear the mode and the order flags.
+ */
+async function reopenSeller(sellerId, now = new Date()) {
+  await Seller.updateOne(
+    { _id: sellerId },
+    {
+      $set: { 'awayMode.enabled': false, 'awayMode.reopenedAt': now },
+      $unset: { 'awayMode.flaggedAt': '' },
+    },
+  );
+  const result = await SellerOrder.updateMany(
+    { seller: sellerId, 'sellerAway.flaggedAt': { $exists: true } },
+    { $unset: { sellerAway: '' } },
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Save a seller's away schedule. If the period is already running, open orders are flagged
+ * straight away rather than waiting for the next sweep.
+ */
+async function scheduleAway(sellerId, body, now = new Date()) {
+  const schedule = parseAwaySchedule(body, now);
+  const seller = await Seller.findByIdAndUpdate(
+    sellerId,
+    {
+      $set: {
+        'awayMode.enabled': true,
+        'awayMode.startsAt': schedule.startsAt,
+        'awayMode.endsAt': schedule.endsAt,
+        'awayMode.message': schedule.message,
+        'awayMode.orderPolicy': schedule.orderPolicy,
+      },
+      $unset: { 'awayMode.flaggedAt': '', 'awayMode.reopenedAt': '' },
+    },
+    { new: true },
+  );
+  if (!seller) throw new AppError('Seller not found', 404);
+
+  if (getAwayState(seller, now).status === 'away') {
+    await flagOpenOrders(seller, now);
+  } else {
+    // Rescheduled into the future: drop flags left from an earlier start
+    await SellerOrder.updateMany(
+      { seller: seller._id, 'sellerAway.flaggedAt': { $exists: true } },
+      { $unset: { sellerAway: '' } },
+    );
+  }
+  return seller;
+}
+
+/**
+ * Job handler: flag orders for periods that have started and reopen stores whose period ended.
+ */
+async function syncAwayPeriods(now = new Date()) {
+  const starting = await Seller.find({
+    'awayMode.enabled': true,
+    'awayMode.startsAt': { $lte: now },
+    'awayMode.endsAt': { $gt: now },
+    'awayMode.flaggedAt': { $exists: false },
+  })
+    .select('_id awayMode')
+    .limit(SWEEP_BATCH_SIZE);
+
+  let flaggedOrders = 0;
+  for (const seller of starting) {
+    try {
+      flaggedOrders += await flagOpenOrders(seller, now);
+    } catch (error) {
+      logger.error(`[sellerAway] Failed to flag orders for seller ${seller._id}:`, error);
+    }
+  }
+
+  const ending = await Seller.find({
+    'awayMode.enabled': true,
+    'awayMode.endsAt': { $lte: now },
+  })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE);
+
+  let unflaggedOrders = 0;
+  for (const seller of ending) {
+    try {
+      unflaggedOrders += await reopenSeller(seller._id, now);
+    } catch (error) {
+      logger.error(`[sellerAway] Failed to reopen seller ${seller._id}:`, error);
+    }
+  }
+
+  if (starting.length || ending.length) {
+    logger.info('[sellerAway] Sweep complete', {
+      started: starting.length,
+      reopened: ending.length,
+      flaggedOrders,
+      unflaggedOrders,
+    });
+  }
+  return { started: starting.length, reopened: ending.length, flaggedOrders, unflaggedOrders };
+}
+
+module.exports = {
+  SELLER_AWAY_QUEUE,
+  MAX_AWAY_DAYS,
+  OPEN_ORDER_STATUSES,
+  getAwayState,
+  publicAwayInfo,
+  parseAwaySchedule,
+  assertPurchasable,
+  backorderDeliveryEstimate,
+  scheduleAway,
+  reopenSeller,
+  syncAwayPeriods,
+};
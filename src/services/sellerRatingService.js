@@ -5,14 +5,16 @@
  * This ensures fair, objective ratings based on actual performance metrics.
  * 
  * Formula:
- * sellerRating = (avgProductRating * 0.6) + 
+ * sellerRating = (avgProductRating * 0.55) + 
  *                (orderCompletionScore * 0.2) + 
  *                (deliveryScore * 0.1) + 
- *                (disputeScore * 0.1)
+ *                (disputeScore * 0.1) +
+ *                (reviewResponseScore * 0.05)
  * 
  * Updates on:
  * - Order completion
  * - Review creation (product reviews)
+ * - Seller reply to a review
  * - Dispute resolution
  */
 
@@ -30,7 +32,7 @@ const mongoose = require('mongoose');
  */
 exports.calculateSellerRating = async (sellerId) => {
   try {
-    // 1. Average Product Rating (60% weight)
+    // 1. Average Product Rating (55% weight)
     const avgProductRating = await calculateAverageProductRating(sellerId);
     const productRatingScore = (avgProductRating / 5) * 100; // Convert to 0-100 scale
 
@@ -43,12 +45,16 @@ exports.calculateSellerRating = async (sellerId) => {
     // 4. Dispute/Return Rate (10% weight) - Lower is better
     const disputeScore = await calculateDisputeScore(sellerId);
 
+    // 5. Review Response Rate (5% weight)
+    const reviewResponse = await exports.getReviewResponseMetrics(sellerId);
+
     // Calculate weighted rating
     const sellerRating = (
-      productRatingScore * 0.6 +
+      productRatingScore * 0.55 +
       orderCompletionScore * 0.2 +
       deliveryScore * 0.1 +
-      disputeScore * 0.1
+      disputeScore * 0.1 +
+      reviewResponse.score * 0.05
     );
 
     // Convert back to 0-5 scale
@@ -58,7 +64,7 @@ exports.calculateSellerRating = async (sellerId) => {
       productRating: {
         value: avgProductRating,
         score: productRatingScore,
-        weight: 0.6,
+        weight: 0.55,
       },
       orderCompletion: {
         score: orderCompletionScore,
@@ -72,6 +78,10 @@ exports.calculateSellerRating = async (sellerId) => {
         score: disputeScore,
         weight: 0.1,
       },
+      reviewResponse: {
+        ...reviewResponse,
+        weight: 0.05,
+      },
     };
 
     return {
@@ -219,6 +229,69 @@ async function calculateDisputeScore(sellerId) {
   }
 }
 
+/**
+ * Turn review reply counts into response metrics.
+ * Score is the response rate (0-100); sellers without reviews in the window score 100.
+ * @param {{ reviews: number, replied: number, totalResponseMs: number }} stats
+ */
+exports.toReviewResponseMetrics = ({ reviews = 0, replied = 0, totalResponseMs = 0 } = {}) => {
+  const rate = reviews > 0 ? Math.round((replied / reviews) * 1000) / 10 : null;
+  return {
+    reviews,
+    replied,
+    rate,
+    avgResponseHours: replied > 0 ? Math.round((totalResponseMs / replied / (60 * 60 * 1000)) * 10) / 10 : null,
+    score: rate === null ? 100 : rate,
+  };
+};
+
+/**
+ * Review response rate: share of approved reviews on the seller's products (last
+ * REVIEW_RESPONSE_WINDOW_DAYS days) that the seller replied to, and how fast.
+ * @param {String} sellerId - Seller ID
+ */
+exports.getReviewResponseMetrics = async (sellerId) => {
+  try {
+    const windowDays = parseInt(process.env.REVIEW_RESPONSE_WINDOW_DAYS, 10) || 180;
+    const sellerProducts = await Product.find({ seller: sellerId }).select('_id');
+    const productIds = sellerProducts.map(p => p._id);
+    if (productIds.length === 0) {
+      return exports.toReviewResponseMetrics();
+    }
+
+    const [stats] = await Review.aggregate([
+      {
+        $match: {
+          product: { $in: productIds },
+          status: 'approved',
+          createdAt: { $gte: new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000) },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          reviews: { $sum: 1 },
+          replied: { $sum: { $cond: [{ $ifNull: ['$sellerReply.repliedAt', false] }, 1, 0] } },
+          totalResponseMs: {
+            $sum: {
+              $cond: [
+                { $ifNull: ['$sellerReply.repliedAt', false] },
+                { $max: [0, { $subtract: ['$sellerReply.repliedAt', '$createdAt'] }] },
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    return exports.toReviewResponseMetrics(stats);
+  } catch (error) {
+    console.error('[Seller Rating] Error calculating review response rate:', error);
+    return exports.toReviewResponseMetrics();
+  }
+};
+
 /**
  * Update seller rating in database
  * @param {String} sellerId - Seller ID
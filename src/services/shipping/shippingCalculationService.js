@@ -15,7 +15,7 @@ async function getProductsWithCategories(items) {
   return Product.find({ _id: { $in: productIds } })
     .populate('parentCategory')
     .populate('subCategory')
-    .select('shipping specifications weight parentCategory subCategory isEazShopProduct seller name shippingType');
+    .select('shipping specifications weight parentCategory subCategory isEazShopProduct seller name shippingType isDigital');
 }
 
 /**
@@ -23,6 +23,19 @@ async function getProductsWithCategories(items) {
  * Computes fee based on Zone rates * Tier Multipliers + Surcharges
  */
 async function calculateUnifiedShipping(items, buyerCity, buyerNeighborhoodId, shippingType = 'standard') {
+  // Digital products (e-books, software codes) are never shipped
+  const allProducts = await getProductsWithCategories(items);
+  const products = allProducts.filter((product) => !product.isDigital);
+  if (allProducts.length > 0 && products.length === 0) {
+    return {
+      shippingFee: 0,
+      reason: 'digital',
+      hasHeavyItems: false,
+      zone: null,
+      weight: 0,
+    };
+  }
+
   let zone;
 
   // 1. Try to get zone from neighborhood exact match
@@ -48,8 +61,7 @@ async function calculateUnifiedShipping(items, buyerCity, buyerNeighborhoodId, s
     throw new Error('Could not resolve shipping zone. Service unavailable.');
   }
 
-  // 3. Get Products and Categories for highest tier
-  const products = await getProductsWithCategories(items);
+  // 3. Highest tier across the physical products
   let maxTier = await CacheService.getDefaultTier() || { multiplier: 1, name: 'Fallback', fragileSurcharge: 0, weightThreshold: 5, weightSurchargePerKg: 2 };
   let totalWeight = 0;
 
@@ -0,0 +1,57 @@
+const axios = require('axios');
+
+/**
+ * arkeselProvider.js
+ * Arkesel bulk SMS gateway (Ghana), SMS API v2: POST /api/v2/sms/send.
+ * Only selected when ARKESEL_API_KEY is set (see smsProvider.js).
+ *
+ * Delivery receipts are sent to SMS_RECEIPT_URL (our /api/v1/sms/webhook/arkesel?token=… endpoint)
+ * with the message id and a status such as DELIVERED, FAILED or REJECTED.
+ */
+
+const API_KEY = process.env.ARKESEL_API_KEY;
+const SEND_URL = process.env.ARKESEL_SEND_URL || 'https://sms.arkesel.com/api/v2/sms/send';
+
+const DELIVERED_STATUSES = ['delivered', 'delivrd', 'success'];
+const FAILED_STATUSES = ['failed', 'undelivered', 'undeliv', 'rejected', 'expired', 'rejectd'];
+
+module.exports = {
+  name: 'arkesel',
+  isConfigured: () => Boolean(API_KEY),
+
+  /**
+   * @param {{ to: string, body: string, senderId: string, receiptUrl?: string }} message
+   * @returns {Promise<{ providerMessageId: string|null, status: 'sent', cost: number|null }>}
+   */
+  async send({ to, body, senderId, receiptUrl }) {
+    const payload = { sender: senderId, message: body, recipients: [to] };
+    if (receiptUrl) payload.callback_url = receiptUrl;
+    if (process.env.ARKESEL_SANDBOX === 'true') payload.sandbox = true;
+
+    const response = await axios.post(SEND_URL, payload, {
+      headers: { 'api-key': API_KEY, 'Content-Type': 'application/json' },
+      timeout: 10000,
+    });
+
+    const { status, data, message } = response.data || {};
+    if (status !== 'success') {
+      throw new Error(`Arkesel rejected the message: ${message || status || 'unknown error'}`);
+    }
+    const sent = Array.isArray(data) ? data.find((d) => String(d.recipient) === to) || data[0] : null;
+    return { providerMessageId: sent?.id ? String(sent.id) : null, status: 'sent', cost: null };
+  },
+
+  /**
+   * Normalise a delivery receipt (query string or JSON body).
+   * @returns {{ providerMessageId: string, status: 'delivered'|'failed'|'sent' }|null}
+   */
+  parseReceipt(payload = {}) {
+    const id = payload.sms_id || payload.id || payload.message_id;
+    if (!id) return null;
+    const raw = String(payload.status || '').toLowerCase();
+    let status = 'sent';
+    if (DELIVERED_STATUSES.includes(raw)) status = 'delivered';
+    else if (FAILED_STATUSES.includes(raw)) status = 'failed';
+    return { providerMessageId: String(id), status };
+  },
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * mockSmsProvider.js
+ * Development / test provider: nothing leaves the machine. Messages are logged, and appended
+ * as JSON lines to SMS_MOCK_FILE when it is set (e.g. logs/sms-outbox.log) so OTPs can be read
+ * back locally. Every message is reported as delivered immediately.
+ */
+
+let counter = 0;
+
+module.exports = {
+  name: 'mock',
+  isConfigured: () => true,
+
+  /**
+   * @param {{ to: string, body: string, senderId: string }} message
+   * @returns {Promise<{ providerMessageId: string, status: 'sent'|'delivered', cost: number|null }>}
+   */
+  async send({ to, body, senderId }) {
+    counter += 1;
+    const providerMessageId = `mock-${Date.now()}-${counter}`;
+    const entry = { id: providerMessageId, to, from: senderId, body, at: new Date().toISOString() };
+
+    logger.info(`[SMS:mock] ${senderId} → ${to}: ${body}`);
+
+    const file = process.env.SMS_MOCK_FILE;
+    if (file) {
+      try {
+        await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+      } catch (error) {
+        logger.warn('[SMS:mock] Could not write to SMS_MOCK_FILE:', error.message);
+      }
+    }
+
+    return { providerMessageId, status: 'delivered', cost: 0 };
+  },
+
+  /** The mock never calls back, but accepts the same shape as a real receipt for manual testing. */
+  parseReceipt(payload = {}) {
+    const id = payload.id || payload.messageId;
+    if (!id) return null;
+    return { providerMessageId: String(id), status: payload.status === 'failed' ? 'failed' : 'delivered' };
+  },
+};
@@ -0,0 +1,61 @@
+const logger = require('../../utils/logger');
+const mockSmsProvider = require('./mockSmsProvider');
+const arkeselProvider = require('./arkeselProvider');
+
+/**
+ * smsProvider.js
+ * Resolves which SMS gateway smsService sends through, and which one a delivery receipt
+ * webhook belongs to (getProvider, by the provider name stored on the SmsMessage).
+ *
+ * Gateway contract: { name, isConfigured?(), send({ to, body, senderId, receiptUrl }) →
+ * Promise<{ providerMessageId, status, cost }>, parseReceipt?(payload) → { providerMessageId, status } }.
+ *
+ * - SMS_PROVIDER selects the gateway: arkesel | mock. Left unset, Arkesel is used once
+ *   ARKESEL_API_KEY exists and the mock outbox otherwise, so no real SMS (and no SMS cost)
+ *   ever comes out of a development machine.
+ * - A gateway that is selected but missing its credentials falls back to the mock outbox,
+ *   logged once per gateway name.
+ *
+ * registerProvider() adds a further Ghanaian gateway (e.g. Hubtel, mNotify) under its name.
+ */
+
+const providers = new Map([
+  [mockSmsProvider.name, mockSmsProvider],
+  [arkeselProvider.name, arkeselProvider],
+]);
+
+// Gateway names whose fallback to the mock outbox has already been logged
+const loggedFallbacks = new Set();
+
+/**
+ * @param {string} name
+ * @param {{ send: Function, parseReceipt?: Function, isConfigured?: Function }} provider
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send()`);
+  }
+  providers.set(name, { ...provider, name });
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function getSmsProvider() {
+  const requested = process.env.SMS_PROVIDER || (arkeselProvider.isConfigured() ? 'arkesel' : 'mock');
+  const provider = providers.get(requested);
+  if (provider && (!provider.isConfigured || provider.isConfigured())) return provider;
+
+  if (!loggedFallbacks.has(requested)) {
+    loggedFallbacks.add(requested);
+    logger.warn(`[SMS] Gateway "${requested}" is unknown or missing credentials; messages go to the mock outbox`);
+  }
+  return mockSmsProvider;
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getSmsProvider,
+};
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const SmsMessage = require('../../models/notification/smsMessageModel');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { getSmsProvider, getProvider } = require('./smsProvider');
+const { renderTemplate } = require('./smsTemplates');
+
+/**
+ * smsService.js
+ * Single entry point for outbound SMS.
+ *
+ * sendSms() renders a template (smsTemplates.js), checks the recipient's opt-out for the
+ * template's category, applies a per-number hourly cap, sends through the configured provider
+ * (smsProvider.js) and writes one SmsMessage ledger row whatever the outcome. It never throws
+ * for delivery problems, so callers in auth / order / payout flows are not interrupted.
+ *
+ * Config:
+ * - SMS_SENDER_ID: alphanumeric sender ID (max 11 characters), defaults to the brand name
+ * - SMS_COST_PER_SEGMENT: ledger rate in GHS when the provider does not report a cost
+ * - SMS_HOURLY_LIMIT_PER_NUMBER: sends allowed per number per hour (default 5)
+ * - SMS_RECEIPT_URL / SMS_WEBHOOK_TOKEN: delivery receipt callback and its shared secret
+ */
+
+const SMS_CATEGORIES = ['security', 'orderUpdates', 'payouts', 'promotions'];
+const GHANA_COUNTRY_CODE = '233';
+const DEFAULT_HOURLY_LIMIT = 5;
+const DEFAULT_COST_PER_SEGMENT = 0.03;
+const HOUR_MS = 60 * 60 * 1000;
+
+// GSM 03.38 basic character set; extension characters count as two
+const GSM_BASIC =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+/**
+ * Phone number as the gateway expects it: digits only, Ghana numbers in 233XXXXXXXXX form.
+ * @returns {string|null} null when the number cannot be an MSISDN
+ */
+function normalizePhone(phone) {
+  if (phone == null) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  if (/^0\d{9}$/.test(digits)) return `${GHANA_COUNTRY_CODE}${digits.slice(1)}`;
+  if (/^233\d{9}$/.test(digits)) return digits;
+  if (/^[1-9]\d{9,14}$/.test(digits)) return digits;
+  return null;
+}
+
+/**
+ * Alphanumeric sender IDs are limited to 11 characters, letters, digits and spaces.
+ */
+function normalizeSenderId(value) {
+  const cleaned = String(value || '').replace(/[^A-Za-z0-9 ]/g, '').trim().slice(0, 11).trim();
+  return cleaned.length >= 3 ? cleaned : 'Saiisai';
+}
+
+function getSenderId() {
+  return normalizeSenderId(process.env.SMS_SENDER_ID || process.env.APP_NAME || process.env.BRAND_NAME);
+}
+
+/**
+ * @returns {{ encoding: 'GSM-7'|'UCS-2', length: number, segments: number }}
+ */
+function countSegments(text = '') {
+  const chars = Array.from(String(text));
+  let gsmLength = 0;
+  let isGsm = true;
+  for (const ch of chars) {
+    if (GSM_BASIC.includes(ch)) gsmLength += 1;
+    else if (GSM_EXTENDED.includes(ch)) gsmLength += 2;
+    else {
+      isGsm = false;
+      break;
+    }
+  }
+
+  if (isGsm) {
+    return { encoding: 'GSM-7', length: gsmLength, segments: gsmLength <= 160 ? 1 : Math.ceil(gsmLength / 153) };
+  }
+  // UCS-2 counts UTF-16 code units
+  const length = String(text).length;
+  return { encoding: 'UCS-2', length, segments: length <= 70 ? 1 : Math.ceil(length / 67) };
+}
+
+function estimateCost(segments) {
+  const rate = parseFloat(process.env.SMS_COST_PER_SEGMENT);
+  const perSegment = Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_COST_PER_SEGMENT;
+  return Math.round(segments * perSegment * 10000) / 10000;
+}
+
+/**
+ * Whether the recipient's saved preferences allow SMS in this category.
+ * Security messages are always allowed. Buyers: Permission.smsPreferences (PATCH
+ * /permissions/sms) and NotificationSettings.sms; an explicit `false` in either opts out.
+ * Sellers: notificationSettings.sms.criticalAlerts covers order and payout alerts.
+ *
+ * @param {string} category
+ * @param {{ permission?: Object, settings?: Object, seller?: Object }} prefs
+ */
+function isCategoryAllowed(category, prefs = {}) {
+  if (category === 'security') return true;
+
+  if (prefs.seller) {
+    const sms = prefs.seller.notificationSettings?.sms || {};
+    if (category === 'promotions') return false;
+    return sms.criticalAlerts !== false;
+  }
+
+  const permissionKey = category === 'promotions' ? 'promotions' : 'orderUpdates';
+  if (prefs.permission?.smsPreferences?.[permissionKey] === false) return false;
+  if (prefs.settings?.sms?.[permissionKey] === false) return false;
+  // Buyers only receive promotions after opting in
+  if (category === 'promotions') {
+    return prefs.permission?.smsPreferences?.promotions === true || prefs.settings?.sms?.promotions === true;
+  }
+  return true;
+}
+
+async function loadRecipientPreferences(recipient) {
+  if (!recipient?.id) return {};
+  if (recipient.role === 'seller') {
+    const Seller = require('../../models/user/sellerModel');
+    const seller = await Seller.findById(recipient.id).select('notificationSettings').lean();
+    return seller ? { seller } : {};
+  }
+  if (recipient.role === 'buyer') {
+    const Permission = require('../../models/user/permissionModel');
+    const NotificationSettings = require('../../models/notification/notificationSettingsModel');
+    const [permission, settings] = await Promise.all([
+      Permission.findOne({ user: recipient.id }).select('smsPreferences').lean(),
+      NotificationSettings.findOne({ user: recipient.id }).select('sms').lean(),
+    ]);
+    return { permission, settings };
+  }
+  return {};
+}
+
+function hourlyLimit() {
+  const limit = parseInt(process.env.SMS_HOURLY_LIMIT_PER_NUMBER, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_HOURLY_LIMIT;
+}
+
+/**
+ * Send one SMS.
+ * @param {Object} options
+ * @param {string} options.to - phone number in any common Ghana / international format
+ * @param {string} [options.template] - smsTemplates key; or pass `message` for a custom body
+ * @param {Object} [options.data] - template variables
+ * @param {string} [options.message]
+ * @param {string} [options.category] - for custom messages (default security)
+ * @param {{ id: string, role: 'buyer'|'seller'|'admin' }} [options.recipient] - for opt-out
+ * @returns {Promise<SmsMessage>} the ledger row (status sent / delivered / failed / opted_out / rate_limited)
+ */
+async function sendSms({ to, template, data = {}, message, category, recipient } = {}) {
+  const phone = normalizePhone(to);
+  if (!phone) throw new AppError('A valid phone number is required to send an SMS', 400);
+
+  let body;
+  let resolvedCategory = category || 'security';
+  if (template) {
+    ({ body, category: resolvedCategory } = renderTemplate(template, data));
+  } else {
+    body = String(message || '').trim();
+  }
+  if (!body) throw new AppError('SMS message cannot be empty', 400);
+  if (!SMS_CATEGORIES.includes(resolvedCategory)) {
+    throw new AppError(`SMS category must be one of: ${SMS_CATEGORIES.join(', ')}`, 400);
+  }
+
+  const provider = getSmsProvider();
+  const { encoding, segments } = countSegments(body);
+  const entry = new SmsMessage({
+    to: phone,
+    recipient: recipient?.id ? { id: recipient.id, role: recipient.role || null } : undefined,
+    template: template || 'custom',
+    category: resolvedCategory,
+    body,
+    senderId: getSenderId(),
+    provider: provider.name,
+    encoding,
+    segments,
+  });
+
+  try {
+    const prefs = await loadRecipientPreferences(recipient);
+    if (!isCategoryAllowed(resolvedCategory, prefs)) {
+      entry.status = 'opted_out';
+      await entry.save();
+      return entry;
+    }
+
+    const recent = await SmsMessage.countDocuments({
+      to: phone,
+      status: { $in: ['sent', 'delivered', 'queued'] },
+      createdAt: { $gte: new Date(Date.now() - HOUR_MS) },
+    });
+    if (recent >= hourlyLimit()) {
+      entry.status = 'rate_limited';
+      await entry.save();
+      logger.warn(`[SMS] Hourly limit reached for ${phone}; ${entry.template} not sent`);
+      return entry;
+    }
+
+    await entry.save();
+    const result = await provider.send({
+      to: phone,
+      body,
+      senderId: entry.senderId,
+      receiptUrl: process.env.SMS_RECEIPT_URL || undefined,
+    });
+
+    entry.providerMessageId = result.providerMessageId || null;
+    entry.status = result.status === 'delivered' ? 'delivered' : 'sent';
+    entry.sentAt = new Date();
+    if (entry.status === 'delivered') entry.deliveredAt = entry.sentAt;
+    entry.cost = result.cost != null ? result.cost : estimateCost(segments);
+    await entry.save();
+  } catch (error) {
+    logger.error(`[SMS] Failed to send ${entry.template} to ${phone}:`, error.message);
+    entry.status = 'failed';
+    entry.error = error.message;
+    try {
+      await entry.save();
+    } catch (saveError) {
+      logger.error('[SMS] Failed to record SMS in the ledger:', saveError.message);
+    }
+  }
+  return entry;
+}
+
+/**
+ * Fire-and-forget wrapper for notification flows.
+ */
+function queueSms(options) {
+  sendSms(options).catch((error) => logger.warn('[SMS] Not sent:', error.message));
+}
+
+/**
+ * Compare the receipt callback's token with SMS_WEBHOOK_TOKEN (constant time).
+ */
+function isValidReceiptToken(token) {
+  const expected = process.env.SMS_WEBHOOK_TOKEN;
+  if (!expected || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Apply a provider delivery receipt to the ledger.
+ * @returns {Promise<SmsMessage|null>} null when the receipt is unreadable or unknown
+ */
+async function recordDeliveryReceipt(providerName, payload = {}) {
+  const provider = getProvider(providerName);
+  if (!provider || typeof provider.parseReceipt !== 'function') {
+    throw new AppError(`Unknown SMS provider "${providerName}"`, 404);
+  }
+  const receipt = provider.parseReceipt(payload);
+  if (!receipt) return null;
+
+  const now = new Date();
+  const update = {
+    'receipt.status': String(payload.status || receipt.status),
+    'receipt.receivedAt': now,
+    'receipt.raw': payload,
+  };
+  if (receipt.status === 'delivered') {
+    update.status = 'delivered';
+    update.deliveredAt = now;
+  } else if (receipt.status === 'failed') {
+    update.status = 'failed';
+    update.error = `Delivery failed (${payload.status || 'no reason'})`;
+  }
+
+  return SmsMessage.findOneAndUpdate(
+    { provider: providerName, providerMessageId: receipt.providerMessageId },
+    { $set: update },
+    { new: true },
+  );
+}
+
+/**
+ * Ledger totals for a date range, per template and status.
+ * @param {{ from: Date, to: Date }} range
+ */
+async function getLedgerSummary({ from, to }) {
+  const match = { createdAt: { $gte: from, $lte: to } };
+  const [byTemplate, byDay] = await Promise.all([
+    SmsMessage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { template: '$template', status: '$status' },
+          messages: { $sum: 1 },
+          segments: { $sum: '$segments' },
+          cost: { $sum: '$cost' },
+        },
+      },
+      { $sort: { '_id.template': 1, '_id.status': 1 } },
+    ]),
+    SmsMessage.aggregate([
+      { $match: { ...match, status: { $in: ['sent', 'delivered', 'failed'] } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          messages: { $sum: 1 },
+          segments: { $sum: '$segments' },
+          cost: { $sum: '$cost' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const totals = byTemplate.reduce(
+    (acc, row) => {
+      acc.messages += row.messages;
+      acc.segments += row.segments;
+      acc.cost += row.cost;
+      acc.byStatus[row._id.status] = (acc.byStatus[row._id.status] || 0) + row.messages;
+      return acc;
+    },
+    { messages: 0, segments: 0, cost: 0, byStatus: {} },
+  );
+  totals.cost = Math.round(totals.cost * 100) / 100;
+
+  return {
+    totals,
+    byTemplate: byTemplate.map((row) => ({
+      template: row._id.template,
+      status: row._id.status,
+      messages: row.messages,
+      segments: row.segments,
+      cost: Math.round(row.cost * 100) / 100,
+    })),
+    byDay: byDay.map((row) => ({
+      date: row._id,
+      messages: row.messages,
+      segments: row.segments,
+      cost: Math.round(row.cost * 100) / 100,
+    })),
+  };
+}
+
+module.exports = {
+  SMS_CATEGORIES,
+  normalizePhone,
+  normalizeSenderId,
+  getSenderId,
+  countSegments,
+  estimateCost,
+  isCategoryAllowed,
+  sendSms,
+  queueSms,
+  isValidReceiptToken,
+  recordDeliveryReceipt,
+  getLedgerSummary,
+};
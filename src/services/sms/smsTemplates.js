@@ -0,0 +1,84 @@
+/**
+ * smsTemplates.js
+ * Message text for every SMS we send. Keep bodies short and GSM-7 only (no emoji, no "₵")
+ * so each one fits a single 160-character segment.
+ *
+ * `category` decides which opt-out applies (see smsService.isCategoryAllowed):
+ * - security: OTPs and account alerts, always sent
+ * - orderUpdates / payouts / promotions: honour the recipient's SMS preferences
+ */
+
+const BRAND = process.env.APP_NAME || process.env.BRAND_NAME || 'Saiisai';
+
+const ORDER_STATUS_TEXT = {
+  pending: 'has been placed',
+  confirmed: 'has been confirmed',
+  processing: 'is being prepared',
+  shipped: 'has been shipped',
+  out_for_delivery: 'is out for delivery',
+  delivered: 'has been delivered',
+  cancelled: 'has been cancelled',
+  refunded: 'has been refunded',
+};
+
+const PAYOUT_STATUS_TEXT = {
+  request_created: 'has been received and is being processed',
+  pending: 'is pending',
+  approved: 'has been approved',
+  paid: 'has been paid',
+  completed: 'has been paid',
+  rejected: 'was rejected',
+  failed: 'failed',
+};
+
+const money = (amount) => `GHS ${Number(amount || 0).toFixed(2)}`;
+
+const TEMPLATES = {
+  otp: {
+    category: 'security',
+    render: ({ otp, minutes = 10 }) =>
+      `Your ${BRAND} verification code is ${otp}. It expires in ${minutes} minutes. Do not share it with anyone.`,
+  },
+  passwordResetOtp: {
+    category: 'security',
+    render: ({ otp, minutes = 10 }) =>
+      `Your ${BRAND} password reset code is ${otp}. It expires in ${minutes} minutes. Ignore this if you did not ask for it.`,
+  },
+  passwordResetConfirmation: {
+    category: 'security',
+    render: () =>
+      `Your ${BRAND} password has been reset. If this was not you, contact support immediately.`,
+  },
+  orderUpdate: {
+    category: 'orderUpdates',
+    render: ({ orderNumber, status, trackingUrl }) => {
+      const text = ORDER_STATUS_TEXT[status] || `status is now ${String(status || '').replace(/_/g, ' ')}`;
+      const link = trackingUrl ? ` Track: ${trackingUrl}` : '';
+      return `${BRAND}: Your order ${orderNumber} ${text}.${link}`;
+    },
+  },
+  payoutAlert: {
+    category: 'payouts',
+    render: ({ amount, status, reason }) => {
+      const text = PAYOUT_STATUS_TEXT[status] || `is ${status}`;
+      const why = status === 'rejected' && reason ? ` Reason: ${reason}` : '';
+      return `${BRAND}: Your withdrawal of ${money(amount)} ${text}.${why}`;
+    },
+  },
+};
+
+/**
+ * @param {string} name
+ * @param {Object} data
+ * @returns {{ body: string, category: string }}
+ */
+function renderTemplate(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown SMS template "${name}"`);
+  return { body: template.render(data).trim(), category: template.category };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+};
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const BackInStockSubscription = require('../../models/product/backInStockSubscriptionModel');
+const { enqueue } = require('../jobs/jobQueueService');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+const { mapInChunks } = require('../../utils/helpers/mapInChunks');
+
+/**
+ * backInStockService.js
+ * "Notify me" requests for out-of-stock variants.
+ * When a seller raises a variant's stock from zero (updateProduct / updateProductVariant) a
+ * back-in-stock job notifies waiting subscribers in signup order. Each round only notifies a
+ * few people per unit in stock, so the earliest requests get the first chance to buy; later
+ * rounds follow while stock remains.
+ */
+
+const BACK_IN_STOCK_QUEUE = 'back-in-stock';
+const NOTIFY_PER_UNIT = parseInt(process.env.BACK_IN_STOCK_NOTIFY_PER_UNIT, 10) || 3;
+const MAX_BATCH_SIZE = 500;
+// Subscribers emailed at the same time; chunks go out oldest subscription first
+const SEND_CONCURRENCY = 10;
+const ROUND_DELAY_MS = (parseInt(process.env.BACK_IN_STOCK_ROUND_DELAY_MINUTES, 10) || 60) * 60 * 1000;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// A restocked product may be hidden while an edit is re-reviewed; wait up to this many rounds for it
+const MAX_HIDDEN_ROUNDS = 24;
+
+/**
+ * How many waiting subscribers one notification round covers.
+ * @param {number} stock - units now available
+ * @returns {number}
+ */
+function getNotificationBatchSize(stock) {
+  if (!stock || stock <= 0) return 0;
+  return Math.min(MAX_BATCH_SIZE, stock * NOTIFY_PER_UNIT);
+}
+
+/**
+ * Variant stock before an update, keyed by variant id.
+ * @param {Object} product
+ * @returns {Map<string, number>}
+ */
+function snapshotVariantStock(product) {
+  return new Map((product?.variants || []).map((v) => [v._id.toString(), v.stock || 0]));
+}
+
+/**
+ * Variants that went from zero to positive stock. Variants added by the update are skipped:
+ * nobody can be waiting on them.
+ * @param {Map<string, number>} previousStock - from snapshotVariantStock
+ * @param {Object} product - product after the update
+ * @returns {Array} variant subdocuments
+ */
+function findRestockedVariants(previousStock, product) {
+  return (product?.variants || []).filter((v) => {
+    const before = previousStock.get(v._id.toString());
+    return before !== undefined && before <= 0 && (v.stock || 0) > 0;
+  });
+}
+
+const findVariant = (product, { variantId, sku }) => {
+  if (variantId && mongoose.Types.ObjectId.isValid(variantId)) {
+    return product.variants.id(variantId);
+  }
+  if (sku) {
+    const normalized = String(sku).trim().toUpperCase();
+    return product.variants.find((v) => v.sku === normalized);
+  }
+  return null;
+};
+
+/**
+ * Register a "notify me" request. Idempotent per email and variant.
+ * @param {Object} input - { productId, variantId?, sku?, email?, user? }
+ * @returns {Promise<BackInStockSubscription>}
+ */
+async function subscribe({ productId, variantId, sku, email, user = null }) {
+  const product = await Product.findById(productId).select('name seller variants');
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  const variant = findVariant(product, { variantId, sku });
+  if (!variant) {
+    throw new AppError('Please choose the variant you want to be notified about', 400);
+  }
+  if ((variant.stock || 0) > 0) {
+    throw new AppError('This item is in stock', 400);
+  }
+
+  const recipient = String(email || user?.email || '').trim().toLowerCase();
+  if (!EMAIL_RE.test(recipient)) {
+    throw new AppError('Please provide a valid email address', 400);
+  }
+
+  const filter = { product: product._id, variant: variant._id, email: recipient, status: 'waiting' };
+  const existing = await BackInStockSubscription.findOne(filter);
+  if (existing) return existing;
+
+  try {
+    return await BackInStockSubscription.create({
+      ...filter,
+      sku: variant.sku,
+      seller: product.seller,
+      user: user ? user._id || user.id : null,
+      unsubscribeToken: crypto.randomBytes(24).toString('hex'),
+    });
+  } catch (error) {
+    // Two identical requests raced; the other one won
+    if (error.code === 11000) return BackInStockSubscription.findOne(filter);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a signed-in buyer's waiting requests for a product (optionally one variant).
+ * @returns {Promise<number>} requests cancelled
+ */
+async function unsubscribeUser(userId, productId, variantId = null) {
+  const filter = { user: userId, product: productId, status: 'waiting' };
+  if (variantId) filter.variant = variantId;
+  const result = await BackInStockSubscription.updateMany(filter, {
+    $set: { status: 'cancelled', cancelledAt: new Date() },
+  });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * One-click unsubscribe from the email link (works for guests).
+ * @returns {Promise<boolean>}
+ */
+async function unsubscribeByToken(token) {
+  if (!token) return false;
+  const result = await BackInStockSubscription.updateOne(
+    { unsubscribeToken: token, status: 'waiting' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Called after a product save: queue notifications for variants that came back in stock.
+ * Never throws; a notification problem must not fail the seller's update.
+ * @param {Map<string, number>} previousStock - from snapshotVariantStock, taken before the update
+ * @param {Object} product - saved product
+ */
+async function handleProductRestock(previousStock, product) {
+  try {
+    const restocked = findRestockedVariants(previousStock, product);
+    await Promise.all(restocked.map(async (variant) => {
+      const waiting = await BackInStockSubscription.exists({
+        product: product._id,
+        variant: variant._id,
+        status: 'waiting',
+      });
+      if (!waiting) return;
+
+      const restockKey = `${BACK_IN_STOCK_QUEUE}:${product._id}:${variant._id}:${Date.now()}`;
+      await enqueue(
+        BACK_IN_STOCK_QUEUE,
+        { productId: product._id.toString(), variantId: variant._id.toString(), restockKey, round: 1 },
+        { name: `Back in stock ${variant.sku}`, uniqueKey: `${restockKey}:1`, maxAttempts: 3 },
+      );
+    }));
+  } catch (error) {
+    logger.error('[BackInStock] Failed to queue restock notifications', {
+      productId: product?._id?.toString(),
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Email (and push, for signed-in buyers) one subscriber.
+ */
+async function notifySubscriber(subscription, product, variant) {
+  const emailDispatcher = require('../../emails/emailDispatcher');
+  const pushNotificationService = require('../pushNotificationService');
+
+  const FRONTEND_URL = process.env.FRONTEND_URL || 'https://saiisai.com';
+  const variantName = variant.name || (variant.attributes || []).map((a) => a.value).join(' / ') || null;
+  const productUrl = `${FRONTEND_URL}/product/${product._id}?sku=${encodeURIComponent(variant.sku)}`;
+  const unsubscribeUrl = `${FRONTEND_URL}/back-in-stock/unsubscribe?token=${subscription.unsubscribeToken}`;
+
+  try {
+    await emailDispatcher.sendBackInStock(subscription.email, {
+      productName: product.name,
+      variantName,
+      imageUrl: (variant.images && variant.images[0]) || product.imageCover,
+      productUrl,
+      unsubscribeUrl,
+    });
+  } catch (error) {
+    logger.error('[BackInStock] Email failed', { subscriptionId: subscription._id.toString(), error: error.message });
+  }
+
+  if (subscription.user) {
+    try {
+      await pushNotificationService.sendPushToUser(subscription.user.toString(), {
+        title: 'Back in stock',
+        body: `${product.name}${variantName ? ` (${variantName})` : ''} is available again. Grab it before it sells out!`,
+        data: { type: 'product', referenceId: product._id.toString(), sku: variant.sku },
+      });
+    } catch (error) {
+      logger.error('[BackInStock] Push failed', { subscriptionId: subscription._id.toString(), error: error.message });
+    }
+  }
+}
+
+/**
+ * Job handler: notify the next batch of waiting subscribers of a restocked variant, oldest
+ * first, and schedule another round if stock and subscribers remain.
+ * @param {import('mongoose').Document} job - payload { productId, variantId, restockKey, round }
+ */
+async function processBackInStockJob(job) {
+  const { productId, variantId, restockKey, round = 1, hiddenRounds = 0 } = job.payload;
+
+  const product = await Product.findById(productId).select('name imageCover variants isDeleted isVisible');
+  const variant = product && product.variants.id(variantId);
+  if (!product || product.isDeleted || !variant) return { skipped: 'variant_missing' };
+  if ((variant.stock || 0) <= 0) return { skipped: 'sold_out' };
+
+  if (product.isVisible === false) {
+    if (hiddenRounds >= MAX_HIDDEN_ROUNDS) return { skipped: 'not_visible' };
+    await enqueue(
+      BACK_IN_STOCK_QUEUE,
+      { productId, variantId, restockKey, round, hiddenRounds: hiddenRounds + 1 },
+      {
+        name: `Back in stock ${variant.sku} (waiting for approval)`,
+        uniqueKey: `${restockKey}:${round}:hidden-${hiddenRounds + 1}`,
+        delayMs: ROUND_DELAY_MS,
+        maxAttempts: 3,
+      },
+    );
+    return { deferred: 'not_visible', hiddenRounds: hiddenRounds + 1 };
+  }
+
+  const batchSize = getNotificationBatchSize(variant.stock);
+  const batch = await BackInStockSubscription.find({ product: product._id, variant: variant._id, status: 'waiting' })
+    .select('+unsubscribeToken')
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(batchSize);
+
+  // First come, first served: the batch is sent in subscription order, a few at a time
+  const sent = await mapInChunks(batch, SEND_CONCURRENCY, async (subscription) => {
+    // Claim before sending so a retried job never notifies the same person twice
+    const claimed = await BackInStockSubscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'waiting' },
+      { $set: { status: 'notified', notifiedAt: new Date() } },
+    );
+    if (!claimed) return false;
+    await notifySubscriber(subscription, product, variant);
+    return true;
+  });
+  const notified = sent.filter(Boolean).length;
+
+  const remaining = await BackInStockSubscription.countDocuments({
+    product: product._id,
+    variant: variant._id,
+    status: 'waiting',
+  });
+  if (remaining > 0) {
+    await enqueue(
+      BACK_IN_STOCK_QUEUE,
+      { productId, variantId, restockKey, round: round + 1 },
+      {
+        name: `Back in stock ${variant.sku} (round ${round + 1})`,
+        uniqueKey: `${restockKey}:${round + 1}`,
+        delayMs: ROUND_DELAY_MS,
+        maxAttempts: 3,
+      },
+    );
+  }
+
+  logger.info('[BackInStock] Notification round finished', {
+    productId,
+    sku: variant.sku,
+    round,
+    notified,
+    remaining,
+  });
+  return { notified, remaining, round };
+}
+
+/**
+ * Waiting demand per SKU for the seller analytics card.
+ * @param {string} sellerId
+ * @returns {Promise<Array<{ productId, productName, variantId, sku, waiting, oldestRequestAt, stock }>>}
+ */
+async function getSellerWaitingDemand(sellerId) {
+  return BackInStockSubscription.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(String(sellerId)), status: 'waiting' } },
+    {
+      $group: {
+        _id: { product: '$product', variant: '$variant' },
+        sku: { $first: '$sku' },
+        waiting: { $sum: 1 },
+        oldestRequestAt: { $min: '$createdAt' },
+      },
+    },
+    { $sort: { waiting: -1, oldestRequestAt: 1 } },
+    { $limit: 100 },
+    {
+      $lookup: {
+        from: 'products',
+        let: { productId: '$_id.product' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$productId'] } } },
+          { $project: { name: 1, imageCover: 1, 'variants._id': 1, 'variants.stock': 1 } },
+        ],
+        as: 'product',
+      },
+    },
+    { $unwind: '$product' },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id.product',
+        variantId: '$_id.variant',
+        productName: '$product.name',
+        imageCover: '$product.imageCover',
+        sku: 1,
+        waiting: 1,
+        oldestRequestAt: 1,
+        stock: {
+          $let: {
+            vars: {
+              variant: {
+                $arrayElemAt: [
+                  { $filter: { input: '$product.variants', cond: { $eq: ['$$this._id', '$_id.variant'] } } },
+                  0,
+                ],
+              },
+            },
+            in: { $ifNull: ['$$variant.stock', 0] },
+          },
+        },
+      },
+    },
+  ]);
+}
+
+module.exports = {
+  BACK_IN_STOCK_QUEUE,
+  getNotificationBatchSize,
+  snapshotVariantStock,
+  findRestockedVariants,
+  subscribe,
+  unsubscribeUser,
+  unsubscribeByToken,
+  handleProductRestock,
+  processBackInStockJob,
+  getSellerWaitingDemand,
+};
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Product = require('../../models/product/productModel');
+const Seller = require('../../models/user/sellerModel');
+const NotificationSettings = require('../../models/notification/notificationSettingsModel');
+const logger = require('../../utils/logger');
+const { mapInChunks } = require('../../utils/helpers/mapInChunks');
+
+/**
+ * stockAlertService.js
+ * Low-stock / out-of-stock alerts for sellers.
+ * stockService.reduceOrderStock reports variants that crossed their lowStockThreshold (or hit
+ * zero) on that reduction; createOrder, and stockReservationService when a lapsed hold takes its
+ * stock again, pass them to notifyStockAlerts once the deduction is committed.
+ * Sellers opt in/out per channel in NotificationSettings.stockAlerts.
+ */
+
+const LOW_STOCK_DIGEST_QUEUE = 'low-stock-digest';
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const DEFAULT_ALERT_SETTINGS = { inApp: true, push: true, dailyDigest: false };
+// Sellers alerted / emailed at the same time
+const SEND_CONCURRENCY = 10;
+
+/**
+ * Alert level for a single stock reduction. Only the reduction that crosses a level alerts,
+ * so a variant sitting below its threshold does not re-alert on every order.
+ * @param {number} previousStock
+ * @param {number} newStock
+ * @param {number} threshold
+ * @returns {'out_of_stock'|'low_stock'|null}
+ */
+function getStockAlertLevel(previousStock, newStock, threshold = DEFAULT_LOW_STOCK_THRESHOLD) {
+  if (newStock <= 0 && previousStock > 0) return 'out_of_stock';
+  if (newStock > 0 && newStock <= threshold && previousStock > threshold) return 'low_stock';
+  return null;
+}
+
+/**
+ * Build the alert for a variant after its stock was reduced.
+ * @param {Object} product - product document returned by the $inc update ({ new: true })
+ * @param {Object} variant - the reduced variant of that product
+ * @param {number} quantity - units removed
+ * @returns {Object|null}
+ */
+function buildStockAlert(product, variant, quantity) {
+  if (!product || !variant) return null;
+
+  const threshold = variant.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  const level = getStockAlertLevel(variant.stock + quantity, variant.stock, threshold);
+  if (!level) return null;
+
+  return {
+    seller: product.seller ? product.seller.toString() : null,
+    productId: product._id.toString(),
+    productName: product.name,
+    variantId: variant._id ? variant._id.toString() : null,
+    variantName: variant.name || (variant.attributes || []).map((a) => a.value).join(' / ') || null,
+    sku: variant.sku,
+    stock: variant.stock,
+    threshold,
+    level,
+  };
+}
+
+/**
+ * Seller's stock alert preferences, with defaults when they never saved any.
+ */
+async function getAlertSettings(sellerId) {
+  const settings = await NotificationSettings.findOne({ user: sellerId }).select('stockAlerts').lean();
+  return { ...DEFAULT_ALERT_SETTINGS, ...(settings?.stockAlerts || {}) };
+}
+
+async function updateAlertSettings(sellerId, updates = {}) {
+  const $set = {};
+  Object.keys(DEFAULT_ALERT_SETTINGS).forEach((key) => {
+    if (typeof updates[key] === 'boolean') {
+      $set[`stockAlerts.${key}`] = updates[key];
+    }
+  });
+
+  const settings = await NotificationSettings.findOneAndUpdate(
+    { user: sellerId },
+    { $set },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true },
+  ).select('stockAlerts').lean();
+
+  return { ...DEFAULT_ALERT_SETTINGS, ...(settings?.stockAlerts || {}) };
+}
+
+/**
+ * Send in-app and push alerts, one batch per seller. Never throws: a failed alert must not
+ * affect the order that triggered it.
+ * @param {Array} alerts - from stockService.reduceOrderStock
+ */
+async function notifyStockAlerts(alerts = []) {
+  const notificationService = require('../notification/notificationService');
+  const pushNotificationService = require('../pushNotificationService');
+
+  const bySeller = new Map();
+  alerts.filter((alert) => alert && alert.seller).forEach((alert) => {
+    if (!bySeller.has(alert.seller)) bySeller.set(alert.seller, []);
+    bySeller.get(alert.seller).push(alert);
+  });
+
+  await mapInChunks([...bySeller], SEND_CONCURRENCY, async ([sellerId, sellerAlerts]) => {
+    try {
+      const settings = await getAlertSettings(sellerId);
+
+      if (settings.inApp) {
+        await notificationService.createStockAlertNotification(sellerId, sellerAlerts);
+      }
+
+      if (settings.push) {
+        const outOfStock = sellerAlerts.filter((a) => a.level === 'out_of_stock');
+        const first = sellerAlerts[0];
+        const title = outOfStock.length > 0 ? 'Out of stock' : 'Low stock';
+        const body = sellerAlerts.length === 1
+          ? `${first.productName}${first.variantName ? ` (${first.variantName})` : ''}: ${first.stock > 0 ? `${first.stock} left` : 'sold out'}`
+          : `${sellerAlerts.length} variants are running low or out of stock`;
+        await pushNotificationService.sendStockAlertNotification(sellerId, first.productId, title, body, first.level);
+      }
+    } catch (error) {
+      logger.error('[StockAlert] Failed to notify seller', { sellerId, error: error.message });
+    }
+  });
+}
+
+/**
+ * All variants of a seller at or below their lowStockThreshold (out-of-stock included).
+ * @param {string} sellerId
+ * @param {Object} [options]
+ * @param {boolean} [options.outOfStockOnly=false]
+ * @returns {Promise<Array<{ productId, productName, imageCover, variantId, variantName, sku, stock, threshold, level }>>}
+ */
+async function getLowStockVariants(sellerId, { outOfStockOnly = false } = {}) {
+  const stockCondition = outOfStockOnly
+    ? { $lte: ['$variants.stock', 0] }
+    : { $lte: ['$variants.stock', { $ifNull: ['$variants.lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] }] };
+
+  const rows = await Product.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(String(sellerId)), isDeleted: { $ne: true } } },
+    { $unwind: '$variants' },
+    { $match: { 'variants.status': { $ne: 'inactive' }, $expr: stockCondition } },
+    { $sort: { 'variants.stock': 1, name: 1 } },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id',
+        productName: '$name',
+        imageCover: 1,
+        variantId: '$variants._id',
+        variantName: '$variants.name',
+        attributes: '$variants.attributes',
+        sku: '$variants.sku',
+        stock: '$variants.stock',
+        threshold: { $ifNull: ['$variants.lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] },
+      },
+    },
+  ]);
+
+  return rows.map(({ attributes, ...row }) => ({
+    ...row,
+    variantName: row.variantName || (attributes || []).map((a) => a.value).join(' / ') || null,
+    level: row.stock <= 0 ? 'out_of_stock' : 'low_stock',
+  }));
+}
+
+/**
+ * Job handler: email each opted-in seller the list of their low-stock SKUs.
+ * @returns {Promise<{ sellers: number, emailed: number }>}
+ */
+async function sendLowStockDigests() {
+  const emailDispatcher = require('../../emails/emailDispatcher');
+
+  const optedIn = await NotificationSettings.find({ 'stockAlerts.dailyDigest': true }).select('user').lean();
+  const results = await mapInChunks(optedIn, SEND_CONCURRENCY, async ({ user: sellerId }) => {
+    try {
+      const [seller, alerts] = await Promise.all([
+        Seller.findById(sellerId).select('name shopName email'),
+        getLowStockVariants(sellerId),
+      ]);
+      if (!seller?.email || alerts.length === 0) return false;
+
+      await emailDispatcher.sendLowStockAlert(seller, alerts);
+      return true;
+    } catch (error) {
+      logger.error('[StockAlert] Failed to send low-stock digest', { sellerId, error: error.message });
+      return false;
+    }
+  });
+  const emailed = results.filter(Boolean).length;
+
+  return { sellers: optedIn.length, emailed };
+}
+
+module.exports = {
+  LOW_STOCK_DIGEST_QUEUE,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  getStockAlertLevel,
+  buildStockAlert,
+  getAlertSettings,
+  updateAlertSettings,
+  notifyStockAlerts,
+  getLowStockVariants,
+  sendLowStockDigests,
+};
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const StockReservation = require('../../models/order/stockReservationModel');
+const stockService = require('./stockService');
+const stockAlertService = require('./stockAlertService');
+const shipmentService = require('../order/shipmentService');
+const pricingEngine = require('../pricing/pricingEngine');
+const AppError = require('../../utils/errors/appError');
+const logger = require('../../utils/logger');
+
+/**
+ * stockReservationService.js
+ * Time-limited stock holds for Paystack checkouts.
+ *
+ * createOrder deducts stock for every order, so an unpaid Paystack order keeps its units out
+ * of `getProduct`/`validateCart` availability while its hold is active. The hold is:
+ * - (re)started for STOCK_RESERVATION_TTL_MINUTES when initializePaystack runs
+ * - confirmed when the payment succeeds (verify / webhook)
+ * - released back to the shelf on payment failure, order cancellation or expiry
+ * A buyer retrying payment after the hold lapsed gets the stock back only if it is still there.
+ */
+
+const STOCK_RESERVATION_EXPIRY_QUEUE = 'stock-reservation-expiry';
+const RESERVATION_TTL_MS = (parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 15) * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 200;
+
+const toReservationItems = (items = []) =>
+  items.map((item) => ({
+    product: item.productId || item.product,
+    sku: item.sku || undefined,
+    variant: item.variantId || item.variant || undefined,
+    quantity: item.quantity,
+    ...(item.priceAdjustments
+      ? { priceAdjustments: item.priceAdjustments.map(({ type, ruleId }) => ({ type, ruleId })) }
+      : {}),
+  }));
+
+const getExpiryDate = (from = new Date()) => new Date(from.getTime() + RESERVATION_TTL_MS);
+
+/**
+ * Record the hold for a new Paystack order. Runs inside createOrder's transaction, right after
+ * its stock deduction.
+ * @param {Object} order - new order (unsaved is fine; only _id and user are read)
+ * @param {Array} items - the items passed to stockService.reduceOrderStock
+ * @param {ClientSession} session
+ */
+async function createReservation(order, items, session) {
+  const [reservation] = await StockReservation.create(
+    [
+      {
+        order: order._id,
+        user: order.user,
+        items: toReservationItems(items),
+        expiresAt: getExpiryDate(),
+      },
+    ],
+    { session },
+  );
+  return reservation;
+}
+
+/**
+ * Run `work(session)` in its own transaction.
+ */
+async function withTransaction(work) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Deduct the reservation's items, and count their deal and discount usage, again in one
+ * transaction (all or nothing).
+ * @returns {Promise<Array|null>} stock alerts from the deduction (pass to notifyStockAlerts once
+ *   committed), or null when any item no longer has enough stock or a deal cap was reached
+ */
+async function deductReservedItems(reservation) {
+  try {
+    return await withTransaction(async (session) => {
+      const alerts = await stockService.reduceOrderStock(reservation.items, session);
+      await pricingEngine.recordRuleUsage(reservation.items, { session });
+      return alerts;
+    });
+  } catch (error) {
+    if (String(error.message).includes('Insufficient stock')) return null;
+    if (error instanceof AppError && error.statusCode === 409) return null;
+    throw error;
+  }
+}
+
+/**
+ * Tell sellers about variants a committed deduction pushed to low / out of stock (non-blocking).
+ */
+function notifyStockAlerts(alerts) {
+  if (alerts.length === 0) return;
+  stockAlertService.notifyStockAlerts(alerts).catch((error) => {
+    logger.error('[StockReservation] Stock alert notification failed:', error.message);
+  });
+}
+
+/**
+ * Start (or restart) the hold when the buyer begins paying.
+ * @param {Object} order
+ * @returns {Promise<StockReservation|null>} null for orders placed before reservations existed
+ * @throws {AppError} 409 when the hold had lapsed and the stock has been sold since
+ */
+async function holdForPayment(order) {
+  const expiresAt = getExpiryDate();
+
+  const extended = await StockReservation.findOneAndUpdate(
+    { order: order._id, status: 'active' },
+    { $set: { expiresAt } },
+    { new: true },
+  );
+  if (extended) return extended;
+
+  const existing = await StockReservation.findOne({ order: order._id });
+  if (!existing || existing.status === 'confirmed') return existing;
+
+  // The hold lapsed (expired or payment failed): claim it, then try to take the stock back
+  const previousStatus = existing.status;
+  const reclaimed = await StockReservation.findOneAndUpdate(
+    { _id: existing._id, status: previousStatus },
+    {
+      $set: { status: 'active', expiresAt },
+      $unset: { releasedAt: '', releaseReason: '' },
+      $inc: { holdCount: 1 },
+    },
+    { new: true },
+  );
+  if (!reclaimed) {
+    // Another request changed it in the meantime; use whatever it settled on
+    return holdForPayment(order);
+  }
+
+  const alerts = await deductReservedItems(reclaimed);
+  if (!alerts) {
+    await StockReservation.updateOne(
+      { _id: reclaimed._id, status: 'active' },
+      { $set: { status: previousStatus, releasedAt: new Date(), releaseReason: 'stock_unavailable' } },
+    );
+    throw new AppError(
+      'Some items in this order are no longer in stock. Please place a new order.',
+      409,
+    );
+  }
+
+  notifyStockAlerts(alerts);
+  logger.info('[StockReservation] Stock re-held for order', {
+    orderId: order._id.toString(),
+    holdCount: reclaimed.holdCount,
+  });
+  return reclaimed;
+}
+
+/**
+ * Payment succeeded: the held units are sold. Idempotent.
+ * If the hold had already lapsed, the stock is deducted again; when that is no longer
+ * possible the order is paid but oversold and needs manual follow-up.
+ * @param {string|ObjectId} orderId
+ */
+async function confirmReservation(orderId) {
+  const confirmed = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { $set: { status: 'confirmed', confirmedAt: new Date() } },
+    { new: true },
+  );
+  if (confirmed) return confirmed;
+
+  const lapsed = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: { $in: ['released', 'expired'] } },
+    { $set: { status: 'confirmed', confirmedAt: new Date() } },
+    { new: true },
+  );
+  if (!lapsed) return null;
+
+  const alerts = await deductReservedItems(lapsed);
+  if (!alerts) {
+    logger.error('[StockReservation] Paid order is oversold: hold had lapsed and stock is gone', {
+      orderId: orderId.toString(),
+      items: lapsed.items,
+    });
+    return lapsed;
+  }
+  notifyStockAlerts(alerts);
+  return lapsed;
+}
+
+/**
+ * End an active hold and put its units back on the shelf, giving back the deal and
+ * discount usage counted with them. The status change and the restock commit together, in the
+ * caller's transaction or in one of their own, so a failed restock leaves the hold active for
+ * the next release (or the expiry job) to retry.
+ * @param {string|ObjectId} orderId
+ * @param {string} reason - e.g. 'payment_failed', 'order_cancelled'
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - join the caller's transaction
+ * @param {'released'|'expired'} [options.status='released']
+ * @returns {Promise<boolean>} true when stock was returned
+ */
+async function releaseReservation(orderId, reason, { session = null, status = 'released' } = {}) {
+  if (!session) {
+    return withTransaction((txn) => releaseReservation(orderId, reason, { session: txn, status }));
+  }
+
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { $set: { status, releasedAt: new Date(), releaseReason: reason } },
+    { new: true, session },
+  );
+  if (!reservation) return false;
+
+  await stockService.restoreOrderStock(reservation.items, session);
+  await pricingEngine.releaseRuleUsage(reservation.items, { session });
+  return true;
+}
+
+/**
+ * Return the stock (and deal / discount usage) of a cancelled/deleted order exactly once.
+ * Use instead of stockService.restoreOrderStock wherever an order is cancelled:
+ * - active hold: released (stock returned)
+ * - hold already released/expired: nothing to do, the stock is back already
+ * - confirmed or no hold (paid / COD / wallet orders): restore the order items, except those
+ *   of individually cancelled shipments (restocked when that shipment was cancelled)
+ * @param {Object} order - order with populated orderItems
+ * @param {ClientSession} [session]
+ * @param {string} [reason='order_cancelled']
+ */
+async function restoreStockForOrder(order, session = null, reason = 'order_cancelled') {
+  const reservation = await StockReservation.findOne({ order: order._id }).session(session);
+
+  if (reservation && reservation.status === 'active') {
+    await releaseReservation(order._id, reason, { session });
+    return;
+  }
+  if (reservation && ['released', 'expired'].includes(reservation.status)) {
+    return;
+  }
+
+  const restocked = await shipmentService.getCancelledShipmentItemIds(order._id, session);
+  const orderItems = order.orderItems.filter((item) => !restocked.has(String(item._id)));
+  if (orderItems.length === 0) return;
+  await stockService.restoreOrderStock(orderItems, session);
+  await pricingEngine.releaseRuleUsage(orderItems, { session });
+}
+
+/**
+ * Job handler: return the stock of holds whose TTL passed. Each release runs in its own
+ * transaction, one at a time, so one failing hold does not roll back the others.
+ * @returns {Promise<{ expired: number }>}
+ */
+async function expireReservations() {
+  const due = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .select('order')
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const { order } of due) {
+    try {
+      const released = await releaseReservation(order, 'expired', { status: 'expired' });
+      if (released) expired += 1;
+    } catch (error) {
+      logger.error('[StockReservation] Failed to expire hold', { orderId: order.toString(), error: error.message });
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`[StockReservation] Released ${expired} expired stock hold(s)`);
+  }
+  return { expired };
+}
+
+module.exports = {
+  STOCK_RESERVATION_EXPIRY_QUEUE,
+  RESERVATION_TTL_MS,
+  createReservation,
+  holdForPayment,
+  confirmReservation,
+  releaseReservation,
+  restoreStockForOrder,
+  expireReservations,
+};
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Product = require('../../models/product/productModel');
+const { buildStockAlert } = require('./stockAlertService');
 
 /**
  * stockService.js
@@ -14,8 +15,11 @@ const Product = require('../../models/product/productModel');
  * Must be called at ORDER CREATION for ALL payment methods.
  * @param {Array} items - Array of items with productId, variantId (optional), and quantity
  * @param {ClientSession} session - MongoDB session for transactions
+ * @returns {Promise<Array>} low/out-of-stock alerts for variants that crossed their threshold;
+ *   send them with stockAlertService.notifyStockAlerts after the transaction commits
  */
 exports.reduceOrderStock = async (items, session) => {
+  const alerts = [];
   for (const item of items) {
     const productId = item.productId || item.product;
     const variantId = item.variantId || item.variant;
@@ -43,6 +47,12 @@ exports.reduceOrderStock = async (items, session) => {
           `Insufficient stock: variant ${sku || variantId} needs ${quantity} units`
         );
       }
+
+      const variant = result.variants.find((v) =>
+        sku ? v.sku === String(sku).trim().toUpperCase() : v._id.toString() === variantId.toString()
+      );
+      const alert = buildStockAlert(result, variant, quantity);
+      if (alert) alerts.push(alert);
     } else {
       // Atomic reduction for simple products
       const result = await Product.findOneAndUpdate(
@@ -60,6 +70,7 @@ exports.reduceOrderStock = async (items, session) => {
       }
     }
   }
+  return alerts;
 };
 
 /**
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const { configureCloudinary } = require('../../config/cloudinary');
+const User = require('../../models/user/userModel');
+const Address = require('../../models/user/addressModel');
+const Order = require('../../models/order/orderModel');
+const OrderItems = require('../../models/order/OrderItemModel');
+const Review = require('../../models/product/reviewModel');
+const Wishlist = require('../../models/product/wishListModel');
+const BrowserHistory = require('../../models/user/browserHistoryModel');
+const WalletTransaction = require('../../models/user/walletTransactionModel');
+const ChatConversation = require('../../models/chat/chatConversationModel');
+const ChatMessage = require('../../models/chat/chatMessageModel');
+const SupportTicket = require('../../models/support/supportTicketModel');
+const SupportMessage = require('../../models/support/supportMessageModel');
+const DeviceSession = require('../../models/user/deviceSessionModel');
+const { sendDataExportReady } = require('../../emails/emailDispatcher');
+const logger = require('../../utils/logger');
+
+/**
+ * dataExportService.js
+ * Builds the buyer's personal data bundle (GDPR-style "download my data"):
+ * collects everything linked to the account, zips one JSON file per section,
+ * stores it as an authenticated Cloudinary raw asset and emails a signed link
+ * that stops working at expiresAt.
+ */
+
+const DATA_EXPORT_QUEUE = 'data-export';
+const DATA_EXPORT_EXPIRY_QUEUE = 'data-export-expiry';
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS || '72', 10);
+const EXPORT_FOLDER = process.env.CLOUDINARY_FOLDER
+  ? `${process.env.CLOUDINARY_FOLDER}/user-exports`
+  : 'saiisai/user-exports';
+
+// Never leave the database, even in the user's own export
+const PROFILE_EXCLUDED_FIELDS = [
+  'emailVerificationToken',
+  'otpAttempts',
+  'otpLockedUntil',
+  'dataExports',
+];
+
+/**
+ * Collect every section of the export for one buyer.
+ * @param {string} userId
+ * @returns {Promise<Object<string, any>>} section name -> JSON-serialisable data
+ */
+async function collectUserData(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error(`User ${userId} not found`);
+
+  const profile = user.toJSON();
+  PROFILE_EXCLUDED_FIELDS.forEach((field) => delete profile[field]);
+
+  const orders = await Order.find({ user: userId }).sort({ createdAt: -1 }).lean();
+  const orderItemIds = orders.flatMap((order) => order.orderItems || []);
+
+  const conversations = await ChatConversation.find({
+    participantId: userId,
+    participantModel: 'User',
+  }).lean();
+  const tickets = await SupportTicket.find({ userId, userModel: 'User' }).lean();
+
+  const [
+    addresses,
+    orderItems,
+    reviews,
+    wishlist,
+    browserHistory,
+    walletTransactions,
+    chatMessages,
+    supportMessages,
+    deviceSessions,
+  ] = await Promise.all([
+    Address.find({ user: userId }).lean(),
+    OrderItems.find({ _id: { $in: orderItemIds } }).lean(),
+    Review.find({ user: userId }).lean(),
+    Wishlist.find({ user: userId }).lean(),
+    BrowserHistory.find({ user: userId }).lean(),
+    WalletTransaction.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    ChatMessage.find({ conversationId: { $in: conversations.map((c) => c._id) } })
+      .sort({ createdAt: 1 })
+      .lean(),
+    SupportMessage.find({ ticketId: { $in: tickets.map((t) => t._id) } })
+      .sort({ createdAt: 1 })
+      .lean(),
+    DeviceSession.find({ userId, userModel: 'User' })
+      .select('deviceId deviceType ipAddress userAgent location loginTime lastActivity isActive')
+      .lean(),
+  ]);
+
+  return {
+    profile,
+    addresses,
+    orders,
+    orderItems,
+    reviews,
+    wishlist,
+    browserHistory,
+    walletTransactions,
+    chat: { conversations, messages: chatMessages },
+    supportTickets: { tickets, messages: supportMessages },
+    deviceSessions,
+  };
+}
+
+/**
+ * Write the sections to a ZIP file in the OS temp directory.
+ * @returns {Promise<{ filePath: string, bytes: number }>}
+ */
+function writeZip(sections, exportId) {
+  const filePath = path.join(os.tmpdir(), `data-export-${exportId}.zip`);
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve({ filePath, bytes: archive.pointer() }));
+    archive.on('error', reject);
+    archive.on('warning', (err) => logger.warn('[DataExport] Archive warning', { error: err.message }));
+    archive.pipe(output);
+
+    const generatedAt = new Date().toISOString();
+    archive.append(
+      [
+        'Your personal data export',
+        `Generated: ${generatedAt}`,
+        '',
+        'Each file contains one category of data linked to your account, in JSON format:',
+        ...Object.keys(sections).map((name) => `- ${name}.json`),
+      ].join('\n'),
+      { name: 'README.txt' },
+    );
+    Object.entries(sections).forEach(([name, data]) => {
+      archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+    });
+
+    archive.finalize();
+  });
+}
+
+/**
+ * Upload the bundle as an authenticated raw asset and return its storage key.
+ */
+async function uploadBundle(filePath, userId, exportId) {
+  const cloudinary = configureCloudinary();
+  const result = await cloudinary.uploader.upload(filePath, {
+    resource_type: 'raw',
+    type: 'authenticated',
+    public_id: `${EXPORT_FOLDER}/export-${userId}-${exportId}.zip`,
+    overwrite: true,
+    tags: ['user-data-export'],
+  });
+  return result.public_id;
+}
+
+/**
+ * Signed Cloudinary download URL that expires at the given time.
+ */
+function createSignedDownloadUrl(storageKey, expiresAt) {
+  const cloudinary = configureCloudinary();
+  return cloudinary.utils.private_download_url(storageKey, '', {
+    resource_type: 'raw',
+    type: 'authenticated',
+    attachment: true,
+    expires_at: Math.floor(new Date(expiresAt).getTime() / 1000),
+  });
+}
+
+function setExportFields(userId, exportId, fields) {
+  const $set = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    $set[`dataExports.$.${key}`] = value;
+  });
+  return User.updateOne({ _id: userId, 'dataExports.exportId': exportId }, { $set });
+}
+
+/**
+ * Job handler for the data-export queue.
+ * @param {import('mongoose').Document} job - payload { userId, exportId }
+ */
+async function processDataExport(job) {
+  const { userId, exportId } = job.payload;
+  await setExportFields(userId, exportId, { status: 'processing' });
+
+  let filePath = null;
+  try {
+    const sections = await collectUserData(userId);
+    const zip = await writeZip(sections, exportId);
+    filePath = zip.filePath;
+
+    const storageKey = await uploadBundle(filePath, userId, exportId);
+    const completedAt = new Date();
+    const expiresAt = new Date(completedAt.getTime() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+    const downloadUrl = createSignedDownloadUrl(storageKey, expiresAt);
+
+    await setExportFields(userId, exportId, {
+      status: 'completed',
+      completedAt,
+      expiresAt,
+      downloadUrl,
+      storageKey,
+      fileSize: zip.bytes,
+    });
+
+    const user = await User.findById(userId).select('email name');
+    if (user?.email) {
+      try {
+        await sendDataExportReady(user, downloadUrl, expiresAt);
+      } catch (emailError) {
+        // The bundle is ready and listed on the account page; do not redo the export
+        logger.error('[DataExport] Failed to send data-ready email', {
+          userId,
+          exportId,
+          error: emailError.message,
+        });
+      }
+    }
+
+    logger.info('[DataExport] Export completed', { userId, exportId, bytes: zip.bytes });
+    return { storageKey, bytes: zip.bytes, expiresAt };
+  } catch (error) {
+    const finalAttempt = job.attempts >= job.maxAttempts;
+    await setExportFields(userId, exportId, { status: finalAttempt ? 'failed' : 'pending' });
+    throw error;
+  } finally {
+    if (filePath) {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Mark completed exports past their expiry as expired and delete the stored bundles.
+ * @returns {Promise<{ expired: number }>}
+ */
+async function expireDataExports() {
+  const now = new Date();
+  const users = await User.find({
+    dataExports: { $elemMatch: { status: 'completed', expiresAt: { $lte: now } } },
+  }).select('dataExports');
+
+  const cloudinary = configureCloudinary();
+  let expired = 0;
+
+  for (const user of users) {
+    for (const entry of user.dataExports) {
+      if (entry.status !== 'completed' || !entry.expiresAt || entry.expiresAt > now) continue;
+
+      if (entry.storageKey) {
+        try {
+          await cloudinary.uploader.destroy(entry.storageKey, {
+            resource_type: 'raw',
+            type: 'authenticated',
+          });
+        } catch (error) {
+          logger.warn('[DataExport] Failed to delete expired bundle', {
+            exportId: entry.exportId,
+            error: error.message,
+          });
+          continue;
+        }
+      }
+
+      await setExportFields(user._id, entry.exportId, {
+        status: 'expired',
+        downloadUrl: null,
+        storageKey: null,
+      });
+      expired += 1;
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`[DataExport] Expired ${expired} data export bundle(s)`);
+  }
+  return { expired };
+}
+
+module.exports = {
+  DATA_EXPORT_QUEUE,
+  DATA_EXPORT_EXPIRY_QUEUE,
+  collectUserData,
+  processDataExport,
+  expireDataExports,
+};
@@ -1,9 +1,9 @@
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const ChatConversation = require('../models/chat/chatConversationModel');
 const ChatMessage = require('../models/chat/chatMessageModel');
 const Admin = require('../models/user/adminModel');
 const logger = require('../utils/logger');
+const { parseCookies, decodeToken } = require('./socketAuthHelpers');
 const {
   persistParticipantSnapshotIfNeeded,
   ensureConversationSellerIdentity,
@@ -170,25 +170,6 @@ function conversationPayloadForAdminBroadcast(conversation) {
 
 // ─── Helpers ─────────────────────────────────────────────
 
-const parseCookies = (cookieStr) => {
-  const out = {};
-  if (!cookieStr) return out;
-  cookieStr.split(';').forEach((part) => {
-    const eq = part.indexOf('=');
-    if (eq < 0) return;
-    const key = part.slice(0, eq).trim();
-    const raw = part.slice(eq + 1).trim();
-    try { out[key] = decodeURIComponent(raw); } catch { out[key] = raw; }
-  });
-  return out;
-};
-
-const decodeToken = (token) => {
-  if (!token) return null;
-  try { return jwt.verify(token, process.env.JWT_SECRET); }
-  catch { return null; }
-};
-
 const sanitize = (str) =>
   String(str || '')
     .replace(/</g, '&lt;')
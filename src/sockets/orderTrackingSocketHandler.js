@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order/orderModel');
+const SellerOrder = require('../models/order/sellerOrderModel');
+const logger = require('../utils/logger');
+const dispatchService = require('../services/order/dispatchService');
+const orderTrackingRealtimeService = require('../services/order/orderTrackingRealtimeService');
+const { parseCookies, decodeToken } = require('./socketAuthHelpers');
+
+const { ROOMS } = orderTrackingRealtimeService;
+
+/**
+ * `/order-tracking` namespace: live order tracking instead of polling GET /order/:id/tracking.
+ *
+ * Handshake auth: { trackAs: 'buyer' | 'driver' | 'seller' | 'admin', token? }. Without a token
+ * the matching cookie is used (user_jwt/main_jwt, seller_jwt, admin_jwt), as on the REST API.
+ *
+ * Client → server (with ack):
+ *   tracking:subscribe   { orderId } (buyer: own order, driver: assigned order, admin: any)
+ *                        { sellerOrderId } (seller: own SellerOrder)
+ *   tracking:unsubscribe { orderId } | { sellerOrderId }
+ * Server → client:
+ *   tracking:update, tracking:driver_location (see orderTrackingRealtimeService)
+ *
+ * Admins join the `admins` room on connect and receive every order's events.
+ */
+
+const COOKIES_BY_AUDIENCE = {
+  buyer: ['user_jwt', 'main_jwt'],
+  driver: ['user_jwt', 'main_jwt'],
+  seller: ['seller_jwt'],
+  admin: ['admin_jwt'],
+};
+
+const ADMIN_ROLES = ['admin', 'superadmin', 'support_agent'];
+const SELLER_ROLES = ['seller', 'official_store'];
+const SNAPSHOT_HISTORY_LIMIT = 20;
+
+function audienceForRole(role) {
+  if (ADMIN_ROLES.includes(role)) return 'admin';
+  if (SELLER_ROLES.includes(role)) return 'seller';
+  if (role === 'driver') return 'driver';
+  if (role === 'user') return 'buyer';
+  return null;
+}
+
+const trackingSocketAuth = (socket, next) => {
+  try {
+    const rawAuth = socket.handshake.auth;
+    const auth = rawAuth && typeof rawAuth === 'object' && !Array.isArray(rawAuth) ? rawAuth : {};
+    const trackAs = typeof auth.trackAs === 'string' ? auth.trackAs.trim().toLowerCase() : 'buyer';
+    const cookieNames = COOKIES_BY_AUDIENCE[trackAs];
+    if (!cookieNames) {
+      return next(new Error('Unknown trackAs'));
+    }
+
+    const cookies = parseCookies(socket.handshake.headers.cookie);
+    const candidates = [auth.token, ...cookieNames.map((name) => cookies[name])].filter(Boolean);
+    for (const token of candidates) {
+      const decoded = decodeToken(token);
+      const userId = decoded && (decoded.id || decoded._id);
+      if (!userId || audienceForRole(decoded.role) !== trackAs) continue;
+
+      socket.userId = String(userId);
+      socket.userRole = decoded.role;
+      socket.audience = trackAs;
+      return next();
+    }
+
+    logger.warn('[OrderTracking] socket auth failed', { trackAs });
+    return next(new Error('Authentication required'));
+  } catch (err) {
+    logger.error('[OrderTracking] socket auth exception', { message: err.message });
+    return next(new Error('Authentication required'));
+  }
+};
+
+const validId = (value) =>
+  typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) ? value : null;
+
+async function loadSnapshot(orderId, { includeDriver }) {
+  const order = await Order.findById(orderId)
+    .select('orderNumber trackingNumber currentStatus statusVersion fulfilment trackingHistory driverLocation')
+    .lean();
+  if (!order) return null;
+
+  const trackingHistory = [...(order.trackingHistory || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .slice(-SNAPSHOT_HISTORY_LIMIT)
+    .map(({ status, message, location, updatedByRole, timestamp }) => ({
+      status,
+      message,
+      location,
+      updatedByRole,
+      timestamp,
+    }));
+
+  return {
+    orderId: String(order._id),
+    orderNumber: order.orderNumber,
+    trackingNumber: order.trackingNumber || null,
+    currentStatus: order.currentStatus,
+    statusVersion: order.statusVersion ?? 0,
+    fulfilment: order.fulfilment || null,
+    trackingHistory,
+    ...(includeDriver
+      ? {
+          driverLocation: order.driverLocation || null,
+          eta: orderTrackingRealtimeService.getCachedEta(order._id),
+        }
+      : {}),
+  };
+}
+
+/**
+ * Room and snapshot for a subscription request, or an error message.
+ */
+async function resolveSubscription(socket, data) {
+  const { audience, userId } = socket;
+
+  if (audience === 'seller') {
+    const sellerOrderId = validId(data?.sellerOrderId);
+    if (!sellerOrderId) return { error: 'sellerOrderId is required' };
+    const sellerOrder = await SellerOrder.findById(sellerOrderId).select('seller order').lean();
+    if (!sellerOrder || String(sellerOrder.seller) !== userId) {
+      return { error: 'Seller order not found' };
+    }
+    const snapshot = await loadSnapshot(sellerOrder.order, { includeDriver: false });
+    return { room: ROOMS.sellerOrder(sellerOrderId), snapshot: snapshot && { ...snapshot, sellerOrderId } };
+  }
+
+  const orderId = validId(data?.orderId);
+  if (!orderId) return { error: 'orderId is required' };
+
+  if (audience === 'buyer') {
+    const order = await Order.findById(orderId).select('user').lean();
+    if (!order || String(order.user) !== userId) return { error: 'Order not found' };
+  } else if (audience === 'driver') {
+    if (!(await dispatchService.driverHasOpenJob(orderId, userId))) {
+      return { error: 'This order is not one of your active deliveries' };
+    }
+  }
+
+  const snapshot = await loadSnapshot(orderId, { includeDriver: true });
+  if (!snapshot) return { error: 'Order not found' };
+  // Admins already receive everything through the admins room
+  return { room: audience === 'admin' ? null : ROOMS.order(orderId), snapshot };
+}
+
+module.exports = (io) => {
+  const nsp = io.of('/order-tracking');
+  nsp.use(trackingSocketAuth);
+
+  nsp.on('connection', (socket) => {
+    logger.info(`[OrderTracking] Connected: ${socket.audience} ${socket.userId}`);
+    if (socket.audience === 'admin') {
+      socket.join(ROOMS.admins);
+    }
+
+    socket.on('tracking:subscribe', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { room, snapshot, error } = await resolveSubscription(socket, data);
+        if (error) return reply({ ok: false, error });
+        if (room) socket.join(room);
+        return reply({ ok: true, snapshot });
+      } catch (err) {
+        logger.error('[OrderTracking] subscribe error', { message: err.message });
+        return reply({ ok: false, error: 'Could not subscribe to this order' });
+      }
+    });
+
+    socket.on('tracking:unsubscribe', (data, ack) => {
+      const orderId = validId(data?.orderId);
+      const sellerOrderId = validId(data?.sellerOrderId);
+      if (orderId) socket.leave(ROOMS.order(orderId));
+      if (sellerOrderId) socket.leave(ROOMS.sellerOrder(sellerOrderId));
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+  });
+
+  orderTrackingRealtimeService.attachNamespace(nsp);
+  return nsp;
+};
@@ -0,0 +1,30 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Handshake helpers shared by the Socket.io handlers (chat, order tracking).
+ * Sockets authenticate with the same JWT cookies as the REST API.
+ */
+
+const parseCookies = (cookieStr) => {
+  const out = {};
+  if (!cookieStr) return out;
+  cookieStr.split(';').forEach((part) => {
+    const eq = part.indexOf('=');
+    if (eq < 0) return;
+    const key = part.slice(0, eq).trim();
+    const raw = part.slice(eq + 1).trim();
+    try { out[key] = decodeURIComponent(raw); } catch { out[key] = raw; }
+  });
+  return out;
+};
+
+const decodeToken = (token) => {
+  if (!token) return null;
+  try { return jwt.verify(token, process.env.JWT_SECRET); }
+  catch { return null; }
+};
+
+module.exports = {
+  parseCookies,
+  decodeToken,
+};
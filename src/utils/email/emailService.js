@@ -61,8 +61,8 @@ const sendPasswordResetEmail = async (toEmail, resetToken, name) => {
   return resendService.sendPasswordResetEmail(toEmail, resetToken, name);
 };
 
-const sendOrderConfirmationEmail = async (toEmail, order, name) => {
-  return resendService.sendOrderConfirmationEmail(toEmail, order, name);
+const sendOrderConfirmationEmail = async (toEmail, order, name, paymentMethod, options) => {
+  return resendService.sendOrderConfirmationEmail(toEmail, order, name, paymentMethod, options);
 };
 
 const sendOrderDetailEmail = async (toEmail, order, name) => {
@@ -70,45 +70,25 @@ const sendOrderDetailEmail = async (toEmail, order, name) => {
 };
 
 /**
- * Send SMS message (stub implementation)
- * 
- * NOTE: This is a placeholder function. SMS functionality needs to be implemented
- * using a proper SMS service provider (e.g., Twilio, AWS SNS, etc.).
- * 
- * Currently, this function logs the SMS message to the console for development.
- * In production, replace this with actual SMS service integration.
- * 
+ * Send an SMS with a custom body (kept for older callers).
+ * New code should call services/sms/smsService.sendSms with a template so opt-outs and
+ * the ledger category are applied.
+ *
  * @param {Object} data - SMS data
  * @param {string} data.to - Recipient phone number
  * @param {string} data.message - SMS message content
- * @returns {Promise<Object>} SMS service response
+ * @returns {Promise<Object>} SmsMessage ledger row
  */
 const sendSMS = async (data) => {
   const { to, message } = data;
-  
+
   if (!to || !message) {
     throw new Error('SMS requires both "to" (phone number) and "message" fields.');
   }
 
-  // TODO: Implement actual SMS service integration
-  // Options:
-  // 1. Twilio: https://www.twilio.com/docs/sms
-  // 2. AWS SNS: https://docs.aws.amazon.com/sns/latest/dg/sms_publish-to-phone.html
-  // 3. Other SMS providers
-  
-  // For now, log to console (development only)
-  logger.info('[SMS Service] 📱 SMS would be sent:');
-  logger.info(`  To: ${to}`);
-  logger.info(`  Message: ${message}`);
-  logger.info('[SMS Service] ⚠️  SMS service not implemented. Please integrate a proper SMS provider.');
-  
-  // Return a mock success response
-  return {
-    success: true,
-    message: 'SMS logged (SMS service not implemented)',
-    to,
-    messageId: `mock-${Date.now()}`,
-  };
+  // Lazy require: smsService loads models, and this module is imported very early
+  const smsService = require('../../services/sms/smsService');
+  return smsService.sendSms({ to, message, category: data.category || 'security', recipient: data.recipient });
 };
 
 module.exports = {
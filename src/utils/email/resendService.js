@@ -117,6 +117,11 @@ const sendEmail = async (data) => {
     emailPayload.bcc = data.bcc;
   }
 
+  // [{ filename, content: Buffer | base64 string }]
+  if (Array.isArray(data.attachments) && data.attachments.length > 0) {
+    emailPayload.attachments = data.attachments;
+  }
+
   try {
     logger.info('[Resend] 📤 Attempting to send email', {
       to,
@@ -414,8 +419,10 @@ const sendLoginOtpEmail = async (toEmail, otp, name = 'User') => {
  * @param {Object} order - full order document
  * @param {string} name - customer name
  * @param {string} paymentMethod - 'paystack'|'mobile_money'|'credit_balance'|'payment_on_delivery'
+ * @param {Object} [options]
+ * @param {Array} [options.attachments] - e.g. the invoice PDF
  */
-const sendOrderConfirmationEmail = async (toEmail, order, name = 'Customer', paymentMethod = null) => {
+const sendOrderConfirmationEmail = async (toEmail, order, name = 'Customer', paymentMethod = null, { attachments = [] } = {}) => {
   const brandConfig = getBrandConfig();
   const orderUrl = `${brandConfig.url}/orders/${order._id || order.id}`;
   const orderNumber = order.orderNumber || order._id || 'N/A';
@@ -540,6 +547,7 @@ const sendOrderConfirmationEmail = async (toEmail, order, name = 'Customer', pay
     subject,
     text: `${statusTitle} - Order #${orderNumber}. Hi ${name}, ${statusMessage} Total: GH₵${orderTotal.toFixed(2)}. View your order: ${orderUrl}`,
     html: htmlContent,
+    attachments,
   });
 };
 
@@ -276,6 +276,15 @@ const handleSuccessfulLogin = async (req, res, user, role, options = {}) => {
     }
   }
 
+  // Fold a cart filled before signing in into the buyer's cart and report what changed
+  if (role === 'buyer') {
+    const { mergeGuestCart, getGuestCartToken } = require('../../services/cart/guestCartService');
+    const cartMerge = await mergeGuestCart(user._id, getGuestCartToken(req));
+    if (cartMerge) {
+      response.cartMerge = cartMerge;
+    }
+  }
+
   return response;
 };
 
@@ -0,0 +1,26 @@
+/**
+ * Run an async function over a list a few items at a time.
+ * Sweeps that email or push to many recipients use this instead of one Promise.all over the
+ * whole page, so a burst never exceeds what the email / push providers accept.
+ */
+
+/**
+ * Map `items` through `fn` in consecutive chunks of `size`: the items of one chunk run
+ * concurrently, and a chunk only starts once the previous one has settled. Results keep the
+ * order of `items`.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} size - maximum number of `fn` calls in flight
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapInChunks(items, size, fn) {
+  const results = [];
+  for (let start = 0; start < items.length; start += size) {
+    const chunk = items.slice(start, start + size);
+    results.push(...(await Promise.all(chunk.map((item, offset) => fn(item, start + offset)))));
+  }
+  return results;
+}
+
+module.exports = { mapInChunks };
@@ -33,9 +33,22 @@ exports.sendPaymentNotification = async (user, action, paymentRequest) => {
     });
   }
 
-  // Send via SMS if phone exists (pseudo-code)
+  // Send via SMS if phone exists (honours the seller's SMS alert preference)
   if (user.phone) {
-    logger.info(`Sending SMS to ${user.phone}: ${message}`);
-    // Actual SMS integration would go here
+    const smsService = require('../../services/sms/smsService');
+    try {
+      await smsService.sendSms({
+        to: user.phone,
+        template: 'payoutAlert',
+        data: {
+          amount: paymentRequest.amount,
+          status: action,
+          reason: paymentRequest.rejectionReason,
+        },
+        recipient: { id: user._id, role: 'seller' },
+      });
+    } catch (error) {
+      logger.warn(`[sendPaymentNotification] SMS not sent to ${user.phone}: ${error.message}`);
+    }
   }
 };
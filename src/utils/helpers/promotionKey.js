@@ -0,0 +1,59 @@
+/**
+ * Promotion keys link products (product.promotionKey), seller discounts and ads
+ * (/offers/:key links) to the same campaign.
+ */
+
+/**
+ * Decode a path or query segment that may be URI-encoded (e.g. easter%20promo).
+ * @param {unknown} raw
+ * @returns {string}
+ */
+function decodePromoKeyInput(raw) {
+  if (raw == null || raw === '') return '';
+  const s = String(raw).trim();
+  try {
+    return decodeURIComponent(s.replace(/\+/g, ' '));
+  } catch {
+    return s;
+  }
+}
+
+/**
+ * Normalize promotion key for comparison (e.g. "Ramdan-Special" -> "ramdan-special";
+ * "easter%20promo" / "Easter Promo" -> "easter-promo").
+ * @param {unknown} key
+ * @returns {string}
+ */
+function normalizePromoKey(key) {
+  if (key == null || key === '') return '';
+  const decoded = decodePromoKeyInput(key);
+  if (!decoded) return '';
+  return decoded.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Extract promotion key from ad link (e.g. https://site.com/offers/ramdan-special -> "ramdan-special";
+ * encoded segments like /offers/easter%20promo -> "easter-promo").
+ * Matches frontend useAds extractPromotionKeyFromLink.
+ */
+function getPromotionKeyFromLink(link) {
+  if (!link || typeof link !== 'string') return '';
+  const raw = String(link).trim();
+  try {
+    if (/^https?:\/\//i.test(raw)) {
+      const url = new URL(raw);
+      const match = url.pathname.match(/\/offers\/([^/?#]+)/i);
+      return match ? normalizePromoKey(match[1]) : '';
+    }
+    const match = raw.match(/\/offers\/([^/?#]+)/i);
+    return match ? normalizePromoKey(match[1]) : '';
+  } catch {
+    return '';
+  }
+}
+
+module.exports = {
+  decodePromoKeyInput,
+  normalizePromoKey,
+  getPromotionKeyFromLink,
+};
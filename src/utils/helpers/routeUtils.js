@@ -13,6 +13,9 @@ const publicRoutes = [
   { path: '/api/v1/product/eazshop', methods: ['GET'] }, // Public EazShop products
   { path: '/api/v1/categories/parents', methods: ['GET'] },
   { path: '/api/v1/wishlist/sync', methods: ['POST'] },
+  // Guest cart - authorized by the X-Guest-Cart-Token header, not cookies, so CSRF does not apply
+  { path: '/api/v1/cart/guest', methods: ['POST', 'DELETE'] },
+  { path: '/api/v1/cart/guest/items/*', methods: ['PATCH', 'DELETE'] },
   { path: '/api/v1/product/category-counts', methods: ['GET'] },
   { path: '/api/v1/neighborhoods', methods: ['GET'] }, // Public neighborhood routes
   { path: '/api/v1/neighborhoods/search', methods: ['GET'] },
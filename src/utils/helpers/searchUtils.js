@@ -107,8 +107,8 @@ exports.buildFuzzyRegexes = (query) => {
 
 /**
  * Expand search keywords (hybrid: AI + rule-based)
- * Uses AI if available, falls back to rule-based expansion
- * Example: "phone cover" -> ["phone cover", "phone case", "iphone case", "samsung case"]
+ * Uses AI if available, falls back to the suggestion synonyms (searchRulesService)
+ * Example: "phone cover" -> ["phone cover", "phone case", "iphone cover", "mobile cover"]
  * @param {string} query - Search query
  * @param {boolean} useAI - Whether to use AI expansion (default: true if available)
  * @returns {Promise<string[]>} - Array of expanded search terms
@@ -117,11 +117,12 @@ exports.expandKeywords = async (query, useAI = true) => {
   const normalized = exports.normalizeQuery(query);
   if (!normalized) return [];
 
+  const logger = require('../logger');
+
   // Try AI expansion first if enabled
   if (useAI) {
     try {
       const aiSearchService = require('../../services/aiSearchService');
-      const logger = require('../logger');
       if (aiSearchService.isAIEnabled()) {
         const aiExpanded = await aiSearchService.expandKeywordsWithAI(normalized);
         if (aiExpanded && aiExpanded.length > 1) {
@@ -133,33 +134,12 @@ exports.expandKeywords = async (query, useAI = true) => {
     }
   }
 
-  // Fallback to rule-based expansion
-  const tokens = exports.tokenizeQuery(normalized);
-  const expanded = [normalized]; // Always include original
-
-  // Simple expansion rules
-  const expansionMap = {
-    cover: ['case', 'protector', 'shield'],
-    phone: ['iphone', 'samsung', 'mobile'],
-    case: ['cover', 'protector'],
-    bag: ['handbag', 'purse', 'tote'],
-    shoe: ['sneaker', 'footwear', 'boot'],
-  };
-
-  // Try to expand each token
-  tokens.forEach((token) => {
-    if (expansionMap[token]) {
-      expansionMap[token].forEach((expansion) => {
-        const expandedQuery = normalized.replace(token, expansion);
-        if (expandedQuery !== normalized) {
-          expanded.push(expandedQuery);
-        }
-      });
-    }
-  });
-
-  // Remove duplicates
-  return [...new Set(expanded)];
+  // Fallback to synonym expansion (always includes the original); suggestions may use the
+  // built-in synonyms, result matching does not
+  const { getSearchConfig, rewriteQuery } = require('../../services/search/searchRulesService');
+  const config = await getSearchConfig();
+  const rewrite = rewriteQuery(normalized, { ...config, synonyms: config.suggestionSynonyms });
+  return [...new Set([normalized, rewrite.corrected, ...rewrite.expansions])];
 };
 
 /**
@@ -194,37 +174,44 @@ exports.buildTextSearchQuery = (query) => {
  * Match every query token as a case-insensitive substring on key product fields.
  * Unlike MongoDB $text, this finds tokens inside words (e.g. "phone" matches "iPhone").
  * Multi-word queries use AND semantics: each token must match somewhere.
+ * With `segments` (from searchRulesService.rewriteQuery) each segment must match through
+ * its own term or any of its synonyms.
  * @param {string} query - Search query
+ * @param {{ term: string, alternatives: string[] }[]|null} segments - Rewritten query segments
  * @returns {Object|null} - A fragment suitable for { $and: [ buyerSafeFilter, fragment ] }
  */
-exports.buildInclusiveKeywordQuery = (query) => {
+exports.buildInclusiveKeywordQuery = (query, segments = null) => {
   const normalized = exports.normalizeQuery(query);
   if (!normalized || normalized.length < 2) return null;
 
   const tokens = exports.tokenizeQuery(normalized);
   if (tokens.length === 0) return null;
 
-  const matchTokenAcrossFields = (token) => {
-    const escaped = exports.escapeRegex(token);
+  const fieldsMatching = (term) => {
+    const escaped = exports.escapeRegex(term);
     const rx = new RegExp(escaped, 'i');
-    return {
-      $or: [
-        { name: rx },
-        { brand: rx },
-        { description: rx },
-        { tags: rx },
-        { 'manufacturer.name': rx },
-        { 'specifications.color.name': rx },
-        { 'variants.attributes.value': rx },
-      ],
-    };
+    return [
+      { name: rx },
+      { brand: rx },
+      { description: rx },
+      { tags: rx },
+      { 'manufacturer.name': rx },
+      { 'specifications.color.name': rx },
+      { 'variants.attributes.value': rx },
+    ];
   };
 
-  if (tokens.length === 1) {
-    return matchTokenAcrossFields(tokens[0]);
+  const clauses = segments?.length
+    ? segments.map(({ term, alternatives = [] }) => ({
+      $or: [term, ...alternatives].flatMap(fieldsMatching),
+    }))
+    : tokens.map((token) => ({ $or: fieldsMatching(token) }));
+
+  if (clauses.length === 1) {
+    return clauses[0];
   }
 
-  return { $and: tokens.map(matchTokenAcrossFields) };
+  return { $and: clauses };
 };
 
 /**
@@ -0,0 +1,43 @@
+/**
+ * Unit: back-in-stock restock detection and notification batch sizing (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/backInStockService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getNotificationBatchSize,
+  snapshotVariantStock,
+  findRestockedVariants,
+} = require('../../src/services/stock/backInStockService');
+
+const variant = (id, stock) => ({ _id: { toString: () => id }, stock });
+
+describe('findRestockedVariants', () => {
+  test('returns only variants that went from zero to positive stock', () => {
+    const before = snapshotVariantStock({ variants: [variant('a', 0), variant('b', 0), variant('c', 4)] });
+    const after = { variants: [variant('a', 6), variant('b', 0), variant('c', 9)] };
+    assert.deepStrictEqual(findRestockedVariants(before, after).map((v) => v._id.toString()), ['a']);
+  });
+
+  test('ignores variants added in the same update', () => {
+    const before = snapshotVariantStock({ variants: [] });
+    assert.deepStrictEqual(findRestockedVariants(before, { variants: [variant('new', 10)] }), []);
+  });
+});
+
+describe('getNotificationBatchSize', () => {
+  test('notifies three subscribers per unit by default', () => {
+    assert.strictEqual(getNotificationBatchSize(1), 3);
+    assert.strictEqual(getNotificationBatchSize(10), 30);
+  });
+
+  test('is capped and zero when sold out', () => {
+    assert.strictEqual(getNotificationBatchSize(10000), 500);
+    assert.strictEqual(getNotificationBatchSize(0), 0);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit: abandoned cart reminder scheduling and cart pricing (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/cartRecoveryService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { getDueReminderStep, priceCartItems } = require('../../src/services/cart/cartRecoveryService');
+
+const id = (value) => ({ toString: () => value });
+
+describe('getDueReminderStep', () => {
+  const schedule = [4, 24];
+
+  test('sends each step once its delay has passed', () => {
+    assert.strictEqual(getDueReminderStep(3, 0, schedule), null);
+    assert.strictEqual(getDueReminderStep(5, 0, schedule), 1);
+    assert.strictEqual(getDueReminderStep(10, 1, schedule), null);
+    assert.strictEqual(getDueReminderStep(30, 1, schedule), 2);
+  });
+
+  test('stops after the last step and ignores carts idle for too long', () => {
+    assert.strictEqual(getDueReminderStep(30, 2, schedule), null);
+    assert.strictEqual(getDueReminderStep(24 + 49, 0, schedule), null);
+  });
+});
+
+describe('priceCartItems', () => {
+  const products = [
+    {
+      _id: id('p1'),
+      name: 'Sneakers',
+      variants: [
+        { _id: id('v1'), name: '42', price: 100, priceInclVat: 115, stock: 3 },
+        { _id: id('v2'), name: '43', price: 100, priceInclVat: 115, stock: 0 },
+      ],
+    },
+    { _id: id('p2'), name: 'Hidden', isVisible: false, variants: [{ _id: id('v3'), price: 10, stock: 5 }] },
+  ];
+
+  test('uses current VAT-inclusive prices and drops unavailable lines', () => {
+    const { items, total } = priceCartItems(
+      [
+        { product: id('p1'), variant: 'v1', quantity: 2 },
+        { product: id('p1'), variant: 'v2', quantity: 1 },
+        { product: id('p2'), variant: 'v3', quantity: 1 },
+        { product: id('gone'), quantity: 1 },
+      ],
+      products,
+    );
+
+    assert.strictEqual(items.length, 1);
+    assert.strictEqual(items[0].variantName, '42');
+    assert.strictEqual(items[0].lineTotal, 230);
+    assert.strictEqual(total, 230);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit: personal data export lifecycle and the one-export-at-a-time guard (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/dataExportService.test.js
+ */
+
+'use strict';
+
+process.env.ENABLE_DATA_EXPORT = 'true';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+
+// dataExportService keeps its own reference to the dispatcher function, so stub it first
+const emailDispatcher = require('../../src/emails/emailDispatcher');
+const sentEmails = [];
+emailDispatcher.sendDataExportReady = async (user, downloadUrl) => {
+  sentEmails.push({ email: user.email, downloadUrl });
+};
+
+const { processDataExport } = require('../../src/services/user/dataExportService');
+const permissionController = require('../../src/controllers/buyer/permissionController');
+const User = require('../../src/models/user/userModel');
+const Job = require('../../src/models/job/jobModel');
+const { query } = require('./helpers/mongooseQuery');
+
+// Every model the export reads from, stubbed to return no rows
+const SECTION_MODELS = [
+  '../../src/models/user/addressModel',
+  '../../src/models/order/orderModel',
+  '../../src/models/order/OrderItemModel',
+  '../../src/models/product/reviewModel',
+  '../../src/models/product/wishListModel',
+  '../../src/models/user/browserHistoryModel',
+  '../../src/models/user/walletTransactionModel',
+  '../../src/models/chat/chatConversationModel',
+  '../../src/models/chat/chatMessageModel',
+  '../../src/models/support/supportTicketModel',
+  '../../src/models/support/supportMessageModel',
+  '../../src/models/user/deviceSessionModel',
+].map((modulePath) => require(modulePath));
+
+describe('processDataExport', () => {
+  let statusUpdates;
+  let originals;
+
+  beforeEach(() => {
+    statusUpdates = [];
+    sentEmails.length = 0;
+    originals = {
+      finds: SECTION_MODELS.map((Model) => Model.find),
+      findById: User.findById,
+      updateOne: User.updateOne,
+      upload: cloudinary.uploader.upload,
+      downloadUrl: cloudinary.utils.private_download_url,
+    };
+    SECTION_MODELS.forEach((Model) => {
+      Model.find = () => query([]);
+    });
+    User.findById = () => query({
+      email: 'ama@example.com',
+      name: 'Ama',
+      toJSON: () => ({ name: 'Ama', email: 'ama@example.com', emailVerificationToken: 'secret' }),
+    });
+    User.updateOne = async (filter, update) => {
+      statusUpdates.push(update.$set);
+    };
+    cloudinary.uploader.upload = async (filePath, options) => ({ public_id: options.public_id });
+    cloudinary.utils.private_download_url = (storageKey) => `https://files.test/${storageKey}`;
+  });
+
+  afterEach(() => {
+    SECTION_MODELS.forEach((Model, i) => {
+      Model.find = originals.finds[i];
+    });
+    User.findById = originals.findById;
+    User.updateOne = originals.updateOne;
+    cloudinary.uploader.upload = originals.upload;
+    cloudinary.utils.private_download_url = originals.downloadUrl;
+  });
+
+  const job = (attempts, exportId = 'exp1') => ({
+    payload: { userId: 'u1', exportId },
+    attempts,
+    maxAttempts: 3,
+  });
+
+  test('builds, stores and emails the bundle, moving pending -> processing -> completed', async () => {
+    const result = await processDataExport(job(1));
+
+    assert.deepStrictEqual(statusUpdates.map((s) => s['dataExports.$.status']), ['processing', 'completed']);
+    const completed = statusUpdates[1];
+    assert.strictEqual(completed['dataExports.$.storageKey'], result.storageKey);
+    assert.match(result.storageKey, /user-exports\/export-u1-exp1\.zip$/);
+    assert.ok(completed['dataExports.$.fileSize'] > 0);
+    assert.ok(completed['dataExports.$.expiresAt'] > completed['dataExports.$.completedAt']);
+    assert.deepStrictEqual(sentEmails, [{ email: 'ama@example.com', downloadUrl: completed['dataExports.$.downloadUrl'] }]);
+    // The temporary ZIP is removed before the job finishes
+    assert.strictEqual(fs.existsSync(path.join(os.tmpdir(), 'data-export-exp1.zip')), false);
+  });
+
+  test('a failed attempt goes back to pending while the queue will retry', async () => {
+    cloudinary.uploader.upload = async () => {
+      throw new Error('upload timed out');
+    };
+    await assert.rejects(processDataExport(job(1, 'exp2')), /upload timed out/);
+    assert.deepStrictEqual(statusUpdates.map((s) => s['dataExports.$.status']), ['processing', 'pending']);
+    assert.strictEqual(sentEmails.length, 0);
+  });
+
+  test('the final failed attempt marks the export failed', async () => {
+    cloudinary.uploader.upload = async () => {
+      throw new Error('upload timed out');
+    };
+    await assert.rejects(processDataExport(job(3, 'exp3')), /upload timed out/);
+    assert.deepStrictEqual(statusUpdates.map((s) => s['dataExports.$.status']), ['processing', 'failed']);
+  });
+});
+
+describe('requestDataDownload', () => {
+  let originals;
+
+  beforeEach(() => {
+    originals = {
+      exists: User.exists,
+      findByIdAndUpdate: User.findByIdAndUpdate,
+      create: Job.create,
+    };
+  });
+
+  afterEach(() => {
+    User.exists = originals.exists;
+    User.findByIdAndUpdate = originals.findByIdAndUpdate;
+    Job.create = originals.create;
+  });
+
+  // Resolves with the response or the error passed to next()
+  const run = (req) => new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        res.statusCode = code;
+        return res;
+      },
+      json(body) {
+        resolve({ statusCode: res.statusCode, body });
+        return res;
+      },
+    };
+    permissionController.requestDataDownload(req, res, (error) => resolve({ error }));
+  });
+
+  const request = () => ({ headers: {}, user: { id: '64b000000000000000000001' } });
+
+  test('refuses a second export while one is pending or processing', async () => {
+    let filter;
+    User.exists = async (f) => {
+      filter = f;
+      return { _id: f._id };
+    };
+    User.findByIdAndUpdate = async () => assert.fail('no new export should be recorded');
+
+    const { error } = await run(request());
+    assert.strictEqual(error.statusCode, 409);
+    assert.match(error.message, /already being prepared/);
+    assert.deepStrictEqual(filter.dataExports.$elemMatch.status.$in, ['pending', 'processing']);
+  });
+
+  test('records a pending export and queues it once', async () => {
+    let pushed;
+    let queued;
+    User.exists = async () => null;
+    User.findByIdAndUpdate = async (id, update) => {
+      pushed = update.$push.dataExports;
+      return { _id: id };
+    };
+    Job.create = async (doc) => {
+      queued = doc;
+      return doc;
+    };
+
+    const { statusCode, body } = await run(request());
+    assert.strictEqual(statusCode, 202);
+    assert.strictEqual(pushed.status, 'pending');
+    assert.strictEqual(String(body.exportId), String(pushed.exportId));
+    assert.strictEqual(queued.queue, 'data-export');
+    assert.strictEqual(queued.uniqueKey, `data-export:${pushed.exportId}`);
+    assert.strictEqual(queued.maxAttempts, 3);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit: license key fulfilment, digital download links, download counting and the buyer view (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/digitalDeliveryService.test.js
+ */
+
+'use strict';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+const {
+  fulfillItem,
+  createDownloadToken,
+  buildDigitalItemsView,
+  redeemDownloadToken,
+} = require('../../src/services/order/digitalDeliveryService');
+const OrderItems = require('../../src/models/order/OrderItemModel');
+const Product = require('../../src/models/product/productModel');
+const LicenseKey = require('../../src/models/product/licenseKeyModel');
+const { query } = require('./helpers/mongooseQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fileLine = (delivery = {}) => ({
+  _id: '64b000000000000000000001',
+  product: 'p1',
+  productName: 'Ghana Cookbook (PDF)',
+  isDigital: true,
+  digitalDelivery: {
+    type: 'file',
+    status: 'delivered',
+    expiresAt: new Date(Date.now() + 7 * DAY_MS),
+    downloadLimit: 5,
+    downloadCount: 0,
+    ...delivery,
+  },
+});
+
+describe('license key fulfilment', () => {
+  let pool;
+  let written;
+  let originals;
+
+  const line = { _id: 'oi1', product: 'p1', sku: 'SKU-1', quantity: 2, digitalDelivery: { status: 'pending' } };
+  const product = { _id: 'p1', digitalDeliveryType: 'license_key' };
+
+  beforeEach(() => {
+    pool = [{ _id: 'k1', key: 'AAAA', status: 'available' }, { _id: 'k2', key: 'BBBB', status: 'available' }];
+    written = null;
+    originals = {
+      claim: LicenseKey.findOneAndUpdate,
+      release: LicenseKey.updateMany,
+      updateOne: OrderItems.updateOne,
+      findById: OrderItems.findById,
+    };
+    LicenseKey.findOneAndUpdate = (filter, update) => ({
+      select: async () => {
+        const key = pool.find((k) => k.status === filter.status);
+        if (!key) return null;
+        Object.assign(key, update.$set);
+        return { _id: key._id, key: key.key };
+      },
+    });
+    LicenseKey.updateMany = async (filter, update) => {
+      pool.filter((k) => filter._id.$in.includes(k._id)).forEach((k) => Object.assign(k, update.$set));
+    };
+    OrderItems.updateOne = async (filter, update) => {
+      written = update.$set;
+      return { matchedCount: 1 };
+    };
+    OrderItems.findById = () => query({ digitalDelivery: { status: 'delivered' } });
+  });
+
+  afterEach(() => {
+    LicenseKey.findOneAndUpdate = originals.claim;
+    LicenseKey.updateMany = originals.release;
+    OrderItems.updateOne = originals.updateOne;
+    OrderItems.findById = originals.findById;
+  });
+
+  test('claims the missing keys and records them only if the line is unchanged', async () => {
+    assert.strictEqual(await fulfillItem(line, product, 'u1'), 'delivered');
+    assert.deepStrictEqual(written['digitalDelivery.licenseKeys'], ['AAAA', 'BBBB']);
+    assert.ok(pool.every((k) => k.status === 'assigned' && k.orderItem === 'oi1'));
+  });
+
+  test('a call that lost the race to fulfil the line puts its keys back', async () => {
+    OrderItems.updateOne = async (filter) => {
+      assert.ok(filter.$expr, 'the write is conditional on the key list read');
+      return { matchedCount: 0 };
+    };
+    assert.strictEqual(await fulfillItem(line, product, 'u1'), 'delivered');
+    assert.ok(pool.every((k) => k.status === 'available' && k.orderItem === null));
+  });
+});
+
+describe('download links', () => {
+  test('only delivered, unexpired file lines get a link', () => {
+    const token = createDownloadToken(fileLine());
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    assert.strictEqual(payload.purpose, 'digital_download');
+    assert.strictEqual(payload.orderItem, '64b000000000000000000001');
+
+    assert.strictEqual(createDownloadToken(fileLine({ expiresAt: new Date(Date.now() - 1000) })), null);
+    assert.strictEqual(createDownloadToken(fileLine({ status: 'pending' })), null);
+    assert.strictEqual(createDownloadToken(fileLine({ type: 'license_key' })), null);
+  });
+
+  test('the link never outlives the download window', () => {
+    const token = createDownloadToken(fileLine({ expiresAt: new Date(Date.now() + 60 * 1000) }));
+    const { exp } = jwt.decode(token);
+    assert.ok(exp * 1000 <= Date.now() + 61 * 1000);
+  });
+
+  test('buyer view shows remaining downloads and hides the link once used up', () => {
+    const [open] = buildDigitalItemsView([fileLine({ downloadCount: 2 })], 'https://api.test/dl');
+    assert.strictEqual(open.downloadsRemaining, 3);
+    assert.ok(open.downloadUrl.startsWith('https://api.test/dl/'));
+
+    const [usedUp] = buildDigitalItemsView([fileLine({ downloadCount: 5 })], 'https://api.test/dl');
+    assert.strictEqual(usedUp.downloadsRemaining, 0);
+    assert.strictEqual(usedUp.downloadUrl, null);
+
+    assert.deepStrictEqual(buildDigitalItemsView([{ ...fileLine(), isDigital: false }], 'x'), []);
+  });
+});
+
+describe('redeemDownloadToken', () => {
+  let increments;
+  let product;
+  let originals;
+
+  beforeEach(() => {
+    increments = 0;
+    product = { name: 'Ghana Cookbook', digitalFile: { url: 'https://files.test/cookbook.pdf', name: 'cookbook.pdf' } };
+    originals = {
+      findById: OrderItems.findById,
+      findOneAndUpdate: OrderItems.findOneAndUpdate,
+      productFindById: Product.findById,
+    };
+    OrderItems.findById = () => query({ _id: '64b000000000000000000001', product: 'p1' });
+    OrderItems.findOneAndUpdate = async (filter, update) => {
+      increments += update.$inc['digitalDelivery.downloadCount'];
+      return { _id: filter._id, product: 'p1' };
+    };
+    Product.findById = () => query(product);
+  });
+
+  afterEach(() => {
+    OrderItems.findById = originals.findById;
+    OrderItems.findOneAndUpdate = originals.findOneAndUpdate;
+    Product.findById = originals.productFindById;
+  });
+
+  test('counts the download and returns the file location', async () => {
+    const result = await redeemDownloadToken(createDownloadToken(fileLine()));
+    assert.deepStrictEqual(result, { url: 'https://files.test/cookbook.pdf', fileName: 'cookbook.pdf' });
+    assert.strictEqual(increments, 1);
+  });
+
+  test('a missing file does not use up a download', async () => {
+    product = { name: 'Ghana Cookbook', digitalFile: {} };
+    await assert.rejects(
+      redeemDownloadToken(createDownloadToken(fileLine())),
+      (error) => error.statusCode === 404,
+    );
+    assert.strictEqual(increments, 0);
+  });
+
+  test('rejects tampered tokens and tokens for other purposes', async () => {
+    const token = createDownloadToken(fileLine());
+    await assert.rejects(redeemDownloadToken(`${token}x`), (error) => error.statusCode === 410);
+    const other = jwt.sign({ purpose: 'guest_cart', orderItem: 'x' }, process.env.JWT_SECRET);
+    await assert.rejects(redeemDownloadToken(other), (error) => error.statusCode === 410);
+    assert.strictEqual(increments, 0);
+  });
+
+  test('refuses once the limit is reached or the window has closed', async () => {
+    OrderItems.findOneAndUpdate = async () => null;
+    await assert.rejects(
+      redeemDownloadToken(createDownloadToken(fileLine())),
+      (error) => error.statusCode === 403 && /Download limit reached/.test(error.message),
+    );
+  });
+});
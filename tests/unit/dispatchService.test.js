@@ -0,0 +1,112 @@
+/**
+ * Unit: rider dispatch job transitions, delivery PIN, proof and driver selection (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/dispatchService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_PIN_ATTEMPTS,
+  generateDeliveryPin,
+  checkJobTransition,
+  verifyDeliveryPin,
+  checkDeliveryProof,
+  pickDriver,
+} = require('../../src/services/order/dispatchService');
+const { checkTransition } = require('../../src/services/order/orderLifecycleService');
+
+const DRIVER_ID = '64b000000000000000000d01';
+const driver = { id: DRIVER_ID, role: 'driver' };
+const admin = { id: 'admin-1', role: 'admin' };
+
+describe('checkJobTransition', () => {
+  test('drivers work their own jobs in order', () => {
+    const job = { status: 'assigned', driver: DRIVER_ID };
+    assert.strictEqual(checkJobTransition(job, 'accepted', driver).allowed, true);
+    assert.strictEqual(checkJobTransition(job, 'out_for_delivery', driver).allowed, false);
+    assert.strictEqual(
+      checkJobTransition({ status: 'delivery_attempted', driver: DRIVER_ID }, 'out_for_delivery', driver).allowed,
+      true,
+    );
+
+    const other = checkJobTransition(job, 'accepted', { id: 'someone-else', role: 'driver' });
+    assert.deepStrictEqual([other.allowed, other.statusCode], [false, 403]);
+  });
+
+  test('only admins cancel, and they cannot drive the job themselves', () => {
+    const job = { status: 'out_for_delivery', driver: DRIVER_ID };
+    assert.strictEqual(checkJobTransition(job, 'cancelled', admin).allowed, true);
+    assert.strictEqual(checkJobTransition(job, 'delivered', admin).statusCode, 403);
+    assert.strictEqual(checkJobTransition(job, 'cancelled', driver).statusCode, 403);
+    assert.strictEqual(checkJobTransition({ ...job, status: 'delivered' }, 'cancelled', admin).allowed, false);
+  });
+});
+
+describe('delivery PIN', () => {
+  test('a fresh PIN verifies once issued and is six digits', () => {
+    const now = new Date('2026-01-01T10:00:00Z');
+    const { pin, hash, expiresAt } = generateDeliveryPin(now);
+    assert.match(pin, /^\d{6}$/);
+    assert.strictEqual(verifyDeliveryPin({ hash, expiresAt }, pin, now).valid, true);
+    const wrongPin = String((Number(pin) + 1) % 1000000).padStart(6, '0');
+    assert.strictEqual(verifyDeliveryPin({ hash, expiresAt }, wrongPin, now).valid, false);
+  });
+
+  test('expired or locked PINs are refused', () => {
+    const now = new Date('2026-01-01T10:00:00Z');
+    const { pin, hash, expiresAt } = generateDeliveryPin(now);
+    const later = new Date(expiresAt.getTime() + 1000);
+    assert.match(verifyDeliveryPin({ hash, expiresAt }, pin, later).reason, /expired/);
+
+    const locked = verifyDeliveryPin({ hash, expiresAt, failedAttempts: MAX_PIN_ATTEMPTS }, pin, now);
+    assert.deepStrictEqual([locked.valid, locked.statusCode], [false, 429]);
+    assert.match(verifyDeliveryPin({}, pin, now).reason, /No delivery PIN/);
+  });
+});
+
+describe('checkDeliveryProof', () => {
+  test('needs the PIN and a photo or signature', () => {
+    const job = { cod: { amountDue: 0 } };
+    assert.match(checkDeliveryProof(job, { photoUrl: 'p.jpg' }), /PIN/);
+    assert.match(checkDeliveryProof(job, { pin: '123456' }), /photo or the recipient's signature/);
+    assert.strictEqual(checkDeliveryProof(job, { pin: '123456', signatureUrl: 's.png' }), null);
+  });
+
+  test('cash-on-delivery jobs need the full amount', () => {
+    const job = { cod: { amountDue: 150.5 } };
+    const proof = { pin: '123456', photoUrl: 'p.jpg' };
+    assert.match(checkDeliveryProof(job, { ...proof, codAmount: 100 }), /GH₵150.50/);
+    assert.strictEqual(checkDeliveryProof(job, { ...proof, codAmount: '150.50' }), null);
+  });
+});
+
+describe('pickDriver', () => {
+  const drivers = [
+    { _id: 'd1', driverProfile: { isAvailable: true, zones: ['A', 'B'] } },
+    { _id: 'd2', driverProfile: { isAvailable: true, zones: ['A'] } },
+    { _id: 'd3', driverProfile: { isAvailable: false, zones: ['A'] } },
+  ];
+
+  test('picks the least busy available driver in the zone', () => {
+    assert.strictEqual(pickDriver(drivers, 'A', new Map([['d1', 3], ['d2', 1]]))._id, 'd2');
+    assert.strictEqual(pickDriver(drivers, 'B', new Map([['d1', 3]]))._id, 'd1');
+    assert.strictEqual(pickDriver(drivers, 'C'), null);
+  });
+});
+
+describe('driver actor in the order lifecycle', () => {
+  const order = { orderType: 'normal', currentStatus: 'ready_for_dispatch', paymentStatus: 'pending', paymentMethod: 'payment_on_delivery' };
+
+  test('drivers only report doorstep steps', () => {
+    assert.strictEqual(checkTransition(order, 'out_for_delivery', 'driver').allowed, true);
+    assert.strictEqual(
+      checkTransition({ ...order, currentStatus: 'out_for_delivery' }, 'delivered', 'driver').allowed,
+      true,
+    );
+    assert.strictEqual(checkTransition(order, 'cancelled', 'driver').statusCode, 403);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit: local embedding provider, embedding staleness and top-k similarity (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/embeddingService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const localProvider = require('../../src/services/ai/localProvider');
+const {
+  productEmbeddingText,
+  needsEmbedding,
+  cosineSimilarity,
+  createTopK,
+} = require('../../src/services/search/embeddingService');
+
+describe('local embedding provider', () => {
+  test('is deterministic and unit length', async () => {
+    const [a, b] = await localProvider.embed(['Wireless Bluetooth Headphones', 'Wireless Bluetooth Headphones']);
+    assert.strictEqual(a.length, localProvider.dimensions);
+    assert.deepStrictEqual(a, b);
+    const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-3);
+  });
+
+  test('related product texts score higher than unrelated ones', () => {
+    const query = localProvider.embedText('iphone case');
+    const related = localProvider.embedText('Clear silicone case for iPhones');
+    const unrelated = localProvider.embedText('Leather running shoes for men');
+    assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+  });
+
+  test('ignores accents, punctuation and stopwords', () => {
+    assert.deepStrictEqual(localProvider.tokenize('The Café-Crème, for you!'), ['cafe', 'creme']);
+    assert.ok(localProvider.embedText('!!').every((v) => v === 0));
+  });
+
+  test('has no chat model', () => {
+    assert.strictEqual(localProvider.chat, null);
+  });
+});
+
+describe('productEmbeddingText / needsEmbedding', () => {
+  const product = {
+    name: 'Galaxy S24',
+    brand: 'Samsung',
+    tags: ['phone'],
+    variants: [
+      { attributes: [{ key: 'Color', value: 'Black' }] },
+      { attributes: [{ key: 'Color', value: 'Black' }] },
+    ],
+    specifications: { color: [{ name: 'Black' }] },
+    description: 'x'.repeat(5000),
+  };
+
+  test('leads with name and brand, dedupes attributes and truncates the description', () => {
+    const text = productEmbeddingText(product);
+    assert.ok(text.startsWith('Galaxy S24 \nSamsung'));
+    assert.strictEqual(text.split('Color Black').length, 2);
+    assert.ok(text.length < 2200);
+  });
+
+  test('re-embeds on a new model or changed text only', () => {
+    const embedded = { embeddingUpdatedAt: new Date(), embeddingModel: 'local-hash-v1-256', embeddingTextHash: 'abc' };
+    assert.strictEqual(needsEmbedding(embedded, 'local-hash-v1-256', 'abc'), false);
+    assert.strictEqual(needsEmbedding(embedded, 'openai:text-embedding-3-small', 'abc'), true);
+    assert.strictEqual(needsEmbedding(embedded, 'local-hash-v1-256', 'def'), true);
+    assert.strictEqual(needsEmbedding({}, 'local-hash-v1-256', 'abc'), true);
+  });
+});
+
+describe('createTopK', () => {
+  test('keeps the best scores in descending order', () => {
+    const top = createTopK(2);
+    [[0.2, 'a'], [0.9, 'b'], [0.5, 'c'], [0.1, 'd']].forEach(([score, item]) => top.offer(score, item));
+    assert.deepStrictEqual(top.values().map((v) => v.item), ['b', 'c']);
+  });
+});
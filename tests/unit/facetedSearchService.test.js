@@ -0,0 +1,99 @@
+/**
+ * Unit: faceted search filter parsing and per-facet match building (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/facetedSearchService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseFacetFilters,
+  buildFilterClauses,
+  matchExcept,
+  priceBucketFor,
+} = require('../../src/services/search/facetedSearchService');
+
+const CATEGORY = '64b000000000000000000081';
+const SELLER = '64b000000000000000000082';
+
+describe('parseFacetFilters', () => {
+  test('splits comma-separated and repeated values into multi-select lists', () => {
+    const filters = parseFacetFilters({
+      brand: 'Apple, Samsung,Apple',
+      category: [CATEGORY],
+      condition: 'new,used,broken',
+      shippingType: 'heavy',
+      attr: { Color: 'Red,BLUE', Storage: '' },
+    });
+
+    assert.deepStrictEqual(filters.brands, ['Apple', 'Samsung']);
+    assert.deepStrictEqual(filters.categories.map(String), [CATEGORY]);
+    assert.deepStrictEqual(filters.conditions, ['new', 'used']);
+    assert.deepStrictEqual(filters.shippingTypes, ['heavy']);
+    assert.deepStrictEqual(filters.attributes, { color: ['red', 'blue'] });
+  });
+
+  test('parses price buckets and takes the lowest selected rating', () => {
+    const filters = parseFacetFilters({ price: '50-100,5000-', rating: '4,3' });
+    assert.deepStrictEqual(filters.priceRanges, [
+      { min: 50, max: 100 },
+      { min: 5000, max: null },
+    ]);
+    assert.strictEqual(filters.minRating, 3);
+  });
+
+  test('rejects malformed ids and price ranges', () => {
+    assert.throws(() => parseFacetFilters({ seller: 'nope' }), (err) => err.statusCode === 400);
+    assert.throws(() => parseFacetFilters({ price: '100-50' }), (err) => err.statusCode === 400);
+    assert.throws(() => parseFacetFilters({ price: 'cheap' }), (err) => err.statusCode === 400);
+  });
+});
+
+describe('buildFilterClauses / matchExcept', () => {
+  const filters = parseFacetFilters({
+    brand: 'Apple',
+    seller: SELLER,
+    rating: '4',
+    attr: { color: 'red' },
+    inStock: 'true',
+  });
+  const clauses = buildFilterClauses(filters);
+
+  test('each facet gets its own clause; stock stays a base filter', () => {
+    assert.deepStrictEqual(Object.keys(clauses.clauses).sort(), ['attr:color', 'brand', 'rating', 'seller']);
+    assert.deepStrictEqual(clauses.base, [{ totalStock: { $gt: 0 } }]);
+    assert.deepStrictEqual(clauses.clauses.rating, { ratingsAverage: { $gte: 4 }, ratingsQuantity: { $gt: 0 } });
+  });
+
+  test('a facet is counted without its own filter but with all others', () => {
+    const brandMatch = matchExcept(clauses, 'brand');
+    assert.strictEqual(brandMatch.$and.length, 4);
+    assert.ok(!brandMatch.$and.includes(clauses.clauses.brand));
+    assert.ok(brandMatch.$and.includes(clauses.clauses['attr:color']));
+
+    assert.strictEqual(matchExcept(clauses).$and.length, 5);
+    assert.deepStrictEqual(matchExcept(buildFilterClauses(parseFacetFilters({}))), {});
+  });
+
+  test('brand matching is exact and case-insensitive', () => {
+    const [regex] = clauses.clauses.brand.brand.$in;
+    assert.ok(regex.test('APPLE'));
+    assert.ok(!regex.test('Apple Inc'));
+  });
+
+  test('selecting "normal" shipping includes products without a shipping type', () => {
+    const { clauses: shipping } = buildFilterClauses(parseFacetFilters({ shippingType: 'normal' }));
+    assert.deepStrictEqual(shipping.shippingType, { shippingType: { $in: ['normal', null] } });
+  });
+});
+
+describe('priceBucketFor', () => {
+  test('buckets run to the next boundary; the last is open-ended', () => {
+    assert.deepStrictEqual(priceBucketFor(50), { min: 50, max: 100, value: '50-100' });
+    assert.deepStrictEqual(priceBucketFor(5000), { min: 5000, max: null, value: '5000-' });
+    assert.strictEqual(priceBucketFor(75), null);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit: guest cart tokens, guest → user cart reconciliation and the login merge (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/guestCartService.test.js
+ */
+
+'use strict';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+const {
+  issueGuestCartToken,
+  verifyGuestCartToken,
+  reconcileGuestItems,
+  mergeGuestCart,
+} = require('../../src/services/cart/guestCartService');
+const Cart = require('../../src/models/product/cartModel');
+const Product = require('../../src/models/product/productModel');
+const { query } = require('./helpers/mongooseQuery');
+
+const P1 = '64b000000000000000000001';
+const P2 = '64b000000000000000000002';
+const P3 = '64b000000000000000000003';
+const V1 = '64b0000000000000000000a1';
+const V2 = '64b0000000000000000000a2';
+
+const sellable = {
+  moderationStatus: 'approved',
+  status: 'active',
+  isVisible: true,
+};
+
+const productsById = new Map([
+  [P1, {
+    ...sellable,
+    _id: P1,
+    name: 'Sneakers',
+    variants: [
+      { _id: V1, stock: 5, status: 'active' },
+      { _id: V2, stock: 0, status: 'active' },
+    ],
+  }],
+  [P2, { ...sellable, _id: P2, name: 'Cap', variants: [{ _id: V1, stock: 10 }] }],
+  [P3, { ...sellable, _id: P3, name: 'Old shirt', moderationStatus: 'rejected', variants: [] }],
+]);
+
+describe('guest cart tokens', () => {
+  test('round-trips the guest id', () => {
+    const { guestId, token } = issueGuestCartToken();
+    assert.strictEqual(verifyGuestCartToken(token), guestId);
+  });
+
+  test('rejects tokens signed for another purpose or tampered with', () => {
+    const other = jwt.sign({ purpose: 'digital_download', guestId: 'x' }, process.env.JWT_SECRET);
+    assert.strictEqual(verifyGuestCartToken(other), null);
+    assert.strictEqual(verifyGuestCartToken(`${issueGuestCartToken().token}x`), null);
+    assert.strictEqual(verifyGuestCartToken(undefined), null);
+  });
+});
+
+describe('reconcileGuestItems', () => {
+  test('adds new lines and combines lines for the same product + variant', () => {
+    const { items, changes } = reconcileGuestItems(
+      [{ _id: 'line1', product: P1, variant: V1, quantity: 2 }],
+      [
+        { product: P1, variant: V1, quantity: 1 },
+        { product: P2, variant: V1, quantity: 3 },
+      ],
+      productsById,
+    );
+
+    assert.deepStrictEqual(
+      items.map((i) => [i.product, i.variant, i.quantity]),
+      [[P1, V1, 3], [P2, V1, 3]],
+    );
+    assert.strictEqual(items[0]._id, 'line1');
+    assert.deepStrictEqual(changes.map((c) => c.action), ['merged', 'added']);
+  });
+
+  test('caps combined quantities at available stock and reports the reduction', () => {
+    const { items, changes } = reconcileGuestItems(
+      [{ product: P1, variant: V1, quantity: 3 }],
+      [{ product: P1, variant: V1, quantity: 4 }],
+      productsById,
+    );
+
+    assert.strictEqual(items[0].quantity, 5);
+    assert.strictEqual(changes[0].action, 'quantity_reduced');
+    assert.strictEqual(changes[0].requested, 4);
+    assert.strictEqual(changes[0].quantity, 2);
+  });
+
+  test('drops out-of-stock, unsellable and unknown products without touching user lines', () => {
+    const { items, changes } = reconcileGuestItems(
+      [{ product: P1, variant: V1, quantity: 5 }],
+      [
+        { product: P1, variant: V2, quantity: 1 },
+        { product: P3, quantity: 1 },
+        { product: '64b000000000000000000009', quantity: 1 },
+        { product: P1, variant: V1, quantity: 1 },
+      ],
+      productsById,
+    );
+
+    assert.deepStrictEqual(items.map((i) => i.quantity), [5]);
+    assert.deepStrictEqual(
+      changes.map((c) => [c.action, c.reason]),
+      [
+        ['removed', 'out_of_stock'],
+        ['removed', 'unavailable'],
+        ['removed', 'unavailable'],
+        ['removed', 'already_in_cart'],
+      ],
+    );
+  });
+});
+
+describe('mergeGuestCart', () => {
+  let guestCart;
+  let userCart;
+  let originals;
+
+  beforeEach(() => {
+    guestCart = { _id: 'gc1', guestId: null, products: [{ product: P2, variant: V1, quantity: 2 }] };
+    userCart = {
+      products: [],
+      saved: 0,
+      async save() {
+        userCart.saved += 1;
+      },
+    };
+    originals = {
+      findOneAndUpdate: Cart.findOneAndUpdate,
+      findOne: Cart.findOne,
+      deleteOne: Cart.deleteOne,
+      updateOne: Cart.updateOne,
+      productFind: Product.find,
+    };
+
+    Cart.findOneAndUpdate = (filter, update) => {
+      const unclaimed = guestCart && guestCart.guestId === filter.guestId && !guestCart.guestMergeClaimedAt;
+      if (!unclaimed) return query(null);
+      Object.assign(guestCart, update.$set);
+      return query({ ...guestCart });
+    };
+    Cart.findOne = async () => userCart;
+    Cart.deleteOne = async (filter) => {
+      if (guestCart && filter.guestMergeClaimedAt === guestCart.guestMergeClaimedAt) guestCart = null;
+    };
+    Cart.updateOne = async (filter, update) => {
+      if (guestCart && update.$unset?.guestMergeClaimedAt) delete guestCart.guestMergeClaimedAt;
+    };
+    Product.find = () => query([productsById.get(P2)]);
+  });
+
+  afterEach(() => {
+    Object.assign(Cart, {
+      findOneAndUpdate: originals.findOneAndUpdate,
+      findOne: originals.findOne,
+      deleteOne: originals.deleteOne,
+      updateOne: originals.updateOne,
+    });
+    Product.find = originals.productFind;
+  });
+
+  const tokenFor = () => {
+    const { guestId, token } = issueGuestCartToken();
+    guestCart.guestId = guestId;
+    return token;
+  };
+
+  test('moves the lines into the user cart, then deletes the guest cart', async () => {
+    const result = await mergeGuestCart('u1', tokenFor());
+    assert.strictEqual(result.merged, 1);
+    assert.strictEqual(userCart.saved, 1);
+    assert.strictEqual(userCart.products[0].quantity, 2);
+    assert.strictEqual(guestCart, null);
+  });
+
+  test('a failed save keeps the guest cart for the next login', async () => {
+    userCart.save = async () => {
+      throw new Error('write conflict');
+    };
+    const token = tokenFor();
+
+    assert.strictEqual(await mergeGuestCart('u1', token), null);
+    assert.ok(guestCart);
+    assert.strictEqual(guestCart.products.length, 1);
+    assert.strictEqual(guestCart.guestMergeClaimedAt, undefined);
+
+    // The next attempt can claim and merge it
+    userCart.save = async () => {
+      userCart.saved += 1;
+    };
+    assert.strictEqual((await mergeGuestCart('u1', token)).merged, 1);
+    assert.strictEqual(guestCart, null);
+  });
+
+  test('a cart already claimed by another login is left alone', async () => {
+    const token = tokenFor();
+    guestCart.guestMergeClaimedAt = new Date();
+    assert.strictEqual(await mergeGuestCart('u1', token), null);
+    assert.strictEqual(userCart.saved, 0);
+    assert.ok(guestCart);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Test helper: chainable stand-in for a mongoose query, for stubbed model statics
+ * (find, findOne, findById, ...) to return.
+ */
+
+'use strict';
+
+const QUERY_METHODS = ['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'session'];
+
+/**
+ * A query resolving to `value`; the usual chain methods return the query itself.
+ * @param {*} value
+ */
+function query(value) {
+  const chain = {
+    then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); },
+  };
+  QUERY_METHODS.forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+}
+
+module.exports = { query };
@@ -0,0 +1,169 @@
+/**
+ * Unit: invoice numbering, GRA tax lines and PDF rendering (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/invoiceService.test.js
+ */
+
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const {
+  formatInvoiceNumber,
+  isInvoiceable,
+  assignInvoiceNumber,
+  buildInvoiceData,
+  renderInvoicesPdf,
+} = require('../../src/services/order/invoiceService');
+const Sequence = require('../../src/models/category/sequenceModel');
+const SellerOrder = require('../../src/models/order/sellerOrderModel');
+
+const sellerOrder = {
+  invoiceNumber: 'INV-000007',
+  items: [
+    { productName: 'Kente scarf', sku: 'KS-RED', variantName: 'Red', quantity: 2, price: 115, basePrice: 100, vat: 12.5, nhil: 2.5, getfund: 2.5 },
+    { productName: 'Shea butter', sku: 'SB-1', quantity: 1, price: 23, basePrice: 20, vat: 2.5, nhil: 0.5, getfund: 0.5 },
+  ],
+  subtotal: 243,
+  shippingCost: 15,
+  total: 258,
+  vatCollectedBy: 'platform',
+};
+const order = {
+  orderNumber: 'ORD-20260101-0001',
+  paymentStatus: 'paid',
+  paymentMethod: 'paystack',
+  user: { name: 'Ama', email: 'ama@example.com' },
+  shippingAddress: { fullName: 'Ama', streetAddress: '12 Oxford St', city: 'accra', contactPhone: '0240000000' },
+};
+const seller = { shopName: 'Ama Crafts', tin: 'P0012345678', isVatRegistered: true };
+
+describe('formatInvoiceNumber', () => {
+  test('pads the per-seller sequence', () => {
+    assert.strictEqual(formatInvoiceNumber(42), 'INV-000042');
+  });
+});
+
+describe('assignInvoiceNumber', () => {
+  const originals = {
+    startSession: mongoose.startSession,
+    increment: Sequence.findOneAndUpdate,
+    issue: SellerOrder.findOneAndUpdate,
+    findById: SellerOrder.findById,
+  };
+  let session;
+
+  const stubSession = () => {
+    session = {
+      attempts: 0,
+      aborted: false,
+      ended: false,
+      // Like the driver: retry the callback once after a transient write conflict
+      async withTransaction(fn) {
+        for (;;) {
+          session.attempts += 1;
+          try {
+            return await fn();
+          } catch (error) {
+            if (!error.transient || session.attempts > 1) throw error;
+          }
+        }
+      },
+      async abortTransaction() { session.aborted = true; },
+      endSession() { session.ended = true; },
+    };
+    mongoose.startSession = async () => session;
+  };
+
+  afterEach(() => {
+    mongoose.startSession = originals.startSession;
+    Sequence.findOneAndUpdate = originals.increment;
+    SellerOrder.findOneAndUpdate = originals.issue;
+    SellerOrder.findById = originals.findById;
+  });
+
+  test('numbers the seller order through a retried transaction', async () => {
+    stubSession();
+    let seq = 41;
+    Sequence.findOneAndUpdate = async () => {
+      if (session.attempts === 1) throw Object.assign(new Error('WriteConflict'), { transient: true });
+      seq += 1;
+      return { seq };
+    };
+    SellerOrder.findOneAndUpdate = (filter, update) => ({ select: async () => update.$set });
+
+    const issued = await assignInvoiceNumber({ _id: 'so1', seller: 's1' });
+    assert.strictEqual(issued.invoiceNumber, 'INV-000042');
+    assert.strictEqual(session.attempts, 2);
+    assert.strictEqual(session.ended, true);
+  });
+
+  test('a seller order numbered concurrently keeps its number and gives the sequence value back', async () => {
+    stubSession();
+    Sequence.findOneAndUpdate = async () => ({ seq: 43 });
+    SellerOrder.findOneAndUpdate = () => ({ select: async () => null });
+    SellerOrder.findById = () => ({
+      select() { return this; },
+      lean: async () => ({ invoiceNumber: 'INV-000042', invoiceIssuedAt: new Date('2026-10-01') }),
+    });
+
+    const issued = await assignInvoiceNumber({ _id: 'so1', seller: 's1' });
+    assert.strictEqual(issued.invoiceNumber, 'INV-000042');
+    assert.strictEqual(session.aborted, true);
+  });
+});
+
+describe('isInvoiceable', () => {
+  test('paid and delivered pay-on-delivery orders can be invoiced, unpaid or undelivered ones cannot', () => {
+    assert.strictEqual(isInvoiceable({ paymentStatus: 'paid' }), true);
+    assert.strictEqual(isInvoiceable({ paymentStatus: 'refunded', currentStatus: 'refunded' }), true);
+    assert.strictEqual(
+      isInvoiceable({ paymentStatus: 'pending', paymentMethod: 'payment_on_delivery', currentStatus: 'delivered' }),
+      true,
+    );
+    assert.strictEqual(isInvoiceable({ paymentStatus: 'pending', paymentMethod: 'paystack' }), false);
+    // Not numbered at checkout: the order may still be cancelled before delivery
+    assert.strictEqual(
+      isInvoiceable({ paymentStatus: 'pending', paymentMethod: 'payment_on_delivery', currentStatus: 'pending' }),
+      false,
+    );
+    assert.strictEqual(
+      isInvoiceable({ paymentStatus: 'pending', paymentMethod: 'payment_on_delivery', currentStatus: 'cancelled' }),
+      false,
+    );
+  });
+});
+
+describe('buildInvoiceData', () => {
+  test('builds per-line taxes and totals from the order snapshot', () => {
+    const data = buildInvoiceData({ sellerOrder, order, seller });
+
+    assert.deepStrictEqual(data.lines[0], {
+      description: 'Kente scarf (Red)',
+      sku: 'KS-RED',
+      quantity: 2,
+      unitPrice: 115,
+      netAmount: 200,
+      vat: 25,
+      nhil: 5,
+      getfund: 5,
+      total: 230,
+    });
+    assert.strictEqual(data.totals.itemsTotal, 253);
+    assert.strictEqual(data.totals.netAmount, 220);
+    assert.strictEqual(data.totals.vat, 27.5);
+    assert.strictEqual(data.totals.discount, 10);
+    assert.strictEqual(data.totals.total, 258);
+    assert.strictEqual(data.seller.tin, 'P0012345678');
+    assert.strictEqual(data.paid, true);
+  });
+});
+
+describe('renderInvoicesPdf', () => {
+  test('renders a PDF document', async () => {
+    const pdf = await renderInvoicesPdf([buildInvoiceData({ sellerOrder, order, seller })]);
+    assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit: job queue backoff, claiming, leases, retries, de-duplication and dead-lettering (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/jobQueueService.test.js
+ */
+
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  computeBackoffMs,
+  claimNextJob,
+  deadLetterExpiredJobs,
+  markFailed,
+  enqueue,
+  registerHandler,
+  startJobWorker,
+  stopJobWorker,
+  WORKER_ID,
+} = require('../../src/services/jobs/jobQueueService');
+const Job = require('../../src/models/job/jobModel');
+
+describe('computeBackoffMs', () => {
+  test('fixed backoff ignores the attempt count', () => {
+    assert.strictEqual(computeBackoffMs({ type: 'fixed', delayMs: 5000 }, 1), 5000);
+    assert.strictEqual(computeBackoffMs({ type: 'fixed', delayMs: 5000 }, 4), 5000);
+  });
+
+  test('exponential backoff doubles per attempt', () => {
+    const backoff = { type: 'exponential', delayMs: 1000 };
+    assert.strictEqual(computeBackoffMs(backoff, 1), 1000);
+    assert.strictEqual(computeBackoffMs(backoff, 2), 2000);
+    assert.strictEqual(computeBackoffMs(backoff, 5), 16000);
+  });
+
+  test('backoff is capped at six hours', () => {
+    const backoff = { type: 'exponential', delayMs: 60 * 60 * 1000 };
+    assert.strictEqual(computeBackoffMs(backoff, 10), 6 * 60 * 60 * 1000);
+  });
+
+  test('missing backoff config yields no delay', () => {
+    assert.strictEqual(computeBackoffMs(undefined, 3), 0);
+  });
+});
+
+describe('job lifecycle', () => {
+  let calls;
+  let originals;
+
+  beforeEach(() => {
+    calls = [];
+    originals = {
+      findOneAndUpdate: Job.findOneAndUpdate,
+      updateOne: Job.updateOne,
+      updateMany: Job.updateMany,
+      create: Job.create,
+      findOne: Job.findOne,
+    };
+    Job.findOneAndUpdate = async (filter, update, options) => {
+      calls.push({ filter, update, options });
+      return { _id: 'job1', ...update.$set };
+    };
+    Job.updateOne = async (filter, update) => {
+      calls.push({ filter, update });
+      return { modifiedCount: 1 };
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(Job, originals);
+  });
+
+  test('claims due queued jobs and expired leases that still have attempts left', async () => {
+    const before = Date.now();
+    await claimNextJob('emails', 60000);
+    const [{ filter, update, options }] = calls;
+
+    assert.strictEqual(filter.queue, 'emails');
+    assert.strictEqual(filter.$or[0].status, 'queued');
+    assert.ok(filter.$or[0].runAt.$lte instanceof Date);
+    assert.deepStrictEqual(filter.$or[1].$expr, { $lt: ['$attempts', '$maxAttempts'] });
+    assert.strictEqual(filter.$or[1].status, 'active');
+
+    // The claim takes a lease for this worker and counts the attempt
+    assert.strictEqual(update.$set.status, 'active');
+    assert.strictEqual(update.$set.lockedBy, WORKER_ID);
+    assert.ok(update.$set.lockedUntil.getTime() >= before + 60000);
+    assert.deepStrictEqual(update.$inc, { attempts: 1 });
+    assert.deepStrictEqual(options.sort, { priority: -1, runAt: 1 });
+  });
+
+  test('a failed attempt is re-queued after its backoff', async () => {
+    const before = Date.now();
+    const job = { _id: 'job1', queue: 'emails', attempts: 2, maxAttempts: 5, backoff: { type: 'fixed', delayMs: 30000 } };
+    await markFailed(job, new Error('SMTP timeout'));
+    const [{ filter, update }] = calls;
+
+    // Only the lease holder may record the outcome
+    assert.deepStrictEqual(filter, { _id: 'job1', lockedBy: WORKER_ID });
+    assert.strictEqual(update.$set.status, 'queued');
+    assert.ok(update.$set.runAt.getTime() >= before + 30000);
+    assert.strictEqual(update.$set.lockedUntil, null);
+    assert.strictEqual(update.$push.failures.$each[0].attempt, 2);
+    assert.strictEqual(update.$push.failures.$each[0].message, 'SMTP timeout');
+  });
+
+  test('the final failed attempt moves the job to dead-letter', async () => {
+    const job = { _id: 'job1', queue: 'emails', attempts: 5, maxAttempts: 5 };
+    await markFailed(job, new Error('SMTP timeout'));
+    const [{ update }] = calls;
+    assert.strictEqual(update.$set.status, 'dead');
+    assert.ok(update.$set.deadLetteredAt instanceof Date);
+    assert.strictEqual(update.$set.runAt, undefined);
+  });
+
+  test('expired leases on the final attempt are dead-lettered instead of reclaimed', async () => {
+    Job.updateMany = async (filter, update) => {
+      calls.push({ filter, update });
+      return { modifiedCount: 2 };
+    };
+    assert.strictEqual(await deadLetterExpiredJobs('emails'), 2);
+    const [{ filter, update }] = calls;
+    assert.strictEqual(filter.status, 'active');
+    assert.ok(filter.lockedUntil.$lt instanceof Date);
+    assert.deepStrictEqual(filter.$expr, { $gte: ['$attempts', '$maxAttempts'] });
+    assert.strictEqual(update.$set.status, 'dead');
+    assert.strictEqual(update.$set.lastError, 'Lease expired on final attempt');
+  });
+
+  test('enqueue with a uniqueKey returns the existing job on a duplicate', async () => {
+    const existing = { _id: 'job0', uniqueKey: 'export:u1' };
+    Job.create = async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    };
+    Job.findOne = async (filter) => (filter.uniqueKey === 'export:u1' ? existing : null);
+
+    assert.strictEqual(await enqueue('data-export', { userId: 'u1' }, { uniqueKey: 'export:u1' }), existing);
+    // Without a uniqueKey the duplicate error is not swallowed
+    await assert.rejects(enqueue('data-export', { userId: 'u1' }), /E11000/);
+  });
+
+  test('enqueue applies defaults', async () => {
+    let created;
+    Job.create = async (doc) => {
+      created = doc;
+      return doc;
+    };
+    const before = Date.now();
+    await enqueue('emails', { to: 'a@b.c' }, { delayMs: 5000 });
+    assert.strictEqual(created.maxAttempts, 5);
+    assert.strictEqual(created.priority, 0);
+    assert.ok(created.runAt.getTime() >= before + 5000);
+  });
+
+  test('jobs claimed while the worker stops are given back instead of run', async () => {
+    let ran = 0;
+    registerHandler('stop-test', async () => {
+      ran += 1;
+    });
+    Job.updateMany = async () => ({ modifiedCount: 0 });
+    let resolveClaim;
+    Job.findOneAndUpdate = () => new Promise((resolve) => { resolveClaim = resolve; });
+
+    startJobWorker();
+    await new Promise((resolve) => { setImmediate(resolve); });
+    await new Promise((resolve) => { setImmediate(resolve); });
+    assert.ok(resolveClaim, 'poll should be claiming');
+
+    let stopped = false;
+    const stopping = stopJobWorker(1000).then(() => { stopped = true; });
+    await new Promise((resolve) => { setImmediate(resolve); });
+    // stopJobWorker waits for the poll that is still claiming
+    assert.strictEqual(stopped, false);
+
+    resolveClaim({ _id: 'job1', queue: 'stop-test', attempts: 1, maxAttempts: 5 });
+    await stopping;
+
+    assert.strictEqual(ran, 0);
+    const [{ filter, update }] = calls;
+    assert.deepStrictEqual(filter, { _id: 'job1', lockedBy: WORKER_ID, status: 'active' });
+    assert.strictEqual(update.$set.status, 'queued');
+    assert.deepStrictEqual(update.$inc, { attempts: -1 });
+  });
+});
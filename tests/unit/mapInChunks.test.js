@@ -0,0 +1,35 @@
+/**
+ * Unit: chunked async map used by notification sweeps (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/mapInChunks.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { mapInChunks } = require('../../src/utils/helpers/mapInChunks');
+
+describe('mapInChunks', () => {
+  test('never runs more than the chunk size at once and keeps the input order', async () => {
+    let running = 0;
+    let peak = 0;
+    const started = [];
+    const results = await mapInChunks([1, 2, 3, 4, 5, 6, 7], 3, async (n, index) => {
+      started.push(index);
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setImmediate(resolve));
+      running -= 1;
+      return n * 10;
+    });
+    assert.deepStrictEqual(results, [10, 20, 30, 40, 50, 60, 70]);
+    assert.deepStrictEqual(started, [0, 1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(peak, 3);
+  });
+
+  test('an empty list resolves to an empty result', async () => {
+    assert.deepStrictEqual(await mapInChunks([], 5, async () => 1), []);
+  });
+});
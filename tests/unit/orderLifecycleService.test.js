@@ -0,0 +1,145 @@
+/**
+ * Unit: order lifecycle transitions, guards and legacy status projection (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/orderLifecycleService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  checkTransition,
+  deriveLegacyStatuses,
+  applyLegacyStatuses,
+  inferCurrentStatus,
+  transitionOrder,
+} = require('../../src/services/order/orderLifecycleService');
+
+const paidOrder = (overrides = {}) => ({
+  orderType: 'normal',
+  currentStatus: 'confirmed',
+  paymentStatus: 'paid',
+  paymentMethod: 'paystack',
+  ...overrides,
+});
+
+describe('checkTransition', () => {
+  test('allows forward moves and exits, blocks leaving terminal statuses', () => {
+    assert.strictEqual(checkTransition(paidOrder(), 'out_for_delivery', 'seller').allowed, true);
+    assert.strictEqual(checkTransition(paidOrder(), 'cancelled', 'admin').allowed, true);
+    assert.strictEqual(checkTransition(paidOrder(), 'cancelled', 'support_agent').allowed, true);
+    assert.strictEqual(
+      checkTransition(paidOrder({ currentStatus: 'delivered' }), 'refunded', 'admin').allowed,
+      true,
+    );
+
+    const reopen = checkTransition(paidOrder({ currentStatus: 'cancelled' }), 'confirmed', 'admin');
+    assert.strictEqual(reopen.allowed, false);
+    assert.match(reopen.reason, /already cancelled/);
+    assert.strictEqual(
+      checkTransition(paidOrder({ currentStatus: 'delivered' }), 'out_for_delivery', 'admin').allowed,
+      false,
+    );
+  });
+
+  test('unpaid orders may only be cancelled, unless paid on delivery', () => {
+    const unpaid = paidOrder({ currentStatus: 'pending_payment', paymentStatus: 'pending' });
+    const blocked = checkTransition(unpaid, 'processing', 'seller');
+    assert.strictEqual(blocked.allowed, false);
+    assert.match(blocked.reason, /payment is pending/);
+    assert.strictEqual(checkTransition(unpaid, 'cancelled', 'seller').allowed, true);
+
+    const cod = { ...unpaid, paymentMethod: 'payment_on_delivery' };
+    assert.strictEqual(checkTransition(cod, 'out_for_delivery', 'seller').allowed, true);
+  });
+
+  test('international pre-orders follow the strict flow and keep admin-only steps', () => {
+    const order = paidOrder({ orderType: 'preorder_international', currentStatus: 'arrived_destination' });
+    assert.strictEqual(checkTransition(order, 'local_dispatch', 'seller').allowed, true);
+    assert.strictEqual(checkTransition(order, 'out_for_delivery', 'admin').allowed, false);
+
+    const customs = checkTransition(
+      { ...order, currentStatus: 'international_shipped' },
+      'customs_clearance',
+      'seller',
+    );
+    assert.deepStrictEqual([customs.allowed, customs.statusCode], [false, 403]);
+    assert.strictEqual(
+      checkTransition({ ...order, currentStatus: 'international_shipped' }, 'customs_clearance', 'admin').allowed,
+      true,
+    );
+  });
+
+  test('rejects international statuses on normal orders and unknown actors', () => {
+    assert.strictEqual(checkTransition(paidOrder(), 'customs_clearance', 'admin').allowed, false);
+    assert.strictEqual(checkTransition(paidOrder(), 'processing', 'user').statusCode, 403);
+  });
+});
+
+describe('legacy status projection', () => {
+  test('derives every legacy field from currentStatus', () => {
+    assert.deepStrictEqual(deriveLegacyStatuses('delivered'), {
+      orderStatus: 'delievered',
+      FulfillmentStatus: 'delievered',
+      status: 'completed',
+    });
+    assert.deepStrictEqual(deriveLegacyStatuses('out_for_delivery'), {
+      orderStatus: 'shipped',
+      FulfillmentStatus: 'shipped',
+      status: 'processing',
+    });
+    assert.strictEqual(deriveLegacyStatuses('nope'), null);
+  });
+
+  test('applyLegacyStatuses reports whether anything changed', () => {
+    const order = { currentStatus: 'refunded', orderStatus: 'delievered', FulfillmentStatus: 'delievered', status: 'completed' };
+    assert.strictEqual(applyLegacyStatuses(order), true);
+    assert.deepStrictEqual([order.orderStatus, order.status], ['cancelled', 'cancelled']);
+    assert.strictEqual(applyLegacyStatuses(order), false);
+  });
+
+  test('inferCurrentStatus recovers the lifecycle status of legacy orders', () => {
+    assert.strictEqual(inferCurrentStatus({ currentStatus: 'delievered' }), 'delivered');
+    assert.strictEqual(
+      inferCurrentStatus({ currentStatus: 'pending_payment', orderStatus: 'delievered', status: 'completed' }),
+      'delivered',
+    );
+    assert.strictEqual(
+      inferCurrentStatus({ currentStatus: 'pending_payment', status: 'pending', paymentStatus: 'paid' }),
+      'confirmed',
+    );
+    assert.strictEqual(inferCurrentStatus({ status: 'pending', orderStatus: 'pending' }), 'pending_payment');
+    assert.strictEqual(inferCurrentStatus({ currentStatus: 'preparing', status: 'pending' }), 'preparing');
+  });
+});
+
+describe('transitionOrder', () => {
+  test('records the step, bumps statusVersion and derives legacy fields', async () => {
+    const order = paidOrder({ statusVersion: 2, trackingHistory: [] });
+    const result = await transitionOrder(order, 'out_for_delivery', {
+      actor: { id: 'seller-1', role: 'seller' },
+      message: 'On the way',
+      statusVersion: 2,
+    });
+
+    assert.deepStrictEqual(result, { previousStatus: 'confirmed', nextStatus: 'out_for_delivery', wasCompleted: false });
+    assert.strictEqual(order.statusVersion, 3);
+    assert.strictEqual(order.orderStatus, 'shipped');
+    assert.strictEqual(order.trackingHistory[0].updatedByModel, 'Seller');
+    assert.strictEqual(order.trackingHistory[0].updatedByRole, 'seller');
+  });
+
+  test('throws AppError for stale versions and disallowed moves', async () => {
+    const actor = { id: 'admin-1', role: 'admin' };
+    await assert.rejects(
+      transitionOrder(paidOrder({ statusVersion: 4 }), 'processing', { actor, statusVersion: 3 }),
+      (error) => error.statusCode === 409,
+    );
+    await assert.rejects(
+      transitionOrder(paidOrder({ currentStatus: 'refunded' }), 'delivered', { actor }),
+      (error) => error.statusCode === 400,
+    );
+  });
+});
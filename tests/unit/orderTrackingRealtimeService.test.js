@@ -0,0 +1,159 @@
+/**
+ * Unit: live tracking throttle, ETA fallback and commit-deferred publishing (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/orderTrackingRealtimeService.test.js
+ */
+
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+const {
+  ROOMS,
+  attachNamespace,
+  createThrottle,
+  estimateEtaFromDistance,
+  isEtaFresh,
+  buildTrackingUpdate,
+  publishAfterCommit,
+} = require('../../src/services/order/orderTrackingRealtimeService');
+
+const ORDER_ID = '64b000000000000000000071';
+const SELLER_ORDER_ID = '64b000000000000000000072';
+
+function fakeNamespace() {
+  const emitted = [];
+  return {
+    emitted,
+    to(room) {
+      const rooms = [room];
+      const chain = {
+        to(next) {
+          rooms.push(next);
+          return chain;
+        },
+        emit(event, payload) {
+          emitted.push({ rooms, event, payload });
+        },
+      };
+      return chain;
+    },
+  };
+}
+
+function fakeSession({ committed }) {
+  const session = new EventEmitter();
+  session.inTransaction = () => true;
+  session.transaction = { isCommitted: committed };
+  return session;
+}
+
+function trackedOrder(session = null) {
+  return {
+    _id: ORDER_ID,
+    orderNumber: 'ORD-1001',
+    currentStatus: 'out_for_delivery',
+    statusVersion: 4,
+    sellerOrder: [SELLER_ORDER_ID],
+    trackingHistory: [
+      { status: 'processing', message: 'Packed', timestamp: new Date('2026-01-01T10:00:00Z') },
+      { status: 'out_for_delivery', updatedByRole: 'driver', timestamp: new Date('2026-01-01T12:00:00Z') },
+    ],
+    $session: () => session,
+  };
+}
+
+afterEach(() => attachNamespace(null));
+
+describe('createThrottle', () => {
+  test('allows a key once per interval and keys independently', () => {
+    const allow = createThrottle(5000);
+    assert.strictEqual(allow('a', 1000), true);
+    assert.strictEqual(allow('a', 3000), false);
+    assert.strictEqual(allow('b', 3000), true);
+    assert.strictEqual(allow('a', 6000), true);
+  });
+
+  test('clear resets a key', () => {
+    const allow = createThrottle(5000);
+    allow('a', 1000);
+    allow.clear('a');
+    assert.strictEqual(allow('a', 1001), true);
+  });
+});
+
+describe('ETA helpers', () => {
+  test('straight-line estimate uses the given speed', () => {
+    assert.deepStrictEqual(estimateEtaFromDistance(12.5, 25), { distanceKm: 12.5, durationSeconds: 1800 });
+  });
+
+  test('cached ETA goes stale with time or when the rider moves', () => {
+    const cached = { lat: 5.6037, lng: -0.187, computedAt: 0 };
+    assert.strictEqual(isEtaFresh(null, 5.6037, -0.187, 0), false);
+    assert.strictEqual(isEtaFresh(cached, 5.6038, -0.187, 10_000), true);
+    assert.strictEqual(isEtaFresh(cached, 5.6038, -0.187, 120_000), false);
+    assert.strictEqual(isEtaFresh(cached, 5.62, -0.187, 10_000), false);
+  });
+});
+
+describe('buildTrackingUpdate', () => {
+  test('sends the latest tracking entry with defaults', () => {
+    const update = buildTrackingUpdate(trackedOrder());
+    assert.strictEqual(update.orderId, ORDER_ID);
+    assert.strictEqual(update.statusVersion, 4);
+    assert.deepStrictEqual(update.entry, {
+      status: 'out_for_delivery',
+      message: '',
+      location: '',
+      updatedByRole: 'driver',
+      timestamp: new Date('2026-01-01T12:00:00Z'),
+    });
+  });
+
+  test('orders without history have no entry', () => {
+    assert.strictEqual(buildTrackingUpdate({ _id: ORDER_ID, currentStatus: 'pending_payment' }).entry, null);
+  });
+});
+
+describe('publishAfterCommit', () => {
+  test('is a no-op without a namespace', () => {
+    assert.doesNotThrow(() => publishAfterCommit(trackedOrder(), { tracking: true }));
+  });
+
+  test('publishes straight away outside a transaction, to order, admin and seller rooms', () => {
+    const nsp = fakeNamespace();
+    attachNamespace(nsp);
+    publishAfterCommit(trackedOrder(), { tracking: true });
+
+    assert.strictEqual(nsp.emitted.length, 2);
+    assert.deepStrictEqual(nsp.emitted[0].rooms, [ROOMS.order(ORDER_ID), ROOMS.admins]);
+    assert.deepStrictEqual(nsp.emitted[1].rooms, [ROOMS.sellerOrder(SELLER_ORDER_ID)]);
+    assert.strictEqual(nsp.emitted[1].payload.sellerOrderId, SELLER_ORDER_ID);
+  });
+
+  test('waits for the transaction and publishes once per order on commit', () => {
+    const nsp = fakeNamespace();
+    attachNamespace(nsp);
+    const session = fakeSession({ committed: true });
+    const order = trackedOrder(session);
+
+    publishAfterCommit(order, { tracking: true });
+    publishAfterCommit(order, { tracking: true });
+    assert.strictEqual(nsp.emitted.length, 0);
+
+    session.emit('ended');
+    assert.strictEqual(nsp.emitted.filter((e) => e.rooms.includes(ROOMS.admins)).length, 1);
+  });
+
+  test('drops updates from an aborted transaction', () => {
+    const nsp = fakeNamespace();
+    attachNamespace(nsp);
+    const session = fakeSession({ committed: false });
+
+    publishAfterCommit(trackedOrder(session), { tracking: true });
+    session.emit('ended');
+    assert.strictEqual(nsp.emitted.length, 0);
+  });
+});
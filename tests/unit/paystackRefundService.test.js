@@ -0,0 +1,343 @@
+/**
+ * Unit: Paystack refund eligibility, amounts, status/error mapping and stuck refunds (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/paystackRefundService.test.js
+ */
+
+'use strict';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  canRefundToOriginalPayment,
+  toSubunit,
+  mapPaystackRefundStatus,
+  classifyGatewayError,
+  isStuckQueued,
+  requeueStuckRefund,
+  processPaystackRefundJob,
+  retryGatewayRefund,
+  refundGatewayToWallet,
+} = require('../../src/services/refund/paystackRefundService');
+const Job = require('../../src/models/job/jobModel');
+const RefundRequest = require('../../src/models/refund/refundRequestModel');
+const Order = require('../../src/models/order/orderModel');
+const walletService = require('../../src/services/walletService');
+const { paystackApi } = require('../../src/config/paystack');
+
+const originals = {
+  refundUpdateOne: RefundRequest.updateOne,
+  refundFindById: RefundRequest.findById,
+  orderUpdateOne: Order.updateOne,
+  orderFindById: Order.findById,
+  post: paystackApi.post,
+  get: paystackApi.get,
+  jobCreate: Job.create,
+  creditWallet: walletService.creditWallet,
+};
+
+afterEach(() => {
+  RefundRequest.updateOne = originals.refundUpdateOne;
+  RefundRequest.findById = originals.refundFindById;
+  Order.updateOne = originals.orderUpdateOne;
+  Order.findById = originals.orderFindById;
+  paystackApi.post = originals.post;
+  paystackApi.get = originals.get;
+  Job.create = originals.jobCreate;
+  walletService.creditWallet = originals.creditWallet;
+});
+
+/**
+ * Stand-in for RefundRequest.updateOne over one stored refund: applies the update when the
+ * filter's gatewayRefund.status matches, the way the conditional writes rely on.
+ */
+const storeRefund = (stored) => {
+  const writes = [];
+  RefundRequest.updateOne = async (filter, update) => {
+    writes.push({ filter, update });
+    const expected = filter['gatewayRefund.status'];
+    if (expected !== undefined && stored.gatewayRefund.status !== expected) return { matchedCount: 0 };
+    Object.entries(update.$set || {}).forEach(([path, value]) => {
+      const [head, key] = path.split('.');
+      if (key) stored[head][key] = value;
+      else stored[head] = value;
+    });
+    Object.keys(update.$unset || {}).forEach((path) => {
+      delete stored.gatewayRefund[path.split('.')[1]];
+    });
+    return { matchedCount: 1 };
+  };
+  return writes;
+};
+
+describe('canRefundToOriginalPayment', () => {
+  const paid = { paymentMethod: 'mobile_money', paymentStatus: 'paid', paymentReference: 'ref_1' };
+
+  test('allows paid Paystack orders', () => {
+    assert.strictEqual(canRefundToOriginalPayment(paid), true);
+    assert.strictEqual(canRefundToOriginalPayment({ ...paid, paymentMethod: 'card', paymentStatus: 'completed' }), true);
+  });
+
+  test('rejects wallet, cash on delivery, unpaid and reference-less orders', () => {
+    assert.strictEqual(canRefundToOriginalPayment({ ...paid, paymentMethod: 'credit_balance' }), false);
+    assert.strictEqual(canRefundToOriginalPayment({ ...paid, paymentMethod: 'payment_on_delivery' }), false);
+    assert.strictEqual(canRefundToOriginalPayment({ ...paid, paymentStatus: 'pending' }), false);
+    assert.strictEqual(canRefundToOriginalPayment({ ...paid, paymentReference: undefined }), false);
+    assert.strictEqual(canRefundToOriginalPayment(null), false);
+  });
+});
+
+describe('toSubunit', () => {
+  test('converts cedis to pesewas without float drift', () => {
+    assert.strictEqual(toSubunit(19.99), 1999);
+    assert.strictEqual(toSubunit(0.1 + 0.2), 30);
+    assert.strictEqual(toSubunit(undefined), 0);
+  });
+});
+
+describe('mapPaystackRefundStatus', () => {
+  test('maps Paystack statuses', () => {
+    assert.strictEqual(mapPaystackRefundStatus('processed'), 'processed');
+    assert.strictEqual(mapPaystackRefundStatus('failed'), 'failed');
+    assert.strictEqual(mapPaystackRefundStatus('needs-attention'), 'needs_review');
+    assert.strictEqual(mapPaystackRefundStatus('processing'), 'processing');
+    assert.strictEqual(mapPaystackRefundStatus('pending'), 'pending');
+    assert.strictEqual(mapPaystackRefundStatus(undefined), 'pending');
+  });
+});
+
+describe('classifyGatewayError', () => {
+  test('retries server errors, rate limits and connection failures', () => {
+    assert.strictEqual(classifyGatewayError({ response: { status: 502 } }), 'retry');
+    assert.strictEqual(classifyGatewayError({ response: { status: 429 } }), 'retry');
+    assert.strictEqual(classifyGatewayError({ code: 'ECONNREFUSED' }), 'retry');
+  });
+
+  test('does not retry rejections or calls with an unknown outcome', () => {
+    assert.strictEqual(classifyGatewayError({ response: { status: 400 } }), 'fatal');
+    assert.strictEqual(classifyGatewayError({ code: 'ECONNABORTED' }), 'unknown');
+  });
+});
+
+describe('stuck queued refunds', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  test('queued refunds count as stuck after two hours', () => {
+    const now = Date.now();
+    assert.strictEqual(isStuckQueued({ status: 'queued', queuedAt: new Date(now - 3 * HOUR_MS) }, now), true);
+    assert.strictEqual(isStuckQueued({ status: 'queued', queuedAt: new Date(now - HOUR_MS) }, now), false);
+    assert.strictEqual(isStuckQueued({ status: 'failed', queuedAt: new Date(now - 3 * HOUR_MS) }, now), false);
+    assert.strictEqual(isStuckQueued(undefined, now), false);
+  });
+
+  const withJobs = async (existing, run) => {
+    const create = Job.create;
+    const findOne = Job.findOne;
+    const created = [];
+    Job.create = async (doc) => {
+      if (existing.has(doc.uniqueKey)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      const job = { ...doc, status: 'queued' };
+      existing.set(doc.uniqueKey, job);
+      created.push(job);
+      return job;
+    };
+    Job.findOne = async ({ uniqueKey }) => existing.get(uniqueKey) || null;
+    try {
+      await run(created);
+    } finally {
+      Job.create = create;
+      Job.findOne = findOne;
+    }
+  };
+
+  const stuckRefund = () => ({
+    _id: 'rr1',
+    gatewayRefund: { status: 'queued', retries: 0, queuedAt: new Date(Date.now() - 3 * 60 * 60 * 1000) },
+  });
+
+  test('a dead initiate job is replaced under the next retry number', async () => {
+    const existing = new Map([['paystack-refunds:initiate:rr1:0', { status: 'dead' }]]);
+    await withJobs(existing, async (created) => {
+      const refund = stuckRefund();
+      const stored = stuckRefund();
+      const writes = storeRefund(stored);
+      const job = await requeueStuckRefund(refund);
+      assert.strictEqual(job.uniqueKey, 'paystack-refunds:initiate:rr1:1');
+      assert.strictEqual(job.status, 'queued');
+      assert.strictEqual(refund.gatewayRefund.retries, 1);
+      assert.strictEqual(stored.gatewayRefund.retries, 1);
+      assert.strictEqual(writes.length, 1);
+      assert.strictEqual(created.length, 1);
+    });
+  });
+
+  test('a job that is still waiting is left alone', async () => {
+    const existing = new Map([['paystack-refunds:initiate:rr1:0', { status: 'active', uniqueKey: 'paystack-refunds:initiate:rr1:0' }]]);
+    await withJobs(existing, async (created) => {
+      const refund = stuckRefund();
+      const writes = storeRefund(stuckRefund());
+      const job = await requeueStuckRefund(refund);
+      assert.strictEqual(job.status, 'active');
+      assert.strictEqual(refund.gatewayRefund.retries, 0);
+      assert.strictEqual(writes.length, 0);
+      assert.strictEqual(created.length, 0);
+    });
+  });
+
+  test('a refund whose job was never created gets one', async () => {
+    await withJobs(new Map(), async (created) => {
+      const refund = stuckRefund();
+      await requeueStuckRefund(refund);
+      assert.deepStrictEqual(created.map((j) => j.uniqueKey), ['paystack-refunds:initiate:rr1:0']);
+      assert.strictEqual(refund.gatewayRefund.retries, 0);
+    });
+  });
+
+  test('a refund that left queued meanwhile is not queued again', async () => {
+    const existing = new Map([['paystack-refunds:initiate:rr1:0', { status: 'completed' }]]);
+    await withJobs(existing, async (created) => {
+      const stored = { ...stuckRefund(), gatewayRefund: { status: 'pending', retries: 0 } };
+      storeRefund(stored);
+      const refund = stuckRefund();
+      const job = await requeueStuckRefund(refund);
+      assert.strictEqual(job.status, 'completed');
+      assert.strictEqual(stored.gatewayRefund.retries, 0);
+      assert.strictEqual(created.length, 0);
+    });
+  });
+});
+
+describe('gateway status writes', () => {
+  const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+  test('a webhook that lands during the Paystack call is not overwritten', async () => {
+    const stored = { _id: 'rr1', order: 'o1', gatewayRefund: { status: 'queued', attempts: 0, retries: 0 } };
+    const refund = { ...stored, gatewayRefund: { ...stored.gatewayRefund } };
+    storeRefund(stored);
+    RefundRequest.findById = async () => refund;
+    Order.findById = () => lean({ orderNumber: 'ORD-1' });
+    let orderUpdates = 0;
+    Order.updateOne = async () => {
+      orderUpdates += 1;
+    };
+    paystackApi.post = async () => {
+      // refund.processed arrives and is applied before the refund response
+      stored.gatewayRefund.status = 'processed';
+      return { data: { data: { id: 7, status: 'pending' } } };
+    };
+
+    const result = await processPaystackRefundJob({ payload: { type: 'initiate', refundRequestId: 'rr1' } });
+
+    assert.deepStrictEqual(result, { status: 'queued', ignored: true });
+    assert.strictEqual(stored.gatewayRefund.status, 'processed');
+    assert.strictEqual(stored.gatewayRefund.attempts, 1);
+    assert.ok(stored.gatewayRefund.initiatedAt instanceof Date);
+    assert.strictEqual(orderUpdates, 0);
+  });
+
+  test('a refund accepted by Paystack moves from queued to pending', async () => {
+    const stored = { _id: 'rr1', order: 'o1', gatewayRefund: { status: 'queued', attempts: 0, lastError: 'HTTP 502' } };
+    const refund = { ...stored, gatewayRefund: { ...stored.gatewayRefund } };
+    storeRefund(stored);
+    RefundRequest.findById = async () => refund;
+    Order.findById = () => lean({ orderNumber: 'ORD-1' });
+    paystackApi.post = async () => ({ data: { data: { id: 7, status: 'pending' } } });
+
+    const result = await processPaystackRefundJob({ payload: { type: 'initiate', refundRequestId: 'rr1' } });
+
+    assert.deepStrictEqual(result, { status: 'pending' });
+    assert.strictEqual(stored.gatewayRefund.status, 'pending');
+    assert.strictEqual(stored.gatewayRefund.paystackRefundId, '7');
+    assert.strictEqual(stored.gatewayRefund.lastError, undefined);
+  });
+});
+
+describe('admin resolution of unconfirmed refunds', () => {
+  const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+  const copy = (stored) => ({ ...stored, gatewayRefund: { ...stored.gatewayRefund } });
+  const unconfirmed = () => ({
+    _id: 'rr1',
+    order: 'o1',
+    buyer: 'u1',
+    status: 'approved',
+    refundMethod: 'original_payment',
+    gatewayRefund: { status: 'needs_review', amount: 50, transactionReference: 'ref_1', retries: 0 },
+  });
+
+  const setup = (stored, paystackRefunds) => {
+    storeRefund(stored);
+    RefundRequest.findById = async () => copy(stored);
+    Order.findById = () => lean({ orderNumber: 'ORD-1' });
+    Order.updateOne = async () => {};
+    const lookups = [];
+    paystackApi.get = async (url, options) => {
+      lookups.push({ url, params: options?.params });
+      return { data: { data: paystackRefunds } };
+    };
+    const jobs = [];
+    Job.create = async (doc) => {
+      jobs.push(doc);
+      return { ...doc, status: 'queued' };
+    };
+    return { lookups, jobs };
+  };
+
+  test('a refund Paystack already holds is recorded instead of retried', async () => {
+    const stored = unconfirmed();
+    const { lookups, jobs } = setup(stored, [
+      { id: 3, amount: 2000, status: 'failed' },
+      { id: 4, amount: 5000, status: 'processing' },
+    ]);
+
+    await assert.rejects(retryGatewayRefund('rr1'), { statusCode: 409 });
+    assert.deepStrictEqual(lookups, [{ url: '/refund', params: { transaction: 'ref_1' } }]);
+    assert.strictEqual(stored.gatewayRefund.status, 'processing');
+    assert.strictEqual(stored.gatewayRefund.paystackRefundId, '4');
+    assert.strictEqual(jobs.length, 0);
+  });
+
+  test('a double-clicked retry queues the refund once', async () => {
+    const stored = unconfirmed();
+    const { jobs } = setup(stored, [{ id: 3, amount: 5000, status: 'failed' }]);
+
+    const results = await Promise.allSettled([retryGatewayRefund('rr1'), retryGatewayRefund('rr1')]);
+
+    assert.deepStrictEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.strictEqual(results.find((r) => r.status === 'rejected').reason.statusCode, 409);
+    assert.strictEqual(stored.gatewayRefund.status, 'queued');
+    assert.strictEqual(stored.gatewayRefund.retries, 1);
+    assert.strictEqual(jobs.length, 1);
+  });
+
+  test('a double-clicked wallet payout credits once', async () => {
+    const stored = unconfirmed();
+    setup(stored, []);
+    const credits = [];
+    walletService.creditWallet = async (...args) => {
+      credits.push(args);
+    };
+
+    const results = await Promise.allSettled([refundGatewayToWallet('rr1', 'a1'), refundGatewayToWallet('rr1', 'a1')]);
+
+    assert.deepStrictEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.strictEqual(credits.length, 1);
+    assert.strictEqual(stored.gatewayRefund.status, 'cancelled');
+    assert.strictEqual(stored.refundMethod, 'wallet');
+    assert.strictEqual(stored.status, 'completed');
+  });
+
+  test('a wallet payout that fails puts the refund back', async () => {
+    const stored = { ...unconfirmed(), gatewayRefund: { ...unconfirmed().gatewayRefund, status: 'failed' } };
+    const { lookups } = setup(stored, []);
+    walletService.creditWallet = async () => {
+      throw new Error('write conflict');
+    };
+
+    await assert.rejects(refundGatewayToWallet('rr1', 'a1'), /write conflict/);
+    assert.strictEqual(lookups.length, 0);
+    assert.strictEqual(stored.gatewayRefund.status, 'failed');
+    assert.strictEqual(stored.refundMethod, 'original_payment');
+    assert.strictEqual(stored.status, 'approved');
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Unit: pricing engine rule order, stacking, caps, usage counting, funding split and seller payouts (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/pricingEngine.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  applyPriceRules,
+  collectCandidates,
+  summarizeLines,
+  tallyRuleUsage,
+  recordRuleUsage,
+  releaseRuleUsage,
+  vatFactor,
+} = require('../../src/services/pricing/pricingEngine');
+const FlashDealProduct = require('../../src/models/product/flashDealProductModel');
+const Discount = require('../../src/models/product/discountModel');
+const PromoProduct = require('../../src/models/promo/promoProductModel');
+const { calculateSellerEarnings } = require('../../src/services/order/orderService');
+const PlatformSettings = require('../../src/models/platform/platformSettingsModel');
+
+const pct = (type, id, value, name = id) => ({ type, id, name, discountType: 'percentage', value });
+const fixed = (type, id, value, name = id) => ({ type, id, name, discountType: 'fixed', value });
+
+describe('applyPriceRules', () => {
+  test('no rules leaves the list price', () => {
+    const result = applyPriceRules(117.5, []);
+    assert.strictEqual(result.unitPrice, 117.5);
+    assert.deepStrictEqual(result.adjustments, []);
+    assert.strictEqual(result.sellerFunded, 0);
+  });
+
+  test('an exclusive flash deal wins over everything else, which is reported as skipped', () => {
+    const result = applyPriceRules(200, [
+      pct('campaign', 'ad1', 10),
+      pct('seller_discount', 'd1', 20),
+      pct('promo', 'p1', 30),
+      pct('flash_deal', 'f1', 25),
+    ]);
+    assert.strictEqual(result.unitPrice, 150);
+    assert.deepStrictEqual(result.adjustments.map((a) => a.type), ['flash_deal']);
+    assert.deepStrictEqual(result.skipped.map((s) => s.type), ['promo', 'seller_discount', 'campaign']);
+    assert.match(result.skipped[0].reason, /flash deal/);
+  });
+
+  test('seller discount and campaign stack in order on the running price', () => {
+    const result = applyPriceRules(200, [pct('campaign', 'ad1', 10), pct('seller_discount', 'd1', 20)]);
+    // 200 - 40 = 160, then 10% of 160 = 16
+    assert.strictEqual(result.unitPrice, 144);
+    assert.deepStrictEqual(result.adjustments.map((a) => [a.type, a.amount, a.fundedBy]), [
+      ['seller_discount', 40, 'seller'],
+      ['campaign', 16, 'platform'],
+    ]);
+    assert.strictEqual(result.sellerFunded, 40);
+    assert.strictEqual(result.platformFunded, 16);
+    assert.match(result.adjustments[1].label, /Campaign: ad1 \(-GHS 16\.00, platform-funded\)/);
+  });
+
+  test('only the best rule of each type applies', () => {
+    const result = applyPriceRules(100, [
+      pct('seller_discount', 'small', 5),
+      fixed('seller_discount', 'big', 30),
+      pct('seller_discount', 'mid', 10),
+    ]);
+    assert.strictEqual(result.unitPrice, 70);
+    assert.deepStrictEqual(result.adjustments.map((a) => a.id), ['big']);
+    assert.deepStrictEqual(result.skipped.map((s) => s.id).sort(), ['mid', 'small']);
+  });
+
+  test('stacked discounts are capped, trimming the platform campaign first', () => {
+    const result = applyPriceRules(100, [pct('seller_discount', 'd1', 60), pct('campaign', 'ad1', 50)], {
+      maxStackedPercent: 70,
+    });
+    assert.strictEqual(result.unitPrice, 30);
+    assert.strictEqual(result.capped, true);
+    assert.strictEqual(result.sellerFunded, 60);
+    assert.strictEqual(result.platformFunded, 10);
+  });
+
+  test('fixed amounts never go below zero and ordering is deterministic', () => {
+    const a = applyPriceRules(20, [fixed('promo', 'b', 50), fixed('promo', 'a', 50)]);
+    const b = applyPriceRules(20, [fixed('promo', 'a', 50), fixed('promo', 'b', 50)]);
+    assert.strictEqual(a.unitPrice, 0);
+    assert.deepStrictEqual(a, b);
+    assert.strictEqual(a.adjustments[0].id, 'a');
+  });
+});
+
+describe('collectCandidates', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+  const product = {
+    _id: 'prod1',
+    seller: { _id: 'seller1' },
+    parentCategory: 'cat1',
+    subCategory: { _id: 'sub1', name: 'Phones' },
+    promotionKey: 'black-friday',
+  };
+
+  test('turns context rows into candidates and reports sold-out allocations', () => {
+    const context = {
+      now,
+      flashDeals: new Map([['prod1', [
+        { _id: 'fd1', discountType: 'fixed', discountValue: 10, maxQuantity: 5, soldCount: 5, flashDeal: { title: 'Midnight' } },
+      ]]]),
+      promos: new Map([['prod1', [
+        { _id: 'pp1', seller: 'seller1', discountType: 'fixed', discountValue: 10, stockForPromo: 10, unitsSold: 2, promo: { name: 'October' } },
+      ]]]),
+      discounts: [
+        { _id: 'd1', seller: 'seller1', name: 'Phones 10', type: 'percentage', value: 10, scope: 'category', categories: ['sub1'] },
+        { _id: 'd2', seller: 'other', name: 'Other shop', type: 'percentage', value: 50, scope: 'all' },
+      ],
+      campaigns: [
+        { id: 'ad1', name: 'Black Friday', promotionKey: 'Black-Friday', type: 'percentage', value: 15 },
+        { id: 'ad2', name: 'Xmas', promotionKey: 'xmas', type: 'percentage', value: 15 },
+      ],
+    };
+
+    const { candidates, skipped } = collectCandidates(product, context, { factor: 1.175 });
+    assert.deepStrictEqual(candidates.map((c) => c.type), ['promo', 'seller_discount', 'campaign']);
+    // Promo fixed amounts are VAT exclusive; the engine works on VAT-inclusive prices
+    assert.strictEqual(candidates[0].value, 11.75);
+    assert.strictEqual(candidates[0].promoProductRef, 'pp1');
+    assert.deepStrictEqual(skipped.map((s) => s.type), ['flash_deal']);
+  });
+});
+
+describe('helpers', () => {
+  test('vatFactor uses platform rates with Ghana defaults', () => {
+    assert.ok(Math.abs(vatFactor({}) - 1.175) < 1e-9);
+    assert.ok(Math.abs(vatFactor({ vatRate: 0.15, nhilRate: 0, getfundRate: 0 }) - 1.15) < 1e-9);
+  });
+
+  test('summarizeLines multiplies per-unit funding by quantity', () => {
+    const totals = summarizeLines([
+      { listPrice: 100, lineTotal: 160, discount: 20, sellerFunded: 15, platformFunded: 5, quantity: 2 },
+      { listPrice: 50, lineTotal: 50, discount: 0, sellerFunded: 0, platformFunded: 0, quantity: 1 },
+    ]);
+    assert.deepStrictEqual(totals, { listTotal: 250, total: 210, discount: 40, sellerFunded: 30, platformFunded: 10 });
+  });
+});
+
+describe('rule usage caps', () => {
+  const items = [
+    { quantity: 2, priceAdjustments: [{ type: 'flash_deal', ruleId: 'fd1' }] },
+    { quantity: 1, priceAdjustments: [{ type: 'seller_discount', ruleId: 'd1' }, { type: 'campaign', ruleId: 'ad1' }] },
+    { quantity: 3, priceAdjustments: [{ type: 'flash_deal', ruleId: 'fd1' }, { type: 'seller_discount', ruleId: 'd1' }] },
+  ];
+
+  test('flash deals count units, seller discounts count once per order', () => {
+    const { flashDeals, discounts } = tallyRuleUsage(items);
+    assert.deepStrictEqual([...flashDeals], [['fd1', 5]]);
+    assert.deepStrictEqual([...discounts], ['d1']);
+  });
+
+  test('guarded increments reject the order once a cap is reached', async () => {
+    const flashUpdateOne = FlashDealProduct.updateOne;
+    const discountUpdateOne = Discount.updateOne;
+    const calls = [];
+    try {
+      FlashDealProduct.updateOne = async (filter, update, options) => {
+        calls.push(['flash', filter._id, update.$inc.soldCount, options.session]);
+        return { matchedCount: 1 };
+      };
+      Discount.updateOne = async (filter, update) => {
+        calls.push(['discount', filter._id, update.$inc.usageCount]);
+        return { matchedCount: 1 };
+      };
+      await recordRuleUsage(items, { session: 'txn' });
+      assert.deepStrictEqual(calls, [['flash', 'fd1', 5, 'txn'], ['discount', 'd1', 1]]);
+
+      FlashDealProduct.updateOne = async () => ({ matchedCount: 0 });
+      await assert.rejects(recordRuleUsage(items), (error) => error.statusCode === 409 && /sold out/.test(error.message));
+
+      FlashDealProduct.updateOne = async () => ({ matchedCount: 1 });
+      Discount.updateOne = async () => ({ matchedCount: 0 });
+      await assert.rejects(recordRuleUsage(items), /usage limit/);
+    } finally {
+      FlashDealProduct.updateOne = flashUpdateOne;
+      Discount.updateOne = discountUpdateOne;
+    }
+  });
+});
+
+describe('promo stock', () => {
+  const items = [
+    { quantity: 2, priceAdjustments: [{ type: 'promo', ruleId: 'pp1' }] },
+    { quantity: 1, priceAdjustments: [{ type: 'promo', ruleId: 'pp1' }] },
+  ];
+
+  test('promo units are counted against stockForPromo and given back on cancel', async () => {
+    const promoUpdateOne = PromoProduct.updateOne;
+    const calls = [];
+    try {
+      assert.deepStrictEqual([...tallyRuleUsage(items).promos], [['pp1', 3]]);
+
+      PromoProduct.updateOne = async (filter, update) => {
+        calls.push([filter._id, update.$inc.unitsSold]);
+        return { matchedCount: 1 };
+      };
+      await recordRuleUsage(items);
+      await releaseRuleUsage(items);
+      assert.deepStrictEqual(calls, [['pp1', 3], ['pp1', -3]]);
+
+      PromoProduct.updateOne = async () => ({ matchedCount: 0 });
+      await assert.rejects(recordRuleUsage(items), (error) => error.statusCode === 409 && /promotion/.test(error.message));
+    } finally {
+      PromoProduct.updateOne = promoUpdateOne;
+    }
+  });
+});
+
+describe('releasing rule usage', () => {
+  test('cancelled lines give back their units and discount use without going below zero', async () => {
+    const flashUpdateOne = FlashDealProduct.updateOne;
+    const discountUpdateOne = Discount.updateOne;
+    const calls = [];
+    try {
+      FlashDealProduct.updateOne = async (filter, update, options) => {
+        calls.push(['flash', filter._id, filter.soldCount.$gte, update.$inc.soldCount, options.session]);
+        return { matchedCount: 1 };
+      };
+      Discount.updateOne = async (filter, update) => {
+        calls.push(['discount', filter._id, filter.usageCount.$gte, update.$inc.usageCount]);
+        return { matchedCount: 1 };
+      };
+      await releaseRuleUsage([
+        { quantity: 2, priceAdjustments: [{ type: 'flash_deal', ruleId: 'fd1' }] },
+        { quantity: 1, priceAdjustments: [{ type: 'seller_discount', ruleId: 'd1' }] },
+        { quantity: 1 },
+      ], { session: 'txn' });
+      assert.deepStrictEqual(calls, [['flash', 'fd1', 2, -2, 'txn'], ['discount', 'd1', 1, -1]]);
+    } finally {
+      FlashDealProduct.updateOne = flashUpdateOne;
+      Discount.updateOne = discountUpdateOne;
+    }
+  });
+});
+
+describe('seller payout on a platform-funded campaign', () => {
+  test('the platform share of an item discount is credited back to the seller', async () => {
+    const getSettings = PlatformSettings.getSettings;
+    PlatformSettings.getSettings = async () => ({ platformCommissionRate: 0.1, vatRate: 0.15 });
+    try {
+      // 2 x 117.50 listed, 15% campaign paid by the platform: buyer pays 199.75
+      const vatSeller = {
+        vatCollectedBy: 'seller',
+        subtotal: 199.75,
+        totalBasePrice: 170,
+        platformFundedDiscount: 35.25,
+        platformFundedBasePrice: 30,
+        commissionRate: 0.1,
+      };
+      // 235 - 23.50 commission - 3.53 VAT on commission
+      assert.strictEqual(await calculateSellerEarnings(vatSeller), 207.97);
+      // 200 - 20 commission - 3 VAT on commission
+      assert.strictEqual(await calculateSellerEarnings({ ...vatSeller, vatCollectedBy: 'platform' }), 177);
+      // Without platform funding the seller is paid on what the buyer paid
+      assert.strictEqual(
+        await calculateSellerEarnings({ ...vatSeller, platformFundedDiscount: 0, platformFundedBasePrice: 0 }),
+        176.77,
+      );
+    } finally {
+      PlatformSettings.getSettings = getSettings;
+    }
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit: BOGO, tiered, bundle and free-shipping offers (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/promoOfferService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  normalizeOfferConfig,
+  describeOffer,
+  evaluateOffer,
+  applyFreeShipping,
+  discountsBySeller,
+  filterCouponLines,
+} = require('../../src/services/promo/promoOfferService');
+
+const line = (product, unitPrice, quantity, seller = 's1', categories = []) => ({
+  product,
+  seller,
+  categories,
+  unitPrice,
+  quantity,
+});
+
+describe('normalizeOfferConfig', () => {
+  test('bogo defaults the free unit to 100% off', () => {
+    assert.deepStrictEqual(normalizeOfferConfig('bogo', { buyQuantity: 2, getQuantity: 1 }), {
+      type: 'bogo',
+      buyQuantity: 2,
+      getQuantity: 1,
+      getDiscountPercent: 100,
+    });
+    assert.throws(() => normalizeOfferConfig('bogo', { buyQuantity: 1.5, getQuantity: 1 }), /whole number/);
+  });
+
+  test('tiers are sorted and must be unique', () => {
+    const offer = normalizeOfferConfig('tiered', {
+      tiers: [
+        { threshold: 1000, discountType: 'percentage', discountValue: 15 },
+        { threshold: 500, discountType: 'percentage', discountValue: 10 },
+      ],
+    });
+    assert.strictEqual(offer.tierBasis, 'subtotal');
+    assert.deepStrictEqual(offer.tiers.map((t) => t.threshold), [500, 1000]);
+    assert.throws(
+      () => normalizeOfferConfig('tiered', { tiers: [{ threshold: 5, discountValue: 5 }, { threshold: 5, discountValue: 6 }] }),
+      /unique/,
+    );
+  });
+
+  test('bundles need two products; unknown types are rejected', () => {
+    assert.throws(() => normalizeOfferConfig('bundle', { bundleProducts: ['a', 'a'], bundlePrice: 10 }), /two different/);
+    assert.throws(() => normalizeOfferConfig('percentage', {}), /Offer type/);
+  });
+});
+
+describe('evaluateOffer', () => {
+  test('buy 2 get 1 free discounts the cheapest unit in each group', () => {
+    const result = evaluateOffer('bogo', { buyQuantity: 2, getQuantity: 1 }, [
+      line('a', 100, 2),
+      line('b', 40, 2),
+    ]);
+    // Units 100, 100, 40 | 40 -> one full group, the 40 is free
+    assert.strictEqual(result.discountAmount, 40);
+    assert.deepStrictEqual(result.appliedLines, [{ product: 'b', seller: 's1', amount: 40 }]);
+    assert.match(result.summary, /Buy 2, get 1 free \(x1\)/);
+  });
+
+  test('bogo explains how many more items are needed', () => {
+    const result = evaluateOffer('bogo', { buyQuantity: 2, getQuantity: 1, getDiscountPercent: 50 }, [line('a', 10, 1)]);
+    assert.strictEqual(result.discountAmount, 0);
+    assert.strictEqual(result.reason, 'Add 2 more eligible item(s) to qualify');
+  });
+
+  test('spend tiers pick the highest reached tier', () => {
+    const offer = {
+      tierBasis: 'subtotal',
+      tiers: [
+        { threshold: 500, discountType: 'percentage', discountValue: 10 },
+        { threshold: 1000, discountType: 'percentage', discountValue: 15 },
+      ],
+    };
+    assert.strictEqual(evaluateOffer('tiered', offer, [line('a', 300, 2)]).discountAmount, 60);
+    assert.strictEqual(evaluateOffer('tiered', offer, [line('a', 300, 4)]).discountAmount, 180);
+    assert.strictEqual(evaluateOffer('tiered', offer, [line('a', 300, 4)], { maxDiscountAmount: 100 }).discountAmount, 100);
+    assert.match(evaluateOffer('tiered', offer, [line('a', 200, 1)]).reason, /Spend GH₵300\.00 more/);
+  });
+
+  test('quantity tiers allocate the discount across lines', () => {
+    const offer = { tierBasis: 'quantity', tiers: [{ threshold: 3, discountType: 'fixed', discountValue: 30 }] };
+    const result = evaluateOffer('tiered', offer, [line('a', 100, 2, 's1'), line('b', 50, 2, 's2')]);
+    assert.strictEqual(result.discountAmount, 30);
+    assert.deepStrictEqual(
+      result.appliedLines.map((l) => [l.product, l.amount]),
+      [['a', 20], ['b', 10]],
+    );
+    assert.deepStrictEqual([...discountsBySeller(result.appliedLines)], [['s1', 20], ['s2', 10]]);
+  });
+
+  test('fixed-price bundles apply once per complete set', () => {
+    const offer = { bundleProducts: ['a', 'b'], bundlePrice: 100 };
+    const result = evaluateOffer('bundle', offer, [line('a', 80, 3), line('b', 40, 2)]);
+    // 2 complete bundles, each 120 -> 100
+    assert.strictEqual(result.discountAmount, 40);
+    assert.strictEqual(result.appliedLines.reduce((sum, l) => sum + l.amount, 0), 40);
+    assert.match(evaluateOffer('bundle', offer, [line('a', 80, 1)]).reason, /1 remaining bundle product/);
+  });
+
+  test('free shipping names the qualifying sellers', () => {
+    const result = evaluateOffer('free_shipping', { minSubtotal: 200 }, [line('a', 150, 2, 's1')]);
+    assert.strictEqual(result.freeShipping, true);
+    assert.deepStrictEqual(result.freeShippingSellerIds, ['s1']);
+    assert.strictEqual(evaluateOffer('free_shipping', { minSubtotal: 200 }, [line('a', 50, 1)]).freeShipping, false);
+  });
+});
+
+describe('applyFreeShipping', () => {
+  test('zeroes only the covered sellers', () => {
+    const result = applyFreeShipping({
+      shippingBreakdown: [{ sellerId: 's1', shippingFee: 25 }, { sellerId: 's2', shippingFee: 15 }],
+      sellerIds: ['s1'],
+      orderSellerIds: ['s1', 's2'],
+    });
+    assert.deepStrictEqual(result.shippingBreakdown.map((s) => s.shippingFee), [0, 15]);
+    assert.strictEqual(result.shippingDiscount, 25);
+  });
+
+  test('dispatch shipping is waived only when every seller qualifies', () => {
+    const partial = applyFreeShipping({ orderLevelShipping: 30, sellerIds: ['s1'], orderSellerIds: ['s1', 's2'] });
+    assert.strictEqual(partial.orderLevelShipping, 30);
+    const full = applyFreeShipping({ orderLevelShipping: 30, sellerIds: ['s1', 's2'], orderSellerIds: ['s1', 's2'] });
+    assert.strictEqual(full.orderLevelShipping, 0);
+    assert.strictEqual(full.shippingDiscount, 30);
+  });
+});
+
+describe('coupon lines and labels', () => {
+  test('seller coupons only see that seller\'s eligible lines', () => {
+    const lines = [line('a', 10, 1, 's1', ['c1']), line('b', 10, 1, 's2', ['c1']), line('c', 10, 1, 's1', ['c2'])];
+    const batch = { global: false, seller: 's1', applicableProducts: [], applicableCategories: ['c1'] };
+    assert.deepStrictEqual(filterCouponLines(batch, lines).map((l) => l.product), ['a']);
+    assert.strictEqual(filterCouponLines({ global: true, seller: null }, lines).length, 3);
+  });
+
+  test('describeOffer', () => {
+    assert.strictEqual(describeOffer('bogo', { buyQuantity: 1, getQuantity: 1 }), 'Buy 1, get 1 free');
+    assert.strictEqual(
+      describeOffer('tiered', { tiers: [{ threshold: 500, discountType: 'percentage', discountValue: 10 }] }),
+      '10% off over GH₵500.00',
+    );
+    assert.strictEqual(describeOffer('free_shipping', { minSubtotal: 0 }), 'Free shipping');
+    assert.strictEqual(describeOffer('percentage', {}), null);
+  });
+});
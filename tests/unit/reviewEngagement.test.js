@@ -0,0 +1,172 @@
+/**
+ * Unit: review helpfulness votes, photo visibility and product Q&A views (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/reviewEngagement.test.js
+ */
+
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  resolveVoteChange,
+  getReviewSort,
+  initialMediaStatus,
+  visibleReviewImages,
+  castVote,
+} = require('../../src/services/review/reviewEngagementService');
+const { cleanText, toPublicQuestion } = require('../../src/services/review/productQuestionService');
+const Review = require('../../src/models/product/reviewModel');
+const ReviewVote = require('../../src/models/product/reviewVoteModel');
+const { query } = require('./helpers/mongooseQuery');
+
+describe('resolveVoteChange', () => {
+  test('a first vote increments its counter', () => {
+    assert.deepStrictEqual(resolveVoteChange(null, 'helpful'), { nextVote: 'helpful', delta: { helpfulVotes: 1 } });
+  });
+
+  test('switching moves one vote between counters', () => {
+    assert.deepStrictEqual(resolveVoteChange('helpful', 'not_helpful'), {
+      nextVote: 'not_helpful',
+      delta: { helpfulVotes: -1, nothelpfulVotes: 1 },
+    });
+  });
+
+  test('repeating or withdrawing a vote removes it', () => {
+    assert.deepStrictEqual(resolveVoteChange('not_helpful', 'not_helpful'), {
+      nextVote: null,
+      delta: { nothelpfulVotes: -1 },
+    });
+    assert.deepStrictEqual(resolveVoteChange('helpful', null), { nextVote: null, delta: { helpfulVotes: -1 } });
+    assert.deepStrictEqual(resolveVoteChange(null, null), { nextVote: null, delta: {} });
+  });
+});
+
+describe('castVote', () => {
+  let review;
+  let votes;
+  let originals;
+
+  beforeEach(() => {
+    review = { _id: 'r1', user: 'author', status: 'approved', helpfulVotes: 0, nothelpfulVotes: 0 };
+    votes = new Map();
+    originals = {
+      findById: Review.findById,
+      updateOne: Review.updateOne,
+      findOne: ReviewVote.findOne,
+      findOneAndUpdate: ReviewVote.findOneAndUpdate,
+      findOneAndDelete: ReviewVote.findOneAndDelete,
+    };
+    Review.findById = () => query({ ...review });
+    Review.updateOne = async (filter, update) => {
+      Object.entries(update.$inc).forEach(([field, by]) => {
+        review[field] += by;
+      });
+    };
+    ReviewVote.findOne = ({ user }) => query(votes.get(user) || null);
+    // Like the real writes, these hand back the vote they replaced
+    ReviewVote.findOneAndUpdate = ({ user }, update) => {
+      const previous = votes.get(user) || null;
+      votes.set(user, { vote: update.$set.vote });
+      return query(previous);
+    };
+    ReviewVote.findOneAndDelete = ({ user }) => {
+      const previous = votes.get(user) || null;
+      votes.delete(user);
+      return query(previous);
+    };
+  });
+
+  afterEach(() => {
+    Review.findById = originals.findById;
+    Review.updateOne = originals.updateOne;
+    Object.assign(ReviewVote, {
+      findOne: originals.findOne,
+      findOneAndUpdate: originals.findOneAndUpdate,
+      findOneAndDelete: originals.findOneAndDelete,
+    });
+  });
+
+  const stored = (vote) => [...votes.values()].filter((v) => v.vote === vote).length;
+
+  test('a double-clicked vote is counted once', async () => {
+    await Promise.all([castVote('r1', 'u1', 'helpful'), castVote('r1', 'u1', 'helpful')]);
+    assert.strictEqual(stored('helpful'), 1);
+    assert.strictEqual(review.helpfulVotes, 1);
+  });
+
+  test('a double-clicked withdrawal is taken off once', async () => {
+    votes.set('u1', { vote: 'helpful' });
+    review.helpfulVotes = 1;
+    await Promise.all([castVote('r1', 'u1', null), castVote('r1', 'u1', null)]);
+    assert.strictEqual(votes.size, 0);
+    assert.strictEqual(review.helpfulVotes, 0);
+  });
+
+  test('a switch racing a withdrawal leaves the counters matching the stored vote', async () => {
+    votes.set('u1', { vote: 'helpful' });
+    review.helpfulVotes = 1;
+    await Promise.all([castVote('r1', 'u1', 'not_helpful'), castVote('r1', 'u1', null)]);
+    assert.strictEqual(review.helpfulVotes, stored('helpful'));
+    assert.strictEqual(review.nothelpfulVotes, stored('not_helpful'));
+  });
+});
+
+describe('review listing helpers', () => {
+  test('sort=helpful orders by helpful votes, unknown sorts fall back to newest', () => {
+    assert.deepStrictEqual(getReviewSort('helpful'), { helpfulVotes: -1, nothelpfulVotes: 1, createdAt: -1 });
+    assert.deepStrictEqual(getReviewSort('bogus'), { createdAt: -1 });
+    assert.deepStrictEqual(getReviewSort(undefined), { createdAt: -1 });
+  });
+
+  test('photos start pending only when there are any', () => {
+    assert.strictEqual(initialMediaStatus(['a.jpg']), 'pending');
+    assert.strictEqual(initialMediaStatus([]), 'none');
+    assert.strictEqual(initialMediaStatus(undefined), 'none');
+  });
+
+  test('pending and rejected photos are only visible to their author', () => {
+    const review = { user: { _id: 'u1' }, images: ['a.jpg'], mediaStatus: 'pending' };
+    assert.deepStrictEqual(visibleReviewImages(review, null), []);
+    assert.deepStrictEqual(visibleReviewImages(review, 'u2'), []);
+    assert.deepStrictEqual(visibleReviewImages(review, 'u1'), ['a.jpg']);
+    assert.deepStrictEqual(visibleReviewImages({ ...review, mediaStatus: 'approved' }, null), ['a.jpg']);
+    // Reviews from before photo moderation keep their images
+    assert.deepStrictEqual(visibleReviewImages({ user: 'u1', images: ['old.jpg'] }, null), ['old.jpg']);
+  });
+});
+
+describe('product Q&A', () => {
+  const question = {
+    _id: 'q1',
+    product: 'p1',
+    question: 'Does it come with a charger?',
+    user: { _id: 'u1', name: 'Ama' },
+    status: 'approved',
+    moderationNotes: 'internal',
+    answers: [
+      { _id: 'a1', author: { _id: 'u2', name: 'Kofi' }, authorRole: 'buyer', verifiedBuyer: true, answer: 'Yes', status: 'approved', createdAt: new Date('2026-10-01') },
+      { _id: 'a2', author: { _id: 's1', shopName: 'Volta Tech' }, authorRole: 'seller', answer: 'Yes, 20W', status: 'approved', createdAt: new Date('2026-10-02') },
+      { _id: 'a3', author: { _id: 'u3', name: 'Esi' }, authorRole: 'buyer', verifiedBuyer: true, answer: 'No', status: 'pending', createdAt: new Date('2026-10-03') },
+      { _id: 'a4', author: { _id: 'u4', name: 'Yaw' }, authorRole: 'buyer', answer: 'Spam', status: 'rejected', createdAt: new Date('2026-10-04') },
+    ],
+  };
+
+  test('public view lists approved answers with the seller first', () => {
+    const view = toPublicQuestion(question, null);
+    assert.deepStrictEqual(view.answers.map((a) => [a._id, a.authorName]), [['a2', 'Volta Tech'], ['a1', 'Kofi']]);
+    assert.strictEqual(view.askedBy, 'Ama');
+    assert.strictEqual(view.moderationNotes, undefined);
+  });
+
+  test('answer authors also see their own pending answer', () => {
+    assert.deepStrictEqual(toPublicQuestion(question, 'u3').answers.map((a) => a._id), ['a2', 'a1', 'a3']);
+  });
+
+  test('question and answer text is sanitized and length checked', () => {
+    assert.strictEqual(cleanText('  <b>Is it</b> waterproof? ', 'Question', 500), 'Is it waterproof?');
+    assert.throws(() => cleanText('<p></p>', 'Question', 500), /Question cannot be empty/);
+    assert.throws(() => cleanText('x'.repeat(11), 'Answer', 10), /at most 10 characters/);
+  });
+});
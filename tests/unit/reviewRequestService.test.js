@@ -0,0 +1,148 @@
+/**
+ * Unit: post-delivery review request schedule, link tokens and seller response metrics (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/reviewRequestService.test.js
+ */
+
+'use strict';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+const {
+  getRequestSchedule,
+  getNextSendAt,
+  createLinkToken,
+  verifyLinkToken,
+  buildRatingLinks,
+  pendingItems,
+  submitReviewFromToken,
+} = require('../../src/services/review/reviewRequestService');
+const ReviewRequest = require('../../src/models/product/reviewRequestModel');
+const Review = require('../../src/models/product/reviewModel');
+const Order = require('../../src/models/order/orderModel');
+const { toReviewResponseMetrics } = require('../../src/services/sellerRatingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('request schedule', () => {
+  test('defaults to a request after 3 days and a reminder after 10', () => {
+    const previous = process.env.REVIEW_REQUEST_DAYS;
+    delete process.env.REVIEW_REQUEST_DAYS;
+    assert.deepStrictEqual(getRequestSchedule(), [3, 10]);
+    process.env.REVIEW_REQUEST_DAYS = '7, 2,junk,7';
+    assert.deepStrictEqual(getRequestSchedule(), [2, 7]);
+    if (previous === undefined) delete process.env.REVIEW_REQUEST_DAYS;
+    else process.env.REVIEW_REQUEST_DAYS = previous;
+  });
+
+  test('next send is measured from delivery and ends after the last step', () => {
+    const deliveredAt = new Date('2026-10-01T10:00:00Z');
+    assert.strictEqual(getNextSendAt(deliveredAt, 0, [3, 10]).getTime(), deliveredAt.getTime() + 3 * DAY_MS);
+    assert.strictEqual(getNextSendAt(deliveredAt, 1, [3, 10]).getTime(), deliveredAt.getTime() + 10 * DAY_MS);
+    assert.strictEqual(getNextSendAt(deliveredAt, 2, [3, 10]), null);
+  });
+});
+
+describe('review links', () => {
+  test('link tokens round-trip and reject other token purposes', () => {
+    const token = createLinkToken('64b000000000000000000001');
+    assert.strictEqual(verifyLinkToken(token), '64b000000000000000000001');
+    assert.strictEqual(verifyLinkToken(`${token}x`), null);
+    assert.strictEqual(verifyLinkToken(null), null);
+    const other = jwt.sign({ purpose: 'guest_cart', request: 'x' }, process.env.JWT_SECRET);
+    assert.strictEqual(verifyLinkToken(other), null);
+  });
+
+  test('one star link per rating for each item', () => {
+    const links = buildRatingLinks('https://shop.test/review/quick?token=abc', 'item1');
+    assert.deepStrictEqual(links.map((l) => l.rating), [1, 2, 3, 4, 5]);
+    assert.strictEqual(links[4].url, 'https://shop.test/review/quick?token=abc&item=item1&rating=5');
+  });
+
+  test('reviewed items drop out of the request', () => {
+    const request = { items: [{ orderItem: 'a', reviewedAt: new Date() }, { orderItem: 'b' }] };
+    assert.deepStrictEqual(pendingItems(request).map((i) => i.orderItem), ['b']);
+  });
+});
+
+describe('submitReviewFromToken', () => {
+  const originals = {
+    findRequest: ReviewRequest.findById,
+    findOneAndUpdate: ReviewRequest.findOneAndUpdate,
+    findOrder: Order.findById,
+    create: Review.create,
+  };
+
+  afterEach(() => {
+    ReviewRequest.findById = originals.findRequest;
+    ReviewRequest.findOneAndUpdate = originals.findOneAndUpdate;
+    Order.findById = originals.findOrder;
+    Review.create = originals.create;
+  });
+
+  const requestId = '64b000000000000000000001';
+  const orderItem = '64b000000000000000000002';
+  const body = { orderItem, rating: 5, title: 'Great', review: 'Works as described' };
+
+  const stubOrder = (currentStatus) => {
+    ReviewRequest.findById = async () => ({
+      _id: requestId,
+      order: '64b000000000000000000003',
+      user: '64b000000000000000000004',
+      items: [{ orderItem, product: '64b000000000000000000005' }],
+    });
+    Order.findById = () => ({
+      select() { return this; },
+      lean() { return this; },
+      then(resolve, reject) { return Promise.resolve({ currentStatus }).then(resolve, reject); },
+    });
+  };
+
+  test('cancelled and refunded orders cannot be reviewed from the link', async () => {
+    let created = 0;
+    Review.create = async () => { created += 1; };
+    for (const status of ['cancelled', 'refunded']) {
+      stubOrder(status);
+      await assert.rejects(
+        submitReviewFromToken(createLinkToken(requestId), body),
+        (error) => error.statusCode === 400 && /no longer be submitted/.test(error.message),
+      );
+    }
+    assert.strictEqual(created, 0);
+  });
+
+  test('delivered orders accept a verified review', async () => {
+    stubOrder('delivered');
+    ReviewRequest.findOneAndUpdate = async () => null;
+    Review.create = async (doc) => ({ _id: 'r1', ...doc });
+    const review = await submitReviewFromToken(createLinkToken(requestId), body);
+    assert.strictEqual(review.verifiedPurchase, true);
+    assert.strictEqual(review.rating, 5);
+  });
+});
+
+describe('toReviewResponseMetrics', () => {
+  test('response rate and average response time', () => {
+    assert.deepStrictEqual(toReviewResponseMetrics({ reviews: 8, replied: 6, totalResponseMs: 6 * 5 * 60 * 60 * 1000 }), {
+      reviews: 8,
+      replied: 6,
+      rate: 75,
+      avgResponseHours: 5,
+      score: 75,
+    });
+  });
+
+  test('sellers without reviews are not penalised', () => {
+    assert.deepStrictEqual(toReviewResponseMetrics(undefined), {
+      reviews: 0,
+      replied: 0,
+      rate: null,
+      avgResponseHours: null,
+      score: 100,
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit: search analytics report filters, exit rule and request context (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/searchAnalyticsService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseReportFilters,
+  buildReportMatch,
+  exitMatch,
+  searchContextFromRequest,
+  recordSearchClick,
+} = require('../../src/services/search/searchAnalyticsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fakeReq = ({ user = null, headers = {}, body = {}, query = {} } = {}) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { user, headers: lower, body, query, get: (name) => lower[name.toLowerCase()] };
+};
+
+describe('parseReportFilters', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  test('defaults to the last 7 days on all devices', () => {
+    const filters = parseReportFilters({}, now);
+    assert.strictEqual(filters.to.getTime(), now.getTime());
+    assert.strictEqual(filters.to - filters.from, 7 * DAY_MS);
+    assert.strictEqual(filters.device, null);
+  });
+
+  test('a date-only `to` includes that whole day', () => {
+    const filters = parseReportFilters({ from: '2026-10-01', to: '2026-10-10', device: 'Mobile' }, now);
+    assert.strictEqual(filters.from.toISOString(), '2026-10-01T00:00:00.000Z');
+    assert.strictEqual(filters.to.toISOString(), '2026-10-10T23:59:59.999Z');
+    assert.strictEqual(filters.device, 'mobile');
+  });
+
+  test('rejects bad dates, reversed or oversized ranges and unknown devices', () => {
+    assert.throws(() => parseReportFilters({ from: 'yesterday' }, now), { statusCode: 400 });
+    assert.throws(() => parseReportFilters({ from: '2026-10-10', to: '2026-10-01' }, now), /before/);
+    assert.throws(() => parseReportFilters({ from: '2025-01-01', to: '2026-10-01' }, now), /exceed/);
+    assert.throws(() => parseReportFilters({ device: 'watch' }, now), /device/);
+  });
+});
+
+describe('report matching', () => {
+  test('buildReportMatch filters by date and optional device', () => {
+    const from = new Date('2026-10-01');
+    const to = new Date('2026-10-08');
+    assert.deepStrictEqual(buildReportMatch({ from, to, device: null }), { searchedAt: { $gte: from, $lte: to } });
+    assert.strictEqual(buildReportMatch({ from, to, device: 'tablet' }).device, 'tablet');
+  });
+
+  test('exits are unclicked, unrefined searches with results older than the refinement window', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const match = exitMatch(now);
+    assert.deepStrictEqual(match.resultsCount, { $gt: 0 });
+    assert.strictEqual(match.clickCount, 0);
+    assert.deepStrictEqual(match.refined, { $ne: true });
+    assert.strictEqual(match.searchedAt.$lte.toISOString(), '2026-10-18T11:30:00.000Z');
+  });
+});
+
+describe('searchContextFromRequest', () => {
+  test('maps roles and reads the session from the header first', () => {
+    const context = searchContextFromRequest(
+      fakeReq({
+        user: { id: 'u1', role: 'user' },
+        headers: { 'x-session-id': ' abc ', 'x-platform': 'eazmain' },
+        query: { sessionId: 'ignored' },
+      }),
+    );
+    assert.strictEqual(context.userId, 'u1');
+    assert.strictEqual(context.role, 'buyer');
+    assert.strictEqual(context.sessionId, 'abc');
+    assert.strictEqual(context.device, 'unknown');
+  });
+
+  test('guests and staff roles', () => {
+    assert.strictEqual(searchContextFromRequest(fakeReq()).role, 'guest');
+    assert.strictEqual(searchContextFromRequest(fakeReq({ user: { id: 'a', role: 'superadmin' } })).role, 'admin');
+    assert.strictEqual(searchContextFromRequest(fakeReq({ user: { id: 's', role: 'official_store' } })).role, 'seller');
+  });
+});
+
+describe('recordSearchClick', () => {
+  test('validates ids and position before touching the database', async () => {
+    const id = '507f1f77bcf86cd799439011';
+    await assert.rejects(recordSearchClick('nope', id, 1), /searchId/);
+    await assert.rejects(recordSearchClick(id, 'nope', 1), /productId/);
+    await assert.rejects(recordSearchClick(id, id, 0), /position/);
+    await assert.rejects(recordSearchClick(id, id, 1.5), /position/);
+  });
+});
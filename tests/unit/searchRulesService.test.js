@@ -0,0 +1,180 @@
+/**
+ * Unit: search query rewriting, merchandising rules and spelling suggestions (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/searchRulesService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_SYNONYMS,
+  buildSynonymIndex,
+  buildCorrectionIndex,
+  rewriteQuery,
+  matchRules,
+  applyMerchandising,
+  getSearchConfig,
+  invalidateSearchConfig,
+} = require('../../src/services/search/searchRulesService');
+const SearchSynonym = require('../../src/models/search/searchSynonymModel');
+const SearchCorrection = require('../../src/models/search/searchCorrectionModel');
+const SearchRule = require('../../src/models/search/searchRuleModel');
+const { editDistance, suggestCorrection } = require('../../src/services/search/spellingCorrectionService');
+const { buildInclusiveKeywordQuery } = require('../../src/utils/helpers/searchUtils');
+
+const config = (synonyms = [], corrections = []) => ({
+  synonyms: buildSynonymIndex(synonyms),
+  corrections: buildCorrectionIndex(corrections),
+  rules: [],
+});
+
+const product = (id, extra = {}) => ({ _id: id, brand: '', seller: 's1', ...extra });
+
+describe('rewriteQuery', () => {
+  test('equivalent synonyms expand both ways, one-way only forward', () => {
+    const cfg = config([
+      { type: 'equivalent', terms: ['phone', 'mobile'] },
+      { type: 'one_way', input: 'ntoma', terms: ['fabric'] },
+    ]);
+    assert.deepStrictEqual(rewriteQuery('mobile', cfg).segments, [{ term: 'mobile', alternatives: ['phone'] }]);
+    assert.deepStrictEqual(rewriteQuery('Ntoma', cfg).segments, [{ term: 'ntoma', alternatives: ['fabric'] }]);
+    assert.deepStrictEqual(rewriteQuery('fabric', cfg).segments, [{ term: 'fabric', alternatives: [] }]);
+  });
+
+  test('multi-word synonyms are matched before single words', () => {
+    const cfg = config([
+      { type: 'equivalent', terms: ['cell phone', 'mobile'] },
+      { type: 'equivalent', terms: ['case', 'cover'] },
+    ]);
+    const rewrite = rewriteQuery('cell phone case', cfg);
+    assert.deepStrictEqual(
+      rewrite.segments.map((s) => s.term),
+      ['cell phone', 'case'],
+    );
+    assert.deepStrictEqual(rewrite.expansions, ['mobile case', 'cell phone cover']);
+  });
+
+  test('approved corrections fix words, whole-query corrections win', () => {
+    const cfg = config([], [
+      { misspelling: 'samsumg', correction: 'samsung', status: 'approved' },
+      { misspelling: 'iphnoe', correction: 'iphone', status: 'suggested' },
+      { misspelling: 'ear pods', correction: 'airpods', status: 'approved' },
+    ]);
+    const word = rewriteQuery('samsumg iphnoe', cfg);
+    assert.strictEqual(word.corrected, 'samsung iphnoe');
+    assert.deepStrictEqual(word.corrections, [{ from: 'samsumg', to: 'samsung' }]);
+    assert.strictEqual(rewriteQuery('Ear  Pods', cfg).corrected, 'airpods');
+  });
+
+  test('default synonyms keep the built-in expansions', () => {
+    const rewrite = rewriteQuery('phone cover', config(DEFAULT_SYNONYMS));
+    assert.ok(rewrite.expansions.includes('phone case'));
+    assert.ok(rewrite.expansions.includes('mobile cover'));
+  });
+
+  test('built-in synonyms widen suggestions but not search results', async () => {
+    const finds = [SearchSynonym.find, SearchCorrection.find, SearchRule.find];
+    const rows = (value) => () => ({ select() { return this; }, lean: async () => value });
+    SearchSynonym.find = rows([]);
+    SearchCorrection.find = rows([]);
+    SearchRule.find = rows([]);
+    invalidateSearchConfig();
+    try {
+      const cfg = await getSearchConfig();
+      assert.deepStrictEqual(rewriteQuery('phone cover', cfg).segments.map((s) => s.alternatives), [[], []]);
+      assert.ok(rewriteQuery('phone cover', { ...cfg, synonyms: cfg.suggestionSynonyms }).expansions.includes('phone case'));
+
+      SearchSynonym.find = rows([{ type: 'equivalent', terms: ['phone', 'mobile'] }]);
+      invalidateSearchConfig();
+      const admin = await getSearchConfig();
+      assert.deepStrictEqual(rewriteQuery('phone cover', admin).segments[0].alternatives, ['mobile']);
+      assert.strictEqual(admin.suggestionSynonyms.has('cover'), false);
+    } finally {
+      [SearchSynonym.find, SearchCorrection.find, SearchRule.find] = finds;
+      invalidateSearchConfig();
+    }
+  });
+
+  test('segments become one OR-clause per segment in the keyword query', () => {
+    const { segments } = rewriteQuery('phone', config([{ type: 'equivalent', terms: ['phone', 'mobile'] }]));
+    const fragment = buildInclusiveKeywordQuery('phone', segments);
+    const sources = fragment.$or.map((clause) => Object.values(clause)[0].source);
+    assert.ok(sources.includes('phone') && sources.includes('mobile'));
+    assert.strictEqual(buildInclusiveKeywordQuery('red phone').$and.length, 2);
+  });
+});
+
+describe('matchRules', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const rules = [
+    { _id: 'exact', queries: ['iphone'], queryMatch: 'exact', priority: 1, pins: [] },
+    { _id: 'contains', queries: ['iphone'], queryMatch: 'contains', priority: 5 },
+    { _id: 'category', queries: [], category: 'c1', priority: 0 },
+    { _id: 'expired', queries: ['iphone'], endsAt: new Date('2026-05-01'), priority: 9 },
+    { _id: 'inactive', queries: ['iphone'], isActive: false, priority: 9 },
+  ];
+
+  test('matches exact and contained queries by priority, skipping inactive and expired rules', () => {
+    assert.deepStrictEqual(matchRules(rules, 'iphone', null, now).map((r) => r._id), ['contains', 'exact']);
+    assert.deepStrictEqual(matchRules(rules, 'iphone 15 case', null, now).map((r) => r._id), ['contains']);
+    assert.deepStrictEqual(matchRules(rules, 'iphones', null, now).map((r) => r._id), []);
+  });
+
+  test('category rules apply with or without a query', () => {
+    assert.deepStrictEqual(matchRules(rules, '', 'c1', now).map((r) => r._id), ['category']);
+    assert.deepStrictEqual(matchRules(rules, 'iphone', 'c1', now).map((r) => r._id), ['contains', 'exact', 'category']);
+  });
+});
+
+describe('applyMerchandising', () => {
+  const ranked = ['a', 'b', 'c', 'd', 'e'].map((id) => product(id));
+  const ids = (result) => result.products.map((p) => p._id);
+
+  test('pins, buries and keeps the rest in relevance order', () => {
+    const result = applyMerchandising(ranked, [{ pins: [{ product: 'd', position: 1 }], bury: ['a'] }]);
+    assert.deepStrictEqual(ids(result), ['d', 'b', 'c', 'e', 'a']);
+    assert.deepStrictEqual(result.explanations[0], {
+      productId: 'd', position: 1, basePosition: 4, pinned: true, buried: false, boost: 0,
+    });
+    assert.strictEqual(result.explanations[4].buried, true);
+  });
+
+  test('boosts lift matching products by weight', () => {
+    const products = [product('a'), product('b'), product('c', { brand: 'Tecno' })];
+    const small = applyMerchandising(products, [{ boosts: [{ field: 'brand', value: 'tecno', weight: 0.4 }] }]);
+    assert.deepStrictEqual(ids(small), ['a', 'c', 'b']);
+    const large = applyMerchandising(products, [{ boosts: [{ field: 'brand', value: 'tecno', weight: 1 }] }]);
+    assert.deepStrictEqual(ids(large), ['c', 'a', 'b']);
+  });
+
+  test('the higher-priority rule wins a pin slot and extra pinned products are inserted', () => {
+    const result = applyMerchandising(
+      ranked,
+      [{ pins: [{ product: 'x', position: 2 }] }, { pins: [{ product: 'c', position: 2 }] }],
+      [product('x')],
+    );
+    assert.deepStrictEqual(ids(result), ['a', 'x', 'b', 'c', 'd', 'e']);
+    assert.strictEqual(result.explanations[1].basePosition, null);
+  });
+});
+
+describe('spelling suggestions', () => {
+  test('editDistance counts transpositions as one edit', () => {
+    assert.strictEqual(editDistance('samsung', 'samsung'), 0);
+    assert.strictEqual(editDistance('samsumg', 'samsung'), 1);
+    assert.strictEqual(editDistance('iphnoe', 'iphone'), 1);
+    assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+  });
+
+  test('suggests the closest, then most frequent, vocabulary word', () => {
+    const vocabulary = new Map([['samsung', 40], ['iphone', 30], ['shoes', 5], ['shots', 50]]);
+    assert.deepStrictEqual(suggestCorrection('samsng', vocabulary), { correction: 'samsung', distance: 1 });
+    assert.deepStrictEqual(suggestCorrection('shoss', vocabulary), { correction: 'shots', distance: 1 });
+    assert.strictEqual(suggestCorrection('iphone', vocabulary), null);
+    assert.strictEqual(suggestCorrection('bag', vocabulary), null);
+    assert.strictEqual(suggestCorrection('blender', vocabulary), null);
+  });
+});
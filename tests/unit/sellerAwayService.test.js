@@ -0,0 +1,107 @@
+/**
+ * Unit: seller away state, schedule validation and cart checks (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/sellerAwayService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getAwayState,
+  publicAwayInfo,
+  parseAwaySchedule,
+  assertPurchasable,
+  backorderDeliveryEstimate,
+} = require('../../src/services/seller/sellerAwayService');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sellerWith = (awayMode) => ({ _id: 's1', shopName: 'Kofi Gadgets', awayMode });
+
+describe('getAwayState', () => {
+  test('no schedule, disabled or ended periods are open', () => {
+    assert.strictEqual(getAwayState({}, now).status, 'open');
+    assert.strictEqual(getAwayState(sellerWith({ enabled: false, endsAt: new Date(now.getTime() + DAY_MS) }), now).status, 'open');
+    assert.strictEqual(getAwayState(sellerWith({ enabled: true, endsAt: new Date(now.getTime() - 1) }), now).status, 'open');
+  });
+
+  test('future periods are scheduled and still purchasable', () => {
+    const state = getAwayState(sellerWith({
+      enabled: true,
+      startsAt: new Date(now.getTime() + DAY_MS),
+      endsAt: new Date(now.getTime() + 3 * DAY_MS),
+    }), now);
+    assert.strictEqual(state.status, 'scheduled');
+    assert.strictEqual(state.purchasable, true);
+  });
+
+  test('running periods follow the order policy', () => {
+    const period = { enabled: true, startsAt: new Date(now.getTime() - DAY_MS), endsAt: new Date(now.getTime() + DAY_MS) };
+    const closed = getAwayState(sellerWith({ ...period, orderPolicy: 'closed' }), now);
+    assert.strictEqual(closed.status, 'away');
+    assert.strictEqual(closed.purchasable, false);
+    const backorder = getAwayState(sellerWith({ ...period, orderPolicy: 'backorder' }), now);
+    assert.strictEqual(backorder.purchasable, true);
+    assert.strictEqual(backorder.backorder, true);
+  });
+
+  test('publicAwayInfo hides open shops and internal fields', () => {
+    assert.strictEqual(publicAwayInfo(sellerWith(undefined), now), null);
+    const info = publicAwayInfo(sellerWith({
+      enabled: true,
+      endsAt: new Date(now.getTime() + DAY_MS),
+      message: 'Back after the holidays',
+      flaggedAt: now,
+    }), now);
+    assert.strictEqual(info.status, 'away');
+    assert.strictEqual(info.message, 'Back after the holidays');
+    assert.strictEqual(info.flaggedAt, undefined);
+  });
+});
+
+describe('parseAwaySchedule', () => {
+  test('defaults start to now and policy to closed', () => {
+    const schedule = parseAwaySchedule({ endsAt: '2026-10-25', message: '  Closed for Christmas  ' }, now);
+    assert.strictEqual(schedule.startsAt.getTime(), now.getTime());
+    assert.strictEqual(schedule.orderPolicy, 'closed');
+    assert.strictEqual(schedule.message, 'Closed for Christmas');
+  });
+
+  test('rejects missing, past, reversed, oversized and unknown inputs', () => {
+    assert.throws(() => parseAwaySchedule({}, now), { statusCode: 400 });
+    assert.throws(() => parseAwaySchedule({ endsAt: '2026-10-01' }, now), /future/);
+    assert.throws(() => parseAwaySchedule({ startsAt: '2026-10-30', endsAt: '2026-10-20' }, now), /after startsAt/);
+    assert.throws(() => parseAwaySchedule({ endsAt: '2027-06-01' }, now), /90 days/);
+    assert.throws(() => parseAwaySchedule({ endsAt: '2026-10-25', orderPolicy: 'maybe' }, now), /orderPolicy/);
+    assert.throws(() => parseAwaySchedule({ endsAt: '2026-10-25', message: 'x'.repeat(301) }, now), /300/);
+  });
+});
+
+describe('cart checks', () => {
+  const endsAt = new Date('2026-10-25T00:00:00Z');
+  const product = { name: 'USB-C Charger' };
+
+  test('closed shops reject with the end date and message', () => {
+    const seller = sellerWith({ enabled: true, endsAt, message: 'Restocking.', orderPolicy: 'closed' });
+    assert.throws(
+      () => assertPurchasable(product, seller, now),
+      (err) => err.statusCode === 400 && /Kofi Gadgets is away until 25 Oct 2026\. Restocking\./.test(err.message),
+    );
+  });
+
+  test('back-order shops return the ship date; open shops return null', () => {
+    const seller = sellerWith({ enabled: true, endsAt, orderPolicy: 'backorder' });
+    assert.deepStrictEqual(assertPurchasable(product, seller, now), { backorder: true, shipsFrom: endsAt });
+    assert.strictEqual(assertPurchasable(product, sellerWith(undefined), now), null);
+    assert.strictEqual(assertPurchasable(product, null, now), null);
+  });
+
+  test('backorderDeliveryEstimate prefixes the ship date', () => {
+    assert.strictEqual(backorderDeliveryEstimate('1-3 Business Days', endsAt), 'Ships from 25 Oct 2026, then 1-3 Business Days');
+    assert.strictEqual(backorderDeliveryEstimate(null, endsAt), 'Ships from 25 Oct 2026');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit: split shipment transitions, delivery proof and order rollup (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/shipmentService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  checkShipmentTransition,
+  rollupShipments,
+  initialShipmentStatus,
+} = require('../../src/services/order/shipmentService');
+const { deriveLegacyStatuses } = require('../../src/services/order/orderLifecycleService');
+
+const SELLER = '64b000000000000000000051';
+const seller = { id: SELLER, role: 'seller' };
+const admin = { id: 'admin-1', role: 'admin' };
+const paidOrder = { orderType: 'normal', paymentStatus: 'paid', paymentMethod: 'paystack' };
+
+describe('checkShipmentTransition', () => {
+  const shipment = { status: 'out_for_delivery', seller: SELLER };
+
+  test('sellers move their own shipments forward; others are rejected', () => {
+    assert.strictEqual(checkShipmentTransition(shipment, 'delivery_attempted', seller, paidOrder).allowed, true);
+    const other = checkShipmentTransition(shipment, 'delivery_attempted', { id: 'x', role: 'seller' }, paidOrder);
+    assert.deepStrictEqual([other.allowed, other.statusCode], [false, 403]);
+    assert.strictEqual(checkShipmentTransition(shipment, 'preparing', admin, paidOrder).allowed, false);
+  });
+
+  test('sellers need delivery proof to mark delivered; admins do not', () => {
+    const missing = checkShipmentTransition(shipment, 'delivered', seller, paidOrder, {});
+    assert.strictEqual(missing.allowed, false);
+    assert.match(missing.reason, /Delivery proof/);
+    assert.strictEqual(
+      checkShipmentTransition(shipment, 'delivered', seller, paidOrder, { recipientName: 'Ama' }).allowed,
+      true,
+    );
+    assert.strictEqual(checkShipmentTransition(shipment, 'delivered', admin, paidOrder).allowed, true);
+  });
+
+  test('only admins cancel, and unpaid online orders cannot progress', () => {
+    assert.strictEqual(checkShipmentTransition(shipment, 'cancelled', seller, paidOrder).statusCode, 403);
+    assert.strictEqual(checkShipmentTransition(shipment, 'cancelled', admin, paidOrder).allowed, true);
+
+    const unpaid = { ...paidOrder, paymentStatus: 'pending' };
+    assert.strictEqual(
+      checkShipmentTransition({ status: 'pending', seller: SELLER }, 'preparing', seller, unpaid).allowed,
+      false,
+    );
+    assert.strictEqual(
+      checkShipmentTransition(
+        { status: 'pending', seller: SELLER },
+        'preparing',
+        seller,
+        { ...unpaid, paymentMethod: 'payment_on_delivery' },
+      ).allowed,
+      true,
+    );
+  });
+});
+
+describe('rollupShipments', () => {
+  test('the order follows the least advanced active shipment', () => {
+    const { targetStatus, fulfilment } = rollupShipments([
+      { status: 'delivered' },
+      { status: 'out_for_delivery' },
+      { status: 'cancelled' },
+    ]);
+    assert.strictEqual(targetStatus, 'out_for_delivery');
+    assert.deepStrictEqual(fulfilment, {
+      shipments: 3,
+      shipped: 2,
+      delivered: 1,
+      cancelled: 1,
+      partiallyShipped: false,
+    });
+  });
+
+  test('one seller delivered while another is still preparing is partially shipped', () => {
+    const { targetStatus, fulfilment } = rollupShipments([{ status: 'delivered' }, { status: 'preparing' }]);
+    assert.strictEqual(targetStatus, 'preparing');
+    assert.strictEqual(fulfilment.partiallyShipped, true);
+    assert.strictEqual(deriveLegacyStatuses(targetStatus, fulfilment).status, 'partially_shipped');
+  });
+
+  test('all delivered, all cancelled and still pending', () => {
+    assert.strictEqual(rollupShipments([{ status: 'delivered' }, { status: 'cancelled' }]).targetStatus, 'delivered');
+    assert.strictEqual(rollupShipments([{ status: 'cancelled' }]).targetStatus, 'cancelled');
+    assert.strictEqual(rollupShipments([{ status: 'pending' }, { status: 'delivered' }]).targetStatus, null);
+    assert.strictEqual(rollupShipments([]).targetStatus, null);
+  });
+});
+
+describe('initialShipmentStatus', () => {
+  test('picks up where existing orders already are', () => {
+    assert.strictEqual(initialShipmentStatus('out_for_delivery', 'shipped'), 'out_for_delivery');
+    assert.strictEqual(initialShipmentStatus('confirmed', 'confirmed'), 'pending');
+    assert.strictEqual(initialShipmentStatus('refunded', 'cancelled'), 'cancelled');
+    assert.strictEqual(initialShipmentStatus('processing', 'delivered'), 'delivered');
+  });
+});
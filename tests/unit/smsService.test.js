@@ -0,0 +1,145 @@
+/**
+ * Unit: SMS phone normalisation, segments, templates, opt-outs and receipts (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/smsService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  normalizePhone,
+  normalizeSenderId,
+  countSegments,
+  isCategoryAllowed,
+  isValidReceiptToken,
+  sendSms,
+} = require('../../src/services/sms/smsService');
+const { renderTemplate } = require('../../src/services/sms/smsTemplates');
+const arkeselProvider = require('../../src/services/sms/arkeselProvider');
+const { registerProvider, getProvider } = require('../../src/services/sms/smsProvider');
+
+describe('normalizePhone', () => {
+  test('Ghana local and international formats become 233XXXXXXXXX', () => {
+    assert.strictEqual(normalizePhone('024 412 3456'), '233244123456');
+    assert.strictEqual(normalizePhone('+233 24 412 3456'), '233244123456');
+    assert.strictEqual(normalizePhone('233244123456'), '233244123456');
+  });
+
+  test('other international numbers pass through; junk is rejected', () => {
+    assert.strictEqual(normalizePhone('+44 7700 900123'), '447700900123');
+    assert.strictEqual(normalizePhone('12345'), null);
+    assert.strictEqual(normalizePhone(null), null);
+  });
+});
+
+describe('normalizeSenderId', () => {
+  test('keeps at most 11 alphanumeric characters', () => {
+    assert.strictEqual(normalizeSenderId('Saiisai'), 'Saiisai');
+    assert.strictEqual(normalizeSenderId('Saiisai Marketplace!'), 'Saiisai Mar');
+    assert.strictEqual(normalizeSenderId('!!'), 'Saiisai');
+  });
+});
+
+describe('countSegments', () => {
+  test('GSM-7 messages split at 160 then 153 characters', () => {
+    assert.deepStrictEqual(countSegments('a'.repeat(160)), { encoding: 'GSM-7', length: 160, segments: 1 });
+    assert.strictEqual(countSegments('a'.repeat(161)).segments, 2);
+    assert.strictEqual(countSegments('a'.repeat(306)).segments, 2);
+  });
+
+  test('extension characters count double; anything else switches to UCS-2', () => {
+    assert.strictEqual(countSegments('{}').length, 4);
+    const ucs = countSegments('GH₵ 20');
+    assert.strictEqual(ucs.encoding, 'UCS-2');
+    assert.strictEqual(countSegments('₵'.repeat(71)).segments, 2);
+  });
+});
+
+describe('templates', () => {
+  test('every template renders a single GSM-7 segment for typical data', () => {
+    const samples = [
+      ['otp', { otp: '123456' }],
+      ['passwordResetOtp', { otp: '123456' }],
+      ['passwordResetConfirmation', {}],
+      ['orderUpdate', { orderNumber: 'ORD-20261018-123456', status: 'shipped' }],
+      ['payoutAlert', { amount: 1250.5, status: 'rejected', reason: 'Account name mismatch' }],
+    ];
+    for (const [name, data] of samples) {
+      const { body } = renderTemplate(name, data);
+      const { encoding, segments } = countSegments(body);
+      assert.strictEqual(encoding, 'GSM-7', name);
+      assert.strictEqual(segments, 1, `${name}: ${body}`);
+    }
+  });
+
+  test('categories and unknown templates', () => {
+    assert.strictEqual(renderTemplate('otp', { otp: '1' }).category, 'security');
+    assert.strictEqual(renderTemplate('orderUpdate', { orderNumber: 'X', status: 'delivered' }).category, 'orderUpdates');
+    assert.match(renderTemplate('payoutAlert', { amount: 10, status: 'paid' }).body, /GHS 10\.00 has been paid/);
+    assert.throws(() => renderTemplate('nope'), /Unknown SMS template/);
+  });
+});
+
+describe('isCategoryAllowed', () => {
+  test('security messages ignore opt-outs', () => {
+    assert.strictEqual(isCategoryAllowed('security', { permission: { smsPreferences: { orderUpdates: false } } }), true);
+  });
+
+  test('buyer order updates follow updateSMSPrefs and notification settings', () => {
+    assert.strictEqual(isCategoryAllowed('orderUpdates', {}), true);
+    assert.strictEqual(isCategoryAllowed('orderUpdates', { permission: { smsPreferences: { orderUpdates: false } } }), false);
+    assert.strictEqual(isCategoryAllowed('orderUpdates', { settings: { sms: { orderUpdates: false } } }), false);
+  });
+
+  test('promotions require an opt-in', () => {
+    assert.strictEqual(isCategoryAllowed('promotions', {}), false);
+    assert.strictEqual(isCategoryAllowed('promotions', { permission: { smsPreferences: { promotions: true } } }), true);
+  });
+
+  test('sellers use criticalAlerts', () => {
+    assert.strictEqual(isCategoryAllowed('payouts', { seller: { notificationSettings: { sms: {} } } }), true);
+    assert.strictEqual(
+      isCategoryAllowed('payouts', { seller: { notificationSettings: { sms: { criticalAlerts: false } } } }),
+      false,
+    );
+  });
+});
+
+describe('receipts and providers', () => {
+  test('arkesel receipts map gateway statuses', () => {
+    assert.deepStrictEqual(arkeselProvider.parseReceipt({ sms_id: 'abc', status: 'DELIVERED' }), {
+      providerMessageId: 'abc',
+      status: 'delivered',
+    });
+    assert.strictEqual(arkeselProvider.parseReceipt({ id: 'x', status: 'REJECTED' }).status, 'failed');
+    assert.strictEqual(arkeselProvider.parseReceipt({ id: 'x', status: 'SUBMITTED' }).status, 'sent');
+    assert.strictEqual(arkeselProvider.parseReceipt({ status: 'DELIVERED' }), null);
+  });
+
+  test('receipt tokens must match SMS_WEBHOOK_TOKEN', () => {
+    const previous = process.env.SMS_WEBHOOK_TOKEN;
+    delete process.env.SMS_WEBHOOK_TOKEN;
+    assert.strictEqual(isValidReceiptToken('anything'), false);
+    process.env.SMS_WEBHOOK_TOKEN = 'secret-token';
+    assert.strictEqual(isValidReceiptToken('secret-token'), true);
+    assert.strictEqual(isValidReceiptToken('secret-tokeN'), false);
+    assert.strictEqual(isValidReceiptToken(undefined), false);
+    if (previous === undefined) delete process.env.SMS_WEBHOOK_TOKEN;
+    else process.env.SMS_WEBHOOK_TOKEN = previous;
+  });
+
+  test('registerProvider requires send()', () => {
+    assert.throws(() => registerProvider('broken', {}), /send\(\)/);
+    registerProvider('hubtel', { send: async () => ({ providerMessageId: '1', status: 'sent', cost: null }) });
+    assert.strictEqual(getProvider('hubtel').name, 'hubtel');
+  });
+
+  test('sendSms validates the number and body before touching the database', async () => {
+    await assert.rejects(sendSms({ to: '123', message: 'hi' }), /valid phone number/);
+    await assert.rejects(sendSms({ to: '0244123456', message: '   ' }), /empty/);
+    await assert.rejects(sendSms({ to: '0244123456', message: 'hi', category: 'spam' }), /category/);
+  });
+});
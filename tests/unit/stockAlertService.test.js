@@ -0,0 +1,59 @@
+/**
+ * Unit: low / out-of-stock alert detection on stock reduction (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/stockAlertService.test.js
+ */
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { getStockAlertLevel, buildStockAlert } = require('../../src/services/stock/stockAlertService');
+
+describe('getStockAlertLevel', () => {
+  test('alerts when a reduction crosses the threshold', () => {
+    assert.strictEqual(getStockAlertLevel(7, 5, 5), 'low_stock');
+    assert.strictEqual(getStockAlertLevel(6, 2, 5), 'low_stock');
+  });
+
+  test('alerts out of stock when a reduction reaches zero', () => {
+    assert.strictEqual(getStockAlertLevel(3, 0, 5), 'out_of_stock');
+    assert.strictEqual(getStockAlertLevel(10, 0, 5), 'out_of_stock');
+  });
+
+  test('does not re-alert while already below the threshold', () => {
+    assert.strictEqual(getStockAlertLevel(4, 3, 5), null);
+    assert.strictEqual(getStockAlertLevel(20, 10, 5), null);
+  });
+});
+
+describe('buildStockAlert', () => {
+  const product = { _id: 'p1', seller: 's1', name: 'Sneakers' };
+
+  test('describes the variant and uses its own threshold', () => {
+    const variant = {
+      _id: 'v1',
+      sku: 'SNK-42',
+      stock: 9,
+      lowStockThreshold: 10,
+      attributes: [{ key: 'size', value: '42' }, { key: 'color', value: 'Black' }],
+    };
+    assert.deepStrictEqual(buildStockAlert(product, variant, 2), {
+      seller: 's1',
+      productId: 'p1',
+      productName: 'Sneakers',
+      variantId: 'v1',
+      variantName: '42 / Black',
+      sku: 'SNK-42',
+      stock: 9,
+      threshold: 10,
+      level: 'low_stock',
+    });
+  });
+
+  test('falls back to the default threshold of 5', () => {
+    assert.strictEqual(buildStockAlert(product, { _id: 'v2', sku: 'A', stock: 5 }, 1).level, 'low_stock');
+    assert.strictEqual(buildStockAlert(product, { _id: 'v2', sku: 'A', stock: 6 }, 1), null);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit: stock holds for Paystack checkouts - reserve, release and expiry (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/stockReservationService.test.js
+ */
+
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const {
+  RESERVATION_TTL_MS,
+  createReservation,
+  confirmReservation,
+  releaseReservation,
+  restoreStockForOrder,
+  expireReservations,
+} = require('../../src/services/stock/stockReservationService');
+const StockReservation = require('../../src/models/order/stockReservationModel');
+const stockService = require('../../src/services/stock/stockService');
+const stockAlertService = require('../../src/services/stock/stockAlertService');
+const FlashDealProduct = require('../../src/models/product/flashDealProductModel');
+const Shipment = require('../../src/models/order/shipmentModel');
+const { query } = require('./helpers/mongooseQuery');
+
+describe('stock reservations', () => {
+  let holds;
+  let restored;
+  let sessions;
+  let originals;
+
+  const fakeSession = (name) => {
+    const session = {
+      name,
+      state: 'open',
+      startTransaction() { session.state = 'active'; },
+      async commitTransaction() { session.state = 'committed'; },
+      async abortTransaction() { session.state = 'aborted'; },
+      endSession() { session.ended = true; },
+    };
+    sessions.push(session);
+    return session;
+  };
+
+  beforeEach(() => {
+    holds = new Map();
+    restored = [];
+    sessions = [];
+    originals = {
+      create: StockReservation.create,
+      findOne: StockReservation.findOne,
+      find: StockReservation.find,
+      findOneAndUpdate: StockReservation.findOneAndUpdate,
+      startSession: mongoose.startSession,
+      restoreOrderStock: stockService.restoreOrderStock,
+      reduceOrderStock: stockService.reduceOrderStock,
+      notifyStockAlerts: stockAlertService.notifyStockAlerts,
+      flashUpdateOne: FlashDealProduct.updateOne,
+      shipmentFind: Shipment.find,
+    };
+
+    StockReservation.create = async (docs) => docs.map((doc) => {
+      const hold = { status: 'active', ...doc };
+      holds.set(String(doc.order), hold);
+      return hold;
+    });
+    StockReservation.findOne = (filter) => query(holds.get(String(filter.order)) || null);
+    // Status changes are staged on the session and only applied when it commits
+    StockReservation.findOneAndUpdate = async (filter, update, options) => {
+      const hold = holds.get(String(filter.order));
+      if (!hold || hold.status !== filter.status) return null;
+      const next = { ...hold, ...update.$set };
+      if (options.session) options.session.pending = () => holds.set(String(filter.order), next);
+      else holds.set(String(filter.order), next);
+      return next;
+    };
+    mongoose.startSession = async () => {
+      const session = fakeSession(`txn${sessions.length + 1}`);
+      const commit = session.commitTransaction;
+      session.commitTransaction = async () => {
+        if (session.pending) session.pending();
+        return commit();
+      };
+      return session;
+    };
+    stockService.restoreOrderStock = async (items, session) => {
+      restored.push({ items, session: session && session.name });
+    };
+    Shipment.find = () => query([]);
+  });
+
+  afterEach(() => {
+    StockReservation.create = originals.create;
+    StockReservation.findOne = originals.findOne;
+    StockReservation.find = originals.find;
+    StockReservation.findOneAndUpdate = originals.findOneAndUpdate;
+    mongoose.startSession = originals.startSession;
+    stockService.restoreOrderStock = originals.restoreOrderStock;
+    stockService.reduceOrderStock = originals.reduceOrderStock;
+    stockAlertService.notifyStockAlerts = originals.notifyStockAlerts;
+    FlashDealProduct.updateOne = originals.flashUpdateOne;
+    Shipment.find = originals.shipmentFind;
+  });
+
+  test('a new Paystack order holds its items for the reservation TTL', async () => {
+    const before = Date.now();
+    const reservation = await createReservation(
+      { _id: 'o1', user: 'u1' },
+      [{ productId: 'p1', sku: 'SKU-1', variantId: 'v1', quantity: 2 }],
+      'checkout-session',
+    );
+    assert.deepStrictEqual(reservation.items, [{ product: 'p1', sku: 'SKU-1', variant: 'v1', quantity: 2 }]);
+    assert.ok(reservation.expiresAt.getTime() >= before + RESERVATION_TTL_MS);
+  });
+
+  test('release without a caller session runs in its own transaction', async () => {
+    holds.set('o1', { order: 'o1', status: 'active', items: [{ product: 'p1', quantity: 2 }] });
+
+    assert.strictEqual(await releaseReservation('o1', 'payment_failed'), true);
+    assert.strictEqual(sessions.length, 1);
+    assert.strictEqual(sessions[0].state, 'committed');
+    assert.deepStrictEqual(restored, [{ items: [{ product: 'p1', quantity: 2 }], session: 'txn1' }]);
+    assert.strictEqual(holds.get('o1').status, 'released');
+    assert.strictEqual(holds.get('o1').releaseReason, 'payment_failed');
+
+    // Releasing again is a no-op: the stock is only returned once
+    assert.strictEqual(await releaseReservation('o1', 'payment_failed'), false);
+    assert.strictEqual(restored.length, 1);
+  });
+
+  test('a failed restock keeps the hold active so it can be released again', async () => {
+    holds.set('o1', { order: 'o1', status: 'active', items: [{ product: 'p1', quantity: 1 }] });
+    stockService.restoreOrderStock = async () => {
+      throw new Error('write conflict');
+    };
+
+    await assert.rejects(releaseReservation('o1', 'payment_failed'), /write conflict/);
+    assert.strictEqual(sessions[0].state, 'aborted');
+    assert.strictEqual(holds.get('o1').status, 'active');
+  });
+
+  test('releasing a hold gives its flash deal units back in the same transaction', async () => {
+    const reservation = await createReservation(
+      { _id: 'o1', user: 'u1' },
+      [{ productId: 'p1', quantity: 2, priceAdjustments: [{ type: 'flash_deal', ruleId: 'fd1', name: 'Deal', amount: 5 }] }],
+      'checkout-session',
+    );
+    assert.deepStrictEqual(reservation.items[0].priceAdjustments, [{ type: 'flash_deal', ruleId: 'fd1' }]);
+
+    const released = [];
+    FlashDealProduct.updateOne = async (filter, update, options) => {
+      released.push([filter._id, update.$inc.soldCount, options.session.name]);
+      return { matchedCount: 1 };
+    };
+    await releaseReservation('o1', 'expired', { status: 'expired' });
+    assert.deepStrictEqual(released, [['fd1', -2, 'txn1']]);
+
+    // A second release finds no active hold and gives nothing back
+    await releaseReservation('o1', 'expired', { status: 'expired' });
+    assert.strictEqual(released.length, 1);
+  });
+
+  test('release joins the caller transaction when given one', async () => {
+    holds.set('o1', { order: 'o1', status: 'active', items: [] });
+    const session = fakeSession('caller');
+    await releaseReservation('o1', 'order_cancelled', { session });
+    assert.strictEqual(sessions.length, 1);
+    assert.deepStrictEqual(restored, [{ items: [], session: 'caller' }]);
+  });
+
+  test('cancelling an order whose hold already lapsed does not restock twice', async () => {
+    holds.set('o1', { order: 'o1', status: 'expired', items: [] });
+    await restoreStockForOrder({ _id: 'o1', orderItems: [{ product: 'p1', quantity: 1 }] });
+    assert.strictEqual(restored.length, 0);
+
+    // Paid or cash-on-delivery orders have no hold: their items are restocked directly
+    await restoreStockForOrder({ _id: 'o2', orderItems: [{ product: 'p1', quantity: 1 }] });
+    assert.deepStrictEqual(restored, [{ items: [{ product: 'p1', quantity: 1 }], session: null }]);
+  });
+
+  test('items of individually cancelled shipments are not restocked again', async () => {
+    Shipment.find = () => query([{ items: ['i1'] }]);
+    const orderItems = [{ _id: 'i1', product: 'p1', quantity: 1 }, { _id: 'i2', product: 'p2', quantity: 1 }];
+
+    await restoreStockForOrder({ _id: 'o2', orderItems });
+    assert.deepStrictEqual(restored, [{ items: [orderItems[1]], session: null }]);
+
+    // Every item already went back with its shipment
+    restored = [];
+    await restoreStockForOrder({ _id: 'o2', orderItems: orderItems.slice(0, 1) });
+    assert.strictEqual(restored.length, 0);
+  });
+
+  test('stock taken again for a lapsed hold alerts sellers after the commit', async () => {
+    const lapsed = { order: 'o1', status: 'confirmed', items: [{ product: 'p1', quantity: 1 }] };
+    StockReservation.findOneAndUpdate = async (filter) => (filter.status === 'active' ? null : lapsed);
+    const alerts = [{ productId: 'p1', variantId: 'v1', stock: 0 }];
+    stockService.reduceOrderStock = async () => alerts;
+    const notified = [];
+    stockAlertService.notifyStockAlerts = async (sent) => {
+      notified.push({ sent, transaction: sessions[0].state });
+    };
+
+    assert.strictEqual(await confirmReservation('o1'), lapsed);
+    assert.deepStrictEqual(notified, [{ sent: alerts, transaction: 'committed' }]);
+
+    // An oversold order sends no alerts
+    notified.length = 0;
+    stockService.reduceOrderStock = async () => {
+      throw new Error('Insufficient stock for p1');
+    };
+    await confirmReservation('o1');
+    assert.strictEqual(notified.length, 0);
+  });
+
+  test('expiry releases each due hold and carries on past failures', async () => {
+    holds.set('o1', { order: 'o1', status: 'active', items: [{ product: 'p1', quantity: 1 }] });
+    holds.set('o2', { order: 'o2', status: 'active', items: [{ product: 'bad', quantity: 1 }] });
+    holds.set('o3', { order: 'o3', status: 'active', items: [{ product: 'p3', quantity: 1 }] });
+    StockReservation.find = () => query([{ order: 'o1' }, { order: 'o2' }, { order: 'o3' }]);
+    stockService.restoreOrderStock = async (items, session) => {
+      if (items[0].product === 'bad') throw new Error('write conflict');
+      restored.push({ items, session: session.name });
+    };
+
+    assert.deepStrictEqual(await expireReservations(), { expired: 2 });
+    assert.strictEqual(holds.get('o1').status, 'expired');
+    assert.strictEqual(holds.get('o2').status, 'active');
+    assert.strictEqual(holds.get('o3').status, 'expired');
+    assert.ok(sessions.every((s) => s.ended));
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit: subscription renewal scheduling, dunning retry dates and renewal retries (no database required).
+ *
+ * Run: cd backend && node --test tests/unit/subscriptionService.test.js
+ */
+
+'use strict';
+
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  computeNextRenewalDate,
+  getDunningRetryDate,
+  processRenewal,
+} = require('../../src/services/order/subscriptionService');
+const Subscription = require('../../src/models/order/subscriptionModel');
+const Order = require('../../src/models/order/orderModel');
+const User = require('../../src/models/user/userModel');
+const orderController = require('../../src/controllers/shared/orderController');
+const { paystackApi } = require('../../src/config/paystack');
+const { query } = require('./helpers/mongooseQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('computeNextRenewalDate', () => {
+  const from = new Date('2026-03-10T09:00:00.000Z');
+
+  test('daily and weekly intervals add whole days', () => {
+    assert.strictEqual(computeNextRenewalDate(from, 'daily').getTime(), from.getTime() + DAY_MS);
+    assert.strictEqual(computeNextRenewalDate(from, 'weekly', 2).getTime(), from.getTime() + 14 * DAY_MS);
+  });
+
+  test('monthly, quarterly and yearly intervals keep the day of month', () => {
+    assert.strictEqual(computeNextRenewalDate(from, 'monthly').toISOString(), '2026-04-10T09:00:00.000Z');
+    assert.strictEqual(computeNextRenewalDate(from, 'quarterly').toISOString(), '2026-06-10T09:00:00.000Z');
+    assert.strictEqual(computeNextRenewalDate(from, 'yearly').toISOString(), '2027-03-10T09:00:00.000Z');
+  });
+
+  test('clamps to the last day of shorter months', () => {
+    const endOfJanuary = new Date('2026-01-31T12:00:00.000Z');
+    assert.strictEqual(computeNextRenewalDate(endOfJanuary, 'monthly').toISOString(), '2026-02-28T12:00:00.000Z');
+    assert.strictEqual(
+      computeNextRenewalDate(new Date('2027-11-30T12:00:00.000Z'), 'quarterly').toISOString(),
+      '2028-02-29T12:00:00.000Z',
+    );
+  });
+
+  test('rejects unknown intervals', () => {
+    assert.throws(() => computeNextRenewalDate(from, 'hourly'), /Unknown subscription interval/);
+  });
+});
+
+describe('getDunningRetryDate', () => {
+  const now = new Date('2026-03-10T09:00:00.000Z');
+
+  test('follows the default 1, 3, 5 day schedule', () => {
+    assert.strictEqual(getDunningRetryDate(1, now).getTime(), now.getTime() + DAY_MS);
+    assert.strictEqual(getDunningRetryDate(2, now).getTime(), now.getTime() + 3 * DAY_MS);
+    assert.strictEqual(getDunningRetryDate(3, now).getTime(), now.getTime() + 5 * DAY_MS);
+  });
+
+  test('returns null once retries are exhausted', () => {
+    assert.strictEqual(getDunningRetryDate(4, now), null);
+  });
+});
+
+describe('processRenewal retries', () => {
+  const dueAt = new Date(Date.now() - 60 * 60 * 1000);
+  let stored;
+  let placedOrders;
+  let charges;
+  let updates;
+  let originals;
+
+  const subscriptionDoc = () => ({
+    _id: 'sub1',
+    user: 'user1',
+    product: 'prod1',
+    sku: 'SKU-1',
+    quantity: 1,
+    address: 'addr1',
+    paymentMethod: 'paystack',
+    interval: 'monthly',
+    intervalCount: 1,
+    status: 'active',
+    nextRenewalAt: dueAt,
+    failedAttempts: 0,
+    paystackAuthorization: { authorizationCode: 'AUTH_x', reusable: true, email: 'ama@example.com' },
+    renewingCycle: stored.renewingCycle,
+  });
+
+  beforeEach(() => {
+    stored = { renewingCycle: null };
+    placedOrders = [];
+    charges = [];
+    updates = [];
+    originals = {
+      subFindById: Subscription.findById,
+      subFindOneAndUpdate: Subscription.findOneAndUpdate,
+      subFindOne: Subscription.findOne,
+      subUpdateOne: Subscription.updateOne,
+      userFindById: User.findById,
+      orderFindOne: Order.findOne,
+      orderUpdateOne: Order.updateOne,
+      createOrder: orderController.createOrder,
+      post: paystackApi.post,
+    };
+
+    Subscription.findById = () => query(subscriptionDoc());
+    Subscription.findOneAndUpdate = (filter, update) => {
+      if (stored.renewingCycle?.dueAt?.getTime() === dueAt.getTime()) return query(null);
+      stored.renewingCycle = update.$set.renewingCycle;
+      return query({ renewingCycle: stored.renewingCycle });
+    };
+    Subscription.findOne = () => query({ renewingCycle: stored.renewingCycle });
+    Subscription.updateOne = async (filter, update) => {
+      updates.push(update);
+      if (update.$unset?.renewingCycle) stored.renewingCycle = null;
+    };
+    User.findById = () => query({ _id: 'user1', email: 'ama@example.com', name: 'Ama' });
+    Order.findOne = (filter) =>
+      query(placedOrders.find((o) => o.subscription === filter.subscription && o.createdAt >= filter.createdAt.$gte) || null);
+    Order.updateOne = async (filter, update) => {
+      const order = placedOrders.find((o) => o._id === filter._id);
+      Object.assign(order, update.$set);
+    };
+    orderController.createOrder = async (req, res) => {
+      const order = {
+        _id: `order${placedOrders.length + 1}`,
+        orderNumber: `ORD-${placedOrders.length + 1}`,
+        totalPrice: 120,
+        subscription: req.subscription._id,
+        createdAt: new Date(),
+      };
+      placedOrders.push(order);
+      res.status(201).json({ status: 'success', data: { order } });
+    };
+    paystackApi.post = async (url, body) => {
+      charges.push(body.reference);
+      return { data: { data: { status: 'success' } } };
+    };
+  });
+
+  afterEach(() => {
+    Subscription.findById = originals.subFindById;
+    Subscription.findOneAndUpdate = originals.subFindOneAndUpdate;
+    Subscription.findOne = originals.subFindOne;
+    Subscription.updateOne = originals.subUpdateOne;
+    User.findById = originals.userFindById;
+    Order.findOne = originals.orderFindOne;
+    Order.updateOne = originals.orderUpdateOne;
+    orderController.createOrder = originals.createOrder;
+    paystackApi.post = originals.post;
+  });
+
+  test('places, charges and advances a due renewal once', async () => {
+    const result = await processRenewal({ payload: { subscriptionId: 'sub1' } });
+    assert.strictEqual(result.status, 'renewed');
+    assert.strictEqual(placedOrders.length, 1);
+    assert.deepStrictEqual(charges, ['SUB-sub1-ORD-1']);
+    assert.strictEqual(stored.renewingCycle, null);
+  });
+
+  test('a retry after the order was placed and charged reuses it', async () => {
+    // First run placed and charged the order, then died before recording the renewal
+    Subscription.updateOne = async () => {
+      throw new Error('connection reset');
+    };
+    await assert.rejects(processRenewal({ payload: { subscriptionId: 'sub1' } }), /connection reset/);
+    assert.strictEqual(placedOrders.length, 1);
+    assert.strictEqual(charges.length, 1);
+    assert.ok(stored.renewingCycle);
+
+    Subscription.updateOne = async (filter, update) => {
+      updates.push(update);
+      if (update.$unset?.renewingCycle) stored.renewingCycle = null;
+    };
+    const retry = await processRenewal({ payload: { subscriptionId: 'sub1' } });
+    assert.deepStrictEqual(retry, { status: 'renewed', orderId: 'order1' });
+    assert.strictEqual(placedOrders.length, 1);
+    assert.strictEqual(charges.length, 1);
+    assert.strictEqual(updates.at(-1).$set.lastOrder, 'order1');
+    assert.strictEqual(updates.at(-1).$inc.renewalCount, 1);
+  });
+});